@@ -7,10 +7,16 @@ import Header from './components/Header';
 import Home from './pages/Home';
 import Login from './pages/Login';
 import Register from './pages/Register';
+import ResetPassword from './pages/ResetPassword';
+import VerifyEmail from './pages/VerifyEmail';
 import Dashboard from './pages/Dashboard';
 import NewsletterEditor from './pages/NewsletterEditor';
 import Templates from './pages/Templates';
 import AdminPanel from './pages/AdminPanel';
+import Account from './pages/Account';
+import School from './pages/School';
+import Trash from './pages/Trash';
+import SharedNewsletter from './pages/SharedNewsletter';
 import ProtectedRoute from './components/ProtectedRoute';
 import debugLogger from './utils/debugLogger';
 import './App.css';
@@ -57,6 +63,9 @@ function App() {
                   <Route path="/" element={<Home />} />
                   <Route path="/login" element={<Login />} />
                   <Route path="/register" element={<Register />} />
+                  <Route path="/reset-password" element={<ResetPassword />} />
+                  <Route path="/verify-email" element={<VerifyEmail />} />
+                  <Route path="/shared/:token" element={<SharedNewsletter />} />
                   <Route 
                     path="/dashboard" 
                     element={
@@ -81,6 +90,30 @@ function App() {
                       </ProtectedRoute>
                     } 
                   />
+                  <Route 
+                    path="/trash" 
+                    element={
+                      <ProtectedRoute>
+                        <Trash />
+                      </ProtectedRoute>
+                    } 
+                  />
+                  <Route 
+                    path="/account" 
+                    element={
+                      <ProtectedRoute>
+                        <Account />
+                      </ProtectedRoute>
+                    } 
+                  />
+                  <Route 
+                    path="/school/:id?" 
+                    element={
+                      <ProtectedRoute>
+                        <School />
+                      </ProtectedRoute>
+                    } 
+                  />
                   <Route 
                     path="/admin" 
                     element={
@@ -0,0 +1,102 @@
+import React, { useEffect, useState } from 'react';
+import api from '../services/api';
+
+// Shows the teacher's calendar subscription URL for parents to add to their calendar apps
+const CalendarFeedCard = () => {
+  const [feed, setFeed] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [copied, setCopied] = useState(false);
+
+  useEffect(() => {
+    const loadFeed = async () => {
+      try {
+        const response = await api.getCalendarFeed();
+        setFeed(response.data.feed);
+      } catch (err) {
+        console.error('Error loading calendar feed:', err);
+        setError('Calendar feed is unavailable right now.');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadFeed();
+  }, []);
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(feed.url);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (err) {
+      console.error('Error copying calendar URL:', err);
+    }
+  };
+
+  const handleRegenerate = async () => {
+    if (!window.confirm('Create a new calendar link? Parents subscribed to the current link will stop receiving updates.')) {
+      return;
+    }
+
+    try {
+      const response = await api.regenerateCalendarFeed();
+      setFeed(response.data.feed);
+    } catch (err) {
+      console.error('Error regenerating calendar feed:', err);
+      setError('Failed to create a new calendar link.');
+    }
+  };
+
+  if (loading) {
+    return null;
+  }
+
+  return (
+    <div className="bg-white shadow sm:rounded-md">
+      <div className="px-4 py-5 sm:p-6">
+        <h2 className="text-lg font-medium text-gray-900 flex items-center">
+          <span className="text-xl mr-2">📅</span>
+          Class Calendar Subscription
+        </h2>
+        <p className="mt-1 text-sm text-gray-500">
+          Events from your published newsletters appear automatically in parents' calendars. Edited events update and removed events are cancelled.
+        </p>
+
+        {error ? (
+          <p className="mt-3 text-sm text-red-600">{error}</p>
+        ) : (
+          <div className="mt-4 flex flex-col sm:flex-row gap-2">
+            <input
+              type="text"
+              readOnly
+              value={feed.url}
+              onFocus={(e) => e.target.select()}
+              className="flex-1 px-3 py-2 border border-gray-300 rounded-md text-sm text-gray-700 bg-gray-50"
+            />
+            <button
+              onClick={handleCopy}
+              className="px-4 py-2 text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700"
+            >
+              {copied ? 'Copied!' : 'Copy Link'}
+            </button>
+            <a
+              href={feed.webcalUrl}
+              className="px-4 py-2 text-sm font-medium rounded-md text-blue-700 bg-blue-50 hover:bg-blue-100 text-center"
+            >
+              Subscribe
+            </a>
+            <button
+              onClick={handleRegenerate}
+              className="px-4 py-2 text-sm font-medium rounded-md text-gray-700 bg-gray-100 hover:bg-gray-200"
+            >
+              New Link
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CalendarFeedCard;
@@ -0,0 +1,55 @@
+import React, { useState } from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import api from '../services/api';
+
+// Reminds teachers with an unverified email address that sharing and publishing are locked
+const EmailVerificationBanner = () => {
+  const { user } = useAuth();
+  const [sending, setSending] = useState(false);
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+
+  if (!user || user.emailVerified) {
+    return null;
+  }
+
+  const handleResend = async () => {
+    setSending(true);
+    setMessage(null);
+    setError(null);
+    try {
+      const response = await api.resendVerificationEmail();
+      setMessage(response.message);
+    } catch (err) {
+      console.error('Error resending verification email:', err);
+      setError(err.message || 'Could not send the verification email.');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div className="bg-yellow-50 border border-yellow-200 rounded-md p-4">
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+        <div>
+          <h3 className="text-sm font-medium text-yellow-800">Please verify your email address</h3>
+          <p className="mt-1 text-sm text-yellow-700">
+            We sent a link to {user.email}. You can write drafts now, but sharing and publishing
+            newsletters unlock once your address is verified.
+          </p>
+          {message && <p className="mt-1 text-sm text-green-700">{message}</p>}
+          {error && <p className="mt-1 text-sm text-red-600">{error}</p>}
+        </div>
+        <button
+          onClick={handleResend}
+          disabled={sending}
+          className="shrink-0 px-4 py-2 bg-yellow-600 hover:bg-yellow-700 text-white text-sm font-medium rounded-md disabled:opacity-50"
+        >
+          {sending ? 'Sending...' : 'Resend email'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default EmailVerificationBanner;
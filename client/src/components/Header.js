@@ -41,6 +41,16 @@ const Header = () => {
     navigate('/dashboard');
   };
 
+  const handleAccount = () => {
+    debugLogger.trackUserAction('Account button clicked');
+    navigate('/account');
+  };
+
+  const handleAdmin = () => {
+    debugLogger.trackUserAction('Admin button clicked');
+    navigate('/admin');
+  };
+
   return (
     <header style={{ 
       padding: '1rem', 
@@ -79,6 +89,36 @@ const Header = () => {
                 >
                   Dashboard
                 </button>
+                <button
+                  onClick={handleAccount}
+                  style={{
+                    padding: '0.5rem 1rem',
+                    backgroundColor: 'rgba(255,255,255,0.2)',
+                    color: 'white',
+                    border: 'none',
+                    borderRadius: '4px',
+                    cursor: 'pointer',
+                    fontSize: '14px'
+                  }}
+                >
+                  Account
+                </button>
+                {(user?.role === 'site_admin' || user?.role === 'reviewer') && (
+                  <button
+                    onClick={handleAdmin}
+                    style={{
+                      padding: '0.5rem 1rem',
+                      backgroundColor: 'rgba(255,255,255,0.2)',
+                      color: 'white',
+                      border: 'none',
+                      borderRadius: '4px',
+                      cursor: 'pointer',
+                      fontSize: '14px'
+                    }}
+                  >
+                    Admin
+                  </button>
+                )}
                 <button
                   onClick={handleLogout}
                   style={{
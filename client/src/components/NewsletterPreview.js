@@ -1,6 +1,6 @@
 import React, { forwardRef } from 'react';
 
-const NewsletterPreview = forwardRef(({ newsletter, theme = 'professional' }, ref) => {
+const NewsletterPreview = forwardRef(({ newsletter, theme = 'professional', brandKit = null }, ref) => {
   const { sections = [], title = 'Untitled Newsletter' } = newsletter;
 
   // Theme configurations - matching Canva styles
@@ -59,7 +59,18 @@ const NewsletterPreview = forwardRef(({ newsletter, theme = 'professional' }, re
     }
   };
 
-  const currentTheme = themes[theme] || themes.professional;
+  const presetTheme = themes[theme] || themes.professional;
+
+  // The school brand kit overrides the preset's colors and fonts
+  const currentTheme = brandKit ? {
+    ...presetTheme,
+    primary: brandKit.primaryColor || presetTheme.primary,
+    secondary: brandKit.secondaryColor || presetTheme.secondary,
+    accent: brandKit.accentColor || presetTheme.accent,
+    fonts: brandKit.fontFamily
+      ? { ...presetTheme.fonts, heading: brandKit.fontFamily, body: brandKit.fontFamily }
+      : presetTheme.fonts
+  } : presetTheme;
 
   const renderSection = (section, index) => {
     switch (section.type) {
@@ -373,6 +384,13 @@ const NewsletterPreview = forwardRef(({ newsletter, theme = 'professional' }, re
           marginBottom: '2rem'
         }}
       >
+        {brandKit?.logoUrl && (
+          <img
+            src={brandKit.logoUrl}
+            alt="School logo"
+            style={{ display: 'block', margin: '0 auto 1rem', maxHeight: '64px', maxWidth: '240px' }}
+          />
+        )}
         <h1 
           style={{ 
             fontFamily: currentTheme.fonts.heading,
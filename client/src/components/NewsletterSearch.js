@@ -0,0 +1,285 @@
+import React, { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useNewsletter } from '../contexts/NewsletterContext';
+import api from '../services/api';
+
+const PAGE_SIZE = 10;
+
+const inputClass = 'px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+const STATUS_BADGES = {
+  published: 'bg-green-100 text-green-800',
+  draft: 'bg-yellow-100 text-yellow-800',
+  archived: 'bg-gray-100 text-gray-800'
+};
+
+const formatDate = (dateString) => new Date(dateString).toLocaleDateString('en-US', {
+  year: 'numeric',
+  month: 'short',
+  day: 'numeric'
+});
+
+// Renders { text, match } segments from the search API as text, never as raw HTML
+const Highlighted = ({ segments }) => (
+  <>
+    {segments.map((segment, index) => (segment.match
+      ? <mark key={index} className="bg-yellow-200 text-gray-900 rounded px-0.5">{segment.text}</mark>
+      : <React.Fragment key={index}>{segment.text}</React.Fragment>
+    ))}
+  </>
+);
+
+const ResultGroup = ({ title, group, onMore, loadingMore, renderResult }) => {
+  if (!group) {
+    return null;
+  }
+
+  return (
+    <div>
+      <h3 className="text-sm font-medium text-gray-700">
+        {title} <span className="text-gray-400">({group.total})</span>
+      </h3>
+      {group.results.length === 0 ? (
+        <p className="mt-2 text-sm text-gray-500">No matches.</p>
+      ) : (
+        <ul className="mt-2 divide-y divide-gray-200 border border-gray-200 rounded-md">
+          {group.results.map(renderResult)}
+        </ul>
+      )}
+      {group.results.length < group.total && (
+        <button
+          onClick={onMore}
+          disabled={loadingMore}
+          className="mt-2 text-sm font-medium text-blue-600 hover:text-blue-800 disabled:opacity-50"
+        >
+          {loadingMore ? 'Loading...' : 'Show more'}
+        </button>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Search box for the Dashboard: full-text search over the teacher's newsletters and
+ * the templates they can use, with status and date filters
+ */
+const NewsletterSearch = () => {
+  const navigate = useNavigate();
+  const { createNewsletter } = useNewsletter();
+  const [input, setInput] = useState('');
+  const [filters, setFilters] = useState({ type: 'all', status: '', from: '', to: '' });
+  const [results, setResults] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(null);
+  const [error, setError] = useState(null);
+
+  const query = input.trim();
+
+  // Search as the teacher types, after a short pause
+  useEffect(() => {
+    if (query.length < 2) {
+      setResults(null);
+      setError(null);
+      return undefined;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      setLoading(true);
+      try {
+        const response = await api.search({ q: query, ...filters, limit: PAGE_SIZE });
+        if (!cancelled) {
+          setResults(response.data);
+          setError(null);
+        }
+      } catch (err) {
+        console.error('Error searching:', err);
+        if (!cancelled) {
+          setError(err.data?.errors?.[0]?.msg || err.message || 'Search is unavailable right now.');
+        }
+      } finally {
+        if (!cancelled) {
+          setLoading(false);
+        }
+      }
+    }, 300);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [query, filters]);
+
+  const setFilter = (key, value) => {
+    setFilters(prev => ({ ...prev, [key]: value }));
+  };
+
+  const handleMore = async (type) => {
+    setLoadingMore(type);
+    try {
+      const response = await api.search({
+        q: query,
+        ...filters,
+        type,
+        limit: PAGE_SIZE,
+        offset: results[type].results.length
+      });
+      setResults(prev => ({
+        ...prev,
+        [type]: {
+          total: response.data[type].total,
+          results: [...prev[type].results, ...response.data[type].results]
+        }
+      }));
+    } catch (err) {
+      console.error('Error loading more results:', err);
+      setError(err.message || 'Could not load more results.');
+    } finally {
+      setLoadingMore(null);
+    }
+  };
+
+  const handleUseTemplate = async (id) => {
+    try {
+      const response = await api.getTemplate(id);
+      const template = response.data.template;
+      const newsletter = await createNewsletter({
+        title: `Newsletter from ${template.name}`,
+        content: template.content,
+        settings: template.settings,
+        status: 'draft'
+      });
+      if (newsletter) {
+        navigate(`/editor/${newsletter.id}`);
+      }
+    } catch (err) {
+      console.error('Error creating newsletter from template:', err);
+      setError(err.message || 'Could not use the template.');
+    }
+  };
+
+  return (
+    <div className="bg-white shadow sm:rounded-md">
+      <div className="px-4 py-5 sm:p-6">
+        <div className="flex flex-col lg:flex-row gap-3">
+          <input
+            type="search"
+            value={input}
+            onChange={(e) => setInput(e.target.value)}
+            placeholder='Search your newsletters and templates, e.g. "field trip" permission slip'
+            aria-label="Search newsletters and templates"
+            className={`flex-1 ${inputClass}`}
+          />
+          <select
+            value={filters.type}
+            onChange={(e) => setFilter('type', e.target.value)}
+            aria-label="Search in"
+            className={inputClass}
+          >
+            <option value="all">Newsletters and templates</option>
+            <option value="newsletters">Newsletters only</option>
+            <option value="templates">Templates only</option>
+          </select>
+          <select
+            value={filters.status}
+            onChange={(e) => setFilter('status', e.target.value)}
+            disabled={filters.type === 'templates'}
+            aria-label="Newsletter status"
+            className={`${inputClass} disabled:opacity-50`}
+          >
+            <option value="">Any status</option>
+            <option value="draft">Draft</option>
+            <option value="published">Published</option>
+            <option value="archived">Archived</option>
+          </select>
+          <div className="flex items-center gap-2 text-sm text-gray-500">
+            <input
+              type="date"
+              value={filters.from}
+              max={filters.to || undefined}
+              onChange={(e) => setFilter('from', e.target.value)}
+              aria-label="Created on or after"
+              className={inputClass}
+            />
+            <span>to</span>
+            <input
+              type="date"
+              value={filters.to}
+              min={filters.from || undefined}
+              onChange={(e) => setFilter('to', e.target.value)}
+              aria-label="Created on or before"
+              className={inputClass}
+            />
+          </div>
+        </div>
+
+        {error && <p className="mt-3 text-sm text-red-600">{error}</p>}
+        {loading && !results && <p className="mt-3 text-sm text-gray-500">Searching...</p>}
+
+        {results && (
+          <div className={`mt-5 space-y-6 ${loading ? 'opacity-60' : ''}`}>
+            <ResultGroup
+              title="Newsletters"
+              group={results.newsletters}
+              onMore={() => handleMore('newsletters')}
+              loadingMore={loadingMore === 'newsletters'}
+              renderResult={(result) => (
+                <li key={result.id} className="p-3 hover:bg-gray-50">
+                  <div className="flex items-start justify-between gap-4">
+                    <div className="min-w-0">
+                      <button
+                        onClick={() => navigate(`/editor/${result.id}`)}
+                        className="text-left text-sm font-medium text-blue-700 hover:text-blue-900"
+                      >
+                        <Highlighted segments={result.highlights.title} />
+                      </button>
+                      <p className="mt-1 text-sm text-gray-600">
+                        <Highlighted segments={result.highlights.snippet} />
+                      </p>
+                    </div>
+                    <div className="shrink-0 text-right text-xs text-gray-500">
+                      <span className={`inline-flex px-2 py-0.5 rounded-full font-medium ${STATUS_BADGES[result.status] || STATUS_BADGES.archived}`}>
+                        {result.status.charAt(0).toUpperCase() + result.status.slice(1)}
+                      </span>
+                      <p className="mt-1">{formatDate(result.createdAt)}</p>
+                    </div>
+                  </div>
+                </li>
+              )}
+            />
+            <ResultGroup
+              title="Templates"
+              group={results.templates}
+              onMore={() => handleMore('templates')}
+              loadingMore={loadingMore === 'templates'}
+              renderResult={(result) => (
+                <li key={result.id} className="p-3 hover:bg-gray-50">
+                  <div className="flex items-start justify-between gap-4">
+                    <div className="min-w-0">
+                      <p className="text-sm font-medium text-gray-900">
+                        <Highlighted segments={result.highlights.title} />
+                        {result.isGlobal && <span className="ml-2 text-xs text-purple-700">Global</span>}
+                        {!result.isGlobal && result.schoolId && <span className="ml-2 text-xs text-indigo-700">School</span>}
+                      </p>
+                      <p className="mt-1 text-sm text-gray-600">
+                        <Highlighted segments={result.highlights.snippet} />
+                      </p>
+                    </div>
+                    <button
+                      onClick={() => handleUseTemplate(result.id)}
+                      className="shrink-0 text-sm font-medium text-purple-600 hover:text-purple-800"
+                    >
+                      Use template
+                    </button>
+                  </div>
+                </li>
+              )}
+            />
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default NewsletterSearch;
@@ -29,8 +29,8 @@ const ProtectedRoute = ({ children, requireAdmin = false }) => {
     return <Navigate to="/login" state={{ from: location }} replace />;
   }
 
-  // Check admin requirement
-  if (requireAdmin && !user?.isAdmin) {
+  // Check admin requirement; reviewers get a read-only admin console
+  if (requireAdmin && user?.role !== 'site_admin' && user?.role !== 'reviewer') {
     console.log('ProtectedRoute: Admin required but user is not admin');
     return (
       <div style={{ 
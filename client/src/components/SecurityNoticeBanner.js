@@ -0,0 +1,47 @@
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { describeNotice } from './account/SecurityNotices';
+import api from '../services/api';
+
+// Points the teacher to unread security notices (unfamiliar sign-ins, lockouts)
+const SecurityNoticeBanner = () => {
+  const [notices, setNotices] = useState([]);
+
+  useEffect(() => {
+    const loadNotices = async () => {
+      try {
+        const response = await api.getSecurityNotices({ unread: true });
+        setNotices(response.data.notices);
+      } catch (err) {
+        console.error('Error loading security notices:', err);
+      }
+    };
+
+    loadNotices();
+  }, []);
+
+  if (notices.length === 0) {
+    return null;
+  }
+
+  const latest = describeNotice(notices[0]);
+
+  return (
+    <div className="bg-red-50 border border-red-200 rounded-md p-4 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+      <div>
+        <h3 className="text-sm font-medium text-red-800">
+          {notices.length === 1 ? latest.title : `${notices.length} new security notices`}
+        </h3>
+        <p className="mt-1 text-sm text-red-700">{latest.detail}</p>
+      </div>
+      <Link
+        to="/account"
+        className="shrink-0 px-4 py-2 text-sm font-medium rounded-md text-white bg-red-600 hover:bg-red-700"
+      >
+        Review
+      </Link>
+    </div>
+  );
+};
+
+export default SecurityNoticeBanner;
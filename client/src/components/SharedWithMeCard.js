@@ -0,0 +1,88 @@
+import React, { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import api from '../services/api';
+
+// Lists newsletters colleagues have shared with the signed-in teacher
+const SharedWithMeCard = ({ onCopy }) => {
+  const navigate = useNavigate();
+  const [newsletters, setNewsletters] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const loadShared = async () => {
+      try {
+        const response = await api.getSharedWithMe();
+        setNewsletters(response.data.newsletters);
+      } catch (err) {
+        console.error('Error loading shared newsletters:', err);
+        setError('Shared newsletters are unavailable right now.');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadShared();
+  }, []);
+
+  const handleCopy = async (id) => {
+    try {
+      await onCopy(id);
+    } catch (err) {
+      console.error('Error copying shared newsletter:', err);
+    }
+  };
+
+  if (loading || (!error && newsletters.length === 0)) {
+    return null;
+  }
+
+  return (
+    <div className="bg-white shadow sm:rounded-md">
+      <div className="px-4 py-5 sm:p-6">
+        <h2 className="text-lg font-medium text-gray-900 flex items-center">
+          <span className="text-xl mr-2">🤝</span>
+          Shared with Me
+        </h2>
+
+        {error ? (
+          <p className="mt-2 text-sm text-red-600">{error}</p>
+        ) : (
+          <ul className="mt-4 divide-y divide-gray-200">
+            {newsletters.map(newsletter => (
+              <li key={newsletter.id} className="py-3 flex items-center justify-between">
+                <div className="min-w-0">
+                  <p className="text-sm font-medium text-gray-900 truncate">{newsletter.title}</p>
+                  <p className="text-sm text-gray-500">
+                    From {newsletter.ownerName}
+                    <span className={`ml-2 inline-flex px-2 py-0.5 text-xs font-medium rounded-full ${newsletter.access?.canEdit ? 'bg-blue-100 text-blue-800' : 'bg-gray-100 text-gray-800'}`}>
+                      {newsletter.access?.canEdit ? 'Can edit' : 'View only'}
+                    </span>
+                  </p>
+                </div>
+                <div className="flex space-x-2 ml-4">
+                  <button
+                    onClick={() => navigate(`/editor/${newsletter.id}`)}
+                    className="text-blue-600 hover:text-blue-900 text-sm font-medium"
+                  >
+                    {newsletter.access?.canEdit ? 'Edit' : 'View'}
+                  </button>
+                  {newsletter.access?.canCopy && (
+                    <button
+                      onClick={() => handleCopy(newsletter.id)}
+                      className="text-green-600 hover:text-green-900 text-sm font-medium"
+                    >
+                      Make a Copy
+                    </button>
+                  )}
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SharedWithMeCard;
@@ -0,0 +1,209 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { formatDateTime } from '../admin/format';
+import api from '../../services/api';
+
+const SCOPE_LABELS = {
+  'newsletters:read': 'Read newsletters',
+  'newsletters:write': 'Create and edit newsletters',
+  export: 'Export newsletters',
+  templates: 'Templates'
+};
+
+const EXPIRY_OPTIONS = [
+  { value: 30, label: '30 days' },
+  { value: 90, label: '90 days' },
+  { value: 365, label: '1 year' },
+  { value: '', label: 'No expiry' }
+];
+
+/**
+ * Personal access tokens for scripts and cron jobs: create, list and revoke.
+ * Send a token as "Authorization: Bearer <token>"; it only works for the API areas in its scopes.
+ */
+const AccessTokens = () => {
+  const [tokens, setTokens] = useState([]);
+  const [scopes, setScopes] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [name, setName] = useState('');
+  const [selectedScopes, setSelectedScopes] = useState(['newsletters:read']);
+  const [expiresInDays, setExpiresInDays] = useState(90);
+  const [saving, setSaving] = useState(false);
+  const [newToken, setNewToken] = useState(null);
+  const [error, setError] = useState(null);
+
+  const loadTokens = useCallback(async () => {
+    try {
+      const response = await api.getAccessTokens();
+      setTokens(response.data.tokens);
+      setScopes(response.data.scopes);
+    } catch (err) {
+      console.error('Error loading access tokens:', err);
+      setError('Access tokens are unavailable right now.');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadTokens();
+  }, [loadTokens]);
+
+  const toggleScope = (scope) => {
+    setSelectedScopes(prev => (prev.includes(scope) ? prev.filter(s => s !== scope) : [...prev, scope]));
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError(null);
+    setNewToken(null);
+    try {
+      const response = await api.createAccessToken({ name: name.trim(), scopes: selectedScopes, expiresInDays });
+      setNewToken(response.data.token);
+      setName('');
+      await loadTokens();
+    } catch (err) {
+      console.error('Error creating access token:', err);
+      setError(err.data?.errors?.[0]?.msg || err.message || 'Could not create the token.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRevoke = async (token) => {
+    if (!window.confirm(`Revoke "${token.name}"? Scripts using it will stop working immediately.`)) {
+      return;
+    }
+
+    try {
+      await api.revokeAccessToken(token.id);
+      setTokens(prev => prev.filter(t => t.id !== token.id));
+    } catch (err) {
+      console.error('Error revoking access token:', err);
+      setError(err.message || 'Could not revoke the token.');
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(newToken);
+    } catch (err) {
+      console.error('Error copying token:', err);
+    }
+  };
+
+  if (loading) {
+    return null;
+  }
+
+  return (
+    <div className="bg-white shadow sm:rounded-md">
+      <div className="px-4 py-5 sm:p-6">
+        <h2 className="text-lg font-medium text-gray-900 flex items-center">
+          <span className="text-xl mr-2">🔑</span>
+          Access Tokens
+        </h2>
+        <p className="mt-1 text-sm text-gray-500">
+          For scripts that create or export newsletters without signing in. Send the token as
+          {' '}<code className="text-xs bg-gray-100 px-1 rounded">Authorization: Bearer &lt;token&gt;</code>.
+          Treat tokens like passwords.
+        </p>
+
+        {newToken && (
+          <div className="mt-4 rounded-md border border-green-200 bg-green-50 p-3">
+            <p className="text-sm font-medium text-green-800">Copy your new token now. It will not be shown again.</p>
+            <div className="mt-2 flex items-center gap-2">
+              <code className="flex-1 text-sm bg-white border border-green-200 rounded px-2 py-1 break-all">{newToken}</code>
+              <button onClick={handleCopy} className="text-sm font-medium text-green-700 hover:text-green-900">
+                Copy
+              </button>
+            </div>
+          </div>
+        )}
+
+        {error && <p className="mt-3 text-sm text-red-600">{error}</p>}
+
+        <form onSubmit={handleCreate} className="mt-4 space-y-3">
+          <div className="flex flex-col sm:flex-row gap-3">
+            <input
+              type="text"
+              required
+              maxLength={100}
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder="Token name, e.g. Weekly export job"
+              className="flex-1 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+            <select
+              value={expiresInDays}
+              onChange={(e) => setExpiresInDays(e.target.value ? Number(e.target.value) : '')}
+              className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              aria-label="Expires after"
+            >
+              {EXPIRY_OPTIONS.map(option => (
+                <option key={option.label} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+          <div className="flex flex-wrap gap-4">
+            {scopes.map(scope => (
+              <label key={scope} className="flex items-center gap-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={selectedScopes.includes(scope)}
+                  onChange={() => toggleScope(scope)}
+                />
+                {SCOPE_LABELS[scope] || scope}
+              </label>
+            ))}
+          </div>
+          <button
+            type="submit"
+            disabled={saving || !name.trim() || selectedScopes.length === 0}
+            className="px-4 py-2 text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+          >
+            {saving ? 'Creating...' : 'Create token'}
+          </button>
+        </form>
+
+        {tokens.length > 0 && (
+          <ul className="mt-6 divide-y divide-gray-200">
+            {tokens.map(token => (
+              <li key={token.id} className="py-3 flex items-start justify-between gap-4">
+                <div className="min-w-0">
+                  <p className="text-sm font-medium text-gray-900">
+                    {token.name}
+                    <code className="ml-2 text-xs text-gray-500">{token.tokenPrefix}…</code>
+                    {token.isExpired && (
+                      <span className="ml-2 inline-flex px-2 py-0.5 text-xs font-medium rounded-full bg-gray-200 text-gray-700">
+                        Expired
+                      </span>
+                    )}
+                  </p>
+                  <p className="text-sm text-gray-500">
+                    {token.scopes.map(scope => SCOPE_LABELS[scope] || scope).join(' · ')}
+                  </p>
+                  <p className="text-xs text-gray-400 mt-1">
+                    Created {formatDateTime(token.createdAt)}
+                    {' · '}{token.expiresAt ? `expires ${formatDateTime(token.expiresAt)}` : 'never expires'}
+                    {' · '}{token.lastUsedAt
+                      ? `last used ${formatDateTime(token.lastUsedAt)}${token.lastUsedIp ? ` from ${token.lastUsedIp}` : ''}`
+                      : 'never used'}
+                  </p>
+                </div>
+                <button
+                  onClick={() => handleRevoke(token)}
+                  className="shrink-0 text-sm font-medium text-red-600 hover:text-red-800"
+                >
+                  Revoke
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AccessTokens;
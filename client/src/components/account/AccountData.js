@@ -0,0 +1,139 @@
+import React, { useState } from 'react';
+import { useAuth } from '../../contexts/AuthContext';
+import { formatDateTime } from '../admin/format';
+import api from '../../services/api';
+import pdfExportService from '../../services/pdfExportService';
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+const secondaryButtonClass = 'px-4 py-2 text-sm font-medium rounded-md text-gray-700 border border-gray-300 hover:bg-gray-50 disabled:opacity-50';
+const dangerButtonClass = 'px-4 py-2 text-sm font-medium rounded-md text-white bg-red-600 hover:bg-red-700 disabled:opacity-50';
+
+/**
+ * Download everything stored about the account, or delete it.
+ * Deletion waits out a grace period; signing in again before then allows cancelling.
+ */
+const AccountData = () => {
+  const { user, logout, refreshUser } = useAuth();
+  const [downloading, setDownloading] = useState(false);
+  const [confirming, setConfirming] = useState(false);
+  const [password, setPassword] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleDownload = async () => {
+    setDownloading(true);
+    setError(null);
+    try {
+      const response = await api.downloadAccountData();
+      const blob = await response.blob();
+      pdfExportService.downloadBlob(blob, `classroom-newsletter-data-${new Date().toISOString().slice(0, 10)}.zip`);
+    } catch (err) {
+      console.error('Error downloading account data:', err);
+      setError(err.message || 'Could not prepare your data.');
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  const handleDelete = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setError(null);
+    try {
+      const response = await api.requestAccountDeletion(password);
+      window.alert(response.message);
+      // Every session was revoked, including this one
+      await logout();
+    } catch (err) {
+      console.error('Error requesting account deletion:', err);
+      setError(err.message || 'Could not delete your account.');
+      setBusy(false);
+    }
+  };
+
+  const handleCancelDeletion = async () => {
+    setBusy(true);
+    setError(null);
+    try {
+      await api.cancelAccountDeletion();
+      await refreshUser();
+    } catch (err) {
+      console.error('Error cancelling account deletion:', err);
+      setError(err.message || 'Could not cancel the deletion.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="bg-white shadow sm:rounded-md">
+      <div className="px-4 py-5 sm:p-6">
+        <h2 className="text-lg font-medium text-gray-900 flex items-center">
+          <span className="text-xl mr-2">📦</span>
+          Your Data
+        </h2>
+        <p className="mt-1 text-sm text-gray-500">
+          Download a ZIP of your profile, newsletters, templates, shares, sessions and activity,
+          with every newsletter rendered as a web page.
+        </p>
+        <button onClick={handleDownload} disabled={downloading} className={`mt-3 ${secondaryButtonClass}`}>
+          {downloading ? 'Preparing...' : 'Download my data'}
+        </button>
+
+        {error && <p className="mt-3 text-sm text-red-600">{error}</p>}
+
+        <div className="mt-6 border-t border-gray-200 pt-5">
+          <h3 className="text-sm font-medium text-gray-900">Delete account</h3>
+
+          {user?.deletionScheduledFor ? (
+            <div className="mt-2 rounded-md border border-red-200 bg-red-50 p-3">
+              <p className="text-sm text-red-800">
+                Your account and everything in it will be deleted on {formatDateTime(user.deletionScheduledFor)}.
+              </p>
+              <button onClick={handleCancelDeletion} disabled={busy} className={`mt-3 ${secondaryButtonClass}`}>
+                {busy ? 'Cancelling...' : 'Keep my account'}
+              </button>
+            </div>
+          ) : confirming ? (
+            <form onSubmit={handleDelete} className="mt-2 space-y-3">
+              <p className="text-sm text-gray-600">
+                You will be signed out everywhere. Your newsletters, templates and shares are erased after a
+                grace period; sign in before then to cancel. Download your data first if you want to keep it.
+              </p>
+              <input
+                type="password"
+                required
+                autoComplete="current-password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                placeholder="Confirm with your password"
+                className={inputClass}
+              />
+              <div className="flex gap-2">
+                <button type="submit" disabled={busy || !password} className={dangerButtonClass}>
+                  {busy ? 'Deleting...' : 'Delete my account'}
+                </button>
+                <button
+                  type="button"
+                  onClick={() => { setConfirming(false); setPassword(''); }}
+                  className={secondaryButtonClass}
+                >
+                  Cancel
+                </button>
+              </div>
+            </form>
+          ) : (
+            <>
+              <p className="mt-1 text-sm text-gray-500">Permanently remove your account and all of its content.</p>
+              <button onClick={() => setConfirming(true)} className={`mt-3 ${dangerButtonClass}`}>
+                Delete account...
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AccountData;
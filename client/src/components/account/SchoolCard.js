@@ -0,0 +1,130 @@
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import api from '../../services/api';
+
+/**
+ * The school the teacher belongs to, with a way into the school admin tools,
+ * and any invitations to join a school
+ */
+const SchoolCard = () => {
+  const [membership, setMembership] = useState(null);
+  const [invitations, setInvitations] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const loadSchool = async () => {
+      try {
+        const [schoolResponse, invitationsResponse] = await Promise.all([
+          api.getMySchool(),
+          api.getMySchoolInvitations()
+        ]);
+        setMembership(schoolResponse.data);
+        setInvitations(invitationsResponse.data.invitations);
+      } catch (err) {
+        console.error('Error loading school:', err);
+      }
+    };
+
+    loadSchool();
+  }, []);
+
+  const handleAccept = async (invitation) => {
+    if (!window.confirm(`Join ${invitation.schoolName}? Its brand kit will style your newsletters and its school admins will see your email, last login and newsletter counts.`)) {
+      return;
+    }
+
+    setSaving(true);
+    setError(null);
+    try {
+      const response = await api.acceptSchoolInvitation(invitation.id);
+      setMembership(response.data);
+      setInvitations([]);
+    } catch (err) {
+      console.error('Error accepting school invitation:', err);
+      setError(err.message || 'Could not join the school.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDecline = async (invitation) => {
+    setSaving(true);
+    setError(null);
+    try {
+      const response = await api.declineSchoolInvitation(invitation.id);
+      setInvitations(response.data.invitations);
+    } catch (err) {
+      console.error('Error declining school invitation:', err);
+      setError(err.message || 'Could not decline the invitation.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!membership) {
+    return null;
+  }
+
+  const { school, role } = membership;
+
+  return (
+    <div className="bg-white shadow sm:rounded-md">
+      <div className="px-4 py-5 sm:p-6 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+        <div>
+          <h2 className="text-lg font-medium text-gray-900 flex items-center">
+            <span className="text-xl mr-2">🏫</span>
+            School
+          </h2>
+          <p className="mt-1 text-sm text-gray-500">
+            {school
+              ? `${school.name} · ${role === 'school_admin' ? 'School admin' : 'Teacher'}. Templates shared with your school and its brand kit apply to your newsletters.`
+              : 'You are not part of a school. A school admin can invite you to theirs.'}
+          </p>
+        </div>
+        {role === 'school_admin' && (
+          <Link
+            to="/school"
+            className="shrink-0 px-4 py-2 text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700"
+          >
+            Manage school
+          </Link>
+        )}
+      </div>
+
+      {!school && invitations.length > 0 && (
+        <div className="px-4 pb-5 sm:px-6">
+          {error && <p className="mb-3 text-sm text-red-600">{error}</p>}
+          <ul className="divide-y divide-gray-200 border border-gray-200 rounded-md">
+            {invitations.map(invitation => (
+              <li key={invitation.id} className="p-3 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+                <p className="text-sm text-gray-700">
+                  {invitation.invitedBy || 'A school admin'} invited you to join <span className="font-medium">{invitation.schoolName}</span>
+                  {invitation.role === 'school_admin' ? ' as a school admin' : ''}.
+                </p>
+                <div className="flex items-center gap-3 shrink-0">
+                  <button
+                    onClick={() => handleAccept(invitation)}
+                    disabled={saving}
+                    className="px-3 py-1 text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+                  >
+                    Join
+                  </button>
+                  <button
+                    onClick={() => handleDecline(invitation)}
+                    disabled={saving}
+                    className="text-sm text-gray-600 hover:text-gray-800 disabled:opacity-50"
+                  >
+                    Decline
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SchoolCard;
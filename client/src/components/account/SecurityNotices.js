@@ -0,0 +1,131 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { formatDateTime } from '../admin/format';
+import api from '../../services/api';
+
+// Short browser description from a user agent string, e.g. "Chrome on Windows"
+export const describeUserAgent = (userAgent = '') => {
+  const browser = [
+    ['Edg/', 'Edge'], ['OPR/', 'Opera'], ['Firefox/', 'Firefox'], ['Chrome/', 'Chrome'], ['Safari/', 'Safari']
+  ].find(([token]) => userAgent.includes(token));
+  const platform = [
+    ['iPhone', 'iPhone'], ['iPad', 'iPad'], ['Android', 'Android'], ['Windows', 'Windows'], ['Mac OS', 'macOS'], ['CrOS', 'Chromebook'], ['Linux', 'Linux']
+  ].find(([token]) => userAgent.includes(token));
+
+  if (!browser && !platform) return 'an unknown device';
+  return [browser?.[1] || 'A browser', platform && `on ${platform[1]}`].filter(Boolean).join(' ');
+};
+
+export const describeNotice = (notice) => {
+  const { metadata = {} } = notice;
+  const from = metadata.ipAddress ? ` (IP ${metadata.ipAddress})` : '';
+
+  switch (notice.kind) {
+    case 'new_device_login':
+      return {
+        title: 'New sign-in to your account',
+        detail: `${describeUserAgent(metadata.userAgent)}${from}. If this wasn't you, change your password and sign out of other devices.`
+      };
+    case 'account_locked':
+      return {
+        title: 'Account temporarily locked',
+        detail: `${metadata.failedAttempts || 'Several'} failed sign-in attempts${from}. If this wasn't you, consider changing your password and turning on two-factor authentication.`
+      };
+    default:
+      return { title: 'Security notice', detail: '' };
+  }
+};
+
+/**
+ * Recent security notices for the signed-in teacher
+ */
+const SecurityNotices = () => {
+  const [notices, setNotices] = useState([]);
+  const [unread, setUnread] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const loadNotices = useCallback(async () => {
+    try {
+      const response = await api.getSecurityNotices();
+      setNotices(response.data.notices);
+      setUnread(response.data.unread);
+    } catch (err) {
+      console.error('Error loading security notices:', err);
+      setError('Security notices are unavailable right now.');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadNotices();
+  }, [loadNotices]);
+
+  const handleMarkRead = async (noticeId = null) => {
+    try {
+      await api.markSecurityNoticesRead(noticeId);
+      await loadNotices();
+    } catch (err) {
+      console.error('Error marking security notices read:', err);
+      setError(err.message || 'Could not update notices.');
+    }
+  };
+
+  if (loading) {
+    return null;
+  }
+
+  return (
+    <div className="bg-white shadow sm:rounded-md">
+      <div className="px-4 py-5 sm:p-6">
+        <div className="flex items-center justify-between">
+          <h2 className="text-lg font-medium text-gray-900 flex items-center">
+            <span className="text-xl mr-2">🛡️</span>
+            Security Notices
+            {unread > 0 && (
+              <span className="ml-2 inline-flex px-2 py-0.5 text-xs font-medium rounded-full bg-red-100 text-red-800">
+                {unread} new
+              </span>
+            )}
+          </h2>
+          {unread > 0 && (
+            <button onClick={() => handleMarkRead()} className="text-sm font-medium text-blue-600 hover:text-blue-800">
+              Mark all as read
+            </button>
+          )}
+        </div>
+
+        {error && <p className="mt-3 text-sm text-red-600">{error}</p>}
+
+        {notices.length === 0 ? (
+          <p className="mt-3 text-sm text-gray-500">No security events for your account.</p>
+        ) : (
+          <ul className="mt-4 divide-y divide-gray-200">
+            {notices.map(notice => {
+              const { title, detail } = describeNotice(notice);
+              return (
+                <li key={notice.id} className="py-3 flex items-start justify-between gap-4">
+                  <div className="min-w-0">
+                    <p className={`text-sm ${notice.readAt ? 'text-gray-700' : 'font-medium text-gray-900'}`}>{title}</p>
+                    <p className="text-sm text-gray-500">{detail}</p>
+                    <p className="text-xs text-gray-400 mt-1">{formatDateTime(notice.createdAt)}</p>
+                  </div>
+                  {!notice.readAt && (
+                    <button
+                      onClick={() => handleMarkRead(notice.id)}
+                      className="shrink-0 text-sm text-gray-500 hover:text-gray-700"
+                    >
+                      Dismiss
+                    </button>
+                  )}
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SecurityNotices;
@@ -0,0 +1,318 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { useAuth } from '../../contexts/AuthContext';
+import { formatDateTime } from '../admin/format';
+import api from '../../services/api';
+
+const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+const primaryButtonClass = 'px-4 py-2 text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50';
+const secondaryButtonClass = 'px-4 py-2 text-sm font-medium rounded-md text-gray-700 border border-gray-300 hover:bg-gray-50';
+
+// Groups a base32 secret in fours so it is easier to type into an app
+const formatSecret = (secret) => secret.match(/.{1,4}/g).join(' ');
+
+const RecoveryCodeList = ({ codes, onDone }) => {
+  const handleDownload = () => {
+    const text = `Classroom Newsletter recovery codes\nEach code works once.\n\n${codes.join('\n')}\n`;
+    const url = URL.createObjectURL(new Blob([text], { type: 'text/plain' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'classroom-newsletter-recovery-codes.txt';
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="mt-4 rounded-md border border-yellow-200 bg-yellow-50 p-4">
+      <p className="text-sm font-medium text-yellow-800">Save these recovery codes now</p>
+      <p className="mt-1 text-sm text-yellow-700">
+        Each code signs you in once if you lose your phone. They will not be shown again.
+      </p>
+      <ul className="mt-3 grid grid-cols-2 gap-2 font-mono text-sm text-gray-900">
+        {codes.map(code => <li key={code}>{code}</li>)}
+      </ul>
+      <div className="mt-4 flex gap-2">
+        <button onClick={handleDownload} className={secondaryButtonClass}>Download</button>
+        <button onClick={onDone} className={primaryButtonClass}>I saved my codes</button>
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Turn TOTP two-factor authentication on or off and manage recovery codes
+ */
+const TwoFactorSettings = () => {
+  const { refreshUser } = useAuth();
+  const [status, setStatus] = useState(null);
+  const [error, setError] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  // 'password' -> 'scan' while enrolling; 'regenerate' or 'disable' while changing an enabled setup
+  const [step, setStep] = useState(null);
+  const [password, setPassword] = useState('');
+  const [code, setCode] = useState('');
+  const [setup, setSetup] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+
+  const loadStatus = useCallback(async () => {
+    try {
+      const response = await api.getTwoFactorStatus();
+      setStatus(response.data);
+    } catch (err) {
+      console.error('Error loading two-factor status:', err);
+      setError('Two-factor settings are unavailable right now.');
+    }
+  }, []);
+
+  useEffect(() => {
+    loadStatus();
+  }, [loadStatus]);
+
+  const resetForm = (nextStep = null) => {
+    setStep(nextStep);
+    setPassword('');
+    setCode('');
+    setError(null);
+  };
+
+  const run = async (action) => {
+    setBusy(true);
+    setError(null);
+    try {
+      await action();
+    } catch (err) {
+      setError(err.message || 'Something went wrong. Please try again.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleStart = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const response = await api.startTwoFactorSetup(password);
+      setSetup(response.data);
+      resetForm('scan');
+    });
+  };
+
+  const handleEnable = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const response = await api.enableTwoFactor(code.replace(/\s/g, ''));
+      setRecoveryCodes(response.data.recoveryCodes);
+      setSetup(null);
+      resetForm();
+      await Promise.all([loadStatus(), refreshUser()]);
+    });
+  };
+
+  const handleRegenerate = (e) => {
+    e.preventDefault();
+    run(async () => {
+      const response = await api.regenerateRecoveryCodes(code.replace(/\s/g, ''));
+      setRecoveryCodes(response.data.recoveryCodes);
+      resetForm();
+      await loadStatus();
+    });
+  };
+
+  const handleDisable = (e) => {
+    e.preventDefault();
+    const secondFactor = /^\d{6}$/.test(code.replace(/\s/g, ''))
+      ? { code: code.replace(/\s/g, '') }
+      : { recoveryCode: code };
+    run(async () => {
+      await api.disableTwoFactor({ password, ...secondFactor });
+      resetForm();
+      await Promise.all([loadStatus(), refreshUser()]);
+    });
+  };
+
+  if (!status) {
+    return error ? <p className="text-sm text-red-600">{error}</p> : null;
+  }
+
+  return (
+    <div className="bg-white shadow sm:rounded-md">
+      <div className="px-4 py-5 sm:p-6">
+        <div className="flex items-center justify-between">
+          <h2 className="text-lg font-medium text-gray-900 flex items-center">
+            <span className="text-xl mr-2">🔐</span>
+            Two-Factor Authentication
+          </h2>
+          <span className={`inline-flex px-2 py-0.5 text-xs font-medium rounded-full ${status.enabled ? 'bg-green-100 text-green-800' : 'bg-gray-100 text-gray-700'}`}>
+            {status.enabled ? 'On' : 'Off'}
+          </span>
+        </div>
+        <p className="mt-1 text-sm text-gray-500">
+          Your account holds student names and family contact details. With two-factor authentication,
+          signing in also needs a code from an authenticator app such as Google Authenticator, Authy or 1Password.
+        </p>
+
+        {status.required && !status.enabled && (
+          <p className="mt-3 text-sm font-medium text-red-700">
+            Two-factor authentication is required for admin accounts. Turn it on to use the admin console.
+          </p>
+        )}
+
+        {error && <p className="mt-3 text-sm text-red-600">{error}</p>}
+
+        {recoveryCodes && <RecoveryCodeList codes={recoveryCodes} onDone={() => setRecoveryCodes(null)} />}
+
+        {/* Not enrolled */}
+        {!status.enabled && !step && !recoveryCodes && (
+          <button onClick={() => resetForm('password')} className={`mt-4 ${primaryButtonClass}`}>
+            Turn on two-factor authentication
+          </button>
+        )}
+
+        {step === 'password' && (
+          <form onSubmit={handleStart} className="mt-4 space-y-3 max-w-sm">
+            <label className="block text-sm font-medium text-gray-700">
+              Confirm your password
+              <input
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                required
+                autoFocus
+                autoComplete="current-password"
+                className={`mt-1 ${inputClass}`}
+              />
+            </label>
+            <div className="flex gap-2">
+              <button type="submit" disabled={busy} className={primaryButtonClass}>Continue</button>
+              <button type="button" onClick={() => resetForm()} className={secondaryButtonClass}>Cancel</button>
+            </div>
+          </form>
+        )}
+
+        {step === 'scan' && setup && (
+          <form onSubmit={handleEnable} className="mt-4 space-y-4">
+            <ol className="list-decimal list-inside space-y-2 text-sm text-gray-700">
+              <li>
+                In your authenticator app, add an account. On this device you can{' '}
+                <a href={setup.otpauthUri} className="text-blue-600 hover:text-blue-800 font-medium">open it in your app</a>;
+                otherwise enter this key by hand:
+                <div className="mt-2 font-mono text-base tracking-wider text-gray-900 bg-gray-50 border border-gray-200 rounded-md px-3 py-2 inline-block">
+                  {formatSecret(setup.secret)}
+                </div>
+              </li>
+              <li>Enter the 6-digit code the app shows.</li>
+            </ol>
+            <div className="flex gap-2 max-w-sm">
+              <input
+                type="text"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                required
+                autoFocus
+                inputMode="numeric"
+                autoComplete="one-time-code"
+                placeholder="123456"
+                className={inputClass}
+              />
+              <button type="submit" disabled={busy} className={primaryButtonClass}>Turn on</button>
+              <button type="button" onClick={() => { setSetup(null); resetForm(); }} className={secondaryButtonClass}>Cancel</button>
+            </div>
+          </form>
+        )}
+
+        {/* Enrolled */}
+        {status.enabled && !step && (
+          <div className="mt-4">
+            <dl className="grid grid-cols-2 gap-4 text-sm max-w-md">
+              <div>
+                <dt className="text-gray-500">Turned on</dt>
+                <dd className="text-gray-900">{formatDateTime(status.enabledAt)}</dd>
+              </div>
+              <div>
+                <dt className="text-gray-500">Recovery codes left</dt>
+                <dd className={status.recoveryCodesRemaining <= 3 ? 'text-red-700 font-medium' : 'text-gray-900'}>
+                  {status.recoveryCodesRemaining}
+                </dd>
+              </div>
+            </dl>
+            <div className="mt-4 flex gap-2">
+              <button onClick={() => resetForm('regenerate')} className={secondaryButtonClass}>
+                Create new recovery codes
+              </button>
+              {!status.required && (
+                <button
+                  onClick={() => resetForm('disable')}
+                  className="px-4 py-2 text-sm font-medium rounded-md text-red-700 border border-red-200 hover:bg-red-50"
+                >
+                  Turn off
+                </button>
+              )}
+            </div>
+          </div>
+        )}
+
+        {step === 'regenerate' && (
+          <form onSubmit={handleRegenerate} className="mt-4 space-y-3 max-w-sm">
+            <p className="text-sm text-gray-600">Your current recovery codes will stop working.</p>
+            <label className="block text-sm font-medium text-gray-700">
+              Code from your authenticator app
+              <input
+                type="text"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                required
+                autoFocus
+                inputMode="numeric"
+                autoComplete="one-time-code"
+                className={`mt-1 ${inputClass}`}
+              />
+            </label>
+            <div className="flex gap-2">
+              <button type="submit" disabled={busy} className={primaryButtonClass}>Create codes</button>
+              <button type="button" onClick={() => resetForm()} className={secondaryButtonClass}>Cancel</button>
+            </div>
+          </form>
+        )}
+
+        {step === 'disable' && (
+          <form onSubmit={handleDisable} className="mt-4 space-y-3 max-w-sm">
+            <label className="block text-sm font-medium text-gray-700">
+              Password
+              <input
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                required
+                autoFocus
+                autoComplete="current-password"
+                className={`mt-1 ${inputClass}`}
+              />
+            </label>
+            <label className="block text-sm font-medium text-gray-700">
+              Authenticator or recovery code
+              <input
+                type="text"
+                value={code}
+                onChange={(e) => setCode(e.target.value)}
+                required
+                autoComplete="one-time-code"
+                className={`mt-1 ${inputClass}`}
+              />
+            </label>
+            <div className="flex gap-2">
+              <button
+                type="submit"
+                disabled={busy}
+                className="px-4 py-2 text-sm font-medium rounded-md text-white bg-red-600 hover:bg-red-700 disabled:opacity-50"
+              >
+                Turn off
+              </button>
+              <button type="button" onClick={() => resetForm()} className={secondaryButtonClass}>Cancel</button>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TwoFactorSettings;
@@ -0,0 +1,143 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import api from '../../services/api';
+import Pagination from './Pagination';
+import { formatDateTime } from './format';
+
+const PAGE_SIZE = 50;
+
+const summarizeMetadata = (metadata = {}) => Object.entries(metadata)
+  .filter(([, value]) => value !== null && value !== undefined && typeof value !== 'object')
+  .map(([key, value]) => `${key}: ${value}`)
+  .join(' · ');
+
+// Audit trail across all users, filterable by action, user and resource type
+const ActivityLogViewer = () => {
+  const [entries, setEntries] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [options, setOptions] = useState({ actions: [], resourceTypes: [] });
+  const [filters, setFilters] = useState({ action: '', resourceType: '', user: '' });
+  const [userSearch, setUserSearch] = useState('');
+  const [offset, setOffset] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setFilters(prev => (prev.user === userSearch.trim() ? prev : { ...prev, user: userSearch.trim() }));
+      setOffset(0);
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [userSearch]);
+
+  const loadActivity = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await api.getRecentActivity({ ...filters, limit: PAGE_SIZE, offset });
+      setEntries(response.data.activity);
+      setOptions(response.data.filters);
+      setPagination(response.data.pagination);
+      setError(null);
+    } catch (err) {
+      console.error('Error loading activity:', err);
+      setError('Could not load activity.');
+    } finally {
+      setLoading(false);
+    }
+  }, [filters, offset]);
+
+  useEffect(() => {
+    loadActivity();
+  }, [loadActivity]);
+
+  const updateFilter = (key, value) => {
+    setFilters(prev => ({ ...prev, [key]: value }));
+    setOffset(0);
+  };
+
+  return (
+    <div className="bg-white shadow rounded-lg">
+      <div className="flex flex-col md:flex-row gap-3 p-4 border-b border-gray-200">
+        <select
+          value={filters.action}
+          onChange={(e) => updateFilter('action', e.target.value)}
+          className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+        >
+          <option value="">All actions</option>
+          {options.actions.map(action => (
+            <option key={action} value={action}>{action}</option>
+          ))}
+        </select>
+        <select
+          value={filters.resourceType}
+          onChange={(e) => updateFilter('resourceType', e.target.value)}
+          className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+        >
+          <option value="">All resources</option>
+          {options.resourceTypes.map(type => (
+            <option key={type} value={type}>{type}</option>
+          ))}
+        </select>
+        <input
+          type="search"
+          value={userSearch}
+          onChange={(e) => setUserSearch(e.target.value)}
+          placeholder="Filter by user name or email"
+          className="flex-1 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+        <button
+          onClick={loadActivity}
+          className="px-3 py-2 border border-gray-300 rounded-md text-sm text-gray-700 hover:bg-gray-50"
+        >
+          Refresh
+        </button>
+      </div>
+
+      {error && <p className="px-4 pt-3 text-sm text-red-600">{error}</p>}
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              {['When', 'User', 'Action', 'Resource', 'Details'].map(heading => (
+                <th key={heading} className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  {heading}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200 text-sm">
+            {loading && entries.length === 0 ? (
+              <tr>
+                <td colSpan={5} className="px-4 py-6 text-center text-gray-500">Loading activity...</td>
+              </tr>
+            ) : entries.length === 0 ? (
+              <tr>
+                <td colSpan={5} className="px-4 py-6 text-center text-gray-500">No activity matches.</td>
+              </tr>
+            ) : (
+              entries.map(entry => (
+                <tr key={entry.id}>
+                  <td className="px-4 py-2 text-gray-600 whitespace-nowrap">{formatDateTime(entry.createdAt)}</td>
+                  <td className="px-4 py-2 text-gray-800">{entry.userEmail || <span className="text-gray-400">system</span>}</td>
+                  <td className="px-4 py-2">
+                    <span className={`font-mono text-xs ${entry.action.includes('failed') ? 'text-red-700' : 'text-gray-800'}`}>
+                      {entry.action}
+                    </span>
+                  </td>
+                  <td className="px-4 py-2 text-gray-600">{entry.resourceType}</td>
+                  <td className="px-4 py-2 text-gray-500 max-w-md truncate" title={JSON.stringify(entry.metadata)}>
+                    {summarizeMetadata(entry.metadata) || '—'}
+                  </td>
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      <Pagination pagination={pagination} onChange={setOffset} />
+    </div>
+  );
+};
+
+export default ActivityLogViewer;
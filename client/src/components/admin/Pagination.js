@@ -0,0 +1,38 @@
+import React from 'react';
+
+// Previous/next controls for the admin lists; pagination is the API's { limit, offset, total }
+const Pagination = ({ pagination, onChange }) => {
+  if (!pagination || pagination.total <= pagination.limit) {
+    return null;
+  }
+
+  const { limit, offset, total } = pagination;
+  const first = total === 0 ? 0 : offset + 1;
+  const last = Math.min(offset + limit, total);
+
+  return (
+    <div className="flex items-center justify-between px-4 py-3 border-t border-gray-200 text-sm text-gray-600">
+      <span>
+        {first}–{last} of {total}
+      </span>
+      <div className="flex gap-2">
+        <button
+          onClick={() => onChange(Math.max(offset - limit, 0))}
+          disabled={offset === 0}
+          className="px-3 py-1 border border-gray-300 rounded hover:bg-gray-50 disabled:opacity-40"
+        >
+          Previous
+        </button>
+        <button
+          onClick={() => onChange(offset + limit)}
+          disabled={last >= total}
+          className="px-3 py-1 border border-gray-300 rounded hover:bg-gray-50 disabled:opacity-40"
+        >
+          Next
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default Pagination;
@@ -0,0 +1,152 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { formatCount, formatDateTime } from './format';
+import api from '../../services/api';
+
+/**
+ * Schools on the service: create them with a first school admin, open their tools, delete them.
+ * Reviewers (readOnly) see the list and each school's usage.
+ */
+const SchoolList = ({ readOnly = false }) => {
+  const [schools, setSchools] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [name, setName] = useState('');
+  const [adminEmail, setAdminEmail] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+
+  const loadSchools = useCallback(async () => {
+    try {
+      const response = await api.getAdminSchools();
+      setSchools(response.data.schools);
+    } catch (err) {
+      console.error('Error loading schools:', err);
+      setError('Schools are unavailable right now.');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadSchools();
+  }, [loadSchools]);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError(null);
+    setNotice(null);
+    try {
+      const response = await api.createSchool({ name: name.trim(), adminEmail: adminEmail.trim() || undefined });
+      setNotice(response.message);
+      setName('');
+      setAdminEmail('');
+      await loadSchools();
+    } catch (err) {
+      console.error('Error creating school:', err);
+      setError(err.data?.errors?.[0]?.msg || err.message || 'Could not create the school.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (school) => {
+    if (!window.confirm(`Delete ${school.name}? Its ${school.memberCount} members stay as individual teachers and templates shared with the school become private.`)) {
+      return;
+    }
+
+    setError(null);
+    setNotice(null);
+    try {
+      const response = await api.deleteSchool(school.id);
+      setNotice(response.message);
+      await loadSchools();
+    } catch (err) {
+      console.error('Error deleting school:', err);
+      setError(err.message || 'Could not delete the school.');
+    }
+  };
+
+  return (
+    <div className="bg-white shadow rounded-lg">
+      {!readOnly && (
+        <form onSubmit={handleCreate} className="p-4 border-b border-gray-200 flex flex-col sm:flex-row gap-3">
+          <input
+            type="text"
+            required
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="School name"
+            className="flex-1 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          <input
+            type="email"
+            value={adminEmail}
+            onChange={(e) => setAdminEmail(e.target.value)}
+            placeholder="School admin email (optional)"
+            className="flex-1 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          <button
+            type="submit"
+            disabled={saving || name.trim().length < 2}
+            className="px-4 py-2 text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+          >
+            Add school
+          </button>
+        </form>
+      )}
+
+      {notice && <p className="px-4 pt-3 text-sm text-green-700">{notice}</p>}
+      {error && <p className="px-4 pt-3 text-sm text-red-600">{error}</p>}
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              {['School', 'Members', 'Created', ''].map(heading => (
+                <th key={heading} className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  {heading}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {loading ? (
+              <tr>
+                <td colSpan={4} className="px-4 py-6 text-center text-sm text-gray-500">Loading schools...</td>
+              </tr>
+            ) : schools.length === 0 ? (
+              <tr>
+                <td colSpan={4} className="px-4 py-6 text-center text-sm text-gray-500">No schools yet.</td>
+              </tr>
+            ) : (
+              schools.map(school => (
+                <tr key={school.id}>
+                  <td className="px-4 py-3">
+                    <p className="text-sm font-medium text-gray-900">{school.name}</p>
+                    <p className="text-sm text-gray-500">{school.slug}</p>
+                  </td>
+                  <td className="px-4 py-3 text-sm text-gray-600">{formatCount(school.memberCount)}</td>
+                  <td className="px-4 py-3 text-sm text-gray-600">{formatDateTime(school.createdAt)}</td>
+                  <td className="px-4 py-3 text-right space-x-3 whitespace-nowrap">
+                    <Link to={`/school/${school.id}`} className="text-sm text-blue-600 hover:text-blue-800">
+                      {readOnly ? 'Usage' : 'Manage'}
+                    </Link>
+                    {!readOnly && (
+                      <button onClick={() => handleDelete(school)} className="text-sm text-red-600 hover:text-red-800">
+                        Delete
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default SchoolList;
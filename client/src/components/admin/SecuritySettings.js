@@ -0,0 +1,88 @@
+import React, { useEffect, useState } from 'react';
+import { useAuth } from '../../contexts/AuthContext';
+import api from '../../services/api';
+
+/**
+ * Service-wide security policies; reviewers (readOnly) can see but not change them
+ */
+const SecuritySettings = ({ readOnly = false }) => {
+  const { user } = useAuth();
+  const [settings, setSettings] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+
+  useEffect(() => {
+    const loadSettings = async () => {
+      try {
+        const response = await api.getAdminSettings();
+        setSettings(response.data.settings);
+      } catch (err) {
+        console.error('Error loading settings:', err);
+        setError('Settings are unavailable right now.');
+      }
+    };
+
+    loadSettings();
+  }, []);
+
+  const handleToggleTwoFactor = async () => {
+    const next = !settings.requireAdminTwoFactor;
+    if (next && !window.confirm('Require two-factor authentication for every admin? Admins without it will be asked to turn it on before using the admin console.')) {
+      return;
+    }
+
+    setSaving(true);
+    setError(null);
+    setNotice(null);
+    try {
+      const response = await api.updateAdminSettings({ requireAdminTwoFactor: next });
+      setSettings(response.data.settings);
+      setNotice(response.message);
+    } catch (err) {
+      console.error('Error updating settings:', err);
+      setError(err.message || 'Could not update the setting.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!settings) {
+    return error ? <p className="text-sm text-red-600">{error}</p> : <p className="text-sm text-gray-500">Loading settings...</p>;
+  }
+
+  return (
+    <div className="bg-white shadow rounded-lg p-5">
+      <div className="flex items-start justify-between gap-6">
+        <div>
+          <h3 className="text-base font-medium text-gray-900">Require two-factor authentication for admins</h3>
+          <p className="mt-1 text-sm text-gray-500">
+            Admins can see every teacher's account. When this is on, an admin without two-factor
+            authentication can still sign in but must turn it on before using the admin console,
+            and cannot turn it off.
+          </p>
+          {!readOnly && !user?.twoFactorEnabled && !settings.requireAdminTwoFactor && (
+            <p className="mt-2 text-sm text-yellow-700">
+              Turn on two-factor authentication for your own account first, from the Account page.
+            </p>
+          )}
+          {notice && <p className="mt-2 text-sm text-green-700">{notice}</p>}
+          {error && <p className="mt-2 text-sm text-red-600">{error}</p>}
+        </div>
+        <button
+          onClick={handleToggleTwoFactor}
+          disabled={readOnly || saving || (!user?.twoFactorEnabled && !settings.requireAdminTwoFactor)}
+          className={`shrink-0 px-4 py-2 text-sm font-medium rounded-md disabled:opacity-40 ${
+            settings.requireAdminTwoFactor
+              ? 'border border-gray-300 text-gray-700 hover:bg-gray-50'
+              : 'bg-blue-600 hover:bg-blue-700 text-white'
+          }`}
+        >
+          {settings.requireAdminTwoFactor ? 'Make optional' : 'Require'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default SecuritySettings;
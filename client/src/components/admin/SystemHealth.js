@@ -0,0 +1,148 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import api from '../../services/api';
+import { formatDateTime } from './format';
+
+const StatusBadge = ({ ok, label }) => (
+  <span className={`inline-flex items-center px-2 py-0.5 text-xs font-medium rounded-full ${ok ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'}`}>
+    {ok ? '●' : '○'} {label || (ok ? 'Healthy' : 'Down')}
+  </span>
+);
+
+const formatUptime = (seconds = 0) => {
+  const days = Math.floor(seconds / 86400);
+  const hours = Math.floor((seconds % 86400) / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  return days > 0 ? `${days}d ${hours}h` : `${hours}h ${minutes}m`;
+};
+
+/**
+ * Service health from the public /api/health check plus the admin-only
+ * database, connection pool and process details
+ */
+const SystemHealth = ({ sessions }) => {
+  const [publicHealth, setPublicHealth] = useState(null);
+  const [details, setDetails] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [checkedAt, setCheckedAt] = useState(null);
+
+  const runChecks = useCallback(async () => {
+    setLoading(true);
+
+    // Both endpoints answer 503 when the database is down; that is a result, not a failure
+    const [apiResult, adminResult] = await Promise.allSettled([api.healthCheck(), api.getSystemHealth()]);
+
+    setPublicHealth(apiResult.status === 'fulfilled'
+      ? apiResult.value
+      : { status: 'UNAVAILABLE', message: apiResult.reason?.message, services: { database: false, api: false } });
+    setDetails(adminResult.status === 'fulfilled' ? adminResult.value.data : adminResult.reason?.data || null);
+    setCheckedAt(new Date());
+    setLoading(false);
+  }, []);
+
+  useEffect(() => {
+    runChecks();
+  }, [runChecks]);
+
+  const pool = details?.database?.pool;
+  const processInfo = details?.process;
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <p className="text-sm text-gray-500">
+          {checkedAt ? `Last checked ${formatDateTime(checkedAt)}` : 'Checking...'}
+        </p>
+        <button
+          onClick={runChecks}
+          disabled={loading}
+          className="px-3 py-2 border border-gray-300 rounded-md text-sm text-gray-700 hover:bg-gray-50 disabled:opacity-40"
+        >
+          {loading ? 'Checking...' : 'Run checks'}
+        </button>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+        <div className="bg-white shadow rounded-lg p-5">
+          <h3 className="text-sm font-medium text-gray-500">API</h3>
+          <div className="mt-2 flex items-center justify-between">
+            <span className="text-lg font-medium text-gray-900">{publicHealth?.status || '—'}</span>
+            {publicHealth && <StatusBadge ok={publicHealth.status === 'OK'} label={publicHealth.environment} />}
+          </div>
+          <p className="mt-1 text-sm text-gray-500">{publicHealth?.message}</p>
+          {publicHealth?.version && <p className="text-xs text-gray-400">Version {publicHealth.version}</p>}
+        </div>
+
+        <div className="bg-white shadow rounded-lg p-5">
+          <h3 className="text-sm font-medium text-gray-500">Database</h3>
+          <div className="mt-2">
+            <StatusBadge ok={Boolean(details?.database?.healthy ?? publicHealth?.services?.database)} />
+          </div>
+          {pool && (
+            <dl className="mt-3 grid grid-cols-3 gap-2 text-sm">
+              <div>
+                <dt className="text-gray-500">Open</dt>
+                <dd className="font-medium text-gray-900">{pool.totalCount ?? '—'}</dd>
+              </div>
+              <div>
+                <dt className="text-gray-500">Idle</dt>
+                <dd className="font-medium text-gray-900">{pool.idleCount ?? '—'}</dd>
+              </div>
+              <div>
+                <dt className="text-gray-500">Waiting</dt>
+                <dd className={`font-medium ${pool.waitingCount > 0 ? 'text-yellow-700' : 'text-gray-900'}`}>{pool.waitingCount ?? '—'}</dd>
+              </div>
+            </dl>
+          )}
+        </div>
+
+        <div className="bg-white shadow rounded-lg p-5">
+          <h3 className="text-sm font-medium text-gray-500">Server process</h3>
+          {processInfo ? (
+            <dl className="mt-2 space-y-1 text-sm">
+              <div className="flex justify-between">
+                <dt className="text-gray-500">Uptime</dt>
+                <dd className="text-gray-900">{formatUptime(processInfo.uptimeSeconds)}</dd>
+              </div>
+              <div className="flex justify-between">
+                <dt className="text-gray-500">Memory (heap / RSS)</dt>
+                <dd className="text-gray-900">{processInfo.memoryMb.heapUsed} / {processInfo.memoryMb.rss} MB</dd>
+              </div>
+              <div className="flex justify-between">
+                <dt className="text-gray-500">Node</dt>
+                <dd className="text-gray-900">{processInfo.nodeVersion}</dd>
+              </div>
+            </dl>
+          ) : (
+            <p className="mt-2 text-sm text-gray-500">Unavailable</p>
+          )}
+        </div>
+      </div>
+
+      {sessions && (
+        <div className="bg-white shadow rounded-lg p-5">
+          <h3 className="text-sm font-medium text-gray-500 mb-3">Sessions</h3>
+          <dl className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
+            <div>
+              <dt className="text-gray-500">Active</dt>
+              <dd className="text-lg font-medium text-gray-900">{sessions.active_sessions}</dd>
+            </div>
+            <div>
+              <dt className="text-gray-500">Signed-in users</dt>
+              <dd className="text-lg font-medium text-gray-900">{sessions.unique_users}</dd>
+            </div>
+            <div>
+              <dt className="text-gray-500">Expired, not yet cleaned up</dt>
+              <dd className="text-lg font-medium text-gray-900">{sessions.expired_sessions}</dd>
+            </div>
+            <div>
+              <dt className="text-gray-500">Average length</dt>
+              <dd className="text-lg font-medium text-gray-900">{sessions.avg_session_hours ?? '—'} h</dd>
+            </div>
+          </dl>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SystemHealth;
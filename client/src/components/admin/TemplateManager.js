@@ -0,0 +1,198 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import api from '../../services/api';
+import Pagination from './Pagination';
+import { formatDateTime } from './format';
+
+const PAGE_SIZE = 25;
+
+/**
+ * Every template in the system. Admins can promote any template to global
+ * (offered to all teachers) or start a new, empty global template; reviewers (readOnly) only look.
+ */
+const TemplateManager = ({ onChanged, readOnly = false }) => {
+  const [templates, setTemplates] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [search, setSearch] = useState('');
+  const [query, setQuery] = useState('');
+  const [globalOnly, setGlobalOnly] = useState(false);
+  const [offset, setOffset] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [busyId, setBusyId] = useState(null);
+  const [newTemplate, setNewTemplate] = useState({ name: '', description: '' });
+  const [creating, setCreating] = useState(false);
+
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setQuery(search.trim());
+      setOffset(0);
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [search]);
+
+  const loadTemplates = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await api.getAllTemplates({
+        search: query,
+        global: globalOnly ? 'true' : undefined,
+        limit: PAGE_SIZE,
+        offset
+      });
+      setTemplates(response.data.templates);
+      setPagination(response.data.pagination);
+      setError(null);
+    } catch (err) {
+      console.error('Error loading templates:', err);
+      setError('Could not load templates.');
+    } finally {
+      setLoading(false);
+    }
+  }, [query, globalOnly, offset]);
+
+  useEffect(() => {
+    loadTemplates();
+  }, [loadTemplates]);
+
+  const handleToggleGlobal = async (template) => {
+    try {
+      setBusyId(template.id);
+      const response = await api.setTemplateGlobal(template.id, !template.isGlobal);
+      const updated = response.data.template;
+      setTemplates(prev => prev.map(t => (t.id === updated.id ? updated : t)));
+      onChanged?.();
+    } catch (err) {
+      console.error('Error updating template:', err);
+      setError(err.message || 'Could not update the template.');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+
+    try {
+      setCreating(true);
+      await api.createGlobalTemplate({
+        name: newTemplate.name.trim(),
+        description: newTemplate.description.trim() || undefined,
+        content: { sections: [] }
+      });
+      setNewTemplate({ name: '', description: '' });
+      setOffset(0);
+      await loadTemplates();
+      onChanged?.();
+    } catch (err) {
+      console.error('Error creating global template:', err);
+      setError(err.message || 'Could not create the template.');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      {!readOnly && (
+        <form onSubmit={handleCreate} className="bg-white shadow rounded-lg p-4 flex flex-col md:flex-row gap-3 md:items-end">
+          <div className="flex-1">
+            <label className="block text-sm font-medium text-gray-700 mb-1">New global template</label>
+            <input
+              type="text"
+              value={newTemplate.name}
+              onChange={(e) => setNewTemplate(prev => ({ ...prev, name: e.target.value }))}
+              placeholder="Template name"
+              minLength={3}
+              maxLength={200}
+              required
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          </div>
+          <div className="flex-1">
+            <input
+              type="text"
+              value={newTemplate.description}
+              onChange={(e) => setNewTemplate(prev => ({ ...prev, description: e.target.value }))}
+              placeholder="Description (optional)"
+              maxLength={1000}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          </div>
+          <button
+            type="submit"
+            disabled={creating || newTemplate.name.trim().length < 3}
+            className="bg-blue-600 text-white px-4 py-2 rounded-md hover:bg-blue-700 disabled:bg-blue-400"
+          >
+            {creating ? 'Creating...' : 'Create'}
+          </button>
+        </form>
+      )}
+
+      <div className="bg-white shadow rounded-lg">
+        <div className="flex flex-col sm:flex-row gap-3 p-4 border-b border-gray-200">
+          <input
+            type="search"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Search templates by name"
+            className="flex-1 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          <label className="flex items-center gap-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={globalOnly}
+              onChange={(e) => {
+                setGlobalOnly(e.target.checked);
+                setOffset(0);
+              }}
+            />
+            Global only
+          </label>
+        </div>
+
+        {error && <p className="px-4 pt-3 text-sm text-red-600">{error}</p>}
+
+        {loading && templates.length === 0 ? (
+          <p className="px-4 py-6 text-center text-sm text-gray-500">Loading templates...</p>
+        ) : templates.length === 0 ? (
+          <p className="px-4 py-6 text-center text-sm text-gray-500">No templates match.</p>
+        ) : (
+          <ul className="divide-y divide-gray-200">
+            {templates.map(template => (
+              <li key={template.id} className="flex items-center justify-between px-4 py-3">
+                <div className="min-w-0">
+                  <p className="text-sm font-medium text-gray-900 truncate">
+                    {template.name}
+                    {template.isGlobal ? (
+                      <span className="ml-2 inline-flex px-2 py-0.5 text-xs font-medium rounded-full bg-blue-100 text-blue-800">Global</span>
+                    ) : template.isPublic ? (
+                      <span className="ml-2 inline-flex px-2 py-0.5 text-xs font-medium rounded-full bg-green-100 text-green-800">Public</span>
+                    ) : (
+                      <span className="ml-2 inline-flex px-2 py-0.5 text-xs font-medium rounded-full bg-gray-100 text-gray-800">Private</span>
+                    )}
+                  </p>
+                  <p className="text-sm text-gray-500 truncate">
+                    {template.description || 'No description'} · updated {formatDateTime(template.updatedAt)}
+                  </p>
+                </div>
+                {!readOnly && (
+                  <button
+                    onClick={() => handleToggleGlobal(template)}
+                    disabled={busyId === template.id}
+                    className={`ml-4 text-sm font-medium whitespace-nowrap disabled:opacity-40 ${template.isGlobal ? 'text-red-600 hover:text-red-900' : 'text-blue-600 hover:text-blue-900'}`}
+                  >
+                    {template.isGlobal ? 'Remove from global' : 'Make global'}
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+
+        <Pagination pagination={pagination} onChange={setOffset} />
+      </div>
+    </div>
+  );
+};
+
+export default TemplateManager;
@@ -0,0 +1,524 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import api from '../../services/api';
+import pdfExportService from '../../services/pdfExportService';
+import Pagination from './Pagination';
+import { formatDateTime } from './format';
+
+const PAGE_SIZE = 25;
+
+const ROLES = [
+  { value: 'teacher', label: 'Teacher' },
+  { value: 'reviewer', label: 'Reviewer' },
+  { value: 'site_admin', label: 'Site admin' }
+];
+
+const ROLE_BADGES = {
+  reviewer: { label: 'Reviewer', className: 'bg-blue-100 text-blue-800' },
+  site_admin: { label: 'Admin', className: 'bg-purple-100 text-purple-800' }
+};
+
+// Active sessions of one user, with per-device and sign-out-everywhere revocation
+const UserSessions = ({ userId, onChanged, readOnly }) => {
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const loadSessions = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await api.getAdminUser(userId);
+      setSessions(response.data.sessions);
+      setError(null);
+    } catch (err) {
+      console.error('Error loading sessions:', err);
+      setError('Could not load sessions.');
+    } finally {
+      setLoading(false);
+    }
+  }, [userId]);
+
+  useEffect(() => {
+    loadSessions();
+  }, [loadSessions]);
+
+  const handleRevoke = async (sessionId) => {
+    try {
+      await api.revokeUserSession(userId, sessionId);
+      setSessions(prev => prev.filter(session => session.id !== sessionId));
+      onChanged?.();
+    } catch (err) {
+      console.error('Error revoking session:', err);
+      setError(err.message || 'Could not revoke the session.');
+    }
+  };
+
+  const handleRevokeAll = async () => {
+    if (!window.confirm('Sign this user out of every device?')) {
+      return;
+    }
+
+    try {
+      await api.revokeUserSessions(userId);
+      setSessions([]);
+      onChanged?.();
+    } catch (err) {
+      console.error('Error revoking sessions:', err);
+      setError(err.message || 'Could not revoke sessions.');
+    }
+  };
+
+  if (loading) {
+    return <p className="text-sm text-gray-500">Loading sessions...</p>;
+  }
+
+  return (
+    <div>
+      {error && <p className="text-sm text-red-600 mb-2">{error}</p>}
+      {sessions.length === 0 ? (
+        <p className="text-sm text-gray-500">No active sessions.</p>
+      ) : (
+        <>
+          <ul className="divide-y divide-gray-200 bg-white border border-gray-200 rounded">
+            {sessions.map(session => (
+              <li key={session.id} className="flex items-center justify-between px-3 py-2 text-sm">
+                <div className="min-w-0">
+                  <p className="text-gray-800 truncate">{session.device_info?.userAgent || 'Unknown device'}</p>
+                  <p className="text-xs text-gray-500">
+                    {session.ip_address || 'Unknown IP'} · signed in {formatDateTime(session.created_at)} · expires {formatDateTime(session.expires_at)}
+                  </p>
+                </div>
+                {!readOnly && (
+                  <button
+                    onClick={() => handleRevoke(session.id)}
+                    className="ml-4 text-red-600 hover:text-red-800 font-medium"
+                  >
+                    Revoke
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+          {!readOnly && (
+            <button
+              onClick={handleRevokeAll}
+              className="mt-2 text-sm text-red-600 hover:text-red-800 font-medium"
+            >
+              Sign out everywhere
+            </button>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Searchable user list with account status, roles and admin actions.
+ * The signed-in admin cannot change their own account here; reviewers (readOnly) only look.
+ */
+const UserTable = ({ currentUserId, onChanged, readOnly = false }) => {
+  const [users, setUsers] = useState([]);
+  const [pagination, setPagination] = useState(null);
+  const [search, setSearch] = useState('');
+  const [query, setQuery] = useState('');
+  const [status, setStatus] = useState('all');
+  const [offset, setOffset] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [expandedId, setExpandedId] = useState(null);
+  const [busyId, setBusyId] = useState(null);
+
+  // Wait for a pause in typing before searching
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setQuery(search.trim());
+      setOffset(0);
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [search]);
+
+  const loadUsers = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await api.getUsers({ search: query, status, limit: PAGE_SIZE, offset });
+      setUsers(response.data.users);
+      setPagination(response.data.pagination);
+      setError(null);
+    } catch (err) {
+      console.error('Error loading users:', err);
+      setError('Could not load users.');
+    } finally {
+      setLoading(false);
+    }
+  }, [query, status, offset]);
+
+  useEffect(() => {
+    loadUsers();
+  }, [loadUsers]);
+
+  const replaceUser = (updated) => {
+    setUsers(prev => prev.map(user => (user.id === updated.id ? updated : user)));
+    onChanged?.();
+  };
+
+  const handleToggleStatus = async (user) => {
+    const nextStatus = user.isActive ? 'inactive' : 'active';
+    if (nextStatus === 'inactive' && !window.confirm(`Deactivate ${user.email}? They will be signed out everywhere.`)) {
+      return;
+    }
+
+    try {
+      setBusyId(user.id);
+      const response = await api.updateUserStatus(user.id, nextStatus);
+      replaceUser(response.data.user);
+    } catch (err) {
+      console.error('Error updating user status:', err);
+      setError(err.message || 'Could not update the account.');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleChangeRole = async (user, role) => {
+    const label = ROLES.find(option => option.value === role).label.toLowerCase();
+    if (!window.confirm(`Make ${user.email} a ${label}?`)) {
+      return;
+    }
+
+    try {
+      setBusyId(user.id);
+      const response = await api.updateUserRole(user.id, role);
+      replaceUser(response.data.user);
+    } catch (err) {
+      console.error('Error updating user role:', err);
+      setError(err.message || 'Could not update the role.');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleUnlock = async (user) => {
+    try {
+      setBusyId(user.id);
+      const response = await api.unlockUser(user.id);
+      replaceUser(response.data.user);
+    } catch (err) {
+      console.error('Error unlocking account:', err);
+      setError(err.message || 'Could not unlock the account.');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleResetTwoFactor = async (user) => {
+    if (!window.confirm(`Turn off two-factor authentication for ${user.email}? Only do this after confirming who is asking, e.g. when they lost their phone and recovery codes.`)) {
+      return;
+    }
+
+    try {
+      setBusyId(user.id);
+      const response = await api.resetUserTwoFactor(user.id);
+      replaceUser(response.data.user);
+    } catch (err) {
+      console.error('Error resetting two-factor authentication:', err);
+      setError(err.message || 'Could not reset two-factor authentication.');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleVerifyEmail = async (user) => {
+    if (!window.confirm(`Mark ${user.email} as verified without the emailed link?`)) {
+      return;
+    }
+
+    try {
+      setBusyId(user.id);
+      const response = await api.markUserVerified(user.id);
+      replaceUser(response.data.user);
+    } catch (err) {
+      console.error('Error verifying email:', err);
+      setError(err.message || 'Could not verify the email address.');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleExportData = async (user) => {
+    try {
+      setBusyId(user.id);
+      const response = await api.downloadUserData(user.id);
+      const blob = await response.blob();
+      pdfExportService.downloadBlob(blob, `${user.email.replace(/[^a-z0-9]+/gi, '-')}-data.zip`);
+    } catch (err) {
+      console.error('Error exporting user data:', err);
+      setError(err.message || 'Could not export the account data.');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleScheduleDeletion = async (user) => {
+    if (!window.confirm(`Delete ${user.email}? They will be signed out everywhere and their account erased after the grace period unless someone cancels.`)) {
+      return;
+    }
+
+    try {
+      setBusyId(user.id);
+      const response = await api.deleteUser(user.id);
+      replaceUser(response.data.user);
+    } catch (err) {
+      console.error('Error scheduling account deletion:', err);
+      setError(err.message || 'Could not delete the account.');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleEraseNow = async (user) => {
+    if (!window.confirm(`Erase ${user.email} now? Their newsletters, templates and shares are removed for good. This cannot be undone.`)) {
+      return;
+    }
+
+    try {
+      setBusyId(user.id);
+      await api.deleteUser(user.id, { immediate: true });
+      setUsers(prev => prev.filter(u => u.id !== user.id));
+      onChanged?.();
+    } catch (err) {
+      console.error('Error erasing account:', err);
+      setError(err.message || 'Could not erase the account.');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleCancelDeletion = async (user) => {
+    try {
+      setBusyId(user.id);
+      const response = await api.cancelUserDeletion(user.id);
+      replaceUser(response.data.user);
+    } catch (err) {
+      console.error('Error cancelling account deletion:', err);
+      setError(err.message || 'Could not cancel the deletion.');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <div className="bg-white shadow rounded-lg">
+      <div className="flex flex-col sm:flex-row gap-3 p-4 border-b border-gray-200">
+        <input
+          type="search"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          placeholder="Search by name or email"
+          className="flex-1 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+        <select
+          value={status}
+          onChange={(e) => {
+            setStatus(e.target.value);
+            setOffset(0);
+          }}
+          className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+        >
+          <option value="all">All accounts</option>
+          <option value="active">Active</option>
+          <option value="inactive">Deactivated</option>
+        </select>
+      </div>
+
+      {error && <p className="px-4 pt-3 text-sm text-red-600">{error}</p>}
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200">
+          <thead className="bg-gray-50">
+            <tr>
+              {['User', 'School', 'Status', 'Last login', 'Joined', ''].map(heading => (
+                <th key={heading} className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                  {heading}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {loading && users.length === 0 ? (
+              <tr>
+                <td colSpan={6} className="px-4 py-6 text-center text-sm text-gray-500">Loading users...</td>
+              </tr>
+            ) : users.length === 0 ? (
+              <tr>
+                <td colSpan={6} className="px-4 py-6 text-center text-sm text-gray-500">No users match.</td>
+              </tr>
+            ) : (
+              users.map(user => {
+                const isSelf = user.id === currentUserId;
+
+                return (
+                  <React.Fragment key={user.id}>
+                    <tr className={user.isActive ? '' : 'bg-gray-50'}>
+                      <td className="px-4 py-3">
+                        <p className="text-sm font-medium text-gray-900">
+                          {user.displayName}
+                          {ROLE_BADGES[user.role] && (
+                            <span className={`ml-2 inline-flex px-2 py-0.5 text-xs font-medium rounded-full ${ROLE_BADGES[user.role].className}`}>
+                              {ROLE_BADGES[user.role].label}
+                            </span>
+                          )}
+                          {user.twoFactorEnabled && (
+                            <span className="ml-2 inline-flex px-2 py-0.5 text-xs font-medium rounded-full bg-green-100 text-green-800">
+                              2FA
+                            </span>
+                          )}
+                        </p>
+                        <p className="text-sm text-gray-500">
+                          {user.email}
+                          {!user.emailVerified && (
+                            <span className="ml-2 inline-flex px-2 py-0.5 text-xs font-medium rounded-full bg-yellow-100 text-yellow-800">
+                              Unverified
+                            </span>
+                          )}
+                        </p>
+                      </td>
+                      <td className="px-4 py-3 text-sm text-gray-600">{user.school || '—'}</td>
+                      <td className="px-4 py-3">
+                        <span className={`inline-flex px-2 py-0.5 text-xs font-medium rounded-full ${user.isActive ? 'bg-green-100 text-green-800' : 'bg-gray-200 text-gray-700'}`}>
+                          {user.isActive ? 'Active' : 'Deactivated'}
+                        </span>
+                        {user.isLocked && (
+                          <span
+                            title={`Locked until ${formatDateTime(user.lockedUntil)} after ${user.failedLoginAttempts} failed sign-ins`}
+                            className="ml-2 inline-flex px-2 py-0.5 text-xs font-medium rounded-full bg-red-100 text-red-800"
+                          >
+                            Locked
+                          </span>
+                        )}
+                        {user.deletionScheduledFor && (
+                          <span
+                            title={`Scheduled for deletion on ${formatDateTime(user.deletionScheduledFor)}`}
+                            className="ml-2 inline-flex px-2 py-0.5 text-xs font-medium rounded-full bg-red-100 text-red-800"
+                          >
+                            Deletion pending
+                          </span>
+                        )}
+                      </td>
+                      <td className="px-4 py-3 text-sm text-gray-600">{formatDateTime(user.lastLogin)}</td>
+                      <td className="px-4 py-3 text-sm text-gray-600">{formatDateTime(user.createdAt)}</td>
+                      <td className="px-4 py-3 text-sm text-right whitespace-nowrap space-x-3">
+                        <button
+                          onClick={() => setExpandedId(expandedId === user.id ? null : user.id)}
+                          className="text-blue-600 hover:text-blue-900 font-medium"
+                        >
+                          {expandedId === user.id ? 'Hide sessions' : 'Sessions'}
+                        </button>
+                        {!readOnly && !user.emailVerified && (
+                          <button
+                            onClick={() => handleVerifyEmail(user)}
+                            disabled={busyId === user.id}
+                            className="text-yellow-700 hover:text-yellow-900 font-medium disabled:opacity-40"
+                          >
+                            Verify email
+                          </button>
+                        )}
+                        {!readOnly && user.isLocked && (
+                          <button
+                            onClick={() => handleUnlock(user)}
+                            disabled={busyId === user.id}
+                            className="text-red-600 hover:text-red-900 font-medium disabled:opacity-40"
+                          >
+                            Unlock
+                          </button>
+                        )}
+                        {!readOnly && user.twoFactorEnabled && (
+                          <button
+                            onClick={() => handleResetTwoFactor(user)}
+                            disabled={isSelf || busyId === user.id}
+                            title={isSelf ? 'Turn off your own two-factor authentication from the Account page' : undefined}
+                            className="text-yellow-700 hover:text-yellow-900 font-medium disabled:opacity-40"
+                          >
+                            Reset 2FA
+                          </button>
+                        )}
+                        {!readOnly && (
+                          <>
+                            <select
+                              value={user.role}
+                              onChange={(e) => handleChangeRole(user, e.target.value)}
+                              disabled={isSelf || busyId === user.id}
+                              title={isSelf ? 'You cannot change your own role' : undefined}
+                              aria-label={`Role of ${user.email}`}
+                              className="px-2 py-1 text-sm border border-gray-300 rounded-md disabled:opacity-40"
+                            >
+                              {ROLES.map(option => (
+                                <option key={option.value} value={option.value}>{option.label}</option>
+                              ))}
+                            </select>
+                            <button
+                              onClick={() => handleToggleStatus(user)}
+                              disabled={isSelf || busyId === user.id}
+                              title={isSelf ? 'You cannot deactivate yourself' : undefined}
+                              className={`font-medium disabled:opacity-40 ${user.isActive ? 'text-red-600 hover:text-red-900' : 'text-green-600 hover:text-green-900'}`}
+                            >
+                              {user.isActive ? 'Deactivate' : 'Activate'}
+                            </button>
+                            <button
+                              onClick={() => handleExportData(user)}
+                              disabled={busyId === user.id}
+                              className="text-blue-600 hover:text-blue-900 font-medium disabled:opacity-40"
+                            >
+                              Export data
+                            </button>
+                            {user.deletionScheduledFor ? (
+                              <>
+                                <button
+                                  onClick={() => handleCancelDeletion(user)}
+                                  disabled={isSelf || busyId === user.id}
+                                  className="text-green-600 hover:text-green-900 font-medium disabled:opacity-40"
+                                >
+                                  Cancel deletion
+                                </button>
+                                <button
+                                  onClick={() => handleEraseNow(user)}
+                                  disabled={isSelf || busyId === user.id}
+                                  className="text-red-600 hover:text-red-900 font-medium disabled:opacity-40"
+                                >
+                                  Erase now
+                                </button>
+                              </>
+                            ) : (
+                              <button
+                                onClick={() => handleScheduleDeletion(user)}
+                                disabled={isSelf || busyId === user.id}
+                                title={isSelf ? 'Delete your own account from the Account page' : undefined}
+                                className="text-red-600 hover:text-red-900 font-medium disabled:opacity-40"
+                              >
+                                Delete
+                              </button>
+                            )}
+                          </>
+                        )}
+                      </td>
+                    </tr>
+                    {expandedId === user.id && (
+                      <tr>
+                        <td colSpan={6} className="px-4 py-3 bg-gray-50">
+                          <UserSessions userId={user.id} onChanged={onChanged} readOnly={readOnly} />
+                        </td>
+                      </tr>
+                    )}
+                  </React.Fragment>
+                );
+              })
+            )}
+          </tbody>
+        </table>
+      </div>
+
+      <Pagination pagination={pagination} onChange={setOffset} />
+    </div>
+  );
+};
+
+export default UserTable;
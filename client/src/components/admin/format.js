@@ -0,0 +1,15 @@
+// Shared display helpers for the admin console
+
+export const formatDateTime = (value) => {
+  if (!value) return '—';
+
+  return new Date(value).toLocaleString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+};
+
+export const formatCount = (value) => Number(value || 0).toLocaleString('en-US');
@@ -0,0 +1,114 @@
+import React, { useState } from 'react';
+import api from '../../services/api';
+import pdfExportService from '../../services/pdfExportService';
+
+const selectClass = 'px-2 py-1 border border-gray-300 rounded-md text-sm bg-white focus:outline-none focus:ring-2 focus:ring-blue-500';
+const actionClass = 'px-3 py-1 text-sm font-medium rounded-md border border-gray-300 text-gray-700 bg-white hover:bg-gray-50 disabled:opacity-50';
+
+const MAX_EXPORT = 25;
+
+/**
+ * Actions on the newsletters selected in the library: move, tag, archive, delete and export
+ */
+const BulkActionBar = ({ selectedIds, folders, onDone, onClear, onError }) => {
+  const [tag, setTag] = useState('');
+  const [format, setFormat] = useState('pdf');
+  const [busy, setBusy] = useState(false);
+
+  const count = selectedIds.length;
+
+  const run = async (action) => {
+    setBusy(true);
+    try {
+      const message = await action();
+      await onDone(message);
+    } catch (err) {
+      console.error('Error applying bulk action:', err);
+      onError(err.data?.errors?.[0]?.msg || err.message || 'Could not update the selected newsletters.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const update = (action, params) => run(async () => {
+    const response = await api.bulkUpdateNewsletters(selectedIds, action, params);
+    return response.message;
+  });
+
+  const handleMove = (e) => {
+    const { value } = e.target;
+    if (!value) return;
+    update('move', { folderId: value === 'none' ? null : value });
+  };
+
+  const handleTag = (action) => {
+    if (!tag.trim()) return;
+    update(action, { tags: [tag.trim()] });
+    setTag('');
+  };
+
+  const handleDelete = () => {
+    if (!window.confirm(`Move ${count === 1 ? 'this newsletter' : `these ${count} newsletters`} to the trash?`)) return;
+    update('delete');
+  };
+
+  const handleExport = () => run(async () => {
+    const response = await api.exportNewsletters(selectedIds, format);
+    const blob = await response.blob();
+    pdfExportService.downloadBlob(blob, `newsletters-${new Date().toISOString().slice(0, 10)}.zip`);
+    return `Exported ${count === 1 ? '1 newsletter' : `${count} newsletters`}`;
+  });
+
+  return (
+    <div className="flex flex-wrap items-center gap-3 bg-blue-50 border border-blue-200 rounded-md px-3 py-2">
+      <span className="text-sm font-medium text-blue-900">{count} selected</span>
+
+      <select value="" onChange={handleMove} disabled={busy} aria-label="Move to folder" className={selectClass}>
+        <option value="">Move to…</option>
+        <option value="none">Unfiled</option>
+        {folders.map(folder => (
+          <option key={folder.id} value={folder.id}>{folder.name}</option>
+        ))}
+      </select>
+
+      <div className="flex items-center gap-1">
+        <input
+          type="text"
+          value={tag}
+          onChange={(e) => setTag(e.target.value.replace(/,/g, ''))}
+          maxLength={40}
+          placeholder="Tag"
+          aria-label="Tag"
+          className="w-28 px-2 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+        <button onClick={() => handleTag('tag')} disabled={busy || !tag.trim()} className={actionClass}>Add tag</button>
+        <button onClick={() => handleTag('untag')} disabled={busy || !tag.trim()} className={actionClass}>Remove tag</button>
+      </div>
+
+      <button onClick={() => update('archive')} disabled={busy} className={actionClass}>Archive</button>
+      <button onClick={handleDelete} disabled={busy} className={`${actionClass} text-red-700`}>Delete</button>
+
+      <div className="flex items-center gap-1">
+        <select value={format} onChange={(e) => setFormat(e.target.value)} disabled={busy} aria-label="Export format" className={selectClass}>
+          <option value="pdf">PDF</option>
+          <option value="docx">Word</option>
+          <option value="html">Email HTML</option>
+        </select>
+        <button
+          onClick={handleExport}
+          disabled={busy || count > MAX_EXPORT}
+          title={count > MAX_EXPORT ? `Export up to ${MAX_EXPORT} newsletters at a time` : undefined}
+          className={actionClass}
+        >
+          Export
+        </button>
+      </div>
+
+      <button onClick={onClear} disabled={busy} className="ml-auto text-sm text-gray-600 hover:text-gray-800">
+        Clear selection
+      </button>
+    </div>
+  );
+};
+
+export default BulkActionBar;
@@ -0,0 +1,168 @@
+import React, { useState } from 'react';
+import api from '../../services/api';
+
+const itemClass = (active) => `w-full flex items-center justify-between px-3 py-2 rounded-md text-sm text-left ${
+  active ? 'bg-blue-50 text-blue-700 font-medium' : 'text-gray-700 hover:bg-gray-50'
+}`;
+
+/**
+ * Folder and tag filters for the newsletter library, with folder and tag management.
+ * folderId is '' for all newsletters or 'none' for unfiled ones; tags all have to match.
+ */
+const FolderSidebar = ({ folders, tags, total, folderId, selectedTags, onSelectFolder, onToggleTag, onChanged, onError }) => {
+  const [newFolder, setNewFolder] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const filedCount = folders.reduce((sum, folder) => sum + folder.newsletterCount, 0);
+  const activeFolder = folders.find(folder => folder.id === folderId);
+  const activeTag = selectedTags.length === 1 ? selectedTags[0] : null;
+
+  const run = async (action) => {
+    setSaving(true);
+    try {
+      await action();
+      await onChanged();
+    } catch (err) {
+      console.error('Error organizing newsletters:', err);
+      onError(err.data?.errors?.[0]?.msg || err.message || 'Could not save the change.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCreateFolder = (e) => {
+    e.preventDefault();
+    if (!newFolder.trim()) return;
+
+    run(async () => {
+      const response = await api.createNewsletterFolder(newFolder.trim());
+      setNewFolder('');
+      onSelectFolder(response.data.folder.id);
+    });
+  };
+
+  const handleRenameFolder = () => {
+    const name = window.prompt('Rename folder', activeFolder.name);
+    if (!name || !name.trim() || name.trim() === activeFolder.name) return;
+
+    run(() => api.renameNewsletterFolder(activeFolder.id, name.trim()));
+  };
+
+  const handleDeleteFolder = () => {
+    if (!window.confirm(`Delete the folder "${activeFolder.name}"? Its newsletters are kept and become unfiled.`)) return;
+
+    run(async () => {
+      await api.deleteNewsletterFolder(activeFolder.id);
+      onSelectFolder('');
+    });
+  };
+
+  const handleRenameTag = () => {
+    const name = window.prompt('Rename tag', activeTag);
+    if (!name || !name.trim() || name.trim().toLowerCase() === activeTag) return;
+
+    run(async () => {
+      await api.renameNewsletterTag(activeTag, name.trim());
+      onToggleTag(activeTag);
+    });
+  };
+
+  const handleRemoveTag = () => {
+    if (!window.confirm(`Remove the tag "${activeTag}" from every newsletter?`)) return;
+
+    run(async () => {
+      await api.deleteNewsletterTag(activeTag);
+      onToggleTag(activeTag);
+    });
+  };
+
+  return (
+    <nav className="space-y-6">
+      <div>
+        <h3 className="px-3 text-xs font-semibold text-gray-500 uppercase tracking-wider">Folders</h3>
+        <div className="mt-2 space-y-1">
+          <button onClick={() => onSelectFolder('')} className={itemClass(folderId === '')}>
+            <span>All newsletters</span>
+            <span className="text-xs text-gray-500">{total}</span>
+          </button>
+          <button onClick={() => onSelectFolder('none')} className={itemClass(folderId === 'none')}>
+            <span>Unfiled</span>
+            <span className="text-xs text-gray-500">{Math.max(total - filedCount, 0)}</span>
+          </button>
+          {folders.map(folder => (
+            <button key={folder.id} onClick={() => onSelectFolder(folder.id)} className={itemClass(folderId === folder.id)}>
+              <span className="truncate">📁 {folder.name}</span>
+              <span className="text-xs text-gray-500">{folder.newsletterCount}</span>
+            </button>
+          ))}
+        </div>
+
+        {activeFolder && (
+          <div className="mt-2 px-3 flex gap-3 text-xs">
+            <button onClick={handleRenameFolder} disabled={saving} className="text-blue-600 hover:text-blue-800 disabled:opacity-50">
+              Rename
+            </button>
+            <button onClick={handleDeleteFolder} disabled={saving} className="text-red-600 hover:text-red-800 disabled:opacity-50">
+              Delete folder
+            </button>
+          </div>
+        )}
+
+        <form onSubmit={handleCreateFolder} className="mt-3 px-3 flex gap-2">
+          <input
+            type="text"
+            value={newFolder}
+            onChange={(e) => setNewFolder(e.target.value)}
+            maxLength={100}
+            placeholder="New folder"
+            aria-label="New folder name"
+            className="min-w-0 flex-1 px-2 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          <button
+            type="submit"
+            disabled={saving || !newFolder.trim()}
+            className="px-2 py-1 text-sm font-medium text-blue-600 hover:text-blue-800 disabled:opacity-50"
+          >
+            Add
+          </button>
+        </form>
+      </div>
+
+      <div>
+        <h3 className="px-3 text-xs font-semibold text-gray-500 uppercase tracking-wider">Tags</h3>
+        {tags.length === 0 ? (
+          <p className="mt-2 px-3 text-sm text-gray-500">Select newsletters to tag them.</p>
+        ) : (
+          <div className="mt-2 px-3 flex flex-wrap gap-2">
+            {tags.map(tag => (
+              <button
+                key={tag.name}
+                onClick={() => onToggleTag(tag.name)}
+                className={`px-2 py-0.5 rounded-full text-xs font-medium ${
+                  selectedTags.includes(tag.name)
+                    ? 'bg-blue-600 text-white'
+                    : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                }`}
+              >
+                #{tag.name} <span className="opacity-75">{tag.count}</span>
+              </button>
+            ))}
+          </div>
+        )}
+
+        {activeTag && (
+          <div className="mt-2 px-3 flex gap-3 text-xs">
+            <button onClick={handleRenameTag} disabled={saving} className="text-blue-600 hover:text-blue-800 disabled:opacity-50">
+              Rename tag
+            </button>
+            <button onClick={handleRemoveTag} disabled={saving} className="text-red-600 hover:text-red-800 disabled:opacity-50">
+              Remove tag
+            </button>
+          </div>
+        )}
+      </div>
+    </nav>
+  );
+};
+
+export default FolderSidebar;
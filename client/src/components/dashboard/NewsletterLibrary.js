@@ -0,0 +1,338 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import api from '../../services/api';
+import FolderSidebar from './FolderSidebar';
+import BulkActionBar from './BulkActionBar';
+
+const PAGE_SIZE = 20;
+
+const inputClass = 'px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+const SORT_OPTIONS = [
+  { value: 'updated', label: 'Recently updated' },
+  { value: 'created', label: 'Recently created' },
+  { value: 'published', label: 'Publish date' },
+  { value: 'title', label: 'Title A–Z' }
+];
+
+const STATUS_BADGES = {
+  published: 'bg-green-100 text-green-800',
+  draft: 'bg-yellow-100 text-yellow-800',
+  archived: 'bg-gray-100 text-gray-800'
+};
+
+const formatDate = (dateString) => new Date(dateString).toLocaleDateString('en-US', {
+  year: 'numeric',
+  month: 'short',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit'
+});
+
+const EMPTY_FILTERS = { folderId: '', tags: [], status: '', q: '', sort: 'updated' };
+
+/**
+ * The teacher's newsletters with folder, tag, status and title filters, sorting,
+ * paging and bulk actions. Reports the account-wide stats through onStats.
+ */
+const NewsletterLibrary = ({ onStats, refreshKey }) => {
+  const navigate = useNavigate();
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [titleInput, setTitleInput] = useState('');
+  const [offset, setOffset] = useState(0);
+  const [newsletters, setNewsletters] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [allCount, setAllCount] = useState(0);
+  const [folders, setFolders] = useState([]);
+  const [tags, setTags] = useState([]);
+  const [selected, setSelected] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+
+  const loadNewsletters = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await api.getNewsletters({
+        ...filters,
+        limit: PAGE_SIZE,
+        offset
+      });
+      setNewsletters(response.data.newsletters);
+      setTotal(response.data.pagination.total);
+      setAllCount(parseInt(response.data.stats.total) || 0);
+      onStats(response.data.stats);
+    } catch (err) {
+      console.error('Error loading newsletters:', err);
+      setError(err.message || 'Your newsletters are unavailable right now.');
+    } finally {
+      setLoading(false);
+    }
+  }, [filters, offset, onStats]);
+
+  const loadFacets = useCallback(async () => {
+    try {
+      const [folderResponse, tagResponse] = await Promise.all([
+        api.getNewsletterFolders(),
+        api.getNewsletterTags()
+      ]);
+      setFolders(folderResponse.data.folders);
+      setTags(tagResponse.data.tags);
+    } catch (err) {
+      console.error('Error loading folders and tags:', err);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadNewsletters();
+  }, [loadNewsletters, refreshKey]);
+
+  useEffect(() => {
+    loadFacets();
+  }, [loadFacets, refreshKey]);
+
+  // Filter by title once the teacher stops typing
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setFilters(prev => (prev.q === titleInput.trim() ? prev : { ...prev, q: titleInput.trim() }));
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [titleInput]);
+
+  // A different filter or page starts a fresh selection
+  useEffect(() => {
+    setSelected([]);
+  }, [filters, offset]);
+
+  const setFilter = (key, value) => {
+    setFilters(prev => ({ ...prev, [key]: value }));
+    setOffset(0);
+  };
+
+  const toggleTag = (tag) => {
+    setFilter('tags', filters.tags.includes(tag)
+      ? filters.tags.filter(other => other !== tag)
+      : [...filters.tags, tag]);
+  };
+
+  const clearFilters = () => {
+    setFilters(EMPTY_FILTERS);
+    setTitleInput('');
+    setOffset(0);
+  };
+
+  const reload = async (message) => {
+    setError(null);
+    setNotice(message || null);
+    setSelected([]);
+    await Promise.all([loadNewsletters(), loadFacets()]);
+  };
+
+  const toggleSelected = (id) => {
+    setSelected(prev => (prev.includes(id) ? prev.filter(other => other !== id) : [...prev, id]));
+  };
+
+  const allSelected = newsletters.length > 0 && newsletters.every(newsletter => selected.includes(newsletter.id));
+
+  const handleDuplicate = async (id) => {
+    try {
+      const response = await api.duplicateNewsletter(id);
+      await reload(response.message);
+    } catch (err) {
+      console.error('Error duplicating newsletter:', err);
+      setError(err.message || 'Could not duplicate the newsletter.');
+    }
+  };
+
+  const handleDelete = async (id) => {
+    if (!window.confirm('Move this newsletter to the trash? You can restore it from the Trash page.')) {
+      return;
+    }
+
+    try {
+      const response = await api.deleteNewsletter(id);
+      await reload(response.message);
+    } catch (err) {
+      console.error('Error deleting newsletter:', err);
+      setError(err.message || 'Could not delete the newsletter.');
+    }
+  };
+
+  const folderName = (id) => folders.find(folder => folder.id === id)?.name;
+  const filtered = filters.folderId || filters.tags.length > 0 || filters.status || filters.q;
+  const pageEnd = Math.min(offset + PAGE_SIZE, total);
+
+  return (
+    <div className="bg-white shadow sm:rounded-md">
+      <div className="px-4 py-5 sm:p-6">
+        <h2 className="text-lg font-medium text-gray-900 mb-4">Your Newsletters</h2>
+
+        <div className="flex flex-col md:flex-row gap-6">
+          <aside className="md:w-56 shrink-0">
+            <FolderSidebar
+              folders={folders}
+              tags={tags}
+              total={allCount}
+              folderId={filters.folderId}
+              selectedTags={filters.tags}
+              onSelectFolder={(id) => setFilter('folderId', id)}
+              onToggleTag={toggleTag}
+              onChanged={() => reload()}
+              onError={setError}
+            />
+          </aside>
+
+          <div className="flex-1 min-w-0 space-y-4">
+            <div className="flex flex-col sm:flex-row gap-3">
+              <input
+                type="search"
+                value={titleInput}
+                onChange={(e) => setTitleInput(e.target.value)}
+                placeholder="Filter by title"
+                aria-label="Filter by title"
+                className={`flex-1 ${inputClass}`}
+              />
+              <select value={filters.status} onChange={(e) => setFilter('status', e.target.value)} aria-label="Status" className={inputClass}>
+                <option value="">Any status</option>
+                <option value="draft">Drafts</option>
+                <option value="published">Published</option>
+                <option value="archived">Archived</option>
+              </select>
+              <select value={filters.sort} onChange={(e) => setFilter('sort', e.target.value)} aria-label="Sort by" className={inputClass}>
+                {SORT_OPTIONS.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+
+            {notice && <p className="text-sm text-green-700">{notice}</p>}
+            {error && <p className="text-sm text-red-600">{error}</p>}
+
+            {selected.length > 0 && (
+              <BulkActionBar
+                selectedIds={selected}
+                folders={folders}
+                onDone={reload}
+                onClear={() => setSelected([])}
+                onError={setError}
+              />
+            )}
+
+            {!loading && newsletters.length === 0 ? (
+              <div className="text-center py-12">
+                {filtered ? (
+                  <>
+                    <h3 className="text-sm font-medium text-gray-900">No newsletters match these filters</h3>
+                    <button onClick={clearFilters} className="mt-2 text-sm text-blue-600 hover:text-blue-800">
+                      Clear filters
+                    </button>
+                  </>
+                ) : (
+                  <>
+                    <h3 className="text-sm font-medium text-gray-900">No newsletters yet</h3>
+                    <p className="mt-1 text-sm text-gray-500">Get started by creating your first classroom newsletter.</p>
+                    <button
+                      onClick={() => navigate('/editor')}
+                      className="mt-6 inline-flex items-center px-4 py-2 border border-transparent shadow-sm text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700"
+                    >
+                      Create Newsletter
+                    </button>
+                  </>
+                )}
+              </div>
+            ) : (
+              <div className={loading ? 'opacity-60' : ''}>
+                <label className="flex items-center gap-2 px-1 pb-2 text-sm text-gray-600">
+                  <input
+                    type="checkbox"
+                    checked={allSelected}
+                    onChange={() => setSelected(allSelected ? [] : newsletters.map(newsletter => newsletter.id))}
+                    className="h-4 w-4 rounded border-gray-300"
+                  />
+                  Select all on this page
+                </label>
+
+                <ul className="space-y-3">
+                  {newsletters.map(newsletter => (
+                    <li key={newsletter.id} className="border border-gray-200 rounded-lg p-4 hover:bg-gray-50 transition-colors duration-200">
+                      <div className="flex items-start gap-3">
+                        <input
+                          type="checkbox"
+                          checked={selected.includes(newsletter.id)}
+                          onChange={() => toggleSelected(newsletter.id)}
+                          aria-label={`Select ${newsletter.title}`}
+                          className="mt-1.5 h-4 w-4 rounded border-gray-300"
+                        />
+                        <div className="flex-1 min-w-0">
+                          <h3 className="text-lg font-medium text-gray-900 truncate">{newsletter.title}</h3>
+                          <div className="mt-1 flex flex-wrap items-center gap-x-4 gap-y-1 text-sm text-gray-500">
+                            <span>Created {formatDate(newsletter.createdAt)}</span>
+                            <span>Updated {formatDate(newsletter.updatedAt)}</span>
+                            <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${STATUS_BADGES[newsletter.status] || STATUS_BADGES.archived}`}>
+                              {newsletter.status.charAt(0).toUpperCase() + newsletter.status.slice(1)}
+                            </span>
+                            {newsletter.folderId && folderName(newsletter.folderId) && (
+                              <span>📁 {folderName(newsletter.folderId)}</span>
+                            )}
+                          </div>
+                          {newsletter.tags?.length > 0 && (
+                            <div className="mt-2 flex flex-wrap gap-1">
+                              {newsletter.tags.map(tag => (
+                                <button
+                                  key={tag}
+                                  onClick={() => !filters.tags.includes(tag) && toggleTag(tag)}
+                                  className="px-2 py-0.5 rounded-full text-xs bg-gray-100 text-gray-700 hover:bg-gray-200"
+                                >
+                                  #{tag}
+                                </button>
+                              ))}
+                            </div>
+                          )}
+                        </div>
+                        <div className="flex items-center space-x-2">
+                          <button onClick={() => navigate(`/editor/${newsletter.id}`)} className="text-blue-600 hover:text-blue-800 font-medium text-sm">
+                            Edit
+                          </button>
+                          <button onClick={() => handleDuplicate(newsletter.id)} className="text-green-600 hover:text-green-800 font-medium text-sm">
+                            Duplicate
+                          </button>
+                          <button onClick={() => handleDelete(newsletter.id)} className="text-red-600 hover:text-red-800 font-medium text-sm">
+                            Delete
+                          </button>
+                        </div>
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+
+                {total > PAGE_SIZE && (
+                  <div className="mt-4 flex items-center justify-between text-sm text-gray-600">
+                    <span>Showing {offset + 1}–{pageEnd} of {total}</span>
+                    <div className="flex gap-2">
+                      <button
+                        onClick={() => setOffset(Math.max(offset - PAGE_SIZE, 0))}
+                        disabled={offset === 0 || loading}
+                        className="px-3 py-1 border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50"
+                      >
+                        Previous
+                      </button>
+                      <button
+                        onClick={() => setOffset(offset + PAGE_SIZE)}
+                        disabled={pageEnd >= total || loading}
+                        className="px-3 py-1 border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50"
+                      >
+                        Next
+                      </button>
+                    </div>
+                  </div>
+                )}
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default NewsletterLibrary;
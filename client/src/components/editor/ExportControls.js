@@ -20,7 +20,14 @@ const ExportControls = ({ previewRef, newsletter, onExportComplete }) => {
     
     switch (exportFormat) {
       case 'pdf':
+      case 'vector-pdf':
         return `${title}_${date}.pdf`;
+      case 'docx':
+        return `${title}_${date}.docx`;
+      case 'email-html':
+        return `${title}_${date}.html`;
+      case 'ics':
+        return `${title}_${date}.ics`;
       case 'png':
         return `${title}_${date}.png`;
       case 'jpeg':
@@ -30,8 +37,11 @@ const ExportControls = ({ previewRef, newsletter, onExportComplete }) => {
     }
   };
 
+  // Formats rendered on the server from the saved newsletter rather than the preview DOM
+  const isServerFormat = ['vector-pdf', 'docx', 'email-html', 'ics'].includes(exportFormat);
+
   const handleExport = async () => {
-    if (!previewRef.current) {
+    if (!isServerFormat && !previewRef?.current) {
       alert('Newsletter preview not available. Please try again.');
       return;
     }
@@ -60,6 +70,22 @@ const ExportControls = ({ previewRef, newsletter, onExportComplete }) => {
           );
           break;
           
+        case 'vector-pdf':
+          result = await pdfExportService.exportServerPDF(newsletter, filename);
+          break;
+
+        case 'docx':
+          result = await pdfExportService.exportServerDOCX(newsletter, filename);
+          break;
+
+        case 'email-html':
+          result = await pdfExportService.exportEmailHTML(newsletter, filename);
+          break;
+
+        case 'ics':
+          result = await pdfExportService.exportCalendar(newsletter, filename);
+          break;
+
         case 'png':
           result = await pdfExportService.exportToImage(
             previewRef.current, 
@@ -98,6 +124,18 @@ const ExportControls = ({ previewRef, newsletter, onExportComplete }) => {
     setIsExporting(false);
   };
 
+  const handleCopyForEmail = async () => {
+    setIsExporting(true);
+
+    const result = await pdfExportService.copyEmailHTML(newsletter);
+    if (result.success) {
+      onExportComplete?.(result);
+    }
+    alert(result.message);
+
+    setIsExporting(false);
+  };
+
   return (
     <div className="bg-white rounded-lg shadow-lg p-6 border border-gray-200">
       <h3 className="text-lg font-semibold text-gray-900 mb-4 flex items-center">
@@ -132,7 +170,7 @@ const ExportControls = ({ previewRef, newsletter, onExportComplete }) => {
         </div>
 
         {/* Quality Selection (for PDF and images) */}
-        {exportFormat !== 'print' && (
+        {exportFormat !== 'print' && !isServerFormat && (
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-2">
               Export Quality
@@ -196,11 +234,26 @@ const ExportControls = ({ previewRef, newsletter, onExportComplete }) => {
           )}
         </button>
 
+        {exportFormat === 'email-html' && (
+          <button
+            onClick={handleCopyForEmail}
+            disabled={isExporting}
+            className="w-full flex items-center justify-center px-4 py-2 rounded-lg font-medium border-2 border-blue-600 text-blue-700 hover:bg-blue-50 transition-all disabled:opacity-50 disabled:cursor-not-allowed"
+          >
+            <span className="text-lg mr-2">📋</span>
+            Copy to Clipboard for Email
+          </button>
+        )}
+
         {/* Export Tips */}
         <div className="bg-gray-50 rounded-lg p-4 mt-4">
           <h4 className="text-sm font-medium text-gray-900 mb-2">💡 Export Tips</h4>
           <ul className="text-xs text-gray-600 space-y-1">
             <li>• PDF format is best for sharing and printing</li>
+            <li>• PDF (Selectable Text) is rendered on the server and looks the same everywhere</li>
+            <li>• Word Document keeps your sections editable in Word or Google Docs</li>
+            <li>• Email HTML pastes cleanly into Gmail, Outlook and other mail clients</li>
+            <li>• Calendar Events lets parents add your Events sections to their calendars</li>
             <li>• PNG format preserves transparency and quality</li>
             <li>• JPEG format is smaller but may lose some quality</li>
             <li>• Print option opens your browser's print dialog</li>
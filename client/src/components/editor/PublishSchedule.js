@@ -0,0 +1,300 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import api from '../../services/api';
+
+const EXPIRY_OPTIONS = [
+  { value: '', label: 'Never expires' },
+  { value: '7', label: '7 days' },
+  { value: '30', label: '30 days' },
+  { value: '90', label: '90 days' }
+];
+
+const STATUS_BADGES = {
+  pending: 'bg-blue-100 text-blue-800',
+  running: 'bg-yellow-100 text-yellow-800',
+  completed: 'bg-green-100 text-green-800',
+  failed: 'bg-red-100 text-red-800',
+  cancelled: 'bg-gray-100 text-gray-700'
+};
+
+// Longest wait between checks on a scheduled publish; browsers cap timers at ~24 days anyway
+const MAX_CHECK_DELAY_MS = 60 * 60 * 1000;
+const RUNNING_CHECK_DELAY_MS = 5000;
+
+const inputClass = 'px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+const formatDateTime = (dateString) => new Date(dateString).toLocaleString('en-US', {
+  weekday: 'short',
+  month: 'short',
+  day: 'numeric',
+  hour: 'numeric',
+  minute: '2-digit'
+});
+
+// datetime-local wants local time without a zone: YYYY-MM-DDTHH:mm
+const toLocalInput = (date) => {
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+  return local.toISOString().slice(0, 16);
+};
+
+const parseRecipients = (value) => value.split(/[\s,;]+/).map(email => email.trim()).filter(Boolean);
+
+const describeDistribution = (distribution = {}) => {
+  const parts = [];
+  if (distribution.shareLink) parts.push('create a share link');
+  if (distribution.emailRecipients?.length) {
+    const count = distribution.emailRecipients.length;
+    parts.push(`email ${count} ${count === 1 ? 'recipient' : 'recipients'}`);
+  }
+  if (distribution.calendarFeed) parts.push('update your calendar feed');
+  return parts.length > 0 ? `Then ${parts.join(', ')}.` : 'Publish only.';
+};
+
+/**
+ * Schedule the newsletter to publish later and choose how it is distributed.
+ * Calls onPublished once a scheduled publish finishes while the editor is open.
+ */
+const PublishSchedule = ({ newsletter, onPublished }) => {
+  const [scheduled, setScheduled] = useState(null);
+  const [history, setHistory] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [publishAt, setPublishAt] = useState(() => toLocalInput(new Date(Date.now() + 24 * 60 * 60 * 1000)));
+  const [shareLink, setShareLink] = useState(true);
+  const [shareLinkExpiresInDays, setShareLinkExpiresInDays] = useState('30');
+  const [recipients, setRecipients] = useState('');
+  const [calendarFeed, setCalendarFeed] = useState(true);
+  const watchedJobId = useRef(null);
+
+  const newsletterId = newsletter?.id;
+  const isPublished = newsletter?.status === 'published';
+
+  const applySchedule = useCallback((data) => {
+    setScheduled(data.scheduled);
+    setHistory(data.history);
+
+    // The publish we were waiting on has finished
+    if (watchedJobId.current && !data.scheduled) {
+      const finished = data.history.find(job => job.id === watchedJobId.current);
+      if (finished?.status === 'completed') {
+        onPublished(finished);
+      }
+    }
+    watchedJobId.current = data.scheduled?.id || null;
+  }, [onPublished]);
+
+  const loadSchedule = useCallback(async () => {
+    if (!newsletterId) return;
+
+    setLoading(true);
+    try {
+      const response = await api.getPublishSchedule(newsletterId);
+      applySchedule(response.data);
+      setError(null);
+    } catch (err) {
+      console.error('Error loading publish schedule:', err);
+      setError(err.message || 'Failed to load the publish schedule');
+    } finally {
+      setLoading(false);
+    }
+  }, [newsletterId, applySchedule]);
+
+  useEffect(() => {
+    loadSchedule();
+  }, [loadSchedule]);
+
+  // Check back when the scheduled time comes, and every few seconds while it runs
+  useEffect(() => {
+    if (!scheduled) return undefined;
+
+    const due = new Date(scheduled.runAt).getTime() - Date.now();
+    const delay = due > 0 ? Math.min(due + 1000, MAX_CHECK_DELAY_MS) : RUNNING_CHECK_DELAY_MS;
+    const timer = setTimeout(loadSchedule, delay);
+    return () => clearTimeout(timer);
+  }, [scheduled, loadSchedule]);
+
+  const run = async (action) => {
+    setSaving(true);
+    try {
+      const response = await action();
+      applySchedule(response.data);
+      setError(null);
+    } catch (err) {
+      console.error('Error updating publish schedule:', err);
+      setError(err.data?.errors?.[0]?.msg || err.message || 'Failed to update the publish schedule');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSchedule = (e) => {
+    e.preventDefault();
+
+    run(() => api.schedulePublish(newsletterId, new Date(publishAt).toISOString(), {
+      shareLink,
+      shareLinkExpiresInDays: shareLink && shareLinkExpiresInDays ? parseInt(shareLinkExpiresInDays) : null,
+      emailRecipients: parseRecipients(recipients),
+      calendarFeed
+    }));
+  };
+
+  const handleCancel = () => {
+    if (!window.confirm('Cancel the scheduled publish? The newsletter stays a draft.')) return;
+    run(() => api.cancelScheduledPublish(newsletterId));
+  };
+
+  const handleRetry = (jobId) => run(async () => {
+    await api.retryJob(jobId);
+    return api.getPublishSchedule(newsletterId);
+  });
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-6 border border-gray-200">
+      <h3 className="text-lg font-semibold text-gray-900 mb-1 flex items-center">
+        <span className="text-2xl mr-2">🗓️</span>
+        Scheduled Publishing
+      </h3>
+      <p className="text-sm text-gray-500 mb-4">
+        Publish this newsletter at a set time and share it with families automatically.
+      </p>
+
+      {!newsletterId ? (
+        <p className="text-sm text-gray-600">Save the newsletter to schedule it.</p>
+      ) : (
+        <div className="space-y-4">
+          {error && <p className="text-sm text-red-600">{error}</p>}
+
+          {scheduled ? (
+            <div className="border border-blue-200 bg-blue-50 rounded-md p-4">
+              <p className="text-sm font-medium text-blue-900">
+                {scheduled.status === 'running'
+                  ? 'Publishing now…'
+                  : `Publishes ${formatDateTime(scheduled.runAt)}`}
+              </p>
+              <p className="mt-1 text-sm text-blue-800">{describeDistribution(scheduled.payload.distribution)}</p>
+              {scheduled.lastError && (
+                <p className="mt-1 text-xs text-red-700">
+                  Attempt {scheduled.attempts} of {scheduled.maxAttempts} failed: {scheduled.lastError}. It will be tried again.
+                </p>
+              )}
+              {scheduled.status === 'pending' && (
+                <button
+                  onClick={handleCancel}
+                  disabled={saving}
+                  className="mt-3 px-3 py-1 text-xs font-medium rounded text-red-700 bg-red-50 hover:bg-red-100 disabled:opacity-50"
+                >
+                  Cancel schedule
+                </button>
+              )}
+            </div>
+          ) : isPublished ? (
+            <p className="text-sm text-gray-600">This newsletter is published.</p>
+          ) : null}
+
+          {!isPublished && scheduled?.status !== 'running' && (
+            <form onSubmit={handleSchedule} className="space-y-3">
+              <label className="block text-sm font-medium text-gray-700">
+                Publish on
+                <input
+                  type="datetime-local"
+                  value={publishAt}
+                  min={toLocalInput(new Date())}
+                  onChange={(e) => setPublishAt(e.target.value)}
+                  required
+                  className={`mt-1 block w-full ${inputClass}`}
+                />
+              </label>
+
+              <div className="flex items-center gap-2 text-sm text-gray-700">
+                <label className="flex items-center">
+                  <input
+                    type="checkbox"
+                    checked={shareLink}
+                    onChange={(e) => setShareLink(e.target.checked)}
+                    className="mr-2"
+                  />
+                  Create a share link
+                </label>
+                {shareLink && (
+                  <select
+                    value={shareLinkExpiresInDays}
+                    onChange={(e) => setShareLinkExpiresInDays(e.target.value)}
+                    aria-label="Share link expiry"
+                    className="px-2 py-1 border border-gray-300 rounded-md text-sm"
+                  >
+                    {EXPIRY_OPTIONS.map(option => (
+                      <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                  </select>
+                )}
+              </div>
+
+              <label className="block text-sm font-medium text-gray-700">
+                Email it to
+                <textarea
+                  value={recipients}
+                  onChange={(e) => setRecipients(e.target.value)}
+                  rows={3}
+                  placeholder="parent@example.com, another.parent@example.com"
+                  className={`mt-1 block w-full ${inputClass}`}
+                />
+              </label>
+
+              <label className="flex items-center text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={calendarFeed}
+                  onChange={(e) => setCalendarFeed(e.target.checked)}
+                  className="mr-2"
+                />
+                Add its events to my calendar feed
+              </label>
+
+              <button
+                type="submit"
+                disabled={saving || !publishAt}
+                className="w-full px-4 py-2 text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 disabled:bg-blue-400"
+              >
+                {saving ? 'Saving...' : scheduled ? 'Reschedule' : 'Schedule'}
+              </button>
+            </form>
+          )}
+
+          {!loading && history.length > 0 && (
+            <div className="pt-4 border-t border-gray-200">
+              <h4 className="text-sm font-semibold text-gray-900 mb-2">History</h4>
+              <ul className="divide-y divide-gray-200 border border-gray-200 rounded-md">
+                {history.map(job => (
+                  <li key={job.id} className="p-3 text-xs text-gray-600">
+                    <div className="flex items-center justify-between gap-2">
+                      <span>
+                        <span className={`inline-flex px-2 py-0.5 mr-2 rounded-full font-medium ${STATUS_BADGES[job.status]}`}>
+                          {job.status.charAt(0).toUpperCase() + job.status.slice(1)}
+                        </span>
+                        {formatDateTime(job.finishedAt || job.runAt)}
+                      </span>
+                      {job.status === 'failed' && (
+                        <button
+                          onClick={() => handleRetry(job.id)}
+                          disabled={saving}
+                          className="px-2 py-0.5 font-medium rounded text-blue-700 bg-blue-50 hover:bg-blue-100 disabled:opacity-50"
+                        >
+                          Retry
+                        </button>
+                      )}
+                    </div>
+                    {job.status === 'failed' && job.lastError && (
+                      <p className="mt-1 text-red-700">{job.lastError}</p>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PublishSchedule;
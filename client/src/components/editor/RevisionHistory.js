@@ -0,0 +1,268 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import api from '../../services/api';
+
+const COMPARE_OPTIONS = [
+  { value: 'previous', label: 'Changes in this revision' },
+  { value: 'current', label: 'Compare with current version' }
+];
+
+// Short, readable form of a field value for the diff view
+const formatValue = (value) => {
+  if (value === null || value === undefined || value === '') return '(empty)';
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  return text.length > 120 ? `${text.slice(0, 117)}...` : text;
+};
+
+const FieldChanges = ({ fields }) => (
+  <ul className="mt-1 space-y-1">
+    {fields.map(change => (
+      <li key={change.field} className="text-xs">
+        <span className="font-medium text-gray-700">{change.field}:</span>{' '}
+        <span className="text-red-700 line-through">{formatValue(change.before)}</span>{' → '}
+        <span className="text-green-700">{formatValue(change.after)}</span>
+      </li>
+    ))}
+  </ul>
+);
+
+const DiffView = ({ diff }) => {
+  if (!diff.hasChanges) {
+    return <p className="text-sm text-gray-500">No differences.</p>;
+  }
+
+  return (
+    <div className="space-y-3 text-sm">
+      {diff.title && (
+        <div>
+          <p className="font-medium text-gray-900">Title</p>
+          <FieldChanges fields={[{ field: 'title', ...diff.title }]} />
+        </div>
+      )}
+
+      {diff.sections.added.map(entry => (
+        <div key={`added-${entry.id}`} className="border-l-4 border-green-400 pl-3">
+          <p className="font-medium text-green-800">Added {entry.type} section</p>
+        </div>
+      ))}
+
+      {diff.sections.removed.map(entry => (
+        <div key={`removed-${entry.id}`} className="border-l-4 border-red-400 pl-3">
+          <p className="font-medium text-red-800">Removed {entry.type} section</p>
+        </div>
+      ))}
+
+      {diff.sections.changed.map(entry => (
+        <div key={`changed-${entry.id}`} className="border-l-4 border-yellow-400 pl-3">
+          <p className="font-medium text-yellow-800">Edited {entry.type} section</p>
+          <FieldChanges fields={entry.fields} />
+        </div>
+      ))}
+
+      {diff.sections.reordered && (
+        <p className="text-gray-700">Sections were reordered.</p>
+      )}
+
+      {diff.content.length > 0 && (
+        <div>
+          <p className="font-medium text-gray-900">Content</p>
+          <FieldChanges fields={diff.content} />
+        </div>
+      )}
+
+      {diff.settings.length > 0 && (
+        <div>
+          <p className="font-medium text-gray-900">Settings</p>
+          <FieldChanges fields={diff.settings} />
+        </div>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Browse a newsletter's saved revisions, compare them and restore an old one
+ */
+const RevisionHistory = ({ newsletter, canEdit, onRestore }) => {
+  const [revisions, setRevisions] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [selected, setSelected] = useState(null);
+  const [compareWith, setCompareWith] = useState('previous');
+  const [diff, setDiff] = useState(null);
+  const [diffLoading, setDiffLoading] = useState(false);
+  const [restoring, setRestoring] = useState(false);
+  const [error, setError] = useState(null);
+
+  const newsletterId = newsletter?.id;
+  const currentRevision = newsletter?.revision;
+
+  const loadRevisions = useCallback(async () => {
+    if (!newsletterId) return;
+
+    setLoading(true);
+    try {
+      const response = await api.getRevisions(newsletterId);
+      setRevisions(response.data.revisions);
+      setError(null);
+    } catch (err) {
+      console.error('Error loading revisions:', err);
+      setError(err.message || 'Failed to load revision history');
+    } finally {
+      setLoading(false);
+    }
+  }, [newsletterId]);
+
+  useEffect(() => {
+    loadRevisions();
+  }, [loadRevisions, currentRevision]);
+
+  useEffect(() => {
+    if (!selected) {
+      setDiff(null);
+      return;
+    }
+
+    const from = compareWith === 'previous' ? selected.revisionNumber - 1 : selected.revisionNumber;
+    const to = compareWith === 'previous' ? selected.revisionNumber : undefined;
+
+    if (from < 1) {
+      setDiff(null);
+      return;
+    }
+
+    const loadDiff = async () => {
+      setDiffLoading(true);
+      try {
+        const response = await api.diffRevisions(newsletterId, from, to);
+        setDiff(response.data.diff);
+      } catch (err) {
+        console.error('Error comparing revisions:', err);
+        setError(err.message || 'Failed to compare revisions');
+      } finally {
+        setDiffLoading(false);
+      }
+    };
+
+    loadDiff();
+  }, [newsletterId, selected, compareWith]);
+
+  const handleRestore = async () => {
+    if (!window.confirm(`Restore revision ${selected.revisionNumber}? Your current version stays in the history.`)) {
+      return;
+    }
+
+    setRestoring(true);
+    try {
+      const response = await api.restoreRevision(newsletterId, selected.revisionNumber);
+      onRestore(response.data.newsletter);
+      setSelected(null);
+      setError(null);
+    } catch (err) {
+      console.error('Error restoring revision:', err);
+      setError(err.message || 'Failed to restore revision');
+    } finally {
+      setRestoring(false);
+    }
+  };
+
+  const formatDate = (dateString) => new Date(dateString).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit'
+  });
+
+  if (!newsletterId) {
+    return (
+      <div className="bg-white rounded-lg shadow p-6">
+        <p className="text-sm text-gray-600">Save the newsletter to start keeping a revision history.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+      <div className="bg-white rounded-lg shadow p-4">
+        <h2 className="text-lg font-semibold mb-3">🕘 Revisions</h2>
+
+        {loading && revisions.length === 0 ? (
+          <p className="text-sm text-gray-500">Loading history...</p>
+        ) : revisions.length === 0 ? (
+          <p className="text-sm text-gray-500">No revisions yet.</p>
+        ) : (
+          <ul className="divide-y divide-gray-200">
+            {revisions.map(revision => (
+              <li key={revision.id}>
+                <button
+                  onClick={() => setSelected(revision)}
+                  className={`w-full text-left p-2 rounded ${selected?.id === revision.id ? 'bg-blue-50' : 'hover:bg-gray-50'}`}
+                >
+                  <p className="text-sm font-medium text-gray-900">
+                    Revision {revision.revisionNumber}
+                    {revision.revisionNumber === currentRevision && (
+                      <span className="ml-2 text-xs text-green-700">(current)</span>
+                    )}
+                  </p>
+                  <p className="text-xs text-gray-500">
+                    {formatDate(revision.createdAt)} • {revision.author?.displayName || 'Unknown'}
+                  </p>
+                  {revision.summary && (
+                    <p className="text-xs text-gray-700 mt-1">{revision.summary}</p>
+                  )}
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      <div className="bg-white rounded-lg shadow p-6 lg:col-span-2">
+        {error && (
+          <p className="text-sm text-red-600 mb-3">{error}</p>
+        )}
+
+        {!selected ? (
+          <p className="text-sm text-gray-500">Select a revision to see what changed.</p>
+        ) : (
+          <div className="space-y-4">
+            <div className="flex flex-wrap items-center justify-between gap-2">
+              <h3 className="text-md font-semibold text-gray-900">Revision {selected.revisionNumber}</h3>
+              <div className="flex items-center gap-2">
+                <select
+                  value={compareWith}
+                  onChange={(e) => setCompareWith(e.target.value)}
+                  className="px-2 py-1 border border-gray-300 rounded-md text-sm"
+                >
+                  {COMPARE_OPTIONS.map(option => (
+                    <option key={option.value} value={option.value}>{option.label}</option>
+                  ))}
+                </select>
+                {canEdit && selected.revisionNumber !== currentRevision && (
+                  <button
+                    onClick={handleRestore}
+                    disabled={restoring}
+                    className="px-3 py-1 text-sm font-medium rounded text-white bg-blue-600 hover:bg-blue-700 disabled:bg-blue-400"
+                  >
+                    {restoring ? 'Restoring...' : 'Restore'}
+                  </button>
+                )}
+              </div>
+            </div>
+
+            {diffLoading ? (
+              <p className="text-sm text-gray-500">Comparing...</p>
+            ) : diff ? (
+              <DiffView diff={diff} />
+            ) : (
+              <p className="text-sm text-gray-500">
+                {compareWith === 'previous' ? 'This is the first revision.' : 'No differences.'}
+              </p>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default RevisionHistory;
@@ -0,0 +1,57 @@
+import React from 'react';
+
+/**
+ * Shown when a save is rejected because the newsletter changed in another tab or by a colleague
+ */
+const SaveConflictDialog = ({ serverNewsletter, busy, onMerge, onOverwrite, onDiscard }) => {
+  const updatedAt = serverNewsletter?.updatedAt
+    ? new Date(serverNewsletter.updatedAt).toLocaleString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: '2-digit'
+    })
+    : null;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg shadow-xl max-w-lg w-full p-6">
+        <h2 className="text-lg font-semibold text-gray-900 mb-2">⚠️ This newsletter changed elsewhere</h2>
+        <p className="text-sm text-gray-600 mb-4">
+          Someone saved a newer version{updatedAt && ` at ${updatedAt}`}
+          {serverNewsletter?.revision && ` (revision ${serverNewsletter.revision})`}
+          {' '}while you were editing. Your changes have not been saved yet.
+        </p>
+
+        <div className="space-y-3">
+          <button
+            onClick={onMerge}
+            disabled={busy || !serverNewsletter}
+            className="w-full text-left px-4 py-3 border border-gray-200 rounded-md hover:bg-blue-50 disabled:opacity-50"
+          >
+            <p className="text-sm font-medium text-gray-900">Merge changes</p>
+            <p className="text-xs text-gray-500">Combine both versions. Where you both edited the same part, yours is kept.</p>
+          </button>
+          <button
+            onClick={onOverwrite}
+            disabled={busy}
+            className="w-full text-left px-4 py-3 border border-gray-200 rounded-md hover:bg-blue-50 disabled:opacity-50"
+          >
+            <p className="text-sm font-medium text-gray-900">Keep my version</p>
+            <p className="text-xs text-gray-500">Save over the newer version. It stays available in History.</p>
+          </button>
+          <button
+            onClick={onDiscard}
+            disabled={busy || !serverNewsletter}
+            className="w-full text-left px-4 py-3 border border-gray-200 rounded-md hover:bg-red-50 disabled:opacity-50"
+          >
+            <p className="text-sm font-medium text-red-700">Discard my changes</p>
+            <p className="text-xs text-gray-500">Load the newer version instead.</p>
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SaveConflictDialog;
@@ -0,0 +1,142 @@
+import React from 'react';
+import { Draggable } from 'react-beautiful-dnd';
+import StrictModeDroppable from './StrictModeDroppable';
+import SectionRenderer from './SectionRenderer';
+import { SECTION_ICONS, SECTION_LABELS, getSectionTitle } from './SectionTypes';
+
+/**
+ * The editable list of sections. Must be rendered inside the editor's DragDropContext.
+ * Drag handles also work from the keyboard: focus, press space, move with the arrow keys, space to drop.
+ */
+const SectionCanvas = ({
+  sections,
+  theme,
+  canEdit,
+  editingId,
+  collapsedIds,
+  onChange,
+  onDelete,
+  onMove,
+  onDuplicate,
+  onToggleEdit,
+  onToggleCollapse
+}) => {
+  if (sections.length === 0) {
+    return (
+      <div className="border-2 border-dashed border-gray-300 rounded-lg p-8 text-center text-gray-500">
+        This newsletter has no sections yet. Add one from the outline.
+      </div>
+    );
+  }
+
+  return (
+    <StrictModeDroppable droppableId="section-canvas">
+      {(provided, snapshot) => (
+        <div
+          {...provided.droppableProps}
+          ref={provided.innerRef}
+          className={`space-y-4 ${snapshot.isDraggingOver ? 'bg-blue-50/50 rounded-lg' : ''}`}
+        >
+          {sections.map((section, index) => {
+            const title = getSectionTitle(section);
+            const collapsed = collapsedIds.has(section.id);
+
+            return (
+              <Draggable
+                key={section.id}
+                draggableId={`canvas-${section.id}`}
+                index={index}
+                isDragDisabled={!canEdit}
+              >
+                {(provided, snapshot) => (
+                  <div
+                    ref={provided.innerRef}
+                    {...provided.draggableProps}
+                    id={`section-card-${section.id}`}
+                    tabIndex={-1}
+                    className={`bg-white border rounded-lg ${
+                      snapshot.isDragging ? 'shadow-lg border-blue-400' : 'border-gray-200'
+                    }`}
+                  >
+                    <div className="flex items-center gap-2 px-3 py-2 border-b border-gray-100 bg-gray-50 rounded-t-lg">
+                      {canEdit && (
+                        <div
+                          {...provided.dragHandleProps}
+                          aria-label={`Reorder ${title}`}
+                          className="cursor-grab text-gray-400 hover:text-gray-600 px-1 focus:outline-none focus:ring-2 focus:ring-blue-500 rounded"
+                        >
+                          ⠿
+                        </div>
+                      )}
+                      <span>{SECTION_ICONS[section.type]}</span>
+                      <span className="text-sm font-medium text-gray-700 truncate flex-1">
+                        {title}
+                        <span className="ml-2 text-xs text-gray-400">{SECTION_LABELS[section.type]}</span>
+                      </span>
+
+                      {canEdit && (
+                        <>
+                          <button
+                            onClick={() => onMove(index, index - 1)}
+                            disabled={index === 0}
+                            aria-label={`Move ${title} up`}
+                            className="px-2 text-gray-500 hover:text-gray-800 disabled:opacity-30"
+                          >
+                            ↑
+                          </button>
+                          <button
+                            onClick={() => onMove(index, index + 1)}
+                            disabled={index === sections.length - 1}
+                            aria-label={`Move ${title} down`}
+                            className="px-2 text-gray-500 hover:text-gray-800 disabled:opacity-30"
+                          >
+                            ↓
+                          </button>
+                          <button
+                            onClick={() => onDuplicate(section.id)}
+                            className="px-2 text-xs text-gray-600 hover:text-blue-700"
+                          >
+                            Duplicate
+                          </button>
+                          <button
+                            onClick={() => onToggleEdit(section.id)}
+                            className="px-2 text-xs font-medium text-blue-600 hover:text-blue-800"
+                          >
+                            {editingId === section.id ? 'Done' : 'Edit'}
+                          </button>
+                        </>
+                      )}
+                      <button
+                        onClick={() => onToggleCollapse(section.id)}
+                        aria-expanded={!collapsed}
+                        aria-label={`${collapsed ? 'Expand' : 'Collapse'} ${title}`}
+                        className="px-2 text-gray-500 hover:text-gray-800"
+                      >
+                        {collapsed ? '▸' : '▾'}
+                      </button>
+                    </div>
+
+                    {!collapsed && (
+                      <div className="p-4">
+                        <SectionRenderer
+                          section={section}
+                          onChange={onChange}
+                          onDelete={onDelete}
+                          isEditing={canEdit && editingId === section.id}
+                          theme={theme}
+                        />
+                      </div>
+                    )}
+                  </div>
+                )}
+              </Draggable>
+            );
+          })}
+          {provided.placeholder}
+        </div>
+      )}
+    </StrictModeDroppable>
+  );
+};
+
+export default SectionCanvas;
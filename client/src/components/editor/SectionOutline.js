@@ -0,0 +1,112 @@
+import React from 'react';
+import { Draggable } from 'react-beautiful-dnd';
+import StrictModeDroppable from './StrictModeDroppable';
+import { SECTION_ICONS, SECTION_LABELS, getSectionTitle } from './SectionTypes';
+
+/**
+ * Side outline of every section, for jumping around and reordering long newsletters.
+ * Must be rendered inside the editor's DragDropContext.
+ */
+const SectionOutline = ({
+  sections,
+  canEdit,
+  collapsedIds,
+  onSelect,
+  onMove,
+  onDuplicate,
+  onCollapseAll,
+  onExpandAll
+}) => (
+  <div className="bg-white rounded-lg shadow p-4">
+    <div className="flex items-center justify-between mb-3">
+      <h2 className="text-sm font-semibold text-gray-800">Outline</h2>
+      {sections.length > 0 && (
+        <div className="flex gap-2 text-xs">
+          <button onClick={onExpandAll} className="text-blue-600 hover:text-blue-800">Expand all</button>
+          <button onClick={onCollapseAll} className="text-blue-600 hover:text-blue-800">Collapse all</button>
+        </div>
+      )}
+    </div>
+
+    {sections.length === 0 ? (
+      <p className="text-sm text-gray-500">No sections yet.</p>
+    ) : (
+      <StrictModeDroppable droppableId="section-outline">
+        {(provided) => (
+          <ol {...provided.droppableProps} ref={provided.innerRef} className="space-y-1">
+            {sections.map((section, index) => {
+              const title = getSectionTitle(section);
+
+              return (
+                <Draggable
+                  key={section.id}
+                  draggableId={`outline-${section.id}`}
+                  index={index}
+                  isDragDisabled={!canEdit}
+                >
+                  {(provided, snapshot) => (
+                    <li
+                      ref={provided.innerRef}
+                      {...provided.draggableProps}
+                      className={`flex items-center gap-1 rounded px-1 py-1 text-sm ${
+                        snapshot.isDragging ? 'bg-blue-50 shadow' : 'hover:bg-gray-50'
+                      }`}
+                    >
+                      {canEdit && (
+                        <span
+                          {...provided.dragHandleProps}
+                          aria-label={`Reorder ${title}`}
+                          className="cursor-grab text-gray-400 px-1 focus:outline-none focus:ring-2 focus:ring-blue-500 rounded"
+                        >
+                          ⠿
+                        </span>
+                      )}
+                      <button
+                        onClick={() => onSelect(section.id)}
+                        title={SECTION_LABELS[section.type]}
+                        className={`flex-1 text-left truncate ${collapsedIds.has(section.id) ? 'text-gray-400' : 'text-gray-700'}`}
+                      >
+                        <span className="mr-1">{SECTION_ICONS[section.type]}</span>
+                        {title}
+                      </button>
+                      {canEdit && (
+                        <>
+                          <button
+                            onClick={() => onMove(index, index - 1)}
+                            disabled={index === 0}
+                            aria-label={`Move ${title} up`}
+                            className="px-1 text-gray-500 hover:text-gray-800 disabled:opacity-30"
+                          >
+                            ↑
+                          </button>
+                          <button
+                            onClick={() => onMove(index, index + 1)}
+                            disabled={index === sections.length - 1}
+                            aria-label={`Move ${title} down`}
+                            className="px-1 text-gray-500 hover:text-gray-800 disabled:opacity-30"
+                          >
+                            ↓
+                          </button>
+                          <button
+                            onClick={() => onDuplicate(section.id)}
+                            aria-label={`Duplicate ${title}`}
+                            className="px-1 text-gray-500 hover:text-blue-700"
+                          >
+                            ⧉
+                          </button>
+                        </>
+                      )}
+                    </li>
+                  )}
+                </Draggable>
+              );
+            })}
+            {provided.placeholder}
+          </ol>
+        )}
+      </StrictModeDroppable>
+    )}
+  </div>
+);
+
+export default SectionOutline;
@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useEffect, useState } from 'react';
 import HeaderSection from './HeaderSection';
 import TitleSection from './TitleSection';
 import RichTextSection from './RichTextSection';
@@ -9,10 +9,15 @@ import { SECTION_TYPES } from './SectionTypes';
 
 const SectionRenderer = ({ section, onChange, onDelete, isEditing, theme }) => {
   const [sectionEditing, setSectionEditing] = useState(isEditing);
+
+  useEffect(() => {
+    setSectionEditing(isEditing);
+  }, [isEditing]);
   
+  // Image sections hand back the whole section; pass on just their fields like the other types
   const props = { 
     section, 
-    onUpdate: onChange, 
+    onUpdate: ({ id, type, order, ...fields }) => onChange(section.id, fields), 
     onDelete, 
     isEditing: sectionEditing,
     onEdit: setSectionEditing,
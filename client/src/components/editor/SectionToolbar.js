@@ -1,5 +1,5 @@
 import React from 'react';
-import { SECTION_TYPES, SECTION_LABELS, createSection } from './SectionTypes';
+import { SECTION_TYPES, SECTION_LABELS, SECTION_ICONS, createSection } from './SectionTypes';
 
 const SectionToolbar = ({ onAddSection }) => {
   const handleAddSection = (type) => {
@@ -17,14 +17,7 @@ const SectionToolbar = ({ onAddSection }) => {
             onClick={() => handleAddSection(type)}
             className="flex items-center justify-center p-3 border-2 border-dashed border-gray-300 rounded-lg hover:border-blue-500 hover:bg-blue-50 transition-colors duration-200 text-sm font-medium text-gray-600 hover:text-blue-600"
           >
-            <span className="mr-2">
-              {type === SECTION_TYPES.HEADER && '📋'}
-              {type === SECTION_TYPES.TITLE && '📝'}
-              {type === SECTION_TYPES.RICH_TEXT && '📄'}
-              {type === SECTION_TYPES.EVENTS && '📅'}
-              {type === SECTION_TYPES.CONTACT && '📞'}
-              {type === SECTION_TYPES.IMAGE && '🖼️'}
-            </span>
+            <span className="mr-2">{SECTION_ICONS[type]}</span>
             {SECTION_LABELS[type]}
           </button>
         ))}
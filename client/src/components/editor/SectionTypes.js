@@ -9,9 +9,11 @@ export const SECTION_TYPES = {
   IMAGE: 'image'
 };
 
+export const createSectionId = () => `section-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+
 export const createSection = (type, order = 0) => {
   const baseSection = {
-    id: `section-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+    id: createSectionId(),
     type,
     order
   };
@@ -113,4 +115,71 @@ export const SECTION_LABELS = {
   [SECTION_TYPES.EVENTS]: 'Events List',
   [SECTION_TYPES.CONTACT]: 'Contact Info',
   [SECTION_TYPES.IMAGE]: 'Image'
+};;
+
+export const SECTION_ICONS = {
+  [SECTION_TYPES.HEADER]: '📋',
+  [SECTION_TYPES.TITLE]: '📝',
+  [SECTION_TYPES.RICH_TEXT]: '📄',
+  [SECTION_TYPES.EVENTS]: '📅',
+  [SECTION_TYPES.CONTACT]: '📞',
+  [SECTION_TYPES.IMAGE]: '🖼️'
+};
+
+// Short name for a section in the outline: its own title, else its first line of text, else its type
+export const getSectionTitle = (section) => {
+  const data = section.data || {};
+  const text = data.title ||
+    (section.type === SECTION_TYPES.RICH_TEXT && data.content) ||
+    (section.type === SECTION_TYPES.IMAGE && (section.caption || section.imageAlt)) ||
+    '';
+  const firstLine = String(text).split('\n')[0].replace(/[*_#>`]/g, '').trim();
+
+  if (!firstLine) return SECTION_LABELS[section.type] || 'Section';
+  return firstLine.length > 40 ? `${firstLine.slice(0, 37)}...` : firstLine;
+};
+
+// Sections in display order
+export const sortSections = (sections = []) => [...sections].sort((a, b) => (a.order || 0) - (b.order || 0));
+
+// Give every section an order matching its position, so saved order is always 0..n-1
+export const renumberSections = (sections) => sections.map((section, index) => (
+  section.order === index ? section : { ...section, order: index }
+));
+
+export const moveSection = (sections, fromIndex, toIndex) => {
+  const ordered = sortSections(sections);
+  if (toIndex < 0 || toIndex >= ordered.length || fromIndex === toIndex) return ordered;
+
+  const [moved] = ordered.splice(fromIndex, 1);
+  ordered.splice(toIndex, 0, moved);
+  return renumberSections(ordered);
+};
+
+// Insert a deep copy with a new id directly after the original
+export const duplicateSection = (sections, sectionId) => {
+  const ordered = sortSections(sections);
+  const index = ordered.findIndex(section => section.id === sectionId);
+  if (index === -1) return { sections: ordered, copy: null };
+
+  const copy = { ...JSON.parse(JSON.stringify(ordered[index])), id: createSectionId() };
+  ordered.splice(index + 1, 0, copy);
+  return { sections: renumberSections(ordered), copy };
+};
+
+// Newsletters written in the plain text editor become a single text section
+export const toSectionContent = (content = {}) => {
+  if (Array.isArray(content.sections) && content.sections.length > 0) {
+    return { ...content, sections: renumberSections(sortSections(content.sections)) };
+  }
+
+  const { text, ...rest } = content;
+  const textSection = createSection(SECTION_TYPES.RICH_TEXT, 0);
+
+  return {
+    ...rest,
+    sections: text
+      ? [{ ...textSection, data: { ...textSection.data, content: text } }]
+      : []
+  };
 };
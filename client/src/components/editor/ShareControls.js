@@ -0,0 +1,303 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import api from '../../services/api';
+
+const EXPIRY_OPTIONS = [
+  { value: '', label: 'Never expires' },
+  { value: '1', label: '1 day' },
+  { value: '7', label: '7 days' },
+  { value: '30', label: '30 days' },
+  { value: '90', label: '90 days' }
+];
+
+const ShareControls = ({ newsletter }) => {
+  const [shares, setShares] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [creating, setCreating] = useState(false);
+  const [expiresInDays, setExpiresInDays] = useState('30');
+  const [copiedId, setCopiedId] = useState(null);
+  const [error, setError] = useState(null);
+  const [colleagueEmail, setColleagueEmail] = useState('');
+  const [colleaguePermissions, setColleaguePermissions] = useState({ edit: false, copy: true });
+  const [sharing, setSharing] = useState(false);
+
+  const newsletterId = newsletter?.id;
+
+  const loadShares = useCallback(async () => {
+    if (!newsletterId) return;
+
+    setLoading(true);
+    try {
+      const response = await api.getShareLinks(newsletterId);
+      setShares(response.data.shares);
+      setError(null);
+    } catch (err) {
+      console.error('Error loading share links:', err);
+      setError(err.message || 'Failed to load share links');
+    } finally {
+      setLoading(false);
+    }
+  }, [newsletterId]);
+
+  useEffect(() => {
+    loadShares();
+  }, [loadShares]);
+
+  const handleCreate = async () => {
+    setCreating(true);
+    try {
+      const response = await api.shareNewsletter(newsletterId, {
+        expiresInDays: expiresInDays ? parseInt(expiresInDays) : null
+      });
+      setShares(prev => [response.data.share, ...prev]);
+      setError(null);
+    } catch (err) {
+      console.error('Error creating share link:', err);
+      setError(err.message || 'Failed to create share link');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handleShareWithColleague = async (e) => {
+    e.preventDefault();
+    if (!colleagueEmail.trim()) return;
+
+    setSharing(true);
+    try {
+      const response = await api.shareNewsletter(newsletterId, {
+        email: colleagueEmail.trim(),
+        permissions: colleaguePermissions
+      });
+      const share = response.data.share;
+      // Re-sharing with the same colleague updates their existing grant
+      setShares(prev => [share, ...prev.filter(s => s.id !== share.id)]);
+      setColleagueEmail('');
+      setError(null);
+    } catch (err) {
+      console.error('Error sharing with colleague:', err);
+      setError(err.message || 'Failed to share newsletter');
+    } finally {
+      setSharing(false);
+    }
+  };
+
+  const handleTogglePermission = async (share, permission) => {
+    const permissions = { ...share.permissions, [permission]: !share.permissions[permission] };
+
+    try {
+      const response = await api.updateSharePermissions(newsletterId, share.id, permissions);
+      setShares(prev => prev.map(s => (s.id === share.id ? response.data.share : s)));
+    } catch (err) {
+      console.error('Error updating share permissions:', err);
+      setError(err.message || 'Failed to update permissions');
+    }
+  };
+
+  const handleRevoke = async (shareId, message = 'Revoke this link? Anyone using it will lose access.') => {
+    if (!window.confirm(message)) {
+      return;
+    }
+
+    try {
+      await api.revokeShareLink(newsletterId, shareId);
+      setShares(prev => prev.filter(share => share.id !== shareId));
+    } catch (err) {
+      console.error('Error revoking share link:', err);
+      setError(err.message || 'Failed to revoke share link');
+    }
+  };
+
+  const handleCopy = async (share) => {
+    try {
+      await navigator.clipboard.writeText(share.url);
+      setCopiedId(share.id);
+      setTimeout(() => setCopiedId(null), 2000);
+    } catch (err) {
+      console.error('Error copying share link:', err);
+    }
+  };
+
+  const linkShares = shares.filter(share => share.shareType === 'link');
+  const colleagueShares = shares.filter(share => share.shareType === 'user');
+
+  const formatDate = (dateString) => new Date(dateString).toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric'
+  });
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-6 border border-gray-200">
+      <h3 className="text-lg font-semibold text-gray-900 mb-1 flex items-center">
+        <span className="text-2xl mr-2">🔗</span>
+        Sharing
+      </h3>
+      <p className="text-sm text-gray-500 mb-4">
+        Anyone with a share link can view this newsletter without signing in. They cannot edit it.
+      </p>
+
+      {!newsletterId ? (
+        <p className="text-sm text-gray-600">Save the newsletter to create share links.</p>
+      ) : (
+        <div className="space-y-4">
+          <div className="flex gap-2">
+            <select
+              value={expiresInDays}
+              onChange={(e) => setExpiresInDays(e.target.value)}
+              className="px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              {EXPIRY_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+            <button
+              onClick={handleCreate}
+              disabled={creating}
+              className="flex-1 px-4 py-2 text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 disabled:bg-blue-400"
+            >
+              {creating ? 'Creating...' : 'Create Share Link'}
+            </button>
+          </div>
+
+          {error && (
+            <p className="text-sm text-red-600">{error}</p>
+          )}
+
+          {loading ? (
+            <p className="text-sm text-gray-500">Loading share links...</p>
+          ) : linkShares.length === 0 ? (
+            <p className="text-sm text-gray-500">No share links yet.</p>
+          ) : (
+            <ul className="divide-y divide-gray-200 border border-gray-200 rounded-md">
+              {linkShares.map(share => (
+                <li key={share.id} className="p-3">
+                  <div className="flex items-center gap-2">
+                    <input
+                      type="text"
+                      readOnly
+                      value={share.url || 'Link unavailable: the app address is not configured'}
+                      onFocus={(e) => e.target.select()}
+                      className={`flex-1 px-2 py-1 border border-gray-200 rounded text-xs bg-gray-50 ${share.isExpired ? 'text-gray-400 line-through' : 'text-gray-700'}`}
+                    />
+                    <button
+                      onClick={() => handleCopy(share)}
+                      disabled={share.isExpired || !share.url}
+                      className="px-3 py-1 text-xs font-medium rounded text-blue-700 bg-blue-50 hover:bg-blue-100 disabled:opacity-50"
+                    >
+                      {copiedId === share.id ? 'Copied!' : 'Copy'}
+                    </button>
+                    <button
+                      onClick={() => handleRevoke(share.id)}
+                      className="px-3 py-1 text-xs font-medium rounded text-red-700 bg-red-50 hover:bg-red-100"
+                    >
+                      Revoke
+                    </button>
+                  </div>
+                  <p className="mt-1 text-xs text-gray-500">
+                    Created {formatDate(share.createdAt)}
+                    {' • '}
+                    {share.expiresAt
+                      ? `${share.isExpired ? 'Expired' : 'Expires'} ${formatDate(share.expiresAt)}`
+                      : 'Never expires'}
+                    {' • '}
+                    {share.accessedCount} {share.accessedCount === 1 ? 'view' : 'views'}
+                  </p>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          <div className="pt-4 border-t border-gray-200">
+            <h4 className="text-md font-semibold text-gray-900 mb-1 flex items-center">
+              <span className="text-xl mr-2">🤝</span>
+              Share with Colleagues
+            </h4>
+            <p className="text-sm text-gray-500 mb-3">
+              Colleagues with an account can open this newsletter from their dashboard.
+            </p>
+
+            <form onSubmit={handleShareWithColleague} className="space-y-2">
+              <div className="flex gap-2">
+                <input
+                  type="email"
+                  value={colleagueEmail}
+                  onChange={(e) => setColleagueEmail(e.target.value)}
+                  placeholder="colleague@school.edu"
+                  className="flex-1 px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+                <button
+                  type="submit"
+                  disabled={sharing || !colleagueEmail.trim()}
+                  className="px-4 py-2 text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 disabled:bg-blue-400"
+                >
+                  {sharing ? 'Sharing...' : 'Share'}
+                </button>
+              </div>
+              <div className="flex gap-4 text-sm text-gray-700">
+                <label className="flex items-center">
+                  <input
+                    type="checkbox"
+                    checked={colleaguePermissions.edit}
+                    onChange={(e) => setColleaguePermissions(prev => ({ ...prev, edit: e.target.checked }))}
+                    className="mr-2"
+                  />
+                  Can edit
+                </label>
+                <label className="flex items-center">
+                  <input
+                    type="checkbox"
+                    checked={colleaguePermissions.copy}
+                    onChange={(e) => setColleaguePermissions(prev => ({ ...prev, copy: e.target.checked }))}
+                    className="mr-2"
+                  />
+                  Can make a copy
+                </label>
+              </div>
+            </form>
+
+            {!loading && colleagueShares.length > 0 && (
+              <ul className="mt-3 divide-y divide-gray-200 border border-gray-200 rounded-md">
+                {colleagueShares.map(share => (
+                  <li key={share.id} className="p-3 flex items-center justify-between">
+                    <div className="min-w-0">
+                      <p className="text-sm font-medium text-gray-900 truncate">{share.sharedWith?.displayName}</p>
+                      <p className="text-xs text-gray-500 truncate">{share.sharedWith?.email}</p>
+                    </div>
+                    <div className="flex items-center gap-3 ml-2 text-xs text-gray-700">
+                      <label className="flex items-center">
+                        <input
+                          type="checkbox"
+                          checked={share.permissions.edit === true}
+                          onChange={() => handleTogglePermission(share, 'edit')}
+                          className="mr-1"
+                        />
+                        Edit
+                      </label>
+                      <label className="flex items-center">
+                        <input
+                          type="checkbox"
+                          checked={share.permissions.copy === true}
+                          onChange={() => handleTogglePermission(share, 'copy')}
+                          className="mr-1"
+                        />
+                        Copy
+                      </label>
+                      <button
+                        onClick={() => handleRevoke(share.id, `Stop sharing with ${share.sharedWith?.displayName || 'this colleague'}?`)}
+                        className="px-3 py-1 text-xs font-medium rounded text-red-700 bg-red-50 hover:bg-red-100"
+                      >
+                        Remove
+                      </button>
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ShareControls;
@@ -0,0 +1,24 @@
+import React, { useEffect, useState } from 'react';
+import { Droppable } from 'react-beautiful-dnd';
+
+// react-beautiful-dnd loses track of droppables when React 18 StrictMode mounts effects twice;
+// rendering the Droppable one frame later lets it register normally.
+const StrictModeDroppable = ({ children, ...props }) => {
+  const [enabled, setEnabled] = useState(false);
+
+  useEffect(() => {
+    const animation = requestAnimationFrame(() => setEnabled(true));
+    return () => {
+      cancelAnimationFrame(animation);
+      setEnabled(false);
+    };
+  }, []);
+
+  if (!enabled) {
+    return null;
+  }
+
+  return <Droppable {...props}>{children}</Droppable>;
+};
+
+export default StrictModeDroppable;
@@ -0,0 +1,144 @@
+import React, { useEffect, useState } from 'react';
+import api from '../../services/api';
+
+const COLOR_FIELDS = [
+  { key: 'primaryColor', label: 'Primary color' },
+  { key: 'secondaryColor', label: 'Secondary color' },
+  { key: 'accentColor', label: 'Accent color' }
+];
+
+/**
+ * School logo, colors and font applied to every member's newsletters.
+ * Blank fields leave each newsletter's own theme in charge.
+ */
+const BrandKitEditor = ({ school, onSaved }) => {
+  const [brandKit, setBrandKit] = useState(school.brandKit || {});
+  const [fonts, setFonts] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+
+  useEffect(() => {
+    const loadFonts = async () => {
+      try {
+        const response = await api.getBrandFonts();
+        setFonts(response.data.fonts);
+      } catch (err) {
+        console.error('Error loading brand fonts:', err);
+      }
+    };
+
+    loadFonts();
+  }, []);
+
+  const setField = (key, value) => {
+    setBrandKit(prev => ({ ...prev, [key]: value }));
+    setNotice(null);
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError(null);
+    setNotice(null);
+    try {
+      const response = await api.updateSchoolBrandKit(school.id, brandKit);
+      setBrandKit(response.data.school.brandKit);
+      setNotice(response.message);
+      onSaved?.(response.data.school);
+    } catch (err) {
+      console.error('Error saving brand kit:', err);
+      setError(err.data?.errors?.[0]?.msg || err.message || 'Could not save the brand kit.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="bg-white shadow sm:rounded-md">
+      <form onSubmit={handleSave} className="px-4 py-5 sm:p-6">
+        <h2 className="text-lg font-medium text-gray-900">Brand kit</h2>
+        <p className="mt-1 text-sm text-gray-500">
+          Applied to every member's newsletters in the editor preview, shared links and exports.
+          A teacher's own theme changes still win over the brand kit.
+        </p>
+
+        <div className="mt-4 grid grid-cols-1 md:grid-cols-2 gap-4">
+          <label className="block md:col-span-2">
+            <span className="text-sm font-medium text-gray-700">Logo URL</span>
+            <input
+              type="url"
+              value={brandKit.logoUrl || ''}
+              onChange={(e) => setField('logoUrl', e.target.value)}
+              placeholder="https://example.org/logo.png"
+              className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          </label>
+
+          {COLOR_FIELDS.map(({ key, label }) => (
+            <div key={key}>
+              <span className="text-sm font-medium text-gray-700">{label}</span>
+              <div className="mt-1 flex items-center gap-3">
+                <input
+                  type="color"
+                  value={brandKit[key] || '#ffffff'}
+                  onChange={(e) => setField(key, e.target.value)}
+                  className="h-9 w-12 border border-gray-300 rounded"
+                  aria-label={label}
+                />
+                <span className="text-sm text-gray-600">{brandKit[key] || 'Newsletter theme'}</span>
+                {brandKit[key] && (
+                  <button type="button" onClick={() => setField(key, '')} className="text-sm text-gray-500 hover:text-gray-700">
+                    Clear
+                  </button>
+                )}
+              </div>
+            </div>
+          ))}
+
+          <label className="block">
+            <span className="text-sm font-medium text-gray-700">Font</span>
+            <select
+              value={brandKit.fontFamily || ''}
+              onChange={(e) => setField('fontFamily', e.target.value)}
+              className="mt-1 w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              <option value="">Newsletter theme</option>
+              {fonts.map(font => (
+                <option key={font} value={font} style={{ fontFamily: font }}>{font.split(',')[0]}</option>
+              ))}
+            </select>
+          </label>
+        </div>
+
+        {/* Masthead sample */}
+        <div
+          className="mt-6 rounded-md border p-4 text-center"
+          style={{ borderColor: brandKit.primaryColor || '#e2e8f0', fontFamily: brandKit.fontFamily || undefined }}
+        >
+          {brandKit.logoUrl && (
+            <img src={brandKit.logoUrl} alt="School logo" className="mx-auto mb-2" style={{ maxHeight: '48px' }} />
+          )}
+          <p className="text-xl font-bold" style={{ color: brandKit.primaryColor || '#2563eb' }}>{school.name} Newsletter</p>
+          <p className="text-sm" style={{ color: brandKit.secondaryColor || '#64748b' }}>Week of September 1</p>
+          <div className="mx-auto mt-2 h-1 w-24 rounded" style={{ background: brandKit.accentColor || '#f59e0b' }} />
+        </div>
+
+        {notice && <p className="mt-3 text-sm text-green-700">{notice}</p>}
+        {error && <p className="mt-3 text-sm text-red-600">{error}</p>}
+
+        <div className="mt-4 flex justify-end">
+          <button
+            type="submit"
+            disabled={saving}
+            className="px-4 py-2 text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+          >
+            {saving ? 'Saving...' : 'Save brand kit'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default BrandKitEditor;
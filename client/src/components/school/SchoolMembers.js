@@ -0,0 +1,191 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { formatDateTime } from '../admin/format';
+import api from '../../services/api';
+
+const ROLE_LABELS = {
+  school_admin: 'School admin',
+  teacher: 'Teacher'
+};
+
+/**
+ * Teachers in a school: invite by email, change roles, remove
+ */
+const SchoolMembers = ({ school, currentUserId }) => {
+  const [members, setMembers] = useState([]);
+  const [invitations, setInvitations] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [email, setEmail] = useState('');
+  const [role, setRole] = useState('teacher');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+
+  const loadMembers = useCallback(async () => {
+    try {
+      const response = await api.getSchoolMembers(school.id);
+      setMembers(response.data.members);
+      setInvitations(response.data.invitations);
+    } catch (err) {
+      console.error('Error loading school members:', err);
+      setError('Members are unavailable right now.');
+    } finally {
+      setLoading(false);
+    }
+  }, [school.id]);
+
+  useEffect(() => {
+    loadMembers();
+  }, [loadMembers]);
+
+  // Every change returns the updated member or invitation list
+  const runChange = async (change) => {
+    setSaving(true);
+    setError(null);
+    setNotice(null);
+    try {
+      const response = await change();
+      if (response.data.members) setMembers(response.data.members);
+      if (response.data.invitations) setInvitations(response.data.invitations);
+      setNotice(response.message);
+      return true;
+    } catch (err) {
+      console.error('Error updating school members:', err);
+      setError(err.message || 'Could not update members.');
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleInvite = async (e) => {
+    e.preventDefault();
+    if (await runChange(() => api.inviteSchoolMember(school.id, email.trim(), role))) {
+      setEmail('');
+      setRole('teacher');
+    }
+  };
+
+  const handleRemove = (member) => {
+    const isSelf = member.id === currentUserId;
+    const question = isSelf
+      ? `Leave ${school.name}? You will lose access to its school admin tools.`
+      : `Remove ${member.displayName} from ${school.name}? Templates they shared with the school become private.`;
+    if (window.confirm(question)) {
+      runChange(() => api.removeSchoolMember(school.id, member.id));
+    }
+  };
+
+  return (
+    <div className="bg-white shadow sm:rounded-md">
+      <div className="px-4 py-5 sm:p-6">
+        <h2 className="text-lg font-medium text-gray-900">Members</h2>
+        <p className="mt-1 text-sm text-gray-500">
+          Invited teachers join once they accept, signed in with the invited email address. Each teacher belongs to one school.
+        </p>
+
+        <form onSubmit={handleInvite} className="mt-4 flex flex-col sm:flex-row gap-3">
+          <input
+            type="email"
+            required
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            placeholder="teacher@school.edu"
+            className="flex-1 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          <select
+            value={role}
+            onChange={(e) => setRole(e.target.value)}
+            className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            <option value="teacher">Teacher</option>
+            <option value="school_admin">School admin</option>
+          </select>
+          <button
+            type="submit"
+            disabled={saving || !email.trim()}
+            className="px-4 py-2 text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+          >
+            Send invitation
+          </button>
+        </form>
+
+        {notice && <p className="mt-3 text-sm text-green-700">{notice}</p>}
+        {error && <p className="mt-3 text-sm text-red-600">{error}</p>}
+
+        {invitations.length > 0 && (
+          <div className="mt-4">
+            <h3 className="text-sm font-medium text-gray-900">Pending invitations</h3>
+            <ul className="mt-2 divide-y divide-gray-200">
+              {invitations.map(invitation => (
+                <li key={invitation.id} className="py-2 flex items-center justify-between gap-3">
+                  <div className="min-w-0">
+                    <p className="text-sm text-gray-900">{invitation.email}</p>
+                    <p className="text-xs text-gray-400">
+                      {ROLE_LABELS[invitation.role]} · Expires {formatDateTime(invitation.expiresAt)}
+                    </p>
+                  </div>
+                  <button
+                    onClick={() => runChange(() => api.revokeSchoolInvitation(school.id, invitation.id))}
+                    disabled={saving}
+                    className="shrink-0 text-sm text-red-600 hover:text-red-800 disabled:opacity-50"
+                  >
+                    Withdraw
+                  </button>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {loading ? (
+          <p className="mt-4 text-sm text-gray-500">Loading members...</p>
+        ) : members.length === 0 ? (
+          <p className="mt-4 text-sm text-gray-500">No members yet.</p>
+        ) : (
+          <ul className="mt-4 divide-y divide-gray-200">
+            {members.map(member => (
+              <li key={member.id} className="py-3 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+                <div className="min-w-0">
+                  <p className="text-sm font-medium text-gray-900">
+                    {member.displayName}
+                    {!member.isActive && (
+                      <span className="ml-2 inline-flex px-2 py-0.5 text-xs font-medium rounded-full bg-gray-100 text-gray-700">
+                        Deactivated
+                      </span>
+                    )}
+                  </p>
+                  <p className="text-sm text-gray-500">{member.email}</p>
+                  <p className="text-xs text-gray-400 mt-1">
+                    Joined {formatDateTime(member.joinedAt)} · Last login {formatDateTime(member.lastLogin)}
+                  </p>
+                </div>
+                <div className="flex items-center gap-3 shrink-0">
+                  <select
+                    value={member.role}
+                    disabled={saving}
+                    onChange={(e) => runChange(() => api.updateSchoolMemberRole(school.id, member.id, e.target.value))}
+                    className="px-2 py-1 text-sm border border-gray-300 rounded-md"
+                    aria-label={`Role for ${member.displayName}`}
+                  >
+                    {Object.entries(ROLE_LABELS).map(([value, label]) => (
+                      <option key={value} value={value}>{label}</option>
+                    ))}
+                  </select>
+                  <button
+                    onClick={() => handleRemove(member)}
+                    disabled={saving}
+                    className="text-sm text-red-600 hover:text-red-800 disabled:opacity-50"
+                  >
+                    {member.id === currentUserId ? 'Leave' : 'Remove'}
+                  </button>
+                </div>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SchoolMembers;
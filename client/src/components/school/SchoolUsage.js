@@ -0,0 +1,92 @@
+import React, { useEffect, useState } from 'react';
+import { formatCount, formatDateTime } from '../admin/format';
+import api from '../../services/api';
+
+const PERIODS = [7, 30, 90];
+
+/**
+ * How the school's teachers are using the newsletter tool
+ */
+const SchoolUsage = ({ school }) => {
+  const [days, setDays] = useState(30);
+  const [usage, setUsage] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const loadUsage = async () => {
+      try {
+        const response = await api.getSchoolUsage(school.id, days);
+        setUsage(response.data.usage);
+        setError(null);
+      } catch (err) {
+        console.error('Error loading school usage:', err);
+        setError('Usage is unavailable right now.');
+      }
+    };
+
+    loadUsage();
+  }, [school.id, days]);
+
+  return (
+    <div className="bg-white shadow sm:rounded-md">
+      <div className="px-4 py-5 sm:p-6">
+        <div className="flex items-center justify-between">
+          <h2 className="text-lg font-medium text-gray-900">Usage</h2>
+          <select
+            value={days}
+            onChange={(e) => setDays(Number(e.target.value))}
+            className="px-2 py-1 text-sm border border-gray-300 rounded-md"
+            aria-label="Period"
+          >
+            {PERIODS.map(period => (
+              <option key={period} value={period}>Last {period} days</option>
+            ))}
+          </select>
+        </div>
+
+        {error && <p className="mt-3 text-sm text-red-600">{error}</p>}
+
+        {usage && (
+          <>
+            <p className="mt-2 text-sm text-gray-600">
+              {formatCount(usage.totals.activeTeachers)} of {formatCount(usage.totals.teachers)} teachers signed in,
+              {' '}{formatCount(usage.totals.recentNewsletters)} newsletters created and
+              {' '}{formatCount(usage.totals.recentExports)} exports in the last {usage.days} days.
+            </p>
+
+            <div className="mt-4 overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    {['Teacher', 'Newsletters', 'Published', `New (${usage.days}d)`, `Exports (${usage.days}d)`, 'Last login'].map(heading => (
+                      <th key={heading} className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                        {heading}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-200">
+                  {usage.teachers.map(teacher => (
+                    <tr key={teacher.id}>
+                      <td className="px-4 py-3">
+                        <p className="text-sm font-medium text-gray-900">{teacher.displayName}</p>
+                        <p className="text-sm text-gray-500">{teacher.email}</p>
+                      </td>
+                      <td className="px-4 py-3 text-sm text-gray-600">{formatCount(teacher.newsletters)}</td>
+                      <td className="px-4 py-3 text-sm text-gray-600">{formatCount(teacher.published)}</td>
+                      <td className="px-4 py-3 text-sm text-gray-600">{formatCount(teacher.recentNewsletters)}</td>
+                      <td className="px-4 py-3 text-sm text-gray-600">{formatCount(teacher.recentExports)}</td>
+                      <td className="px-4 py-3 text-sm text-gray-600">{formatDateTime(teacher.lastLogin)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SchoolUsage;
@@ -62,6 +62,16 @@ export const AuthProvider = ({ children }) => {
       
       console.log('AuthContext: Login response:', response);
       
+      // Accounts with two-factor authentication get a challenge to answer with a code
+      if (response.success && response.data?.twoFactorRequired) {
+        return {
+          success: false,
+          twoFactorRequired: true,
+          challengeToken: response.data.challengeToken,
+          message: response.message
+        };
+      }
+
       if (response.success && response.data) {
         const { user, accessToken } = response.data;
         
@@ -91,6 +101,31 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Second step of a two-factor login
+  const completeTwoFactorLogin = async (challengeToken, { code, recoveryCode }) => {
+    try {
+      const response = await api.loginTwoFactor(challengeToken, { code, recoveryCode });
+
+      if (response.success && response.data) {
+        const { user, accessToken, recoveryCodesRemaining } = response.data;
+
+        api.setToken(accessToken);
+        setUser(user);
+        setIsAuthenticated(true);
+
+        return { success: true, user, recoveryCodesRemaining };
+      }
+      return { success: false, message: response.message || 'Login failed' };
+    } catch (error) {
+      console.error('Two-factor login failed:', error);
+      return {
+        success: false,
+        code: error.code,
+        message: error.message || 'Login failed. Please try again.'
+      };
+    }
+  };
+
   const register = async (userData) => {
     try {
       setLoading(true);
@@ -121,6 +156,20 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Reload the signed-in user, e.g. after their email address was verified
+  const refreshUser = async () => {
+    try {
+      const response = await api.getCurrentUser();
+      if (response.success && response.data) {
+        setUser(response.data.user);
+        return response.data;
+      }
+    } catch (error) {
+      console.error('Refreshing user failed:', error);
+    }
+    return null;
+  };
+
   const logout = async () => {
     try {
       // Call logout endpoint to invalidate token
@@ -140,8 +189,10 @@ export const AuthProvider = ({ children }) => {
     isAuthenticated,
     loading,
     login,
+    completeTwoFactorLogin,
     register,
-    logout
+    logout,
+    refreshUser
   };
 
   return (
@@ -92,8 +92,11 @@ export const NewsletterProvider = ({ children }) => {
         throw new Error(response.message || 'Failed to update newsletter');
       }
     } catch (err) {
-      const errorMessage = err.response?.data?.message || err.message || 'Failed to update newsletter';
-      setError(errorMessage);
+      // Save conflicts are resolved by the editor rather than shown as a page error
+      if (err.status !== 409) {
+        const errorMessage = err.response?.data?.message || err.message || 'Failed to update newsletter';
+        setError(errorMessage);
+      }
       throw err;
     } finally {
       setLoading(false);
@@ -0,0 +1,77 @@
+import { useCallback, useRef, useState } from 'react';
+
+// Changes in the same group (e.g. typing in one section) within this window become one undo step
+const GROUP_WINDOW = 1000;
+const MAX_STEPS = 100;
+
+/**
+ * Undo/redo stacks of editor snapshots.
+ * Call record(current) with the state *before* each change; undo(current) and redo(current)
+ * return the snapshot to apply, or null when there is nothing to go back to.
+ */
+const useUndoHistory = () => {
+  const past = useRef([]);
+  const future = useRef([]);
+  const lastChange = useRef({ group: null, time: 0 });
+  const [counts, setCounts] = useState({ past: 0, future: 0 });
+
+  const sync = useCallback(() => {
+    setCounts({ past: past.current.length, future: future.current.length });
+  }, []);
+
+  const record = useCallback((snapshot, group = null) => {
+    const now = Date.now();
+    const last = lastChange.current;
+
+    if (group && last.group === group && now - last.time < GROUP_WINDOW) {
+      last.time = now;
+      return;
+    }
+
+    past.current.push(snapshot);
+    if (past.current.length > MAX_STEPS) {
+      past.current.shift();
+    }
+    future.current = [];
+    lastChange.current = { group, time: now };
+    sync();
+  }, [sync]);
+
+  const undo = useCallback((current) => {
+    if (past.current.length === 0) return null;
+
+    future.current.push(current);
+    lastChange.current = { group: null, time: 0 };
+    const previous = past.current.pop();
+    sync();
+    return previous;
+  }, [sync]);
+
+  const redo = useCallback((current) => {
+    if (future.current.length === 0) return null;
+
+    past.current.push(current);
+    lastChange.current = { group: null, time: 0 };
+    const next = future.current.pop();
+    sync();
+    return next;
+  }, [sync]);
+
+  const reset = useCallback(() => {
+    past.current = [];
+    future.current = [];
+    lastChange.current = { group: null, time: 0 };
+    sync();
+  }, [sync]);
+
+  return {
+    record,
+    undo,
+    redo,
+    reset,
+    canUndo: counts.past > 0,
+    canRedo: counts.future > 0
+  };
+};
+
+export default useUndoHistory;
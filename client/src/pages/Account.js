@@ -0,0 +1,35 @@
+import React from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import TwoFactorSettings from '../components/account/TwoFactorSettings';
+import SecurityNotices from '../components/account/SecurityNotices';
+import SchoolCard from '../components/account/SchoolCard';
+import AccessTokens from '../components/account/AccessTokens';
+import AccountData from '../components/account/AccountData';
+
+// Account settings for the signed-in teacher
+const Account = () => {
+  const { user } = useAuth();
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="max-w-4xl mx-auto py-6 sm:px-6 lg:px-8">
+        <div className="px-4 py-6 sm:px-0">
+          <h1 className="text-3xl font-bold text-gray-900">Account</h1>
+          <p className="mt-2 text-gray-600">
+            Signed in as {user?.email}
+          </p>
+        </div>
+
+        <div className="px-4 sm:px-0 space-y-6">
+          <SchoolCard />
+          <SecurityNotices />
+          <TwoFactorSettings />
+          <AccessTokens />
+          <AccountData />
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Account;
@@ -1,10 +1,152 @@
-import React from 'react';
+import React, { useCallback, useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import api from '../services/api';
+import UserTable from '../components/admin/UserTable';
+import TemplateManager from '../components/admin/TemplateManager';
+import ActivityLogViewer from '../components/admin/ActivityLogViewer';
+import SystemHealth from '../components/admin/SystemHealth';
+import SecuritySettings from '../components/admin/SecuritySettings';
+import SchoolList from '../components/admin/SchoolList';
+import { formatCount } from '../components/admin/format';
+
+const TABS = [
+  { id: 'users', label: '👥 Users' },
+  { id: 'templates', label: '📚 Templates' },
+  { id: 'schools', label: '🏫 Schools' },
+  { id: 'activity', label: '📜 Activity' },
+  { id: 'health', label: '🩺 Health' },
+  { id: 'security', label: '🔐 Security' }
+];
+
+const StatCard = ({ label, value, detail }) => (
+  <div className="bg-white overflow-hidden shadow rounded-lg p-5">
+    <dt className="text-sm font-medium text-gray-500 truncate">{label}</dt>
+    <dd className="mt-1 text-2xl font-semibold text-gray-900">{formatCount(value)}</dd>
+    {detail && <p className="mt-1 text-xs text-gray-500">{detail}</p>}
+  </div>
+);
 
 const AdminPanel = () => {
+  const { user } = useAuth();
+  // Reviewers get the console read-only; the server enforces the same split
+  const readOnly = user?.role !== 'site_admin';
+  const [activeTab, setActiveTab] = useState('users');
+  const [stats, setStats] = useState(null);
+  const [statsError, setStatsError] = useState(null);
+  const [twoFactorSetupRequired, setTwoFactorSetupRequired] = useState(false);
+
+  const loadStats = useCallback(async () => {
+    try {
+      const response = await api.getSystemStats();
+      setStats(response.data);
+      setStatsError(null);
+    } catch (err) {
+      if (err.code === 'TWO_FACTOR_SETUP_REQUIRED') {
+        setTwoFactorSetupRequired(true);
+        return;
+      }
+      console.error('Error loading system stats:', err);
+      setStatsError('System statistics are unavailable right now.');
+    }
+  }, []);
+
+  useEffect(() => {
+    loadStats();
+  }, [loadStats]);
+
+  if (twoFactorSetupRequired) {
+    return (
+      <div className="min-h-screen bg-gray-50">
+        <div className="max-w-3xl mx-auto py-12 px-4">
+          <div className="bg-white shadow rounded-lg p-6">
+            <h1 className="text-2xl font-bold text-gray-900">Two-factor authentication required</h1>
+            <p className="mt-2 text-gray-600">
+              Admin accounts must use two-factor authentication. Turn it on from your account page,
+              then come back to the admin console.
+            </p>
+            <Link
+              to="/account"
+              className="mt-4 inline-block px-4 py-2 text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700"
+            >
+              Go to Account
+            </Link>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
   return (
-    <div style={{ padding: '2rem' }}>
-      <h2>Admin Panel</h2>
-      <p>Admin features for Mr. Somers coming soon!</p>
+    <div className="min-h-screen bg-gray-50">
+      <div className="max-w-7xl mx-auto py-6 sm:px-6 lg:px-8">
+        <div className="px-4 py-6 sm:px-0">
+          <h1 className="text-3xl font-bold text-gray-900">Admin Console</h1>
+          <p className="mt-2 text-gray-600">
+            Manage teacher accounts, shared templates and the health of the service.
+          </p>
+        </div>
+
+        {/* Overview */}
+        <div className="px-4 sm:px-0 mb-8">
+          {statsError && <p className="text-sm text-red-600 mb-4">{statsError}</p>}
+          {stats && (
+            <dl className="grid grid-cols-2 md:grid-cols-5 gap-6">
+              <StatCard
+                label="Teachers"
+                value={stats.users.active}
+                detail={`${formatCount(stats.users.inactive)} deactivated · ${formatCount(stats.users.new_last_7_days)} new this week`}
+              />
+              <StatCard
+                label="Newsletters"
+                value={stats.newsletters.total}
+                detail={`${formatCount(stats.newsletters.published)} published · ${formatCount(stats.newsletters.drafts)} drafts`}
+              />
+              <StatCard
+                label="Templates"
+                value={stats.templates.total}
+                detail={`${formatCount(stats.templates.global_templates)} global`}
+              />
+              <StatCard
+                label="Active sessions"
+                value={stats.sessions.active_sessions}
+                detail={`${formatCount(stats.sessions.unique_users)} users signed in`}
+              />
+              <StatCard
+                label={`Activity (${stats.activity.days} days)`}
+                value={stats.activity.total}
+                detail={`${formatCount(stats.activity.failed_logins)} failed logins · ${formatCount(stats.activity.lockouts)} lockouts`}
+              />
+            </dl>
+          )}
+        </div>
+
+        {/* Sections */}
+        <div className="px-4 sm:px-0">
+          <nav className="flex space-x-8 border-b border-gray-200 mb-6">
+            {TABS.map(tab => (
+              <button
+                key={tab.id}
+                onClick={() => setActiveTab(tab.id)}
+                className={`py-3 px-1 border-b-2 font-medium text-sm ${
+                  activeTab === tab.id
+                    ? 'border-blue-500 text-blue-600'
+                    : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+                }`}
+              >
+                {tab.label}
+              </button>
+            ))}
+          </nav>
+
+          {activeTab === 'users' && <UserTable currentUserId={user?.id} onChanged={loadStats} readOnly={readOnly} />}
+          {activeTab === 'templates' && <TemplateManager onChanged={loadStats} readOnly={readOnly} />}
+          {activeTab === 'schools' && <SchoolList readOnly={readOnly} />}
+          {activeTab === 'activity' && <ActivityLogViewer />}
+          {activeTab === 'health' && <SystemHealth sessions={stats?.sessions} />}
+          {activeTab === 'security' && <SecuritySettings readOnly={readOnly} />}
+        </div>
+      </div>
     </div>
   );
 };
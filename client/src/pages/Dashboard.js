@@ -1,94 +1,29 @@
-import React, { useEffect } from 'react';
+import React, { useCallback, useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import { useNewsletter } from '../contexts/NewsletterContext';
+import CalendarFeedCard from '../components/CalendarFeedCard';
+import SharedWithMeCard from '../components/SharedWithMeCard';
+import EmailVerificationBanner from '../components/EmailVerificationBanner';
+import SecurityNoticeBanner from '../components/SecurityNoticeBanner';
+import NewsletterSearch from '../components/NewsletterSearch';
+import NewsletterLibrary from '../components/dashboard/NewsletterLibrary';
 
 const Dashboard = () => {
   const navigate = useNavigate();
   const { user } = useAuth();
-  const { 
-    newsletters, 
-    stats, 
-    loading, 
-    error, 
-    fetchNewsletters, 
-    deleteNewsletter,
-    duplicateNewsletter,
-    clearError 
-  } = useNewsletter();
+  const { error, duplicateNewsletter, clearError } = useNewsletter();
+  const [stats, setStats] = useState({});
+  const [refreshKey, setRefreshKey] = useState(0);
 
-  useEffect(() => {
-    console.log('Dashboard: Fetching newsletters...');
-    fetchNewsletters();
-  }, [fetchNewsletters]);
+  const handleStats = useCallback((nextStats) => setStats(nextStats || {}), []);
 
-  console.log('Dashboard render:', { loading, error, newsletters, stats });
-
-  const handleCreateNewsletter = () => {
-    navigate('/editor');
-  };
-
-  const handleEditNewsletter = (id) => {
-    navigate(`/editor/${id}`);
-  };
-
-  const handleDeleteNewsletter = async (id) => {
-    if (!window.confirm('Are you sure you want to delete this newsletter?')) {
-      return;
-    }
-
-    try {
-      await deleteNewsletter(id);
-    } catch (err) {
-      // Error is handled by context
-      console.error('Error deleting newsletter:', err);
-    }
+  const handleCopyShared = async (id) => {
+    const copy = await duplicateNewsletter(id);
+    setRefreshKey(key => key + 1);
+    return copy;
   };
 
-  const handleDuplicateNewsletter = async (id, title) => {
-    try {
-      await duplicateNewsletter(id);
-      // Success message could be added here
-    } catch (err) {
-      console.error('Error duplicating newsletter:', err);
-    }
-  };
-
-  const formatDate = (dateString) => {
-    const date = new Date(dateString);
-    return date.toLocaleDateString('en-US', {
-      year: 'numeric',
-      month: 'short',
-      day: 'numeric',
-      hour: '2-digit',
-      minute: '2-digit'
-    });
-  };
-
-  const getStatusBadgeClass = (status) => {
-    switch (status) {
-      case 'published':
-        return 'bg-green-100 text-green-800';
-      case 'draft':
-        return 'bg-yellow-100 text-yellow-800';
-      case 'archived':
-        return 'bg-gray-100 text-gray-800';
-      default:
-        return 'bg-gray-100 text-gray-800';
-    }
-  };
-
-  if (loading) {
-    return (
-      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
-        <div className="text-center">
-          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto"></div>
-          <p className="mt-4 text-gray-600">Loading your newsletters...</p>
-        </div>
-      </div>
-    );
-  }
-
   return (
     <div className="min-h-screen bg-gray-50">
       <div className="max-w-7xl mx-auto py-6 sm:px-6 lg:px-8">
@@ -104,6 +39,13 @@ const Dashboard = () => {
               </p>
             </div>
             <div className="flex flex-col sm:flex-row gap-3">
+              <button
+                onClick={() => navigate('/trash')}
+                className="bg-white hover:bg-gray-50 text-gray-700 border border-gray-300 px-6 py-3 rounded-lg font-medium transition-colors duration-200 flex items-center justify-center space-x-2"
+              >
+                <span className="text-lg">🗑️</span>
+                <span>Trash</span>
+              </button>
               <button
                 onClick={() => navigate('/templates')}
                 className="bg-purple-600 hover:bg-purple-700 text-white px-6 py-3 rounded-lg font-medium transition-colors duration-200 flex items-center justify-center space-x-2"
@@ -122,6 +64,18 @@ const Dashboard = () => {
           </div>
         </div>
 
+        {/* Email Verification */}
+        {user && !user.emailVerified && (
+          <div className="px-4 sm:px-0 mb-6">
+            <EmailVerificationBanner />
+          </div>
+        )}
+
+        {/* Security Notices */}
+        <div className="px-4 sm:px-0 mb-6 empty:hidden">
+          <SecurityNoticeBanner />
+        </div>
+
         {/* Stats Cards */}
         <div className="px-4 sm:px-0 mb-8">
           <div className="grid grid-cols-1 md:grid-cols-4 gap-6">
@@ -236,77 +190,24 @@ const Dashboard = () => {
           </div>
         )}
 
+        {/* Search */}
+        <div className="px-4 sm:px-0 mb-6">
+          <NewsletterSearch />
+        </div>
+
         {/* Newsletters List */}
         <div className="px-4 sm:px-0">
-          <div className="bg-white shadow overflow-hidden sm:rounded-md">
-            <div className="px-4 py-5 sm:p-6">
-              <h2 className="text-lg font-medium text-gray-900 mb-4">Your Newsletters</h2>
-              
-              {newsletters.length === 0 ? (
-                <div className="text-center py-12">
-                  <svg className="mx-auto h-12 w-12 text-gray-400" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
-                  </svg>
-                  <h3 className="mt-2 text-sm font-medium text-gray-900">No newsletters yet</h3>
-                  <p className="mt-1 text-sm text-gray-500">
-                    Get started by creating your first classroom newsletter.
-                  </p>
-                  <div className="mt-6">
-                    <button
-                      onClick={handleCreateNewsletter}
-                      className="inline-flex items-center px-4 py-2 border border-transparent shadow-sm text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700"
-                    >
-                      <svg className="-ml-1 mr-2 h-5 w-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 4v16m8-8H4" />
-                      </svg>
-                      Create Newsletter
-                    </button>
-                  </div>
-                </div>
-              ) : (
-                <div className="space-y-4">
-                  {newsletters.map((newsletter) => (
-                    <div key={newsletter.id} className="border border-gray-200 rounded-lg p-4 hover:bg-gray-50 transition-colors duration-200">
-                      <div className="flex items-center justify-between">
-                        <div className="flex-1">
-                          <h3 className="text-lg font-medium text-gray-900">{newsletter.title}</h3>
-                          <div className="mt-1 flex items-center space-x-4 text-sm text-gray-500">
-                            <span>Created {formatDate(newsletter.createdAt)}</span>
-                            <span>•</span>
-                            <span>Updated {formatDate(newsletter.updatedAt)}</span>
-                            <span>•</span>
-                            <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${getStatusBadgeClass(newsletter.status)}`}>
-                              {newsletter.status.charAt(0).toUpperCase() + newsletter.status.slice(1)}
-                            </span>
-                          </div>
-                        </div>
-                        <div className="flex items-center space-x-2">
-                          <button
-                            onClick={() => handleEditNewsletter(newsletter.id)}
-                            className="text-blue-600 hover:text-blue-800 font-medium text-sm"
-                          >
-                            Edit
-                          </button>
-                          <button
-                            onClick={() => handleDuplicateNewsletter(newsletter.id, newsletter.title)}
-                            className="text-green-600 hover:text-green-800 font-medium text-sm"
-                          >
-                            Duplicate
-                          </button>
-                          <button
-                            onClick={() => handleDeleteNewsletter(newsletter.id)}
-                            className="text-red-600 hover:text-red-800 font-medium text-sm"
-                          >
-                            Delete
-                          </button>
-                        </div>
-                      </div>
-                    </div>
-                  ))}
-                </div>
-              )}
-            </div>
-          </div>
+          <NewsletterLibrary onStats={handleStats} refreshKey={refreshKey} />
+        </div>
+
+        {/* Newsletters shared by colleagues */}
+        <div className="px-4 sm:px-0 mt-8">
+          <SharedWithMeCard onCopy={handleCopyShared} />
+        </div>
+
+        {/* Calendar Subscription */}
+        <div className="px-4 sm:px-0 mt-8">
+          <CalendarFeedCard />
         </div>
       </div>
     </div>
@@ -1,6 +1,16 @@
 import React, { useState, useEffect } from 'react';
 import { useAuth } from '../contexts/AuthContext';
 import { useNavigate, Link } from 'react-router-dom';
+import api from '../services/api';
+
+const linkButtonStyle = {
+  background: 'none',
+  border: 'none',
+  padding: 0,
+  color: '#007bff',
+  cursor: 'pointer',
+  fontSize: '0.875rem'
+};
 
 const Login = () => {
   const [formData, setFormData] = useState({
@@ -9,8 +19,14 @@ const Login = () => {
   });
   const [error, setError] = useState('');
   const [isLoading, setIsLoading] = useState(false);
+  const [showForgot, setShowForgot] = useState(false);
+  const [resetEmail, setResetEmail] = useState('');
+  const [resetNotice, setResetNotice] = useState('');
+  const [challengeToken, setChallengeToken] = useState(null);
+  const [secondFactor, setSecondFactor] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
   
-  const { login, isAuthenticated, loading } = useAuth();
+  const { login, completeTwoFactorLogin, isAuthenticated, loading } = useAuth();
   const navigate = useNavigate();
 
   // Redirect if already authenticated
@@ -39,6 +55,10 @@ const Login = () => {
     
     if (result.success) {
       navigate('/dashboard');
+    } else if (result.twoFactorRequired) {
+      setChallengeToken(result.challengeToken);
+      setSecondFactor('');
+      setUseRecoveryCode(false);
     } else {
       setError(result.message);
     }
@@ -46,6 +66,65 @@ const Login = () => {
     setIsLoading(false);
   };
 
+  const handleTwoFactorSubmit = async (e) => {
+    e.preventDefault();
+    setIsLoading(true);
+    setError('');
+
+    const result = await completeTwoFactorLogin(
+      challengeToken,
+      useRecoveryCode ? { recoveryCode: secondFactor } : { code: secondFactor.replace(/\s/g, '') }
+    );
+
+    setIsLoading(false);
+
+    if (result.success) {
+      if (result.recoveryCodesRemaining !== undefined && result.recoveryCodesRemaining <= 3) {
+        window.alert(`You have ${result.recoveryCodesRemaining} recovery codes left. Create new ones from Account Security.`);
+      }
+      navigate('/dashboard');
+    } else if (result.code === 'TWO_FACTOR_CHALLENGE_INVALID' || result.code === 'ACCOUNT_LOCKED') {
+      // The challenge expired or too many codes were wrong; start over from the password
+      setChallengeToken(null);
+      setError(result.message);
+    } else {
+      setError(result.message);
+    }
+  };
+
+  const cancelTwoFactor = () => {
+    setChallengeToken(null);
+    setSecondFactor('');
+    setError('');
+  };
+
+  const handleForgotSubmit = async (e) => {
+    e.preventDefault();
+    setIsLoading(true);
+    setError('');
+
+    try {
+      const response = await api.requestPasswordReset(resetEmail);
+      setResetNotice(response.message);
+    } catch (err) {
+      setError(err.message || 'Could not send a reset link. Please try again.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const openForgot = () => {
+    setResetEmail(formData.email);
+    setResetNotice('');
+    setError('');
+    setShowForgot(true);
+  };
+
+  const closeForgot = () => {
+    setError('');
+    setShowForgot(false);
+  };
+
   if (loading) {
     return (
       <div style={{ 
@@ -77,8 +156,18 @@ const Login = () => {
         maxWidth: '400px'
       }}>
         <div style={{ textAlign: 'center', marginBottom: '2rem' }}>
-          <h1 style={{ color: '#333', marginBottom: '0.5rem' }}>Welcome Back</h1>
-          <p style={{ color: '#666', margin: 0 }}>Sign in to your newsletter account</p>
+          <h1 style={{ color: '#333', marginBottom: '0.5rem' }}>
+            {showForgot ? 'Forgot Password' : challengeToken ? 'Two-Step Verification' : 'Welcome Back'}
+          </h1>
+          <p style={{ color: '#666', margin: 0 }}>
+            {showForgot
+              ? "Enter your email and we'll send you a link to choose a new password"
+              : challengeToken
+                ? useRecoveryCode
+                  ? 'Enter one of the recovery codes you saved'
+                  : 'Enter the 6-digit code from your authenticator app'
+                : 'Sign in to your newsletter account'}
+          </p>
         </div>
 
         {error && (
@@ -94,80 +183,222 @@ const Login = () => {
           </div>
         )}
 
-        <form onSubmit={handleSubmit}>
-          <div style={{ marginBottom: '1rem' }}>
-            <label style={{ 
-              display: 'block', 
-              marginBottom: '0.5rem', 
-              fontWeight: 'bold',
-              color: '#333'
-            }}>
-              Email Address
-            </label>
-            <input
-              type="email"
-              name="email"
-              value={formData.email}
-              onChange={handleChange}
-              required
+        {showForgot ? (
+          <div style={{ marginBottom: '1.5rem' }}>
+            {resetNotice ? (
+              <div style={{
+                backgroundColor: '#e8f5e9',
+                color: '#2e7d32',
+                padding: '0.75rem',
+                borderRadius: '4px',
+                marginBottom: '1rem',
+                border: '1px solid #c8e6c9'
+              }}>
+                {resetNotice}
+              </div>
+            ) : (
+              <form onSubmit={handleForgotSubmit}>
+                <div style={{ marginBottom: '1.5rem' }}>
+                  <label style={{ 
+                    display: 'block', 
+                    marginBottom: '0.5rem', 
+                    fontWeight: 'bold',
+                    color: '#333'
+                  }}>
+                    Email Address
+                  </label>
+                  <input
+                    type="email"
+                    value={resetEmail}
+                    onChange={(e) => setResetEmail(e.target.value)}
+                    required
+                    autoFocus
+                    style={{
+                      width: '100%',
+                      padding: '0.75rem',
+                      border: '1px solid #ddd',
+                      borderRadius: '4px',
+                      fontSize: '1rem',
+                      boxSizing: 'border-box'
+                    }}
+                    placeholder="Enter your email"
+                  />
+                </div>
+
+                <button
+                  type="submit"
+                  disabled={isLoading}
+                  style={{
+                    width: '100%',
+                    padding: '0.75rem',
+                    backgroundColor: isLoading ? '#ccc' : '#007bff',
+                    color: 'white',
+                    border: 'none',
+                    borderRadius: '4px',
+                    fontSize: '1rem',
+                    fontWeight: 'bold',
+                    cursor: isLoading ? 'not-allowed' : 'pointer',
+                    marginBottom: '1rem'
+                  }}
+                >
+                  {isLoading ? 'Sending...' : 'Send Reset Link'}
+                </button>
+              </form>
+            )}
+
+            <div style={{ textAlign: 'center' }}>
+              <button type="button" onClick={closeForgot} style={linkButtonStyle}>
+                Back to sign in
+              </button>
+            </div>
+          </div>
+        ) : challengeToken ? (
+          <form onSubmit={handleTwoFactorSubmit}>
+            <div style={{ marginBottom: '1.5rem' }}>
+              <label style={{ 
+                display: 'block', 
+                marginBottom: '0.5rem', 
+                fontWeight: 'bold',
+                color: '#333'
+              }}>
+                {useRecoveryCode ? 'Recovery Code' : 'Authentication Code'}
+              </label>
+              <input
+                type="text"
+                value={secondFactor}
+                onChange={(e) => setSecondFactor(e.target.value)}
+                required
+                autoFocus
+                autoComplete="one-time-code"
+                inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                style={{
+                  width: '100%',
+                  padding: '0.75rem',
+                  border: '1px solid #ddd',
+                  borderRadius: '4px',
+                  fontSize: '1rem',
+                  letterSpacing: '0.2em',
+                  boxSizing: 'border-box'
+                }}
+                placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '123456'}
+              />
+              <div style={{ textAlign: 'right', marginTop: '0.5rem' }}>
+                <button
+                  type="button"
+                  onClick={() => { setUseRecoveryCode(!useRecoveryCode); setSecondFactor(''); setError(''); }}
+                  style={linkButtonStyle}
+                >
+                  {useRecoveryCode ? 'Use authenticator app' : 'Use a recovery code'}
+                </button>
+              </div>
+            </div>
+
+            <button
+              type="submit"
+              disabled={isLoading}
               style={{
                 width: '100%',
                 padding: '0.75rem',
-                border: '1px solid #ddd',
+                backgroundColor: isLoading ? '#ccc' : '#007bff',
+                color: 'white',
+                border: 'none',
                 borderRadius: '4px',
                 fontSize: '1rem',
-                boxSizing: 'border-box'
+                fontWeight: 'bold',
+                cursor: isLoading ? 'not-allowed' : 'pointer',
+                marginBottom: '1rem'
               }}
-              placeholder="Enter your email"
-            />
-          </div>
+            >
+              {isLoading ? 'Verifying...' : 'Verify'}
+            </button>
 
-          <div style={{ marginBottom: '1.5rem' }}>
-            <label style={{ 
-              display: 'block', 
-              marginBottom: '0.5rem', 
-              fontWeight: 'bold',
-              color: '#333'
-            }}>
-              Password
-            </label>
-            <input
-              type="password"
-              name="password"
-              value={formData.password}
-              onChange={handleChange}
-              required
+            <div style={{ textAlign: 'center', marginBottom: '1rem' }}>
+              <button type="button" onClick={cancelTwoFactor} style={linkButtonStyle}>
+                Back to sign in
+              </button>
+            </div>
+          </form>
+        ) : (
+          <form onSubmit={handleSubmit}>
+            <div style={{ marginBottom: '1rem' }}>
+              <label style={{ 
+                display: 'block', 
+                marginBottom: '0.5rem', 
+                fontWeight: 'bold',
+                color: '#333'
+              }}>
+                Email Address
+              </label>
+              <input
+                type="email"
+                name="email"
+                value={formData.email}
+                onChange={handleChange}
+                required
+                style={{
+                  width: '100%',
+                  padding: '0.75rem',
+                  border: '1px solid #ddd',
+                  borderRadius: '4px',
+                  fontSize: '1rem',
+                  boxSizing: 'border-box'
+                }}
+                placeholder="Enter your email"
+              />
+            </div>
+
+            <div style={{ marginBottom: '1.5rem' }}>
+              <label style={{ 
+                display: 'block', 
+                marginBottom: '0.5rem', 
+                fontWeight: 'bold',
+                color: '#333'
+              }}>
+                Password
+              </label>
+              <input
+                type="password"
+                name="password"
+                value={formData.password}
+                onChange={handleChange}
+                required
+                style={{
+                  width: '100%',
+                  padding: '0.75rem',
+                  border: '1px solid #ddd',
+                  borderRadius: '4px',
+                  fontSize: '1rem',
+                  boxSizing: 'border-box'
+                }}
+                placeholder="Enter your password"
+              />
+              <div style={{ textAlign: 'right', marginTop: '0.5rem' }}>
+                <button type="button" onClick={openForgot} style={linkButtonStyle}>
+                  Forgot password?
+                </button>
+              </div>
+            </div>
+
+            <button
+              type="submit"
+              disabled={isLoading}
               style={{
                 width: '100%',
                 padding: '0.75rem',
-                border: '1px solid #ddd',
+                backgroundColor: isLoading ? '#ccc' : '#007bff',
+                color: 'white',
+                border: 'none',
                 borderRadius: '4px',
                 fontSize: '1rem',
-                boxSizing: 'border-box'
+                fontWeight: 'bold',
+                cursor: isLoading ? 'not-allowed' : 'pointer',
+                marginBottom: '1rem'
               }}
-              placeholder="Enter your password"
-            />
-          </div>
-
-          <button
-            type="submit"
-            disabled={isLoading}
-            style={{
-              width: '100%',
-              padding: '0.75rem',
-              backgroundColor: isLoading ? '#ccc' : '#007bff',
-              color: 'white',
-              border: 'none',
-              borderRadius: '4px',
-              fontSize: '1rem',
-              fontWeight: 'bold',
-              cursor: isLoading ? 'not-allowed' : 'pointer',
-              marginBottom: '1rem'
-            }}
-          >
-            {isLoading ? 'Signing In...' : 'Sign In'}
-          </button>
-        </form>
+            >
+              {isLoading ? 'Signing In...' : 'Sign In'}
+            </button>
+          </form>
+        )}
 
         <div style={{ textAlign: 'center', color: '#666' }}>
           <p>
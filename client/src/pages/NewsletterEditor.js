@@ -1,14 +1,43 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
+import { DragDropContext } from 'react-beautiful-dnd';
 import { useNewsletter } from '../contexts/NewsletterContext';
 import TemplateGallery from '../components/TemplateGallery';
 import ExportControls from '../components/editor/ExportControls';
+import ShareControls from '../components/editor/ShareControls';
+import PublishSchedule from '../components/editor/PublishSchedule';
+import RevisionHistory from '../components/editor/RevisionHistory';
+import SaveConflictDialog from '../components/editor/SaveConflictDialog';
+import SectionCanvas from '../components/editor/SectionCanvas';
+import SectionOutline from '../components/editor/SectionOutline';
+import SectionToolbar from '../components/editor/SectionToolbar';
+import {
+  SECTION_TYPES,
+  createSection,
+  sortSections,
+  renumberSections,
+  moveSection,
+  duplicateSection,
+  toSectionContent
+} from '../components/editor/SectionTypes';
 import ThemeControls from '../components/editor/ThemeControls';
+import LayoutControls from '../components/editor/LayoutControls';
 import NewsletterPreview from '../components/NewsletterPreview';
 import AIContentGenerator from '../components/editor/AIContentGenerator';
 import ImageBrowser from '../components/editor/ImageBrowser';
 import DebugConsole from '../components/DebugConsole';
 import debugLogger from '../utils/debugLogger';
+import useUndoHistory from '../hooks/useUndoHistory';
+import api from '../services/api';
+import { toSnapshot, isEqual, saveDraft, loadDraft, clearDraft } from '../utils/newsletterDraft';
+import { mergeNewsletters } from '../utils/newsletterMerge';
+
+// Autosave waits for a pause in typing; failed saves retry less often
+const AUTOSAVE_DELAY = 2000;
+const AUTOSAVE_RETRY_DELAY = 15000;
+
+// The editor works on sections; older plain text newsletters are converted when opened
+const withSections = (newsletter) => ({ ...newsletter, content: toSectionContent(newsletter.content) });
 
 const NewsletterEditor = () => {
   const { id } = useParams();
@@ -25,32 +54,157 @@ const NewsletterEditor = () => {
   const [showImageModal, setShowImageModal] = useState(false);
   const [showDebugConsole, setShowDebugConsole] = useState(false);
 
+  // Save state: savedSnapshot is the last version known to be on the server
+  const [savedSnapshot, setSavedSnapshot] = useState(null);
+  const [saveStatus, setSaveStatus] = useState('saved'); // 'saved' | 'saving' | 'error' | 'conflict'
+  const [conflict, setConflict] = useState(null);
+  const [resolvingConflict, setResolvingConflict] = useState(false);
+  const [recoveredDraft, setRecoveredDraft] = useState(null);
+  const [brandKit, setBrandKit] = useState(null);
+  const saveRef = useRef(null);
+
+  // Section canvas state
+  const [editingSectionId, setEditingSectionId] = useState(null);
+  const [collapsedIds, setCollapsedIds] = useState(() => new Set());
+
+  // Undo/redo across every editing operation
+  const {
+    record: recordHistory,
+    undo: undoHistory,
+    redo: redoHistory,
+    reset: resetHistory,
+    canUndo,
+    canRedo
+  } = useUndoHistory();
+  const undoRef = useRef(null);
+
+  // Newsletters shared by a colleague may be view-only; new newsletters have no access info yet
+  const canEdit = !newsletter?.access || newsletter.access.canEdit;
+  const isOwner = !newsletter?.access || newsletter.access.isOwner;
+  const canCopy = !newsletter?.access || newsletter.access.canCopy;
+  const isDirty = Boolean(newsletter && savedSnapshot) && !isEqual(toSnapshot(newsletter), savedSnapshot);
+
   useEffect(() => {
     if (id) {
       debugLogger.info('Loading existing newsletter', { id });
       getNewsletter(id);
     } else {
       debugLogger.info('Creating new newsletter');
-      setNewsletter({
+      const blank = {
         title: 'New Newsletter',
-        content: { text: '' },
+        content: {
+          sections: [
+            createSection(SECTION_TYPES.TITLE, 0),
+            createSection(SECTION_TYPES.RICH_TEXT, 1)
+          ]
+        },
         status: 'draft',
         theme: 'professional'
-      });
+      };
+      setNewsletter(blank);
+      setSavedSnapshot(toSnapshot(blank));
+      resetHistory();
+
+      const draft = loadDraft(null);
+      if (draft && !isEqual(toSnapshot(draft), toSnapshot(blank))) {
+        debugLogger.info('Unsaved draft found for new newsletter', { savedAt: draft.savedAt });
+        setRecoveredDraft(draft);
+      }
     }
-  }, [id, getNewsletter]);
+  }, [id, getNewsletter, resetHistory]);
 
   useEffect(() => {
-    if (id && currentNewsletter && !newsletter) {
+    if (id && currentNewsletter && currentNewsletter.id === id && !newsletter) {
       debugLogger.success('Newsletter loaded successfully', { 
         id, 
         title: currentNewsletter.title,
         theme: currentNewsletter.theme 
       });
-      setNewsletter(currentNewsletter);
+      const loaded = withSections(currentNewsletter);
+      setNewsletter(loaded);
+      setSavedSnapshot(toSnapshot(loaded));
       setSelectedTheme(currentNewsletter.theme || 'professional');
+      setBrandKit(currentNewsletter.brandKit || null);
+      resetHistory();
+
+      // A local draft that differs from the server means the last session ended before saving
+      const draft = loadDraft(id);
+      if (draft && !isEqual(toSnapshot(draft), toSnapshot(loaded))) {
+        debugLogger.info('Unsaved draft found', { id, savedAt: draft.savedAt, baseRevision: draft.baseRevision });
+        setRecoveredDraft(draft);
+      } else if (draft) {
+        clearDraft(id);
+      }
+    }
+  }, [id, currentNewsletter, newsletter, resetHistory]);
+
+  // A new newsletter belongs to the signed-in teacher, so their school's brand kit applies
+  useEffect(() => {
+    if (id) return;
+
+    const loadBrandKit = async () => {
+      try {
+        const response = await api.getMySchool();
+        setBrandKit(response.data.school?.brandKit || null);
+      } catch (error) {
+        debugLogger.warn('School brand kit unavailable', { error: error.message });
+      }
+    };
+
+    loadBrandKit();
+  }, [id]);
+
+  // Keep a local copy of unsaved changes until the server has them
+  useEffect(() => {
+    if (!newsletter || !canEdit || recoveredDraft) return;
+
+    if (isDirty) {
+      saveDraft(id, newsletter);
+    } else {
+      clearDraft(id);
     }
-  }, [id, currentNewsletter, newsletter]);
+  }, [id, newsletter, isDirty, canEdit, recoveredDraft]);
+
+  // Debounced autosave; every edit restarts the timer
+  useEffect(() => {
+    if (!id || !isDirty || !canEdit || saving || conflict || recoveredDraft) return undefined;
+
+    const delay = saveStatus === 'error' ? AUTOSAVE_RETRY_DELAY : AUTOSAVE_DELAY;
+    const timer = setTimeout(() => saveRef.current({ autosave: true }), delay);
+    return () => clearTimeout(timer);
+  }, [id, newsletter, isDirty, canEdit, saving, conflict, recoveredDraft, saveStatus]);
+
+  // Warn before leaving with changes that have not reached the server
+  useEffect(() => {
+    if (!isDirty) return undefined;
+
+    const handleBeforeUnload = (event) => {
+      event.preventDefault();
+      event.returnValue = '';
+    };
+
+    window.addEventListener('beforeunload', handleBeforeUnload);
+    return () => window.removeEventListener('beforeunload', handleBeforeUnload);
+  }, [isDirty]);
+
+  // Ctrl+Z undoes, Ctrl+Shift+Z or Ctrl+Y redoes (Cmd on macOS)
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (!(event.ctrlKey || event.metaKey) || !undoRef.current) return;
+
+      const key = event.key.toLowerCase();
+      if (key === 'z' && !event.shiftKey) {
+        event.preventDefault();
+        undoRef.current.undo();
+      } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+        event.preventDefault();
+        undoRef.current.redo();
+      }
+    };
+
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
 
   // F12 debug console toggle
   useEffect(() => {
@@ -76,102 +230,334 @@ const NewsletterEditor = () => {
     return () => window.removeEventListener('keydown', handleKeyDown);
   }, []);
 
-  const saveNewsletter = async () => {
-    if (!newsletter || saving) {
+  // Everything undo/redo restores
+  const currentDocument = () => ({ ...toSnapshot(newsletter), theme: selectedTheme });
+
+  // Call before changing the document; changes sharing a group are merged while typing continues
+  const recordChange = (group) => {
+    if (newsletter) {
+      recordHistory(currentDocument(), group);
+    }
+  };
+
+  const applyDocument = (doc) => {
+    setNewsletter(prev => ({ ...prev, title: doc.title, content: doc.content, settings: doc.settings }));
+    setSelectedTheme(doc.theme);
+  };
+
+  const historyBlocked = !newsletter || !canEdit || showAIModal || showImageModal || Boolean(conflict);
+
+  const handleUndo = () => {
+    if (historyBlocked) return;
+    const doc = undoHistory(currentDocument());
+    if (doc) {
+      debugLogger.user('Undo');
+      applyDocument(doc);
+    }
+  };
+
+  const handleRedo = () => {
+    if (historyBlocked) return;
+    const doc = redoHistory(currentDocument());
+    if (doc) {
+      debugLogger.user('Redo');
+      applyDocument(doc);
+    }
+  };
+  undoRef.current = { undo: handleUndo, redo: handleRedo };
+
+  const saveNewsletter = async (options = {}) => {
+    if (!newsletter || saving || !canEdit) {
       debugLogger.warn('Save attempted but newsletter not ready', { newsletter: !!newsletter, saving });
       return;
     }
+
+    // The snapshot being sent; edits made while the request is in flight stay unsaved
+    const snapshot = toSnapshot(newsletter);
+    const baseRevision = options.baseRevision !== undefined ? options.baseRevision : (newsletter.revision ?? null);
     
     try {
       setSaving(true);
-      debugLogger.info('Saving newsletter', { 
+      setSaveStatus('saving');
+      debugLogger.info(options.autosave ? 'Autosaving newsletter' : 'Saving newsletter', { 
         id, 
         title: newsletter.title, 
         theme: selectedTheme,
-        contentLength: newsletter.content?.text?.length || 0
+        baseRevision,
+        sectionCount: newsletter.content?.sections?.length || 0
       });
       
       const updatedNewsletter = { ...newsletter, theme: selectedTheme };
       
       if (id) {
-        await updateNewsletter(id, updatedNewsletter);
-        debugLogger.success('Newsletter updated successfully', { id });
+        const saved = await updateNewsletter(id, { ...updatedNewsletter, baseRevision });
+        // Keep the revision number current so the next save and the history panel build on it
+        setNewsletter(prev => ({ ...prev, revision: saved.revision, updatedAt: saved.updatedAt }));
+        setSavedSnapshot(snapshot);
+        debugLogger.success('Newsletter updated successfully', { id, revision: saved.revision });
       } else {
         const created = await createNewsletter(updatedNewsletter);
         if (created) {
           debugLogger.success('Newsletter created successfully', { newId: created.id });
+          setNewsletter(prev => ({ ...prev, id: created.id, revision: created.revision, access: created.access }));
+          setSavedSnapshot(snapshot);
+          clearDraft(null);
           navigate(`/editor/${created.id}`, { replace: true });
         }
       }
+      setSaveStatus('saved');
     } catch (err) {
-      debugLogger.error('Error saving newsletter', { error: err.message, stack: err.stack });
-      console.error('Error saving newsletter:', err);
+      if (err.status === 409) {
+        debugLogger.warn('Save rejected: newsletter changed elsewhere', {
+          id,
+          baseRevision,
+          currentRevision: err.data?.currentRevision
+        });
+        setConflict({ server: err.data?.newsletter || null });
+        setSaveStatus('conflict');
+      } else {
+        debugLogger.error('Error saving newsletter', { error: err.message, stack: err.stack });
+        console.error('Error saving newsletter:', err);
+        setSaveStatus('error');
+      }
     } finally {
       setSaving(false);
     }
   };
+  saveRef.current = saveNewsletter;
+
+  // Combine our unsaved edits with the newer server version, based on the revision we started from
+  const handleMergeConflict = async () => {
+    const theirs = conflict.server;
+    setResolvingConflict(true);
+
+    try {
+      let base = savedSnapshot;
+      if (newsletter.revision) {
+        try {
+          const response = await api.getRevision(id, newsletter.revision);
+          base = toSnapshot(response.data.revision);
+        } catch (err) {
+          debugLogger.warn('Base revision unavailable, merging against last saved state', { error: err.message });
+        }
+      }
+
+      const merged = mergeNewsletters(base, toSnapshot(newsletter), toSnapshot(withSections(theirs)));
+      debugLogger.success('Changes merged', { revision: theirs.revision, conflicts: merged.conflicts });
+
+      recordChange();
+      setNewsletter(prev => ({
+        ...prev,
+        title: merged.title,
+        content: merged.content,
+        settings: merged.settings,
+        revision: theirs.revision,
+        updatedAt: theirs.updatedAt
+      }));
+      setSavedSnapshot(toSnapshot(theirs));
+      setConflict(null);
+      setSaveStatus('saved');
+    } finally {
+      setResolvingConflict(false);
+    }
+  };
+
+  const handleOverwriteConflict = () => {
+    const theirs = conflict.server;
+    debugLogger.user('Overwriting newer version', { id, revision: theirs?.revision });
+    setConflict(null);
+    saveNewsletter({ baseRevision: theirs ? theirs.revision : null });
+  };
+
+  const handleDiscardConflict = () => {
+    const theirs = withSections(conflict.server);
+    debugLogger.user('Discarding local changes for newer version', { id, revision: theirs.revision });
+    recordChange();
+    setNewsletter(theirs);
+    setSavedSnapshot(toSnapshot(theirs));
+    setConflict(null);
+    setSaveStatus('saved');
+    clearDraft(id);
+  };
+
+  // Saving a recovered draft keeps its base revision, so newer server changes surface as a conflict
+  const handleRestoreDraft = () => {
+    debugLogger.user('Recovered unsaved draft', { id, savedAt: recoveredDraft.savedAt });
+    recordChange();
+    setNewsletter(prev => ({
+      ...prev,
+      title: recoveredDraft.title,
+      content: recoveredDraft.content,
+      settings: recoveredDraft.settings,
+      revision: recoveredDraft.baseRevision ?? prev.revision
+    }));
+    setRecoveredDraft(null);
+  };
+
+  const handleDiscardDraft = () => {
+    debugLogger.user('Discarded unsaved draft', { id });
+    clearDraft(id);
+    setRecoveredDraft(null);
+  };
+
+  const handleRevisionRestored = (restored) => {
+    debugLogger.success('Revision restored', { id, revision: restored.revision });
+    const current = withSections(restored);
+    recordChange();
+    setNewsletter(current);
+    setSavedSnapshot(toSnapshot(current));
+    setActiveTab('editor');
+  };
+
+  // Keeps a later save from sending the stale draft status back
+  const handleScheduledPublish = useCallback((job) => {
+    debugLogger.success('Newsletter published on schedule', { id, jobId: job.id });
+    setNewsletter(prev => ({ ...prev, status: 'published' }));
+  }, [id]);
 
   const handleTemplateSelect = (template) => {
     debugLogger.user('Template selected', { 
       templateTitle: template.title, 
       templateTheme: template.theme 
     });
+    recordChange();
     setNewsletter(prev => ({
       ...prev,
       title: template.title,
-      content: template.content,
+      content: {
+        ...prev.content,
+        sections: renumberSections(sortSections(template.sections || []))
+      },
       theme: template.theme
     }));
     setSelectedTheme(template.theme);
+    setEditingSectionId(null);
     setActiveTab('editor');
   };
 
-  // AI Content Generation Handler
-  const handleAIContentGenerated = (generatedContent) => {
-    debugLogger.success('AI content generated', { 
-      contentLength: generatedContent?.length || 0,
-      contentPreview: generatedContent?.substring(0, 100) + '...' 
-    });
+  // Section handlers; every change leaves `order` numbered 0..n-1
+  const updateSections = (updater) => {
     setNewsletter(prev => ({
       ...prev,
       content: {
         ...prev.content,
-        text: (prev.content?.text || '') + '\n\n' + generatedContent
+        sections: updater(sortSections(prev.content?.sections || []))
       }
     }));
+  };
+
+  const handleLayoutChange = (updated) => {
+    debugLogger.user('Layout changed', { layout: updated.settings?.layout });
+    recordChange('layout');
+    setNewsletter(prev => ({ ...prev, settings: updated.settings }));
+  };
+
+  const handleSectionChange = (sectionId, changes) => {
+    recordChange(`section:${sectionId}`);
+    updateSections(sections => sections.map(section => {
+      if (section.id !== sectionId) return section;
+      // Image sections keep their fields at the top level
+      return section.type === SECTION_TYPES.IMAGE
+        ? { ...section, ...changes }
+        : { ...section, data: changes };
+    }));
+  };
+
+  const handleSectionDelete = (sectionId) => {
+    debugLogger.user('Section deleted', { sectionId });
+    recordChange();
+    updateSections(sections => renumberSections(sections.filter(section => section.id !== sectionId)));
+  };
+
+  const handleAddSection = (newSection) => {
+    debugLogger.user('Section added', { type: newSection.type });
+    recordChange();
+    updateSections(sections => renumberSections([...sections, newSection]));
+    setEditingSectionId(newSection.id);
+  };
+
+  const handleMoveSection = (fromIndex, toIndex) => {
+    debugLogger.user('Section moved', { fromIndex, toIndex });
+    recordChange();
+    updateSections(sections => moveSection(sections, fromIndex, toIndex));
+  };
+
+  const handleDragEnd = (result) => {
+    // The outline and the canvas list the same sections in the same order
+    if (!result.destination || result.source.index === result.destination.index) return;
+    handleMoveSection(result.source.index, result.destination.index);
+  };
+
+  const handleDuplicateSection = (sectionId) => {
+    debugLogger.user('Section duplicated', { sectionId });
+    recordChange();
+    updateSections(sections => duplicateSection(sections, sectionId).sections);
+  };
+
+  const handleToggleEdit = (sectionId) => {
+    setEditingSectionId(prev => (prev === sectionId ? null : sectionId));
+  };
+
+  const handleToggleCollapse = (sectionId) => {
+    setCollapsedIds(prev => {
+      const next = new Set(prev);
+      if (next.has(sectionId)) {
+        next.delete(sectionId);
+      } else {
+        next.add(sectionId);
+      }
+      return next;
+    });
+  };
+
+  const handleJumpToSection = (sectionId) => {
+    setCollapsedIds(prev => {
+      const next = new Set(prev);
+      next.delete(sectionId);
+      return next;
+    });
+
+    const card = document.getElementById(`section-card-${sectionId}`);
+    if (card) {
+      card.scrollIntoView({ behavior: 'smooth', block: 'start' });
+      card.focus({ preventScroll: true });
+    }
+  };
+
+  // AI Content Generation Handler
+  const handleAIContentGenerated = (generatedContent) => {
+    debugLogger.success('AI content generated', { 
+      contentLength: generatedContent?.length || 0,
+      contentPreview: generatedContent?.substring(0, 100) + '...' 
+    });
+    const section = createSection(SECTION_TYPES.RICH_TEXT);
+    handleAddSection({ ...section, data: { ...section.data, content: generatedContent } });
     setShowAIModal(false);
   };
 
   // Image Selection Handler
-  const handleImageSelect = (imageUrl) => {
-    debugLogger.user('Image selected', { imageUrl });
-    const imageMarkdown = `\n\n![Image](${imageUrl})\n\n`;
-    setNewsletter(prev => ({
-      ...prev,
-      content: {
-        ...prev.content,
-        text: (prev.content?.text || '') + imageMarkdown
-      }
-    }));
+  const handleImageSelect = (image) => {
+    debugLogger.user('Image selected', { imageUrl: image.url });
+    handleAddSection({
+      ...createSection(SECTION_TYPES.IMAGE),
+      imageUrl: image.url,
+      imageAlt: image.description || 'Newsletter image',
+      imageCredit: {
+        photographer: image.photographer,
+        photographerUrl: image.photographerUrl,
+        provider: image.provider,
+        webUrl: image.webUrl
+      },
+      imageWidth: image.width,
+      imageHeight: image.height
+    });
     setShowImageModal(false);
   };
 
   // Add Event Handler
   const handleAddEvent = () => {
-    debugLogger.user('Event template added to newsletter');
-    const eventTemplate = `\n\n📅 **Upcoming Event**
-Date: [Event Date]
-Title: [Event Title]
-Description: [Event Description]
-\n\n`;
-    
-    setNewsletter(prev => ({
-      ...prev,
-      content: {
-        ...prev.content,
-        text: (prev.content?.text || '') + eventTemplate
-      }
-    }));
+    debugLogger.user('Events section added to newsletter');
+    handleAddSection(createSection(SECTION_TYPES.EVENTS));
   };
 
   // Button click handlers with debugging
@@ -199,7 +585,8 @@ Description: [Event Description]
     );
   }
 
-  if (error) {
+  // Save errors are shown next to the Save button; only a failed load replaces the editor
+  if (error && !newsletter) {
     debugLogger.error('Newsletter loading error', { error });
     return (
       <div className="min-h-screen bg-gray-50 flex items-center justify-center">
@@ -260,7 +647,29 @@ Description: [Event Description]
     return themes[themeName] || themes.professional;
   };
 
-  const currentThemeObject = getThemeObject(selectedTheme);
+  // The school brand kit overrides the preset's colors and font, as it does in exports
+  const hasBrandKit = Boolean(brandKit && Object.keys(brandKit).length > 0);
+  const presetThemeObject = getThemeObject(selectedTheme);
+  const currentThemeObject = hasBrandKit ? {
+    ...presetThemeObject,
+    ...Object.fromEntries(
+      ['primaryColor', 'secondaryColor', 'accentColor', 'fontFamily']
+        .filter(key => brandKit[key])
+        .map(key => [key, brandKit[key]])
+    )
+  } : presetThemeObject;
+  const orderedSections = sortSections(newsletter.content?.sections || []);
+  const previewNewsletter = { ...newsletter, sections: orderedSections };
+
+  const saveStatusLabel = saving
+    ? 'Saving...'
+    : saveStatus === 'conflict'
+      ? 'Not saved: newer version exists'
+      : saveStatus === 'error'
+        ? 'Save failed, retrying'
+        : isDirty
+          ? 'Unsaved changes'
+          : 'All changes saved';
 
   debugLogger.info('Rendering newsletter editor', { 
     newsletterTitle: newsletter.title,
@@ -287,9 +696,41 @@ Description: [Event Description]
             </h1>
             
             <div className="flex items-center gap-3">
+              {!isOwner && (
+                <span className="text-sm text-gray-500">
+                  Shared by {newsletter?.ownerName}{!canEdit && ' • View only'}
+                </span>
+              )}
+              {canEdit && (
+                <span className={`text-sm ${saveStatus === 'error' || saveStatus === 'conflict' ? 'text-red-600' : isDirty ? 'text-yellow-700' : 'text-gray-500'}`}>
+                  {saveStatusLabel}
+                </span>
+              )}
+              {canEdit && (
+                <div className="flex">
+                  <button
+                    onClick={handleUndo}
+                    disabled={!canUndo}
+                    title="Undo (Ctrl+Z)"
+                    aria-label="Undo"
+                    className="px-3 py-2 border border-gray-300 rounded-l text-gray-700 hover:bg-gray-50 disabled:opacity-40"
+                  >
+                    ↶
+                  </button>
+                  <button
+                    onClick={handleRedo}
+                    disabled={!canRedo}
+                    title="Redo (Ctrl+Shift+Z)"
+                    aria-label="Redo"
+                    className="px-3 py-2 border border-l-0 border-gray-300 rounded-r text-gray-700 hover:bg-gray-50 disabled:opacity-40"
+                  >
+                    ↷
+                  </button>
+                </div>
+              )}
               <button
-                onClick={saveNewsletter}
-                disabled={saving}
+                onClick={() => saveNewsletter()}
+                disabled={saving || !canEdit}
                 className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700 disabled:bg-blue-400 flex items-center gap-2"
               >
                 {saving ? (
@@ -315,6 +756,7 @@ Description: [Event Description]
               { id: 'editor', label: '✏️ Editor', icon: '✏️' },
               { id: 'themes', label: '🎭 Themes', icon: '🎭' },
               { id: 'preview', label: '👀 Preview', icon: '👀' },
+              { id: 'history', label: '🕘 History', icon: '🕘' },
               { id: 'export', label: '📤 Export', icon: '📤' }
             ].map(tab => (
               <button
@@ -338,119 +780,193 @@ Description: [Event Description]
 
       {/* Main Content */}
       <div className="max-w-7xl mx-auto p-6">
+        {recoveredDraft && (
+          <div className="mb-6 bg-yellow-50 border border-yellow-200 rounded-md p-4 flex flex-wrap items-center justify-between gap-3">
+            <p className="text-sm text-yellow-800">
+              Unsaved changes from {new Date(recoveredDraft.savedAt).toLocaleString()} were found on this device.
+            </p>
+            <div className="flex gap-2">
+              <button
+                onClick={handleRestoreDraft}
+                className="px-3 py-1 text-sm font-medium rounded text-white bg-yellow-600 hover:bg-yellow-700"
+              >
+                Restore
+              </button>
+              <button
+                onClick={handleDiscardDraft}
+                className="px-3 py-1 text-sm font-medium rounded text-yellow-800 bg-yellow-100 hover:bg-yellow-200"
+              >
+                Discard
+              </button>
+            </div>
+          </div>
+        )}
+
         {activeTab === 'templates' && (
           <TemplateGallery onSelectTemplate={handleTemplateSelect} />
         )}
 
         {activeTab === 'editor' && (
-          <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
-            {/* Editor Panel */}
-            <div className="bg-white rounded-lg shadow p-6">
-              <h2 className="text-lg font-semibold mb-4">📝 Content Editor</h2>
-              
-              <div className="mb-6">
-                <label className="block text-sm font-medium text-gray-700 mb-2">
-                  Newsletter Title
-                </label>
-                <input
-                  type="text"
-                  value={newsletter.title || ''}
-                  onChange={(e) => {
-                    debugLogger.user('Newsletter title changed', { newTitle: e.target.value });
-                    setNewsletter({...newsletter, title: e.target.value});
-                  }}
-                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-                  placeholder="Enter newsletter title..."
-                />
-              </div>
-              
-              <div className="mb-6">
-                <label className="block text-sm font-medium text-gray-700 mb-2">
-                  Content
-                </label>
-                <textarea
-                  rows={12}
-                  value={newsletter.content?.text || ''}
-                  onChange={(e) => {
-                    debugLogger.debug('Newsletter content changed', { 
-                      contentLength: e.target.value.length,
-                      linesChanged: e.target.value.split('\n').length
-                    });
-                    setNewsletter({
-                      ...newsletter, 
-                      content: {...newsletter.content, text: e.target.value}
-                    });
-                  }}
-                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 font-mono"
-                  placeholder="Write your newsletter content here..."
+          <DragDropContext onDragEnd={handleDragEnd}>
+            <div className="grid grid-cols-1 lg:grid-cols-4 gap-6">
+              {/* Outline */}
+              <div className="space-y-4 lg:sticky lg:top-24 lg:self-start">
+                <SectionOutline
+                  sections={orderedSections}
+                  canEdit={canEdit}
+                  collapsedIds={collapsedIds}
+                  onSelect={handleJumpToSection}
+                  onMove={handleMoveSection}
+                  onDuplicate={handleDuplicateSection}
+                  onCollapseAll={() => setCollapsedIds(new Set(orderedSections.map(section => section.id)))}
+                  onExpandAll={() => setCollapsedIds(new Set())}
                 />
+                {canEdit && (
+                  <div className="bg-white rounded-lg shadow overflow-hidden">
+                    <SectionToolbar onAddSection={handleAddSection} />
+                  </div>
+                )}
               </div>
 
-              <div className="flex flex-wrap gap-2">
-                <button 
-                  onClick={handleAIAssistClick}
-                  className="bg-green-100 text-green-800 px-3 py-1 rounded-full text-sm hover:bg-green-200 transition-colors"
-                >
-                  🤖 AI Assist
-                </button>
-                <button 
-                  onClick={handleAddImageClick}
-                  className="bg-purple-100 text-purple-800 px-3 py-1 rounded-full text-sm hover:bg-purple-200 transition-colors"
-                >
-                  🖼️ Add Image
-                </button>
-                <button 
-                  onClick={handleAddEventClick}
-                  className="bg-orange-100 text-orange-800 px-3 py-1 rounded-full text-sm hover:bg-orange-200 transition-colors"
-                >
-                  📅 Add Event
-                </button>
-              </div>
-            </div>
+              {/* Canvas */}
+              <div className="lg:col-span-3 bg-white rounded-lg shadow p-6">
+                <div className="mb-6">
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Newsletter Title
+                  </label>
+                  <input
+                    type="text"
+                    value={newsletter.title || ''}
+                    readOnly={!canEdit}
+                    onChange={(e) => {
+                      debugLogger.user('Newsletter title changed', { newTitle: e.target.value });
+                      recordChange('title');
+                      setNewsletter({...newsletter, title: e.target.value});
+                    }}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    placeholder="Enter newsletter title..."
+                  />
+                </div>
 
-            {/* Live Preview Panel */}
-            <div className="bg-white rounded-lg shadow p-6">
-              <h2 className="text-lg font-semibold mb-4">👁️ Live Preview</h2>
-              <NewsletterPreview newsletter={newsletter} theme={selectedTheme} />
+                {canEdit && (
+                  <div className="flex flex-wrap gap-2 mb-6">
+                    <button 
+                      onClick={handleAIAssistClick}
+                      className="bg-green-100 text-green-800 px-3 py-1 rounded-full text-sm hover:bg-green-200 transition-colors"
+                    >
+                      🤖 AI Assist
+                    </button>
+                    <button 
+                      onClick={handleAddImageClick}
+                      className="bg-purple-100 text-purple-800 px-3 py-1 rounded-full text-sm hover:bg-purple-200 transition-colors"
+                    >
+                      🖼️ Add Image
+                    </button>
+                    <button 
+                      onClick={handleAddEventClick}
+                      className="bg-orange-100 text-orange-800 px-3 py-1 rounded-full text-sm hover:bg-orange-200 transition-colors"
+                    >
+                      📅 Add Event
+                    </button>
+                  </div>
+                )}
+
+                <SectionCanvas
+                  sections={orderedSections}
+                  theme={currentThemeObject}
+                  canEdit={canEdit}
+                  editingId={editingSectionId}
+                  collapsedIds={collapsedIds}
+                  onChange={handleSectionChange}
+                  onDelete={handleSectionDelete}
+                  onMove={handleMoveSection}
+                  onDuplicate={handleDuplicateSection}
+                  onToggleEdit={handleToggleEdit}
+                  onToggleCollapse={handleToggleCollapse}
+                />
+              </div>
             </div>
-          </div>
+          </DragDropContext>
         )}
 
         {activeTab === 'themes' && (
-          <div className="bg-white rounded-lg shadow p-6">
-            <h2 className="text-lg font-semibold mb-4">🎭 Theme Customization</h2>
-            <ThemeControls
-              theme={currentThemeObject}
-              onChange={(newTheme) => {
-                debugLogger.user('Theme changed', { 
-                  from: selectedTheme, 
-                  to: newTheme.name || newTheme,
-                  themeData: newTheme
-                });
-                if (typeof newTheme === 'string') {
-                  setSelectedTheme(newTheme);
-                } else {
-                  setSelectedTheme(newTheme.name || 'professional');
-                }
-              }}
-              selectedTheme={selectedTheme}
-              onThemeChange={setSelectedTheme}
-            />
+          <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+            <div className="lg:col-span-2 bg-white rounded-lg shadow p-6">
+              <h2 className="text-lg font-semibold mb-4">🎭 Theme Customization</h2>
+              {hasBrandKit && (
+                <p className="mb-4 text-sm text-gray-600 bg-yellow-50 border border-yellow-200 rounded-md p-3">
+                  Your school's brand kit sets the logo{brandKit.fontFamily ? ', font' : ''} and brand colors for this newsletter,
+                  in the preview and in every export.
+                </p>
+              )}
+              <ThemeControls
+                theme={currentThemeObject}
+                onChange={(newTheme) => {
+                  debugLogger.user('Theme changed', { 
+                    from: selectedTheme, 
+                    to: newTheme.name || newTheme,
+                    themeData: newTheme
+                  });
+                  recordChange('theme');
+                  if (typeof newTheme === 'string') {
+                    setSelectedTheme(newTheme);
+                  } else {
+                    setSelectedTheme(newTheme.name || 'professional');
+                  }
+                }}
+                selectedTheme={selectedTheme}
+                onThemeChange={(themeName) => {
+                  recordChange('theme');
+                  setSelectedTheme(themeName);
+                }}
+              />
+            </div>
+            {canEdit && (
+              <LayoutControls newsletter={newsletter} onChange={handleLayoutChange} />
+            )}
           </div>
         )}
 
         {activeTab === 'preview' && (
           <div className="bg-white rounded-lg shadow p-6">
             <h2 className="text-lg font-semibold mb-4">📧 Full Preview</h2>
-            <NewsletterPreview newsletter={newsletter} theme={selectedTheme} fullSize={true} />
+            <NewsletterPreview newsletter={previewNewsletter} theme={selectedTheme} brandKit={brandKit} fullSize={true} />
           </div>
         )}
 
+        {activeTab === 'history' && (
+          <RevisionHistory
+            newsletter={newsletter}
+            canEdit={canEdit}
+            onRestore={handleRevisionRestored}
+          />
+        )}
+
         {activeTab === 'export' && (
-          <ExportControls newsletter={newsletter} theme={selectedTheme} />
+          <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
+            {canCopy ? (
+              <ExportControls newsletter={newsletter} theme={selectedTheme} />
+            ) : (
+              <p className="text-sm text-gray-600">
+                Exporting needs copy access. Ask {newsletter.ownerName || 'the owner'} to let you copy this newsletter.
+              </p>
+            )}
+            {isOwner && <ShareControls newsletter={newsletter} />}
+            {isOwner && <PublishSchedule newsletter={newsletter} onPublished={handleScheduledPublish} />}
+          </div>
         )}
       </div>
 
+      {conflict && (
+        <SaveConflictDialog
+          serverNewsletter={conflict.server}
+          busy={resolvingConflict || saving}
+          onMerge={handleMergeConflict}
+          onOverwrite={handleOverwriteConflict}
+          onDiscard={handleDiscardConflict}
+        />
+      )}
+
       {/* AI Content Generation Modal */}
       {showAIModal && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
@@ -467,7 +983,10 @@ Description: [Event Description]
             <div className="p-4">
               <AIContentGenerator
                 onContentGenerated={handleAIContentGenerated}
-                existingContent={newsletter.content?.text || ''}
+                existingContent={orderedSections
+                  .filter(section => section.type === SECTION_TYPES.RICH_TEXT)
+                  .map(section => section.data?.content || '')
+                  .join('\n\n')}
               />
             </div>
           </div>
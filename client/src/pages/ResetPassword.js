@@ -0,0 +1,197 @@
+import React, { useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import api from '../services/api';
+
+// Mirrors User.validatePassword on the server so problems show before submitting
+const passwordProblems = (password) => {
+  const problems = [];
+  if (password.length < 8) problems.push('at least 8 characters');
+  if (!/[a-z]/.test(password)) problems.push('a lowercase letter');
+  if (!/[A-Z]/.test(password)) problems.push('an uppercase letter');
+  if (!/\d/.test(password)) problems.push('a number');
+  if (!/[!@#$%^&*]/.test(password)) problems.push('a special character (!@#$%^&*)');
+  return problems;
+};
+
+const inputStyle = {
+  width: '100%',
+  padding: '0.75rem',
+  border: '1px solid #ddd',
+  borderRadius: '4px',
+  fontSize: '1rem',
+  boxSizing: 'border-box'
+};
+
+const labelStyle = {
+  display: 'block',
+  marginBottom: '0.5rem',
+  fontWeight: 'bold',
+  color: '#333'
+};
+
+// Landing page for emailed password reset links (/reset-password?token=...)
+const ResetPassword = () => {
+  const [searchParams] = useSearchParams();
+  const navigate = useNavigate();
+  const token = searchParams.get('token') || '';
+
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [error, setError] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+  const [done, setDone] = useState(false);
+
+  const problems = passwordProblems(password);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError('');
+
+    if (problems.length > 0) {
+      setError(`Password needs ${problems.join(', ')}.`);
+      return;
+    }
+
+    if (password !== confirmPassword) {
+      setError('Passwords do not match.');
+      return;
+    }
+
+    setIsLoading(true);
+    try {
+      await api.confirmPasswordReset(token, password);
+      setDone(true);
+    } catch (err) {
+      setError(err.message || 'Could not reset your password. Please try again.');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div style={{
+      minHeight: '100vh',
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      backgroundColor: '#f5f5f5',
+      padding: '1rem'
+    }}>
+      <div style={{
+        backgroundColor: 'white',
+        padding: '2rem',
+        borderRadius: '8px',
+        boxShadow: '0 2px 10px rgba(0,0,0,0.1)',
+        width: '100%',
+        maxWidth: '400px'
+      }}>
+        <div style={{ textAlign: 'center', marginBottom: '2rem' }}>
+          <h1 style={{ color: '#333', marginBottom: '0.5rem' }}>Choose a New Password</h1>
+          <p style={{ color: '#666', margin: 0 }}>
+            {done ? 'All set.' : 'You will be signed out of every device and your access tokens will stop working.'}
+          </p>
+        </div>
+
+        {!token ? (
+          <p style={{ color: '#c33', textAlign: 'center' }}>
+            This reset link is incomplete. <Link to="/login" style={{ color: '#007bff' }}>Request a new one</Link>.
+          </p>
+        ) : done ? (
+          <div style={{ textAlign: 'center' }}>
+            <p style={{ color: '#2e7d32', marginBottom: '1.5rem' }}>
+              Your password has been reset. Sign in with your new password.
+            </p>
+            <button
+              onClick={() => navigate('/login')}
+              style={{
+                width: '100%',
+                padding: '0.75rem',
+                backgroundColor: '#007bff',
+                color: 'white',
+                border: 'none',
+                borderRadius: '4px',
+                fontSize: '1rem',
+                fontWeight: 'bold',
+                cursor: 'pointer'
+              }}
+            >
+              Go to Sign In
+            </button>
+          </div>
+        ) : (
+          <form onSubmit={handleSubmit}>
+            {error && (
+              <div style={{
+                backgroundColor: '#fee',
+                color: '#c33',
+                padding: '0.75rem',
+                borderRadius: '4px',
+                marginBottom: '1rem',
+                border: '1px solid #fcc'
+              }}>
+                {error}
+              </div>
+            )}
+
+            <div style={{ marginBottom: '1rem' }}>
+              <label style={labelStyle}>New Password</label>
+              <input
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                required
+                autoFocus
+                autoComplete="new-password"
+                style={inputStyle}
+              />
+              {password && problems.length > 0 && (
+                <p style={{ color: '#666', fontSize: '0.8rem', margin: '0.5rem 0 0' }}>
+                  Still needs {problems.join(', ')}.
+                </p>
+              )}
+            </div>
+
+            <div style={{ marginBottom: '1.5rem' }}>
+              <label style={labelStyle}>Confirm New Password</label>
+              <input
+                type="password"
+                value={confirmPassword}
+                onChange={(e) => setConfirmPassword(e.target.value)}
+                required
+                autoComplete="new-password"
+                style={inputStyle}
+              />
+            </div>
+
+            <button
+              type="submit"
+              disabled={isLoading}
+              style={{
+                width: '100%',
+                padding: '0.75rem',
+                backgroundColor: isLoading ? '#ccc' : '#007bff',
+                color: 'white',
+                border: 'none',
+                borderRadius: '4px',
+                fontSize: '1rem',
+                fontWeight: 'bold',
+                cursor: isLoading ? 'not-allowed' : 'pointer',
+                marginBottom: '1rem'
+              }}
+            >
+              {isLoading ? 'Saving...' : 'Reset Password'}
+            </button>
+
+            <div style={{ textAlign: 'center' }}>
+              <Link to="/login" style={{ color: '#007bff', textDecoration: 'none', fontSize: '0.875rem' }}>
+                Back to sign in
+              </Link>
+            </div>
+          </form>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ResetPassword;
@@ -0,0 +1,99 @@
+import React, { useEffect, useState } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import SchoolMembers from '../components/school/SchoolMembers';
+import BrandKitEditor from '../components/school/BrandKitEditor';
+import SchoolUsage from '../components/school/SchoolUsage';
+import api from '../services/api';
+
+// School admin tools; site admins reach any school through /school/:id, reviewers see its usage
+const School = () => {
+  const { id } = useParams();
+  const { user } = useAuth();
+  const [school, setSchool] = useState(null);
+  const [role, setRole] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const loadSchool = async () => {
+      try {
+        if (id && user?.role === 'reviewer') {
+          const response = await api.getSchoolUsage(id);
+          setSchool(response.data.school);
+          setRole('reviewer');
+        } else if (id) {
+          const response = await api.getSchoolMembers(id);
+          setSchool(response.data.school);
+          setRole('school_admin');
+        } else {
+          const response = await api.getMySchool();
+          setSchool(response.data.school);
+          setRole(response.data.role);
+        }
+      } catch (err) {
+        console.error('Error loading school:', err);
+        setError(err.message || 'This school is unavailable right now.');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadSchool();
+  }, [id, user?.role]);
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+        <div className="text-lg">Loading school...</div>
+      </div>
+    );
+  }
+
+  if (error || !school || (role !== 'school_admin' && role !== 'reviewer')) {
+    return (
+      <div className="min-h-screen bg-gray-50">
+        <div className="max-w-3xl mx-auto py-12 px-4">
+          <div className="bg-white shadow rounded-lg p-6">
+            <h1 className="text-2xl font-bold text-gray-900">{school ? school.name : 'School'}</h1>
+            <p className="mt-2 text-gray-600">
+              {error || (school
+                ? 'Only school admins can manage members and the brand kit. Ask your school admin for changes.'
+                : 'Your account is not part of a school yet. A site admin can add your school and make you its school admin.')}
+            </p>
+            <Link to="/account" className="mt-4 inline-block text-sm font-medium text-blue-600 hover:text-blue-800">
+              Back to account
+            </Link>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="max-w-5xl mx-auto py-6 sm:px-6 lg:px-8">
+        <div className="px-4 py-6 sm:px-0">
+          <h1 className="text-3xl font-bold text-gray-900">{school.name}</h1>
+          <p className="mt-2 text-gray-600">
+            {role === 'reviewer'
+              ? 'How this school\'s teachers are using the newsletter tool.'
+              : 'Manage your school\'s teachers, brand kit and usage.'}
+          </p>
+        </div>
+
+        <div className="px-4 sm:px-0 space-y-6">
+          <SchoolUsage school={school} />
+          {role === 'school_admin' && (
+            <>
+              <SchoolMembers school={school} currentUserId={user?.id} />
+              <BrandKitEditor school={school} onSaved={setSchool} />
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default School;
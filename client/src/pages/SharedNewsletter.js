@@ -0,0 +1,69 @@
+import React, { useEffect, useState } from 'react';
+import { useParams } from 'react-router-dom';
+import api from '../services/api';
+import NewsletterPreview from '../components/NewsletterPreview';
+
+/**
+ * Public, read-only view of a newsletter opened from a share link
+ */
+const SharedNewsletter = () => {
+  const { token } = useParams();
+  const [newsletter, setNewsletter] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const loadNewsletter = async () => {
+      try {
+        const response = await api.getSharedNewsletter(token);
+        setNewsletter(response.data.newsletter);
+      } catch (err) {
+        console.error('Error loading shared newsletter:', err);
+        setError(err.status === 410
+          ? 'This share link has expired. Ask the teacher for a new link.'
+          : 'This newsletter is not available. The link may have been revoked.');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadNewsletter();
+  }, [token]);
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center p-4">
+        <div className="bg-white rounded-lg shadow p-8 max-w-md text-center">
+          <div className="text-4xl mb-4">📭</div>
+          <p className="text-gray-700">{error}</p>
+        </div>
+      </div>
+    );
+  }
+
+  const content = newsletter.content || {};
+  const theme = typeof newsletter.settings?.theme === 'string'
+    ? newsletter.settings.theme
+    : content.theme?.name || 'professional';
+
+  // Newsletters written in the plain text editor have no sections yet
+  const sections = content.sections?.length
+    ? [...content.sections].sort((a, b) => (a.order || 0) - (b.order || 0))
+    : [{ id: 'content', type: 'richText', data: { content: content.text || '' } }];
+
+  return (
+    <div className="min-h-screen bg-gray-100 py-8 px-4">
+      <NewsletterPreview newsletter={{ title: newsletter.title, sections }} theme={theme} brandKit={newsletter.brandKit} />
+    </div>
+  );
+};
+
+export default SharedNewsletter;
@@ -2,6 +2,8 @@ import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useTemplate } from '../contexts/TemplateContext';
 import { useNewsletter } from '../contexts/NewsletterContext';
+import { useAuth } from '../contexts/AuthContext';
+import api from '../services/api';
 
 const Templates = () => {
   const navigate = useNavigate();
@@ -15,15 +17,32 @@ const Templates = () => {
     fetchMyTemplates,
     deleteTemplate,
     duplicateTemplate,
+    updateTemplate,
     clearError 
   } = useTemplate();
+  const { user } = useAuth();
 
   const { createNewsletter } = useNewsletter();
 
-  const [activeTab, setActiveTab] = useState('all'); // 'all', 'my', 'public'
+  const [activeTab, setActiveTab] = useState('all'); // 'all', 'my', 'school', 'public'
   const [selectedTemplate, setSelectedTemplate] = useState(null);
   const [showPreview, setShowPreview] = useState(false);
   const [deleteConfirm, setDeleteConfirm] = useState(null);
+  const [school, setSchool] = useState(null);
+
+  // Templates can be shared with the teacher's school, if they belong to one
+  useEffect(() => {
+    const loadSchool = async () => {
+      try {
+        const response = await api.getMySchool();
+        setSchool(response.data.school);
+      } catch (error) {
+        console.error('Error loading school:', error);
+      }
+    };
+
+    loadSchool();
+  }, []);
 
   // Load templates on mount and tab change
   useEffect(() => {
@@ -33,6 +52,9 @@ const Templates = () => {
           case 'my':
             await fetchMyTemplates();
             break;
+          case 'school':
+            await fetchTemplates({ schoolOnly: true });
+            break;
           case 'public':
             await fetchPublicTemplates();
             break;
@@ -85,6 +107,15 @@ const Templates = () => {
     }
   };
 
+  // Share an owned template with the school, or make it private to its owner again
+  const handleToggleSchoolShare = async (template) => {
+    try {
+      await updateTemplate(template.id, { shareWithSchool: !template.schoolId });
+    } catch (error) {
+      console.error('Error changing template school sharing:', error);
+    }
+  };
+
   // Template preview modal
   const TemplatePreview = ({ template, onClose }) => (
     <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
@@ -161,7 +192,7 @@ const Templates = () => {
 
   // Template card component
   const TemplateCard = ({ template }) => {
-    const isOwner = template.userId === templates?.[0]?.userId; // Simple check for ownership
+    const isOwner = template.userId === user?.id;
     
     return (
       <div className="bg-white rounded-lg border hover:shadow-md transition-shadow">
@@ -179,12 +210,17 @@ const Templates = () => {
                   Global
                 </span>
               )}
+              {template.schoolId && (
+                <span className="bg-yellow-100 text-yellow-800 text-xs px-2 py-1 rounded">
+                  School
+                </span>
+              )}
               {template.isPublic && (
                 <span className="bg-green-100 text-green-800 text-xs px-2 py-1 rounded">
                   Public
                 </span>
               )}
-              {!template.isPublic && !template.isGlobal && (
+              {!template.isPublic && !template.isGlobal && !template.schoolId && (
                 <span className="bg-gray-100 text-gray-800 text-xs px-2 py-1 rounded">
                   Private
                 </span>
@@ -223,6 +259,16 @@ const Templates = () => {
                 Duplicate
               </button>
 
+              {isOwner && school && (
+                <button
+                  onClick={() => handleToggleSchoolShare(template)}
+                  className="border border-gray-300 text-gray-700 hover:bg-gray-50 px-3 py-1 rounded text-sm"
+                  title={template.schoolId ? 'Make this template private again' : `Let every teacher at ${school.name} use this template`}
+                >
+                  {template.schoolId ? 'Unshare' : 'Share with school'}
+                </button>
+              )}
+
               {isOwner && (
                 <button
                   onClick={() => setDeleteConfirm(template.id)}
@@ -309,6 +355,18 @@ const Templates = () => {
             >
               My Templates
             </button>
+            {school && (
+              <button
+                onClick={() => setActiveTab('school')}
+                className={`py-2 px-1 border-b-2 font-medium text-sm ${
+                  activeTab === 'school'
+                    ? 'border-blue-500 text-blue-600'
+                    : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+                }`}
+              >
+                {school.name}
+              </button>
+            )}
             <button
               onClick={() => setActiveTab('public')}
               className={`py-2 px-1 border-b-2 font-medium text-sm ${
@@ -385,7 +443,7 @@ const Templates = () => {
             <div className="bg-white rounded-lg p-6 max-w-md">
               <h3 className="text-lg font-semibold mb-4">Delete Template</h3>
               <p className="text-gray-600 mb-6">
-                Are you sure you want to delete this template? This action cannot be undone.
+                Move this template to the trash? You can restore it from the Trash page until it is deleted for good.
               </p>
               <div className="flex justify-end space-x-3">
                 <button
@@ -0,0 +1,176 @@
+import React, { useEffect, useState } from 'react';
+import { Link } from 'react-router-dom';
+import api from '../services/api';
+
+const formatDate = (dateString) => new Date(dateString).toLocaleDateString('en-US', {
+  year: 'numeric',
+  month: 'short',
+  day: 'numeric'
+});
+
+// Newsletters and templates the teacher deleted; they can be restored until the trash is purged
+const Trash = () => {
+  const [items, setItems] = useState([]);
+  const [retentionDays, setRetentionDays] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState(null);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+
+  useEffect(() => {
+    const loadTrash = async () => {
+      try {
+        const [newsletters, templates] = await Promise.all([
+          api.getNewsletterTrash(),
+          api.getTemplateTrash()
+        ]);
+        setItems([
+          ...newsletters.data.newsletters.map(item => ({ ...item, type: 'newsletter', label: item.title })),
+          ...templates.data.templates.map(item => ({ ...item, type: 'template', label: item.name }))
+        ].sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt)));
+        setRetentionDays(newsletters.data.retentionDays);
+      } catch (err) {
+        console.error('Error loading trash:', err);
+        setError(err.message || 'The trash is unavailable right now.');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadTrash();
+  }, []);
+
+  const runAction = async (item, action) => {
+    setBusy(`${item.type}:${item.id}`);
+    setError(null);
+    setNotice(null);
+    try {
+      const response = await action();
+      setItems(prev => prev.filter(other => other.type !== item.type || other.id !== item.id));
+      setNotice(response.message);
+    } catch (err) {
+      console.error('Error updating trash:', err);
+      setError(err.message || 'Could not update the trash.');
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleRestore = (item) => runAction(item, () => (item.type === 'newsletter'
+    ? api.restoreNewsletter(item.id)
+    : api.restoreTemplate(item.id)));
+
+  const handleDelete = (item) => {
+    if (!window.confirm(`Delete "${item.label}" for good? This cannot be undone.`)) {
+      return;
+    }
+
+    runAction(item, () => (item.type === 'newsletter'
+      ? api.deleteNewsletterPermanently(item.id)
+      : api.deleteTemplatePermanently(item.id)));
+  };
+
+  const handleEmpty = async () => {
+    if (!window.confirm('Delete everything in the trash for good? This cannot be undone.')) {
+      return;
+    }
+
+    setBusy('all');
+    setError(null);
+    setNotice(null);
+    try {
+      const [newsletters, templates] = await Promise.all([
+        api.emptyNewsletterTrash(),
+        api.emptyTemplateTrash()
+      ]);
+      const deleted = newsletters.data.deleted + templates.data.deleted;
+      setItems([]);
+      setNotice(deleted === 1 ? '1 item deleted for good' : `${deleted} items deleted for good`);
+    } catch (err) {
+      console.error('Error emptying trash:', err);
+      setError(err.message || 'Could not empty the trash.');
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center">
+        <div className="text-lg">Loading trash...</div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="max-w-4xl mx-auto py-8 px-4">
+        <div className="flex items-start justify-between gap-4">
+          <div>
+            <Link to="/dashboard" className="text-sm text-blue-600 hover:text-blue-800">&larr; Back to dashboard</Link>
+            <h1 className="mt-2 text-2xl font-bold text-gray-900">Trash</h1>
+            {retentionDays && (
+              <p className="mt-1 text-gray-600">
+                Deleted newsletters and templates stay here for {retentionDays} days, then they are deleted for good.
+              </p>
+            )}
+          </div>
+          {items.length > 0 && (
+            <button
+              onClick={handleEmpty}
+              disabled={busy !== null}
+              className="shrink-0 px-4 py-2 text-sm font-medium rounded-md border border-red-300 text-red-700 hover:bg-red-50 disabled:opacity-50"
+            >
+              Empty trash
+            </button>
+          )}
+        </div>
+
+        {notice && <p className="mt-4 text-sm text-green-700">{notice}</p>}
+        {error && <p className="mt-4 text-sm text-red-600">{error}</p>}
+
+        <div className="mt-6 bg-white shadow sm:rounded-md">
+          {items.length === 0 ? (
+            <p className="px-4 py-10 text-center text-gray-500">The trash is empty.</p>
+          ) : (
+            <ul className="divide-y divide-gray-200">
+              {items.map(item => (
+                <li key={`${item.type}:${item.id}`} className="px-4 py-4 flex items-center justify-between gap-4">
+                  <div className="min-w-0">
+                    <p className="text-sm font-medium text-gray-900 truncate">
+                      {item.label || 'Untitled'}
+                      <span className="ml-2 inline-flex px-2 py-0.5 rounded-full text-xs font-medium bg-gray-100 text-gray-700">
+                        {item.type === 'newsletter' ? 'Newsletter' : 'Template'}
+                      </span>
+                    </p>
+                    <p className="mt-1 text-xs text-gray-500">
+                      Deleted {formatDate(item.deletedAt)} &middot; deleted for good on {formatDate(item.purgeAt)}
+                    </p>
+                  </div>
+                  <div className="shrink-0 flex gap-3">
+                    <button
+                      onClick={() => handleRestore(item)}
+                      disabled={busy !== null}
+                      className="text-sm font-medium text-blue-600 hover:text-blue-800 disabled:opacity-50"
+                    >
+                      Restore
+                    </button>
+                    <button
+                      onClick={() => handleDelete(item)}
+                      disabled={busy !== null}
+                      className="text-sm font-medium text-red-600 hover:text-red-800 disabled:opacity-50"
+                    >
+                      Delete forever
+                    </button>
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Trash;
@@ -0,0 +1,110 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../contexts/AuthContext';
+import api from '../services/api';
+
+// Landing page for emailed verification links (/verify-email?token=...)
+const VerifyEmail = () => {
+  const [searchParams] = useSearchParams();
+  const navigate = useNavigate();
+  const { isAuthenticated, loading, refreshUser } = useAuth();
+  const token = searchParams.get('token') || '';
+
+  const [status, setStatus] = useState(token ? 'verifying' : 'invalid');
+  const [error, setError] = useState('');
+  // Tokens are single-use, so never send the same one twice (e.g. on a re-render in development)
+  const submitted = useRef(false);
+
+  useEffect(() => {
+    if (!token || loading || submitted.current) return;
+    submitted.current = true;
+
+    const verify = async () => {
+      try {
+        await api.verifyEmail(token);
+        if (isAuthenticated) {
+          await refreshUser();
+        }
+        setStatus('verified');
+      } catch (err) {
+        setError(err.message || 'Could not verify your email address.');
+        setStatus('failed');
+      }
+    };
+
+    verify();
+  }, [token, loading, isAuthenticated, refreshUser]);
+
+  const continueTo = isAuthenticated ? '/dashboard' : '/login';
+
+  return (
+    <div style={{
+      minHeight: '100vh',
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      backgroundColor: '#f5f5f5',
+      padding: '1rem'
+    }}>
+      <div style={{
+        backgroundColor: 'white',
+        padding: '2rem',
+        borderRadius: '8px',
+        boxShadow: '0 2px 10px rgba(0,0,0,0.1)',
+        width: '100%',
+        maxWidth: '400px',
+        textAlign: 'center'
+      }}>
+        <h1 style={{ color: '#333', marginBottom: '1rem' }}>Verify Email</h1>
+
+        {status === 'verifying' && (
+          <p style={{ color: '#666' }}>Confirming your email address...</p>
+        )}
+
+        {status === 'invalid' && (
+          <p style={{ color: '#c33' }}>
+            This verification link is incomplete. Open the link from your email again,
+            or request a new one from your dashboard.
+          </p>
+        )}
+
+        {status === 'failed' && (
+          <>
+            <p style={{ color: '#c33', marginBottom: '1.5rem' }}>{error}</p>
+            {isAuthenticated ? (
+              <Link to="/dashboard" style={{ color: '#007bff' }}>Request a new link from your dashboard</Link>
+            ) : (
+              <Link to="/login" style={{ color: '#007bff' }}>Sign in to request a new link</Link>
+            )}
+          </>
+        )}
+
+        {status === 'verified' && (
+          <>
+            <p style={{ color: '#2e7d32', marginBottom: '1.5rem' }}>
+              Your email address is verified. You can now share and publish newsletters.
+            </p>
+            <button
+              onClick={() => navigate(continueTo)}
+              style={{
+                width: '100%',
+                padding: '0.75rem',
+                backgroundColor: '#007bff',
+                color: 'white',
+                border: 'none',
+                borderRadius: '4px',
+                fontSize: '1rem',
+                fontWeight: 'bold',
+                cursor: 'pointer'
+              }}
+            >
+              {isAuthenticated ? 'Go to Dashboard' : 'Go to Sign In'}
+            </button>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
@@ -56,7 +56,10 @@ class ApiService {
       
       if (!response.ok) {
         const errorData = await response.json().catch(() => ({}));
-        const error = new Error(errorData.error?.message || `HTTP ${response.status}`);
+        const error = new Error(errorData.error?.message || errorData.message || `HTTP ${response.status}`);
+        error.status = response.status;
+        error.code = errorData.code;
+        error.data = errorData.data;
         
         debugLogger.trackAPICall(endpoint, config.method || 'GET', response.status, duration, null, error);
         throw error;
@@ -124,6 +127,118 @@ class ApiService {
     });
   }
 
+  async loginTwoFactor(challengeToken, { code, recoveryCode }) {
+    return this.request('/auth/login/two-factor', {
+      method: 'POST',
+      body: { challengeToken, code: code || undefined, recoveryCode: recoveryCode || undefined },
+    });
+  }
+
+  async getTwoFactorStatus() {
+    return this.request('/auth/two-factor');
+  }
+
+  async startTwoFactorSetup(password) {
+    return this.request('/auth/two-factor/setup', {
+      method: 'POST',
+      body: { password },
+    });
+  }
+
+  async enableTwoFactor(code) {
+    return this.request('/auth/two-factor/enable', {
+      method: 'POST',
+      body: { code },
+    });
+  }
+
+  async regenerateRecoveryCodes(code) {
+    return this.request('/auth/two-factor/recovery-codes', {
+      method: 'POST',
+      body: { code },
+    });
+  }
+
+  async disableTwoFactor({ password, code, recoveryCode }) {
+    return this.request('/auth/two-factor/disable', {
+      method: 'POST',
+      body: { password, code: code || undefined, recoveryCode: recoveryCode || undefined },
+    });
+  }
+
+  async getSecurityNotices(options = {}) {
+    return this.request(`/auth/security-notices${options.unread ? '?unread=true' : ''}`);
+  }
+
+  async markSecurityNoticesRead(noticeId = null) {
+    return this.request('/auth/security-notices/read', {
+      method: 'POST',
+      body: noticeId ? { noticeId } : {},
+    });
+  }
+
+  async getAccessTokens() {
+    return this.request('/auth/tokens');
+  }
+
+  async createAccessToken({ name, scopes, expiresInDays }) {
+    return this.request('/auth/tokens', {
+      method: 'POST',
+      body: { name, scopes, expiresInDays: expiresInDays || null },
+    });
+  }
+
+  async revokeAccessToken(tokenId) {
+    return this.request(`/auth/tokens/${tokenId}`, {
+      method: 'DELETE',
+    });
+  }
+
+  // Resolves to the raw Response; read the ZIP with response.blob()
+  async downloadAccountData() {
+    return this.request('/auth/data-export');
+  }
+
+  async requestAccountDeletion(password) {
+    return this.request('/auth/delete-account', {
+      method: 'POST',
+      body: { password },
+    });
+  }
+
+  async cancelAccountDeletion() {
+    return this.request('/auth/delete-account/cancel', {
+      method: 'POST',
+    });
+  }
+
+  async requestPasswordReset(email) {
+    return this.request('/auth/password-reset/request', {
+      method: 'POST',
+      body: { email },
+    });
+  }
+
+  async confirmPasswordReset(token, newPassword) {
+    return this.request('/auth/password-reset/confirm', {
+      method: 'POST',
+      body: { token, newPassword },
+    });
+  }
+
+  async verifyEmail(token) {
+    return this.request('/auth/verify-email', {
+      method: 'POST',
+      body: { token },
+    });
+  }
+
+  async resendVerificationEmail() {
+    return this.request('/auth/verify-email/resend', {
+      method: 'POST',
+    });
+  }
+
   async logout() {
     return this.request('/auth/logout', {
       method: 'POST',
@@ -135,9 +250,17 @@ class ApiService {
   }
 
   // Newsletters
+  // options: status, folderId ('none' for unfiled), tags (array), q, from, to, sort, order, limit, offset
   async getNewsletters(options = {}) {
     const queryParams = new URLSearchParams();
     if (options.status) queryParams.append('status', options.status);
+    if (options.folderId) queryParams.append('folderId', options.folderId);
+    if (options.tags?.length) queryParams.append('tags', options.tags.join(','));
+    if (options.q) queryParams.append('q', options.q);
+    if (options.from) queryParams.append('from', options.from);
+    if (options.to) queryParams.append('to', options.to);
+    if (options.sort) queryParams.append('sort', options.sort);
+    if (options.order) queryParams.append('order', options.order);
     if (options.limit) queryParams.append('limit', options.limit);
     if (options.offset) queryParams.append('offset', options.offset);
     
@@ -146,6 +269,18 @@ class ApiService {
     return this.request(endpoint);
   }
 
+  // Full-text search; options: q, type ('all' | 'newsletters' | 'templates'), status, from, to, limit, offset
+  async search(options = {}) {
+    const queryParams = new URLSearchParams();
+    Object.entries(options).forEach(([key, value]) => {
+      if (value !== undefined && value !== null && value !== '') {
+        queryParams.append(key, value);
+      }
+    });
+
+    return this.request(`/search?${queryParams}`);
+  }
+
   async getNewsletter(id) {
     return this.request(`/newsletters/${id}`);
   }
@@ -170,19 +305,167 @@ class ApiService {
     });
   }
 
+  // action: 'move' ({ folderId }), 'tag' / 'untag' ({ tags }), 'archive' or 'delete'
+  async bulkUpdateNewsletters(ids, action, params = {}) {
+    return this.request('/newsletters/bulk', {
+      method: 'POST',
+      body: { ids, action, ...params },
+    });
+  }
+
+  async getNewsletterFolders() {
+    return this.request('/newsletters/folders');
+  }
+
+  async createNewsletterFolder(name) {
+    return this.request('/newsletters/folders', {
+      method: 'POST',
+      body: { name },
+    });
+  }
+
+  async renameNewsletterFolder(id, name) {
+    return this.request(`/newsletters/folders/${id}`, {
+      method: 'PUT',
+      body: { name },
+    });
+  }
+
+  async deleteNewsletterFolder(id) {
+    return this.request(`/newsletters/folders/${id}`, {
+      method: 'DELETE',
+    });
+  }
+
+  async getNewsletterTags() {
+    return this.request('/newsletters/tags');
+  }
+
+  async renameNewsletterTag(tag, name) {
+    return this.request(`/newsletters/tags/${encodeURIComponent(tag)}`, {
+      method: 'PUT',
+      body: { name },
+    });
+  }
+
+  async deleteNewsletterTag(tag) {
+    return this.request(`/newsletters/tags/${encodeURIComponent(tag)}`, {
+      method: 'DELETE',
+    });
+  }
+
+  async getNewsletterTrash() {
+    return this.request('/newsletters/trash');
+  }
+
+  async restoreNewsletter(id) {
+    return this.request(`/newsletters/trash/${id}/restore`, {
+      method: 'POST',
+    });
+  }
+
+  async deleteNewsletterPermanently(id) {
+    return this.request(`/newsletters/trash/${id}`, {
+      method: 'DELETE',
+    });
+  }
+
+  async emptyNewsletterTrash() {
+    return this.request('/newsletters/trash', {
+      method: 'DELETE',
+    });
+  }
+
   async duplicateNewsletter(id) {
     return this.request(`/newsletters/${id}/duplicate`, {
       method: 'POST',
     });
   }
 
+  // Revision history
+  async getRevisions(id, options = {}) {
+    const params = new URLSearchParams();
+    if (options.limit) params.append('limit', options.limit);
+    if (options.offset) params.append('offset', options.offset);
+
+    const queryString = params.toString();
+    return this.request(`/newsletters/${id}/revisions${queryString ? `?${queryString}` : ''}`);
+  }
+
+  async getRevision(id, revisionNumber) {
+    return this.request(`/newsletters/${id}/revisions/${revisionNumber}`);
+  }
+
+  async diffRevisions(id, from, to) {
+    const params = new URLSearchParams({ from });
+    if (to) params.append('to', to);
+
+    return this.request(`/newsletters/${id}/revisions/diff?${params.toString()}`);
+  }
+
+  async restoreRevision(id, revisionNumber) {
+    return this.request(`/newsletters/${id}/revisions/${revisionNumber}/restore`, {
+      method: 'POST',
+    });
+  }
+
   async shareNewsletter(id, shareData) {
-    return this.request(`/newsletters/${id}/share`, {
+    return this.request(`/newsletters/${id}/shares`, {
       method: 'POST',
       body: shareData,
     });
   }
 
+  async getShareLinks(id) {
+    return this.request(`/newsletters/${id}/shares`);
+  }
+
+  async updateSharePermissions(id, shareId, permissions) {
+    return this.request(`/newsletters/${id}/shares/${shareId}`, {
+      method: 'PUT',
+      body: { permissions },
+    });
+  }
+
+  async revokeShareLink(id, shareId) {
+    return this.request(`/newsletters/${id}/shares/${shareId}`, {
+      method: 'DELETE',
+    });
+  }
+
+  async getSharedWithMe() {
+    return this.request('/newsletters/shared-with-me');
+  }
+
+  // Scheduled publishing
+  async getPublishSchedule(id) {
+    return this.request(`/newsletters/${id}/schedule`);
+  }
+
+  async schedulePublish(id, publishAt, distribution) {
+    return this.request(`/newsletters/${id}/schedule`, {
+      method: 'PUT',
+      body: { publishAt, distribution },
+    });
+  }
+
+  async cancelScheduledPublish(id) {
+    return this.request(`/newsletters/${id}/schedule`, {
+      method: 'DELETE',
+    });
+  }
+
+  async retryJob(jobId) {
+    return this.request(`/jobs/${jobId}/retry`, {
+      method: 'POST',
+    });
+  }
+
+  // Public share links (no authentication required)
+  async getSharedNewsletter(token) {
+    return this.request(`/shared/${token}`);
+  }
+
   // Templates
   async getTemplates(options = {}) {
     const params = new URLSearchParams();
@@ -191,6 +474,7 @@ class ApiService {
     if (options.offset) params.append('offset', options.offset);
     if (options.publicOnly) params.append('public_only', 'true');
     if (options.myTemplatesOnly) params.append('my_templates_only', 'true');
+    if (options.schoolOnly) params.append('school_only', 'true');
     
     const queryString = params.toString();
     const endpoint = queryString ? `/templates?${queryString}` : '/templates';
@@ -230,6 +514,28 @@ class ApiService {
     });
   }
 
+  async getTemplateTrash() {
+    return this.request('/templates/trash');
+  }
+
+  async restoreTemplate(id) {
+    return this.request(`/templates/trash/${id}/restore`, {
+      method: 'POST',
+    });
+  }
+
+  async deleteTemplatePermanently(id) {
+    return this.request(`/templates/trash/${id}`, {
+      method: 'DELETE',
+    });
+  }
+
+  async emptyTemplateTrash() {
+    return this.request('/templates/trash', {
+      method: 'DELETE',
+    });
+  }
+
   async duplicateTemplate(id) {
     return this.request(`/templates/${id}/duplicate`, {
       method: 'POST',
@@ -308,6 +614,39 @@ class ApiService {
     });
   }
 
+  async exportToHTML(newsletterData, options = {}) {
+    return this.request('/export/html', {
+      method: 'POST',
+      body: { newsletter: newsletterData, options },
+    });
+  }
+
+  // Returns the raw response; read the ZIP with .blob()
+  async exportNewsletters(newsletterIds, format, options = {}) {
+    return this.request('/export/bulk', {
+      method: 'POST',
+      body: { newsletterIds, format, options },
+    });
+  }
+
+  async exportToICS(newsletterData, options = {}) {
+    return this.request('/export/ics', {
+      method: 'POST',
+      body: { newsletter: newsletterData, options },
+    });
+  }
+
+  // Calendar Feed
+  async getCalendarFeed() {
+    return this.request('/calendar/feed');
+  }
+
+  async regenerateCalendarFeed() {
+    return this.request('/calendar/feed/regenerate', {
+      method: 'POST',
+    });
+  }
+
   async createGoogleDoc(newsletterData, options = {}) {
     return this.request('/export/google-doc', {
       method: 'POST',
@@ -323,13 +662,95 @@ class ApiService {
     return this.request('/export/history');
   }
 
+  // Schools
+  async getMySchool() {
+    return this.request('/schools/mine');
+  }
+
+  async getBrandFonts() {
+    return this.request('/schools/brand-fonts');
+  }
+
+  async getSchoolMembers(schoolId) {
+    return this.request(`/schools/${schoolId}/members`);
+  }
+
+  async inviteSchoolMember(schoolId, email, role = 'teacher') {
+    return this.request(`/schools/${schoolId}/invitations`, {
+      method: 'POST',
+      body: { email, role },
+    });
+  }
+
+  async revokeSchoolInvitation(schoolId, invitationId) {
+    return this.request(`/schools/${schoolId}/invitations/${invitationId}`, {
+      method: 'DELETE',
+    });
+  }
+
+  async getMySchoolInvitations() {
+    return this.request('/schools/invitations');
+  }
+
+  async acceptSchoolInvitation(invitationId) {
+    return this.request(`/schools/invitations/${invitationId}/accept`, {
+      method: 'POST',
+    });
+  }
+
+  async declineSchoolInvitation(invitationId) {
+    return this.request(`/schools/invitations/${invitationId}/decline`, {
+      method: 'POST',
+    });
+  }
+
+  async updateSchoolMemberRole(schoolId, userId, role) {
+    return this.request(`/schools/${schoolId}/members/${userId}`, {
+      method: 'PUT',
+      body: { role },
+    });
+  }
+
+  async removeSchoolMember(schoolId, userId) {
+    return this.request(`/schools/${schoolId}/members/${userId}`, {
+      method: 'DELETE',
+    });
+  }
+
+  async updateSchoolBrandKit(schoolId, brandKit) {
+    return this.request(`/schools/${schoolId}/brand-kit`, {
+      method: 'PUT',
+      body: brandKit,
+    });
+  }
+
+  async getSchoolUsage(schoolId, days = 30) {
+    return this.request(`/schools/${schoolId}/usage?days=${days}`);
+  }
+
   // Admin Services (Super Admin only)
-  async getUsers() {
-    return this.request('/admin/users');
+  buildAdminQuery(endpoint, options = {}) {
+    const queryParams = new URLSearchParams();
+    Object.entries(options).forEach(([key, value]) => {
+      if (value !== undefined && value !== null && value !== '') {
+        queryParams.append(key, value);
+      }
+    });
+
+    const queryString = queryParams.toString();
+    return queryString ? `${endpoint}?${queryString}` : endpoint;
+  }
+
+  async getUsers(options = {}) {
+    return this.request(this.buildAdminQuery('/admin/users', options));
   }
 
-  async getSystemStats() {
-    return this.request('/admin/stats');
+  async getAdminUser(userId) {
+    return this.request(`/admin/users/${userId}`);
+  }
+
+  async getSystemStats(options = {}) {
+    return this.request(this.buildAdminQuery('/admin/stats', options));
   }
 
   async updateUserStatus(userId, status) {
@@ -339,12 +760,88 @@ class ApiService {
     });
   }
 
-  async getAllNewsletters() {
-    return this.request('/admin/newsletters');
+  async updateUserRole(userId, role) {
+    return this.request(`/admin/users/${userId}/role`, {
+      method: 'PUT',
+      body: { role },
+    });
   }
 
-  async getAllTemplates() {
-    return this.request('/admin/templates');
+  async markUserVerified(userId) {
+    return this.request(`/admin/users/${userId}/verify-email`, {
+      method: 'PUT',
+    });
+  }
+
+  async unlockUser(userId) {
+    return this.request(`/admin/users/${userId}/unlock`, {
+      method: 'PUT',
+    });
+  }
+
+  async resetUserTwoFactor(userId) {
+    return this.request(`/admin/users/${userId}/two-factor`, {
+      method: 'DELETE',
+    });
+  }
+
+  async downloadUserData(userId) {
+    return this.request(`/admin/users/${userId}/data-export`);
+  }
+
+  async deleteUser(userId, { immediate = false } = {}) {
+    return this.request(`/admin/users/${userId}/deletion`, {
+      method: 'POST',
+      body: { immediate },
+    });
+  }
+
+  async cancelUserDeletion(userId) {
+    return this.request(`/admin/users/${userId}/deletion`, {
+      method: 'DELETE',
+    });
+  }
+
+  async getAdminSettings() {
+    return this.request('/admin/settings');
+  }
+
+  async updateAdminSettings(settings) {
+    return this.request('/admin/settings', {
+      method: 'PUT',
+      body: settings,
+    });
+  }
+
+  async revokeUserSessions(userId) {
+    return this.request(`/admin/users/${userId}/sessions`, {
+      method: 'DELETE',
+    });
+  }
+
+  async revokeUserSession(userId, sessionId) {
+    return this.request(`/admin/users/${userId}/sessions/${sessionId}`, {
+      method: 'DELETE',
+    });
+  }
+
+  async getRecentActivity(options = {}) {
+    return this.request(this.buildAdminQuery('/admin/activity', options));
+  }
+
+  async getAllNewsletters(options = {}) {
+    return this.request(this.buildAdminQuery('/admin/newsletters', options));
+  }
+
+  async getAllTemplates(options = {}) {
+    return this.request(this.buildAdminQuery('/admin/templates', options));
+  }
+
+  async setTemplateGlobal(templateId, isGlobal) {
+    return this.request(`/admin/templates/${templateId}/global`, {
+      method: 'PUT',
+      body: { isGlobal },
+    });
   }
 
   async createGlobalTemplate(templateData) {
@@ -354,6 +851,23 @@ class ApiService {
     });
   }
 
+  async getAdminSchools() {
+    return this.request('/admin/schools');
+  }
+
+  async createSchool(schoolData) {
+    return this.request('/admin/schools', {
+      method: 'POST',
+      body: schoolData,
+    });
+  }
+
+  async deleteSchool(schoolId) {
+    return this.request(`/admin/schools/${schoolId}`, {
+      method: 'DELETE',
+    });
+  }
+
   async getSystemHealth() {
     return this.request('/admin/health');
   }
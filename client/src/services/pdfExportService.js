@@ -1,6 +1,7 @@
 import html2pdf from 'html2pdf.js';
 import html2canvas from 'html2canvas';
 import { jsPDF } from 'jspdf';
+import api from './api';
 
 class PDFExportService {
   
@@ -232,6 +233,202 @@ class PDFExportService {
     }
   }
 
+  /**
+   * Export newsletter as a vector PDF rendered by the server (selectable text)
+   */
+  async exportServerPDF(newsletter, filename = 'newsletter.pdf', options = {}) {
+    if (!newsletter?.id) {
+      return {
+        success: false,
+        message: 'Please save the newsletter before exporting a PDF with selectable text.'
+      };
+    }
+
+    try {
+      this.showLoadingIndicator('Rendering PDF on the server...');
+
+      const response = await api.exportToPDF({ id: newsletter.id }, options);
+      const blob = await response.blob();
+      this.downloadBlob(blob, filename);
+
+      this.hideLoadingIndicator();
+      return { success: true, message: 'PDF exported successfully!' };
+
+    } catch (error) {
+      console.error('Server PDF export error:', error);
+      this.hideLoadingIndicator();
+      return {
+        success: false,
+        message: 'Failed to export PDF. Please try again.',
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Export newsletter as an editable Word document rendered by the server
+   */
+  async exportServerDOCX(newsletter, filename = 'newsletter.docx', options = {}) {
+    if (!newsletter?.id) {
+      return {
+        success: false,
+        message: 'Please save the newsletter before exporting a Word document.'
+      };
+    }
+
+    try {
+      this.showLoadingIndicator('Creating Word document...');
+
+      const response = await api.exportToDOCX({ id: newsletter.id }, options);
+      const blob = await response.blob();
+      this.downloadBlob(blob, filename);
+
+      this.hideLoadingIndicator();
+      return { success: true, message: 'Word document exported successfully!' };
+
+    } catch (error) {
+      console.error('Server DOCX export error:', error);
+      this.hideLoadingIndicator();
+      return {
+        success: false,
+        message: 'Failed to export Word document. Please try again.',
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Export newsletter as email-safe HTML (table layout, inline styles)
+   */
+  async exportEmailHTML(newsletter, filename = 'newsletter.html') {
+    if (!newsletter?.id) {
+      return {
+        success: false,
+        message: 'Please save the newsletter before exporting email HTML.'
+      };
+    }
+
+    try {
+      this.showLoadingIndicator('Preparing email HTML...');
+
+      const response = await api.exportToHTML({ id: newsletter.id });
+      const blob = new Blob([response.data.html], { type: 'text/html;charset=utf-8' });
+      this.downloadBlob(blob, filename);
+
+      this.hideLoadingIndicator();
+      return { success: true, message: 'Email HTML exported successfully!' };
+
+    } catch (error) {
+      console.error('Email HTML export error:', error);
+      this.hideLoadingIndicator();
+      return {
+        success: false,
+        message: 'Failed to export email HTML. Please try again.',
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Export the newsletter's events as an iCalendar (.ics) file
+   */
+  async exportCalendar(newsletter, filename = 'newsletter.ics') {
+    if (!newsletter?.id) {
+      return {
+        success: false,
+        message: 'Please save the newsletter before exporting its events.'
+      };
+    }
+
+    try {
+      const response = await api.exportToICS({ id: newsletter.id });
+      const blob = await response.blob();
+      this.downloadBlob(blob, filename);
+
+      return { success: true, message: 'Calendar events exported successfully!' };
+
+    } catch (error) {
+      console.error('Calendar export error:', error);
+      return {
+        success: false,
+        message: 'Failed to export calendar events. Please try again.',
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Copy email-safe HTML to the clipboard so it pastes formatted into an email
+   */
+  async copyEmailHTML(newsletter) {
+    if (!newsletter?.id) {
+      return {
+        success: false,
+        message: 'Please save the newsletter before copying it for email.'
+      };
+    }
+
+    try {
+      const response = await api.exportToHTML({ id: newsletter.id });
+      const { html } = response.data;
+
+      if (navigator.clipboard && window.ClipboardItem) {
+        // Rich HTML keeps the layout when pasted into Gmail or Outlook; plain text is the fallback
+        const item = new window.ClipboardItem({
+          'text/html': new Blob([html], { type: 'text/html' }),
+          'text/plain': new Blob([html], { type: 'text/plain' })
+        });
+        await navigator.clipboard.write([item]);
+      } else if (navigator.clipboard) {
+        await navigator.clipboard.writeText(html);
+      } else {
+        this.copyWithSelection(html);
+      }
+
+      return { success: true, message: 'Newsletter copied! Paste it into a new email.' };
+
+    } catch (error) {
+      console.error('Email HTML copy error:', error);
+      return {
+        success: false,
+        message: 'Failed to copy newsletter. Try downloading the HTML file instead.',
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Clipboard fallback for browsers without the async Clipboard API
+   */
+  copyWithSelection(html) {
+    const container = document.createElement('div');
+    container.innerHTML = html;
+    container.style.position = 'fixed';
+    container.style.left = '-9999px';
+    document.body.appendChild(container);
+
+    const range = document.createRange();
+    range.selectNodeContents(container);
+    const selection = window.getSelection();
+    selection.removeAllRanges();
+    selection.addRange(range);
+    document.execCommand('copy');
+    selection.removeAllRanges();
+    container.remove();
+  }
+
+  /**
+   * Trigger a browser download for a Blob
+   */
+  downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.download = filename;
+    link.href = url;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
   /**
    * Prepare element for better PDF rendering
    */
@@ -328,6 +525,10 @@ class PDFExportService {
   getExportFormats() {
     return [
       { value: 'pdf', label: 'PDF Document', icon: '📄' },
+      { value: 'vector-pdf', label: 'PDF (Selectable Text)', icon: '📑' },
+      { value: 'docx', label: 'Word Document', icon: '📝' },
+      { value: 'email-html', label: 'Email HTML', icon: '✉️' },
+      { value: 'ics', label: 'Calendar Events', icon: '📅' },
       { value: 'png', label: 'PNG Image', icon: '🖼️' },
       { value: 'jpeg', label: 'JPEG Image', icon: '📸' },
       { value: 'print', label: 'Print Newsletter', icon: '🖨️' }
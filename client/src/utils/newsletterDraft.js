@@ -0,0 +1,62 @@
+// Newsletter Drafts - local copies of unsaved editor changes, recovered after a crash or reload
+
+const DRAFT_PREFIX = 'newsletterDraft:';
+
+const draftKey = (newsletterId) => `${DRAFT_PREFIX}${newsletterId || 'new'}`;
+
+// The parts of a newsletter that the editor changes and the server stores
+export const toSnapshot = (newsletter) => ({
+  title: newsletter?.title || '',
+  content: newsletter?.content || {},
+  settings: newsletter?.settings || {}
+});
+
+// JSON with sorted object keys so equal values always serialize the same way
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(',')}}`;
+  }
+
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+export const isEqual = (a, b) => stableStringify(a) === stableStringify(b);
+
+export const saveDraft = (newsletterId, newsletter) => {
+  try {
+    localStorage.setItem(draftKey(newsletterId), JSON.stringify({
+      ...toSnapshot(newsletter),
+      baseRevision: newsletter.revision ?? null,
+      savedAt: new Date().toISOString()
+    }));
+  } catch (error) {
+    // Storage can be full or disabled; autosave to the server still works
+    console.warn('Could not store local newsletter draft:', error);
+  }
+};
+
+export const loadDraft = (newsletterId) => {
+  try {
+    const stored = localStorage.getItem(draftKey(newsletterId));
+    return stored ? JSON.parse(stored) : null;
+  } catch (error) {
+    console.warn('Could not read local newsletter draft:', error);
+    return null;
+  }
+};
+
+export const clearDraft = (newsletterId) => {
+  try {
+    localStorage.removeItem(draftKey(newsletterId));
+  } catch (error) {
+    console.warn('Could not clear local newsletter draft:', error);
+  }
+};
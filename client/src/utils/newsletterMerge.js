@@ -0,0 +1,93 @@
+// Newsletter Merge - three-way merge of a local edit with a newer server version
+import { isEqual } from './newsletterDraft';
+
+// Take whichever side changed a value; when both changed it differently, keep ours
+const mergeValue = (base, ours, theirs, path, conflicts) => {
+  if (isEqual(ours, theirs) || isEqual(theirs, base)) return ours;
+  if (isEqual(ours, base)) return theirs;
+
+  conflicts.push(path);
+  return ours;
+};
+
+const mergeObject = (base = {}, ours = {}, theirs = {}, path, conflicts, skip = []) => {
+  const keys = new Set([...Object.keys(base), ...Object.keys(ours), ...Object.keys(theirs)]);
+  const merged = {};
+
+  keys.forEach(key => {
+    if (skip.includes(key)) return;
+
+    const value = mergeValue(base[key], ours[key], theirs[key], `${path}.${key}`, conflicts);
+    if (value !== undefined) {
+      merged[key] = value;
+    }
+  });
+
+  return merged;
+};
+
+// Merge sections by id: edits, additions and deletions from both sides are kept
+const mergeSections = (base = [], ours = [], theirs = [], conflicts) => {
+  const byId = (sections) => new Map(sections.map(section => [section.id, section]));
+  const baseById = byId(base);
+  const oursById = byId(ours);
+  const theirsById = byId(theirs);
+
+  const ids = [...new Set([...theirs.map(s => s.id), ...ours.map(s => s.id)])];
+  const merged = [];
+
+  ids.forEach(id => {
+    const baseSection = baseById.get(id);
+    const ourSection = oursById.get(id);
+    const theirSection = theirsById.get(id);
+
+    if (!baseSection) {
+      // Added on one side (or both, in which case ours wins)
+      if (ourSection && theirSection && !isEqual(ourSection, theirSection)) {
+        conflicts.push(`section ${id}`);
+      }
+      merged.push(ourSection || theirSection);
+      return;
+    }
+
+    if (!ourSection || !theirSection) {
+      // Deleted on one side: keep the section only if the other side edited it
+      const remaining = ourSection || theirSection;
+      if (remaining && !isEqual(remaining, baseSection)) {
+        conflicts.push(`section ${id}`);
+        merged.push(remaining);
+      }
+      return;
+    }
+
+    merged.push(mergeValue(baseSection, ourSection, theirSection, `section ${id}`, conflicts));
+  });
+
+  return merged.sort((a, b) => (a.order || 0) - (b.order || 0));
+};
+
+/**
+ * Merge our unsaved snapshot with theirs, using the revision both started from as the base.
+ * Returns the merged { title, content, settings } and the paths where both sides
+ * changed the same thing (our version was kept there).
+ */
+export const mergeNewsletters = (base, ours, theirs) => {
+  const conflicts = [];
+
+  const content = mergeObject(base.content, ours.content, theirs.content, 'content', conflicts, ['sections']);
+  if (ours.content?.sections || theirs.content?.sections) {
+    content.sections = mergeSections(
+      base.content?.sections || [],
+      ours.content?.sections || [],
+      theirs.content?.sections || [],
+      conflicts
+    );
+  }
+
+  return {
+    title: mergeValue(base.title, ours.title, theirs.title, 'title', conflicts),
+    content,
+    settings: mergeObject(base.settings, ours.settings, theirs.settings, 'settings', conflicts),
+    conflicts
+  };
+};
@@ -1,6 +1,9 @@
--- Newsletter Generator Database Schema
--- Professional schema for PostgreSQL with proper constraints and indexes
+-- Initial schema: users, sessions, templates, newsletters, shares and activity logs,
+-- plus the default admin account (mr.somers@school.edu / admin123 - change it after first login).
+-- Migrations 0001-0013 are idempotent so they also adopt databases created before
+-- the migration runner, which already have some or all of these objects.
 
+-- migrate:up
 -- Enable UUID extension
 CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
 
@@ -210,13 +213,40 @@ INSERT INTO users (
     true
 ) ON CONFLICT (email) DO NOTHING;
 
+-- Databases created before 'system' was an allowed resource type
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM pg_constraint
+        WHERE conname = 'logs_resource_type_valid'
+          AND pg_get_constraintdef(oid) LIKE '%''system''%'
+    ) THEN
+        ALTER TABLE activity_logs DROP CONSTRAINT IF EXISTS logs_resource_type_valid;
+        ALTER TABLE activity_logs
+            ADD CONSTRAINT logs_resource_type_valid CHECK (
+                resource_type IN ('user', 'newsletter', 'template', 'share', 'export', 'auth', 'system')
+            );
+    END IF;
+END $$;
+
 -- Log the schema creation
 INSERT INTO activity_logs (
     action,
     resource_type,
     metadata
-) VALUES (
+)
+SELECT
     'schema_created',
     'system',
     '{"version": "1.0.0", "tables_created": ["users", "user_sessions", "templates", "newsletters", "newsletter_shares", "activity_logs"]}'
-);
+WHERE NOT EXISTS (SELECT 1 FROM activity_logs WHERE action = 'schema_created');
+
+-- migrate:down
+DROP FUNCTION IF EXISTS cleanup_expired_sessions();
+DROP TABLE IF EXISTS activity_logs;
+DROP TABLE IF EXISTS newsletter_shares;
+DROP TABLE IF EXISTS newsletters;
+DROP TABLE IF EXISTS templates;
+DROP TABLE IF EXISTS user_sessions;
+DROP TABLE IF EXISTS users;
+DROP FUNCTION IF EXISTS update_updated_at_column();
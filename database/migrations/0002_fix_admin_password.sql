@@ -0,0 +1,21 @@
+-- The first init script stored a wrong hash for the default admin account.
+-- Reset it to 'admin123' once, unless the fix was already applied.
+
+-- migrate:up
+WITH fixed AS (
+    UPDATE users
+    SET password_hash = '$2a$12$rqw3.A7RcdobsIH5UHV4LeWgtpzIiwTBmMDuXB0PdkKCOeR.KFNdO'
+    WHERE email = 'mr.somers@school.edu'
+      AND password_hash <> '$2a$12$rqw3.A7RcdobsIH5UHV4LeWgtpzIiwTBmMDuXB0PdkKCOeR.KFNdO'
+      AND NOT EXISTS (SELECT 1 FROM activity_logs WHERE action = 'password_hash_fixed')
+    RETURNING email
+)
+INSERT INTO activity_logs (action, resource_type, metadata)
+SELECT
+    'password_hash_fixed',
+    'system',
+    '{"user": "mr.somers@school.edu", "reason": "incorrect_hash_in_init_script", "patch_version": "1.0.1"}'
+FROM fixed;
+
+-- migrate:down
+-- Nothing to undo: the old hash did not match any password
@@ -0,0 +1,34 @@
+-- Calendar feed tokens (one stable subscription URL per teacher) and the events
+-- published through each feed, kept after removal so cancellations can be sent.
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS calendar_feeds (
+    user_id UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+    token VARCHAR(64) UNIQUE NOT NULL,
+    last_accessed TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS calendar_events (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    newsletter_id UUID REFERENCES newsletters(id) ON DELETE SET NULL,
+    event_key VARCHAR(255) NOT NULL,
+    title VARCHAR(300) NOT NULL,
+    description TEXT,
+    event_date DATE NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'confirmed',
+    sequence INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    
+    -- Constraints
+    CONSTRAINT calendar_events_status_valid CHECK (status IN ('confirmed', 'cancelled')),
+    CONSTRAINT calendar_events_unique_key UNIQUE (user_id, event_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_calendar_events_user_id ON calendar_events(user_id);
+
+-- migrate:down
+DROP TABLE IF EXISTS calendar_events;
+DROP TABLE IF EXISTS calendar_feeds;
@@ -0,0 +1,8 @@
+-- One colleague grant per user and newsletter
+
+-- migrate:up
+CREATE UNIQUE INDEX IF NOT EXISTS idx_shares_user_unique
+    ON newsletter_shares(newsletter_id, shared_with) WHERE share_type = 'user';
+
+-- migrate:down
+DROP INDEX IF EXISTS idx_shares_user_unique;
@@ -0,0 +1,25 @@
+-- Newsletter revision history: immutable snapshots of the content, one per save
+
+-- migrate:up
+ALTER TABLE newsletters ADD COLUMN IF NOT EXISTS revision INTEGER NOT NULL DEFAULT 0;
+
+CREATE TABLE IF NOT EXISTS newsletter_revisions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    newsletter_id UUID NOT NULL REFERENCES newsletters(id) ON DELETE CASCADE,
+    revision_number INTEGER NOT NULL,
+    title VARCHAR(300) NOT NULL,
+    content JSONB NOT NULL,
+    settings JSONB NOT NULL DEFAULT '{}',
+    author_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    summary VARCHAR(500),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    
+    -- Constraints
+    CONSTRAINT newsletter_revisions_unique_number UNIQUE (newsletter_id, revision_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_revisions_author_id ON newsletter_revisions(author_id);
+
+-- migrate:down
+DROP TABLE IF EXISTS newsletter_revisions;
+ALTER TABLE newsletters DROP COLUMN IF EXISTS revision;
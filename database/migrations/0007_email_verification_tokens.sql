@@ -0,0 +1,12 @@
+-- Email verification links share the user_tokens table
+
+-- migrate:up
+ALTER TABLE user_tokens DROP CONSTRAINT IF EXISTS user_tokens_purpose_valid;
+ALTER TABLE user_tokens
+    ADD CONSTRAINT user_tokens_purpose_valid CHECK (purpose IN ('password_reset', 'email_verification'));
+
+-- migrate:down
+DELETE FROM user_tokens WHERE purpose = 'email_verification';
+ALTER TABLE user_tokens DROP CONSTRAINT IF EXISTS user_tokens_purpose_valid;
+ALTER TABLE user_tokens
+    ADD CONSTRAINT user_tokens_purpose_valid CHECK (purpose IN ('password_reset'));
@@ -0,0 +1,27 @@
+-- Per-account lockout after repeated failed sign-ins, and security notices
+-- shown in the user's account (e.g. sign-ins from an unfamiliar device)
+
+-- migrate:up
+ALTER TABLE users ADD COLUMN IF NOT EXISTS failed_login_attempts INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS last_failed_login_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS locked_until TIMESTAMP WITH TIME ZONE;
+
+CREATE TABLE IF NOT EXISTS security_notices (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    kind VARCHAR(50) NOT NULL,
+    metadata JSONB DEFAULT '{}',
+    read_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    
+    -- Constraints
+    CONSTRAINT security_notices_kind_valid CHECK (kind IN ('new_device_login', 'account_locked'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_security_notices_user_id ON security_notices(user_id, created_at DESC);
+
+-- migrate:down
+DROP TABLE IF EXISTS security_notices;
+ALTER TABLE users DROP COLUMN IF EXISTS locked_until;
+ALTER TABLE users DROP COLUMN IF EXISTS last_failed_login_at;
+ALTER TABLE users DROP COLUMN IF EXISTS failed_login_attempts;
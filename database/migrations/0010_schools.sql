@@ -0,0 +1,54 @@
+-- Schools teachers belong to, with memberships, school-scoped templates and a
+-- brand kit that styles every member's newsletters
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS schools (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(100) NOT NULL,
+    slug VARCHAR(120) UNIQUE NOT NULL,
+    brand_kit JSONB NOT NULL DEFAULT '{}',
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    CONSTRAINT schools_name_length CHECK (length(name) >= 2)
+);
+
+-- One school per teacher; school admins manage their school's members and brand kit
+CREATE TABLE IF NOT EXISTS school_memberships (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    school_id UUID NOT NULL REFERENCES schools(id) ON DELETE CASCADE,
+    user_id UUID UNIQUE NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    role VARCHAR(20) NOT NULL DEFAULT 'teacher',
+    added_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    CONSTRAINT school_memberships_role_valid CHECK (role IN ('school_admin', 'teacher'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_school_memberships_school_id ON school_memberships(school_id);
+
+DROP TRIGGER IF EXISTS update_schools_updated_at ON schools;
+CREATE TRIGGER update_schools_updated_at 
+    BEFORE UPDATE ON schools
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+ALTER TABLE templates ADD COLUMN IF NOT EXISTS school_id UUID REFERENCES schools(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_templates_school_id ON templates(school_id) WHERE school_id IS NOT NULL;
+
+ALTER TABLE activity_logs DROP CONSTRAINT IF EXISTS logs_resource_type_valid;
+ALTER TABLE activity_logs
+    ADD CONSTRAINT logs_resource_type_valid CHECK (
+        resource_type IN ('user', 'newsletter', 'template', 'share', 'export', 'auth', 'system', 'school')
+    );
+
+-- migrate:down
+DELETE FROM activity_logs WHERE resource_type = 'school';
+ALTER TABLE activity_logs DROP CONSTRAINT IF EXISTS logs_resource_type_valid;
+ALTER TABLE activity_logs
+    ADD CONSTRAINT logs_resource_type_valid CHECK (
+        resource_type IN ('user', 'newsletter', 'template', 'share', 'export', 'auth', 'system')
+    );
+ALTER TABLE templates DROP COLUMN IF EXISTS school_id;
+DROP TABLE IF EXISTS school_memberships;
+DROP TABLE IF EXISTS schools;
@@ -0,0 +1,17 @@
+-- Site roles replace the is_admin flag, which stays as a mirror of role = 'site_admin'
+
+-- migrate:up
+ALTER TABLE users ADD COLUMN IF NOT EXISTS role VARCHAR(20) NOT NULL DEFAULT 'teacher';
+UPDATE users SET role = 'site_admin' WHERE is_admin = true AND role = 'teacher';
+
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_role_valid;
+ALTER TABLE users
+    ADD CONSTRAINT users_role_valid CHECK (role IN ('teacher', 'reviewer', 'site_admin'));
+
+CREATE INDEX IF NOT EXISTS idx_users_role ON users(role) WHERE role <> 'teacher';
+
+-- migrate:down
+-- Reviewers lose admin console access; site admins keep is_admin
+DROP INDEX IF EXISTS idx_users_role;
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_role_valid;
+ALTER TABLE users DROP COLUMN IF EXISTS role;
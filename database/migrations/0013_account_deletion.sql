@@ -0,0 +1,12 @@
+-- Account deletion with a grace period: set while a deletion waits to be carried out
+
+-- migrate:up
+ALTER TABLE users ADD COLUMN IF NOT EXISTS deletion_requested_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS deletion_scheduled_for TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_users_deletion ON users(deletion_scheduled_for) WHERE deletion_scheduled_for IS NOT NULL;
+
+-- migrate:down
+DROP INDEX IF EXISTS idx_users_deletion;
+ALTER TABLE users DROP COLUMN IF EXISTS deletion_scheduled_for;
+ALTER TABLE users DROP COLUMN IF EXISTS deletion_requested_at;
@@ -0,0 +1,58 @@
+-- Full-text search over newsletters and templates. The searchable text of a newsletter
+-- is its title plus the words inside content.sections: titles and subtitles, rich text
+-- (with image markdown reduced to its alt text), image captions and alt text, and
+-- event titles and descriptions. Expression indexes keep the vectors out of SELECT *.
+
+-- migrate:up
+CREATE OR REPLACE FUNCTION newsletter_search_text(content JSONB)
+RETURNS TEXT AS $$
+    SELECT COALESCE(string_agg(field, ' '), '')
+    FROM jsonb_array_elements(
+        CASE WHEN jsonb_typeof(content->'sections') = 'array' THEN content->'sections' ELSE '[]'::jsonb END
+    ) AS section
+    -- Image sections keep their fields at the top level, the others under data
+    CROSS JOIN LATERAL (
+        SELECT CASE
+            WHEN jsonb_typeof(section) = 'object' AND jsonb_typeof(section->'data') = 'object' THEN section || (section->'data')
+            WHEN jsonb_typeof(section) = 'object' THEN section
+            ELSE '{}'::jsonb
+        END AS s
+    ) merged
+    CROSS JOIN LATERAL (
+        SELECT merged.s->>'title'
+        UNION ALL SELECT merged.s->>'subtitle'
+        UNION ALL SELECT regexp_replace(merged.s->>'content', '!\[([^\]]*)\]\([^)]*\)', '\1', 'g')
+        UNION ALL SELECT merged.s->>'caption'
+        UNION ALL SELECT merged.s->>'imageAlt'
+        UNION ALL SELECT event->>'title'
+            FROM jsonb_array_elements(CASE WHEN jsonb_typeof(merged.s->'events') = 'array' THEN merged.s->'events' ELSE '[]'::jsonb END) AS event
+        UNION ALL SELECT event->>'description'
+            FROM jsonb_array_elements(CASE WHEN jsonb_typeof(merged.s->'events') = 'array' THEN merged.s->'events' ELSE '[]'::jsonb END) AS event
+    ) fields(field)
+    WHERE field IS NOT NULL AND field <> '';
+$$ LANGUAGE SQL IMMUTABLE;
+
+CREATE OR REPLACE FUNCTION newsletter_search_vector(title TEXT, content JSONB)
+RETURNS tsvector AS $$
+    SELECT setweight(to_tsvector('english'::regconfig, COALESCE(title, '')), 'A')
+        || setweight(to_tsvector('english'::regconfig, newsletter_search_text(content)), 'B');
+$$ LANGUAGE SQL IMMUTABLE;
+
+CREATE OR REPLACE FUNCTION template_search_vector(name TEXT, description TEXT, content JSONB)
+RETURNS tsvector AS $$
+    SELECT setweight(to_tsvector('english'::regconfig, COALESCE(name, '')), 'A')
+        || setweight(to_tsvector('english'::regconfig, COALESCE(description, '')), 'B')
+        || setweight(to_tsvector('english'::regconfig, newsletter_search_text(content)), 'C');
+$$ LANGUAGE SQL IMMUTABLE;
+
+CREATE INDEX IF NOT EXISTS idx_newsletters_search
+    ON newsletters USING GIN (newsletter_search_vector(title, content));
+CREATE INDEX IF NOT EXISTS idx_templates_search
+    ON templates USING GIN (template_search_vector(name, description, content));
+
+-- migrate:down
+DROP INDEX IF EXISTS idx_templates_search;
+DROP INDEX IF EXISTS idx_newsletters_search;
+DROP FUNCTION IF EXISTS template_search_vector(TEXT, TEXT, JSONB);
+DROP FUNCTION IF EXISTS newsletter_search_vector(TEXT, JSONB);
+DROP FUNCTION IF EXISTS newsletter_search_text(JSONB);
@@ -0,0 +1,18 @@
+-- Trash bin: deleting a newsletter or template sets deleted_at instead of removing the row.
+-- Trashed rows are restorable until they are purged after the retention period.
+
+-- migrate:up
+ALTER TABLE newsletters ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE templates ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE;
+
+CREATE INDEX IF NOT EXISTS idx_newsletters_trash ON newsletters(user_id, deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_templates_trash ON templates(user_id, deleted_at) WHERE deleted_at IS NOT NULL;
+
+-- migrate:down
+-- Rows still in the trash are deleted rather than brought back
+DELETE FROM newsletters WHERE deleted_at IS NOT NULL;
+DELETE FROM templates WHERE deleted_at IS NOT NULL;
+DROP INDEX IF EXISTS idx_templates_trash;
+DROP INDEX IF EXISTS idx_newsletters_trash;
+ALTER TABLE templates DROP COLUMN IF EXISTS deleted_at;
+ALTER TABLE newsletters DROP COLUMN IF EXISTS deleted_at;
@@ -0,0 +1,34 @@
+-- Folders and tags for organizing newsletters. Each newsletter sits in at most one of its
+-- owner's folders; tags are free-form lowercase labels stored on the newsletter.
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS newsletter_folders (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    CONSTRAINT newsletter_folders_name_length CHECK (length(trim(name)) >= 1)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_newsletter_folders_user_name ON newsletter_folders(user_id, lower(name));
+
+DROP TRIGGER IF EXISTS update_newsletter_folders_updated_at ON newsletter_folders;
+CREATE TRIGGER update_newsletter_folders_updated_at
+    BEFORE UPDATE ON newsletter_folders
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Deleting a folder leaves its newsletters unfiled
+ALTER TABLE newsletters ADD COLUMN IF NOT EXISTS folder_id UUID REFERENCES newsletter_folders(id) ON DELETE SET NULL;
+ALTER TABLE newsletters ADD COLUMN IF NOT EXISTS tags TEXT[] NOT NULL DEFAULT '{}';
+
+CREATE INDEX IF NOT EXISTS idx_newsletters_folder_id ON newsletters(folder_id) WHERE folder_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_newsletters_tags ON newsletters USING GIN (tags);
+
+-- migrate:down
+DROP INDEX IF EXISTS idx_newsletters_tags;
+DROP INDEX IF EXISTS idx_newsletters_folder_id;
+ALTER TABLE newsletters DROP COLUMN IF EXISTS tags;
+ALTER TABLE newsletters DROP COLUMN IF EXISTS folder_id;
+DROP TABLE IF EXISTS newsletter_folders;
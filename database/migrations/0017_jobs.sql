@@ -0,0 +1,59 @@
+-- Background jobs run by the server's job runner (scheduled publishing, purges). Rows are kept
+-- once a job finishes so they double as its history; job_runs records every attempt.
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS jobs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    type VARCHAR(100) NOT NULL,
+    payload JSONB NOT NULL DEFAULT '{}',
+    result JSONB,
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    newsletter_id UUID REFERENCES newsletters(id) ON DELETE CASCADE,
+    -- At most one pending or running job per key, e.g. one scheduled publish per newsletter
+    unique_key VARCHAR(255),
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    run_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    max_attempts INTEGER NOT NULL DEFAULT 5,
+    last_error TEXT,
+    locked_by VARCHAR(255),
+    locked_at TIMESTAMP WITH TIME ZONE,
+    finished_at TIMESTAMP WITH TIME ZONE,
+    cancelled_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    CONSTRAINT jobs_status_valid CHECK (status IN ('pending', 'running', 'completed', 'failed', 'cancelled')),
+    CONSTRAINT jobs_max_attempts_valid CHECK (max_attempts >= 1)
+);
+
+CREATE INDEX IF NOT EXISTS idx_jobs_due ON jobs(run_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_jobs_running ON jobs(locked_at) WHERE status = 'running';
+CREATE UNIQUE INDEX IF NOT EXISTS idx_jobs_unique_key ON jobs(unique_key) WHERE status IN ('pending', 'running');
+CREATE INDEX IF NOT EXISTS idx_jobs_user_id ON jobs(user_id, created_at DESC) WHERE user_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_jobs_newsletter_id ON jobs(newsletter_id, created_at DESC) WHERE newsletter_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_jobs_finished_at ON jobs(finished_at) WHERE finished_at IS NOT NULL;
+
+DROP TRIGGER IF EXISTS update_jobs_updated_at ON jobs;
+CREATE TRIGGER update_jobs_updated_at
+    BEFORE UPDATE ON jobs
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TABLE IF NOT EXISTS job_runs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    job_id UUID NOT NULL REFERENCES jobs(id) ON DELETE CASCADE,
+    attempt INTEGER NOT NULL,
+    worker VARCHAR(255) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'running',
+    error TEXT,
+    started_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    finished_at TIMESTAMP WITH TIME ZONE,
+
+    -- 'abandoned' is a run whose instance stopped before it finished
+    CONSTRAINT job_runs_status_valid CHECK (status IN ('running', 'succeeded', 'failed', 'abandoned')),
+    CONSTRAINT job_runs_attempt_unique UNIQUE (job_id, attempt)
+);
+
+-- migrate:down
+DROP TABLE IF EXISTS job_runs;
+DROP TABLE IF EXISTS jobs;
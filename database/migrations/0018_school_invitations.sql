@@ -0,0 +1,28 @@
+-- Invitations to join a school. School admins invite teachers by email and a teacher only
+-- becomes a member once they accept, signed in with a verified address matching the invite.
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS school_invitations (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    school_id UUID NOT NULL REFERENCES schools(id) ON DELETE CASCADE,
+    email VARCHAR(255) NOT NULL,
+    role VARCHAR(20) NOT NULL DEFAULT 'teacher',
+    invited_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+    CONSTRAINT school_invitations_role_valid CHECK (role IN ('school_admin', 'teacher'))
+);
+
+-- Inviting the same address again refreshes the existing invitation
+CREATE UNIQUE INDEX IF NOT EXISTS idx_school_invitations_school_email ON school_invitations(school_id, lower(email));
+CREATE INDEX IF NOT EXISTS idx_school_invitations_email ON school_invitations(lower(email));
+
+DROP TRIGGER IF EXISTS update_school_invitations_updated_at ON school_invitations;
+CREATE TRIGGER update_school_invitations_updated_at
+    BEFORE UPDATE ON school_invitations
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- migrate:down
+DROP TABLE IF EXISTS school_invitations;
@@ -0,0 +1,17 @@
+-- One row per newsletter email sent on a user's behalf, so scheduled publishing can hold each
+-- user to a daily sending limit. Rows are pruned along with the job history.
+
+-- migrate:up
+CREATE TABLE IF NOT EXISTS sent_emails (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    job_id UUID REFERENCES jobs(id) ON DELETE SET NULL,
+    recipient VARCHAR(255) NOT NULL,
+    sent_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_sent_emails_user_sent_at ON sent_emails(user_id, sent_at DESC);
+CREATE INDEX IF NOT EXISTS idx_sent_emails_sent_at ON sent_emails(sent_at);
+
+-- migrate:down
+DROP TABLE IF EXISTS sent_emails;
@@ -13,6 +13,12 @@ const path = require('path');
 // Import our professional modules
 const { DatabaseManager } = require('./config/database');
 const logger = require('./utils/logger');
+const accountDataService = require('./services/accountDataService');
+const trashService = require('./services/trashService');
+const jobRunner = require('./services/jobRunner');
+const publishingService = require('./services/publishingService');
+const migrationService = require('./services/migrationService');
+const SentEmail = require('./models/SentEmail');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -53,7 +59,9 @@ const optionalEnvVars = [
   'REPLICATE_API_TOKEN',
   'AZURE_AI_API_KEY',
   'UNSPLASH_ACCESS_KEY',
-  'PEXELS_API_KEY'
+  'PEXELS_API_KEY',
+  // Base of links in password reset and verification emails; those emails are not sent without it
+  'FRONTEND_URL'
 ];
 
 const missingEnvVars = requiredEnvVars.filter(envVar => !process.env[envVar]);
@@ -75,11 +83,12 @@ if (missingOptionalVars.length > 0) {
   });
 }
 
-// Initialize database connection and schema
+// Initialize the database connection and check the schema is migrated
+// Resolves to false when the server is carrying on without a database
 async function initializeDatabase() {
+  const db = DatabaseManager.getInstance();
+
   try {
-    const db = DatabaseManager.getInstance();
-    
     // Initialize the database connection first
     logger.info('Initializing database connection...');
     await db.initialize();
@@ -90,39 +99,6 @@ async function initializeDatabase() {
     const testResult = await db.query('SELECT NOW() as current_time');
     logger.info('Database connection successful:', { time: testResult.rows[0].current_time });
     
-    // Check if tables exist
-    const tableCheckQuery = `
-      SELECT COUNT(*) as table_count 
-      FROM information_schema.tables 
-      WHERE table_schema = 'public' 
-      AND table_type = 'BASE TABLE'
-    `;
-    
-    const result = await db.query(tableCheckQuery);
-    const tableCount = parseInt(result.rows[0].table_count);
-    
-    logger.info(`Found ${tableCount} tables in database`);
-    
-    if (tableCount === 0) {
-      logger.info('Database is empty, initializing schema...');
-      await initializeSchema(db);
-    } else {
-      logger.info('Database schema already exists');
-    }
-    
-    // Now run health check
-    const isHealthy = await db.healthCheck();
-    if (isHealthy) {
-      logger.info('Database health check passed');
-      const stats = await db.getStats();
-      logger.info('Database connection stats:', stats);
-
-      // Apply small schema patches/migrations that are safe to run repeatedly
-      await ensureSchemaPatches(db);
-    } else {
-      logger.warn('Database health check failed, but continuing...');
-    }
-    
   } catch (error) {
     logger.error('Database initialization failed:', error);
     
@@ -132,141 +108,17 @@ async function initializeDatabase() {
     } else {
       logger.warn('Continuing in development mode without database');
     }
+    return false;
   }
-}
 
-// Ensure idempotent schema patches for existing databases
-async function ensureSchemaPatches(db) {
-  try {
-    // 1) Ensure activity_logs.resource_type CHECK allows 'system'
-    const checkConstraintQuery = `
-      SELECT c.conname, pg_get_constraintdef(c.oid) AS def
-      FROM pg_constraint c
-      JOIN pg_class t ON c.conrelid = t.oid
-      JOIN pg_namespace n ON n.oid = t.relnamespace
-      WHERE t.relname = 'activity_logs' AND c.conname = 'logs_resource_type_valid'
-    `;
-
-    const cc = await db.query(checkConstraintQuery);
-    if (cc.rows.length > 0) {
-      const def = cc.rows[0].def || '';
-      if (!def.includes("'system'")) {
-        logger.warn("Patching activity_logs.logs_resource_type_valid to include 'system'");
-        await db.query(`
-          ALTER TABLE activity_logs DROP CONSTRAINT IF EXISTS logs_resource_type_valid;
-          ALTER TABLE activity_logs
-            ADD CONSTRAINT logs_resource_type_valid CHECK (
-              resource_type IN ('user','newsletter','template','share','export','auth','system')
-            );
-        `);
-        logger.info('Constraint patched successfully');
-      }
-    }
-
-    // 2) Attempt to write the schema_created log if not present yet
-    const existsLog = await db.query(
-      `SELECT 1 FROM activity_logs WHERE action = 'schema_created' LIMIT 1`
-    );
-    if (existsLog.rows.length === 0) {
-      logger.info('Writing initial schema_created activity log');
-      await db.query(
-        `INSERT INTO activity_logs (action, resource_type, metadata)
-         VALUES ($1, $2, $3)`,
-        [
-          'schema_created',
-          'system',
-          {
-            version: '1.0.0',
-            tables_created: [
-              'users','user_sessions','templates','newsletters','newsletter_shares','activity_logs'
-            ]
-          }
-        ]
-      );
-    }
-
-    // 3) Fix Mr. Somers password hash if it's incorrect
-    const userCheck = await db.query(
-      `SELECT password_hash FROM users WHERE email = $1`,
-      ['mr.somers@school.edu']
-    );
-    
-    if (userCheck.rows.length > 0) {
-      const currentHash = userCheck.rows[0].password_hash;
-      const correctHash = '$2a$12$rqw3.A7RcdobsIH5UHV4LeWgtpzIiwTBmMDuXB0PdkKCOeR.KFNdO';
-      
-      if (currentHash !== correctHash) {
-        logger.warn('Fixing Mr. Somers password hash');
-        await db.query(
-          `UPDATE users SET password_hash = $1 WHERE email = $2`,
-          [correctHash, 'mr.somers@school.edu']
-        );
-        
-        // Log the fix
-        await db.query(
-          `INSERT INTO activity_logs (action, resource_type, metadata)
-           VALUES ($1, $2, $3)`,
-          [
-            'password_hash_fixed',
-            'system',
-            {
-              user: 'mr.somers@school.edu',
-              reason: 'incorrect_hash_in_init_script',
-              patch_version: '1.0.1'
-            }
-          ]
-        );
-        logger.info('Password hash fixed successfully');
-      }
-    }
-
-  } catch (err) {
-    // Non-fatal; keep server running
-    logger.warn('Schema patches step skipped due to error:', err);
-  }
-}
+  // Schema changes are applied with "npm run migrate -- up"; a pending or edited
+  // migration stops the server rather than letting it run against the wrong schema
+  const { migrations } = await migrationService.verify();
+  logger.info(`Database schema is up to date (${migrations.length} migrations applied)`);
 
-// Initialize database schema
-async function initializeSchema(db) {
-  try {
-    logger.info('Starting database schema initialization...');
-    
-    const fs = require('fs');
-    const path = require('path');
-    
-    // Read the SQL schema file
-    const schemaPath = path.join(__dirname, './database/init.sql');
-    
-    if (!fs.existsSync(schemaPath)) {
-      throw new Error(`Schema file not found at ${schemaPath}`);
-    }
-    
-    const schemaSQL = fs.readFileSync(schemaPath, 'utf8');
-    logger.info('Schema file loaded successfully');
-    
-    // Execute the schema
-    await db.query(schemaSQL);
-    logger.info('Database schema initialized successfully');
-    
-    // Verify tables were created
-    const tableCheckQuery = `
-      SELECT table_name 
-      FROM information_schema.tables 
-      WHERE table_schema = 'public' 
-      AND table_type = 'BASE TABLE'
-      ORDER BY table_name
-    `;
-    
-    const result = await db.query(tableCheckQuery);
-    const tables = result.rows.map(row => row.table_name);
-    logger.info('Created tables:', { tables });
-    
-    return true;
-    
-  } catch (error) {
-    logger.error('Schema initialization failed:', error);
-    throw error;
-  }
+  const stats = await db.getStats();
+  logger.info('Database connection stats:', stats);
+  return true;
 }
 
 // Security middleware
@@ -368,7 +220,12 @@ app.use('/api/templates', require('./routes/templates'));
 app.use('/api/ai', require('./routes/ai'));
 app.use('/api/images', require('./routes/images'));
 app.use('/api/export', require('./routes/export'));
+app.use('/api/calendar', require('./routes/calendar'));
+app.use('/api/shared', require('./routes/shared'));
 app.use('/api/admin', require('./routes/admin'));
+app.use('/api/search', require('./routes/search'));
+app.use('/api/schools', require('./routes/schools'));
+app.use('/api/jobs', require('./routes/jobs'));
 
 // Health check endpoints MUST come before static file serving
 // Health check endpoint with detailed information
@@ -480,11 +337,41 @@ app.use('/api/*', (req, res) => {
   });
 });
 
+// Background jobs, run by every instance; see services/jobRunner.js
+const HOUR_MS = 60 * 60 * 1000;
+
+jobRunner.register(publishingService.JOB_TYPE, (payload, context) => publishingService.publish(payload, context));
+
+// Erase accounts whose deletion grace period has run out
+jobRunner.register('accounts.purge', async () => ({ erased: await accountDataService.purgeDueAccounts() }), {
+  intervalMs: HOUR_MS,
+  maxAttempts: 3
+});
+
+// Empty newsletters and templates out of the trash once their retention period is over
+jobRunner.register('trash.purge', () => trashService.purgeExpired(), {
+  intervalMs: HOUR_MS,
+  maxAttempts: 3
+});
+
+// Forget finished jobs and the emails they sent once they are older than JOB_HISTORY_DAYS
+jobRunner.register('jobs.prune', async () => ({
+  deleted: await jobRunner.pruneHistory(),
+  sentEmailsDeleted: await SentEmail.prune(jobRunner.historyDays)
+}), {
+  intervalMs: 24 * HOUR_MS,
+  maxAttempts: 3
+});
+
 // Graceful shutdown handler
 async function gracefulShutdown(signal) {
   logger.info(`Received ${signal}, starting graceful shutdown...`);
   
   try {
+    // Let the job in progress finish so it is not left locked
+    await jobRunner.stop();
+    logger.info('Job runner stopped');
+
     // Close database connections
     const db = DatabaseManager.getInstance();
     await db.closeAllConnections();
@@ -505,7 +392,7 @@ process.on('SIGINT', () => gracefulShutdown('SIGINT'));
 async function startServer() {
   try {
     // Initialize database first
-    await initializeDatabase();
+    const databaseReady = await initializeDatabase();
     
     app.listen(PORT, '0.0.0.0', () => {
       logger.info('Newsletter server started successfully', {
@@ -515,6 +402,13 @@ async function startServer() {
         railwayPort: process.env.PORT || 'not set'
       });
     });
+
+    // Jobs live in the database; without it there is nothing to run
+    if (databaseReady) {
+      jobRunner.start();
+    } else {
+      logger.warn('Job runner not started because the database is unavailable');
+    }
     
   } catch (error) {
     logger.error('Failed to start server:', error);
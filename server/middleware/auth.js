@@ -5,6 +5,9 @@
 
 const AuthService = require('../services/AuthService');
 const User = require('../models/User');
+const PersonalAccessToken = require('../models/PersonalAccessToken');
+const SystemSetting = require('../models/SystemSetting');
+const policyService = require('../services/policyService');
 const logger = require('../utils/logger');
 
 /**
@@ -47,8 +50,80 @@ function getDeviceInfo(req) {
     };
 }
 
+/**
+ * Scope a personal access token needs for this request, or null where tokens may not be
+ * used at all (account, admin and other routes meant for the signed-in app)
+ */
+function requiredTokenScope(req) {
+    const { SCOPES } = PersonalAccessToken;
+
+    switch (req.baseUrl) {
+        case '/api/newsletters':
+        case '/api/jobs':
+            return ['GET', 'HEAD'].includes(req.method) ? SCOPES.NEWSLETTERS_READ : SCOPES.NEWSLETTERS_WRITE;
+        case '/api/export':
+            return SCOPES.EXPORT;
+        case '/api/templates':
+            return SCOPES.TEMPLATES;
+        case '/api/search':
+            return SCOPES.NEWSLETTERS_READ;
+        default:
+            return null;
+    }
+}
+
+/**
+ * Authenticate a request made with a personal access token instead of a JWT
+ */
+async function authenticatePersonalAccessToken(req, res, next, token) {
+    const clientIP = getClientIP(req);
+    const accessToken = await PersonalAccessToken.authenticate(token, clientIP === 'unknown' ? null : clientIP);
+
+    if (!accessToken) {
+        return res.status(401).json({
+            success: false,
+            message: 'Invalid, expired or revoked access token',
+            code: 'TOKEN_INVALID'
+        });
+    }
+
+    const user = await User.findById(accessToken.userId);
+    if (!user) {
+        return res.status(401).json({
+            success: false,
+            message: 'User not found or inactive',
+            code: 'USER_NOT_FOUND'
+        });
+    }
+
+    const scope = requiredTokenScope(req);
+    if (!scope || !accessToken.hasScope(scope)) {
+        logger.warn(`Access token ${accessToken.tokenPrefix} of ${user.email} refused for ${req.method} ${req.originalUrl}`);
+        return res.status(403).json({
+            success: false,
+            message: scope
+                ? `This access token does not have the ${scope} scope`
+                : 'Access tokens cannot be used for this endpoint',
+            code: 'TOKEN_SCOPE_REQUIRED'
+        });
+    }
+
+    req.user = user;
+    req.auth = {
+        userId: user.id,
+        role: user.role,
+        isAdmin: user.isAdmin,
+        tokenType: 'personal_access',
+        accessToken
+    };
+
+    logger.debug(`User authenticated with access token ${accessToken.tokenPrefix}: ${user.email}, IP: ${clientIP}`);
+    next();
+}
+
 /**
  * Core authentication middleware
+ * Accepts a JWT from the login flow or a personal access token.
  */
 const authenticate = async (req, res, next) => {
     try {
@@ -62,6 +137,10 @@ const authenticate = async (req, res, next) => {
             });
         }
 
+        if (PersonalAccessToken.looksLikeToken(token)) {
+            return await authenticatePersonalAccessToken(req, res, next, token);
+        }
+
         // Verify the token
         let decoded;
         try {
@@ -88,6 +167,7 @@ const authenticate = async (req, res, next) => {
         req.user = user;
         req.auth = {
             userId: user.id,
+            role: user.role,
             isAdmin: user.isAdmin,
             tokenData: decoded
         };
@@ -130,6 +210,7 @@ const optionalAuth = async (req, res, next) => {
                 req.user = user;
                 req.auth = {
                     userId: user.id,
+                    role: user.role,
                     isAdmin: user.isAdmin,
                     tokenData: decoded
                 };
@@ -155,20 +236,31 @@ const optionalAuth = async (req, res, next) => {
 };
 
 /**
- * Admin-only middleware (requires authentication + admin role)
+ * Run authenticate unless it already ran for this request
  */
-const requireAdmin = async (req, res, next) => {
-    try {
-        // First authenticate the user
+async function ensureAuthenticated(req, res) {
+    if (!req.user) {
         await new Promise((resolve, reject) => {
             authenticate(req, res, (err) => {
                 if (err) reject(err);
                 else resolve();
             });
         });
+    }
+    return Boolean(req.user);
+}
+
+/**
+ * Admin console middleware (requires authentication + the admin:view permission,
+ * which site admins and reviewers hold). Changes need their own permission on top.
+ */
+const requireAdmin = async (req, res, next) => {
+    try {
+        if (!await ensureAuthenticated(req, res)) {
+            return;
+        }
 
-        // Check if user is admin
-        if (!req.user || !req.user.isAdmin) {
+        if (!policyService.authorize(req.user, 'admin:view')) {
             return res.status(403).json({
                 success: false,
                 message: 'Admin access required',
@@ -176,15 +268,66 @@ const requireAdmin = async (req, res, next) => {
             });
         }
 
+        // Admins may be required to turn on two-factor authentication before using admin tools
+        if (!req.user.twoFactorEnabled &&
+            await SystemSetting.get(SystemSetting.KEYS.REQUIRE_ADMIN_TWO_FACTOR)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Turn on two-factor authentication to use admin tools',
+                code: 'TWO_FACTOR_SETUP_REQUIRED'
+            });
+        }
+
         logger.debug(`Admin access granted: ${req.user.email}`);
         next();
 
     } catch (error) {
-        // Error will be handled by authenticate middleware
-        return;
+        // Authentication errors have already been answered by the authenticate middleware
+        if (!res.headersSent) {
+            logger.error('Admin middleware error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Authorization error',
+                code: 'AUTH_ERROR'
+            });
+        }
     }
 };
 
+/**
+ * Site-wide permission middleware (requires authentication + a permission from
+ * the policy service that does not depend on a particular resource)
+ */
+const requirePermission = (permission) => {
+    return async (req, res, next) => {
+        try {
+            if (!await ensureAuthenticated(req, res)) {
+                return;
+            }
+
+            if (!policyService.authorize(req.user, permission)) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'You do not have permission to do that',
+                    code: 'PERMISSION_DENIED'
+                });
+            }
+
+            next();
+
+        } catch (error) {
+            if (!res.headersSent) {
+                logger.error('Permission middleware error:', error);
+                res.status(500).json({
+                    success: false,
+                    message: 'Authorization error',
+                    code: 'AUTH_ERROR'
+                });
+            }
+        }
+    };
+};
+
 /**
  * Rate limiting middleware for authentication endpoints
  */
@@ -261,8 +404,9 @@ const validateRefreshToken = async (req, res, next) => {
 
 /**
  * Middleware to check if user owns resource
+ * bypassPermission is a site-wide permission (e.g. 'newsletters:view_all') that skips the check.
  */
-const requireOwnership = (resourceIdField = 'id', userIdField = 'user_id') => {
+const requireOwnership = (resourceIdField = 'id', userIdField = 'user_id', bypassPermission = null) => {
     return async (req, res, next) => {
         try {
             // Must be authenticated first
@@ -274,8 +418,7 @@ const requireOwnership = (resourceIdField = 'id', userIdField = 'user_id') => {
                 });
             }
 
-            // Admins can access any resource
-            if (req.user.isAdmin) {
+            if (bypassPermission && policyService.can(req.user, bypassPermission)) {
                 return next();
             }
 
@@ -344,6 +487,7 @@ module.exports = {
     authenticate,
     optionalAuth,
     requireAdmin,
+    requirePermission,
     validateRefreshToken,
     requireOwnership,
     createAuthRateLimit,
@@ -0,0 +1,170 @@
+/**
+ * ActivityLog Model
+ * Read access to the audit trail written by each model's logActivity
+ */
+
+const { DatabaseManager } = require('../config/database');
+const logger = require('../utils/logger');
+
+class ActivityLog {
+    constructor(logData) {
+        this.id = logData.id;
+        this.userId = logData.user_id;
+        this.userEmail = logData.user_email;
+        this.action = logData.action;
+        this.resourceType = logData.resource_type;
+        this.resourceId = logData.resource_id;
+        this.metadata = logData.metadata || {};
+        this.createdAt = logData.created_at;
+    }
+
+    /**
+     * Entries across all users, newest first. Returns { entries, total }.
+     * Filters: action, resourceType, userId, user (matches the user's email or name).
+     */
+    static async find(filters = {}) {
+        const db = DatabaseManager.getInstance();
+
+        try {
+            const { limit = 20, offset = 0 } = filters;
+            const conditions = [];
+            const values = [];
+
+            if (filters.action) {
+                values.push(filters.action);
+                conditions.push(`l.action = $${values.length}`);
+            }
+
+            if (filters.resourceType) {
+                values.push(filters.resourceType);
+                conditions.push(`l.resource_type = $${values.length}`);
+            }
+
+            if (filters.userId) {
+                values.push(filters.userId);
+                conditions.push(`l.user_id = $${values.length}`);
+            }
+
+            if (filters.user) {
+                values.push(`%${filters.user.trim()}%`);
+                conditions.push(`(u.email ILIKE $${values.length} OR u.display_name ILIKE $${values.length})`);
+            }
+
+            const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+            const from = 'FROM activity_logs l LEFT JOIN users u ON u.id = l.user_id';
+
+            const countResult = await db.query(`SELECT COUNT(*) ${from} ${where}`, values);
+            const total = parseInt(countResult.rows[0].count);
+
+            const query = `
+                SELECT l.*, u.email AS user_email
+                ${from}
+                ${where}
+                ORDER BY l.created_at DESC
+                LIMIT $${values.length + 1} OFFSET $${values.length + 2}
+            `;
+
+            const result = await db.query(query, [...values, limit, offset]);
+            return {
+                entries: result.rows.map(row => new ActivityLog(row)),
+                total
+            };
+        } catch (error) {
+            logger.error('Error finding activity:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Every distinct action that has been logged, for filter menus
+     */
+    static async getActions() {
+        const db = DatabaseManager.getInstance();
+
+        try {
+            const result = await db.query('SELECT DISTINCT action FROM activity_logs ORDER BY action');
+            return result.rows.map(row => row.action);
+        } catch (error) {
+            logger.error('Error listing activity actions:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Activity counts over the last `days` days: totals, per resource type and top actions
+     */
+    static async getStats(days = 7) {
+        const db = DatabaseManager.getInstance();
+
+        try {
+            const since = `NOW() - make_interval(days => $1)`;
+
+            const totalsQuery = `
+                SELECT
+                    COUNT(*) as total,
+                    COUNT(CASE WHEN created_at > NOW() - INTERVAL '24 hours' THEN 1 END) as last_24_hours,
+                    COUNT(DISTINCT user_id) as active_users,
+                    COUNT(CASE WHEN action = 'login_failed' THEN 1 END) as failed_logins,
+                    COUNT(CASE WHEN action = 'account_locked' THEN 1 END) as lockouts
+                FROM activity_logs
+                WHERE created_at > ${since}
+            `;
+
+            const byTypeQuery = `
+                SELECT resource_type, COUNT(*) as count
+                FROM activity_logs
+                WHERE created_at > ${since}
+                GROUP BY resource_type
+                ORDER BY count DESC
+            `;
+
+            const topActionsQuery = `
+                SELECT action, COUNT(*) as count
+                FROM activity_logs
+                WHERE created_at > ${since}
+                GROUP BY action
+                ORDER BY count DESC
+                LIMIT 10
+            `;
+
+            const [totals, byType, topActions] = await Promise.all([
+                db.query(totalsQuery, [days]),
+                db.query(byTypeQuery, [days]),
+                db.query(topActionsQuery, [days])
+            ]);
+
+            return {
+                days,
+                ...totals.rows[0],
+                byResourceType: Object.fromEntries(
+                    byType.rows.map(row => [row.resource_type, parseInt(row.count)])
+                ),
+                topActions: topActions.rows.map(row => ({ action: row.action, count: parseInt(row.count) }))
+            };
+        } catch (error) {
+            logger.error('Error getting activity stats:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Convert to public JSON (safe for client)
+     */
+    toPublicJSON() {
+        return {
+            id: this.id,
+            userId: this.userId,
+            userEmail: this.userEmail,
+            action: this.action,
+            resourceType: this.resourceType,
+            resourceId: this.resourceId,
+            metadata: this.metadata,
+            createdAt: this.createdAt
+        };
+    }
+}
+
+// Allowed by the activity_logs.resource_type check constraint
+ActivityLog.RESOURCE_TYPES = ['user', 'newsletter', 'template', 'share', 'export', 'auth', 'system', 'school'];
+
+module.exports = ActivityLog;
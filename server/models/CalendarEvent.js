@@ -0,0 +1,148 @@
+/**
+ * CalendarEvent Model
+ * Events published through a teacher's calendar feed.
+ * Rows are never deleted when an event disappears; they are marked cancelled
+ * so subscribed calendars receive the cancellation.
+ */
+
+const { DatabaseManager } = require('../config/database');
+const logger = require('../utils/logger');
+const { getNewsletterEvents } = require('../utils/newsletterContent');
+
+class CalendarEvent {
+    constructor(eventData) {
+        this.id = eventData.id;
+        this.userId = eventData.user_id;
+        this.newsletterId = eventData.newsletter_id;
+        this.eventKey = eventData.event_key;
+        this.title = eventData.title;
+        this.description = eventData.description || '';
+        this.eventDate = eventData.event_date;
+        this.status = eventData.status || 'confirmed';
+        this.sequence = eventData.sequence || 0;
+        this.createdAt = eventData.created_at;
+        this.updatedAt = eventData.updated_at;
+    }
+
+    /**
+     * Reconcile stored events with the user's published newsletters.
+     * New events are added, edited events get a higher sequence number and
+     * events no longer in any published newsletter are cancelled.
+     */
+    static async syncForUser(userId) {
+        const db = DatabaseManager.getInstance();
+
+        try {
+            return await db.transaction(async (client) => {
+                // Serialize syncs for the same user so sequence numbers stay consistent
+                await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`calendar:${userId}`]);
+
+                const newsletters = await client.query(
+                    `SELECT id, content FROM newsletters
+                     WHERE user_id = $1 AND status = 'published' AND deleted_at IS NULL
+                     ORDER BY updated_at ASC`,
+                    [userId]
+                );
+
+                // Later newsletters win when the same event appears more than once
+                const current = new Map();
+                newsletters.rows.forEach(row => {
+                    getNewsletterEvents(row.content).forEach(event => {
+                        current.set(event.key, { ...event, newsletterId: row.id });
+                    });
+                });
+
+                const stored = await client.query(
+                    `SELECT *, to_char(event_date, 'YYYY-MM-DD') AS event_date
+                     FROM calendar_events WHERE user_id = $1`,
+                    [userId]
+                );
+                const existing = new Map(stored.rows.map(row => [row.event_key, row]));
+
+                let added = 0;
+                let updated = 0;
+                let cancelled = 0;
+
+                for (const event of current.values()) {
+                    const row = existing.get(event.key);
+
+                    if (!row) {
+                        await client.query(
+                            `INSERT INTO calendar_events (user_id, newsletter_id, event_key, title, description, event_date)
+                             VALUES ($1, $2, $3, $4, $5, $6)`,
+                            [userId, event.newsletterId, event.key, event.title, event.description, event.date]
+                        );
+                        added++;
+                        continue;
+                    }
+
+                    const changed = row.status !== 'confirmed' ||
+                        row.title !== event.title ||
+                        (row.description || '') !== event.description ||
+                        row.event_date !== event.date;
+
+                    if (changed) {
+                        await client.query(
+                            `UPDATE calendar_events
+                             SET title = $1, description = $2, event_date = $3, newsletter_id = $4,
+                                 status = 'confirmed', sequence = sequence + 1, updated_at = NOW()
+                             WHERE id = $5`,
+                            [event.title, event.description, event.date, event.newsletterId, row.id]
+                        );
+                        updated++;
+                    } else if (row.newsletter_id !== event.newsletterId) {
+                        await client.query(
+                            'UPDATE calendar_events SET newsletter_id = $1 WHERE id = $2',
+                            [event.newsletterId, row.id]
+                        );
+                    }
+                }
+
+                for (const row of existing.values()) {
+                    if (row.status === 'confirmed' && !current.has(row.event_key)) {
+                        await client.query(
+                            `UPDATE calendar_events
+                             SET status = 'cancelled', sequence = sequence + 1, updated_at = NOW()
+                             WHERE id = $1`,
+                            [row.id]
+                        );
+                        cancelled++;
+                    }
+                }
+
+                if (added || updated || cancelled) {
+                    logger.info(`Calendar events synced for user ${userId}`, { added, updated, cancelled });
+                }
+
+                return { added, updated, cancelled };
+            });
+        } catch (error) {
+            logger.error('Error syncing calendar events:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Find all feed events for a user, including cancellations
+     */
+    static async findByUserId(userId) {
+        const db = DatabaseManager.getInstance();
+
+        try {
+            const query = `
+                SELECT *, to_char(event_date, 'YYYY-MM-DD') AS event_date
+                FROM calendar_events
+                WHERE user_id = $1
+                ORDER BY event_date ASC
+            `;
+            const result = await db.query(query, [userId]);
+
+            return result.rows.map(row => new CalendarEvent(row));
+        } catch (error) {
+            logger.error('Error finding calendar events by user ID:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = CalendarEvent;
@@ -0,0 +1,112 @@
+/**
+ * CalendarFeed Model
+ * Stable per-teacher calendar subscription tokens
+ */
+
+const crypto = require('crypto');
+const { DatabaseManager } = require('../config/database');
+const logger = require('../utils/logger');
+
+class CalendarFeed {
+    constructor(feedData) {
+        this.userId = feedData.user_id;
+        this.token = feedData.token;
+        this.lastAccessed = feedData.last_accessed;
+        this.createdAt = feedData.created_at;
+    }
+
+    static generateToken() {
+        return crypto.randomBytes(24).toString('hex');
+    }
+
+    /**
+     * Get the user's feed, creating it on first use
+     */
+    static async findOrCreate(userId) {
+        const db = DatabaseManager.getInstance();
+
+        try {
+            const query = `
+                INSERT INTO calendar_feeds (user_id, token)
+                VALUES ($1, $2)
+                ON CONFLICT (user_id) DO UPDATE SET user_id = EXCLUDED.user_id
+                RETURNING *
+            `;
+
+            const result = await db.query(query, [userId, this.generateToken()]);
+            return new CalendarFeed(result.rows[0]);
+        } catch (error) {
+            logger.error('Error finding or creating calendar feed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Find a feed by its subscription token
+     */
+    static async findByToken(token) {
+        const db = DatabaseManager.getInstance();
+
+        try {
+            const query = `
+                SELECT f.* FROM calendar_feeds f
+                JOIN users u ON u.id = f.user_id
+                WHERE f.token = $1 AND u.is_active = true
+            `;
+            const result = await db.query(query, [token]);
+
+            return result.rows.length > 0 ? new CalendarFeed(result.rows[0]) : null;
+        } catch (error) {
+            logger.error('Error finding calendar feed by token:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Replace the feed token, invalidating the old subscription URL
+     */
+    static async regenerate(userId) {
+        const db = DatabaseManager.getInstance();
+
+        try {
+            const query = `
+                INSERT INTO calendar_feeds (user_id, token)
+                VALUES ($1, $2)
+                ON CONFLICT (user_id) DO UPDATE SET token = EXCLUDED.token, last_accessed = NULL
+                RETURNING *
+            `;
+
+            const result = await db.query(query, [userId, this.generateToken()]);
+
+            logger.info(`Calendar feed token regenerated for user ${userId}`);
+            return new CalendarFeed(result.rows[0]);
+        } catch (error) {
+            logger.error('Error regenerating calendar feed token:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Record that a calendar client fetched the feed
+     */
+    async markAccessed() {
+        const db = DatabaseManager.getInstance();
+
+        try {
+            await db.query('UPDATE calendar_feeds SET last_accessed = NOW() WHERE user_id = $1', [this.userId]);
+        } catch (error) {
+            logger.error('Error updating calendar feed access time:', error);
+            // Don't throw - the feed was still served
+        }
+    }
+
+    toPublicJSON() {
+        return {
+            token: this.token,
+            lastAccessed: this.lastAccessed,
+            createdAt: this.createdAt
+        };
+    }
+}
+
+module.exports = CalendarFeed;
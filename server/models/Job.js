@@ -0,0 +1,478 @@
+/**
+ * Job Model
+ * Background jobs persisted in Postgres and run by services/jobRunner.
+ * A job is claimed with FOR UPDATE SKIP LOCKED, so several server instances can share the
+ * queue without running it twice. Finished jobs are kept as history; job_runs holds one row
+ * per attempt.
+ */
+
+const { DatabaseManager } = require('../config/database');
+const logger = require('../utils/logger');
+
+const ACTIVE_STATUSES = ['pending', 'running'];
+
+class Job {
+    constructor(jobData) {
+        this.id = jobData.id;
+        this.type = jobData.type;
+        this.payload = jobData.payload || {};
+        this.result = jobData.result || null;
+        this.userId = jobData.user_id;
+        this.newsletterId = jobData.newsletter_id;
+        this.uniqueKey = jobData.unique_key;
+        this.status = jobData.status;
+        this.runAt = jobData.run_at;
+        this.attempts = jobData.attempts || 0;
+        this.maxAttempts = jobData.max_attempts;
+        this.lastError = jobData.last_error;
+        this.lockedBy = jobData.locked_by;
+        this.lockedAt = jobData.locked_at;
+        this.finishedAt = jobData.finished_at;
+        this.cancelledBy = jobData.cancelled_by;
+        this.createdAt = jobData.created_at;
+        this.updatedAt = jobData.updated_at;
+    }
+
+    isActive() {
+        return ACTIVE_STATUSES.includes(this.status);
+    }
+
+    /**
+     * Add a job to the queue. Pass a client to enqueue inside an open transaction.
+     * Returns null when a pending or running job with the same uniqueKey already exists.
+     */
+    static async enqueue(jobData, client = null) {
+        const db = client || DatabaseManager.getInstance();
+
+        try {
+            const query = `
+                INSERT INTO jobs (type, payload, user_id, newsletter_id, unique_key, run_at, max_attempts)
+                VALUES ($1, $2, $3, $4, $5, COALESCE($6, NOW()), $7)
+                ON CONFLICT (unique_key) WHERE status IN ('pending', 'running') DO NOTHING
+                RETURNING *
+            `;
+
+            const values = [
+                jobData.type,
+                JSON.stringify(jobData.payload || {}),
+                jobData.userId || null,
+                jobData.newsletterId || null,
+                jobData.uniqueKey || null,
+                jobData.runAt || null,
+                jobData.maxAttempts || 5
+            ];
+
+            const result = await db.query(query, values);
+            if (result.rows.length === 0) {
+                return null;
+            }
+
+            const job = new Job(result.rows[0]);
+            logger.info(`Job queued: ${job.type} ${job.id} to run at ${new Date(job.runAt).toISOString()}`);
+            return job;
+        } catch (error) {
+            logger.error('Error queueing job:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Claim the oldest due job of one of `types` for `worker`, recording the attempt.
+     * Returns null when nothing is due.
+     */
+    static async claimNext(worker, types) {
+        const db = DatabaseManager.getInstance();
+
+        try {
+            return await db.transaction(async (client) => {
+                const claimed = await client.query(`
+                    WITH next AS (
+                        SELECT id FROM jobs
+                        WHERE status = 'pending' AND run_at <= NOW() AND type = ANY($2::text[])
+                        ORDER BY run_at
+                        LIMIT 1
+                        FOR UPDATE SKIP LOCKED
+                    )
+                    UPDATE jobs
+                    SET status = 'running', attempts = attempts + 1, locked_by = $1, locked_at = NOW()
+                    FROM next
+                    WHERE jobs.id = next.id
+                    RETURNING jobs.*
+                `, [worker, types]);
+
+                if (claimed.rows.length === 0) {
+                    return null;
+                }
+
+                const job = new Job(claimed.rows[0]);
+                await client.query(
+                    'INSERT INTO job_runs (job_id, attempt, worker) VALUES ($1, $2, $3)',
+                    [job.id, job.attempts, worker]
+                );
+                return job;
+            });
+        } catch (error) {
+            logger.error('Error claiming job:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Put back jobs whose instance stopped while running them: their lock is older than
+     * `lockTimeoutMinutes`. They go back to pending, or fail once out of attempts.
+     * Returns the recovered jobs.
+     */
+    static async recoverStale(lockTimeoutMinutes) {
+        const db = DatabaseManager.getInstance();
+
+        try {
+            const recovered = await db.transaction(async (client) => {
+                const result = await client.query(`
+                    WITH stale AS (
+                        SELECT id FROM jobs
+                        WHERE status = 'running' AND locked_at < NOW() - make_interval(mins => $1)
+                        FOR UPDATE SKIP LOCKED
+                    )
+                    UPDATE jobs
+                    SET status = CASE WHEN attempts < max_attempts THEN 'pending' ELSE 'failed' END,
+                        finished_at = CASE WHEN attempts < max_attempts THEN NULL ELSE NOW() END,
+                        last_error = 'The server running this job stopped before it finished',
+                        locked_by = NULL,
+                        locked_at = NULL
+                    FROM stale
+                    WHERE jobs.id = stale.id
+                    RETURNING jobs.*
+                `, [lockTimeoutMinutes]);
+
+                if (result.rows.length > 0) {
+                    await client.query(
+                        `UPDATE job_runs SET status = 'abandoned', finished_at = NOW()
+                         WHERE job_id = ANY($1::uuid[]) AND status = 'running'`,
+                        [result.rows.map(row => row.id)]
+                    );
+                }
+
+                return result.rows.map(row => new Job(row));
+            });
+
+            if (recovered.length > 0) {
+                logger.warn(`Recovered ${recovered.length} jobs left running by a stopped server`);
+            }
+            return recovered;
+        } catch (error) {
+            logger.error('Error recovering stale jobs:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Jobs newest first, with the total for paging. Returns { jobs, total }.
+     * Filters: userId, newsletterId, status, type.
+     */
+    static async find(filters = {}) {
+        const db = DatabaseManager.getInstance();
+
+        try {
+            const { limit = 20, offset = 0 } = filters;
+            const conditions = [];
+            const values = [];
+
+            ['userId', 'newsletterId', 'status', 'type'].forEach(key => {
+                if (filters[key]) {
+                    values.push(filters[key]);
+                    const column = key.replace(/[A-Z]/g, letter => `_${letter.toLowerCase()}`);
+                    conditions.push(`${column} = $${values.length}`);
+                }
+            });
+
+            const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+            const countResult = await db.query(`SELECT COUNT(*) FROM jobs ${where}`, values);
+            const result = await db.query(`
+                SELECT * FROM jobs
+                ${where}
+                ORDER BY created_at DESC
+                LIMIT $${values.length + 1} OFFSET $${values.length + 2}
+            `, [...values, limit, offset]);
+
+            return {
+                jobs: result.rows.map(row => new Job(row)),
+                total: parseInt(countResult.rows[0].count)
+            };
+        } catch (error) {
+            logger.error('Error finding jobs:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Find a job, limited to the given user's jobs when userId is passed
+     */
+    static async findById(id, userId = null) {
+        const db = DatabaseManager.getInstance();
+
+        try {
+            const result = userId
+                ? await db.query('SELECT * FROM jobs WHERE id = $1 AND user_id = $2', [id, userId])
+                : await db.query('SELECT * FROM jobs WHERE id = $1', [id]);
+
+            return result.rows.length > 0 ? new Job(result.rows[0]) : null;
+        } catch (error) {
+            logger.error('Error finding job:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * The pending or running job holding `uniqueKey`, if any
+     */
+    static async findActive(uniqueKey) {
+        const db = DatabaseManager.getInstance();
+
+        try {
+            const result = await db.query(
+                `SELECT * FROM jobs WHERE unique_key = $1 AND status IN ('pending', 'running')`,
+                [uniqueKey]
+            );
+
+            return result.rows.length > 0 ? new Job(result.rows[0]) : null;
+        } catch (error) {
+            logger.error('Error finding active job:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Cancel the pending job holding `uniqueKey` inside an open transaction.
+     * Running jobs are left alone. Returns the cancelled job or null.
+     */
+    static async cancelPending(client, uniqueKey, userId) {
+        const result = await client.query(`
+            UPDATE jobs SET status = 'cancelled', cancelled_by = $2, finished_at = NOW()
+            WHERE unique_key = $1 AND status = 'pending'
+            RETURNING *
+        `, [uniqueKey, userId]);
+
+        return result.rows.length > 0 ? new Job(result.rows[0]) : null;
+    }
+
+    /**
+     * Delete finished jobs (and their runs) older than `days`. Returns how many were deleted.
+     */
+    static async pruneHistory(days) {
+        const db = DatabaseManager.getInstance();
+
+        try {
+            const result = await db.query(
+                'DELETE FROM jobs WHERE finished_at < NOW() - make_interval(days => $1)',
+                [days]
+            );
+            return result.rowCount;
+        } catch (error) {
+            logger.error('Error pruning job history:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Every attempt at this job, oldest first
+     */
+    async getRuns() {
+        const db = DatabaseManager.getInstance();
+
+        try {
+            const result = await db.query(
+                'SELECT * FROM job_runs WHERE job_id = $1 ORDER BY attempt',
+                [this.id]
+            );
+
+            return result.rows.map(row => ({
+                attempt: row.attempt,
+                status: row.status,
+                error: row.error,
+                startedAt: row.started_at,
+                finishedAt: row.finished_at
+            }));
+        } catch (error) {
+            logger.error('Error finding job runs:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Store what a running job has done so far, so a retry can pick up where it stopped.
+     * Also renews the lock, keeping long jobs from being recovered as stale.
+     */
+    async saveProgress(result) {
+        const db = DatabaseManager.getInstance();
+
+        await db.query(
+            `UPDATE jobs SET result = $2, locked_at = NOW()
+             WHERE id = $1 AND status = 'running' AND locked_by = $3`,
+            [this.id, JSON.stringify(result), this.lockedBy]
+        );
+        this.result = result;
+    }
+
+    /**
+     * Mark the current attempt as succeeded
+     */
+    async complete(result) {
+        const db = DatabaseManager.getInstance();
+
+        try {
+            return await db.transaction(async (client) => {
+                const updated = await client.query(`
+                    UPDATE jobs
+                    SET status = 'completed', result = $2, last_error = NULL, finished_at = NOW(),
+                        locked_by = NULL, locked_at = NULL
+                    WHERE id = $1 AND status = 'running' AND locked_by = $3
+                    RETURNING *
+                `, [this.id, JSON.stringify(result === undefined ? null : result), this.lockedBy]);
+
+                await this.finishRun(client, 'succeeded', null);
+                return this.refresh(updated.rows[0]);
+            });
+        } catch (error) {
+            logger.error('Error completing job:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Mark the current attempt as failed. The job goes back to pending to run again after
+     * `retryDelaySeconds`, unless that is null or it is out of attempts, in which case it fails.
+     */
+    async fail(message, retryDelaySeconds) {
+        const db = DatabaseManager.getInstance();
+
+        try {
+            return await db.transaction(async (client) => {
+                const updated = await client.query(`
+                    UPDATE jobs
+                    SET status = CASE WHEN $3::int IS NOT NULL AND attempts < max_attempts THEN 'pending' ELSE 'failed' END,
+                        run_at = CASE WHEN $3::int IS NOT NULL AND attempts < max_attempts
+                            THEN NOW() + make_interval(secs => $3::int) ELSE run_at END,
+                        finished_at = CASE WHEN $3::int IS NOT NULL AND attempts < max_attempts THEN NULL ELSE NOW() END,
+                        last_error = $2,
+                        locked_by = NULL,
+                        locked_at = NULL
+                    WHERE id = $1 AND status = 'running' AND locked_by = $4
+                    RETURNING *
+                `, [this.id, message, retryDelaySeconds, this.lockedBy]);
+
+                await this.finishRun(client, 'failed', message);
+                return this.refresh(updated.rows[0]);
+            });
+        } catch (error) {
+            logger.error('Error failing job:', error);
+            throw error;
+        }
+    }
+
+    async finishRun(client, status, error) {
+        await client.query(
+            `UPDATE job_runs SET status = $3, error = $4, finished_at = NOW()
+             WHERE job_id = $1 AND attempt = $2 AND status = 'running'`,
+            [this.id, this.attempts, status, error]
+        );
+    }
+
+    /**
+     * Take over the state of an updated row. A missing row means another instance
+     * recovered the job in the meantime, so this one no longer owns it.
+     */
+    refresh(row) {
+        if (!row) {
+            logger.warn(`Job ${this.id} was taken over before ${this.lockedBy} finished it`);
+            return false;
+        }
+
+        Object.assign(this, new Job(row));
+        return true;
+    }
+
+    /**
+     * Cancel the job if it has not started. Returns false when it is no longer pending.
+     */
+    async cancel(userId) {
+        const db = DatabaseManager.getInstance();
+
+        try {
+            const result = await db.query(`
+                UPDATE jobs SET status = 'cancelled', cancelled_by = $2, finished_at = NOW()
+                WHERE id = $1 AND status = 'pending'
+                RETURNING *
+            `, [this.id, userId]);
+
+            if (result.rows.length === 0) {
+                return false;
+            }
+
+            Object.assign(this, new Job(result.rows[0]));
+            logger.info(`Job cancelled: ${this.type} ${this.id} by user ${userId}`);
+            return true;
+        } catch (error) {
+            logger.error('Error cancelling job:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Queue a failed job again now, with `extraAttempts` more attempts.
+     * Throws an error with code 'JOB_ALREADY_QUEUED' when another job holds its uniqueKey.
+     */
+    async retry(extraAttempts) {
+        const db = DatabaseManager.getInstance();
+
+        try {
+            const result = await db.query(`
+                UPDATE jobs
+                SET status = 'pending', run_at = NOW(), max_attempts = attempts + $2, finished_at = NULL
+                WHERE id = $1 AND status = 'failed'
+                RETURNING *
+            `, [this.id, extraAttempts]);
+
+            if (result.rows.length === 0) {
+                return false;
+            }
+
+            Object.assign(this, new Job(result.rows[0]));
+            logger.info(`Job queued for retry: ${this.type} ${this.id}`);
+            return true;
+        } catch (error) {
+            if (error.code === '23505') {
+                const err = new Error('A newer job of this kind is already queued');
+                err.code = 'JOB_ALREADY_QUEUED';
+                throw err;
+            }
+            logger.error('Error retrying job:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Convert to public JSON (safe for client)
+     */
+    toPublicJSON() {
+        return {
+            id: this.id,
+            type: this.type,
+            status: this.status,
+            newsletterId: this.newsletterId,
+            payload: this.payload,
+            result: this.result,
+            runAt: this.runAt,
+            attempts: this.attempts,
+            maxAttempts: this.maxAttempts,
+            lastError: this.lastError,
+            finishedAt: this.finishedAt,
+            createdAt: this.createdAt,
+            updatedAt: this.updatedAt
+        };
+    }
+}
+
+Job.STATUSES = ['pending', 'running', 'completed', 'failed', 'cancelled'];
+
+module.exports = Job;
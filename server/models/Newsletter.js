@@ -5,6 +5,84 @@
 
 const { DatabaseManager } = require('../config/database');
 const logger = require('../utils/logger');
+const NewsletterRevision = require('./NewsletterRevision');
+const { diffNewsletters, summarizeDiff } = require('../utils/newsletterDiff');
+const { FULL_HEADLINE_OPTIONS, SNIPPET_HEADLINE_OPTIONS, toSegments } = require('../utils/searchHighlight');
+const policyService = require('../services/policyService');
+
+// SQL condition matching an unexpired colleague grant for $userParam with the given permission
+const grantCondition = (userParam, permission) => {
+    if (!['view', 'edit', 'copy'].includes(permission)) {
+        throw new Error(`Unknown newsletter permission: ${permission}`);
+    }
+
+    return `EXISTS (
+        SELECT 1 FROM newsletter_shares s
+        WHERE s.newsletter_id = newsletters.id
+          AND s.share_type = 'user'
+          AND s.shared_with = ${userParam}
+          AND (s.expires_at IS NULL OR s.expires_at > NOW())
+          ${permission === 'view' ? '' : `AND COALESCE((s.permissions->>'${permission}')::boolean, false)`}
+    )`;
+};
+
+// Sort orders accepted by findByUserId
+const SORT_COLUMNS = {
+    updated: 'updated_at',
+    created: 'created_at',
+    title: 'lower(title)',
+    published: 'publish_date'
+};
+
+// Tags are stored trimmed, lowercase and without duplicates
+const normalizeTags = (tags) => [...new Set((tags || [])
+    .map(tag => String(tag).trim().toLowerCase())
+    .filter(Boolean))];
+
+/**
+ * WHERE conditions and values for the Dashboard filters on the user's own newsletters:
+ * status, folderId ('none' for unfiled), tags (all must match), q (title contains)
+ * and from/to (YYYY-MM-DD, inclusive) on the creation date
+ */
+const ownedNewsletterFilter = (userId, options = {}) => {
+    const values = [userId];
+    const conditions = ['user_id = $1', 'deleted_at IS NULL'];
+
+    if (options.status) {
+        values.push(options.status);
+        conditions.push(`status = $${values.length}`);
+    }
+
+    if (options.folderId === 'none') {
+        conditions.push('folder_id IS NULL');
+    } else if (options.folderId) {
+        values.push(options.folderId);
+        conditions.push(`folder_id = $${values.length}`);
+    }
+
+    const tags = normalizeTags(options.tags);
+    if (tags.length > 0) {
+        values.push(tags);
+        conditions.push(`tags @> $${values.length}::text[]`);
+    }
+
+    if (options.q) {
+        values.push(`%${options.q.trim()}%`);
+        conditions.push(`title ILIKE $${values.length}`);
+    }
+
+    if (options.from) {
+        values.push(options.from);
+        conditions.push(`created_at >= $${values.length}::date`);
+    }
+
+    if (options.to) {
+        values.push(options.to);
+        conditions.push(`created_at < $${values.length}::date + 1`);
+    }
+
+    return { conditions, values };
+};
 
 class Newsletter {
     constructor(newsletterData) {
@@ -18,8 +96,39 @@ class Newsletter {
         this.publishDate = newsletterData.publish_date;
         this.lastExported = newsletterData.last_exported;
         this.viewCount = newsletterData.view_count || 0;
+        this.revision = newsletterData.revision || 0;
+        this.folderId = newsletterData.folder_id || null;
+        this.tags = newsletterData.tags || [];
+        this.deletedAt = newsletterData.deleted_at || null;
         this.createdAt = newsletterData.created_at;
         this.updatedAt = newsletterData.updated_at;
+
+        // Present when loaded for a specific user (see findById)
+        this.access = newsletterData.share_permissions !== undefined
+            ? Newsletter.resolveAccess(newsletterData)
+            : undefined;
+        this.ownerName = newsletterData.owner_name;
+    }
+
+    /**
+     * Work out what the requesting user may do from a row joined with their grant.
+     * The grant decides their roles on the newsletter (owner, co-teacher or viewer);
+     * the policy service decides what those roles allow.
+     */
+    static resolveAccess(row) {
+        const { ROLES } = policyService;
+        const permissions = row.share_permissions || {};
+        const roles = row.is_owner
+            ? [ROLES.OWNER]
+            : [ROLES.VIEWER, ...(permissions.edit === true ? [ROLES.CO_TEACHER] : [])];
+
+        return {
+            isOwner: row.is_owner === true,
+            roles,
+            canView: policyService.hasPermission(roles, 'newsletter:view'),
+            canEdit: policyService.hasPermission(roles, 'newsletter:edit'),
+            canCopy: row.is_owner === true || permissions.copy === true
+        };
     }
 
     /**
@@ -31,8 +140,8 @@ class Newsletter {
         try {
             const query = `
                 INSERT INTO newsletters (
-                    user_id, template_id, title, content, settings, status
-                ) VALUES ($1, $2, $3, $4, $5, $6)
+                    user_id, template_id, title, content, settings, status, revision
+                ) VALUES ($1, $2, $3, $4, $5, $6, 1)
                 RETURNING *
             `;
             
@@ -45,7 +154,22 @@ class Newsletter {
                 newsletterData.status || 'draft'
             ];
             
-            const result = await db.query(query, values);
+            const result = await db.transaction(async (client) => {
+                const inserted = await client.query(query, values);
+                const row = inserted.rows[0];
+
+                await NewsletterRevision.create(client, {
+                    newsletterId: row.id,
+                    revisionNumber: 1,
+                    title: row.title,
+                    content: row.content,
+                    settings: row.settings,
+                    authorId: userId,
+                    summary: newsletterData.changeSummary || 'Created'
+                });
+
+                return inserted;
+            });
             
             if (result.rows.length > 0) {
                 const newsletter = new Newsletter(result.rows[0]);
@@ -69,21 +193,41 @@ class Newsletter {
 
     /**
      * Find newsletter by ID
+     * When userId is provided the user must own the newsletter or hold a colleague
+     * grant with the requested permission ('view', 'edit', 'copy' or 'owner' for owners only).
+     * Newsletters in the trash are not found; see findTrashedById.
      */
-    static async findById(id, userId = null) {
+    static async findById(id, userId = null, permission = 'view') {
         const db = DatabaseManager.getInstance();
         
         try {
-            let query = 'SELECT * FROM newsletters WHERE id = $1';
-            let values = [id];
-            
-            // If userId provided, ensure user has access
-            if (userId) {
-                query += ' AND user_id = $2';
-                values.push(userId);
+            if (!userId) {
+                const result = await db.query('SELECT * FROM newsletters WHERE id = $1 AND deleted_at IS NULL', [id]);
+                return result.rows.length > 0 ? new Newsletter(result.rows[0]) : null;
             }
+
+            const accessCondition = permission === 'owner'
+                ? 'newsletters.user_id = $2'
+                : `(newsletters.user_id = $2 OR ${grantCondition('$2', permission)})`;
+
+            const query = `
+                SELECT newsletters.*,
+                       newsletters.user_id = $2 AS is_owner,
+                       owner.display_name AS owner_name,
+                       (
+                           SELECT s.permissions FROM newsletter_shares s
+                           WHERE s.newsletter_id = newsletters.id
+                             AND s.share_type = 'user'
+                             AND s.shared_with = $2
+                             AND (s.expires_at IS NULL OR s.expires_at > NOW())
+                           LIMIT 1
+                       ) AS share_permissions
+                FROM newsletters
+                JOIN users owner ON owner.id = newsletters.user_id
+                WHERE newsletters.id = $1 AND newsletters.deleted_at IS NULL AND ${accessCondition}
+            `;
             
-            const result = await db.query(query, values);
+            const result = await db.query(query, [id, userId]);
             
             return result.rows.length > 0 ? new Newsletter(result.rows[0]) : null;
         } catch (error) {
@@ -92,37 +236,65 @@ class Newsletter {
         }
     }
 
+    /**
+     * Find newsletters other users have shared with this user
+     */
+    static async findSharedWithUser(userId) {
+        const db = DatabaseManager.getInstance();
+
+        try {
+            const query = `
+                SELECT newsletters.*,
+                       false AS is_owner,
+                       owner.display_name AS owner_name,
+                       s.permissions AS share_permissions,
+                       s.created_at AS shared_at
+                FROM newsletter_shares s
+                JOIN newsletters ON newsletters.id = s.newsletter_id
+                JOIN users owner ON owner.id = newsletters.user_id
+                WHERE s.share_type = 'user'
+                  AND s.shared_with = $1
+                  AND (s.expires_at IS NULL OR s.expires_at > NOW())
+                  AND newsletters.deleted_at IS NULL
+                ORDER BY newsletters.updated_at DESC
+            `;
+
+            const result = await db.query(query, [userId]);
+
+            return result.rows.map(row => new Newsletter(row));
+        } catch (error) {
+            logger.error('Error finding newsletters shared with user:', error);
+            throw error;
+        }
+    }
+
     /**
      * Find newsletters by user ID
+     * Filters as in countByUserId; options.sort is one of updated (default), created,
+     * title or published, options.order asc or desc (default desc, title asc).
      */
     static async findByUserId(userId, options = {}) {
         const db = DatabaseManager.getInstance();
         
         try {
-            let query = 'SELECT * FROM newsletters WHERE user_id = $1';
-            let values = [userId];
-            let paramCount = 1;
-            
-            // Add status filter if provided
-            if (options.status) {
-                paramCount++;
-                query += ` AND status = $${paramCount}`;
-                values.push(options.status);
-            }
-            
-            // Add ordering
-            query += ' ORDER BY updated_at DESC';
+            const { conditions, values } = ownedNewsletterFilter(userId, options);
+            const column = SORT_COLUMNS[options.sort] || SORT_COLUMNS.updated;
+            const direction = (options.order || (options.sort === 'title' ? 'asc' : 'desc')) === 'asc' ? 'ASC' : 'DESC';
+
+            let query = `
+                SELECT * FROM newsletters
+                WHERE ${conditions.join(' AND ')}
+                ORDER BY ${column} ${direction} NULLS LAST, id
+            `;
             
             // Add pagination if provided
             if (options.limit) {
-                paramCount++;
-                query += ` LIMIT $${paramCount}`;
                 values.push(options.limit);
+                query += ` LIMIT $${values.length}`;
                 
                 if (options.offset) {
-                    paramCount++;
-                    query += ` OFFSET $${paramCount}`;
                     values.push(options.offset);
+                    query += ` OFFSET $${values.length}`;
                 }
             }
             
@@ -136,74 +308,474 @@ class Newsletter {
     }
 
     /**
-     * Update newsletter
+     * Count the user's newsletters matching the Dashboard filters: status,
+     * folderId ('none' for unfiled), tags (all must match), q (title contains)
+     * and from/to (YYYY-MM-DD, inclusive) on the creation date
+     */
+    static async countByUserId(userId, options = {}) {
+        const db = DatabaseManager.getInstance();
+
+        try {
+            const { conditions, values } = ownedNewsletterFilter(userId, options);
+            const result = await db.query(
+                `SELECT COUNT(*) FROM newsletters WHERE ${conditions.join(' AND ')}`,
+                values
+            );
+
+            return parseInt(result.rows[0].count);
+        } catch (error) {
+            logger.error('Error counting newsletters by user ID:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Apply one change to several of the user's newsletters at once:
+     * { action: 'move', folderId } (null to unfile), { action: 'tag' | 'untag', tags },
+     * { action: 'archive' } or { action: 'delete' } (to the trash).
+     * Newsletters the user does not own or that are already in the trash are skipped.
+     * Returns the IDs that were changed.
+     */
+    static async bulkUpdate(userId, ids, change) {
+        const db = DatabaseManager.getInstance();
+        const tags = normalizeTags(change.tags);
+
+        const actions = {
+            move: {
+                set: 'folder_id = $3',
+                values: [change.folderId || null],
+                activity: 'newsletter_moved',
+                metadata: { folderId: change.folderId || null }
+            },
+            tag: {
+                set: 'tags = tags || ARRAY(SELECT t FROM unnest($3::text[]) t WHERE t <> ALL(tags))',
+                values: [tags],
+                activity: 'newsletter_tagged',
+                metadata: { tags }
+            },
+            untag: {
+                set: 'tags = ARRAY(SELECT t FROM unnest(tags) t WHERE t <> ALL($3::text[]))',
+                values: [tags],
+                activity: 'newsletter_untagged',
+                metadata: { tags }
+            },
+            archive: {
+                // A status change is a new revision, so an editor still open on the old one
+                // gets a conflict instead of saving the old status back
+                set: "status = 'archived', revision = revision + 1",
+                condition: "AND status <> 'archived'",
+                values: [],
+                activity: 'newsletter_archived',
+                metadata: {},
+                revisionSummary: 'Status changed to archived'
+            },
+            delete: {
+                set: 'deleted_at = NOW()',
+                values: [],
+                activity: 'newsletter_trashed',
+                metadata: {}
+            }
+        };
+
+        const action = actions[change.action];
+        if (!action) {
+            throw new Error(`Unknown bulk action: ${change.action}`);
+        }
+
+        try {
+            const result = await db.transaction(async (client) => {
+                const updated = await client.query(`
+                    UPDATE newsletters SET ${action.set}
+                    WHERE id = ANY($2::uuid[]) AND user_id = $1 AND deleted_at IS NULL ${action.condition || ''}
+                    RETURNING id, title, content, settings, revision
+                `, [userId, ids, ...action.values]);
+
+                if (action.revisionSummary) {
+                    for (const row of updated.rows) {
+                        await NewsletterRevision.create(client, {
+                            newsletterId: row.id,
+                            revisionNumber: row.revision,
+                            title: row.title,
+                            content: row.content,
+                            settings: row.settings,
+                            authorId: userId,
+                            summary: action.revisionSummary
+                        });
+                    }
+                }
+
+                return updated;
+            });
+
+            for (const row of result.rows) {
+                await this.logActivity(userId, action.activity, 'newsletter', row.id, {
+                    title: row.title,
+                    ...action.metadata,
+                    bulk: true
+                });
+            }
+
+            logger.info(`Bulk ${change.action} on ${result.rows.length} newsletters by user ${userId}`);
+            return result.rows.map(row => row.id);
+        } catch (error) {
+            logger.error(`Error applying bulk ${change.action} to newsletters:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * The tags on the user's newsletters, each with how many newsletters carry it
      */
-    async update(updateData, userId) {
+    static async findTags(userId) {
+        const db = DatabaseManager.getInstance();
+
+        try {
+            const result = await db.query(`
+                SELECT tag, COUNT(*) AS count
+                FROM newsletters, unnest(tags) AS tag
+                WHERE user_id = $1 AND deleted_at IS NULL
+                GROUP BY tag
+                ORDER BY tag
+            `, [userId]);
+
+            return result.rows.map(row => ({ name: row.tag, count: parseInt(row.count) }));
+        } catch (error) {
+            logger.error('Error finding newsletter tags:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Rename a tag on all of the user's newsletters, merging it into `to` where both
+     * are present; returns how many newsletters changed
+     */
+    static async renameTag(userId, from, to) {
+        const db = DatabaseManager.getInstance();
+        const [oldTag] = normalizeTags([from]);
+        const [newTag] = normalizeTags([to]);
+
+        try {
+            const result = await db.query(`
+                UPDATE newsletters
+                SET tags = CASE WHEN $3 = ANY(tags) THEN array_remove(tags, $2) ELSE array_replace(tags, $2, $3) END
+                WHERE user_id = $1 AND $2 = ANY(tags)
+            `, [userId, oldTag, newTag]);
+
+            return result.rowCount;
+        } catch (error) {
+            logger.error('Error renaming newsletter tag:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Take a tag off all of the user's newsletters; returns how many newsletters changed
+     */
+    static async removeTag(userId, tag) {
+        const db = DatabaseManager.getInstance();
+        const [name] = normalizeTags([tag]);
+
+        try {
+            const result = await db.query(
+                'UPDATE newsletters SET tags = array_remove(tags, $2) WHERE user_id = $1 AND $2 = ANY(tags)',
+                [userId, name]
+            );
+
+            return result.rowCount;
+        } catch (error) {
+            logger.error('Error removing newsletter tag:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Find newsletters across all users (admin only)
+     * Returns { newsletters, total }; options.search matches the title or the owner's email.
+     */
+    static async findAll(options = {}) {
         const db = DatabaseManager.getInstance();
         
         try {
-            const updateFields = [];
+            const conditions = ['newsletters.deleted_at IS NULL'];
             const values = [];
-            let paramCount = 0;
-            
-            // Build dynamic update query
-            if (updateData.title !== undefined) {
-                paramCount++;
-                updateFields.push(`title = $${paramCount}`);
-                values.push(updateData.title);
-            }
             
-            if (updateData.content !== undefined) {
-                paramCount++;
-                updateFields.push(`content = $${paramCount}`);
-                values.push(JSON.stringify(updateData.content));
+            if (options.status) {
+                values.push(options.status);
+                conditions.push(`newsletters.status = $${values.length}`);
             }
             
-            if (updateData.settings !== undefined) {
-                paramCount++;
-                updateFields.push(`settings = $${paramCount}`);
-                values.push(JSON.stringify(updateData.settings));
+            if (options.search) {
+                values.push(`%${options.search.trim()}%`);
+                conditions.push(`(newsletters.title ILIKE $${values.length} OR u.email ILIKE $${values.length})`);
             }
             
-            if (updateData.status !== undefined) {
-                paramCount++;
-                updateFields.push(`status = $${paramCount}`);
-                values.push(updateData.status);
-            }
+            const where = `WHERE ${conditions.join(' AND ')}`;
+            const from = 'FROM newsletters JOIN users u ON u.id = newsletters.user_id';
             
-            if (updateData.publishDate !== undefined) {
-                paramCount++;
-                updateFields.push(`publish_date = $${paramCount}`);
-                values.push(updateData.publishDate);
-            }
+            const countResult = await db.query(`SELECT COUNT(*) ${from} ${where}`, values);
+            const total = parseInt(countResult.rows[0].count);
             
-            // Always update updated_at
-            paramCount++;
-            updateFields.push(`updated_at = $${paramCount}`);
-            values.push(new Date());
+            const query = `
+                SELECT newsletters.*, u.display_name AS owner_name
+                ${from}
+                ${where}
+                ORDER BY newsletters.updated_at DESC
+                LIMIT $${values.length + 1} OFFSET $${values.length + 2}
+            `;
             
-            // Add WHERE conditions
-            paramCount++;
-            values.push(this.id);
-            paramCount++;
-            values.push(userId);
+            const result = await db.query(query, [...values, options.limit || 50, options.offset || 0]);
             
+            return {
+                newsletters: result.rows.map(row => new Newsletter(row)),
+                total
+            };
+        } catch (error) {
+            logger.error('Error finding all newsletters:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Full-text search over the user's own newsletters: title and section text
+     * (see database/migrations/0014_full_text_search.sql). Filters: status, and
+     * from/to (YYYY-MM-DD, inclusive) on the creation date.
+     * Returns { results, total }, best matches first, each with highlighted segments.
+     */
+    static async search(userId, options = {}) {
+        const db = DatabaseManager.getInstance();
+
+        try {
+            const values = [userId, options.query];
+            const conditions = [
+                'user_id = $1',
+                'deleted_at IS NULL',
+                `newsletter_search_vector(title, content) @@ websearch_to_tsquery('english', $2)`
+            ];
+
+            if (options.status) {
+                values.push(options.status);
+                conditions.push(`status = $${values.length}`);
+            }
+
+            if (options.from) {
+                values.push(options.from);
+                conditions.push(`created_at >= $${values.length}::date`);
+            }
+
+            if (options.to) {
+                values.push(options.to);
+                conditions.push(`created_at < $${values.length}::date + 1`);
+            }
+
+            // Rank and page first, so snippets are only built for the rows returned
             const query = `
-                UPDATE newsletters 
-                SET ${updateFields.join(', ')}
-                WHERE id = $${paramCount - 1} AND user_id = $${paramCount}
-                RETURNING *
+                SELECT n.id, n.title, n.status, n.publish_date, n.created_at, n.updated_at, hits.rank, hits.total,
+                       ts_headline('english', n.title, websearch_to_tsquery('english', $2), $${values.length + 3}) AS title_headline,
+                       ts_headline('english', newsletter_search_text(n.content), websearch_to_tsquery('english', $2), $${values.length + 4}) AS snippet_headline
+                FROM (
+                    SELECT id,
+                           ts_rank_cd(newsletter_search_vector(title, content), websearch_to_tsquery('english', $2)) AS rank,
+                           COUNT(*) OVER () AS total
+                    FROM newsletters
+                    WHERE ${conditions.join(' AND ')}
+                    ORDER BY rank DESC, updated_at DESC
+                    LIMIT $${values.length + 1} OFFSET $${values.length + 2}
+                ) hits
+                JOIN newsletters n ON n.id = hits.id
+                ORDER BY hits.rank DESC, n.updated_at DESC
             `;
+
+            const result = await db.query(query, [
+                ...values,
+                options.limit || 20,
+                options.offset || 0,
+                FULL_HEADLINE_OPTIONS,
+                SNIPPET_HEADLINE_OPTIONS
+            ]);
+
+            return {
+                results: result.rows.map(row => ({
+                    id: row.id,
+                    title: row.title,
+                    status: row.status,
+                    publishDate: row.publish_date,
+                    createdAt: row.created_at,
+                    updatedAt: row.updated_at,
+                    rank: parseFloat(row.rank),
+                    highlights: {
+                        title: toSegments(row.title_headline),
+                        snippet: toSegments(row.snippet_headline)
+                    }
+                })),
+                total: result.rows.length > 0 ? parseInt(result.rows[0].total) : 0
+            };
+        } catch (error) {
+            logger.error('Error searching newsletters:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Update newsletter
+     * Changes to the title, content, settings, status or publish date are recorded as a new
+     * revision; options.summary overrides the generated change summary.
+     * When options.expectedRevision is set and the newsletter has moved past it,
+     * throws an error with code 'REVISION_CONFLICT' instead of overwriting.
+     */
+    async update(updateData, userId, options = {}) {
+        const db = DatabaseManager.getInstance();
+        
+        try {
+            const result = await db.transaction(async (client) => {
+                // Lock the row so concurrent saves get consecutive revision numbers.
+                // Owners and colleagues with an edit grant may update.
+                const current = await client.query(
+                    `SELECT * FROM newsletters
+                     WHERE id = $1 AND deleted_at IS NULL AND (user_id = $2 OR ${grantCondition('$2', 'edit')})
+                     FOR UPDATE`,
+                    [this.id, userId]
+                );
+
+                if (current.rows.length === 0) {
+                    return null;
+                }
+
+                const previous = current.rows[0];
+
+                if (options.expectedRevision !== undefined && options.expectedRevision !== null &&
+                    previous.revision !== options.expectedRevision) {
+                    const conflict = new Error(`Newsletter has changed since revision ${options.expectedRevision}`);
+                    conflict.code = 'REVISION_CONFLICT';
+                    conflict.currentRevision = previous.revision;
+                    throw conflict;
+                }
+
+                const updateFields = [];
+                const values = [];
+                let paramCount = 0;
+                
+                // Build dynamic update query
+                if (updateData.title !== undefined) {
+                    paramCount++;
+                    updateFields.push(`title = $${paramCount}`);
+                    values.push(updateData.title);
+                }
+                
+                if (updateData.content !== undefined) {
+                    paramCount++;
+                    updateFields.push(`content = $${paramCount}`);
+                    values.push(JSON.stringify(updateData.content));
+                }
+                
+                if (updateData.settings !== undefined) {
+                    paramCount++;
+                    updateFields.push(`settings = $${paramCount}`);
+                    values.push(JSON.stringify(updateData.settings));
+                }
+                
+                if (updateData.status !== undefined) {
+                    paramCount++;
+                    updateFields.push(`status = $${paramCount}`);
+                    values.push(updateData.status);
+                }
+                
+                if (updateData.publishDate !== undefined) {
+                    paramCount++;
+                    updateFields.push(`publish_date = $${paramCount}`);
+                    values.push(updateData.publishDate);
+                }
+
+                const before = {
+                    title: previous.title,
+                    content: previous.content,
+                    settings: previous.settings
+                };
+                const after = {
+                    title: updateData.title !== undefined ? updateData.title : previous.title,
+                    content: updateData.content !== undefined ? updateData.content : previous.content,
+                    settings: updateData.settings !== undefined ? updateData.settings : previous.settings
+                };
+                const diff = diffNewsletters(before, after);
+
+                // Status and publish date are not part of the snapshot, but changing them still makes
+                // a new revision so a stale editor cannot silently put the old values back
+                const statusChanged = updateData.status !== undefined && updateData.status !== previous.status;
+                const publishDateChanged = updateData.publishDate !== undefined &&
+                    new Date(updateData.publishDate || 0).getTime() !== new Date(previous.publish_date || 0).getTime();
+                const hasChanges = diff.hasChanges || statusChanged || publishDateChanged;
+
+                // Newsletters saved before revision history existed get their prior state kept as revision 1
+                const needsBaseline = hasChanges && !previous.revision;
+                const revisionNumber = hasChanges
+                    ? (previous.revision || 0) + (needsBaseline ? 2 : 1)
+                    : previous.revision;
+
+                if (hasChanges) {
+                    paramCount++;
+                    updateFields.push(`revision = $${paramCount}`);
+                    values.push(revisionNumber);
+                }
+                
+                // Always update updated_at
+                paramCount++;
+                updateFields.push(`updated_at = $${paramCount}`);
+                values.push(new Date());
+                
+                // Add WHERE condition
+                paramCount++;
+                values.push(this.id);
+                
+                const query = `
+                    UPDATE newsletters 
+                    SET ${updateFields.join(', ')}
+                    WHERE id = $${paramCount}
+                    RETURNING *
+                `;
+                
+                const updated = await client.query(query, values);
+                const row = updated.rows[0];
+
+                if (needsBaseline) {
+                    await NewsletterRevision.create(client, {
+                        newsletterId: this.id,
+                        revisionNumber: 1,
+                        ...before,
+                        authorId: previous.user_id,
+                        summary: 'Original version'
+                    });
+                }
+
+                if (hasChanges) {
+                    const summary = [
+                        diff.hasChanges && summarizeDiff(diff),
+                        statusChanged && `Status changed to ${row.status}`,
+                        publishDateChanged && !statusChanged && 'Publish date changed'
+                    ].filter(Boolean).join(', ');
+
+                    await NewsletterRevision.create(client, {
+                        newsletterId: this.id,
+                        revisionNumber,
+                        title: row.title,
+                        content: row.content,
+                        settings: row.settings,
+                        authorId: userId,
+                        summary: options.summary || updateData.changeSummary || summary
+                    });
+                }
+
+                return row;
+            });
             
-            const result = await db.query(query, values);
-            
-            if (result.rows.length > 0) {
-                const updatedNewsletter = new Newsletter(result.rows[0]);
+            if (result) {
+                const updatedNewsletter = new Newsletter(result);
+                updatedNewsletter.access = this.access;
+                updatedNewsletter.ownerName = this.ownerName;
                 
                 // Log activity
                 await Newsletter.logActivity(userId, 'newsletter_updated', 'newsletter', this.id, {
                     title: updatedNewsletter.title,
-                    changes: Object.keys(updateData)
+                    changes: Object.keys(updateData),
+                    revision: updatedNewsletter.revision
                 });
                 
                 logger.info(`Newsletter updated: ${this.id} by user ${userId}`);
@@ -212,28 +784,57 @@ class Newsletter {
             
             return null;
         } catch (error) {
-            logger.error('Error updating newsletter:', error);
+            if (error.code !== 'REVISION_CONFLICT') {
+                logger.error('Error updating newsletter:', error);
+            }
             throw error;
         }
     }
 
     /**
-     * Delete newsletter
+     * Restore an earlier revision by saving its content as a new revision
+     */
+    async restoreRevision(revision, userId) {
+        const restored = await this.update({
+            title: revision.title,
+            content: revision.content,
+            settings: revision.settings
+        }, userId, { summary: `Restored revision ${revision.revisionNumber}` });
+
+        if (restored) {
+            await Newsletter.logActivity(userId, 'newsletter_restored', 'newsletter', this.id, {
+                fromRevision: revision.revisionNumber,
+                revision: restored.revision
+            });
+        }
+
+        return restored;
+    }
+
+    /**
+     * Move the newsletter to the trash. It disappears from lists, search, share links
+     * and calendar feeds, and can be restored until the trash is purged.
      */
     async delete(userId) {
         const db = DatabaseManager.getInstance();
         
         try {
-            const query = 'DELETE FROM newsletters WHERE id = $1 AND user_id = $2 RETURNING id';
+            const query = `
+                UPDATE newsletters SET deleted_at = NOW()
+                WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL
+                RETURNING deleted_at
+            `;
             const result = await db.query(query, [this.id, userId]);
             
             if (result.rows.length > 0) {
+                this.deletedAt = result.rows[0].deleted_at;
+
                 // Log activity
-                await Newsletter.logActivity(userId, 'newsletter_deleted', 'newsletter', this.id, {
+                await Newsletter.logActivity(userId, 'newsletter_trashed', 'newsletter', this.id, {
                     title: this.title
                 });
                 
-                logger.info(`Newsletter deleted: ${this.id} by user ${userId}`);
+                logger.info(`Newsletter moved to trash: ${this.id} by user ${userId}`);
                 return true;
             }
             
@@ -244,6 +845,187 @@ class Newsletter {
         }
     }
 
+    /**
+     * Take the newsletter back out of the trash
+     */
+    async restoreFromTrash(userId) {
+        const db = DatabaseManager.getInstance();
+
+        try {
+            const query = `
+                UPDATE newsletters SET deleted_at = NULL, updated_at = NOW()
+                WHERE id = $1 AND user_id = $2 AND deleted_at IS NOT NULL
+                RETURNING *
+            `;
+            const result = await db.query(query, [this.id, userId]);
+
+            if (result.rows.length === 0) {
+                return null;
+            }
+
+            await Newsletter.logActivity(userId, 'newsletter_restored_from_trash', 'newsletter', this.id, {
+                title: this.title
+            });
+
+            logger.info(`Newsletter restored from trash: ${this.id} by user ${userId}`);
+            return new Newsletter(result.rows[0]);
+        } catch (error) {
+            logger.error('Error restoring newsletter from trash:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete a trashed newsletter for good, with its revisions and shares
+     */
+    async deletePermanently(userId) {
+        const db = DatabaseManager.getInstance();
+
+        try {
+            const result = await db.query(
+                'DELETE FROM newsletters WHERE id = $1 AND user_id = $2 AND deleted_at IS NOT NULL RETURNING id',
+                [this.id, userId]
+            );
+
+            if (result.rows.length > 0) {
+                await Newsletter.logActivity(userId, 'newsletter_deleted', 'newsletter', this.id, {
+                    title: this.title
+                });
+
+                logger.info(`Newsletter permanently deleted: ${this.id} by user ${userId}`);
+                return true;
+            }
+
+            return false;
+        } catch (error) {
+            logger.error('Error permanently deleting newsletter:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Newsletters in the user's trash, most recently deleted first
+     */
+    static async findTrash(userId) {
+        const db = DatabaseManager.getInstance();
+
+        try {
+            const result = await db.query(
+                'SELECT * FROM newsletters WHERE user_id = $1 AND deleted_at IS NOT NULL ORDER BY deleted_at DESC',
+                [userId]
+            );
+
+            return result.rows.map(row => new Newsletter(row));
+        } catch (error) {
+            logger.error('Error finding trashed newsletters:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Find a newsletter in the user's trash
+     */
+    static async findTrashedById(id, userId) {
+        const db = DatabaseManager.getInstance();
+
+        try {
+            const result = await db.query(
+                'SELECT * FROM newsletters WHERE id = $1 AND user_id = $2 AND deleted_at IS NOT NULL',
+                [id, userId]
+            );
+
+            return result.rows.length > 0 ? new Newsletter(result.rows[0]) : null;
+        } catch (error) {
+            logger.error('Error finding trashed newsletter:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete every newsletter in the user's trash; returns how many were deleted
+     */
+    static async emptyTrash(userId) {
+        const db = DatabaseManager.getInstance();
+
+        try {
+            const result = await db.query(
+                'DELETE FROM newsletters WHERE user_id = $1 AND deleted_at IS NOT NULL RETURNING id, title',
+                [userId]
+            );
+
+            for (const row of result.rows) {
+                await this.logActivity(userId, 'newsletter_deleted', 'newsletter', row.id, {
+                    title: row.title,
+                    emptiedTrash: true
+                });
+            }
+
+            return result.rows.length;
+        } catch (error) {
+            logger.error('Error emptying newsletter trash:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete newsletters that have been in the trash longer than retentionDays;
+     * returns how many were deleted
+     */
+    static async purgeTrash(retentionDays) {
+        const db = DatabaseManager.getInstance();
+
+        try {
+            const result = await db.query(
+                `DELETE FROM newsletters
+                 WHERE deleted_at < NOW() - $1::int * INTERVAL '1 day'
+                 RETURNING id, user_id, title`,
+                [retentionDays]
+            );
+
+            for (const row of result.rows) {
+                await this.logActivity(row.user_id, 'newsletter_deleted', 'newsletter', row.id, {
+                    title: row.title,
+                    purged: true
+                });
+            }
+
+            return result.rows.length;
+        } catch (error) {
+            logger.error('Error purging newsletter trash:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Record that the newsletter was exported
+     */
+    async markExported(userId, format) {
+        const db = DatabaseManager.getInstance();
+
+        try {
+            const query = `
+                UPDATE newsletters
+                SET last_exported = NOW()
+                WHERE id = $1
+                RETURNING last_exported
+            `;
+            const result = await db.query(query, [this.id]);
+
+            if (result.rows.length > 0) {
+                this.lastExported = result.rows[0].last_exported;
+            }
+
+            // Log activity
+            await Newsletter.logActivity(userId, 'newsletter_exported', 'export', this.id, {
+                title: this.title,
+                format
+            });
+        } catch (error) {
+            logger.error('Error recording newsletter export:', error);
+            // Don't throw - the export itself already succeeded
+        }
+    }
+
     /**
      * Get statistics for user's newsletters
      */
@@ -259,7 +1041,7 @@ class Newsletter {
                     COUNT(CASE WHEN status = 'archived' THEN 1 END) as archived,
                     COALESCE(SUM(view_count), 0) as total_views
                 FROM newsletters 
-                WHERE user_id = $1
+                WHERE user_id = $1 AND deleted_at IS NULL
             `;
             
             const result = await db.query(query, [userId]);
@@ -277,6 +1059,34 @@ class Newsletter {
         }
     }
 
+    /**
+     * Get newsletter statistics across all users (admin only)
+     */
+    static async getSystemStats() {
+        const db = DatabaseManager.getInstance();
+        
+        try {
+            const query = `
+                SELECT 
+                    COUNT(*) as total,
+                    COUNT(CASE WHEN status = 'draft' THEN 1 END) as drafts,
+                    COUNT(CASE WHEN status = 'published' THEN 1 END) as published,
+                    COUNT(CASE WHEN status = 'archived' THEN 1 END) as archived,
+                    COUNT(CASE WHEN created_at > NOW() - INTERVAL '7 days' THEN 1 END) as created_last_7_days,
+                    COUNT(DISTINCT user_id) as authors,
+                    COALESCE(SUM(view_count), 0) as total_views
+                FROM newsletters
+                WHERE deleted_at IS NULL
+            `;
+            
+            const result = await db.query(query);
+            return result.rows[0];
+        } catch (error) {
+            logger.error('Error getting system newsletter stats:', error);
+            throw error;
+        }
+    }
+
     /**
      * Log activity
      */
@@ -315,9 +1125,15 @@ class Newsletter {
             publishDate: this.publishDate,
             lastExported: this.lastExported,
             viewCount: this.viewCount,
+            revision: this.revision,
             createdAt: this.createdAt,
             updatedAt: this.updatedAt,
-            templateId: this.templateId
+            templateId: this.templateId,
+            // Folders and tags are the owner's own filing, not shown to colleagues
+            ...((!this.access || this.access.isOwner) && { folderId: this.folderId, tags: this.tags }),
+            ...(this.deletedAt && { deletedAt: this.deletedAt }),
+            ...(this.access && { access: this.access }),
+            ...(this.ownerName && !this.access?.isOwner && { ownerName: this.ownerName })
         };
     }
 }
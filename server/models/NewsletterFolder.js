@@ -0,0 +1,151 @@
+/**
+ * NewsletterFolder Model
+ * A teacher's own folders for organizing their newsletters
+ */
+
+const { DatabaseManager } = require('../config/database');
+const logger = require('../utils/logger');
+
+class NewsletterFolder {
+    constructor(folderData) {
+        this.id = folderData.id;
+        this.userId = folderData.user_id;
+        this.name = folderData.name;
+        this.newsletterCount = folderData.newsletter_count !== undefined
+            ? parseInt(folderData.newsletter_count)
+            : undefined;
+        this.createdAt = folderData.created_at;
+        this.updatedAt = folderData.updated_at;
+    }
+
+    /**
+     * Folder names are unique per teacher, ignoring case
+     */
+    static duplicateNameError(name) {
+        const err = new Error(`You already have a folder called "${name}"`);
+        err.code = 'FOLDER_EXISTS';
+        return err;
+    }
+
+    /**
+     * Create a folder
+     * Throws an error with code 'FOLDER_EXISTS' when the user already has one by that name
+     */
+    static async create(userId, name) {
+        const db = DatabaseManager.getInstance();
+
+        try {
+            const result = await db.query(
+                'INSERT INTO newsletter_folders (user_id, name) VALUES ($1, $2) RETURNING *',
+                [userId, name.trim()]
+            );
+
+            logger.info(`Newsletter folder created: ${result.rows[0].id} by user ${userId}`);
+            return new NewsletterFolder({ ...result.rows[0], newsletter_count: 0 });
+        } catch (error) {
+            if (error.code === '23505') {
+                throw this.duplicateNameError(name.trim());
+            }
+            logger.error('Error creating newsletter folder:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * The user's folders in name order, each with how many newsletters it holds
+     * (newsletters in the trash are not counted)
+     */
+    static async findByUserId(userId) {
+        const db = DatabaseManager.getInstance();
+
+        try {
+            const result = await db.query(`
+                SELECT f.*, COUNT(n.id) AS newsletter_count
+                FROM newsletter_folders f
+                LEFT JOIN newsletters n ON n.folder_id = f.id AND n.deleted_at IS NULL
+                WHERE f.user_id = $1
+                GROUP BY f.id
+                ORDER BY lower(f.name)
+            `, [userId]);
+
+            return result.rows.map(row => new NewsletterFolder(row));
+        } catch (error) {
+            logger.error('Error finding newsletter folders:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Find one of the user's folders
+     */
+    static async findById(id, userId) {
+        const db = DatabaseManager.getInstance();
+
+        try {
+            const result = await db.query(
+                'SELECT * FROM newsletter_folders WHERE id = $1 AND user_id = $2',
+                [id, userId]
+            );
+
+            return result.rows.length > 0 ? new NewsletterFolder(result.rows[0]) : null;
+        } catch (error) {
+            logger.error('Error finding newsletter folder:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Rename the folder
+     * Throws an error with code 'FOLDER_EXISTS' when the user already has one by that name
+     */
+    async rename(name) {
+        const db = DatabaseManager.getInstance();
+
+        try {
+            const result = await db.query(
+                'UPDATE newsletter_folders SET name = $1 WHERE id = $2 RETURNING *',
+                [name.trim(), this.id]
+            );
+
+            this.name = result.rows[0].name;
+            this.updatedAt = result.rows[0].updated_at;
+            return this;
+        } catch (error) {
+            if (error.code === '23505') {
+                throw NewsletterFolder.duplicateNameError(name.trim());
+            }
+            logger.error('Error renaming newsletter folder:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete the folder; its newsletters stay, unfiled
+     */
+    async delete() {
+        const db = DatabaseManager.getInstance();
+
+        try {
+            await db.query('DELETE FROM newsletter_folders WHERE id = $1', [this.id]);
+            logger.info(`Newsletter folder deleted: ${this.id} by user ${this.userId}`);
+        } catch (error) {
+            logger.error('Error deleting newsletter folder:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Convert to public JSON (safe for client)
+     */
+    toPublicJSON() {
+        return {
+            id: this.id,
+            name: this.name,
+            ...(this.newsletterCount !== undefined && { newsletterCount: this.newsletterCount }),
+            createdAt: this.createdAt,
+            updatedAt: this.updatedAt
+        };
+    }
+}
+
+module.exports = NewsletterFolder;
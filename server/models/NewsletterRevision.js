@@ -0,0 +1,137 @@
+/**
+ * NewsletterRevision Model
+ * Immutable snapshots of a newsletter, written on every save
+ */
+
+const { DatabaseManager } = require('../config/database');
+const logger = require('../utils/logger');
+
+class NewsletterRevision {
+    constructor(revisionData) {
+        this.id = revisionData.id;
+        this.newsletterId = revisionData.newsletter_id;
+        this.revisionNumber = revisionData.revision_number;
+        this.title = revisionData.title;
+        this.content = revisionData.content;
+        this.settings = revisionData.settings;
+        this.authorId = revisionData.author_id;
+        this.authorName = revisionData.author_name;
+        this.summary = revisionData.summary;
+        this.createdAt = revisionData.created_at;
+    }
+
+    /**
+     * Record a revision inside an open transaction.
+     * Callers own the newsletter row lock, so revision numbers cannot collide.
+     */
+    static async create(client, revisionData) {
+        const query = `
+            INSERT INTO newsletter_revisions (
+                newsletter_id, revision_number, title, content, settings, author_id, summary
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+            RETURNING *
+        `;
+
+        const values = [
+            revisionData.newsletterId,
+            revisionData.revisionNumber,
+            revisionData.title,
+            JSON.stringify(revisionData.content || {}),
+            JSON.stringify(revisionData.settings || {}),
+            revisionData.authorId || null,
+            revisionData.summary ? String(revisionData.summary).slice(0, 500) : null
+        ];
+
+        const result = await client.query(query, values);
+        return new NewsletterRevision(result.rows[0]);
+    }
+
+    /**
+     * List a newsletter's revisions, newest first, without their content
+     */
+    static async findByNewsletterId(newsletterId, options = {}) {
+        const db = DatabaseManager.getInstance();
+
+        try {
+            const { limit = 50, offset = 0 } = options;
+
+            const query = `
+                SELECT r.id, r.newsletter_id, r.revision_number, r.title, r.author_id,
+                       r.summary, r.created_at, u.display_name AS author_name
+                FROM newsletter_revisions r
+                LEFT JOIN users u ON u.id = r.author_id
+                WHERE r.newsletter_id = $1
+                ORDER BY r.revision_number DESC
+                LIMIT $2 OFFSET $3
+            `;
+            const countQuery = 'SELECT COUNT(*) FROM newsletter_revisions WHERE newsletter_id = $1';
+
+            const [result, countResult] = await Promise.all([
+                db.query(query, [newsletterId, limit, offset]),
+                db.query(countQuery, [newsletterId])
+            ]);
+
+            return {
+                revisions: result.rows.map(row => new NewsletterRevision(row)),
+                total: parseInt(countResult.rows[0].count)
+            };
+        } catch (error) {
+            logger.error('Error finding newsletter revisions:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Find one revision of a newsletter by its number
+     */
+    static async findByNumber(newsletterId, revisionNumber) {
+        const db = DatabaseManager.getInstance();
+
+        try {
+            const query = `
+                SELECT r.*, u.display_name AS author_name
+                FROM newsletter_revisions r
+                LEFT JOIN users u ON u.id = r.author_id
+                WHERE r.newsletter_id = $1 AND r.revision_number = $2
+            `;
+            const result = await db.query(query, [newsletterId, revisionNumber]);
+
+            return result.rows.length > 0 ? new NewsletterRevision(result.rows[0]) : null;
+        } catch (error) {
+            logger.error('Error finding newsletter revision:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Snapshot compared by the diff utilities
+     */
+    toSnapshot() {
+        return {
+            title: this.title,
+            content: this.content,
+            settings: this.settings
+        };
+    }
+
+    /**
+     * Convert to public JSON; content is only present when the revision was loaded in full
+     */
+    toPublicJSON() {
+        return {
+            id: this.id,
+            newsletterId: this.newsletterId,
+            revisionNumber: this.revisionNumber,
+            title: this.title,
+            summary: this.summary,
+            author: this.authorId ? { id: this.authorId, displayName: this.authorName } : null,
+            createdAt: this.createdAt,
+            ...(this.content !== undefined && {
+                content: this.content,
+                settings: this.settings
+            })
+        };
+    }
+}
+
+module.exports = NewsletterRevision;
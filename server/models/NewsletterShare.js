@@ -0,0 +1,322 @@
+/**
+ * NewsletterShare Model
+ * Share links and grants for newsletters
+ */
+
+const crypto = require('crypto');
+const { DatabaseManager } = require('../config/database');
+const logger = require('../utils/logger');
+
+const READ_ONLY_PERMISSIONS = { view: true, edit: false, copy: false };
+
+class NewsletterShare {
+    constructor(shareData) {
+        this.id = shareData.id;
+        this.newsletterId = shareData.newsletter_id;
+        this.sharedBy = shareData.shared_by;
+        this.sharedWith = shareData.shared_with;
+        this.shareType = shareData.share_type;
+        this.permissions = shareData.permissions || READ_ONLY_PERMISSIONS;
+        this.accessToken = shareData.access_token;
+        this.expiresAt = shareData.expires_at;
+        this.accessedCount = shareData.accessed_count || 0;
+        this.lastAccessed = shareData.last_accessed;
+        this.createdAt = shareData.created_at;
+
+        // Joined recipient details for colleague shares
+        this.recipient = shareData.recipient_email ? {
+            id: shareData.shared_with,
+            email: shareData.recipient_email,
+            displayName: shareData.recipient_name
+        } : null;
+    }
+
+    /**
+     * Normalize a colleague permission set; view is always granted
+     */
+    static normalizePermissions(permissions = {}) {
+        return {
+            view: true,
+            edit: permissions.edit === true,
+            copy: permissions.copy === true
+        };
+    }
+
+    /**
+     * Create a read-only public share link
+     */
+    static async createLink(newsletterId, userId, options = {}) {
+        const db = DatabaseManager.getInstance();
+
+        try {
+            const query = `
+                INSERT INTO newsletter_shares (
+                    newsletter_id, shared_by, share_type, permissions, access_token, expires_at
+                ) VALUES ($1, $2, 'link', $3, $4, $5)
+                RETURNING *
+            `;
+
+            const values = [
+                newsletterId,
+                userId,
+                JSON.stringify(READ_ONLY_PERMISSIONS),
+                crypto.randomBytes(32).toString('hex'),
+                options.expiresAt || null
+            ];
+
+            const result = await db.query(query, values);
+            const share = new NewsletterShare(result.rows[0]);
+
+            // Log activity
+            await this.logActivity(userId, 'share_link_created', 'share', share.id, {
+                newsletterId,
+                expiresAt: share.expiresAt
+            });
+
+            logger.info(`Share link created: ${share.id} for newsletter ${newsletterId} by user ${userId}`);
+            return share;
+        } catch (error) {
+            logger.error('Error creating share link:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Share a newsletter with another registered user, or update their existing grant
+     */
+    static async shareWithUser(newsletterId, userId, recipientId, permissions = {}) {
+        const db = DatabaseManager.getInstance();
+
+        try {
+            const query = `
+                INSERT INTO newsletter_shares (
+                    newsletter_id, shared_by, shared_with, share_type, permissions
+                ) VALUES ($1, $2, $3, 'user', $4)
+                ON CONFLICT (newsletter_id, shared_with) WHERE share_type = 'user'
+                DO UPDATE SET permissions = EXCLUDED.permissions, shared_by = EXCLUDED.shared_by
+                RETURNING *
+            `;
+
+            const normalized = this.normalizePermissions(permissions);
+            const result = await db.query(query, [newsletterId, userId, recipientId, JSON.stringify(normalized)]);
+            const share = new NewsletterShare(result.rows[0]);
+
+            // Log activity
+            await this.logActivity(userId, 'newsletter_shared', 'share', share.id, {
+                newsletterId,
+                sharedWith: recipientId,
+                permissions: normalized
+            });
+
+            logger.info(`Newsletter ${newsletterId} shared with user ${recipientId} by user ${userId}`);
+            return share;
+        } catch (error) {
+            logger.error('Error sharing newsletter with user:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Find all shares (links and colleagues) for a newsletter
+     */
+    static async findByNewsletterId(newsletterId) {
+        const db = DatabaseManager.getInstance();
+
+        try {
+            const query = `
+                SELECT s.*, u.email AS recipient_email, u.display_name AS recipient_name
+                FROM newsletter_shares s
+                LEFT JOIN users u ON u.id = s.shared_with
+                WHERE s.newsletter_id = $1
+                ORDER BY s.created_at DESC
+            `;
+            const result = await db.query(query, [newsletterId]);
+
+            return result.rows.map(row => new NewsletterShare(row));
+        } catch (error) {
+            logger.error('Error finding newsletter shares:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Find a share belonging to a newsletter
+     */
+    static async findById(id, newsletterId) {
+        const db = DatabaseManager.getInstance();
+
+        try {
+            const query = 'SELECT * FROM newsletter_shares WHERE id = $1 AND newsletter_id = $2';
+            const result = await db.query(query, [id, newsletterId]);
+
+            return result.rows.length > 0 ? new NewsletterShare(result.rows[0]) : null;
+        } catch (error) {
+            logger.error('Error finding share by ID:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Find a share link by its access token
+     */
+    static async findByToken(token) {
+        const db = DatabaseManager.getInstance();
+
+        try {
+            const query = `
+                SELECT * FROM newsletter_shares
+                WHERE access_token = $1 AND share_type = 'link'
+            `;
+            const result = await db.query(query, [token]);
+
+            return result.rows.length > 0 ? new NewsletterShare(result.rows[0]) : null;
+        } catch (error) {
+            logger.error('Error finding share by token:', error);
+            throw error;
+        }
+    }
+
+    isExpired() {
+        return Boolean(this.expiresAt) && new Date(this.expiresAt) <= new Date();
+    }
+
+    /**
+     * Count a view of the shared newsletter
+     */
+    async recordAccess() {
+        const db = DatabaseManager.getInstance();
+
+        try {
+            await db.transaction(async (client) => {
+                const result = await client.query(
+                    `UPDATE newsletter_shares
+                     SET accessed_count = accessed_count + 1, last_accessed = NOW()
+                     WHERE id = $1
+                     RETURNING accessed_count, last_accessed`,
+                    [this.id]
+                );
+
+                await client.query(
+                    'UPDATE newsletters SET view_count = view_count + 1 WHERE id = $1',
+                    [this.newsletterId]
+                );
+
+                if (result.rows.length > 0) {
+                    this.accessedCount = result.rows[0].accessed_count;
+                    this.lastAccessed = result.rows[0].last_accessed;
+                }
+            });
+        } catch (error) {
+            logger.error('Error recording share access:', error);
+            // Don't throw - the newsletter was still served
+        }
+    }
+
+    /**
+     * Change the permissions of a colleague share
+     */
+    async updatePermissions(permissions, userId) {
+        const db = DatabaseManager.getInstance();
+
+        try {
+            const normalized = NewsletterShare.normalizePermissions(permissions);
+            const query = `
+                UPDATE newsletter_shares SET permissions = $1
+                WHERE id = $2 AND share_type = 'user'
+                RETURNING *
+            `;
+            const result = await db.query(query, [JSON.stringify(normalized), this.id]);
+
+            if (result.rows.length > 0) {
+                this.permissions = result.rows[0].permissions;
+
+                // Log activity
+                await NewsletterShare.logActivity(userId, 'share_permissions_updated', 'share', this.id, {
+                    newsletterId: this.newsletterId,
+                    sharedWith: this.sharedWith,
+                    permissions: normalized
+                });
+                return this;
+            }
+
+            return null;
+        } catch (error) {
+            logger.error('Error updating share permissions:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Revoke the share
+     */
+    async revoke(userId) {
+        const db = DatabaseManager.getInstance();
+
+        try {
+            const query = 'DELETE FROM newsletter_shares WHERE id = $1 RETURNING id';
+            const result = await db.query(query, [this.id]);
+
+            if (result.rows.length > 0) {
+                // Log activity
+                await NewsletterShare.logActivity(userId, 'share_revoked', 'share', this.id, {
+                    newsletterId: this.newsletterId,
+                    shareType: this.shareType
+                });
+
+                logger.info(`Share revoked: ${this.id} by user ${userId}`);
+                return true;
+            }
+
+            return false;
+        } catch (error) {
+            logger.error('Error revoking share:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Log activity
+     */
+    static async logActivity(userId, action, resourceType, resourceId, metadata = {}) {
+        const db = DatabaseManager.getInstance();
+
+        try {
+            const query = `
+                INSERT INTO activity_logs (user_id, action, resource_type, resource_id, metadata)
+                VALUES ($1, $2, $3, $4, $5)
+            `;
+
+            await db.query(query, [
+                userId,
+                action,
+                resourceType,
+                resourceId,
+                JSON.stringify(metadata)
+            ]);
+        } catch (error) {
+            logger.error('Error logging activity:', error);
+            // Don't throw - activity logging is non-critical
+        }
+    }
+
+    /**
+     * Convert to public JSON (safe for the newsletter owner)
+     */
+    toPublicJSON() {
+        return {
+            id: this.id,
+            newsletterId: this.newsletterId,
+            shareType: this.shareType,
+            permissions: this.permissions,
+            token: this.accessToken || undefined,
+            expiresAt: this.expiresAt,
+            isExpired: this.isExpired(),
+            accessedCount: this.accessedCount,
+            lastAccessed: this.lastAccessed,
+            createdAt: this.createdAt,
+            ...(this.recipient && { sharedWith: this.recipient })
+        };
+    }
+}
+
+module.exports = NewsletterShare;
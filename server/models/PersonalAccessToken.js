@@ -0,0 +1,189 @@
+/**
+ * PersonalAccessToken Model
+ * Long-lived, user-managed API tokens for scripts and cron jobs, limited to a set of scopes.
+ * Only a SHA-256 hash of each token is stored; the raw value is shown once, when it is created.
+ */
+
+const crypto = require('crypto');
+const { DatabaseManager } = require('../config/database');
+const logger = require('../utils/logger');
+
+// Raw tokens start with this, so authentication can tell them apart from JWTs
+const TOKEN_PREFIX = 'nlpat_';
+const MAX_ACTIVE_TOKENS = 20;
+// Only record a use this often, so busy scripts don't write on every request
+const LAST_USED_RESOLUTION_SECONDS = 60;
+
+class PersonalAccessToken {
+    constructor(tokenData) {
+        this.id = tokenData.id;
+        this.userId = tokenData.user_id;
+        this.name = tokenData.name;
+        this.tokenPrefix = tokenData.token_prefix;
+        this.scopes = tokenData.scopes || [];
+        this.expiresAt = tokenData.expires_at;
+        this.lastUsedAt = tokenData.last_used_at;
+        this.lastUsedIp = tokenData.last_used_ip;
+        this.revokedAt = tokenData.revoked_at;
+        this.createdAt = tokenData.created_at;
+    }
+
+    static hash(rawToken) {
+        return crypto.createHash('sha256').update(String(rawToken)).digest('hex');
+    }
+
+    static looksLikeToken(value) {
+        return typeof value === 'string' && value.startsWith(TOKEN_PREFIX);
+    }
+
+    /**
+     * Create a token. expiresInDays of null means it never expires.
+     * Returns { token, accessToken } where token is the raw value to show to the user once.
+     */
+    static async create(userId, { name, scopes, expiresInDays = null }) {
+        const db = DatabaseManager.getInstance();
+
+        try {
+            const token = TOKEN_PREFIX + crypto.randomBytes(24).toString('hex');
+
+            const row = await db.transaction(async (client) => {
+                const active = await client.query(`
+                    SELECT COUNT(*) AS count FROM personal_access_tokens
+                    WHERE user_id = $1 AND revoked_at IS NULL AND (expires_at IS NULL OR expires_at > NOW())
+                `, [userId]);
+
+                if (parseInt(active.rows[0].count) >= MAX_ACTIVE_TOKENS) {
+                    const err = new Error(`You can have at most ${MAX_ACTIVE_TOKENS} active access tokens. Revoke one first.`);
+                    err.code = 'TOKEN_LIMIT_REACHED';
+                    throw err;
+                }
+
+                const result = await client.query(`
+                    INSERT INTO personal_access_tokens (user_id, name, token_hash, token_prefix, scopes, expires_at)
+                    VALUES ($1, $2, $3, $4, $5,
+                            CASE WHEN $6::int IS NULL THEN NULL ELSE NOW() + make_interval(days => $6::int) END)
+                    RETURNING *
+                `, [userId, name.trim(), PersonalAccessToken.hash(token), token.slice(0, TOKEN_PREFIX.length + 6), scopes, expiresInDays]);
+
+                return result.rows[0];
+            });
+
+            logger.info(`Personal access token created for user ${userId}: ${name}`);
+            return { token, accessToken: new PersonalAccessToken(row) };
+        } catch (error) {
+            if (error.code !== 'TOKEN_LIMIT_REACHED') {
+                logger.error('Error creating personal access token:', error);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * The user's tokens that have not been revoked, newest first (expired ones included)
+     */
+    static async findByUser(userId) {
+        const db = DatabaseManager.getInstance();
+
+        try {
+            const result = await db.query(`
+                SELECT * FROM personal_access_tokens
+                WHERE user_id = $1 AND revoked_at IS NULL
+                ORDER BY created_at DESC
+            `, [userId]);
+
+            return result.rows.map(row => new PersonalAccessToken(row));
+        } catch (error) {
+            logger.error('Error finding personal access tokens:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Look up a live token by its raw value and record the use.
+     * Returns null for unknown, expired and revoked tokens.
+     */
+    static async authenticate(rawToken, ipAddress = null) {
+        const db = DatabaseManager.getInstance();
+
+        const result = await db.query(`
+            SELECT * FROM personal_access_tokens
+            WHERE token_hash = $1 AND revoked_at IS NULL AND (expires_at IS NULL OR expires_at > NOW())
+        `, [PersonalAccessToken.hash(rawToken)]);
+
+        if (result.rows.length === 0) {
+            return null;
+        }
+
+        const accessToken = new PersonalAccessToken(result.rows[0]);
+
+        try {
+            await db.query(`
+                UPDATE personal_access_tokens
+                SET last_used_at = NOW(), last_used_ip = $2
+                WHERE id = $1
+                  AND (last_used_at IS NULL
+                       OR last_used_at < NOW() - make_interval(secs => $3)
+                       OR last_used_ip IS DISTINCT FROM $2::inet)
+            `, [accessToken.id, ipAddress, LAST_USED_RESOLUTION_SECONDS]);
+        } catch (error) {
+            // Don't throw - a failed bookkeeping write shouldn't reject a valid token
+            logger.error('Error recording personal access token use:', error);
+        }
+
+        return accessToken;
+    }
+
+    /**
+     * Revoke one of the user's tokens. Returns the token, or null if it was not found.
+     */
+    static async revoke(id, userId) {
+        const db = DatabaseManager.getInstance();
+
+        try {
+            const result = await db.query(`
+                UPDATE personal_access_tokens
+                SET revoked_at = NOW()
+                WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL
+                RETURNING *
+            `, [id, userId]);
+
+            return result.rows.length > 0 ? new PersonalAccessToken(result.rows[0]) : null;
+        } catch (error) {
+            logger.error('Error revoking personal access token:', error);
+            throw error;
+        }
+    }
+
+    hasScope(scope) {
+        return this.scopes.includes(scope);
+    }
+
+    isExpired() {
+        return Boolean(this.expiresAt) && new Date(this.expiresAt) <= new Date();
+    }
+
+    toPublicJSON() {
+        return {
+            id: this.id,
+            name: this.name,
+            tokenPrefix: this.tokenPrefix,
+            scopes: this.scopes,
+            expiresAt: this.expiresAt,
+            isExpired: this.isExpired(),
+            lastUsedAt: this.lastUsedAt,
+            lastUsedIp: this.lastUsedIp,
+            createdAt: this.createdAt
+        };
+    }
+}
+
+PersonalAccessToken.SCOPES = {
+    NEWSLETTERS_READ: 'newsletters:read',
+    NEWSLETTERS_WRITE: 'newsletters:write',
+    EXPORT: 'export',
+    TEMPLATES: 'templates'
+};
+
+PersonalAccessToken.MAX_ACTIVE_TOKENS = MAX_ACTIVE_TOKENS;
+
+module.exports = PersonalAccessToken;
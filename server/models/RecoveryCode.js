@@ -0,0 +1,84 @@
+/**
+ * RecoveryCode Model
+ * One-time backup codes for signing in when a teacher's authenticator app is unavailable.
+ * Like UserToken, only a SHA-256 hash of each code is stored.
+ */
+
+const crypto = require('crypto');
+const { DatabaseManager } = require('../config/database');
+const logger = require('../utils/logger');
+
+const CODE_COUNT = 10;
+
+class RecoveryCode {
+    // Codes are shown as xxxxx-xxxxx; accept them with any case, spacing or dashes
+    static normalize(code) {
+        return String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+    }
+
+    static hash(code) {
+        return crypto.createHash('sha256').update(RecoveryCode.normalize(code)).digest('hex');
+    }
+
+    /**
+     * Replace the user's codes with a fresh set and return the raw codes (shown to the user once).
+     * Pass a transaction client to generate them together with enabling two-factor authentication.
+     */
+    static async generate(userId, client = null) {
+        const codes = Array.from({ length: CODE_COUNT }, () => {
+            const raw = crypto.randomBytes(5).toString('hex');
+            return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+        });
+
+        const write = async (runner) => {
+            await runner.query('DELETE FROM user_recovery_codes WHERE user_id = $1', [userId]);
+            await runner.query(`
+                INSERT INTO user_recovery_codes (user_id, code_hash)
+                SELECT $1, UNNEST($2::varchar[])
+            `, [userId, codes.map(RecoveryCode.hash)]);
+        };
+
+        try {
+            if (client) {
+                await write(client);
+            } else {
+                await DatabaseManager.getInstance().transaction(write);
+            }
+            return codes;
+        } catch (error) {
+            logger.error('Error generating recovery codes:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Use up a code; returns false if it is unknown or was already used
+     */
+    static async consume(userId, code) {
+        const db = DatabaseManager.getInstance();
+
+        const result = await db.query(`
+            UPDATE user_recovery_codes
+            SET used_at = NOW()
+            WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+            RETURNING id
+        `, [userId, RecoveryCode.hash(code)]);
+
+        return result.rows.length > 0;
+    }
+
+    static async countRemaining(userId) {
+        const db = DatabaseManager.getInstance();
+
+        const result = await db.query(
+            'SELECT COUNT(*) FROM user_recovery_codes WHERE user_id = $1 AND used_at IS NULL',
+            [userId]
+        );
+
+        return parseInt(result.rows[0].count);
+    }
+}
+
+RecoveryCode.CODE_COUNT = CODE_COUNT;
+
+module.exports = RecoveryCode;
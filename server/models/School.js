@@ -0,0 +1,670 @@
+/**
+ * School Model
+ * Schools group teachers under school admins, who manage members, the school brand kit
+ * and see their teachers' usage without being site admins
+ */
+
+const crypto = require('crypto');
+const { DatabaseManager } = require('../config/database');
+const logger = require('../utils/logger');
+
+const BRAND_KIT_COLORS = ['primaryColor', 'secondaryColor', 'accentColor'];
+
+class School {
+    constructor(schoolData) {
+        this.id = schoolData.id;
+        this.name = schoolData.name;
+        this.slug = schoolData.slug;
+        this.brandKit = schoolData.brand_kit || {};
+        this.createdBy = schoolData.created_by;
+        this.memberCount = schoolData.member_count !== undefined ? parseInt(schoolData.member_count) : undefined;
+        this.createdAt = schoolData.created_at;
+        this.updatedAt = schoolData.updated_at;
+    }
+
+    /**
+     * URL-friendly name, e.g. "Lincoln Elementary" -> "lincoln-elementary"
+     */
+    static slugify(name) {
+        const slug = String(name || '')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '')
+            .slice(0, 100);
+        return slug || 'school';
+    }
+
+    /**
+     * Keep only known brand kit fields; empty values fall back to the newsletter's own theme
+     */
+    static sanitizeBrandKit(brandKit = {}) {
+        const clean = {};
+
+        if (typeof brandKit.logoUrl === 'string' && brandKit.logoUrl.trim()) {
+            clean.logoUrl = brandKit.logoUrl.trim();
+        }
+
+        BRAND_KIT_COLORS.forEach(key => {
+            if (typeof brandKit[key] === 'string' && /^#[0-9a-f]{6}$/i.test(brandKit[key])) {
+                clean[key] = brandKit[key].toLowerCase();
+            }
+        });
+
+        if (School.BRAND_FONTS.includes(brandKit.fontFamily)) {
+            clean.fontFamily = brandKit.fontFamily;
+        }
+
+        return clean;
+    }
+
+    /**
+     * Create a school (site admins only). The slug gets a random suffix if the name is taken.
+     */
+    static async create({ name }, createdBy) {
+        const db = DatabaseManager.getInstance();
+
+        try {
+            const baseSlug = School.slugify(name);
+            const taken = await db.query('SELECT 1 FROM schools WHERE slug = $1', [baseSlug]);
+            const slug = taken.rows.length > 0
+                ? `${baseSlug}-${crypto.randomBytes(3).toString('hex')}`
+                : baseSlug;
+
+            const result = await db.query(
+                'INSERT INTO schools (name, slug, created_by) VALUES ($1, $2, $3) RETURNING *',
+                [name.trim(), slug, createdBy]
+            );
+            const school = new School({ ...result.rows[0], member_count: 0 });
+
+            await School.logActivity(createdBy, 'school_created', 'school', school.id, { name: school.name });
+
+            logger.info(`School created: ${school.id} by user ${createdBy}`);
+            return school;
+        } catch (error) {
+            logger.error('Error creating school:', error);
+            throw error;
+        }
+    }
+
+    static async findById(id) {
+        const db = DatabaseManager.getInstance();
+
+        try {
+            const result = await db.query(`
+                SELECT s.*, (SELECT COUNT(*) FROM school_memberships m WHERE m.school_id = s.id) AS member_count
+                FROM schools s
+                WHERE s.id = $1
+            `, [id]);
+
+            return result.rows.length > 0 ? new School(result.rows[0]) : null;
+        } catch (error) {
+            logger.error('Error finding school by ID:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * All schools with member counts (site admins only)
+     */
+    static async findAll() {
+        const db = DatabaseManager.getInstance();
+
+        try {
+            const result = await db.query(`
+                SELECT s.*, COUNT(m.id) AS member_count
+                FROM schools s
+                LEFT JOIN school_memberships m ON m.school_id = s.id
+                GROUP BY s.id
+                ORDER BY s.name
+            `);
+
+            return result.rows.map(row => new School(row));
+        } catch (error) {
+            logger.error('Error finding schools:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * The school a user belongs to and their role there, or null
+     * Returns { school, role }
+     */
+    static async findMembership(userId) {
+        const db = DatabaseManager.getInstance();
+
+        try {
+            const result = await db.query(`
+                SELECT s.*, m.role,
+                    (SELECT COUNT(*) FROM school_memberships sm WHERE sm.school_id = s.id) AS member_count
+                FROM school_memberships m
+                JOIN schools s ON s.id = m.school_id
+                WHERE m.user_id = $1
+            `, [userId]);
+
+            if (result.rows.length === 0) {
+                return null;
+            }
+
+            return { school: new School(result.rows[0]), role: result.rows[0].role };
+        } catch (error) {
+            logger.error('Error finding school membership:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Brand kit for the school a user belongs to (empty when they have none)
+     */
+    static async getBrandKitForUser(userId) {
+        const membership = await School.findMembership(userId);
+        return membership ? membership.school.brandKit : {};
+    }
+
+    /**
+     * Members with their role, school admins first
+     */
+    async getMembers() {
+        const db = DatabaseManager.getInstance();
+
+        try {
+            const result = await db.query(`
+                SELECT u.id, u.email, u.display_name, u.is_active, u.last_login, m.role, m.created_at AS joined_at
+                FROM school_memberships m
+                JOIN users u ON u.id = m.user_id
+                WHERE m.school_id = $1
+                ORDER BY m.role = 'school_admin' DESC, u.display_name
+            `, [this.id]);
+
+            return result.rows.map(row => ({
+                id: row.id,
+                email: row.email,
+                displayName: row.display_name,
+                isActive: row.is_active,
+                lastLogin: row.last_login,
+                role: row.role,
+                joinedAt: row.joined_at
+            }));
+        } catch (error) {
+            logger.error('Error finding school members:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Invite an email address to join this school with the given role. Nobody is added until
+     * the owner of the address accepts; inviting the same address again renews the invitation.
+     * Fails with ALREADY_IN_SCHOOL if an account with that email is already a member here.
+     * Returns the invitation.
+     */
+    async invite(email, role, invitedBy) {
+        const db = DatabaseManager.getInstance();
+        const normalizedEmail = email.toLowerCase().trim();
+
+        try {
+            const member = await db.query(`
+                SELECT 1 FROM school_memberships m
+                JOIN users u ON u.id = m.user_id
+                WHERE m.school_id = $1 AND u.email = $2
+            `, [this.id, normalizedEmail]);
+
+            if (member.rows.length > 0) {
+                const err = new Error('This teacher is already a member of the school');
+                err.code = 'ALREADY_IN_SCHOOL';
+                throw err;
+            }
+
+            const result = await db.query(`
+                INSERT INTO school_invitations (school_id, email, role, invited_by, expires_at)
+                VALUES ($1, $2, $3, $4, NOW() + $5::int * INTERVAL '1 day')
+                ON CONFLICT (school_id, lower(email)) DO UPDATE
+                SET role = EXCLUDED.role, invited_by = EXCLUDED.invited_by, expires_at = EXCLUDED.expires_at
+                RETURNING *
+            `, [this.id, normalizedEmail, role, invitedBy, School.INVITATION_TTL_DAYS]);
+
+            await School.logActivity(invitedBy, 'school_member_invited', 'school', this.id, {
+                school: this.name,
+                email: normalizedEmail,
+                role
+            });
+
+            return School.invitationFromRow(result.rows[0]);
+        } catch (error) {
+            if (error.code !== 'ALREADY_IN_SCHOOL') {
+                logger.error('Error inviting school member:', error);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Invitations to this school that have not been answered and have not expired
+     */
+    async getInvitations() {
+        const db = DatabaseManager.getInstance();
+
+        try {
+            const result = await db.query(`
+                SELECT i.*, u.display_name AS invited_by_name
+                FROM school_invitations i
+                LEFT JOIN users u ON u.id = i.invited_by
+                WHERE i.school_id = $1 AND i.expires_at > NOW()
+                ORDER BY i.created_at DESC
+            `, [this.id]);
+
+            return result.rows.map(row => School.invitationFromRow(row));
+        } catch (error) {
+            logger.error('Error finding school invitations:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Withdraw an invitation. Returns false if there is no such invitation to this school.
+     */
+    async revokeInvitation(invitationId, revokedBy) {
+        const db = DatabaseManager.getInstance();
+
+        try {
+            const result = await db.query(
+                'DELETE FROM school_invitations WHERE id = $1 AND school_id = $2 RETURNING email',
+                [invitationId, this.id]
+            );
+            if (result.rows.length === 0) {
+                return false;
+            }
+
+            await School.logActivity(revokedBy, 'school_invitation_revoked', 'school', this.id, {
+                school: this.name,
+                email: result.rows[0].email
+            });
+
+            return true;
+        } catch (error) {
+            logger.error('Error revoking school invitation:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Open invitations addressed to a user's email, with the school they are for
+     */
+    static async findInvitationsForUser(user) {
+        const db = DatabaseManager.getInstance();
+
+        try {
+            const result = await db.query(`
+                SELECT i.*, s.name AS school_name, u.display_name AS invited_by_name
+                FROM school_invitations i
+                JOIN schools s ON s.id = i.school_id
+                LEFT JOIN users u ON u.id = i.invited_by
+                WHERE lower(i.email) = $1 AND i.expires_at > NOW()
+                ORDER BY i.created_at DESC
+            `, [user.email.toLowerCase()]);
+
+            return result.rows.map(row => School.invitationFromRow(row));
+        } catch (error) {
+            logger.error('Error finding invitations for user:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Accept an invitation addressed to the user's email and join the school.
+     * Only a verified email address can accept (EMAIL_NOT_VERIFIED), and teachers belong to
+     * one school at a time (ALREADY_IN_SCHOOL). The free-text users.school profile field is
+     * set to the school name to keep them in step.
+     * Returns the school joined, or null if there is no such open invitation for the user.
+     */
+    static async acceptInvitation(invitationId, user) {
+        const db = DatabaseManager.getInstance();
+
+        if (!user.emailVerified) {
+            const err = new Error('Verify your email address before joining a school');
+            err.code = 'EMAIL_NOT_VERIFIED';
+            throw err;
+        }
+
+        let invitation;
+        try {
+            invitation = await db.transaction(async (client) => {
+                const result = await client.query(`
+                    DELETE FROM school_invitations
+                    WHERE id = $1 AND lower(email) = $2 AND expires_at > NOW()
+                    RETURNING *
+                `, [invitationId, user.email.toLowerCase()]);
+
+                if (result.rows.length === 0) {
+                    return null;
+                }
+
+                const row = result.rows[0];
+                await client.query(
+                    'INSERT INTO school_memberships (school_id, user_id, role, added_by) VALUES ($1, $2, $3, $4)',
+                    [row.school_id, user.id, row.role, row.invited_by]
+                );
+                await client.query(
+                    'UPDATE users SET school = (SELECT name FROM schools WHERE id = $1) WHERE id = $2',
+                    [row.school_id, user.id]
+                );
+                return row;
+            });
+        } catch (error) {
+            if (error.code === '23505') {
+                const err = new Error('You already belong to a school. Leave it before joining another.');
+                err.code = 'ALREADY_IN_SCHOOL';
+                throw err;
+            }
+            logger.error('Error accepting school invitation:', error);
+            throw error;
+        }
+
+        if (!invitation) {
+            return null;
+        }
+
+        const school = await School.findById(invitation.school_id);
+
+        await School.logActivity(user.id, 'school_member_added', 'school', invitation.school_id, {
+            school: school?.name,
+            memberId: user.id,
+            email: user.email,
+            role: invitation.role,
+            invitedBy: invitation.invited_by
+        });
+
+        logger.info(`User ${user.id} joined school ${invitation.school_id} as ${invitation.role}`);
+        return school;
+    }
+
+    /**
+     * Decline an invitation addressed to the user's email. Returns false if there is none.
+     */
+    static async declineInvitation(invitationId, user) {
+        const db = DatabaseManager.getInstance();
+
+        try {
+            const result = await db.query(
+                'DELETE FROM school_invitations WHERE id = $1 AND lower(email) = $2 RETURNING school_id',
+                [invitationId, user.email.toLowerCase()]
+            );
+            if (result.rows.length === 0) {
+                return false;
+            }
+
+            await School.logActivity(user.id, 'school_invitation_declined', 'school', result.rows[0].school_id, {
+                email: user.email
+            });
+
+            return true;
+        } catch (error) {
+            logger.error('Error declining school invitation:', error);
+            throw error;
+        }
+    }
+
+    static invitationFromRow(row) {
+        return {
+            id: row.id,
+            schoolId: row.school_id,
+            schoolName: row.school_name,
+            email: row.email,
+            role: row.role,
+            invitedBy: row.invited_by_name,
+            expiresAt: row.expires_at,
+            createdAt: row.created_at
+        };
+    }
+
+    /**
+     * Change a member's role. Returns false if the user is not a member.
+     */
+    async setMemberRole(userId, role, changedBy) {
+        const db = DatabaseManager.getInstance();
+
+        try {
+            if (role !== School.ROLES.SCHOOL_ADMIN) {
+                await this.assertAnotherAdmin(userId);
+            }
+
+            const result = await db.query(
+                'UPDATE school_memberships SET role = $1 WHERE school_id = $2 AND user_id = $3',
+                [role, this.id, userId]
+            );
+            if (result.rowCount === 0) {
+                return false;
+            }
+
+            await School.logActivity(changedBy, 'school_member_role_changed', 'school', this.id, {
+                school: this.name,
+                memberId: userId,
+                role
+            });
+
+            return true;
+        } catch (error) {
+            if (error.code !== 'LAST_SCHOOL_ADMIN') {
+                logger.error('Error changing school member role:', error);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Remove a member. Their school-shared templates become private again.
+     * Returns false if the user is not a member.
+     */
+    async removeMember(userId, removedBy) {
+        const db = DatabaseManager.getInstance();
+
+        try {
+            await this.assertAnotherAdmin(userId);
+
+            const removed = await db.transaction(async (client) => {
+                const result = await client.query(
+                    'DELETE FROM school_memberships WHERE school_id = $1 AND user_id = $2',
+                    [this.id, userId]
+                );
+                if (result.rowCount === 0) {
+                    return false;
+                }
+
+                await client.query(
+                    'UPDATE templates SET school_id = NULL WHERE user_id = $1 AND school_id = $2',
+                    [userId, this.id]
+                );
+                return true;
+            });
+
+            if (removed) {
+                await School.logActivity(removedBy, 'school_member_removed', 'school', this.id, {
+                    school: this.name,
+                    memberId: userId
+                });
+            }
+
+            return removed;
+        } catch (error) {
+            if (error.code !== 'LAST_SCHOOL_ADMIN') {
+                logger.error('Error removing school member:', error);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * A school must keep at least one school admin; throws LAST_SCHOOL_ADMIN if userId is the only one
+     */
+    async assertAnotherAdmin(userId) {
+        const db = DatabaseManager.getInstance();
+
+        const result = await db.query(
+            `SELECT user_id FROM school_memberships WHERE school_id = $1 AND role = 'school_admin'`,
+            [this.id]
+        );
+        const adminIds = result.rows.map(row => row.user_id);
+
+        if (adminIds.length === 1 && adminIds[0] === userId) {
+            const err = new Error('A school needs at least one school admin. Make someone else a school admin first.');
+            err.code = 'LAST_SCHOOL_ADMIN';
+            throw err;
+        }
+    }
+
+    /**
+     * Replace the brand kit
+     */
+    async updateBrandKit(brandKit, changedBy) {
+        const db = DatabaseManager.getInstance();
+
+        try {
+            const clean = School.sanitizeBrandKit(brandKit);
+            const result = await db.query(
+                'UPDATE schools SET brand_kit = $1 WHERE id = $2 RETURNING *',
+                [JSON.stringify(clean), this.id]
+            );
+
+            Object.assign(this, new School({ ...result.rows[0], member_count: this.memberCount }));
+
+            await School.logActivity(changedBy, 'school_brand_kit_updated', 'school', this.id, {
+                school: this.name,
+                fields: Object.keys(clean)
+            });
+
+            return this;
+        } catch (error) {
+            logger.error('Error updating school brand kit:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Per-teacher usage over the last `days` days, plus all-time newsletter counts
+     */
+    async getUsage(days = 30) {
+        const db = DatabaseManager.getInstance();
+
+        try {
+            const result = await db.query(`
+                SELECT
+                    u.id, u.email, u.display_name, u.last_login, m.role,
+                    COUNT(n.id) AS newsletters,
+                    COUNT(n.id) FILTER (WHERE n.status = 'published') AS published,
+                    COUNT(n.id) FILTER (WHERE n.created_at >= NOW() - $2::int * INTERVAL '1 day') AS recent_newsletters,
+                    (
+                        SELECT COUNT(*) FROM activity_logs l
+                        WHERE l.user_id = u.id
+                          AND l.action = 'newsletter_exported'
+                          AND l.created_at >= NOW() - $2::int * INTERVAL '1 day'
+                    ) AS recent_exports
+                FROM school_memberships m
+                JOIN users u ON u.id = m.user_id
+                LEFT JOIN newsletters n ON n.user_id = u.id AND n.deleted_at IS NULL
+                WHERE m.school_id = $1
+                GROUP BY u.id, m.role
+                ORDER BY u.display_name
+            `, [this.id, days]);
+
+            const teachers = result.rows.map(row => ({
+                id: row.id,
+                email: row.email,
+                displayName: row.display_name,
+                role: row.role,
+                lastLogin: row.last_login,
+                newsletters: parseInt(row.newsletters),
+                published: parseInt(row.published),
+                recentNewsletters: parseInt(row.recent_newsletters),
+                recentExports: parseInt(row.recent_exports)
+            }));
+
+            const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+            return {
+                days,
+                teachers,
+                totals: {
+                    teachers: teachers.length,
+                    activeTeachers: teachers.filter(t => t.lastLogin && new Date(t.lastLogin) >= since).length,
+                    newsletters: teachers.reduce((sum, t) => sum + t.newsletters, 0),
+                    published: teachers.reduce((sum, t) => sum + t.published, 0),
+                    recentNewsletters: teachers.reduce((sum, t) => sum + t.recentNewsletters, 0),
+                    recentExports: teachers.reduce((sum, t) => sum + t.recentExports, 0)
+                }
+            };
+        } catch (error) {
+            logger.error('Error getting school usage:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete the school (site admins only). Memberships go with it; shared templates become private.
+     */
+    async delete(deletedBy) {
+        const db = DatabaseManager.getInstance();
+
+        try {
+            const result = await db.query('DELETE FROM schools WHERE id = $1', [this.id]);
+
+            if (result.rowCount > 0) {
+                await School.logActivity(deletedBy, 'school_deleted', 'school', this.id, { name: this.name });
+                logger.info(`School deleted: ${this.id} by user ${deletedBy}`);
+            }
+
+            return result.rowCount > 0;
+        } catch (error) {
+            logger.error('Error deleting school:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Log activity
+     */
+    static async logActivity(userId, action, resourceType, resourceId, metadata = {}) {
+        const db = DatabaseManager.getInstance();
+
+        try {
+            await db.query(
+                `INSERT INTO activity_logs (user_id, action, resource_type, resource_id, metadata)
+                 VALUES ($1, $2, $3, $4, $5)`,
+                [userId, action, resourceType, resourceId, JSON.stringify(metadata)]
+            );
+        } catch (error) {
+            logger.error('Error logging activity:', error);
+            // Don't throw - logging failures shouldn't break the main operation
+        }
+    }
+
+    toPublicJSON() {
+        return {
+            id: this.id,
+            name: this.name,
+            slug: this.slug,
+            brandKit: this.brandKit,
+            memberCount: this.memberCount,
+            createdAt: this.createdAt,
+            updatedAt: this.updatedAt
+        };
+    }
+}
+
+School.ROLES = {
+    SCHOOL_ADMIN: 'school_admin',
+    TEACHER: 'teacher'
+};
+
+// Invitations nobody answers lapse after two weeks
+School.INVITATION_TTL_DAYS = 14;
+
+// Fonts a brand kit may use; all are web-safe, and PDF exports embed the closest bundled font
+School.BRAND_FONTS = [
+    'Georgia, serif',
+    'Times New Roman, serif',
+    'Helvetica, sans-serif',
+    'Arial, sans-serif',
+    'Verdana, sans-serif',
+    'Trebuchet MS, sans-serif',
+    'Comic Sans MS, cursive'
+];
+
+module.exports = School;
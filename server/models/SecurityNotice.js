@@ -0,0 +1,113 @@
+/**
+ * SecurityNotice Model
+ * Account security events shown to the user, such as a sign-in from an unfamiliar device
+ * or a temporary lockout after repeated wrong passwords
+ */
+
+const { DatabaseManager } = require('../config/database');
+const logger = require('../utils/logger');
+
+class SecurityNotice {
+    constructor(noticeData) {
+        this.id = noticeData.id;
+        this.userId = noticeData.user_id;
+        this.kind = noticeData.kind;
+        this.metadata = noticeData.metadata || {};
+        this.readAt = noticeData.read_at;
+        this.createdAt = noticeData.created_at;
+    }
+
+    /**
+     * Record a notice. Never throws, so a failure here cannot break sign-in.
+     */
+    static async create(userId, kind, metadata = {}) {
+        const db = DatabaseManager.getInstance();
+
+        try {
+            const result = await db.query(
+                'INSERT INTO security_notices (user_id, kind, metadata) VALUES ($1, $2, $3) RETURNING *',
+                [userId, kind, metadata]
+            );
+            return new SecurityNotice(result.rows[0]);
+        } catch (error) {
+            logger.error('Error creating security notice:', error);
+            return null;
+        }
+    }
+
+    /**
+     * A user's notices, newest first
+     */
+    static async findByUser(userId, { unreadOnly = false, limit = 20 } = {}) {
+        const db = DatabaseManager.getInstance();
+
+        try {
+            const result = await db.query(`
+                SELECT * FROM security_notices
+                WHERE user_id = $1 ${unreadOnly ? 'AND read_at IS NULL' : ''}
+                ORDER BY created_at DESC
+                LIMIT $2
+            `, [userId, limit]);
+
+            return result.rows.map(row => new SecurityNotice(row));
+        } catch (error) {
+            logger.error('Error finding security notices:', error);
+            throw error;
+        }
+    }
+
+    static async countUnread(userId) {
+        const db = DatabaseManager.getInstance();
+
+        try {
+            const result = await db.query(
+                'SELECT COUNT(*) FROM security_notices WHERE user_id = $1 AND read_at IS NULL',
+                [userId]
+            );
+            return parseInt(result.rows[0].count);
+        } catch (error) {
+            logger.error('Error counting security notices:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Mark one notice (or, without noticeId, all of them) as read; returns how many changed
+     */
+    static async markRead(userId, noticeId = null) {
+        const db = DatabaseManager.getInstance();
+
+        try {
+            const result = noticeId
+                ? await db.query(
+                    'UPDATE security_notices SET read_at = NOW() WHERE id = $1 AND user_id = $2 AND read_at IS NULL',
+                    [noticeId, userId]
+                )
+                : await db.query(
+                    'UPDATE security_notices SET read_at = NOW() WHERE user_id = $1 AND read_at IS NULL',
+                    [userId]
+                );
+            return result.rowCount;
+        } catch (error) {
+            logger.error('Error marking security notices read:', error);
+            throw error;
+        }
+    }
+
+    toPublicJSON() {
+        return {
+            id: this.id,
+            kind: this.kind,
+            metadata: this.metadata,
+            readAt: this.readAt,
+            createdAt: this.createdAt
+        };
+    }
+}
+
+SecurityNotice.KINDS = {
+    NEW_DEVICE_LOGIN: 'new_device_login',
+    ACCOUNT_LOCKED: 'account_locked'
+};
+
+module.exports = SecurityNotice;
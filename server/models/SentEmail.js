@@ -0,0 +1,65 @@
+/**
+ * SentEmail Model
+ * Log of newsletter emails sent on a user's behalf, used to enforce the daily sending limit
+ */
+
+const { DatabaseManager } = require('../config/database');
+const logger = require('../utils/logger');
+
+class SentEmail {
+    /**
+     * Record one email sent for a user
+     */
+    static async record(userId, jobId, recipient) {
+        const db = DatabaseManager.getInstance();
+
+        try {
+            await db.query(
+                'INSERT INTO sent_emails (user_id, job_id, recipient) VALUES ($1, $2, $3)',
+                [userId, jobId, recipient]
+            );
+        } catch (error) {
+            logger.error('Error recording sent email:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * How many emails were sent for a user in the last 24 hours
+     */
+    static async countLastDay(userId) {
+        const db = DatabaseManager.getInstance();
+
+        try {
+            const result = await db.query(
+                `SELECT COUNT(*) AS count FROM sent_emails WHERE user_id = $1 AND sent_at > NOW() - INTERVAL '1 day'`,
+                [userId]
+            );
+            return parseInt(result.rows[0].count);
+        } catch (error) {
+            logger.error('Error counting sent emails:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete records older than `days` days
+     * @returns {Promise<number>} How many were deleted
+     */
+    static async prune(days) {
+        const db = DatabaseManager.getInstance();
+
+        try {
+            const result = await db.query(
+                'DELETE FROM sent_emails WHERE sent_at < NOW() - make_interval(days => $1)',
+                [days]
+            );
+            return result.rowCount;
+        } catch (error) {
+            logger.error('Error pruning sent emails:', error);
+            throw error;
+        }
+    }
+}
+
+module.exports = SentEmail;
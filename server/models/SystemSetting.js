@@ -0,0 +1,79 @@
+/**
+ * SystemSetting Model
+ * Service-wide policies that admins change at runtime, stored as JSON values by key
+ */
+
+const { DatabaseManager } = require('../config/database');
+const logger = require('../utils/logger');
+
+// Known settings and the value used until an admin changes them
+const DEFAULTS = {
+    require_admin_two_factor: false
+};
+
+class SystemSetting {
+    /**
+     * Read one setting, falling back to its default
+     */
+    static async get(key) {
+        const db = DatabaseManager.getInstance();
+
+        try {
+            const result = await db.query('SELECT value FROM system_settings WHERE key = $1', [key]);
+            return result.rows.length > 0 ? result.rows[0].value : DEFAULTS[key];
+        } catch (error) {
+            logger.error(`Error reading system setting ${key}:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * Every known setting with defaults filled in
+     */
+    static async getAll() {
+        const db = DatabaseManager.getInstance();
+
+        try {
+            const result = await db.query('SELECT key, value FROM system_settings');
+            const settings = { ...DEFAULTS };
+            result.rows.forEach(row => {
+                if (row.key in DEFAULTS) {
+                    settings[row.key] = row.value;
+                }
+            });
+            return settings;
+        } catch (error) {
+            logger.error('Error reading system settings:', error);
+            throw error;
+        }
+    }
+
+    static async set(key, value, changedBy) {
+        if (!(key in DEFAULTS)) {
+            throw new Error(`Unknown system setting: ${key}`);
+        }
+
+        const db = DatabaseManager.getInstance();
+
+        try {
+            await db.query(`
+                INSERT INTO system_settings (key, value, updated_by, updated_at)
+                VALUES ($1, $2, $3, NOW())
+                ON CONFLICT (key) DO UPDATE
+                SET value = EXCLUDED.value, updated_by = EXCLUDED.updated_by, updated_at = NOW()
+            `, [key, JSON.stringify(value), changedBy]);
+
+            logger.info(`System setting ${key} set to ${JSON.stringify(value)} by ${changedBy}`);
+            return value;
+        } catch (error) {
+            logger.error(`Error saving system setting ${key}:`, error);
+            throw error;
+        }
+    }
+}
+
+SystemSetting.KEYS = {
+    REQUIRE_ADMIN_TWO_FACTOR: 'require_admin_two_factor'
+};
+
+module.exports = SystemSetting;
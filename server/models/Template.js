@@ -5,6 +5,7 @@
 
 const { DatabaseManager } = require('../config/database');
 const logger = require('../utils/logger');
+const { FULL_HEADLINE_OPTIONS, SNIPPET_HEADLINE_OPTIONS, toSegments } = require('../utils/searchHighlight');
 
 class Template {
     constructor(templateData) {
@@ -16,12 +17,24 @@ class Template {
         this.settings = templateData.settings || {};
         this.isPublic = templateData.is_public || false;
         this.isGlobal = templateData.is_global || false;
+        this.schoolId = templateData.school_id || null;
+        this.deletedAt = templateData.deleted_at || null;
         this.createdAt = templateData.created_at;
         this.updatedAt = templateData.updated_at;
     }
 
+    /**
+     * SQL condition for templates a user can see: their own, public, global,
+     * or shared with the school they belong to. `param` is the user ID placeholder.
+     */
+    static visibleTo(param) {
+        return `(user_id = ${param} OR is_public = true OR is_global = true
+            OR school_id IN (SELECT school_id FROM school_memberships WHERE user_id = ${param}))`;
+    }
+
     /**
      * Create a new template
+     * templateData.schoolId shares it with that school; callers check membership
      */
     static async create(templateData, userId) {
         const db = DatabaseManager.getInstance();
@@ -29,8 +42,8 @@ class Template {
         try {
             const query = `
                 INSERT INTO templates (
-                    user_id, name, description, content, settings, is_public, is_global
-                ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+                    user_id, name, description, content, settings, is_public, is_global, school_id
+                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
                 RETURNING *
             `;
             
@@ -41,7 +54,8 @@ class Template {
                 JSON.stringify(templateData.content || {}),
                 JSON.stringify(templateData.settings || {}),
                 templateData.isPublic || false,
-                templateData.isGlobal || false
+                templateData.isGlobal || false,
+                templateData.schoolId || null
             ];
             
             const result = await db.query(query, values);
@@ -52,7 +66,8 @@ class Template {
                 // Log activity
                 await this.logActivity(userId, 'template_created', 'template', template.id, {
                     name: template.name,
-                    isPublic: template.isPublic
+                    isPublic: template.isPublic,
+                    schoolId: template.schoolId
                 });
                 
                 logger.info(`Template created: ${template.id} by user ${userId}`);
@@ -68,25 +83,30 @@ class Template {
 
     /**
      * Find template by ID
+     * options.includePrivate skips the visibility check (admin tools).
+     * Templates in the trash are not found; see findTrashedById.
      */
-    static async findById(id, userId = null) {
+    static async findById(id, userId = null, options = {}) {
         const db = DatabaseManager.getInstance();
         
         try {
             let query, values;
             
-            if (userId) {
-                // User context - check ownership or public visibility
+            if (options.includePrivate) {
+                query = 'SELECT * FROM templates WHERE id = $1 AND deleted_at IS NULL';
+                values = [id];
+            } else if (userId) {
+                // User context - check ownership, public or school visibility
                 query = `
                     SELECT * FROM templates 
-                    WHERE id = $1 AND (user_id = $2 OR is_public = true OR is_global = true)
+                    WHERE id = $1 AND deleted_at IS NULL AND ${Template.visibleTo('$2')}
                 `;
                 values = [id, userId];
             } else {
                 // No user context - only public/global templates
                 query = `
                     SELECT * FROM templates 
-                    WHERE id = $1 AND (is_public = true OR is_global = true)
+                    WHERE id = $1 AND deleted_at IS NULL AND (is_public = true OR is_global = true)
                 `;
                 values = [id];
             }
@@ -113,7 +133,7 @@ class Template {
         try {
             let query = `
                 SELECT * FROM templates 
-                WHERE user_id = $1 OR is_public = true OR is_global = true
+                WHERE deleted_at IS NULL AND ${Template.visibleTo('$1')}
             `;
             let values = [userId];
             let paramCount = 1;
@@ -131,8 +151,12 @@ class Template {
                 values.push(options.isGlobal);
             }
             
+            if (options.schoolOnly) {
+                query += ' AND school_id IS NOT NULL';
+            }
+            
             // Add ordering
-            query += ' ORDER BY is_global DESC, is_public DESC, updated_at DESC';
+            query += ' ORDER BY is_global DESC, school_id IS NOT NULL DESC, is_public DESC, updated_at DESC';
             
             // Add pagination if provided
             if (options.limit) {
@@ -163,7 +187,7 @@ class Template {
         const db = DatabaseManager.getInstance();
         
         try {
-            let query = 'SELECT * FROM templates WHERE user_id = $1';
+            let query = 'SELECT * FROM templates WHERE user_id = $1 AND deleted_at IS NULL';
             let values = [userId];
             let paramCount = 1;
             
@@ -199,6 +223,128 @@ class Template {
         }
     }
 
+    /**
+     * Find templates across all users (admin only)
+     * Returns { templates, total }
+     */
+    static async findAll(options = {}) {
+        const db = DatabaseManager.getInstance();
+        
+        try {
+            const conditions = ['deleted_at IS NULL'];
+            const values = [];
+            
+            if (options.isGlobal !== undefined) {
+                values.push(options.isGlobal);
+                conditions.push(`is_global = $${values.length}`);
+            }
+            
+            if (options.search) {
+                values.push(`%${options.search.trim()}%`);
+                conditions.push(`name ILIKE $${values.length}`);
+            }
+            
+            const where = `WHERE ${conditions.join(' AND ')}`;
+            
+            const countResult = await db.query(`SELECT COUNT(*) FROM templates ${where}`, values);
+            const total = parseInt(countResult.rows[0].count);
+            
+            const query = `
+                SELECT * FROM templates
+                ${where}
+                ORDER BY is_global DESC, updated_at DESC
+                LIMIT $${values.length + 1} OFFSET $${values.length + 2}
+            `;
+            
+            const result = await db.query(query, [...values, options.limit || 50, options.offset || 0]);
+            
+            return {
+                templates: result.rows.map(row => new Template(row)),
+                total
+            };
+        } catch (error) {
+            logger.error('Error finding all templates:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Full-text search over the templates the user can see: name, description and
+     * section text. Filters: from/to (YYYY-MM-DD, inclusive) on the creation date.
+     * Returns { results, total }, best matches first, each with highlighted segments.
+     */
+    static async search(userId, options = {}) {
+        const db = DatabaseManager.getInstance();
+
+        try {
+            const values = [userId, options.query];
+            const conditions = [
+                Template.visibleTo('$1'),
+                'deleted_at IS NULL',
+                `template_search_vector(name, description, content) @@ websearch_to_tsquery('english', $2)`
+            ];
+
+            if (options.from) {
+                values.push(options.from);
+                conditions.push(`created_at >= $${values.length}::date`);
+            }
+
+            if (options.to) {
+                values.push(options.to);
+                conditions.push(`created_at < $${values.length}::date + 1`);
+            }
+
+            // Rank and page first, so snippets are only built for the rows returned
+            const query = `
+                SELECT t.id, t.user_id, t.name, t.description, t.is_public, t.is_global, t.school_id,
+                       t.created_at, t.updated_at, hits.rank, hits.total,
+                       ts_headline('english', t.name, websearch_to_tsquery('english', $2), $${values.length + 3}) AS name_headline,
+                       ts_headline('english', concat_ws(' ', t.description, newsletter_search_text(t.content)), websearch_to_tsquery('english', $2), $${values.length + 4}) AS snippet_headline
+                FROM (
+                    SELECT id,
+                           ts_rank_cd(template_search_vector(name, description, content), websearch_to_tsquery('english', $2)) AS rank,
+                           COUNT(*) OVER () AS total
+                    FROM templates
+                    WHERE ${conditions.join(' AND ')}
+                    ORDER BY rank DESC, updated_at DESC
+                    LIMIT $${values.length + 1} OFFSET $${values.length + 2}
+                ) hits
+                JOIN templates t ON t.id = hits.id
+                ORDER BY hits.rank DESC, t.updated_at DESC
+            `;
+
+            const result = await db.query(query, [
+                ...values,
+                options.limit || 20,
+                options.offset || 0,
+                FULL_HEADLINE_OPTIONS,
+                SNIPPET_HEADLINE_OPTIONS
+            ]);
+
+            return {
+                results: result.rows.map(row => ({
+                    id: row.id,
+                    name: row.name,
+                    isOwn: row.user_id === userId,
+                    isPublic: row.is_public || false,
+                    isGlobal: row.is_global || false,
+                    schoolId: row.school_id || null,
+                    createdAt: row.created_at,
+                    updatedAt: row.updated_at,
+                    rank: parseFloat(row.rank),
+                    highlights: {
+                        title: toSegments(row.name_headline),
+                        snippet: toSegments(row.snippet_headline)
+                    }
+                })),
+                total: result.rows.length > 0 ? parseInt(result.rows[0].total) : 0
+            };
+        } catch (error) {
+            logger.error('Error searching templates:', error);
+            throw error;
+        }
+    }
+
     /**
      * Update template
      */
@@ -241,6 +387,12 @@ class Template {
                 values.push(updateData.isPublic);
             }
             
+            if (updateData.schoolId !== undefined) {
+                paramCount++;
+                updateFields.push(`school_id = $${paramCount}`);
+                values.push(updateData.schoolId);
+            }
+            
             // Always update updated_at
             paramCount++;
             updateFields.push(`updated_at = $${paramCount}`);
@@ -255,7 +407,7 @@ class Template {
             const query = `
                 UPDATE templates 
                 SET ${updateFields.join(', ')}
-                WHERE id = $${paramCount - 1} AND user_id = $${paramCount}
+                WHERE id = $${paramCount - 1} AND user_id = $${paramCount} AND deleted_at IS NULL
                 RETURNING *
             `;
             
@@ -282,22 +434,29 @@ class Template {
     }
 
     /**
-     * Delete template
+     * Move the template to the trash. Nobody is offered it any more, including its
+     * school, and the owner can restore it until the trash is purged.
      */
     async delete(userId) {
         const db = DatabaseManager.getInstance();
         
         try {
-            const query = 'DELETE FROM templates WHERE id = $1 AND user_id = $2 RETURNING *';
+            const query = `
+                UPDATE templates SET deleted_at = NOW()
+                WHERE id = $1 AND user_id = $2 AND deleted_at IS NULL
+                RETURNING deleted_at
+            `;
             const result = await db.query(query, [this.id, userId]);
             
             if (result.rows.length > 0) {
+                this.deletedAt = result.rows[0].deleted_at;
+
                 // Log activity
-                await Template.logActivity(userId, 'template_deleted', 'template', this.id, {
+                await Template.logActivity(userId, 'template_trashed', 'template', this.id, {
                     name: this.name
                 });
                 
-                logger.info(`Template deleted: ${this.id} by user ${userId}`);
+                logger.info(`Template moved to trash: ${this.id} by user ${userId}`);
                 return true;
             }
             
@@ -308,6 +467,184 @@ class Template {
         }
     }
 
+    /**
+     * Take the template back out of the trash
+     */
+    async restoreFromTrash(userId) {
+        const db = DatabaseManager.getInstance();
+
+        try {
+            const query = `
+                UPDATE templates SET deleted_at = NULL, updated_at = NOW()
+                WHERE id = $1 AND user_id = $2 AND deleted_at IS NOT NULL
+                RETURNING *
+            `;
+            const result = await db.query(query, [this.id, userId]);
+
+            if (result.rows.length === 0) {
+                return null;
+            }
+
+            await Template.logActivity(userId, 'template_restored_from_trash', 'template', this.id, {
+                name: this.name
+            });
+
+            logger.info(`Template restored from trash: ${this.id} by user ${userId}`);
+            return new Template(result.rows[0]);
+        } catch (error) {
+            logger.error('Error restoring template from trash:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete a trashed template for good. Newsletters made from it keep their content.
+     */
+    async deletePermanently(userId) {
+        const db = DatabaseManager.getInstance();
+
+        try {
+            const result = await db.query(
+                'DELETE FROM templates WHERE id = $1 AND user_id = $2 AND deleted_at IS NOT NULL RETURNING id',
+                [this.id, userId]
+            );
+
+            if (result.rows.length > 0) {
+                await Template.logActivity(userId, 'template_deleted', 'template', this.id, {
+                    name: this.name
+                });
+
+                logger.info(`Template permanently deleted: ${this.id} by user ${userId}`);
+                return true;
+            }
+
+            return false;
+        } catch (error) {
+            logger.error('Error permanently deleting template:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Templates in the user's trash, most recently deleted first
+     */
+    static async findTrash(userId) {
+        const db = DatabaseManager.getInstance();
+
+        try {
+            const result = await db.query(
+                'SELECT * FROM templates WHERE user_id = $1 AND deleted_at IS NOT NULL ORDER BY deleted_at DESC',
+                [userId]
+            );
+
+            return result.rows.map(row => new Template(row));
+        } catch (error) {
+            logger.error('Error finding trashed templates:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Find a template in the user's trash
+     */
+    static async findTrashedById(id, userId) {
+        const db = DatabaseManager.getInstance();
+
+        try {
+            const result = await db.query(
+                'SELECT * FROM templates WHERE id = $1 AND user_id = $2 AND deleted_at IS NOT NULL',
+                [id, userId]
+            );
+
+            return result.rows.length > 0 ? new Template(result.rows[0]) : null;
+        } catch (error) {
+            logger.error('Error finding trashed template:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete every template in the user's trash; returns how many were deleted
+     */
+    static async emptyTrash(userId) {
+        const db = DatabaseManager.getInstance();
+
+        try {
+            const result = await db.query(
+                'DELETE FROM templates WHERE user_id = $1 AND deleted_at IS NOT NULL RETURNING id, name',
+                [userId]
+            );
+
+            for (const row of result.rows) {
+                await this.logActivity(userId, 'template_deleted', 'template', row.id, {
+                    name: row.name,
+                    emptiedTrash: true
+                });
+            }
+
+            return result.rows.length;
+        } catch (error) {
+            logger.error('Error emptying template trash:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete templates that have been in the trash longer than retentionDays;
+     * returns how many were deleted
+     */
+    static async purgeTrash(retentionDays) {
+        const db = DatabaseManager.getInstance();
+
+        try {
+            const result = await db.query(
+                `DELETE FROM templates
+                 WHERE deleted_at < NOW() - $1::int * INTERVAL '1 day'
+                 RETURNING id, user_id, name`,
+                [retentionDays]
+            );
+
+            for (const row of result.rows) {
+                await this.logActivity(row.user_id, 'template_deleted', 'template', row.id, {
+                    name: row.name,
+                    purged: true
+                });
+            }
+
+            return result.rows.length;
+        } catch (error) {
+            logger.error('Error purging template trash:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Make the template global (offered to every user) or take it back (admin only)
+     */
+    async setGlobal(isGlobal, changedBy) {
+        const db = DatabaseManager.getInstance();
+        
+        try {
+            const result = await db.query(
+                'UPDATE templates SET is_global = $1, updated_at = NOW() WHERE id = $2 RETURNING *',
+                [isGlobal, this.id]
+            );
+            
+            Object.assign(this, new Template(result.rows[0]));
+            
+            await Template.logActivity(changedBy, isGlobal ? 'template_made_global' : 'template_made_local', 'template', this.id, {
+                name: this.name,
+                ownerId: this.userId
+            });
+            
+            logger.info(`Template ${this.id} ${isGlobal ? 'made global' : 'no longer global'} by ${changedBy}`);
+            return this;
+        } catch (error) {
+            logger.error('Error changing template global flag:', error);
+            throw error;
+        }
+    }
+
     /**
      * Get statistics for user's templates
      */
@@ -319,9 +656,10 @@ class Template {
                 SELECT 
                     COUNT(*) as total,
                     COUNT(CASE WHEN is_public = true THEN 1 END) as public_templates,
-                    COUNT(CASE WHEN is_public = false THEN 1 END) as private_templates
+                    COUNT(CASE WHEN is_public = false THEN 1 END) as private_templates,
+                    COUNT(CASE WHEN school_id IS NOT NULL THEN 1 END) as school_templates
                 FROM templates 
-                WHERE user_id = $1
+                WHERE user_id = $1 AND deleted_at IS NULL
             `;
             
             const result = await db.query(query, [userId]);
@@ -329,7 +667,8 @@ class Template {
             return result.rows[0] || {
                 total: 0,
                 public_templates: 0,
-                private_templates: 0
+                private_templates: 0,
+                school_templates: 0
             };
         } catch (error) {
             logger.error('Error getting template stats:', error);
@@ -337,6 +676,33 @@ class Template {
         }
     }
 
+    /**
+     * Get template statistics across all users (admin only)
+     */
+    static async getSystemStats() {
+        const db = DatabaseManager.getInstance();
+        
+        try {
+            const query = `
+                SELECT 
+                    COUNT(*) as total,
+                    COUNT(CASE WHEN is_global = true THEN 1 END) as global_templates,
+                    COUNT(CASE WHEN is_public = true THEN 1 END) as public_templates,
+                    COUNT(CASE WHEN is_public = false AND is_global = false THEN 1 END) as private_templates,
+                    COUNT(CASE WHEN school_id IS NOT NULL THEN 1 END) as school_templates,
+                    COALESCE(SUM(usage_count), 0) as total_usage
+                FROM templates
+                WHERE deleted_at IS NULL
+            `;
+            
+            const result = await db.query(query);
+            return result.rows[0];
+        } catch (error) {
+            logger.error('Error getting system template stats:', error);
+            throw error;
+        }
+    }
+
     /**
      * Log activity
      */
@@ -375,6 +741,8 @@ class Template {
             settings: this.settings,
             isPublic: this.isPublic,
             isGlobal: this.isGlobal,
+            schoolId: this.schoolId,
+            ...(this.deletedAt && { deletedAt: this.deletedAt }),
             createdAt: this.createdAt,
             updatedAt: this.updatedAt
         };
@@ -6,6 +6,19 @@
 const bcrypt = require('bcryptjs');
 const { DatabaseManager } = require('../config/database');
 const logger = require('../utils/logger');
+const UserToken = require('./UserToken');
+const RecoveryCode = require('./RecoveryCode');
+const SecurityNotice = require('./SecurityNotice');
+const totp = require('../utils/totp');
+
+// After LOCKOUT_THRESHOLD wrong passwords in a row the account locks for LOCKOUT_BASE_MINUTES,
+// doubling with every further failure up to LOCKOUT_MAX_MINUTES. A successful sign-in or password reset clears it.
+const LOCKOUT_THRESHOLD = 5;
+const LOCKOUT_BASE_MINUTES = 1;
+const LOCKOUT_MAX_MINUTES = 60;
+
+// Compared against when the email is unknown, so those sign-ins take as long as real ones
+const UNKNOWN_USER_PASSWORD_HASH = '$2a$12$7R.f2H2VSq5tl0XLJxmNX.tlmDo4s4txC692PPJlWejOPsyWMZhgG';
 
 class User {
     constructor(userData) {
@@ -16,10 +29,22 @@ class User {
         this.school = userData.school;
         this.subjects = userData.subjects || [];
         this.gradeLevels = userData.grade_levels || [];
-        this.isAdmin = userData.is_admin || false;
+        this.role = userData.role || (userData.is_admin ? 'site_admin' : 'teacher');
+        this.isAdmin = this.role === 'site_admin';
         this.isActive = userData.is_active !== false;
         this.emailVerified = userData.email_verified || false;
+        this.twoFactorEnabled = userData.two_factor_enabled || false;
+        this.twoFactorEnabledAt = userData.two_factor_enabled_at;
+        this.twoFactorSecret = userData.two_factor_secret; // Encrypted; never sent to clients
+        this.twoFactorLastStep = userData.two_factor_last_step !== null && userData.two_factor_last_step !== undefined
+            ? Number(userData.two_factor_last_step)
+            : null;
+        this.failedLoginAttempts = userData.failed_login_attempts || 0;
+        this.lastFailedLoginAt = userData.last_failed_login_at;
+        this.lockedUntil = userData.locked_until;
         this.lastLogin = userData.last_login;
+        this.deletionRequestedAt = userData.deletion_requested_at;
+        this.deletionScheduledFor = userData.deletion_scheduled_for;
         this.preferences = userData.preferences || {};
         this.createdAt = userData.created_at;
         this.updatedAt = userData.updated_at;
@@ -54,8 +79,8 @@ class User {
             const insertQuery = `
                 INSERT INTO users (
                     email, password_hash, display_name, school, 
-                    subjects, grade_levels, is_admin, preferences
-                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+                    subjects, grade_levels, role, is_admin, preferences
+                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $7 = 'site_admin', $8)
                 RETURNING *
             `;
 
@@ -66,7 +91,7 @@ class User {
                 userData.school?.trim() || null,
                 userData.subjects || [],
                 userData.gradeLevels || [],
-                userData.isAdmin || false,
+                userData.role || 'teacher',
                 userData.preferences || {}
             ];
 
@@ -111,12 +136,15 @@ class User {
 
     /**
      * Find user by ID
+     * Deactivated accounts are only returned with options.includeInactive (admin tools)
      */
-    static async findById(id) {
+    static async findById(id, options = {}) {
         const db = DatabaseManager.getInstance();
         
         try {
-            const query = 'SELECT * FROM users WHERE id = $1 AND is_active = true';
+            const query = options.includeInactive
+                ? 'SELECT * FROM users WHERE id = $1'
+                : 'SELECT * FROM users WHERE id = $1 AND is_active = true';
             const result = await db.query(query, [id]);
             
             return result.rows.length > 0 ? new User(result.rows[0]) : null;
@@ -126,13 +154,27 @@ class User {
         }
     }
 
+    /**
+     * Error thrown while an account is locked; carries lockedUntil for the response
+     */
+    static lockedError(lockedUntil) {
+        const minutes = Math.max(1, Math.ceil((new Date(lockedUntil).getTime() - Date.now()) / 60000));
+        const error = new Error(`Too many failed sign-in attempts. Try again in ${minutes} minute${minutes === 1 ? '' : 's'} or reset your password.`);
+        error.code = 'ACCOUNT_LOCKED';
+        error.lockedUntil = lockedUntil;
+        return error;
+    }
+
     /**
      * Authenticate user with email and password
+     * Returns null for a wrong password, an unknown email and any attempt on a locked account.
      */
-    static async authenticate(email, password) {
+    static async authenticate(email, password, context = {}) {
         try {
             const user = await this.findByEmail(email);
             if (!user) {
+                await bcrypt.compare(password, UNKNOWN_USER_PASSWORD_HASH);
+
                 // Log failed attempt
                 await this.logActivity(null, 'login_failed', 'auth', null, {
                     email,
@@ -141,16 +183,41 @@ class User {
                 return null;
             }
 
-            // Check password
+            // The password of a locked account is not checked at all: every attempt answers like
+            // an unknown email, so guessing during the lockout learns nothing, not even that the
+            // account exists. Attempts still count towards the next, longer lockout.
+            if (user.isLocked()) {
+                await bcrypt.compare(password, UNKNOWN_USER_PASSWORD_HASH);
+
+                await this.logActivity(user.id, 'login_blocked', 'auth', user.id, {
+                    reason: 'account_locked',
+                    ipAddress: context.ipAddress
+                });
+                await user.recordFailedLogin(context);
+                return null;
+            }
+
             const isValidPassword = await bcrypt.compare(password, user.passwordHash);
             if (!isValidPassword) {
                 // Log failed attempt
                 await this.logActivity(user.id, 'login_failed', 'auth', user.id, {
                     reason: 'invalid_password'
                 });
+
+                // This failure may be the one that locks the account
+                await user.recordFailedLogin(context);
                 return null;
             }
 
+            // With two-factor authentication the login only completes once the code is checked,
+            // so failed codes keep counting towards the lockout until then
+            if (user.twoFactorEnabled) {
+                await this.logActivity(user.id, 'login_password_verified', 'auth', user.id);
+                return user;
+            }
+
+            await user.clearFailedLogins();
+
             // Update last login
             await user.updateLastLogin();
 
@@ -166,6 +233,101 @@ class User {
         }
     }
 
+    isLocked() {
+        return Boolean(this.lockedUntil) && new Date(this.lockedUntil) > new Date();
+    }
+
+    /**
+     * Count a failed sign-in (wrong password or two-factor code) and lock the account
+     * once there have been too many. Attempts while locked are counted without extending
+     * the current lock. Returns true if this failure locked it.
+     */
+    async recordFailedLogin(context = {}) {
+        const db = DatabaseManager.getInstance();
+        const wasLocked = this.isLocked();
+
+        try {
+            const result = await db.query(`
+                UPDATE users
+                SET failed_login_attempts = failed_login_attempts + 1,
+                    last_failed_login_at = NOW(),
+                    locked_until = CASE
+                        WHEN locked_until > NOW() THEN locked_until
+                        WHEN failed_login_attempts + 1 >= $2
+                        THEN NOW() + make_interval(mins => LEAST($4, $3 * POWER(2, failed_login_attempts + 1 - $2))::int)
+                        ELSE locked_until
+                    END
+                WHERE id = $1
+                RETURNING failed_login_attempts, locked_until
+            `, [this.id, LOCKOUT_THRESHOLD, LOCKOUT_BASE_MINUTES, LOCKOUT_MAX_MINUTES]);
+
+            const row = result.rows[0];
+            this.failedLoginAttempts = row.failed_login_attempts;
+            this.lockedUntil = row.locked_until;
+
+            if (wasLocked || this.failedLoginAttempts < LOCKOUT_THRESHOLD) {
+                return false;
+            }
+
+            const metadata = {
+                failedAttempts: this.failedLoginAttempts,
+                lockedUntil: this.lockedUntil,
+                ipAddress: context.ipAddress
+            };
+            await User.logActivity(this.id, 'account_locked', 'auth', this.id, metadata);
+            await SecurityNotice.create(this.id, SecurityNotice.KINDS.ACCOUNT_LOCKED, metadata);
+
+            logger.warn(`Account locked after ${this.failedLoginAttempts} failed sign-ins: ${this.email}`);
+            return true;
+        } catch (error) {
+            logger.error('Error recording failed login:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Reset the failed sign-in count after a successful sign-in
+     */
+    async clearFailedLogins() {
+        if (this.failedLoginAttempts === 0 && !this.lockedUntil) {
+            return;
+        }
+
+        const db = DatabaseManager.getInstance();
+        await db.query(
+            'UPDATE users SET failed_login_attempts = 0, locked_until = NULL WHERE id = $1',
+            [this.id]
+        );
+        this.failedLoginAttempts = 0;
+        this.lockedUntil = null;
+    }
+
+    /**
+     * Lift a lockout early (admin only)
+     */
+    async unlock(changedBy) {
+        const db = DatabaseManager.getInstance();
+
+        try {
+            const result = await db.query(
+                'UPDATE users SET failed_login_attempts = 0, locked_until = NULL, updated_at = NOW() WHERE id = $1 RETURNING *',
+                [this.id]
+            );
+
+            Object.assign(this, new User(result.rows[0]));
+
+            await User.logActivity(changedBy, 'account_unlocked', 'auth', this.id, {
+                email: this.email
+            });
+
+            logger.info(`Account unlocked: ${this.email} by ${changedBy}`);
+            return this;
+        } catch (error) {
+            logger.error('Error unlocking account:', error);
+            throw error;
+        }
+    }
+
     /**
      * Get user's password hash for authentication
      */
@@ -314,6 +476,299 @@ class User {
         }
     }
 
+    /**
+     * Set a new password using an emailed reset token
+     * Returns the user, or null when the token is unknown, expired or already used.
+     * Every session is ended and every personal access token revoked so a stolen login stops
+     * working too, and a lockout is cleared.
+     */
+    static async resetPassword(rawToken, newPassword) {
+        const db = DatabaseManager.getInstance();
+
+        try {
+            // Validate first so a weak password does not use up the token
+            const passwordValidation = User.validatePassword(newPassword);
+            if (!passwordValidation.isValid) {
+                throw new Error(`Password validation failed: ${passwordValidation.errors.join(', ')}`);
+            }
+
+            const passwordHash = await bcrypt.hash(newPassword, 12);
+
+            const row = await db.transaction(async (client) => {
+                const token = await UserToken.consume(rawToken, UserToken.PURPOSES.PASSWORD_RESET, client);
+                if (!token) {
+                    return null;
+                }
+
+                // Proving control of the email address also lifts any lockout
+                const result = await client.query(`
+                    UPDATE users
+                    SET password_hash = $1, failed_login_attempts = 0, locked_until = NULL, updated_at = NOW()
+                    WHERE id = $2 AND is_active = true
+                    RETURNING *
+                `, [passwordHash, token.userId]);
+                if (result.rows.length === 0) {
+                    return null;
+                }
+
+                // Tokens minted with the old password must not outlive it
+                await client.query(
+                    'UPDATE personal_access_tokens SET revoked_at = NOW() WHERE user_id = $1 AND revoked_at IS NULL',
+                    [token.userId]
+                );
+                return result.rows[0];
+            });
+
+            if (!row) {
+                return null;
+            }
+
+            const user = new User(row);
+            await user.invalidateAllSessions();
+            await User.logActivity(user.id, 'password_reset', 'auth', user.id);
+
+            logger.info(`Password reset for user: ${user.email}`);
+            return user;
+        } catch (error) {
+            logger.error('Error resetting password:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Confirm an email address using an emailed verification token
+     * Returns the user, or null when the token is unknown, expired or already used.
+     */
+    static async verifyEmail(rawToken) {
+        const db = DatabaseManager.getInstance();
+
+        try {
+            const row = await db.transaction(async (client) => {
+                const token = await UserToken.consume(rawToken, UserToken.PURPOSES.EMAIL_VERIFICATION, client);
+                if (!token) {
+                    return null;
+                }
+
+                const result = await client.query(
+                    'UPDATE users SET email_verified = true, updated_at = NOW() WHERE id = $1 RETURNING *',
+                    [token.userId]
+                );
+                return result.rows[0] || null;
+            });
+
+            if (!row) {
+                return null;
+            }
+
+            const user = new User(row);
+            await User.logActivity(user.id, 'email_verified', 'user', user.id, { method: 'link' });
+
+            logger.info(`Email verified for user: ${user.email}`);
+            return user;
+        } catch (error) {
+            logger.error('Error verifying email:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Mark the email address as verified without a link (admin only)
+     */
+    async markEmailVerified(changedBy) {
+        const db = DatabaseManager.getInstance();
+
+        try {
+            const result = await db.query(
+                'UPDATE users SET email_verified = true, updated_at = NOW() WHERE id = $1 RETURNING *',
+                [this.id]
+            );
+
+            Object.assign(this, new User(result.rows[0]));
+
+            await User.logActivity(changedBy, 'email_verified', 'user', this.id, {
+                method: 'admin',
+                email: this.email
+            });
+
+            logger.info(`Email marked verified for ${this.email} by ${changedBy}`);
+            return this;
+        } catch (error) {
+            logger.error('Error marking email verified:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Check the user's current password
+     */
+    async verifyPassword(password) {
+        const passwordHash = await this.getPasswordHash();
+        return Boolean(passwordHash) && bcrypt.compare(String(password || ''), passwordHash);
+    }
+
+    /**
+     * Start two-factor enrollment with a new secret.
+     * The secret is stored but not enforced until enableTwoFactor confirms a code from the app.
+     */
+    async beginTwoFactorSetup() {
+        const db = DatabaseManager.getInstance();
+
+        try {
+            const secret = totp.generateSecret();
+
+            await db.query(
+                'UPDATE users SET two_factor_secret = $1, two_factor_last_step = NULL, updated_at = NOW() WHERE id = $2 AND two_factor_enabled = false',
+                [totp.encryptSecret(secret), this.id]
+            );
+
+            return {
+                secret,
+                otpauthUri: totp.buildOtpauthUri(secret, this.email)
+            };
+        } catch (error) {
+            logger.error('Error starting two-factor setup:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Turn two-factor authentication on once the user proves their app has the secret.
+     * Returns the new recovery codes, or null if there is no pending setup or the code is wrong.
+     */
+    async enableTwoFactor(code) {
+        const db = DatabaseManager.getInstance();
+
+        try {
+            const row = await db.query('SELECT two_factor_secret FROM users WHERE id = $1', [this.id]);
+            const storedSecret = row.rows[0] && row.rows[0].two_factor_secret;
+            if (!storedSecret || this.twoFactorEnabled) {
+                return null;
+            }
+
+            const step = totp.verifyCode(totp.decryptSecret(storedSecret), code);
+            if (step === null) {
+                return null;
+            }
+
+            const result = await db.transaction(async (client) => {
+                const updated = await client.query(`
+                    UPDATE users
+                    SET two_factor_enabled = true, two_factor_enabled_at = NOW(), two_factor_last_step = $1, updated_at = NOW()
+                    WHERE id = $2
+                    RETURNING *
+                `, [step, this.id]);
+
+                const recoveryCodes = await RecoveryCode.generate(this.id, client);
+                return { row: updated.rows[0], recoveryCodes };
+            });
+
+            Object.assign(this, new User(result.row));
+
+            await User.logActivity(this.id, 'two_factor_enabled', 'auth', this.id);
+            logger.info(`Two-factor authentication enabled for ${this.email}`);
+
+            return result.recoveryCodes;
+        } catch (error) {
+            logger.error('Error enabling two-factor authentication:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Check a code from the authenticator app. Each time step is accepted once,
+     * so a code seen over someone's shoulder cannot be replayed.
+     */
+    async verifyTwoFactorCode(code) {
+        if (!this.twoFactorEnabled || !this.twoFactorSecret) {
+            return false;
+        }
+
+        const step = totp.verifyCode(totp.decryptSecret(this.twoFactorSecret), code, {
+            afterStep: this.twoFactorLastStep
+        });
+        if (step === null) {
+            return false;
+        }
+
+        const db = DatabaseManager.getInstance();
+        const result = await db.query(`
+            UPDATE users SET two_factor_last_step = $1
+            WHERE id = $2 AND (two_factor_last_step IS NULL OR two_factor_last_step < $1)
+            RETURNING id
+        `, [step, this.id]);
+
+        if (result.rows.length === 0) {
+            return false;
+        }
+
+        this.twoFactorLastStep = step;
+        return true;
+    }
+
+    /**
+     * Check the second factor: an authenticator code or, failing that, an unused recovery code.
+     * Returns 'totp', 'recovery_code' or null.
+     */
+    async verifySecondFactor({ code, recoveryCode } = {}) {
+        if (code && await this.verifyTwoFactorCode(code)) {
+            return 'totp';
+        }
+
+        if (recoveryCode && this.twoFactorEnabled && await RecoveryCode.consume(this.id, recoveryCode)) {
+            await User.logActivity(this.id, 'recovery_code_used', 'auth', this.id, {
+                remaining: await RecoveryCode.countRemaining(this.id)
+            });
+            return 'recovery_code';
+        }
+
+        return null;
+    }
+
+    /**
+     * Replace the user's recovery codes; returns the new raw codes
+     */
+    async regenerateRecoveryCodes() {
+        const codes = await RecoveryCode.generate(this.id);
+        await User.logActivity(this.id, 'recovery_codes_regenerated', 'auth', this.id);
+        return codes;
+    }
+
+    /**
+     * Turn two-factor authentication off and discard the secret and recovery codes.
+     * changedBy is the user themselves, or an admin resetting a lost device.
+     */
+    async disableTwoFactor(changedBy) {
+        const db = DatabaseManager.getInstance();
+
+        try {
+            const row = await db.transaction(async (client) => {
+                const updated = await client.query(`
+                    UPDATE users
+                    SET two_factor_enabled = false, two_factor_secret = NULL, two_factor_enabled_at = NULL,
+                        two_factor_last_step = NULL, updated_at = NOW()
+                    WHERE id = $1
+                    RETURNING *
+                `, [this.id]);
+
+                await client.query('DELETE FROM user_recovery_codes WHERE user_id = $1', [this.id]);
+                return updated.rows[0];
+            });
+
+            Object.assign(this, new User(row));
+
+            await User.logActivity(changedBy, 'two_factor_disabled', 'auth', this.id, {
+                email: this.email,
+                byAdmin: changedBy !== this.id
+            });
+
+            logger.info(`Two-factor authentication disabled for ${this.email} by ${changedBy}`);
+            return this;
+        } catch (error) {
+            logger.error('Error disabling two-factor authentication:', error);
+            throw error;
+        }
+    }
+
     /**
      * Invalidate all user sessions
      */
@@ -331,6 +786,186 @@ class User {
         }
     }
 
+    /**
+     * Activate or deactivate the account (admin only)
+     * Deactivating also ends every session, so the user is signed out everywhere at once.
+     */
+    async setActive(isActive, changedBy) {
+        const db = DatabaseManager.getInstance();
+
+        try {
+            const result = await db.transaction(async (client) => {
+                const updated = await client.query(
+                    'UPDATE users SET is_active = $1, updated_at = NOW() WHERE id = $2 RETURNING *',
+                    [isActive, this.id]
+                );
+
+                let revokedSessions = 0;
+                if (!isActive) {
+                    const deleted = await client.query('DELETE FROM user_sessions WHERE user_id = $1', [this.id]);
+                    revokedSessions = deleted.rowCount;
+                }
+
+                return { row: updated.rows[0], revokedSessions };
+            });
+
+            Object.assign(this, new User(result.row));
+
+            await User.logActivity(changedBy, isActive ? 'user_activated' : 'user_deactivated', 'user', this.id, {
+                email: this.email,
+                revokedSessions: result.revokedSessions
+            });
+
+            logger.info(`User ${isActive ? 'activated' : 'deactivated'}: ${this.email} by ${changedBy}`);
+            return result.revokedSessions;
+        } catch (error) {
+            logger.error('Error changing user status:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Schedule the account for deletion once the grace period is over.
+     * Signs the account out everywhere and revokes its access tokens. Signing in again
+     * during the grace period still works, so the user can change their mind.
+     */
+    async requestDeletion(requestedBy, graceDays = User.DELETION_GRACE_DAYS) {
+        const db = DatabaseManager.getInstance();
+
+        try {
+            const result = await db.transaction(async (client) => {
+                if (this.role === 'site_admin') {
+                    const admins = await client.query(
+                        `SELECT COUNT(*) AS count FROM users
+                         WHERE role = 'site_admin' AND is_active = true AND deletion_scheduled_for IS NULL AND id <> $1`,
+                        [this.id]
+                    );
+                    if (parseInt(admins.rows[0].count) === 0) {
+                        const err = new Error('The last site admin cannot be deleted. Make someone else a site admin first.');
+                        err.code = 'LAST_SITE_ADMIN';
+                        throw err;
+                    }
+                }
+
+                const updated = await client.query(`
+                    UPDATE users
+                    SET deletion_requested_at = NOW(),
+                        deletion_scheduled_for = NOW() + make_interval(days => $2),
+                        updated_at = NOW()
+                    WHERE id = $1
+                    RETURNING *
+                `, [this.id, graceDays]);
+
+                await client.query('DELETE FROM user_sessions WHERE user_id = $1', [this.id]);
+                await client.query(
+                    'UPDATE personal_access_tokens SET revoked_at = NOW() WHERE user_id = $1 AND revoked_at IS NULL',
+                    [this.id]
+                );
+
+                return updated.rows[0];
+            });
+
+            Object.assign(this, new User(result));
+
+            await User.logActivity(requestedBy, 'account_deletion_requested', 'user', this.id, {
+                scheduledFor: this.deletionScheduledFor,
+                byAdmin: requestedBy !== this.id
+            });
+
+            logger.info(`Account deletion scheduled for ${this.email} on ${this.deletionScheduledFor} by ${requestedBy}`);
+            return this;
+        } catch (error) {
+            if (error.code !== 'LAST_SITE_ADMIN') {
+                logger.error('Error scheduling account deletion:', error);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Cancel a scheduled account deletion
+     */
+    async cancelDeletion(cancelledBy) {
+        const db = DatabaseManager.getInstance();
+
+        try {
+            const result = await db.query(`
+                UPDATE users
+                SET deletion_requested_at = NULL, deletion_scheduled_for = NULL, updated_at = NOW()
+                WHERE id = $1 AND deletion_scheduled_for IS NOT NULL
+                RETURNING *
+            `, [this.id]);
+
+            if (result.rows.length === 0) {
+                return false;
+            }
+
+            Object.assign(this, new User(result.rows[0]));
+
+            await User.logActivity(cancelledBy, 'account_deletion_cancelled', 'user', this.id, {
+                byAdmin: cancelledBy !== this.id
+            });
+
+            logger.info(`Account deletion cancelled for ${this.email} by ${cancelledBy}`);
+            return true;
+        } catch (error) {
+            logger.error('Error cancelling account deletion:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Ids of accounts whose deletion grace period is over
+     */
+    static async findDueForDeletion(limit = 50) {
+        const db = DatabaseManager.getInstance();
+
+        try {
+            const result = await db.query(`
+                SELECT id FROM users
+                WHERE deletion_scheduled_for IS NOT NULL AND deletion_scheduled_for <= NOW()
+                ORDER BY deletion_scheduled_for
+                LIMIT $1
+            `, [limit]);
+
+            return result.rows.map(row => row.id);
+        } catch (error) {
+            logger.error('Error finding accounts due for deletion:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Change the site role: teacher, reviewer or site_admin (admin only)
+     * Takes effect on the user's next request, since authentication reloads the user.
+     */
+    async setRole(role, changedBy) {
+        const db = DatabaseManager.getInstance();
+
+        try {
+            const previousRole = this.role;
+            const result = await db.query(
+                `UPDATE users SET role = $1, is_admin = ($1 = 'site_admin'), updated_at = NOW()
+                 WHERE id = $2 RETURNING *`,
+                [role, this.id]
+            );
+
+            Object.assign(this, new User(result.rows[0]));
+
+            await User.logActivity(changedBy, 'role_changed', 'user', this.id, {
+                email: this.email,
+                from: previousRole,
+                to: role
+            });
+
+            logger.info(`Role of ${this.email} changed from ${previousRole} to ${role} by ${changedBy}`);
+            return this;
+        } catch (error) {
+            logger.error('Error changing user role:', error);
+            throw error;
+        }
+    }
+
     /**
      * Validate user data for creation
      */
@@ -484,8 +1119,11 @@ class User {
             school: this.school,
             subjects: this.subjects,
             gradeLevels: this.gradeLevels,
+            role: this.role,
             isAdmin: this.isAdmin,
             emailVerified: this.emailVerified,
+            twoFactorEnabled: this.twoFactorEnabled,
+            deletionScheduledFor: this.deletionScheduledFor,
             lastLogin: this.lastLogin,
             preferences: this.preferences,
             createdAt: this.createdAt,
@@ -493,25 +1131,55 @@ class User {
         };
     }
 
+    /**
+     * Get user data for the admin panel (includes account status)
+     */
+    toAdminJSON() {
+        return {
+            ...this.toPublicJSON(),
+            isActive: this.isActive,
+            isLocked: this.isLocked(),
+            lockedUntil: this.isLocked() ? this.lockedUntil : null,
+            failedLoginAttempts: this.failedLoginAttempts
+        };
+    }
+
     /**
      * Get all users (admin only)
+     * filters.status is 'active' (default), 'inactive' or 'all';
+     * filters.search matches email or display name.
      */
-    static async getAll(limit = 50, offset = 0) {
+    static async getAll(limit = 50, offset = 0, filters = {}) {
         const db = DatabaseManager.getInstance();
         
         try {
-            const countQuery = 'SELECT COUNT(*) FROM users WHERE is_active = true';
-            const countResult = await db.query(countQuery);
+            const conditions = [];
+            const values = [];
+
+            const status = filters.status || 'active';
+            if (status !== 'all') {
+                conditions.push(`is_active = ${status === 'active'}`);
+            }
+
+            if (filters.search) {
+                values.push(`%${filters.search.trim()}%`);
+                conditions.push(`(email ILIKE $${values.length} OR display_name ILIKE $${values.length})`);
+            }
+
+            const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+            const countQuery = `SELECT COUNT(*) FROM users ${where}`;
+            const countResult = await db.query(countQuery, values);
             const total = parseInt(countResult.rows[0].count);
 
             const query = `
                 SELECT * FROM users 
-                WHERE is_active = true 
+                ${where}
                 ORDER BY created_at DESC 
-                LIMIT $1 OFFSET $2
+                LIMIT $${values.length + 1} OFFSET $${values.length + 2}
             `;
             
-            const result = await db.query(query, [limit, offset]);
+            const result = await db.query(query, [...values, limit, offset]);
             const users = result.rows.map(row => new User(row));
 
             return {
@@ -526,6 +1194,38 @@ class User {
             throw error;
         }
     }
+
+    /**
+     * Get account statistics across all users (admin only)
+     */
+    static async getStats() {
+        const db = DatabaseManager.getInstance();
+
+        try {
+            const query = `
+                SELECT 
+                    COUNT(*) as total,
+                    COUNT(CASE WHEN is_active = true THEN 1 END) as active,
+                    COUNT(CASE WHEN is_active = false THEN 1 END) as inactive,
+                    COUNT(CASE WHEN role = 'site_admin' THEN 1 END) as admins,
+                    COUNT(CASE WHEN role = 'reviewer' THEN 1 END) as reviewers,
+                    COUNT(CASE WHEN email_verified = true THEN 1 END) as verified,
+                    COUNT(CASE WHEN locked_until > NOW() THEN 1 END) as locked,
+                    COUNT(CASE WHEN created_at > NOW() - INTERVAL '7 days' THEN 1 END) as new_last_7_days,
+                    COUNT(CASE WHEN last_login > NOW() - INTERVAL '7 days' THEN 1 END) as logged_in_last_7_days
+                FROM users
+            `;
+
+            const result = await db.query(query);
+            return result.rows[0];
+        } catch (error) {
+            logger.error('Error getting user stats:', error);
+            throw error;
+        }
+    }
 }
 
+// Days between asking for account deletion and the data being erased
+User.DELETION_GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 30;
+
 module.exports = User;
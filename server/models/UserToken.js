@@ -0,0 +1,98 @@
+/**
+ * UserToken Model
+ * Single-use, time-limited tokens sent to users by email (password reset and email verification links).
+ * Only a SHA-256 hash of each token is stored; the raw value exists only in the email.
+ */
+
+const crypto = require('crypto');
+const { DatabaseManager } = require('../config/database');
+const logger = require('../utils/logger');
+
+class UserToken {
+    constructor(tokenData) {
+        this.id = tokenData.id;
+        this.userId = tokenData.user_id;
+        this.purpose = tokenData.purpose;
+        this.expiresAt = tokenData.expires_at;
+        this.usedAt = tokenData.used_at;
+        this.createdAt = tokenData.created_at;
+    }
+
+    static hash(rawToken) {
+        return crypto.createHash('sha256').update(String(rawToken)).digest('hex');
+    }
+
+    /**
+     * Issue a new token, replacing any unused token of the same purpose for the user.
+     * Returns { token, expiresAt } where token is the raw value to send to the user.
+     */
+    static async issue(userId, purpose, ttlMinutes, requestedIp = null) {
+        const db = DatabaseManager.getInstance();
+
+        try {
+            const token = crypto.randomBytes(32).toString('hex');
+
+            const expiresAt = await db.transaction(async (client) => {
+                await client.query(
+                    'DELETE FROM user_tokens WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL',
+                    [userId, purpose]
+                );
+
+                const result = await client.query(`
+                    INSERT INTO user_tokens (user_id, purpose, token_hash, expires_at, requested_ip)
+                    VALUES ($1, $2, $3, NOW() + make_interval(mins => $4), $5)
+                    RETURNING expires_at
+                `, [userId, purpose, UserToken.hash(token), ttlMinutes, requestedIp]);
+
+                return result.rows[0].expires_at;
+            });
+
+            return { token, expiresAt };
+        } catch (error) {
+            logger.error('Error issuing user token:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * When the user's most recent unused token of this purpose was issued, or null
+     */
+    static async lastIssuedAt(userId, purpose) {
+        const db = DatabaseManager.getInstance();
+
+        try {
+            const result = await db.query(
+                'SELECT MAX(created_at) AS issued_at FROM user_tokens WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL',
+                [userId, purpose]
+            );
+            return result.rows[0].issued_at;
+        } catch (error) {
+            logger.error('Error reading user token issue time:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Mark a token as used and return it, or null if it is unknown, expired or already used.
+     * Pass a transaction client so consuming the token commits together with what it authorizes.
+     */
+    static async consume(rawToken, purpose, client = null) {
+        const runner = client || DatabaseManager.getInstance();
+
+        const result = await runner.query(`
+            UPDATE user_tokens
+            SET used_at = NOW()
+            WHERE token_hash = $1 AND purpose = $2 AND used_at IS NULL AND expires_at > NOW()
+            RETURNING *
+        `, [UserToken.hash(rawToken), purpose]);
+
+        return result.rows.length > 0 ? new UserToken(result.rows[0]) : null;
+    }
+}
+
+UserToken.PURPOSES = {
+    PASSWORD_RESET: 'password_reset',
+    EMAIL_VERIFICATION: 'email_verification'
+};
+
+module.exports = UserToken;
@@ -1,15 +1,1292 @@
+/**
+ * Admin Routes
+ * User management, system statistics and global templates (admin only)
+ */
+
 const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { authenticate, requireAdmin, requirePermission } = require('../middleware/auth');
+const { DatabaseManager } = require('../config/database');
+const AuthService = require('../services/AuthService');
+const policyService = require('../services/policyService');
+const accountDataService = require('../services/accountDataService');
+const User = require('../models/User');
+const Newsletter = require('../models/Newsletter');
+const Template = require('../models/Template');
+const ActivityLog = require('../models/ActivityLog');
+const SystemSetting = require('../models/SystemSetting');
+const School = require('../models/School');
+const Job = require('../models/Job');
+const jobRunner = require('../services/jobRunner');
+const mailService = require('../services/mailService');
+const logger = require('../utils/logger');
+
 const router = express.Router();
 
-// Admin routes
-router.get('/users', (req, res) => {
-  // TODO: Get all users (admin only)
-  res.json({ message: 'Admin users endpoint - implementation pending' });
+// Every admin route requires admin console access; reviewers can read but not change anything
+router.use(authenticate);
+router.use(requireAdmin);
+
+const paginationRules = [
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  query('offset')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Offset must be a positive number'),
+  query('search')
+    .optional()
+    .isLength({ max: 200 })
+    .withMessage('Search must be less than 200 characters')
+];
+
+/**
+ * Respond with a 400 if the request failed validation
+ */
+function rejectInvalid(req, res) {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) {
+    return false;
+  }
+
+  res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: errors.array(),
+    code: 'VALIDATION_ERROR'
+  });
+  return true;
+}
+
+/**
+ * Load the target user of a /users/:id route, including deactivated accounts.
+ * Admins may not change their own status or rights, so they cannot lock themselves out.
+ */
+async function loadTargetUser(req, res, { allowSelf = true } = {}) {
+  if (!allowSelf && req.params.id === req.user.id) {
+    res.status(400).json({
+      success: false,
+      message: 'You cannot change your own account from the admin panel',
+      code: 'CANNOT_MODIFY_SELF'
+    });
+    return null;
+  }
+
+  const user = await User.findById(req.params.id, { includeInactive: true });
+  if (!user) {
+    res.status(404).json({
+      success: false,
+      message: 'User not found',
+      code: 'USER_NOT_FOUND'
+    });
+    return null;
+  }
+
+  return user;
+}
+
+/**
+ * GET /api/admin/users
+ * List users with pagination, optional search and status filter
+ */
+router.get('/users',
+  [
+    ...paginationRules,
+    query('status')
+      .optional()
+      .isIn(['active', 'inactive', 'all'])
+      .withMessage('Status must be active, inactive or all')
+  ],
+  async (req, res) => {
+    try {
+      if (rejectInvalid(req, res)) return;
+
+      const limit = parseInt(req.query.limit) || 50;
+      const offset = parseInt(req.query.offset) || 0;
+
+      const result = await User.getAll(limit, offset, {
+        status: req.query.status,
+        search: req.query.search
+      });
+
+      res.json({
+        success: true,
+        data: {
+          users: result.users.map(user => user.toAdminJSON()),
+          pagination: {
+            limit: result.limit,
+            offset: result.offset,
+            total: result.total,
+            hasMore: result.hasMore
+          }
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error fetching users for admin:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch users',
+        code: 'FETCH_ERROR'
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/admin/users/:id
+ * Get one user with their newsletter counts and active sessions
+ */
+router.get('/users/:id', async (req, res) => {
+  try {
+    const user = await loadTargetUser(req, res);
+    if (!user) return;
+
+    const [newsletterStats, sessions] = await Promise.all([
+      Newsletter.getStats(user.id),
+      AuthService.getUserSessions(user.id)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        user: user.toAdminJSON(),
+        newsletterStats,
+        sessions
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error fetching user for admin:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch user',
+      code: 'FETCH_ERROR'
+    });
+  }
+});
+
+/**
+ * PUT /api/admin/users/:id/status
+ * Activate or deactivate an account; deactivation signs the user out everywhere
+ */
+router.put('/users/:id/status',
+  requirePermission('users:manage'),
+  [
+    body('status')
+      .isIn(['active', 'inactive'])
+      .withMessage('Status must be active or inactive')
+  ],
+  async (req, res) => {
+    try {
+      if (rejectInvalid(req, res)) return;
+
+      const user = await loadTargetUser(req, res, { allowSelf: false });
+      if (!user) return;
+
+      const revokedSessions = await user.setActive(req.body.status === 'active', req.user.id);
+
+      res.json({
+        success: true,
+        message: req.body.status === 'active' ? 'User activated' : 'User deactivated',
+        data: {
+          user: user.toAdminJSON(),
+          revokedSessions
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error updating user status:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update user status',
+        code: 'UPDATE_ERROR'
+      });
+    }
+  }
+);
+
+const ROLE_MESSAGES = {
+  teacher: 'Role changed to teacher',
+  reviewer: 'Role changed to reviewer (read-only admin access)',
+  site_admin: 'Role changed to site admin'
+};
+
+/**
+ * PUT /api/admin/users/:id/role
+ * Change a user's site role
+ */
+router.put('/users/:id/role',
+  requirePermission('users:manage'),
+  [
+    body('role')
+      .isIn(policyService.SITE_ROLES)
+      .withMessage(`Role must be one of: ${policyService.SITE_ROLES.join(', ')}`)
+  ],
+  async (req, res) => {
+    try {
+      if (rejectInvalid(req, res)) return;
+
+      const user = await loadTargetUser(req, res, { allowSelf: false });
+      if (!user) return;
+
+      await user.setRole(req.body.role, req.user.id);
+
+      res.json({
+        success: true,
+        message: ROLE_MESSAGES[user.role],
+        data: {
+          user: user.toAdminJSON()
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error updating user role:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update user role',
+        code: 'UPDATE_ERROR'
+      });
+    }
+  }
+);
+
+/**
+ * PUT /api/admin/users/:id/verify-email
+ * Mark a user's email address as verified without the emailed link
+ */
+router.put('/users/:id/verify-email', requirePermission('users:manage'), async (req, res) => {
+  try {
+    const user = await loadTargetUser(req, res);
+    if (!user) return;
+
+    if (user.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'This email address is already verified',
+        code: 'ALREADY_VERIFIED'
+      });
+    }
+
+    await user.markEmailVerified(req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Email address marked as verified',
+      data: {
+        user: user.toAdminJSON()
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error verifying user email:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to verify email address',
+      code: 'UPDATE_ERROR'
+    });
+  }
+});
+
+/**
+ * PUT /api/admin/users/:id/unlock
+ * Lift a lockout caused by repeated failed sign-ins
+ */
+router.put('/users/:id/unlock', requirePermission('users:manage'), async (req, res) => {
+  try {
+    const user = await loadTargetUser(req, res);
+    if (!user) return;
+
+    if (!user.isLocked() && user.failedLoginAttempts === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'This account is not locked',
+        code: 'NOT_LOCKED'
+      });
+    }
+
+    await user.unlock(req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Account unlocked',
+      data: {
+        user: user.toAdminJSON()
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error unlocking account:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to unlock account',
+      code: 'UPDATE_ERROR'
+    });
+  }
+});
+
+/**
+ * DELETE /api/admin/users/:id/two-factor
+ * Turn off a user's two-factor authentication, e.g. after they lose their phone
+ * and their recovery codes. They can sign in with just their password and enroll again.
+ */
+router.delete('/users/:id/two-factor', requirePermission('users:manage'), async (req, res) => {
+  try {
+    const user = await loadTargetUser(req, res, { allowSelf: false });
+    if (!user) return;
+
+    if (!user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'Two-factor authentication is not on for this user',
+        code: 'TWO_FACTOR_NOT_ENABLED'
+      });
+    }
+
+    await user.disableTwoFactor(req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication turned off',
+      data: {
+        user: user.toAdminJSON()
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error resetting two-factor authentication:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reset two-factor authentication',
+      code: 'UPDATE_ERROR'
+    });
+  }
+});
+
+/**
+ * DELETE /api/admin/users/:id/sessions
+ * Sign a user out of every device
+ */
+router.delete('/users/:id/sessions', requirePermission('users:manage'), async (req, res) => {
+  try {
+    const user = await loadTargetUser(req, res);
+    if (!user) return;
+
+    const revokedSessions = await AuthService.logoutAll(user.id);
+    await User.logActivity(req.user.id, 'sessions_revoked', 'auth', user.id, {
+      email: user.email,
+      revokedSessions
+    });
+
+    res.json({
+      success: true,
+      message: 'Sessions revoked',
+      data: {
+        revokedSessions
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error revoking user sessions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke sessions',
+      code: 'REVOKE_ERROR'
+    });
+  }
+});
+
+/**
+ * DELETE /api/admin/users/:id/sessions/:sessionId
+ * Sign a user out of one device
+ */
+router.delete('/users/:id/sessions/:sessionId', requirePermission('users:manage'), async (req, res) => {
+  try {
+    const user = await loadTargetUser(req, res);
+    if (!user) return;
+
+    const revoked = await AuthService.revokeSession(req.params.sessionId, user.id);
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found',
+        code: 'SESSION_NOT_FOUND'
+      });
+    }
+
+    await User.logActivity(req.user.id, 'session_revoked', 'auth', user.id, {
+      email: user.email,
+      sessionId: req.params.sessionId
+    });
+
+    res.json({
+      success: true,
+      message: 'Session revoked'
+    });
+
+  } catch (error) {
+    logger.error('Error revoking user session:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke session',
+      code: 'REVOKE_ERROR'
+    });
+  }
+});
+
+/**
+ * GET /api/admin/users/:id/data-export
+ * Download a user's data archive on their behalf, e.g. to answer a records request
+ */
+router.get('/users/:id/data-export', requirePermission('users:manage'), async (req, res) => {
+  try {
+    const user = await loadTargetUser(req, res);
+    if (!user) return;
+
+    // Relative image paths resolve against FRONTEND_URL only, never the Host header
+    const { filename, buffer } = await accountDataService.buildExport(user, { baseUrl: process.env.FRONTEND_URL });
+
+    await User.logActivity(req.user.id, 'data_exported', 'user', user.id, {
+      email: user.email,
+      size: buffer.length
+    });
+
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(buffer);
+
+  } catch (error) {
+    logger.error('Error exporting user data:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export user data',
+      code: 'EXPORT_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/admin/users/:id/deletion
+ * Schedule a user's account for deletion after the grace period,
+ * or erase it right away with { immediate: true }
+ */
+router.post('/users/:id/deletion',
+  requirePermission('users:manage'),
+  [
+    body('immediate')
+      .optional()
+      .isBoolean()
+      .withMessage('Immediate must be true or false')
+  ],
+  async (req, res) => {
+    try {
+      if (rejectInvalid(req, res)) return;
+
+      const user = await loadTargetUser(req, res, { allowSelf: false });
+      if (!user) return;
+
+      if (req.body.immediate === true) {
+        await accountDataService.purgeAccount(user.id, req.user.id);
+
+        return res.json({
+          success: true,
+          message: `${user.email} has been deleted`,
+          data: {
+            deleted: true
+          }
+        });
+      }
+
+      await user.requestDeletion(req.user.id);
+
+      res.json({
+        success: true,
+        message: `${user.email} will be deleted on ${new Date(user.deletionScheduledFor).toDateString()}`,
+        data: {
+          user: user.toAdminJSON()
+        }
+      });
+
+    } catch (error) {
+      if (error.code === 'LAST_SITE_ADMIN') {
+        return res.status(409).json({
+          success: false,
+          message: error.message,
+          code: error.code
+        });
+      }
+
+      logger.error('Error deleting user:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete user',
+        code: 'DELETE_ERROR'
+      });
+    }
+  }
+);
+
+/**
+ * DELETE /api/admin/users/:id/deletion
+ * Cancel a scheduled account deletion
+ */
+router.delete('/users/:id/deletion', requirePermission('users:manage'), async (req, res) => {
+  try {
+    const user = await loadTargetUser(req, res, { allowSelf: false });
+    if (!user) return;
+
+    const cancelled = await user.cancelDeletion(req.user.id);
+    if (!cancelled) {
+      return res.status(400).json({
+        success: false,
+        message: 'This account is not scheduled for deletion',
+        code: 'DELETION_NOT_SCHEDULED'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Account deletion cancelled',
+      data: {
+        user: user.toAdminJSON()
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error cancelling user deletion:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel deletion',
+      code: 'UPDATE_ERROR'
+    });
+  }
+});
+
+/**
+ * GET /api/admin/stats
+ * Aggregate counts for users, newsletters, templates, sessions and recent activity
+ */
+router.get('/stats',
+  [
+    query('days')
+      .optional()
+      .isInt({ min: 1, max: 90 })
+      .withMessage('Days must be between 1 and 90')
+  ],
+  async (req, res) => {
+    try {
+      if (rejectInvalid(req, res)) return;
+
+      const days = parseInt(req.query.days) || 7;
+
+      const [users, newsletters, templates, sessions, activity] = await Promise.all([
+        User.getStats(),
+        Newsletter.getSystemStats(),
+        Template.getSystemStats(),
+        AuthService.getSessionStats(),
+        ActivityLog.getStats(days)
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          users,
+          newsletters,
+          templates,
+          sessions,
+          activity,
+          generatedAt: new Date().toISOString()
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error fetching system stats:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch system statistics',
+        code: 'FETCH_ERROR'
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/admin/activity
+ * Activity log entries across all users, filterable by action, user and resource type
+ */
+router.get('/activity',
+  [
+    ...paginationRules.slice(0, 2),
+    query('action')
+      .optional()
+      .isLength({ max: 100 })
+      .withMessage('Action must be less than 100 characters'),
+    query('resourceType')
+      .optional()
+      .isIn(ActivityLog.RESOURCE_TYPES)
+      .withMessage('Invalid resource type'),
+    query('userId')
+      .optional()
+      .isUUID()
+      .withMessage('userId must be a valid ID'),
+    query('user')
+      .optional()
+      .isLength({ max: 200 })
+      .withMessage('User filter must be less than 200 characters')
+  ],
+  async (req, res) => {
+    try {
+      if (rejectInvalid(req, res)) return;
+
+      const limit = parseInt(req.query.limit) || 20;
+      const offset = parseInt(req.query.offset) || 0;
+
+      const [{ entries, total }, actions] = await Promise.all([
+        ActivityLog.find({
+          limit,
+          offset,
+          action: req.query.action,
+          resourceType: req.query.resourceType,
+          userId: req.query.userId,
+          user: req.query.user
+        }),
+        ActivityLog.getActions()
+      ]);
+
+      res.json({
+        success: true,
+        data: {
+          activity: entries.map(entry => entry.toPublicJSON()),
+          filters: {
+            actions,
+            resourceTypes: ActivityLog.RESOURCE_TYPES
+          },
+          pagination: {
+            limit,
+            offset,
+            total,
+            hasMore: offset + limit < total
+          }
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error fetching activity log:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch activity',
+        code: 'FETCH_ERROR'
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/admin/newsletters
+ * List newsletters from every user
+ */
+router.get('/newsletters',
+  [
+    ...paginationRules,
+    query('status')
+      .optional()
+      .isIn(['draft', 'published', 'archived'])
+      .withMessage('Invalid status')
+  ],
+  async (req, res) => {
+    try {
+      if (rejectInvalid(req, res)) return;
+
+      const limit = parseInt(req.query.limit) || 50;
+      const offset = parseInt(req.query.offset) || 0;
+
+      const { newsletters, total } = await Newsletter.findAll({
+        limit,
+        offset,
+        status: req.query.status,
+        search: req.query.search
+      });
+
+      res.json({
+        success: true,
+        data: {
+          newsletters: newsletters.map(newsletter => ({
+            ...newsletter.toPublicJSON(),
+            userId: newsletter.userId
+          })),
+          pagination: {
+            limit,
+            offset,
+            total,
+            hasMore: offset + limit < total
+          }
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error fetching newsletters for admin:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch newsletters',
+        code: 'FETCH_ERROR'
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/admin/templates
+ * List templates from every user
+ */
+router.get('/templates',
+  [
+    ...paginationRules,
+    query('global')
+      .optional()
+      .isBoolean()
+      .withMessage('global must be a boolean')
+  ],
+  async (req, res) => {
+    try {
+      if (rejectInvalid(req, res)) return;
+
+      const limit = parseInt(req.query.limit) || 50;
+      const offset = parseInt(req.query.offset) || 0;
+
+      const { templates, total } = await Template.findAll({
+        limit,
+        offset,
+        isGlobal: req.query.global !== undefined ? req.query.global === 'true' : undefined,
+        search: req.query.search
+      });
+
+      res.json({
+        success: true,
+        data: {
+          templates: templates.map(template => template.toPublicJSON()),
+          pagination: {
+            limit,
+            offset,
+            total,
+            hasMore: offset + limit < total
+          }
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error fetching templates for admin:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch templates',
+        code: 'FETCH_ERROR'
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/admin/templates/global
+ * Create a template that every user can see
+ */
+router.post('/templates/global',
+  requirePermission('templates:manage'),
+  [
+    body('name')
+      .isLength({ min: 3, max: 200 })
+      .withMessage('Template name must be between 3 and 200 characters'),
+    body('description')
+      .optional()
+      .isLength({ max: 1000 })
+      .withMessage('Description must be less than 1000 characters'),
+    body('content')
+      .isObject()
+      .withMessage('Content must be a valid object'),
+    body('settings')
+      .optional()
+      .isObject()
+      .withMessage('Settings must be a valid object')
+  ],
+  async (req, res) => {
+    try {
+      if (rejectInvalid(req, res)) return;
+
+      const template = await Template.create({
+        name: req.body.name,
+        description: req.body.description,
+        content: req.body.content,
+        settings: req.body.settings,
+        isPublic: true,
+        isGlobal: true
+      }, req.user.id);
+
+      if (!template) {
+        return res.status(500).json({
+          success: false,
+          message: 'Failed to create template',
+          code: 'CREATE_ERROR'
+        });
+      }
+
+      res.status(201).json({
+        success: true,
+        message: 'Global template created successfully',
+        data: {
+          template: template.toPublicJSON()
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error creating global template:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create template',
+        code: 'CREATE_ERROR'
+      });
+    }
+  }
+);
+
+/**
+ * PUT /api/admin/templates/:id/global
+ * Promote any template to a global one, or take it back
+ */
+router.put('/templates/:id/global',
+  requirePermission('templates:manage'),
+  [
+    body('isGlobal')
+      .isBoolean()
+      .withMessage('isGlobal must be a boolean')
+  ],
+  async (req, res) => {
+    try {
+      if (rejectInvalid(req, res)) return;
+
+      const template = await Template.findById(req.params.id, null, { includePrivate: true });
+      if (!template) {
+        return res.status(404).json({
+          success: false,
+          message: 'Template not found',
+          code: 'TEMPLATE_NOT_FOUND'
+        });
+      }
+
+      await template.setGlobal(req.body.isGlobal === true || req.body.isGlobal === 'true', req.user.id);
+
+      res.json({
+        success: true,
+        message: template.isGlobal ? 'Template is now global' : 'Template is no longer global',
+        data: {
+          template: template.toPublicJSON()
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error updating template global flag:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update template',
+        code: 'UPDATE_ERROR'
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/admin/schools
+ * All schools with member counts
+ */
+router.get('/schools', async (req, res) => {
+  try {
+    const schools = await School.findAll();
+
+    res.json({
+      success: true,
+      data: {
+        schools: schools.map(school => school.toPublicJSON())
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error fetching schools:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch schools',
+      code: 'FETCH_ERROR'
+    });
+  }
 });
 
-router.get('/stats', (req, res) => {
-  // TODO: Get system statistics
-  res.json({ message: 'Admin stats endpoint - implementation pending' });
+/**
+ * POST /api/admin/schools
+ * Create a school, optionally inviting its first school admin by email
+ */
+router.post('/schools',
+  requirePermission('schools:manage'),
+  [
+    body('name')
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage('School name must be between 2 and 100 characters'),
+    body('adminEmail')
+      .optional({ checkFalsy: true })
+      .isEmail()
+      .normalizeEmail()
+      .withMessage('Please provide a valid email address for the school admin')
+  ],
+  async (req, res) => {
+    try {
+      if (rejectInvalid(req, res)) return;
+
+      const school = await School.create({ name: req.body.name }, req.user.id);
+
+      let message = 'School created';
+      if (req.body.adminEmail) {
+        // Like any member, the school admin joins by accepting the invitation
+        const invitation = await school.invite(req.body.adminEmail, School.ROLES.SCHOOL_ADMIN, req.user.id);
+        try {
+          await mailService.sendSchoolInvitation({
+            to: invitation.email,
+            schoolName: school.name,
+            inviterName: req.user.displayName,
+            role: invitation.role,
+            expiresInDays: School.INVITATION_TTL_DAYS
+          });
+        } catch (mailError) {
+          logger.error('Could not send school invitation email:', mailError);
+        }
+        message = `School created and ${invitation.email} invited as school admin`;
+      }
+
+      res.status(201).json({
+        success: true,
+        message,
+        data: {
+          school: school.toPublicJSON()
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error creating school:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create school',
+        code: 'CREATE_ERROR'
+      });
+    }
+  }
+);
+
+/**
+ * DELETE /api/admin/schools/:id
+ * Delete a school; its members stay as individual teachers and shared templates become private
+ */
+router.delete('/schools/:id', requirePermission('schools:manage'), async (req, res) => {
+  try {
+    const school = await School.findById(req.params.id);
+    if (!school) {
+      return res.status(404).json({
+        success: false,
+        message: 'School not found',
+        code: 'SCHOOL_NOT_FOUND'
+      });
+    }
+
+    await school.delete(req.user.id);
+
+    res.json({
+      success: true,
+      message: 'School deleted'
+    });
+
+  } catch (error) {
+    logger.error('Error deleting school:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete school',
+      code: 'DELETE_ERROR'
+    });
+  }
+});
+
+/**
+ * GET /api/admin/settings
+ * Service-wide security policies
+ */
+router.get('/settings', async (req, res) => {
+  try {
+    const settings = await SystemSetting.getAll();
+
+    res.json({
+      success: true,
+      message: 'Settings retrieved',
+      data: {
+        settings: {
+          requireAdminTwoFactor: Boolean(settings[SystemSetting.KEYS.REQUIRE_ADMIN_TWO_FACTOR])
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error getting settings:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get settings',
+      code: 'FETCH_ERROR'
+    });
+  }
+});
+
+/**
+ * PUT /api/admin/settings
+ * Update security policies. Requiring two-factor authentication for admins takes effect
+ * on their next admin request; admins without it are asked to enroll first.
+ */
+router.put('/settings',
+  requirePermission('settings:manage'),
+  [
+    body('requireAdminTwoFactor')
+      .isBoolean()
+      .withMessage('requireAdminTwoFactor must be a boolean')
+  ],
+  async (req, res) => {
+    try {
+      if (rejectInvalid(req, res)) return;
+
+      const requireAdminTwoFactor = req.body.requireAdminTwoFactor === true || req.body.requireAdminTwoFactor === 'true';
+
+      // Otherwise the admin making the change would lock themselves out of this page
+      if (requireAdminTwoFactor && !req.user.twoFactorEnabled) {
+        return res.status(400).json({
+          success: false,
+          message: 'Turn on two-factor authentication for your own account first',
+          code: 'TWO_FACTOR_NOT_ENABLED'
+        });
+      }
+
+      await SystemSetting.set(SystemSetting.KEYS.REQUIRE_ADMIN_TWO_FACTOR, requireAdminTwoFactor, req.user.id);
+      await User.logActivity(req.user.id, 'settings_updated', 'system', null, { requireAdminTwoFactor });
+
+      res.json({
+        success: true,
+        message: requireAdminTwoFactor
+          ? 'Admins now need two-factor authentication'
+          : 'Two-factor authentication is optional for admins',
+        data: {
+          settings: { requireAdminTwoFactor }
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error updating settings:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update settings',
+        code: 'UPDATE_ERROR'
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/admin/jobs
+ * Background jobs of every user and the system's recurring jobs, newest first
+ */
+router.get('/jobs',
+  [
+    ...paginationRules.slice(0, 2),
+    query('status')
+      .optional({ checkFalsy: true })
+      .isIn(Job.STATUSES)
+      .withMessage(`Status must be one of ${Job.STATUSES.join(', ')}`),
+    query('type')
+      .optional({ checkFalsy: true })
+      .isLength({ max: 100 })
+      .withMessage('Type must be less than 100 characters'),
+    query('userId')
+      .optional()
+      .isUUID()
+      .withMessage('userId must be a valid ID')
+  ],
+  async (req, res) => {
+    try {
+      if (rejectInvalid(req, res)) return;
+
+      const limit = parseInt(req.query.limit) || 20;
+      const offset = parseInt(req.query.offset) || 0;
+
+      const { jobs, total } = await Job.find({
+        limit,
+        offset,
+        status: req.query.status,
+        type: req.query.type,
+        userId: req.query.userId
+      });
+
+      res.json({
+        success: true,
+        data: {
+          jobs: jobs.map(job => ({
+            ...job.toPublicJSON(),
+            userId: job.userId,
+            lockedBy: job.lockedBy,
+            lockedAt: job.lockedAt
+          })),
+          pagination: {
+            limit,
+            offset,
+            total,
+            hasMore: offset + limit < total
+          }
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error fetching jobs:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch jobs',
+        code: 'FETCH_ERROR'
+      });
+    }
+  }
+);
+
+/**
+ * POST /api/admin/jobs/:id/retry
+ * Queue a failed job to run again now
+ */
+router.post('/jobs/:id/retry', requirePermission('jobs:manage'), async (req, res) => {
+  try {
+    const job = await Job.findById(req.params.id);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found',
+        code: 'JOB_NOT_FOUND'
+      });
+    }
+
+    if (!(await job.retry(jobRunner.maxAttemptsFor(job.type)))) {
+      return res.status(409).json({
+        success: false,
+        message: 'Only failed jobs can be retried',
+        code: 'JOB_NOT_FAILED'
+      });
+    }
+
+    await User.logActivity(req.user.id, 'job_retried', 'system', job.id, { type: job.type });
+
+    res.json({
+      success: true,
+      message: 'Job queued to run again',
+      data: {
+        job: job.toPublicJSON()
+      }
+    });
+
+  } catch (error) {
+    if (error.code === 'JOB_ALREADY_QUEUED') {
+      return res.status(409).json({
+        success: false,
+        message: error.message,
+        code: error.code
+      });
+    }
+
+    logger.error('Error retrying job:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retry job',
+      code: 'RETRY_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/admin/jobs/:id/cancel
+ * Cancel a job that has not started yet
+ */
+router.post('/jobs/:id/cancel', requirePermission('jobs:manage'), async (req, res) => {
+  try {
+    const job = await Job.findById(req.params.id);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job not found',
+        code: 'JOB_NOT_FOUND'
+      });
+    }
+
+    if (!(await job.cancel(req.user.id))) {
+      return res.status(409).json({
+        success: false,
+        message: 'Only jobs that have not started can be cancelled',
+        code: 'JOB_NOT_PENDING'
+      });
+    }
+
+    await User.logActivity(req.user.id, 'job_cancelled', 'system', job.id, { type: job.type });
+
+    res.json({
+      success: true,
+      message: 'Job cancelled',
+      data: {
+        job: job.toPublicJSON()
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error cancelling job:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel job',
+      code: 'CANCEL_ERROR'
+    });
+  }
+});
+
+/**
+ * GET /api/admin/health
+ * Database, connection pool and process health
+ */
+router.get('/health', async (req, res) => {
+  try {
+    const db = DatabaseManager.getInstance();
+    const databaseHealthy = await db.healthCheck();
+    const memory = process.memoryUsage();
+
+    res.status(databaseHealthy ? 200 : 503).json({
+      success: databaseHealthy,
+      data: {
+        status: databaseHealthy ? 'OK' : 'DEGRADED',
+        database: {
+          healthy: databaseHealthy,
+          pool: db.getStats()
+        },
+        process: {
+          uptimeSeconds: Math.round(process.uptime()),
+          nodeVersion: process.version,
+          environment: process.env.NODE_ENV || 'development',
+          memoryMb: {
+            rss: Math.round(memory.rss / 1024 / 1024),
+            heapUsed: Math.round(memory.heapUsed / 1024 / 1024),
+            heapTotal: Math.round(memory.heapTotal / 1024 / 1024)
+          }
+        },
+        timestamp: new Date().toISOString()
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error checking system health:', error);
+    res.status(503).json({
+      success: false,
+      message: 'Health check failed',
+      code: 'HEALTH_CHECK_ERROR'
+    });
+  }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -8,6 +8,14 @@ const { body, validationResult } = require('express-validator');
 const rateLimit = require('express-rate-limit');
 const User = require('../models/User');
 const AuthService = require('../services/AuthService');
+const mailService = require('../services/mailService');
+const policyService = require('../services/policyService');
+const accountDataService = require('../services/accountDataService');
+const UserToken = require('../models/UserToken');
+const RecoveryCode = require('../models/RecoveryCode');
+const PersonalAccessToken = require('../models/PersonalAccessToken');
+const SystemSetting = require('../models/SystemSetting');
+const SecurityNotice = require('../models/SecurityNotice');
 const { 
     authenticate, 
     validateRefreshToken, 
@@ -45,6 +53,96 @@ const registerRateLimit = rateLimit({
     legacyHeaders: false
 });
 
+const passwordResetRateLimit = rateLimit({
+    windowMs: 60 * 60 * 1000, // 1 hour
+    max: 5, // Limit each IP to 5 reset requests per hour
+    message: {
+        success: false,
+        message: 'Too many password reset attempts. Please try again later.',
+        code: 'RATE_LIMIT_EXCEEDED'
+    },
+    standardHeaders: true,
+    legacyHeaders: false
+});
+
+const twoFactorRateLimit = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 10, // Limit each IP to 10 code attempts per windowMs
+    message: {
+        success: false,
+        message: 'Too many verification code attempts. Please try again later.',
+        code: 'RATE_LIMIT_EXCEEDED'
+    },
+    standardHeaders: true,
+    legacyHeaders: false
+});
+
+const verificationResendRateLimit = rateLimit({
+    windowMs: 60 * 60 * 1000, // 1 hour
+    max: 5, // Limit each IP to 5 verification emails per hour
+    message: {
+        success: false,
+        message: 'Too many verification emails requested. Please try again later.',
+        code: 'RATE_LIMIT_EXCEEDED'
+    },
+    standardHeaders: true,
+    legacyHeaders: false
+});
+
+// Reset links stay valid for an hour unless configured otherwise
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+
+// Verification links stay valid for two days; a new one can be requested once a minute
+const EMAIL_VERIFICATION_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 48;
+const VERIFICATION_RESEND_COOLDOWN_SECONDS = 60;
+
+/**
+ * Respond with a 423 for a temporarily locked account
+ */
+function rejectLocked(res, error) {
+    const retryAfterSeconds = Math.max(1, Math.ceil((new Date(error.lockedUntil).getTime() - Date.now()) / 1000));
+    res.set('Retry-After', String(retryAfterSeconds));
+    return res.status(423).json({
+        success: false,
+        message: error.message,
+        code: 'ACCOUNT_LOCKED',
+        data: {
+            lockedUntil: error.lockedUntil,
+            retryAfterSeconds
+        }
+    });
+}
+
+/**
+ * Whether policy obliges this user to use two-factor authentication
+ * (everyone who can open the admin console, when the setting is on)
+ */
+async function isTwoFactorRequired(user) {
+    return policyService.can(user, 'admin:view') && Boolean(await SystemSetting.get(SystemSetting.KEYS.REQUIRE_ADMIN_TWO_FACTOR));
+}
+
+/**
+ * Issue a verification token and email the link to the user
+ */
+async function sendVerificationEmail(req, user) {
+    // Throws before a token is issued when FRONTEND_URL is not set
+    const verifyPage = mailService.appUrl('/verify-email');
+
+    const { token } = await UserToken.issue(
+        user.id,
+        UserToken.PURPOSES.EMAIL_VERIFICATION,
+        EMAIL_VERIFICATION_TTL_HOURS * 60,
+        getClientIP(req)
+    );
+
+    await mailService.sendEmailVerification({
+        to: user.email,
+        displayName: user.displayName,
+        verifyUrl: `${verifyPage}?token=${token}`,
+        expiresInHours: EMAIL_VERIFICATION_TTL_HOURS
+    });
+}
+
 // Validation rules
 const registerValidation = [
     body('email')
@@ -89,6 +187,22 @@ const loginValidation = [
         .withMessage('Password is required')
 ];
 
+// A six-digit authenticator code or a recovery code
+const secondFactorValidation = [
+    body('code')
+        .optional()
+        .matches(/^\d{6}$/)
+        .withMessage('Code must be 6 digits'),
+    body('recoveryCode')
+        .optional()
+        .isString()
+        .isLength({ min: 10, max: 20 })
+        .withMessage('Recovery code is invalid'),
+    body()
+        .custom(value => Boolean(value.code || value.recoveryCode))
+        .withMessage('Enter a code from your authenticator app or a recovery code')
+];
+
 /**
  * GET /auth/status
  * Health check endpoint
@@ -141,6 +255,13 @@ router.post('/register',
             
             const authData = await AuthService.createSession(user, deviceInfo, ipAddress);
 
+            // The account works without it; the user can ask for another link later
+            try {
+                await sendVerificationEmail(req, user);
+            } catch (mailError) {
+                logger.error('Could not send verification email after registration:', mailError);
+            }
+
             logger.info(`User registered successfully: ${email}`);
 
             res.status(201).json({
@@ -204,23 +325,35 @@ router.post('/login',
             }
 
             const { email, password } = req.body;
+            const deviceInfo = getDeviceInfo(req);
+            const ipAddress = getClientIP(req);
 
             // Authenticate user
-            const user = await User.authenticate(email, password);
+            const user = await User.authenticate(email, password, { ipAddress });
             if (!user) {
+                // Locked accounts get this same answer, so the hint is always there
                 return res.status(401).json({
                     success: false,
-                    message: 'Invalid email or password',
+                    message: 'Invalid email or password. After several failed attempts sign-in pauses for a while; resetting your password lifts the pause.',
                     code: 'INVALID_CREDENTIALS'
                 });
             }
 
             // Create authentication session
-            const deviceInfo = getDeviceInfo(req);
-            const ipAddress = getClientIP(req);
-            
             const authData = await AuthService.createSession(user, deviceInfo, ipAddress);
 
+            if (authData.twoFactorRequired) {
+                return res.json({
+                    success: true,
+                    message: 'Enter the code from your authenticator app',
+                    data: {
+                        twoFactorRequired: true,
+                        challengeToken: authData.challengeToken,
+                        expiresAt: authData.expiresAt
+                    }
+                });
+            }
+
             logger.info(`User logged in successfully: ${email}`);
 
             res.json({
@@ -245,6 +378,109 @@ router.post('/login',
     }
 );
 
+/**
+ * POST /auth/login/two-factor
+ * Second step of a two-factor login: exchange the challenge and a code for a session
+ */
+router.post('/login/two-factor',
+    twoFactorRateLimit,
+    logAuthEvent('login-two-factor'),
+    [
+        body('challengeToken')
+            .isString()
+            .notEmpty()
+            .withMessage('Challenge token is required'),
+        ...secondFactorValidation
+    ],
+    async (req, res) => {
+        try {
+            // Check validation errors
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array(),
+                    code: 'VALIDATION_ERROR'
+                });
+            }
+
+            let challenge;
+            try {
+                challenge = AuthService.verifyTwoFactorChallenge(req.body.challengeToken);
+            } catch (challengeError) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Your sign-in attempt has expired. Please enter your password again.',
+                    code: 'TWO_FACTOR_CHALLENGE_INVALID'
+                });
+            }
+
+            const user = await User.findById(challenge.userId);
+            if (!user || !user.twoFactorEnabled) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Your sign-in attempt has expired. Please enter your password again.',
+                    code: 'TWO_FACTOR_CHALLENGE_INVALID'
+                });
+            }
+
+            if (user.isLocked()) {
+                return rejectLocked(res, User.lockedError(user.lockedUntil));
+            }
+
+            const ipAddress = getClientIP(req);
+
+            const method = await user.verifySecondFactor(req.body);
+            if (!method) {
+                await User.logActivity(user.id, 'login_failed', 'auth', user.id, {
+                    reason: 'invalid_two_factor_code'
+                });
+                if (await user.recordFailedLogin({ ipAddress })) {
+                    return rejectLocked(res, User.lockedError(user.lockedUntil));
+                }
+                return res.status(401).json({
+                    success: false,
+                    message: 'That code is not valid. Please try again.',
+                    code: 'INVALID_TWO_FACTOR_CODE'
+                });
+            }
+
+            await user.clearFailedLogins();
+            await user.updateLastLogin();
+            await User.logActivity(user.id, 'login_success', 'auth', user.id, { twoFactor: method });
+
+            const deviceInfo = getDeviceInfo(req);
+
+            const authData = await AuthService.createSession(user, deviceInfo, ipAddress, { twoFactorVerified: true });
+
+            logger.info(`User logged in with two-factor authentication: ${user.email}`);
+
+            res.json({
+                success: true,
+                message: 'Login successful',
+                data: {
+                    user: authData.user,
+                    accessToken: authData.accessToken,
+                    refreshToken: authData.refreshToken,
+                    expiresAt: authData.expiresAt,
+                    recoveryCodesRemaining: method === 'recovery_code'
+                        ? await RecoveryCode.countRemaining(user.id)
+                        : undefined
+                }
+            });
+
+        } catch (error) {
+            logger.error('Two-factor login error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error during login',
+                code: 'LOGIN_ERROR'
+            });
+        }
+    }
+);
+
 /**
  * POST /auth/refresh
  * Refresh access token using refresh token
@@ -366,11 +602,26 @@ router.get('/me',
     authenticate,
     async (req, res) => {
         try {
+            const lastSentAt = req.user.emailVerified
+                ? null
+                : await UserToken.lastIssuedAt(req.user.id, UserToken.PURPOSES.EMAIL_VERIFICATION);
+
             res.json({
                 success: true,
                 message: 'User profile retrieved',
                 data: {
-                    user: req.user.toPublicJSON()
+                    user: req.user.toPublicJSON(),
+                    verification: {
+                        emailVerified: req.user.emailVerified,
+                        lastSentAt
+                    },
+                    twoFactor: {
+                        enabled: req.user.twoFactorEnabled,
+                        required: await isTwoFactorRequired(req.user)
+                    },
+                    securityNotices: {
+                        unread: await SecurityNotice.countUnread(req.user.id)
+                    }
                 }
             });
 
@@ -543,66 +794,832 @@ router.post('/change-password',
 );
 
 /**
- * GET /auth/sessions
- * Get user's active sessions
+ * POST /auth/password-reset/request
+ * Email a single-use reset link. Always answers the same way so it cannot be used
+ * to find out which emails have accounts.
  */
-router.get('/sessions',
-    authenticate,
+router.post('/password-reset/request',
+    passwordResetRateLimit,
+    logAuthEvent('password-reset-request'),
+    [
+        body('email')
+            .isEmail()
+            .normalizeEmail()
+            .withMessage('Valid email is required')
+    ],
     async (req, res) => {
         try {
-            const sessions = await AuthService.getUserSessions(req.user.id);
+            // Check validation errors
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array(),
+                    code: 'VALIDATION_ERROR'
+                });
+            }
+
+            // Checked before the lookup so the answer does not depend on whether the account exists
+            if (!mailService.hasAppUrl()) {
+                logger.error('Password reset requested but FRONTEND_URL is not set; no reset link was sent');
+                return res.status(503).json({
+                    success: false,
+                    message: 'Password reset emails are not available right now',
+                    code: 'EMAIL_LINKS_NOT_CONFIGURED'
+                });
+            }
+
+            const user = await User.findByEmail(req.body.email);
+
+            if (user) {
+                const { token } = await UserToken.issue(
+                    user.id,
+                    UserToken.PURPOSES.PASSWORD_RESET,
+                    PASSWORD_RESET_TTL_MINUTES,
+                    getClientIP(req)
+                );
+
+                await mailService.sendPasswordReset({
+                    to: user.email,
+                    displayName: user.displayName,
+                    resetUrl: mailService.appUrl(`/reset-password?token=${token}`),
+                    expiresInMinutes: PASSWORD_RESET_TTL_MINUTES
+                });
+
+                await User.logActivity(user.id, 'password_reset_requested', 'auth', user.id);
+            } else {
+                logger.info(`Password reset requested for unknown email: ${req.body.email}`);
+            }
 
             res.json({
                 success: true,
-                message: 'Sessions retrieved successfully',
+                message: 'If an account exists for that email, a reset link is on its way.'
+            });
+
+        } catch (error) {
+            logger.error('Password reset request error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error during password reset request',
+                code: 'PASSWORD_RESET_ERROR'
+            });
+        }
+    }
+);
+
+/**
+ * POST /auth/password-reset/confirm
+ * Set a new password with a reset token; signs the user out everywhere
+ */
+router.post('/password-reset/confirm',
+    passwordResetRateLimit,
+    logAuthEvent('password-reset-confirm'),
+    [
+        body('token')
+            .isHexadecimal()
+            .isLength({ min: 64, max: 64 })
+            .withMessage('Reset token is invalid'),
+        body('newPassword')
+            .notEmpty()
+            .withMessage('New password is required')
+    ],
+    async (req, res) => {
+        try {
+            // Check validation errors
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array(),
+                    code: 'VALIDATION_ERROR'
+                });
+            }
+
+            const user = await User.resetPassword(req.body.token, req.body.newPassword);
+            if (!user) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'This reset link is invalid or has expired. Please request a new one.',
+                    code: 'INVALID_RESET_TOKEN'
+                });
+            }
+
+            res.json({
+                success: true,
+                message: 'Password reset successfully. Please log in with your new password.'
+            });
+
+        } catch (error) {
+            logger.error('Password reset error:', error);
+
+            if (error.message.includes('validation failed')) {
+                return res.status(400).json({
+                    success: false,
+                    message: error.message,
+                    code: 'VALIDATION_ERROR'
+                });
+            }
+
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error during password reset',
+                code: 'PASSWORD_RESET_ERROR'
+            });
+        }
+    }
+);
+
+/**
+ * POST /auth/verify-email
+ * Confirm an email address with the token from the verification link
+ */
+router.post('/verify-email',
+    logAuthEvent('verify-email'),
+    [
+        body('token')
+            .isHexadecimal()
+            .isLength({ min: 64, max: 64 })
+            .withMessage('Verification token is invalid')
+    ],
+    async (req, res) => {
+        try {
+            // Check validation errors
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array(),
+                    code: 'VALIDATION_ERROR'
+                });
+            }
+
+            const user = await User.verifyEmail(req.body.token);
+            if (!user) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'This verification link is invalid or has expired. Please request a new one.',
+                    code: 'INVALID_VERIFICATION_TOKEN'
+                });
+            }
+
+            res.json({
+                success: true,
+                message: 'Email address verified',
                 data: {
-                    sessions: sessions.map(session => ({
-                        id: session.id,
-                        deviceInfo: session.device_info,
-                        ipAddress: session.ip_address,
-                        createdAt: session.created_at,
-                        expiresAt: session.expires_at
-                    }))
+                    user: user.toPublicJSON()
                 }
             });
 
         } catch (error) {
-            logger.error('Get sessions error:', error);
+            logger.error('Email verification error:', error);
             res.status(500).json({
                 success: false,
-                message: 'Internal server error',
-                code: 'SESSIONS_ERROR'
+                message: 'Internal server error during email verification',
+                code: 'VERIFICATION_ERROR'
             });
         }
     }
 );
 
 /**
- * DELETE /auth/sessions/:sessionId
- * Revoke a specific session
+ * POST /auth/verify-email/resend
+ * Email a fresh verification link to the signed-in user
  */
-router.delete('/sessions/:sessionId',
+router.post('/verify-email/resend',
     authenticate,
+    verificationResendRateLimit,
+    logAuthEvent('verify-email-resend'),
     async (req, res) => {
         try {
-            const { sessionId } = req.params;
-            const success = await AuthService.revokeSession(sessionId, req.user.id);
+            if (req.user.emailVerified) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Your email address is already verified',
+                    code: 'ALREADY_VERIFIED'
+                });
+            }
 
-            if (!success) {
-                return res.status(404).json({
+            const lastSentAt = await UserToken.lastIssuedAt(req.user.id, UserToken.PURPOSES.EMAIL_VERIFICATION);
+            const secondsSinceLast = lastSentAt ? (Date.now() - new Date(lastSentAt).getTime()) / 1000 : Infinity;
+
+            if (secondsSinceLast < VERIFICATION_RESEND_COOLDOWN_SECONDS) {
+                const retryAfterSeconds = Math.ceil(VERIFICATION_RESEND_COOLDOWN_SECONDS - secondsSinceLast);
+                res.set('Retry-After', String(retryAfterSeconds));
+                return res.status(429).json({
                     success: false,
-                    message: 'Session not found',
-                    code: 'SESSION_NOT_FOUND'
+                    message: `Please wait ${retryAfterSeconds} seconds before requesting another email`,
+                    code: 'RESEND_TOO_SOON',
+                    data: { retryAfterSeconds }
                 });
             }
 
+            await sendVerificationEmail(req, req.user);
+            await User.logActivity(req.user.id, 'verification_email_sent', 'user', req.user.id);
+
             res.json({
                 success: true,
-                message: 'Session revoked successfully'
+                message: `Verification email sent to ${req.user.email}`
             });
 
         } catch (error) {
-            logger.error('Revoke session error:', error);
+            if (error.code === 'FRONTEND_URL_NOT_CONFIGURED') {
+                logger.error('Verification email requested but FRONTEND_URL is not set');
+                return res.status(503).json({
+                    success: false,
+                    message: 'Verification emails are not available right now',
+                    code: 'EMAIL_LINKS_NOT_CONFIGURED'
+                });
+            }
+
+            logger.error('Verification resend error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error while sending verification email',
+                code: 'VERIFICATION_ERROR'
+            });
+        }
+    }
+);
+
+/**
+ * GET /auth/two-factor
+ * Two-factor status for the signed-in user
+ */
+router.get('/two-factor',
+    authenticate,
+    async (req, res) => {
+        try {
+            res.json({
+                success: true,
+                message: 'Two-factor status retrieved',
+                data: {
+                    enabled: req.user.twoFactorEnabled,
+                    enabledAt: req.user.twoFactorEnabledAt,
+                    required: await isTwoFactorRequired(req.user),
+                    recoveryCodesRemaining: req.user.twoFactorEnabled
+                        ? await RecoveryCode.countRemaining(req.user.id)
+                        : 0
+                }
+            });
+
+        } catch (error) {
+            logger.error('Two-factor status error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error',
+                code: 'TWO_FACTOR_ERROR'
+            });
+        }
+    }
+);
+
+/**
+ * POST /auth/two-factor/setup
+ * Start enrollment: returns a new secret and the otpauth:// URI for authenticator apps
+ */
+router.post('/two-factor/setup',
+    authenticate,
+    logAuthEvent('two-factor-setup'),
+    [
+        body('password')
+            .notEmpty()
+            .withMessage('Password is required')
+    ],
+    async (req, res) => {
+        try {
+            // Check validation errors
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array(),
+                    code: 'VALIDATION_ERROR'
+                });
+            }
+
+            if (req.user.twoFactorEnabled) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Two-factor authentication is already on',
+                    code: 'TWO_FACTOR_ALREADY_ENABLED'
+                });
+            }
+
+            if (!await req.user.verifyPassword(req.body.password)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Current password is incorrect',
+                    code: 'INVALID_CURRENT_PASSWORD'
+                });
+            }
+
+            const setup = await req.user.beginTwoFactorSetup();
+
+            res.json({
+                success: true,
+                message: 'Add this account to your authenticator app, then enter a code to finish',
+                data: setup
+            });
+
+        } catch (error) {
+            logger.error('Two-factor setup error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error during two-factor setup',
+                code: 'TWO_FACTOR_ERROR'
+            });
+        }
+    }
+);
+
+/**
+ * POST /auth/two-factor/enable
+ * Finish enrollment with a code from the app; returns one-time recovery codes
+ */
+router.post('/two-factor/enable',
+    authenticate,
+    twoFactorRateLimit,
+    logAuthEvent('two-factor-enable'),
+    [
+        body('code')
+            .matches(/^\d{6}$/)
+            .withMessage('Code must be 6 digits')
+    ],
+    async (req, res) => {
+        try {
+            // Check validation errors
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array(),
+                    code: 'VALIDATION_ERROR'
+                });
+            }
+
+            if (req.user.twoFactorEnabled) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Two-factor authentication is already on',
+                    code: 'TWO_FACTOR_ALREADY_ENABLED'
+                });
+            }
+
+            const recoveryCodes = await req.user.enableTwoFactor(req.body.code);
+            if (!recoveryCodes) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'That code is not valid. Check the time on your device and try again.',
+                    code: 'INVALID_TWO_FACTOR_CODE'
+                });
+            }
+
+            res.json({
+                success: true,
+                message: 'Two-factor authentication is on. Save your recovery codes somewhere safe.',
+                data: {
+                    user: req.user.toPublicJSON(),
+                    recoveryCodes
+                }
+            });
+
+        } catch (error) {
+            logger.error('Two-factor enable error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error during two-factor setup',
+                code: 'TWO_FACTOR_ERROR'
+            });
+        }
+    }
+);
+
+/**
+ * POST /auth/two-factor/recovery-codes
+ * Replace the recovery codes (the old ones stop working)
+ */
+router.post('/two-factor/recovery-codes',
+    authenticate,
+    twoFactorRateLimit,
+    logAuthEvent('two-factor-recovery-codes'),
+    [
+        body('code')
+            .matches(/^\d{6}$/)
+            .withMessage('Code must be 6 digits')
+    ],
+    async (req, res) => {
+        try {
+            // Check validation errors
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array(),
+                    code: 'VALIDATION_ERROR'
+                });
+            }
+
+            if (!req.user.twoFactorEnabled) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Two-factor authentication is not on',
+                    code: 'TWO_FACTOR_NOT_ENABLED'
+                });
+            }
+
+            if (!await req.user.verifyTwoFactorCode(req.body.code)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'That code is not valid. Please try again.',
+                    code: 'INVALID_TWO_FACTOR_CODE'
+                });
+            }
+
+            const recoveryCodes = await req.user.regenerateRecoveryCodes();
+
+            res.json({
+                success: true,
+                message: 'New recovery codes created. The old codes no longer work.',
+                data: { recoveryCodes }
+            });
+
+        } catch (error) {
+            logger.error('Recovery code regeneration error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error',
+                code: 'TWO_FACTOR_ERROR'
+            });
+        }
+    }
+);
+
+/**
+ * POST /auth/two-factor/disable
+ * Turn two-factor authentication off (password plus a code or recovery code)
+ */
+router.post('/two-factor/disable',
+    authenticate,
+    twoFactorRateLimit,
+    logAuthEvent('two-factor-disable'),
+    [
+        body('password')
+            .notEmpty()
+            .withMessage('Password is required'),
+        ...secondFactorValidation
+    ],
+    async (req, res) => {
+        try {
+            // Check validation errors
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array(),
+                    code: 'VALIDATION_ERROR'
+                });
+            }
+
+            if (!req.user.twoFactorEnabled) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Two-factor authentication is not on',
+                    code: 'TWO_FACTOR_NOT_ENABLED'
+                });
+            }
+
+            if (await isTwoFactorRequired(req.user)) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Two-factor authentication is required for admin accounts',
+                    code: 'TWO_FACTOR_REQUIRED'
+                });
+            }
+
+            if (!await req.user.verifyPassword(req.body.password)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Current password is incorrect',
+                    code: 'INVALID_CURRENT_PASSWORD'
+                });
+            }
+
+            if (!await req.user.verifySecondFactor(req.body)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'That code is not valid. Please try again.',
+                    code: 'INVALID_TWO_FACTOR_CODE'
+                });
+            }
+
+            await req.user.disableTwoFactor(req.user.id);
+
+            res.json({
+                success: true,
+                message: 'Two-factor authentication is off',
+                data: {
+                    user: req.user.toPublicJSON()
+                }
+            });
+
+        } catch (error) {
+            logger.error('Two-factor disable error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error',
+                code: 'TWO_FACTOR_ERROR'
+            });
+        }
+    }
+);
+
+/**
+ * GET /auth/security-notices
+ * Recent security notices for the signed-in user (unfamiliar sign-ins, lockouts)
+ */
+router.get('/security-notices',
+    authenticate,
+    async (req, res) => {
+        try {
+            const notices = await SecurityNotice.findByUser(req.user.id, {
+                unreadOnly: req.query.unread === 'true'
+            });
+
+            res.json({
+                success: true,
+                message: 'Security notices retrieved',
+                data: {
+                    notices: notices.map(notice => notice.toPublicJSON()),
+                    unread: await SecurityNotice.countUnread(req.user.id)
+                }
+            });
+
+        } catch (error) {
+            logger.error('Get security notices error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error',
+                code: 'SECURITY_NOTICES_ERROR'
+            });
+        }
+    }
+);
+
+/**
+ * POST /auth/security-notices/read
+ * Mark one notice ({ noticeId }) or all of them as read
+ */
+router.post('/security-notices/read',
+    authenticate,
+    [
+        body('noticeId')
+            .optional()
+            .isUUID()
+            .withMessage('Notice ID must be a valid UUID')
+    ],
+    async (req, res) => {
+        try {
+            // Check validation errors
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array(),
+                    code: 'VALIDATION_ERROR'
+                });
+            }
+
+            const marked = await SecurityNotice.markRead(req.user.id, req.body.noticeId || null);
+
+            res.json({
+                success: true,
+                message: 'Security notices marked as read',
+                data: { marked }
+            });
+
+        } catch (error) {
+            logger.error('Mark security notices read error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error',
+                code: 'SECURITY_NOTICES_ERROR'
+            });
+        }
+    }
+);
+
+/**
+ * GET /auth/sessions
+ * Get user's active sessions
+ */
+router.get('/sessions',
+    authenticate,
+    async (req, res) => {
+        try {
+            const sessions = await AuthService.getUserSessions(req.user.id);
+
+            res.json({
+                success: true,
+                message: 'Sessions retrieved successfully',
+                data: {
+                    sessions: sessions.map(session => ({
+                        id: session.id,
+                        deviceInfo: session.device_info,
+                        ipAddress: session.ip_address,
+                        createdAt: session.created_at,
+                        expiresAt: session.expires_at
+                    }))
+                }
+            });
+
+        } catch (error) {
+            logger.error('Get sessions error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error',
+                code: 'SESSIONS_ERROR'
+            });
+        }
+    }
+);
+
+/**
+ * DELETE /auth/sessions/:sessionId
+ * Revoke a specific session
+ */
+router.delete('/sessions/:sessionId',
+    authenticate,
+    async (req, res) => {
+        try {
+            const { sessionId } = req.params;
+            const success = await AuthService.revokeSession(sessionId, req.user.id);
+
+            if (!success) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Session not found',
+                    code: 'SESSION_NOT_FOUND'
+                });
+            }
+
+            res.json({
+                success: true,
+                message: 'Session revoked successfully'
+            });
+
+        } catch (error) {
+            logger.error('Revoke session error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error',
+                code: 'REVOKE_ERROR'
+            });
+        }
+    }
+);
+
+/**
+ * GET /auth/tokens
+ * The user's personal access tokens (never the raw values)
+ */
+router.get('/tokens',
+    authenticate,
+    async (req, res) => {
+        try {
+            const tokens = await PersonalAccessToken.findByUser(req.user.id);
+
+            res.json({
+                success: true,
+                message: 'Access tokens retrieved',
+                data: {
+                    tokens: tokens.map(token => token.toPublicJSON()),
+                    scopes: Object.values(PersonalAccessToken.SCOPES)
+                }
+            });
+
+        } catch (error) {
+            logger.error('Get access tokens error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error',
+                code: 'TOKENS_ERROR'
+            });
+        }
+    }
+);
+
+/**
+ * POST /auth/tokens
+ * Create a personal access token for scripts. The raw token is in this response only.
+ */
+router.post('/tokens',
+    authenticate,
+    [
+        body('name')
+            .trim()
+            .isLength({ min: 1, max: 100 })
+            .withMessage('Token name must be between 1 and 100 characters'),
+        body('scopes')
+            .isArray({ min: 1 })
+            .withMessage('Choose at least one scope'),
+        body('scopes.*')
+            .isIn(Object.values(PersonalAccessToken.SCOPES))
+            .withMessage(`Scopes must be among: ${Object.values(PersonalAccessToken.SCOPES).join(', ')}`),
+        body('expiresInDays')
+            .optional({ nullable: true })
+            .isInt({ min: 1, max: 365 })
+            .withMessage('Expiry must be between 1 and 365 days, or null for no expiry')
+    ],
+    async (req, res) => {
+        try {
+            // Check validation errors
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array(),
+                    code: 'VALIDATION_ERROR'
+                });
+            }
+
+            const { token, accessToken } = await PersonalAccessToken.create(req.user.id, {
+                name: req.body.name,
+                scopes: [...new Set(req.body.scopes)],
+                expiresInDays: req.body.expiresInDays ? parseInt(req.body.expiresInDays) : null
+            });
+
+            await User.logActivity(req.user.id, 'access_token_created', 'auth', accessToken.id, {
+                name: accessToken.name,
+                scopes: accessToken.scopes,
+                expiresAt: accessToken.expiresAt
+            });
+
+            res.status(201).json({
+                success: true,
+                message: 'Access token created. Copy it now; it will not be shown again.',
+                data: {
+                    token,
+                    accessToken: accessToken.toPublicJSON()
+                }
+            });
+
+        } catch (error) {
+            if (error.code === 'TOKEN_LIMIT_REACHED') {
+                return res.status(409).json({
+                    success: false,
+                    message: error.message,
+                    code: error.code
+                });
+            }
+
+            logger.error('Create access token error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error',
+                code: 'TOKEN_CREATE_ERROR'
+            });
+        }
+    }
+);
+
+/**
+ * DELETE /auth/tokens/:tokenId
+ * Revoke a personal access token; scripts using it stop working immediately
+ */
+router.delete('/tokens/:tokenId',
+    authenticate,
+    async (req, res) => {
+        try {
+            const accessToken = await PersonalAccessToken.revoke(req.params.tokenId, req.user.id);
+
+            if (!accessToken) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Access token not found',
+                    code: 'TOKEN_NOT_FOUND'
+                });
+            }
+
+            await User.logActivity(req.user.id, 'access_token_revoked', 'auth', accessToken.id, {
+                name: accessToken.name
+            });
+
+            res.json({
+                success: true,
+                message: 'Access token revoked'
+            });
+
+        } catch (error) {
+            logger.error('Revoke access token error:', error);
             res.status(500).json({
                 success: false,
                 message: 'Internal server error',
@@ -612,4 +1629,131 @@ router.delete('/sessions/:sessionId',
     }
 );
 
+/**
+ * GET /auth/data-export
+ * Download everything stored about the account as a ZIP of JSON files and rendered newsletters
+ */
+router.get('/data-export',
+    authenticate,
+    async (req, res) => {
+        try {
+            // Relative image paths resolve against FRONTEND_URL only, never the Host header
+            const { filename, buffer } = await accountDataService.buildExport(req.user, { baseUrl: process.env.FRONTEND_URL });
+
+            await User.logActivity(req.user.id, 'data_exported', 'user', req.user.id, { size: buffer.length });
+
+            res.setHeader('Content-Type', 'application/zip');
+            res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+            res.send(buffer);
+
+        } catch (error) {
+            logger.error('Data export error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error',
+                code: 'DATA_EXPORT_ERROR'
+            });
+        }
+    }
+);
+
+/**
+ * POST /auth/delete-account
+ * Schedule the account for deletion after the grace period. Signs out every device;
+ * signing in again before the date allows cancelling.
+ */
+router.post('/delete-account',
+    authenticate,
+    [
+        body('password')
+            .notEmpty()
+            .withMessage('Password is required')
+    ],
+    async (req, res) => {
+        try {
+            // Check validation errors
+            const errors = validationResult(req);
+            if (!errors.isEmpty()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Validation failed',
+                    errors: errors.array(),
+                    code: 'VALIDATION_ERROR'
+                });
+            }
+
+            if (!await req.user.verifyPassword(req.body.password)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Current password is incorrect',
+                    code: 'INVALID_CURRENT_PASSWORD'
+                });
+            }
+
+            await req.user.requestDeletion(req.user.id);
+
+            res.json({
+                success: true,
+                message: `Your account will be deleted on ${new Date(req.user.deletionScheduledFor).toDateString()}. Sign in before then to cancel.`,
+                data: {
+                    deletionScheduledFor: req.user.deletionScheduledFor
+                }
+            });
+
+        } catch (error) {
+            if (error.code === 'LAST_SITE_ADMIN') {
+                return res.status(409).json({
+                    success: false,
+                    message: error.message,
+                    code: error.code
+                });
+            }
+
+            logger.error('Delete account error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error',
+                code: 'DELETE_ACCOUNT_ERROR'
+            });
+        }
+    }
+);
+
+/**
+ * POST /auth/delete-account/cancel
+ * Keep the account after all
+ */
+router.post('/delete-account/cancel',
+    authenticate,
+    async (req, res) => {
+        try {
+            const cancelled = await req.user.cancelDeletion(req.user.id);
+
+            if (!cancelled) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Your account is not scheduled for deletion',
+                    code: 'DELETION_NOT_SCHEDULED'
+                });
+            }
+
+            res.json({
+                success: true,
+                message: 'Account deletion cancelled',
+                data: {
+                    user: req.user.toPublicJSON()
+                }
+            });
+
+        } catch (error) {
+            logger.error('Cancel account deletion error:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Internal server error',
+                code: 'DELETE_ACCOUNT_ERROR'
+            });
+        }
+    }
+);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,151 @@
+/**
+ * Calendar Routes
+ * Per-teacher iCalendar subscription feeds built from published newsletters
+ */
+
+const express = require('express');
+const { authenticate } = require('../middleware/auth');
+const User = require('../models/User');
+const CalendarFeed = require('../models/CalendarFeed');
+const CalendarEvent = require('../models/CalendarEvent');
+const calendarService = require('../services/calendarService');
+const mailService = require('../services/mailService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+/**
+ * Build the public subscription URLs for a feed from FRONTEND_URL.
+ * The request's Host header is never used: a spoofed one would hand out URLs on another site.
+ */
+function buildFeedUrls(feed) {
+  const url = mailService.appUrl(`/api/calendar/feeds/${feed.token}.ics`);
+
+  return {
+    url,
+    webcalUrl: url.replace(/^https?:/, 'webcal:')
+  };
+}
+
+/**
+ * Answer 503 when subscription URLs cannot be built. Returns true if it responded.
+ */
+function rejectWithoutAppUrl(res) {
+  if (mailService.hasAppUrl()) {
+    return false;
+  }
+
+  logger.error('Calendar feed requested but FRONTEND_URL is not set');
+  res.status(503).json({
+    success: false,
+    message: 'Calendar subscriptions are not available right now',
+    code: 'CALENDAR_FEED_NOT_CONFIGURED'
+  });
+  return true;
+}
+
+/**
+ * GET /api/calendar/feed
+ * Get (or create) the current user's calendar subscription feed
+ */
+router.get('/feed', authenticate, async (req, res) => {
+  try {
+    if (rejectWithoutAppUrl(res)) return;
+
+    const feed = await CalendarFeed.findOrCreate(req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        feed: {
+          ...feed.toPublicJSON(),
+          ...buildFeedUrls(feed)
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error fetching calendar feed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch calendar feed',
+      code: 'FETCH_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/calendar/feed/regenerate
+ * Replace the feed URL; existing subscriptions stop updating
+ */
+router.post('/feed/regenerate', authenticate, async (req, res) => {
+  try {
+    if (rejectWithoutAppUrl(res)) return;
+
+    const feed = await CalendarFeed.regenerate(req.user.id);
+
+    await User.logActivity(req.user.id, 'calendar_feed_regenerated', 'user', req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Calendar feed URL regenerated',
+      data: {
+        feed: {
+          ...feed.toPublicJSON(),
+          ...buildFeedUrls(feed)
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error regenerating calendar feed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to regenerate calendar feed',
+      code: 'UPDATE_ERROR'
+    });
+  }
+});
+
+/**
+ * GET /api/calendar/feeds/:token.ics
+ * Public subscription feed for calendar apps (the token is the credential)
+ */
+router.get('/feeds/:token.ics', async (req, res) => {
+  try {
+    const feed = await CalendarFeed.findByToken(req.params.token);
+
+    if (!feed) {
+      return res.status(404).json({
+        success: false,
+        message: 'Calendar feed not found',
+        code: 'NOT_FOUND'
+      });
+    }
+
+    const user = await User.findById(feed.userId);
+
+    // Pick up edits made since the last fetch before serving the feed
+    await CalendarEvent.syncForUser(feed.userId);
+    const events = await CalendarEvent.findByUserId(feed.userId);
+
+    const calendar = calendarService.buildFeed(`${user?.displayName || 'Classroom'} - Class Calendar`, events);
+
+    await feed.markAccessed();
+
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', 'inline; filename="class-calendar.ics"');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.send(calendar);
+
+  } catch (error) {
+    logger.error('Error serving calendar feed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to build calendar feed',
+      code: 'FEED_ERROR'
+    });
+  }
+});
+
+module.exports = router;
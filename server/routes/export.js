@@ -1,20 +1,330 @@
+/**
+ * Export Routes
+ * Server-side newsletter export endpoints
+ */
+
 const express = require('express');
+const { PassThrough } = require('stream');
+const { body, validationResult } = require('express-validator');
+const { authenticate } = require('../middleware/auth');
+const Newsletter = require('../models/Newsletter');
+const School = require('../models/School');
+const pdfService = require('../services/pdfService');
+const docxService = require('../services/docxService');
+const emailHtmlService = require('../services/emailHtmlService');
+const calendarService = require('../services/calendarService');
+const { buildFilename } = require('../utils/newsletterContent');
+const { createZip } = require('../utils/zipArchive');
+const logger = require('../utils/logger');
+
 const router = express.Router();
 
-// Export routes
-router.post('/pdf', (req, res) => {
-  // TODO: Export newsletter as PDF
-  res.json({ message: 'PDF export endpoint - implementation pending' });
+// Apply authentication to all export routes
+router.use(authenticate);
+
+const isUuid = (value) => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value);
+
+/**
+ * Load the newsletter referenced by an export request; owners and colleagues with a copy grant only
+ * Accepts { newsletterId } or the client's { newsletter: { id } } payload
+ */
+async function loadNewsletterForExport(req, res) {
+  const newsletterId = req.body.newsletterId || req.body.newsletter?.id;
+
+  if (!newsletterId) {
+    res.status(400).json({
+      success: false,
+      message: 'Newsletter ID is required. Save the newsletter before exporting.',
+      code: 'NEWSLETTER_ID_REQUIRED'
+    });
+    return null;
+  }
+
+  if (typeof newsletterId !== 'string' || !isUuid(newsletterId)) {
+    res.status(400).json({
+      success: false,
+      message: 'Newsletter ID must be a valid UUID',
+      code: 'VALIDATION_ERROR'
+    });
+    return null;
+  }
+
+  // An export is a copy that leaves the app, so it needs the same grant as duplicating
+  const newsletter = await Newsletter.findById(newsletterId, req.user.id, 'copy');
+
+  if (!newsletter) {
+    res.status(404).json({
+      success: false,
+      message: 'Newsletter not found',
+      code: 'NOT_FOUND'
+    });
+    return null;
+  }
+
+  return newsletter;
+}
+
+/**
+ * POST /api/export/pdf
+ * Render a saved newsletter as a vector PDF
+ */
+router.post('/pdf', async (req, res) => {
+  try {
+    const newsletter = await loadNewsletterForExport(req, res);
+    if (!newsletter) return;
+
+    const filename = buildFilename(newsletter.title, 'pdf');
+
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    await pdfService.renderNewsletter(newsletter, res, {
+      pageSize: req.body.options?.pageSize === 'A4' ? 'A4' : 'LETTER',
+      author: req.user.displayName,
+      brandKit: await School.getBrandKitForUser(newsletter.userId)
+    });
+
+    await newsletter.markExported(req.user.id, 'pdf');
+
+  } catch (error) {
+    logger.error('Error exporting newsletter PDF:', error);
+
+    if (res.headersSent) {
+      // The PDF stream already started - abort so the client sees a failed download
+      res.destroy(error);
+      return;
+    }
+
+    if (error.code === 'PDF_FONTS_MISSING') {
+      return res.status(503).json({
+        success: false,
+        message: 'PDF export is unavailable because its fonts are not installed on the server',
+        code: error.code
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export PDF',
+      code: 'EXPORT_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/export/docx
+ * Render a saved newsletter as an editable Word document
+ */
+router.post('/docx', async (req, res) => {
+  try {
+    const newsletter = await loadNewsletterForExport(req, res);
+    if (!newsletter) return;
+
+    const buffer = await docxService.renderNewsletter(newsletter, {
+      pageSize: req.body.options?.pageSize === 'A4' ? 'A4' : 'LETTER',
+      author: req.user.displayName,
+      brandKit: await School.getBrandKitForUser(newsletter.userId)
+    });
+
+    const filename = buildFilename(newsletter.title, 'docx');
+
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.setHeader('Content-Length', buffer.length);
+    res.send(buffer);
+
+    await newsletter.markExported(req.user.id, 'docx');
+
+  } catch (error) {
+    logger.error('Error exporting newsletter DOCX:', error);
+
+    if (res.headersSent) return;
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export Word document',
+      code: 'EXPORT_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/export/html
+ * Compile a saved newsletter into email-safe HTML.
+ * Returned as JSON so the client can either download it or copy it to the clipboard.
+ */
+router.post('/html', async (req, res) => {
+  try {
+    const newsletter = await loadNewsletterForExport(req, res);
+    if (!newsletter) return;
+
+    // Relative image paths must point back at the app once the HTML leaves it. Only the configured
+    // FRONTEND_URL is trusted, never the Host header; without it those images are left out.
+    const baseUrl = process.env.FRONTEND_URL;
+    const html = emailHtmlService.renderNewsletter(newsletter, {
+      baseUrl,
+      brandKit: await School.getBrandKitForUser(newsletter.userId)
+    });
+
+    await newsletter.markExported(req.user.id, 'html');
+
+    res.json({
+      success: true,
+      message: 'Email HTML generated successfully',
+      data: {
+        html,
+        filename: buildFilename(newsletter.title, 'html')
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error exporting newsletter email HTML:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export email HTML',
+      code: 'EXPORT_ERROR'
+    });
+  }
 });
 
-router.post('/docx', (req, res) => {
-  // TODO: Export newsletter as DOCX
-  res.json({ message: 'DOCX export endpoint - implementation pending' });
+/**
+ * POST /api/export/ics
+ * Export the events of a saved newsletter as an iCalendar file
+ */
+router.post('/ics', async (req, res) => {
+  try {
+    const newsletter = await loadNewsletterForExport(req, res);
+    if (!newsletter) return;
+
+    const calendar = calendarService.buildNewsletterCalendar(newsletter);
+    const filename = buildFilename(newsletter.title, 'ics');
+
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(calendar);
+
+    await newsletter.markExported(req.user.id, 'ics');
+
+  } catch (error) {
+    logger.error('Error exporting newsletter calendar:', error);
+
+    if (res.headersSent) return;
+
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export calendar',
+      code: 'EXPORT_ERROR'
+    });
+  }
 });
 
+// Formats a bulk export can bundle, rendered to a Buffer each
+const BULK_RENDERERS = {
+  pdf: async (newsletter, options) => {
+    const stream = new PassThrough();
+    const chunks = [];
+    stream.on('data', chunk => chunks.push(chunk));
+    await pdfService.renderNewsletter(newsletter, stream, options);
+    return Buffer.concat(chunks);
+  },
+  docx: (newsletter, options) => docxService.renderNewsletter(newsletter, options),
+  html: async (newsletter, options) => Buffer.from(emailHtmlService.renderNewsletter(newsletter, options), 'utf8')
+};
+
+/**
+ * POST /api/export/bulk
+ * Export several saved newsletters ({ newsletterIds, format: pdf | docx | html }) as one ZIP.
+ * Newsletters the user may not copy are left out; a newsletter that fails to render is
+ * skipped rather than failing the whole archive.
+ */
+router.post('/bulk',
+  [
+    body('newsletterIds')
+      .isArray({ min: 1, max: 25 })
+      .withMessage('Select between 1 and 25 newsletters to export'),
+    body('newsletterIds.*')
+      .isUUID()
+      .withMessage('Newsletter IDs must be valid UUIDs'),
+    body('format')
+      .isIn(Object.keys(BULK_RENDERERS))
+      .withMessage('Format must be pdf, docx or html')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+          code: 'VALIDATION_ERROR'
+        });
+      }
+
+      const { format } = req.body;
+      // As for single exports: relative images resolve against FRONTEND_URL only
+      const baseUrl = process.env.FRONTEND_URL;
+      const entries = [];
+      const usedNames = new Set();
+
+      // One at a time: PDFs with images are memory-hungry
+      for (const id of new Set(req.body.newsletterIds)) {
+        const newsletter = await Newsletter.findById(id, req.user.id, 'copy');
+        if (!newsletter) continue;
+
+        try {
+          const data = await BULK_RENDERERS[format](newsletter, {
+            pageSize: req.body.options?.pageSize === 'A4' ? 'A4' : 'LETTER',
+            author: req.user.displayName,
+            baseUrl,
+            brandKit: await School.getBrandKitForUser(newsletter.userId)
+          });
+
+          let name = buildFilename(newsletter.title, format);
+          for (let n = 2; usedNames.has(name); n++) {
+            name = buildFilename(`${newsletter.title} ${n}`, format);
+          }
+          usedNames.add(name);
+
+          entries.push({ name, data });
+          await newsletter.markExported(req.user.id, format);
+        } catch (error) {
+          logger.warn('Newsletter left out of bulk export', { newsletterId: newsletter.id, error: error.message });
+        }
+      }
+
+      if (entries.length === 0) {
+        return res.status(404).json({
+          success: false,
+          message: 'None of the selected newsletters could be exported',
+          code: 'NOT_FOUND'
+        });
+      }
+
+      const buffer = createZip(entries);
+
+      res.setHeader('Content-Type', 'application/zip');
+      res.setHeader('Content-Disposition', `attachment; filename="${buildFilename('newsletters', 'zip')}"`);
+      res.setHeader('Content-Length', buffer.length);
+      res.send(buffer);
+
+    } catch (error) {
+      logger.error('Error exporting newsletters in bulk:', error);
+
+      if (res.headersSent) return;
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to export newsletters',
+        code: 'EXPORT_ERROR'
+      });
+    }
+  }
+);
+
 router.post('/google-docs', (req, res) => {
   // TODO: Export to Google Docs
   res.json({ message: 'Google Docs export endpoint - implementation pending' });
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
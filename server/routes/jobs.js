@@ -0,0 +1,217 @@
+/**
+ * Job Routes
+ * History of the user's background jobs (such as scheduled publishing), with cancel and retry
+ */
+
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const { authenticate } = require('../middleware/auth');
+const Job = require('../models/Job');
+const jobRunner = require('../services/jobRunner');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Apply authentication to all job routes
+router.use(authenticate);
+
+/**
+ * Load one of the user's jobs for a /:id route; sends a 404 and returns null if there is none
+ */
+async function loadJob(req, res) {
+  const job = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(req.params.id)
+    ? await Job.findById(req.params.id, req.user.id)
+    : null;
+
+  if (!job) {
+    res.status(404).json({
+      success: false,
+      message: 'Job not found',
+      code: 'JOB_NOT_FOUND'
+    });
+    return null;
+  }
+
+  return job;
+}
+
+/**
+ * GET /api/jobs?status=failed&type=newsletter.publish&limit=20&offset=0
+ * The user's jobs, newest first
+ */
+router.get('/',
+  [
+    query('status')
+      .optional({ checkFalsy: true })
+      .isIn(Job.STATUSES)
+      .withMessage(`Status must be one of ${Job.STATUSES.join(', ')}`),
+    query('type')
+      .optional({ checkFalsy: true })
+      .isLength({ max: 100 })
+      .withMessage('Type must be less than 100 characters'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100'),
+    query('offset')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Offset must be a positive number')
+  ],
+  async (req, res) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+          code: 'VALIDATION_ERROR'
+        });
+      }
+
+      const limit = parseInt(req.query.limit) || 20;
+      const offset = parseInt(req.query.offset) || 0;
+
+      const { jobs, total } = await Job.find({
+        userId: req.user.id,
+        status: req.query.status,
+        type: req.query.type,
+        limit,
+        offset
+      });
+
+      res.json({
+        success: true,
+        data: {
+          jobs: jobs.map(job => job.toPublicJSON()),
+          pagination: {
+            limit,
+            offset,
+            total,
+            hasMore: offset + limit < total
+          }
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error fetching jobs:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch jobs',
+        code: 'FETCH_ERROR'
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/jobs/:id
+ * A job with every attempt made at it
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const job = await loadJob(req, res);
+    if (!job) return;
+
+    res.json({
+      success: true,
+      data: {
+        job: {
+          ...job.toPublicJSON(),
+          runs: await job.getRuns()
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error fetching job:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch job',
+      code: 'FETCH_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/jobs/:id/cancel
+ * Cancel a job that has not started yet
+ */
+router.post('/:id/cancel', async (req, res) => {
+  try {
+    const job = await loadJob(req, res);
+    if (!job) return;
+
+    if (!(await job.cancel(req.user.id))) {
+      return res.status(409).json({
+        success: false,
+        message: job.status === 'running'
+          ? 'This job is running and can no longer be cancelled'
+          : `This job is already ${job.status}`,
+        code: 'JOB_NOT_PENDING'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Job cancelled',
+      data: {
+        job: job.toPublicJSON()
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error cancelling job:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel job',
+      code: 'CANCEL_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/jobs/:id/retry
+ * Queue a failed job to run again now
+ */
+router.post('/:id/retry', async (req, res) => {
+  try {
+    const job = await loadJob(req, res);
+    if (!job) return;
+
+    if (!(await job.retry(jobRunner.maxAttemptsFor(job.type)))) {
+      return res.status(409).json({
+        success: false,
+        message: 'Only failed jobs can be retried',
+        code: 'JOB_NOT_FAILED'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Job queued to run again',
+      data: {
+        job: job.toPublicJSON()
+      }
+    });
+
+  } catch (error) {
+    if (error.code === 'JOB_ALREADY_QUEUED') {
+      return res.status(409).json({
+        success: false,
+        message: error.message,
+        code: error.code
+      });
+    }
+
+    logger.error('Error retrying job:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to retry job',
+      code: 'RETRY_ERROR'
+    });
+  }
+});
+
+module.exports = router;
@@ -4,10 +4,20 @@
  */
 
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const { authenticate } = require('../middleware/auth');
 const Newsletter = require('../models/Newsletter');
+const NewsletterShare = require('../models/NewsletterShare');
+const NewsletterRevision = require('../models/NewsletterRevision');
+const NewsletterFolder = require('../models/NewsletterFolder');
+const User = require('../models/User');
+const School = require('../models/School');
+const policyService = require('../services/policyService');
+const trashService = require('../services/trashService');
+const publishingService = require('../services/publishingService');
+const mailService = require('../services/mailService');
 const logger = require('../utils/logger');
+const { diffNewsletters, summarizeDiff } = require('../utils/newsletterDiff');
 
 const router = express.Router();
 
@@ -15,69 +25,1041 @@ const router = express.Router();
 router.use(authenticate);
 
 /**
- * GET /api/newsletters
- * Get user's newsletters with optional filtering
+ * Respond with a 403 if the user has not verified their email address yet.
+ * Unverified accounts can write drafts but not share or publish them.
  */
-router.get('/', async (req, res) => {
+function rejectUnverified(req, res, action) {
+  if (req.user.emailVerified) {
+    return false;
+  }
+
+  res.status(403).json({
+    success: false,
+    message: `Please verify your email address before ${action} newsletters`,
+    code: 'EMAIL_NOT_VERIFIED'
+  });
+  return true;
+}
+
+/**
+ * Load the newsletter of a /:id route and ask the policy service whether the user
+ * holds `permission` on it. Newsletters the user has no grant on are a 404, except for
+ * site roles that may read every newsletter, who get read-only access.
+ * Sends the response and returns null when the user may not go ahead.
+ */
+async function loadNewsletter(req, res, permission) {
+  let newsletter = await Newsletter.findById(req.params.id, req.user.id);
+
+  if (!newsletter && policyService.can(req.user, 'newsletters:view_all')) {
+    newsletter = await Newsletter.findById(req.params.id);
+    if (newsletter) {
+      newsletter.access = { isOwner: false, roles: [], canView: true, canEdit: false, canCopy: false };
+    }
+  }
+
+  if (!newsletter) {
+    res.status(404).json({
+      success: false,
+      message: 'Newsletter not found',
+      code: 'NOT_FOUND'
+    });
+    return null;
+  }
+
+  if (!policyService.authorize(req.user, permission, { newsletter })) {
+    res.status(403).json({
+      success: false,
+      message: permission === 'newsletter:manage'
+        ? 'Only the owner can do that with this newsletter'
+        : 'You have view-only access to this newsletter',
+      code: 'FORBIDDEN'
+    });
+    return null;
+  }
+
+  return newsletter;
+}
+
+// Tags arrive as a comma-separated list
+const parseTags = (value) => String(value || '').split(',').map(tag => tag.trim()).filter(Boolean);
+
+const listValidation = [
+  query('status')
+    .optional({ checkFalsy: true })
+    .isIn(['draft', 'published', 'archived'])
+    .withMessage('Status must be draft, published, or archived'),
+  query('folderId')
+    .optional({ checkFalsy: true })
+    .custom(value => value === 'none' || /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value))
+    .withMessage('Folder must be a folder ID or none'),
+  query('tags')
+    .optional({ checkFalsy: true })
+    .custom(value => parseTags(value).length <= 10)
+    .withMessage('Filter by at most 10 tags'),
+  query('q')
+    .optional({ checkFalsy: true })
+    .isLength({ max: 200 })
+    .withMessage('Title filter must be less than 200 characters'),
+  query('from')
+    .optional({ checkFalsy: true })
+    .isISO8601({ strict: true })
+    .withMessage('From must be a date (YYYY-MM-DD)'),
+  query('to')
+    .optional({ checkFalsy: true })
+    .isISO8601({ strict: true })
+    .withMessage('To must be a date (YYYY-MM-DD)'),
+  query('sort')
+    .optional({ checkFalsy: true })
+    .isIn(['updated', 'created', 'title', 'published'])
+    .withMessage('Sort must be updated, created, title or published'),
+  query('order')
+    .optional({ checkFalsy: true })
+    .isIn(['asc', 'desc'])
+    .withMessage('Order must be asc or desc'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100'),
+  query('offset')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Offset must be a positive number')
+];
+
+/**
+ * GET /api/newsletters?status=draft&folderId=none&tags=field trip,math&q=fall&sort=title&limit=20
+ * The user's newsletters with optional filters (status, folderId or 'none' for unfiled,
+ * tags that must all match, q in the title, from/to creation dates), sorting and paging.
+ * pagination.total counts every newsletter matching the filters; stats cover them all.
+ */
+router.get('/', listValidation, async (req, res) => {
   try {
-    const { status, limit, offset } = req.query;
+    if (rejectInvalid(req, res)) return;
+
+    const { status, folderId, q, from, to, sort, order, limit, offset } = req.query;
     
-    const options = {};
-    if (status) options.status = status;
+    const filters = {};
+    if (status) filters.status = status;
+    if (folderId) filters.folderId = folderId;
+    if (req.query.tags) filters.tags = parseTags(req.query.tags);
+    if (q) filters.q = q;
+    if (from) filters.from = from.slice(0, 10);
+    if (to) filters.to = to.slice(0, 10);
+
+    const options = { ...filters, sort, order };
     if (limit) options.limit = parseInt(limit);
     if (offset) options.offset = parseInt(offset);
     
-    const newsletters = await Newsletter.findByUserId(req.user.id, options);
-    const stats = await Newsletter.getStats(req.user.id);
+    const [newsletters, total, stats] = await Promise.all([
+      Newsletter.findByUserId(req.user.id, options),
+      Newsletter.countByUserId(req.user.id, filters),
+      Newsletter.getStats(req.user.id)
+    ]);
+    
+    res.json({
+      success: true,
+      data: {
+        newsletters: newsletters.map(n => n.toPublicJSON()),
+        stats,
+        pagination: {
+          limit: options.limit || null,
+          offset: options.offset || 0,
+          total
+        }
+      }
+    });
+    
+  } catch (error) {
+    logger.error('Error fetching newsletters:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch newsletters',
+      code: 'FETCH_ERROR'
+    });
+  }
+});
+
+/**
+ * GET /api/newsletters/folders
+ * The user's folders with how many newsletters each holds
+ */
+router.get('/folders', async (req, res) => {
+  try {
+    const folders = await NewsletterFolder.findByUserId(req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        folders: folders.map(folder => folder.toPublicJSON())
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error fetching newsletter folders:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch folders',
+      code: 'FETCH_ERROR'
+    });
+  }
+});
+
+const folderValidation = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Folder name must be between 1 and 100 characters')
+];
+
+const folderIdValidation = param('folderId')
+  .isUUID()
+  .withMessage('Folder ID must be a valid UUID');
+
+// Respond to a duplicate folder name with a 409
+function handleFolderError(error, res, action) {
+  if (error.code === 'FOLDER_EXISTS') {
+    return res.status(409).json({
+      success: false,
+      message: error.message,
+      code: 'FOLDER_EXISTS'
+    });
+  }
+
+  logger.error(`Error ${action} newsletter folder:`, error);
+  res.status(500).json({
+    success: false,
+    message: `Failed to ${action === 'creating' ? 'create' : 'rename'} folder`,
+    code: action === 'creating' ? 'CREATE_ERROR' : 'UPDATE_ERROR'
+  });
+}
+
+/**
+ * POST /api/newsletters/folders
+ * Create a folder
+ */
+router.post('/folders', folderValidation, async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const folder = await NewsletterFolder.create(req.user.id, req.body.name);
+
+    res.status(201).json({
+      success: true,
+      message: 'Folder created',
+      data: {
+        folder: folder.toPublicJSON()
+      }
+    });
+
+  } catch (error) {
+    handleFolderError(error, res, 'creating');
+  }
+});
+
+/**
+ * PUT /api/newsletters/folders/:folderId
+ * Rename a folder
+ */
+router.put('/folders/:folderId', [folderIdValidation, ...folderValidation], async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const folder = await NewsletterFolder.findById(req.params.folderId, req.user.id);
+
+    if (!folder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Folder not found',
+        code: 'NOT_FOUND'
+      });
+    }
+
+    await folder.rename(req.body.name);
+
+    res.json({
+      success: true,
+      message: 'Folder renamed',
+      data: {
+        folder: folder.toPublicJSON()
+      }
+    });
+
+  } catch (error) {
+    handleFolderError(error, res, 'renaming');
+  }
+});
+
+/**
+ * DELETE /api/newsletters/folders/:folderId
+ * Delete a folder; the newsletters in it become unfiled
+ */
+router.delete('/folders/:folderId', folderIdValidation, async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const folder = await NewsletterFolder.findById(req.params.folderId, req.user.id);
+
+    if (!folder) {
+      return res.status(404).json({
+        success: false,
+        message: 'Folder not found',
+        code: 'NOT_FOUND'
+      });
+    }
+
+    await folder.delete();
+
+    res.json({
+      success: true,
+      message: 'Folder deleted'
+    });
+
+  } catch (error) {
+    logger.error('Error deleting newsletter folder:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete folder',
+      code: 'DELETE_ERROR'
+    });
+  }
+});
+
+/**
+ * GET /api/newsletters/tags
+ * Tags on the user's newsletters with how many newsletters carry each
+ */
+router.get('/tags', async (req, res) => {
+  try {
+    const tags = await Newsletter.findTags(req.user.id);
+
+    res.json({
+      success: true,
+      data: { tags }
+    });
+
+  } catch (error) {
+    logger.error('Error fetching newsletter tags:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch tags',
+      code: 'FETCH_ERROR'
+    });
+  }
+});
+
+const tagRules = (chain) => chain
+  .isString()
+  .trim()
+  .isLength({ min: 1, max: 40 })
+  .withMessage('Tags must be between 1 and 40 characters')
+  .not()
+  .contains(',')
+  .withMessage('Tags cannot contain commas');
+
+/**
+ * PUT /api/newsletters/tags/:tag
+ * Rename a tag on every newsletter that has it
+ */
+router.put('/tags/:tag', [tagRules(body('name'))], async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const updated = await Newsletter.renameTag(req.user.id, req.params.tag, req.body.name);
+
+    res.json({
+      success: true,
+      message: 'Tag renamed',
+      data: { updated }
+    });
+
+  } catch (error) {
+    logger.error('Error renaming newsletter tag:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to rename tag',
+      code: 'UPDATE_ERROR'
+    });
+  }
+});
+
+/**
+ * DELETE /api/newsletters/tags/:tag
+ * Take a tag off every newsletter that has it
+ */
+router.delete('/tags/:tag', async (req, res) => {
+  try {
+    const updated = await Newsletter.removeTag(req.user.id, req.params.tag);
+
+    res.json({
+      success: true,
+      message: 'Tag removed',
+      data: { updated }
+    });
+
+  } catch (error) {
+    logger.error('Error removing newsletter tag:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove tag',
+      code: 'DELETE_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/newsletters/bulk
+ * Apply one action to several of the user's own newsletters:
+ * move ({ folderId }, null to unfile), tag / untag ({ tags }), archive or delete (to the trash).
+ * Exporting several newsletters at once is POST /api/export/bulk.
+ */
+router.post('/bulk',
+  [
+    body('ids')
+      .isArray({ min: 1, max: 100 })
+      .withMessage('Select between 1 and 100 newsletters'),
+    body('ids.*')
+      .isUUID()
+      .withMessage('Newsletter IDs must be valid UUIDs'),
+    body('action')
+      .isIn(['move', 'tag', 'untag', 'archive', 'delete'])
+      .withMessage('Action must be move, tag, untag, archive or delete'),
+    body('folderId')
+      .if(body('action').equals('move'))
+      .optional({ nullable: true })
+      .isUUID()
+      .withMessage('Folder ID must be a valid UUID'),
+    body('tags')
+      .if(body('action').isIn(['tag', 'untag']))
+      .isArray({ min: 1, max: 10 })
+      .withMessage('Give between 1 and 10 tags'),
+    tagRules(body('tags.*').if(body('action').isIn(['tag', 'untag'])))
+  ],
+  async (req, res) => {
+    try {
+      if (rejectInvalid(req, res)) return;
+
+      const { ids, action, folderId, tags } = req.body;
+
+      if (action === 'move' && folderId && !(await NewsletterFolder.findById(folderId, req.user.id))) {
+        return res.status(404).json({
+          success: false,
+          message: 'Folder not found',
+          code: 'NOT_FOUND'
+        });
+      }
+
+      const updated = await Newsletter.bulkUpdate(req.user.id, [...new Set(ids)], {
+        action,
+        folderId,
+        tags
+      });
+
+      res.json({
+        success: true,
+        message: updated.length === 1 ? '1 newsletter updated' : `${updated.length} newsletters updated`,
+        data: {
+          updated,
+          skipped: ids.filter(id => !updated.includes(id))
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error applying bulk newsletter action:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update newsletters',
+        code: 'UPDATE_ERROR'
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/newsletters/shared-with-me
+ * Get newsletters colleagues have shared with the user
+ */
+router.get('/shared-with-me', async (req, res) => {
+  try {
+    const newsletters = await Newsletter.findSharedWithUser(req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        newsletters: newsletters.map(n => n.toPublicJSON())
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error fetching shared newsletters:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch shared newsletters',
+      code: 'FETCH_ERROR'
+    });
+  }
+});
+
+/**
+ * GET /api/newsletters/trash
+ * Newsletters the user deleted, with the date each will be purged
+ */
+router.get('/trash', async (req, res) => {
+  try {
+    const newsletters = await Newsletter.findTrash(req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        newsletters: newsletters.map(n => trashService.toTrashJSON(n)),
+        retentionDays: trashService.retentionDays
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error fetching newsletter trash:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch the trash',
+      code: 'FETCH_ERROR'
+    });
+  }
+});
+
+/**
+ * DELETE /api/newsletters/trash
+ * Permanently delete every newsletter in the user's trash
+ */
+router.delete('/trash', async (req, res) => {
+  try {
+    const deleted = await Newsletter.emptyTrash(req.user.id);
+
+    res.json({
+      success: true,
+      message: deleted === 1 ? '1 newsletter permanently deleted' : `${deleted} newsletters permanently deleted`,
+      data: { deleted }
+    });
+
+  } catch (error) {
+    logger.error('Error emptying newsletter trash:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to empty the trash',
+      code: 'DELETE_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/newsletters/trash/:id/restore
+ * Take a newsletter out of the trash
+ */
+router.post('/trash/:id/restore', async (req, res) => {
+  try {
+    const newsletter = await Newsletter.findTrashedById(req.params.id, req.user.id);
+    const restored = newsletter && await newsletter.restoreFromTrash(req.user.id);
+
+    if (!restored) {
+      return res.status(404).json({
+        success: false,
+        message: 'Newsletter not found in the trash',
+        code: 'NOT_FOUND'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Newsletter restored',
+      data: {
+        newsletter: restored.toPublicJSON()
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error restoring newsletter from trash:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to restore newsletter',
+      code: 'RESTORE_ERROR'
+    });
+  }
+});
+
+/**
+ * DELETE /api/newsletters/trash/:id
+ * Permanently delete a newsletter from the trash
+ */
+router.delete('/trash/:id', async (req, res) => {
+  try {
+    const newsletter = await Newsletter.findTrashedById(req.params.id, req.user.id);
+
+    if (!newsletter || !(await newsletter.deletePermanently(req.user.id))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Newsletter not found in the trash',
+        code: 'NOT_FOUND'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Newsletter permanently deleted'
+    });
+
+  } catch (error) {
+    logger.error('Error permanently deleting newsletter:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete newsletter',
+      code: 'DELETE_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/newsletters
+ * Create a new newsletter
+ */
+router.post('/',
+  [
+    body('title')
+      .isLength({ min: 3, max: 300 })
+      .withMessage('Title must be between 3 and 300 characters'),
+    body('content')
+      .optional()
+      .isObject()
+      .withMessage('Content must be a valid object'),
+    body('settings')
+      .optional()
+      .isObject()
+      .withMessage('Settings must be a valid object'),
+    body('status')
+      .optional()
+      .isIn(['draft', 'published', 'archived'])
+      .withMessage('Status must be draft, published, or archived'),
+    body('templateId')
+      .optional()
+      .isUUID()
+      .withMessage('Template ID must be a valid UUID')
+  ],
+  async (req, res) => {
+    try {
+      // Check validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+          code: 'VALIDATION_ERROR'
+        });
+      }
+
+      if (req.body.status === 'published' && rejectUnverified(req, res, 'publishing')) return;
+      
+      // If no content provided, create default structured content
+      const newsletterData = { ...req.body };
+      if (!newsletterData.content || Object.keys(newsletterData.content).length === 0) {
+        newsletterData.content = {
+          version: '1.0',
+          sections: [
+            {
+              id: `section-${Date.now()}-title`,
+              type: 'title',
+              order: 0,
+              data: {
+                title: newsletterData.title || 'Newsletter Title',
+                subtitle: '',
+                style: {
+                  fontSize: '2xl',
+                  textAlign: 'center',
+                  color: '#1f2937'
+                }
+              }
+            },
+            {
+              id: `section-${Date.now()}-text`,
+              type: 'richText',
+              order: 1,
+              data: {
+                content: 'Welcome to this week\'s newsletter! Add your content here...',
+                style: {
+                  fontSize: 'base',
+                  textAlign: 'left'
+                }
+              }
+            },
+            {
+              id: `section-${Date.now()}-events`,
+              type: 'events',
+              order: 2,
+              data: {
+                title: 'Upcoming Events',
+                events: [
+                  {
+                    id: 1,
+                    date: new Date().toISOString().split('T')[0],
+                    title: 'Sample Event',
+                    description: 'Event description goes here'
+                  }
+                ]
+              }
+            },
+            {
+              id: `section-${Date.now()}-contact`,
+              type: 'contact',
+              order: 3,
+              data: {
+                title: 'Contact Information',
+                teacherName: 'Teacher Name',
+                email: 'teacher@school.edu',
+                phone: '(555) 123-4567',
+                room: 'Room 123',
+                officeHours: 'Mon-Fri 3:00-4:00 PM'
+              }
+            }
+          ],
+          theme: {
+            primaryColor: '#3b82f6',
+            backgroundColor: '#ffffff',
+            fontFamily: 'Inter, sans-serif'
+          }
+        };
+      }
+      
+      const newsletter = await Newsletter.create(newsletterData, req.user.id);
+      
+      if (newsletter) {
+        res.status(201).json({
+          success: true,
+          message: 'Newsletter created successfully',
+          data: {
+            newsletter: newsletter.toPublicJSON()
+          }
+        });
+      } else {
+        res.status(500).json({
+          success: false,
+          message: 'Failed to create newsletter',
+          code: 'CREATE_ERROR'
+        });
+      }
+      
+    } catch (error) {
+      logger.error('Error creating newsletter:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error during newsletter creation',
+        code: 'CREATE_ERROR'
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/newsletters/:id
+ * Get a specific newsletter by ID
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const newsletter = await loadNewsletter(req, res, 'newsletter:view');
+    if (!newsletter) return;
+    
+    res.json({
+      success: true,
+      data: {
+        newsletter: {
+          ...newsletter.toPublicJSON(),
+          // The owner's school brand kit, so the editor preview matches exports
+          brandKit: await School.getBrandKitForUser(newsletter.userId)
+        }
+      }
+    });
+    
+  } catch (error) {
+    logger.error('Error fetching newsletter:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch newsletter',
+      code: 'FETCH_ERROR'
+    });
+  }
+});
+
+/**
+ * PUT /api/newsletters/:id
+ * Update a newsletter
+ */
+router.put('/:id',
+  [
+    body('title')
+      .optional()
+      .isLength({ min: 3, max: 300 })
+      .withMessage('Title must be between 3 and 300 characters'),
+    body('content')
+      .optional()
+      .isObject()
+      .withMessage('Content must be a valid object'),
+    body('settings')
+      .optional()
+      .isObject()
+      .withMessage('Settings must be a valid object'),
+    body('status')
+      .optional()
+      .isIn(['draft', 'published', 'archived'])
+      .withMessage('Status must be draft, published, or archived'),
+    body('publishDate')
+      .optional({ nullable: true })
+      .isISO8601()
+      .withMessage('Publish date must be a valid date'),
+    body('changeSummary')
+      .optional()
+      .isString()
+      .isLength({ max: 500 })
+      .withMessage('Change summary must be at most 500 characters'),
+    body('baseRevision')
+      .optional({ nullable: true })
+      .isInt({ min: 0 })
+      .withMessage('Base revision must be a revision number')
+  ],
+  async (req, res) => {
+    try {
+      // Check validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+          code: 'VALIDATION_ERROR'
+        });
+      }
+      
+      const newsletter = await loadNewsletter(req, res, 'newsletter:edit');
+      if (!newsletter) return;
+
+      if (req.body.status === 'published' && newsletter.status !== 'published' &&
+        rejectUnverified(req, res, 'publishing')) return;
+      
+      // Saves that carry the revision they were based on are rejected once someone else has saved
+      const expectedRevision = req.body.baseRevision !== undefined && req.body.baseRevision !== null
+        ? parseInt(req.body.baseRevision)
+        : undefined;
+      const updatedNewsletter = await newsletter.update(req.body, req.user.id, { expectedRevision });
+      
+      if (updatedNewsletter) {
+        res.json({
+          success: true,
+          message: 'Newsletter updated successfully',
+          data: {
+            newsletter: updatedNewsletter.toPublicJSON()
+          }
+        });
+      } else {
+        res.status(500).json({
+          success: false,
+          message: 'Failed to update newsletter',
+          code: 'UPDATE_ERROR'
+        });
+      }
+      
+    } catch (error) {
+      if (error.code === 'REVISION_CONFLICT') {
+        const current = await Newsletter.findById(req.params.id, req.user.id).catch(() => null);
+
+        return res.status(409).json({
+          success: false,
+          message: 'This newsletter was changed somewhere else since you opened it',
+          code: 'REVISION_CONFLICT',
+          data: {
+            currentRevision: error.currentRevision,
+            newsletter: current ? current.toPublicJSON() : null
+          }
+        });
+      }
+
+      logger.error('Error updating newsletter:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error during newsletter update',
+        code: 'UPDATE_ERROR'
+      });
+    }
+  }
+);
+
+/**
+ * DELETE /api/newsletters/:id
+ * Move a newsletter to the trash
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const newsletter = await loadNewsletter(req, res, 'newsletter:manage');
+    if (!newsletter) return;
+    
+    const deleted = await newsletter.delete(req.user.id);
+    
+    if (deleted) {
+      res.json({
+        success: true,
+        message: 'Newsletter moved to the trash',
+        data: {
+          deletedAt: newsletter.deletedAt,
+          purgeAt: trashService.purgeDate(newsletter.deletedAt)
+        }
+      });
+    } else {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete newsletter',
+        code: 'DELETE_ERROR'
+      });
+    }
+    
+  } catch (error) {
+    logger.error('Error deleting newsletter:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error during newsletter deletion',
+      code: 'DELETE_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/newsletters/:id/duplicate
+ * Duplicate a newsletter
+ */
+router.post('/:id/duplicate', async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    // Owners and colleagues with a copy grant can duplicate into their own account
+    const original = await Newsletter.findById(id, req.user.id, 'copy');
+    
+    if (!original) {
+      return res.status(404).json({
+        success: false,
+        message: 'Newsletter not found',
+        code: 'NOT_FOUND'
+      });
+    }
+    
+    // Create duplicate with modified title
+    const duplicateData = {
+      title: `${original.title} (Copy)`,
+      content: original.content,
+      settings: original.settings,
+      status: 'draft',
+      templateId: original.templateId
+    };
+    
+    const duplicate = await Newsletter.create(duplicateData, req.user.id);
+    
+    if (duplicate) {
+      res.status(201).json({
+        success: true,
+        message: 'Newsletter duplicated successfully',
+        data: {
+          newsletter: duplicate.toPublicJSON()
+        }
+      });
+    } else {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to duplicate newsletter',
+        code: 'DUPLICATE_ERROR'
+      });
+    }
     
+  } catch (error) {
+    logger.error('Error duplicating newsletter:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error during newsletter duplication',
+      code: 'DUPLICATE_ERROR'
+    });
+  }
+});
+
+/**
+ * Build the public URL for a share link, or null when FRONTEND_URL is not set.
+ * The request's Host header is never used: a spoofed one would hand out links to another site.
+ */
+function buildShareUrl(token) {
+  return mailService.hasAppUrl() ? mailService.appUrl(`/shared/${token}`) : null;
+}
+
+/**
+ * Shape a share for the owner, adding the public URL to links
+ */
+function formatShare(share) {
+  const data = share.toPublicJSON();
+  return share.shareType === 'link'
+    ? { ...data, url: buildShareUrl(share.accessToken) }
+    : data;
+}
+
+/**
+ * GET /api/newsletters/:id/shares
+ * List the share links and colleague grants for a newsletter
+ */
+router.get('/:id/shares', async (req, res) => {
+  try {
+    const newsletter = await loadNewsletter(req, res, 'newsletter:manage');
+    if (!newsletter) return;
+
+    const shares = await NewsletterShare.findByNewsletterId(newsletter.id);
+
     res.json({
       success: true,
       data: {
-        newsletters: newsletters.map(n => n.toPublicJSON()),
-        stats,
-        pagination: {
-          limit: options.limit || null,
-          offset: options.offset || 0,
-          total: stats.total
-        }
+        shares: shares.map(share => formatShare(share))
       }
     });
-    
+
   } catch (error) {
-    logger.error('Error fetching newsletters:', error);
+    logger.error('Error fetching shares:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to fetch newsletters',
+      message: 'Failed to fetch shares',
       code: 'FETCH_ERROR'
     });
   }
 });
 
 /**
- * POST /api/newsletters
- * Create a new newsletter
+ * POST /api/newsletters/:id/shares
+ * Share with a colleague by email ({ email, permissions }) or create a read-only public link
  */
-router.post('/',
+router.post('/:id/shares',
   [
-    body('title')
-      .isLength({ min: 3, max: 300 })
-      .withMessage('Title must be between 3 and 300 characters'),
-    body('content')
+    body('email')
       .optional()
-      .isObject()
-      .withMessage('Content must be a valid object'),
-    body('settings')
+      .isEmail()
+      .normalizeEmail()
+      .withMessage('Please provide a valid email address'),
+    body('permissions')
       .optional()
       .isObject()
-      .withMessage('Settings must be a valid object'),
-    body('status')
+      .withMessage('Permissions must be an object'),
+    body('permissions.edit')
       .optional()
-      .isIn(['draft', 'published', 'archived'])
-      .withMessage('Status must be draft, published, or archived'),
-    body('templateId')
+      .isBoolean()
+      .withMessage('Edit permission must be true or false'),
+    body('permissions.copy')
       .optional()
-      .isUUID()
-      .withMessage('Template ID must be a valid UUID')
+      .isBoolean()
+      .withMessage('Copy permission must be true or false'),
+    body('expiresInDays')
+      .optional({ nullable: true })
+      .isInt({ min: 1, max: 365 })
+      .withMessage('Expiry must be between 1 and 365 days'),
+    body('expiresAt')
+      .optional({ nullable: true })
+      .isISO8601()
+      .withMessage('Expiry must be a valid date')
+      .custom(value => new Date(value) > new Date())
+      .withMessage('Expiry must be in the future')
   ],
   async (req, res) => {
     try {
@@ -91,312 +1073,590 @@ router.post('/',
           code: 'VALIDATION_ERROR'
         });
       }
-      
-      // If no content provided, create default structured content
-      const newsletterData = { ...req.body };
-      if (!newsletterData.content || Object.keys(newsletterData.content).length === 0) {
-        newsletterData.content = {
-          version: '1.0',
-          sections: [
-            {
-              id: `section-${Date.now()}-title`,
-              type: 'title',
-              order: 0,
-              data: {
-                title: newsletterData.title || 'Newsletter Title',
-                subtitle: '',
-                style: {
-                  fontSize: '2xl',
-                  textAlign: 'center',
-                  color: '#1f2937'
-                }
-              }
-            },
-            {
-              id: `section-${Date.now()}-text`,
-              type: 'richText',
-              order: 1,
-              data: {
-                content: 'Welcome to this week\'s newsletter! Add your content here...',
-                style: {
-                  fontSize: 'base',
-                  textAlign: 'left'
-                }
-              }
-            },
-            {
-              id: `section-${Date.now()}-events`,
-              type: 'events',
-              order: 2,
-              data: {
-                title: 'Upcoming Events',
-                events: [
-                  {
-                    id: 1,
-                    date: new Date().toISOString().split('T')[0],
-                    title: 'Sample Event',
-                    description: 'Event description goes here'
-                  }
-                ]
-              }
-            },
-            {
-              id: `section-${Date.now()}-contact`,
-              type: 'contact',
-              order: 3,
-              data: {
-                title: 'Contact Information',
-                teacherName: 'Teacher Name',
-                email: 'teacher@school.edu',
-                phone: '(555) 123-4567',
-                room: 'Room 123',
-                officeHours: 'Mon-Fri 3:00-4:00 PM'
-              }
-            }
-          ],
-          theme: {
-            primaryColor: '#3b82f6',
-            backgroundColor: '#ffffff',
-            fontFamily: 'Inter, sans-serif'
-          }
+
+      if (rejectUnverified(req, res, 'sharing')) return;
+
+      const newsletter = await loadNewsletter(req, res, 'newsletter:manage');
+      if (!newsletter) return;
+
+      if (req.body.email) {
+        const recipient = await User.findByEmail(req.body.email);
+
+        if (!recipient || !recipient.isActive) {
+          return res.status(404).json({
+            success: false,
+            message: 'No colleague with that email address has an account',
+            code: 'USER_NOT_FOUND'
+          });
+        }
+
+        if (recipient.id === req.user.id) {
+          return res.status(400).json({
+            success: false,
+            message: 'You already own this newsletter',
+            code: 'INVALID_RECIPIENT'
+          });
+        }
+
+        const share = await NewsletterShare.shareWithUser(newsletter.id, req.user.id, recipient.id, req.body.permissions);
+        share.recipient = {
+          id: recipient.id,
+          email: recipient.email,
+          displayName: recipient.displayName
         };
-      }
-      
-      const newsletter = await Newsletter.create(newsletterData, req.user.id);
-      
-      if (newsletter) {
-        res.status(201).json({
+
+        return res.status(201).json({
           success: true,
-          message: 'Newsletter created successfully',
+          message: `Newsletter shared with ${recipient.displayName}`,
           data: {
-            newsletter: newsletter.toPublicJSON()
+            share: formatShare(share)
+          }
+        });
+      }
+
+      if (!mailService.hasAppUrl()) {
+        logger.error('Share link requested but FRONTEND_URL is not set');
+        return res.status(503).json({
+          success: false,
+          message: 'Share links are not available right now',
+          code: 'SHARE_LINKS_NOT_CONFIGURED'
+        });
+      }
+
+      let expiresAt = req.body.expiresAt ? new Date(req.body.expiresAt) : null;
+      if (!expiresAt && req.body.expiresInDays) {
+        expiresAt = new Date(Date.now() + parseInt(req.body.expiresInDays) * 24 * 60 * 60 * 1000);
+      }
+
+      const share = await NewsletterShare.createLink(newsletter.id, req.user.id, { expiresAt });
+
+      res.status(201).json({
+        success: true,
+        message: 'Share link created successfully',
+        data: {
+          share: formatShare(share)
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error creating share:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error during sharing',
+        code: 'SHARE_ERROR'
+      });
+    }
+  }
+);
+
+const shareIdValidation = param('shareId')
+  .isUUID()
+  .withMessage('Share ID must be a valid UUID');
+
+/**
+ * PUT /api/newsletters/:id/shares/:shareId
+ * Change a colleague's permissions
+ */
+router.put('/:id/shares/:shareId',
+  [
+    shareIdValidation,
+    body('permissions')
+      .isObject()
+      .withMessage('Permissions must be an object'),
+    body('permissions.edit')
+      .optional()
+      .isBoolean()
+      .withMessage('Edit permission must be true or false'),
+    body('permissions.copy')
+      .optional()
+      .isBoolean()
+      .withMessage('Copy permission must be true or false')
+  ],
+  async (req, res) => {
+    try {
+      // Check validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array(),
+          code: 'VALIDATION_ERROR'
+        });
+      }
+
+      if (rejectUnverified(req, res, 'sharing')) return;
+
+      const newsletter = await loadNewsletter(req, res, 'newsletter:manage');
+      if (!newsletter) return;
+
+      const share = await NewsletterShare.findById(req.params.shareId, newsletter.id);
+
+      if (!share || share.shareType !== 'user') {
+        return res.status(404).json({
+          success: false,
+          message: 'Share not found',
+          code: 'NOT_FOUND'
+        });
+      }
+
+      await share.updatePermissions(req.body.permissions, req.user.id);
+
+      res.json({
+        success: true,
+        message: 'Permissions updated successfully',
+        data: {
+          share: formatShare(share)
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error updating share permissions:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Internal server error during permission update',
+        code: 'UPDATE_ERROR'
+      });
+    }
+  }
+);
+
+/**
+ * DELETE /api/newsletters/:id/shares/:shareId
+ * Revoke a share link or colleague grant
+ */
+router.delete('/:id/shares/:shareId', shareIdValidation, async (req, res) => {
+  try {
+    if (rejectInvalid(req, res)) return;
+
+    const newsletter = await loadNewsletter(req, res, 'newsletter:manage');
+    if (!newsletter) return;
+
+    const share = await NewsletterShare.findById(req.params.shareId, newsletter.id);
+
+    if (!share) {
+      return res.status(404).json({
+        success: false,
+        message: 'Share not found',
+        code: 'NOT_FOUND'
+      });
+    }
+
+    await share.revoke(req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Share revoked successfully'
+    });
+
+  } catch (error) {
+    logger.error('Error revoking share:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error during share revocation',
+      code: 'DELETE_ERROR'
+    });
+  }
+});
+
+/**
+ * Respond with a 400 if a revision request failed validation
+ */
+function rejectInvalid(req, res) {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) {
+    return false;
+  }
+
+  res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: errors.array(),
+    code: 'VALIDATION_ERROR'
+  });
+  return true;
+}
+
+/**
+ * GET /api/newsletters/:id/revisions
+ * List a newsletter's revisions, newest first
+ */
+router.get('/:id/revisions',
+  [
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100'),
+    query('offset')
+      .optional()
+      .isInt({ min: 0 })
+      .withMessage('Offset must be a positive number')
+  ],
+  async (req, res) => {
+    try {
+      if (rejectInvalid(req, res)) return;
+
+      const newsletter = await loadNewsletter(req, res, 'newsletter:view');
+      if (!newsletter) return;
+
+      const options = {
+        limit: req.query.limit ? parseInt(req.query.limit) : 50,
+        offset: req.query.offset ? parseInt(req.query.offset) : 0
+      };
+      const { revisions, total } = await NewsletterRevision.findByNewsletterId(newsletter.id, options);
+
+      res.json({
+        success: true,
+        data: {
+          revisions: revisions.map(revision => revision.toPublicJSON()),
+          currentRevision: newsletter.revision,
+          pagination: {
+            limit: options.limit,
+            offset: options.offset,
+            total
           }
-        });
-      } else {
-        res.status(500).json({
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error fetching revisions:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch revisions',
+        code: 'FETCH_ERROR'
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/newsletters/:id/revisions/diff?from=3&to=5
+ * Section-level diff between two revisions; `to` defaults to the current revision
+ */
+router.get('/:id/revisions/diff',
+  [
+    query('from')
+      .isInt({ min: 1 })
+      .withMessage('From must be a revision number'),
+    query('to')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('To must be a revision number')
+  ],
+  async (req, res) => {
+    try {
+      if (rejectInvalid(req, res)) return;
+
+      const newsletter = await loadNewsletter(req, res, 'newsletter:view');
+      if (!newsletter) return;
+
+      const fromNumber = parseInt(req.query.from);
+      const toNumber = req.query.to ? parseInt(req.query.to) : newsletter.revision;
+
+      const [from, to] = await Promise.all([
+        NewsletterRevision.findByNumber(newsletter.id, fromNumber),
+        NewsletterRevision.findByNumber(newsletter.id, toNumber)
+      ]);
+
+      if (!from || !to) {
+        return res.status(404).json({
           success: false,
-          message: 'Failed to create newsletter',
-          code: 'CREATE_ERROR'
+          message: 'Revision not found',
+          code: 'NOT_FOUND'
         });
       }
-      
+
+      const diff = diffNewsletters(from.toSnapshot(), to.toSnapshot());
+
+      res.json({
+        success: true,
+        data: {
+          from: fromNumber,
+          to: toNumber,
+          summary: summarizeDiff(diff),
+          diff
+        }
+      });
+
     } catch (error) {
-      logger.error('Error creating newsletter:', error);
+      logger.error('Error diffing revisions:', error);
       res.status(500).json({
         success: false,
-        message: 'Internal server error during newsletter creation',
-        code: 'CREATE_ERROR'
+        message: 'Failed to compare revisions',
+        code: 'FETCH_ERROR'
       });
     }
   }
 );
 
 /**
- * GET /api/newsletters/:id
- * Get a specific newsletter by ID
+ * GET /api/newsletters/:id/revisions/:revisionNumber
+ * Get a single revision with its content
  */
-router.get('/:id', async (req, res) => {
+router.get('/:id/revisions/:revisionNumber', async (req, res) => {
   try {
-    const { id } = req.params;
-    
-    const newsletter = await Newsletter.findById(id, req.user.id);
-    
-    if (!newsletter) {
+    const newsletter = await loadNewsletter(req, res, 'newsletter:view');
+    if (!newsletter) return;
+
+    const revisionNumber = parseInt(req.params.revisionNumber);
+    const revision = Number.isInteger(revisionNumber)
+      ? await NewsletterRevision.findByNumber(newsletter.id, revisionNumber)
+      : null;
+
+    if (!revision) {
       return res.status(404).json({
         success: false,
-        message: 'Newsletter not found',
+        message: 'Revision not found',
         code: 'NOT_FOUND'
       });
     }
-    
+
     res.json({
       success: true,
       data: {
-        newsletter: newsletter.toPublicJSON()
+        revision: revision.toPublicJSON()
       }
     });
-    
+
   } catch (error) {
-    logger.error('Error fetching newsletter:', error);
+    logger.error('Error fetching revision:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to fetch newsletter',
+      message: 'Failed to fetch revision',
       code: 'FETCH_ERROR'
     });
   }
 });
 
 /**
- * PUT /api/newsletters/:id
- * Update a newsletter
+ * POST /api/newsletters/:id/revisions/:revisionNumber/restore
+ * Restore an earlier revision as a new revision
  */
-router.put('/:id',
+router.post('/:id/revisions/:revisionNumber/restore', async (req, res) => {
+  try {
+    const newsletter = await loadNewsletter(req, res, 'newsletter:edit');
+    if (!newsletter) return;
+
+    const revisionNumber = parseInt(req.params.revisionNumber);
+    const revision = Number.isInteger(revisionNumber)
+      ? await NewsletterRevision.findByNumber(newsletter.id, revisionNumber)
+      : null;
+
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found',
+        code: 'NOT_FOUND'
+      });
+    }
+
+    const restored = await newsletter.restoreRevision(revision, req.user.id);
+
+    if (!restored) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to restore revision',
+        code: 'UPDATE_ERROR'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Revision ${revision.revisionNumber} restored`,
+      data: {
+        newsletter: restored.toPublicJSON()
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error restoring revision:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error during restore',
+      code: 'UPDATE_ERROR'
+    });
+  }
+});
+
+const MAX_SCHEDULE_DAYS = 365;
+
+/**
+ * Shape a newsletter's schedule for the client
+ */
+function formatSchedule({ scheduled, history }) {
+  return {
+    scheduled: scheduled ? scheduled.toPublicJSON() : null,
+    history: history.map(job => job.toPublicJSON())
+  };
+}
+
+/**
+ * GET /api/newsletters/:id/schedule
+ * The newsletter's scheduled publish, if any, and its recent publish jobs
+ */
+router.get('/:id/schedule', async (req, res) => {
+  try {
+    const newsletter = await loadNewsletter(req, res, 'newsletter:manage');
+    if (!newsletter) return;
+
+    res.json({
+      success: true,
+      data: formatSchedule(await publishingService.getSchedule(newsletter.id))
+    });
+
+  } catch (error) {
+    logger.error('Error fetching publish schedule:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch the publish schedule',
+      code: 'FETCH_ERROR'
+    });
+  }
+});
+
+/**
+ * PUT /api/newsletters/:id/schedule
+ * Schedule the newsletter to publish at publishAt, replacing any earlier schedule.
+ * distribution: { shareLink, shareLinkExpiresInDays, emailRecipients: [emails], calendarFeed }
+ */
+router.put('/:id/schedule',
   [
-    body('title')
-      .optional()
-      .isLength({ min: 3, max: 300 })
-      .withMessage('Title must be between 3 and 300 characters'),
-    body('content')
+    body('publishAt')
+      .isISO8601()
+      .withMessage('Publish time must be a valid date')
+      .bail()
+      .custom(value => new Date(value) > new Date())
+      .withMessage('Publish time must be in the future')
+      .bail()
+      .custom(value => new Date(value) < new Date(Date.now() + MAX_SCHEDULE_DAYS * 24 * 60 * 60 * 1000))
+      .withMessage(`Publish time must be within ${MAX_SCHEDULE_DAYS} days`),
+    body('distribution')
       .optional()
       .isObject()
-      .withMessage('Content must be a valid object'),
-    body('settings')
+      .withMessage('Distribution must be an object'),
+    body('distribution.shareLink')
       .optional()
-      .isObject()
-      .withMessage('Settings must be a valid object'),
-    body('status')
+      .isBoolean({ strict: true })
+      .withMessage('Share link must be true or false'),
+    body('distribution.shareLinkExpiresInDays')
+      .optional({ nullable: true })
+      .isInt({ min: 1, max: 365 })
+      .withMessage('Share link expiry must be between 1 and 365 days'),
+    body('distribution.emailRecipients')
       .optional()
-      .isIn(['draft', 'published', 'archived'])
-      .withMessage('Status must be draft, published, or archived')
+      .isArray({ max: 200 })
+      .withMessage('Email at most 200 recipients'),
+    body('distribution.emailRecipients.*')
+      .isEmail()
+      .withMessage('Every recipient must be a valid email address'),
+    body('distribution.calendarFeed')
+      .optional()
+      .isBoolean({ strict: true })
+      .withMessage('Calendar feed must be true or false')
   ],
   async (req, res) => {
     try {
-      // Check validation errors
-      const errors = validationResult(req);
-      if (!errors.isEmpty()) {
-        return res.status(400).json({
+      if (rejectInvalid(req, res)) return;
+
+      const newsletter = await loadNewsletter(req, res, 'newsletter:manage');
+      if (!newsletter) return;
+
+      if (rejectUnverified(req, res, 'publishing')) return;
+
+      if (newsletter.status === 'published') {
+        return res.status(409).json({
           success: false,
-          message: 'Validation failed',
-          errors: errors.array(),
-          code: 'VALIDATION_ERROR'
+          message: 'This newsletter is already published',
+          code: 'ALREADY_PUBLISHED'
         });
       }
-      
-      const { id } = req.params;
-      
-      const newsletter = await Newsletter.findById(id, req.user.id);
-      
-      if (!newsletter) {
-        return res.status(404).json({
+
+      await publishingService.schedule(newsletter, req.user.id, {
+        publishAt: new Date(req.body.publishAt),
+        distribution: req.body.distribution
+      });
+
+      res.json({
+        success: true,
+        message: 'Newsletter scheduled to publish',
+        data: formatSchedule(await publishingService.getSchedule(newsletter.id))
+      });
+
+    } catch (error) {
+      if (error.code === 'PUBLISH_IN_PROGRESS') {
+        return res.status(409).json({
           success: false,
-          message: 'Newsletter not found',
-          code: 'NOT_FOUND'
+          message: error.message,
+          code: error.code
         });
       }
-      
-      const updatedNewsletter = await newsletter.update(req.body, req.user.id);
-      
-      if (updatedNewsletter) {
-        res.json({
-          success: true,
-          message: 'Newsletter updated successfully',
-          data: {
-            newsletter: updatedNewsletter.toPublicJSON()
-          }
+
+      if (error.code === 'EMAIL_LIMIT_EXCEEDED') {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+          code: error.code
         });
-      } else {
-        res.status(500).json({
+      }
+
+      if (error.code === 'FRONTEND_URL_NOT_CONFIGURED') {
+        logger.error('Scheduled email requested but FRONTEND_URL is not set');
+        return res.status(503).json({
           success: false,
-          message: 'Failed to update newsletter',
-          code: 'UPDATE_ERROR'
+          message: 'Emailing newsletters is not available right now',
+          code: 'EMAIL_LINKS_NOT_CONFIGURED'
         });
       }
-      
-    } catch (error) {
-      logger.error('Error updating newsletter:', error);
+
+      logger.error('Error scheduling newsletter:', error);
       res.status(500).json({
         success: false,
-        message: 'Internal server error during newsletter update',
-        code: 'UPDATE_ERROR'
+        message: 'Failed to schedule the newsletter',
+        code: 'SCHEDULE_ERROR'
       });
     }
   }
 );
 
 /**
- * DELETE /api/newsletters/:id
- * Delete a newsletter
+ * DELETE /api/newsletters/:id/schedule
+ * Cancel the newsletter's scheduled publish
  */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id/schedule', async (req, res) => {
   try {
-    const { id } = req.params;
-    
-    const newsletter = await Newsletter.findById(id, req.user.id);
-    
-    if (!newsletter) {
+    const newsletter = await loadNewsletter(req, res, 'newsletter:manage');
+    if (!newsletter) return;
+
+    const cancelled = await publishingService.cancel(newsletter, req.user.id);
+
+    if (!cancelled) {
       return res.status(404).json({
         success: false,
-        message: 'Newsletter not found',
-        code: 'NOT_FOUND'
-      });
-    }
-    
-    const deleted = await newsletter.delete(req.user.id);
-    
-    if (deleted) {
-      res.json({
-        success: true,
-        message: 'Newsletter deleted successfully'
-      });
-    } else {
-      res.status(500).json({
-        success: false,
-        message: 'Failed to delete newsletter',
-        code: 'DELETE_ERROR'
+        message: 'This newsletter is not scheduled to publish',
+        code: 'NOT_SCHEDULED'
       });
     }
-    
-  } catch (error) {
-    logger.error('Error deleting newsletter:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Internal server error during newsletter deletion',
-      code: 'DELETE_ERROR'
+
+    res.json({
+      success: true,
+      message: 'Scheduled publish cancelled',
+      data: formatSchedule(await publishingService.getSchedule(newsletter.id))
     });
-  }
-});
 
-/**
- * POST /api/newsletters/:id/duplicate
- * Duplicate a newsletter
- */
-router.post('/:id/duplicate', async (req, res) => {
-  try {
-    const { id } = req.params;
-    
-    const original = await Newsletter.findById(id, req.user.id);
-    
-    if (!original) {
-      return res.status(404).json({
-        success: false,
-        message: 'Newsletter not found',
-        code: 'NOT_FOUND'
-      });
-    }
-    
-    // Create duplicate with modified title
-    const duplicateData = {
-      title: `${original.title} (Copy)`,
-      content: original.content,
-      settings: original.settings,
-      status: 'draft',
-      templateId: original.templateId
-    };
-    
-    const duplicate = await Newsletter.create(duplicateData, req.user.id);
-    
-    if (duplicate) {
-      res.status(201).json({
-        success: true,
-        message: 'Newsletter duplicated successfully',
-        data: {
-          newsletter: duplicate.toPublicJSON()
-        }
-      });
-    } else {
-      res.status(500).json({
+  } catch (error) {
+    if (error.code === 'PUBLISH_IN_PROGRESS') {
+      return res.status(409).json({
         success: false,
-        message: 'Failed to duplicate newsletter',
-        code: 'DUPLICATE_ERROR'
+        message: error.message,
+        code: error.code
       });
     }
-    
-  } catch (error) {
-    logger.error('Error duplicating newsletter:', error);
+
+    logger.error('Error cancelling scheduled publish:', error);
     res.status(500).json({
       success: false,
-      message: 'Internal server error during newsletter duplication',
-      code: 'DUPLICATE_ERROR'
+      message: 'Failed to cancel the scheduled publish',
+      code: 'CANCEL_ERROR'
     });
   }
 });
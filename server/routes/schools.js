@@ -0,0 +1,529 @@
+/**
+ * School Routes
+ * A teacher's own school and invitations to join one, and tools for school admins:
+ * members and invitations, brand kit and usage.
+ * Site admins can manage any school; reviewers can see any school's usage.
+ */
+
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { authenticate } = require('../middleware/auth');
+const School = require('../models/School');
+const policyService = require('../services/policyService');
+const mailService = require('../services/mailService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Apply authentication to all school routes
+router.use(authenticate);
+
+/**
+ * Respond with a 400 if the request failed validation
+ */
+function rejectInvalid(req, res) {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) {
+    return false;
+  }
+
+  res.status(400).json({
+    success: false,
+    message: 'Validation failed',
+    errors: errors.array(),
+    code: 'VALIDATION_ERROR'
+  });
+  return true;
+}
+
+/**
+ * Load the school of a /:id route if the policy grants `permission` on it.
+ * School admins hold school permissions on their own school; site admins on any school.
+ */
+async function loadManagedSchool(req, res, permission = 'school:manage') {
+  const school = await School.findById(req.params.id);
+
+  if (!school) {
+    res.status(404).json({
+      success: false,
+      message: 'School not found',
+      code: 'SCHOOL_NOT_FOUND'
+    });
+    return null;
+  }
+
+  const membership = await School.findMembership(req.user.id);
+  if (!policyService.authorize(req.user, permission, { school, membership })) {
+    res.status(403).json({
+      success: false,
+      message: 'School admin access required',
+      code: 'SCHOOL_ADMIN_REQUIRED'
+    });
+    return null;
+  }
+
+  return school;
+}
+
+/**
+ * Answer the model's membership errors; returns false for anything else
+ */
+function rejectMembershipError(res, error) {
+  if (error.code === 'ALREADY_IN_SCHOOL' || error.code === 'LAST_SCHOOL_ADMIN') {
+    res.status(409).json({
+      success: false,
+      message: error.message,
+      code: error.code
+    });
+    return true;
+  }
+  if (error.code === 'EMAIL_NOT_VERIFIED') {
+    res.status(403).json({
+      success: false,
+      message: error.message,
+      code: error.code
+    });
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Email the invitee; the invitation stands even if the email cannot be sent,
+ * since they also see it on their account page
+ */
+async function sendInvitationEmail(invitation, school, inviter) {
+  try {
+    await mailService.sendSchoolInvitation({
+      to: invitation.email,
+      schoolName: school.name,
+      inviterName: inviter.displayName,
+      role: invitation.role,
+      expiresInDays: School.INVITATION_TTL_DAYS
+    });
+  } catch (error) {
+    logger.error('Could not send school invitation email:', error);
+  }
+}
+
+const isUuid = (value) => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value);
+
+const roleRule = body('role')
+  .isIn(Object.values(School.ROLES))
+  .withMessage('Role must be school_admin or teacher');
+
+/**
+ * GET /api/schools/mine
+ * The school the signed-in teacher belongs to, with their role (null if none)
+ */
+router.get('/mine', async (req, res) => {
+  try {
+    const membership = await School.findMembership(req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        school: membership ? membership.school.toPublicJSON() : null,
+        role: membership ? membership.role : null
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error fetching school membership:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch school',
+      code: 'FETCH_ERROR'
+    });
+  }
+});
+
+/**
+ * GET /api/schools/invitations
+ * Open invitations to join a school addressed to the signed-in user's email
+ */
+router.get('/invitations', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        invitations: await School.findInvitationsForUser(req.user)
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error fetching school invitations:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch invitations',
+      code: 'FETCH_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/schools/invitations/:invitationId/accept
+ * Join the school the invitation is for
+ */
+router.post('/invitations/:invitationId/accept', async (req, res) => {
+  try {
+    const school = isUuid(req.params.invitationId)
+      ? await School.acceptInvitation(req.params.invitationId, req.user)
+      : null;
+
+    if (!school) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found or expired',
+        code: 'INVITATION_NOT_FOUND'
+      });
+    }
+
+    const membership = await School.findMembership(req.user.id);
+
+    res.json({
+      success: true,
+      message: `You joined ${school.name}`,
+      data: {
+        school: membership.school.toPublicJSON(),
+        role: membership.role
+      }
+    });
+
+  } catch (error) {
+    if (rejectMembershipError(res, error)) return;
+
+    logger.error('Error accepting school invitation:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to accept invitation',
+      code: 'UPDATE_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/schools/invitations/:invitationId/decline
+ * Turn an invitation down
+ */
+router.post('/invitations/:invitationId/decline', async (req, res) => {
+  try {
+    const declined = isUuid(req.params.invitationId)
+      && await School.declineInvitation(req.params.invitationId, req.user);
+
+    if (!declined) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found',
+        code: 'INVITATION_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Invitation declined',
+      data: {
+        invitations: await School.findInvitationsForUser(req.user)
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error declining school invitation:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to decline invitation',
+      code: 'UPDATE_ERROR'
+    });
+  }
+});
+
+/**
+ * GET /api/schools/brand-fonts
+ * Fonts a brand kit may use
+ */
+router.get('/brand-fonts', (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      fonts: School.BRAND_FONTS
+    }
+  });
+});
+
+/**
+ * GET /api/schools/:id/members
+ * Members of a school with their roles
+ */
+router.get('/:id/members', async (req, res) => {
+  try {
+    const school = await loadManagedSchool(req, res);
+    if (!school) return;
+
+    res.json({
+      success: true,
+      data: {
+        school: school.toPublicJSON(),
+        members: await school.getMembers(),
+        invitations: await school.getInvitations()
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error fetching school members:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch members',
+      code: 'FETCH_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/schools/:id/invitations
+ * Invite a teacher by email. They join only when they accept, signed in with that address.
+ */
+router.post('/:id/invitations',
+  [
+    body('email')
+      .isEmail()
+      .normalizeEmail()
+      .withMessage('Please provide a valid email address'),
+    roleRule.optional()
+  ],
+  async (req, res) => {
+    try {
+      if (rejectInvalid(req, res)) return;
+
+      const school = await loadManagedSchool(req, res);
+      if (!school) return;
+
+      const invitation = await school.invite(req.body.email, req.body.role || School.ROLES.TEACHER, req.user.id);
+      await sendInvitationEmail(invitation, school, req.user);
+
+      res.status(201).json({
+        success: true,
+        message: `Invitation sent to ${invitation.email}`,
+        data: {
+          invitations: await school.getInvitations()
+        }
+      });
+
+    } catch (error) {
+      if (rejectMembershipError(res, error)) return;
+
+      logger.error('Error inviting school member:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to send invitation',
+        code: 'UPDATE_ERROR'
+      });
+    }
+  }
+);
+
+/**
+ * DELETE /api/schools/:id/invitations/:invitationId
+ * Withdraw an invitation that has not been accepted
+ */
+router.delete('/:id/invitations/:invitationId', async (req, res) => {
+  try {
+    const school = await loadManagedSchool(req, res);
+    if (!school) return;
+
+    const revoked = isUuid(req.params.invitationId)
+      && await school.revokeInvitation(req.params.invitationId, req.user.id);
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found',
+        code: 'INVITATION_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Invitation withdrawn',
+      data: {
+        invitations: await school.getInvitations()
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error revoking school invitation:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to withdraw invitation',
+      code: 'UPDATE_ERROR'
+    });
+  }
+});
+
+/**
+ * PUT /api/schools/:id/members/:userId
+ * Change a member's role
+ */
+router.put('/:id/members/:userId',
+  [roleRule],
+  async (req, res) => {
+    try {
+      if (rejectInvalid(req, res)) return;
+
+      const school = await loadManagedSchool(req, res);
+      if (!school) return;
+
+      const updated = await school.setMemberRole(req.params.userId, req.body.role, req.user.id);
+      if (!updated) {
+        return res.status(404).json({
+          success: false,
+          message: 'Member not found',
+          code: 'MEMBER_NOT_FOUND'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Role updated',
+        data: {
+          members: await school.getMembers()
+        }
+      });
+
+    } catch (error) {
+      if (rejectMembershipError(res, error)) return;
+
+      logger.error('Error changing school member role:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update role',
+        code: 'UPDATE_ERROR'
+      });
+    }
+  }
+);
+
+/**
+ * DELETE /api/schools/:id/members/:userId
+ * Remove a member; templates they shared with the school become private
+ */
+router.delete('/:id/members/:userId', async (req, res) => {
+  try {
+    const school = await loadManagedSchool(req, res);
+    if (!school) return;
+
+    const removed = await school.removeMember(req.params.userId, req.user.id);
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found',
+        code: 'MEMBER_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Member removed',
+      data: {
+        members: await school.getMembers()
+      }
+    });
+
+  } catch (error) {
+    if (rejectMembershipError(res, error)) return;
+
+    logger.error('Error removing school member:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove member',
+      code: 'UPDATE_ERROR'
+    });
+  }
+});
+
+/**
+ * PUT /api/schools/:id/brand-kit
+ * Replace the brand kit applied to every member's newsletters.
+ * Omitted or empty fields fall back to each newsletter's own theme.
+ */
+router.put('/:id/brand-kit',
+  [
+    body('logoUrl')
+      .optional({ checkFalsy: true })
+      .isURL({ protocols: ['http', 'https'], require_protocol: true })
+      .isLength({ max: 500 })
+      .withMessage('Logo must be an http(s) image URL'),
+    body(['primaryColor', 'secondaryColor', 'accentColor'])
+      .optional({ checkFalsy: true })
+      .matches(/^#[0-9a-fA-F]{6}$/)
+      .withMessage('Colors must be hex values like #2563eb'),
+    body('fontFamily')
+      .optional({ checkFalsy: true })
+      .isIn(School.BRAND_FONTS)
+      .withMessage('Font is not one of the supported brand fonts')
+  ],
+  async (req, res) => {
+    try {
+      if (rejectInvalid(req, res)) return;
+
+      const school = await loadManagedSchool(req, res);
+      if (!school) return;
+
+      await school.updateBrandKit(req.body, req.user.id);
+
+      res.json({
+        success: true,
+        message: 'Brand kit saved',
+        data: {
+          school: school.toPublicJSON()
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error updating school brand kit:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to save brand kit',
+        code: 'UPDATE_ERROR'
+      });
+    }
+  }
+);
+
+/**
+ * GET /api/schools/:id/usage
+ * Per-teacher newsletter and export counts for the school
+ */
+router.get('/:id/usage',
+  [
+    query('days')
+      .optional()
+      .isInt({ min: 1, max: 365 })
+      .withMessage('Days must be between 1 and 365')
+  ],
+  async (req, res) => {
+    try {
+      if (rejectInvalid(req, res)) return;
+
+      const school = await loadManagedSchool(req, res, 'school:view_usage');
+      if (!school) return;
+
+      res.json({
+        success: true,
+        data: {
+          school: school.toPublicJSON(),
+          usage: await school.getUsage(parseInt(req.query.days) || 30)
+        }
+      });
+
+    } catch (error) {
+      logger.error('Error fetching school usage:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch usage',
+        code: 'FETCH_ERROR'
+      });
+    }
+  }
+);
+
+module.exports = router;
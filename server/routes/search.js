@@ -0,0 +1,113 @@
+/**
+ * Search Routes
+ * Full-text search across the user's newsletters and the templates they can use
+ */
+
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const { authenticate } = require('../middleware/auth');
+const Newsletter = require('../models/Newsletter');
+const Template = require('../models/Template');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Apply authentication to all search routes
+router.use(authenticate);
+
+const searchValidation = [
+  query('q')
+    .trim()
+    .isLength({ min: 2, max: 200 })
+    .withMessage('Search for between 2 and 200 characters'),
+  query('type')
+    .optional()
+    .isIn(['all', 'newsletters', 'templates'])
+    .withMessage('Type must be all, newsletters or templates'),
+  query('status')
+    .optional({ checkFalsy: true })
+    .isIn(['draft', 'published', 'archived'])
+    .withMessage('Status must be draft, published or archived'),
+  query('from')
+    .optional({ checkFalsy: true })
+    .isISO8601({ strict: true })
+    .withMessage('From must be a date (YYYY-MM-DD)'),
+  query('to')
+    .optional({ checkFalsy: true })
+    .isISO8601({ strict: true })
+    .withMessage('To must be a date (YYYY-MM-DD)'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50'),
+  query('offset')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Offset must be a positive number')
+];
+
+/**
+ * GET /api/search?q=field trip&type=all&status=published&from=2024-08-01&to=2025-06-30
+ * Ranked matches with highlighted title and snippet segments ({ text, match }).
+ * q accepts web-search syntax: "exact phrase", or, -excluded. The status filter only
+ * applies to newsletters; the date range filters both by creation date.
+ */
+router.get('/', searchValidation, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array(),
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    const type = req.query.type || 'all';
+    const options = {
+      query: req.query.q,
+      status: req.query.status || undefined,
+      from: req.query.from ? req.query.from.slice(0, 10) : undefined,
+      to: req.query.to ? req.query.to.slice(0, 10) : undefined,
+      limit: parseInt(req.query.limit) || 20,
+      offset: parseInt(req.query.offset) || 0
+    };
+
+    if (options.from && options.to && options.from > options.to) {
+      return res.status(400).json({
+        success: false,
+        message: 'The start date must be before the end date',
+        code: 'INVALID_DATE_RANGE'
+      });
+    }
+
+    const [newsletters, templates] = await Promise.all([
+      type !== 'templates' ? Newsletter.search(req.user.id, options) : null,
+      type !== 'newsletters' ? Template.search(req.user.id, options) : null
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        query: options.query,
+        ...(newsletters && { newsletters }),
+        ...(templates && { templates }),
+        pagination: {
+          limit: options.limit,
+          offset: options.offset
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error searching:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Search failed',
+      code: 'SEARCH_ERROR'
+    });
+  }
+});
+
+module.exports = router;
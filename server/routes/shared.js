@@ -0,0 +1,79 @@
+/**
+ * Shared Newsletter Routes
+ * Public, read-only access to newsletters through share links
+ */
+
+const express = require('express');
+const Newsletter = require('../models/Newsletter');
+const NewsletterShare = require('../models/NewsletterShare');
+const School = require('../models/School');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+/**
+ * GET /api/shared/:token
+ * Get a shared newsletter by its share link token (no authentication)
+ */
+router.get('/:token', async (req, res) => {
+  try {
+    const share = await NewsletterShare.findByToken(req.params.token);
+
+    if (!share) {
+      return res.status(404).json({
+        success: false,
+        message: 'This share link does not exist or has been revoked',
+        code: 'NOT_FOUND'
+      });
+    }
+
+    if (share.isExpired()) {
+      return res.status(410).json({
+        success: false,
+        message: 'This share link has expired',
+        code: 'SHARE_EXPIRED'
+      });
+    }
+
+    const newsletter = await Newsletter.findById(share.newsletterId);
+
+    if (!newsletter) {
+      return res.status(404).json({
+        success: false,
+        message: 'Newsletter not found',
+        code: 'NOT_FOUND'
+      });
+    }
+
+    await share.recordAccess();
+
+    // Only expose what is needed to render the newsletter
+    res.json({
+      success: true,
+      data: {
+        newsletter: {
+          title: newsletter.title,
+          content: newsletter.content,
+          settings: newsletter.settings,
+          publishDate: newsletter.publishDate,
+          updatedAt: newsletter.updatedAt,
+          brandKit: await School.getBrandKitForUser(newsletter.userId)
+        },
+        share: {
+          permissions: share.permissions,
+          expiresAt: share.expiresAt
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error fetching shared newsletter:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load shared newsletter',
+      code: 'FETCH_ERROR'
+    });
+  }
+});
+
+module.exports = router;
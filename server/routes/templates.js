@@ -7,6 +7,9 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const { authenticate } = require('../middleware/auth');
 const Template = require('../models/Template');
+const School = require('../models/School');
+const policyService = require('../services/policyService');
+const trashService = require('../services/trashService');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -14,13 +17,40 @@ const router = express.Router();
 // Apply authentication to all template routes
 router.use(authenticate);
 
+/**
+ * Turn the request's shareWithSchool flag into a school_id for the template.
+ * Returns undefined when the flag is absent, null to stop sharing, or the user's school ID.
+ * Sends a 400 and returns false when the user does not belong to a school.
+ */
+async function resolveSchoolScope(req, res) {
+  if (req.body.shareWithSchool === undefined) {
+    return undefined;
+  }
+
+  if (req.body.shareWithSchool !== true && req.body.shareWithSchool !== 'true') {
+    return null;
+  }
+
+  const membership = await School.findMembership(req.user.id);
+  if (!membership) {
+    res.status(400).json({
+      success: false,
+      message: 'You need to belong to a school to share templates with it',
+      code: 'NO_SCHOOL'
+    });
+    return false;
+  }
+
+  return membership.school.id;
+}
+
 /**
  * GET /api/templates
- * Get available templates (user's own + public/global)
+ * Get available templates (user's own + public/global + shared with their school)
  */
 router.get('/', async (req, res) => {
   try {
-    const { limit, offset, public_only, my_templates_only } = req.query;
+    const { limit, offset, public_only, my_templates_only, school_only } = req.query;
     
     const options = {};
     if (limit) options.limit = parseInt(limit);
@@ -33,6 +63,11 @@ router.get('/', async (req, res) => {
       // Only user's own templates
       templates = await Template.findByUserId(req.user.id, options);
       stats = await Template.getStats(req.user.id);
+    } else if (school_only === 'true') {
+      // Only templates shared with the user's school
+      options.schoolOnly = true;
+      templates = await Template.findAvailable(req.user.id, options);
+      stats = await Template.getStats(req.user.id);
     } else if (public_only === 'true') {
       // Only public/global templates
       options.isPublic = true;
@@ -67,6 +102,122 @@ router.get('/', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/templates/trash
+ * Templates the user deleted, with the date each will be purged
+ */
+router.get('/trash', async (req, res) => {
+  try {
+    const templates = await Template.findTrash(req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        templates: templates.map(t => trashService.toTrashJSON(t)),
+        retentionDays: trashService.retentionDays
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error fetching template trash:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch the trash',
+      code: 'FETCH_ERROR'
+    });
+  }
+});
+
+/**
+ * DELETE /api/templates/trash
+ * Permanently delete every template in the user's trash
+ */
+router.delete('/trash', async (req, res) => {
+  try {
+    const deleted = await Template.emptyTrash(req.user.id);
+
+    res.json({
+      success: true,
+      message: deleted === 1 ? '1 template permanently deleted' : `${deleted} templates permanently deleted`,
+      data: { deleted }
+    });
+
+  } catch (error) {
+    logger.error('Error emptying template trash:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to empty the trash',
+      code: 'DELETE_ERROR'
+    });
+  }
+});
+
+/**
+ * POST /api/templates/trash/:id/restore
+ * Take a template out of the trash
+ */
+router.post('/trash/:id/restore', async (req, res) => {
+  try {
+    const template = await Template.findTrashedById(req.params.id, req.user.id);
+    const restored = template && await template.restoreFromTrash(req.user.id);
+
+    if (!restored) {
+      return res.status(404).json({
+        success: false,
+        message: 'Template not found in the trash',
+        code: 'TEMPLATE_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Template restored',
+      data: {
+        template: restored.toPublicJSON()
+      }
+    });
+
+  } catch (error) {
+    logger.error('Error restoring template from trash:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to restore template',
+      code: 'RESTORE_ERROR'
+    });
+  }
+});
+
+/**
+ * DELETE /api/templates/trash/:id
+ * Permanently delete a template from the trash
+ */
+router.delete('/trash/:id', async (req, res) => {
+  try {
+    const template = await Template.findTrashedById(req.params.id, req.user.id);
+
+    if (!template || !(await template.deletePermanently(req.user.id))) {
+      return res.status(404).json({
+        success: false,
+        message: 'Template not found in the trash',
+        code: 'TEMPLATE_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Template permanently deleted'
+    });
+
+  } catch (error) {
+    logger.error('Error permanently deleting template:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete template',
+      code: 'DELETE_ERROR'
+    });
+  }
+});
+
 /**
  * GET /api/templates/:id
  * Get template by ID
@@ -123,7 +274,11 @@ router.post('/',
     body('isPublic')
       .optional()
       .isBoolean()
-      .withMessage('isPublic must be a boolean')
+      .withMessage('isPublic must be a boolean'),
+    body('shareWithSchool')
+      .optional()
+      .isBoolean()
+      .withMessage('shareWithSchool must be a boolean')
   ],
   async (req, res) => {
     try {
@@ -138,7 +293,10 @@ router.post('/',
         });
       }
       
-      const template = await Template.create(req.body, req.user.id);
+      const schoolId = await resolveSchoolScope(req, res);
+      if (schoolId === false) return;
+      
+      const template = await Template.create({ ...req.body, schoolId }, req.user.id);
       
       if (!template) {
         return res.status(500).json({
@@ -192,7 +350,11 @@ router.put('/:id',
     body('isPublic')
       .optional()
       .isBoolean()
-      .withMessage('isPublic must be a boolean')
+      .withMessage('isPublic must be a boolean'),
+    body('shareWithSchool')
+      .optional()
+      .isBoolean()
+      .withMessage('shareWithSchool must be a boolean')
   ],
   async (req, res) => {
     try {
@@ -217,8 +379,8 @@ router.put('/:id',
         });
       }
       
-      // Only allow owner to update
-      if (template.userId !== req.user.id) {
+      // Only the owner may update a template
+      if (!policyService.authorize(req.user, 'template:edit', { template })) {
         return res.status(403).json({
           success: false,
           message: 'Access denied - not template owner',
@@ -226,7 +388,10 @@ router.put('/:id',
         });
       }
       
-      const updatedTemplate = await template.update(req.body, req.user.id);
+      const schoolId = await resolveSchoolScope(req, res);
+      if (schoolId === false) return;
+      
+      const updatedTemplate = await template.update({ ...req.body, schoolId }, req.user.id);
       
       res.json({
         success: true,
@@ -249,7 +414,7 @@ router.put('/:id',
 
 /**
  * DELETE /api/templates/:id
- * Delete template
+ * Move a template to the trash
  */
 router.delete('/:id', async (req, res) => {
   try {
@@ -263,8 +428,8 @@ router.delete('/:id', async (req, res) => {
       });
     }
     
-    // Only allow owner to delete
-    if (template.userId !== req.user.id) {
+    // Only the owner may delete a template
+    if (!policyService.authorize(req.user, 'template:edit', { template })) {
       return res.status(403).json({
         success: false,
         message: 'Access denied - not template owner',
@@ -277,7 +442,11 @@ router.delete('/:id', async (req, res) => {
     if (deleted) {
       res.json({
         success: true,
-        message: 'Template deleted successfully'
+        message: 'Template moved to the trash',
+        data: {
+          deletedAt: template.deletedAt,
+          purgeAt: trashService.purgeDate(template.deletedAt)
+        }
       });
     } else {
       res.status(500).json({
@@ -356,7 +356,7 @@ async function createGlobalTemplates() {
         school: 'Somers Classroom Newsletter',
         subjects: ['Administration'],
         gradeLevel: 'All Grades',
-        isAdmin: true
+        role: 'site_admin'
       });
     }
     
@@ -1,12 +1,11 @@
 /**
  * Database Initialization Script
- * Professional script to set up database schema and initial data
+ * Professional script to set up database schema and initial data by applying the migrations
  */
 
 require('dotenv').config();
-const fs = require('fs');
-const path = require('path');
 const { DatabaseManager } = require('../config/database');
+const migrationService = require('../services/migrationService');
 const logger = require('../utils/logger');
 
 async function initializeDatabase() {
@@ -23,83 +22,33 @@ async function initializeDatabase() {
         
         logger.info('Database connection verified');
         
-        // Read and execute the SQL schema
-        const schemaPath = path.join(__dirname, '../database/init.sql');
-        
-        if (!fs.existsSync(schemaPath)) {
-            throw new Error(`Schema file not found at: ${schemaPath}`);
-        }
-        
-        const schemaSQL = fs.readFileSync(schemaPath, 'utf8');
-        logger.info('Schema file loaded successfully');
-        
-        // Execute the schema in a transaction
-        const client = await db.getClient();
-        
-        try {
-            await client.query('BEGIN');
-            
-            // Split SQL into individual statements and execute
-            const statements = schemaSQL
-                .split(';')
-                .map(stmt => stmt.trim())
-                .filter(stmt => stmt.length > 0 && !stmt.startsWith('--'));
-            
-            logger.info(`Executing ${statements.length} SQL statements...`);
-            
-            for (let i = 0; i < statements.length; i++) {
-                const statement = statements[i];
-                
-                if (statement.trim()) {
-                    try {
-                        await client.query(statement);
-                        logger.debug(`Statement ${i + 1} executed successfully`);
-                    } catch (error) {
-                        // Log but continue for statements that might already exist
-                        if (error.message.includes('already exists')) {
-                            logger.debug(`Statement ${i + 1} skipped (already exists): ${error.message}`);
-                        } else {
-                            logger.warn(`Statement ${i + 1} failed: ${error.message}`);
-                            // Only throw for critical errors
-                            if (!error.message.includes('constraint') && !error.message.includes('duplicate')) {
-                                throw error;
-                            }
-                        }
-                    }
-                }
-            }
-            
-            await client.query('COMMIT');
-            logger.info('Database schema initialized successfully');
-            
-            // Verify tables were created
-            const tablesQuery = `
-                SELECT table_name 
-                FROM information_schema.tables 
-                WHERE table_schema = 'public' 
-                ORDER BY table_name
-            `;
-            
-            const tablesResult = await client.query(tablesQuery);
-            const tableNames = tablesResult.rows.map(row => row.table_name);
-            
-            logger.info('Database tables created:', { tables: tableNames });
-            
-            // Check if admin user exists
-            const adminQuery = 'SELECT email, is_admin FROM users WHERE is_admin = true LIMIT 1';
-            const adminResult = await client.query(adminQuery);
-            
-            if (adminResult.rows.length > 0) {
-                logger.info('Admin user found:', { email: adminResult.rows[0].email });
-            } else {
-                logger.warn('No admin user found - you may need to create one manually');
-            }
-            
-        } catch (error) {
-            await client.query('ROLLBACK');
-            throw error;
-        } finally {
-            client.release();
+        // Apply every pending migration
+        const applied = await migrationService.up();
+        logger.info(applied.length > 0
+            ? `Applied ${applied.length} migrations: ${applied.map(m => m.filename).join(', ')}`
+            : 'Database schema already up to date');
+        
+        // Verify tables were created
+        const tablesQuery = `
+            SELECT table_name 
+            FROM information_schema.tables 
+            WHERE table_schema = 'public' 
+            ORDER BY table_name
+        `;
+        
+        const tablesResult = await db.query(tablesQuery);
+        const tableNames = tablesResult.rows.map(row => row.table_name);
+        
+        logger.info('Database tables:', { tables: tableNames });
+        
+        // Check if admin user exists
+        const adminQuery = "SELECT email FROM users WHERE role = 'site_admin' LIMIT 1";
+        const adminResult = await db.query(adminQuery);
+        
+        if (adminResult.rows.length > 0) {
+            logger.info('Admin user found:', { email: adminResult.rows[0].email });
+        } else {
+            logger.warn('No admin user found - you may need to create one manually');
         }
         
         // Get final database statistics
@@ -139,7 +88,7 @@ async function testDatabaseOperations() {
                 logger.info('User model test successful:', { 
                     found: true, 
                     email: testUser.email,
-                    isAdmin: testUser.isAdmin 
+                    role: testUser.role 
                 });
             } else {
                 logger.info('User model test: Default admin user not found');
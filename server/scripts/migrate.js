@@ -0,0 +1,90 @@
+/**
+ * Database Migration CLI
+ *
+ *   npm run migrate -- status             List migrations and whether each is applied
+ *   npm run migrate -- up [--to NNNN]     Apply pending migrations (up to a version)
+ *   npm run migrate -- down [--steps N]   Roll back the last N migrations (default 1)
+ *   npm run migrate -- create <name>      Add an empty migration file
+ */
+
+require('dotenv').config();
+const { DatabaseManager } = require('../config/database');
+const migrationService = require('../services/migrationService');
+
+const USAGE = 'Usage: node scripts/migrate.js <status | up [--to NNNN] | down [--steps N] | create <name>>';
+
+function readOption(args, name) {
+    const index = args.indexOf(name);
+    return index === -1 ? undefined : args[index + 1];
+}
+
+async function printStatus() {
+    const state = await migrationService.status();
+
+    for (const migration of state.migrations) {
+        const applied = migration.appliedAt ? new Date(migration.appliedAt).toISOString() : '';
+        console.log(`  ${migration.state.padEnd(10)} ${migration.version}_${migration.name} ${applied}`);
+    }
+    for (const row of state.missing) {
+        console.log(`  ${'missing'.padEnd(10)} ${row.version}_${row.name} (applied, but the file is gone)`);
+    }
+
+    console.log(`\n${state.pending.length} pending, ${state.mismatched.length} changed after applying, ${state.missing.length} missing`);
+    return state.mismatched.length === 0 && state.missing.length === 0;
+}
+
+async function main() {
+    const [command, ...args] = process.argv.slice(2);
+
+    if (command === 'create') {
+        const filePath = migrationService.create(args.join(' '));
+        console.log(`Created ${filePath}`);
+        return true;
+    }
+
+    if (!['status', 'up', 'down'].includes(command)) {
+        console.error(USAGE);
+        return false;
+    }
+
+    if (!process.env.DATABASE_PUBLIC_URL && !process.env.DATABASE_URL) {
+        throw new Error('DATABASE_PUBLIC_URL or DATABASE_URL environment variable is required');
+    }
+
+    switch (command) {
+        case 'status':
+            return printStatus();
+
+        case 'up': {
+            const applied = await migrationService.up({ to: readOption(args, '--to') });
+            console.log(applied.length > 0
+                ? `Applied ${applied.length} migration(s): ${applied.map(m => m.filename).join(', ')}`
+                : 'Database is up to date');
+            return true;
+        }
+
+        case 'down': {
+            const steps = parseInt(readOption(args, '--steps') || '1');
+            if (!Number.isInteger(steps) || steps < 1) {
+                throw new Error('--steps must be a positive number');
+            }
+            const rolledBack = await migrationService.down({ steps });
+            console.log(rolledBack.length > 0
+                ? `Rolled back ${rolledBack.length} migration(s): ${rolledBack.map(m => m.filename).join(', ')}`
+                : 'Nothing to roll back');
+            return true;
+        }
+    }
+}
+
+if (require.main === module) {
+    main()
+        .catch(error => {
+            console.error(`❌ ${error.message}`);
+            return false;
+        })
+        .then(async ok => {
+            await DatabaseManager.getInstance().closeAllConnections();
+            process.exit(ok ? 0 : 1);
+        });
+}
@@ -6,6 +6,8 @@
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const { DatabaseManager } = require('../config/database');
+const SecurityNotice = require('../models/SecurityNotice');
+const policyService = require('./policyService');
 const logger = require('../utils/logger');
 
 class AuthService {
@@ -13,6 +15,7 @@ class AuthService {
         this.jwtSecret = process.env.JWT_SECRET;
         this.jwtExpiresIn = process.env.JWT_EXPIRES_IN || '24h';
         this.refreshExpiresIn = process.env.REFRESH_EXPIRES_IN || '7d';
+        this.twoFactorChallengeExpiresIn = '5m';
         
         if (!this.jwtSecret) {
             throw new Error('JWT_SECRET environment variable is required');
@@ -25,12 +28,15 @@ class AuthService {
 
     /**
      * Generate JWT access token
+     * roles is the site role plus any school role (see policyService.rolesForUser). They describe
+     * the user for clients; authorization re-reads the user, so role changes apply before expiry.
      */
-    generateAccessToken(user) {
+    generateAccessToken(user, roles = [user.role]) {
         const payload = {
             userId: user.id,
             email: user.email,
             isAdmin: user.isAdmin,
+            roles,
             tokenType: 'access'
         };
 
@@ -48,18 +54,78 @@ class AuthService {
         return crypto.randomBytes(40).toString('hex');
     }
 
+    /**
+     * Generate the short-lived token that stands in for the password between
+     * the two steps of a two-factor login
+     */
+    generateTwoFactorChallenge(user) {
+        const payload = {
+            userId: user.id,
+            tokenType: 'two_factor_challenge'
+        };
+
+        return jwt.sign(payload, this.jwtSecret, {
+            expiresIn: this.twoFactorChallengeExpiresIn,
+            issuer: 'newsletter-generator',
+            audience: 'newsletter-users'
+        });
+    }
+
+    /**
+     * Verify a two-factor challenge token and return its payload
+     */
+    verifyTwoFactorChallenge(token) {
+        try {
+            const decoded = jwt.verify(token, this.jwtSecret, {
+                issuer: 'newsletter-generator',
+                audience: 'newsletter-users'
+            });
+
+            if (decoded.tokenType !== 'two_factor_challenge') {
+                throw new Error('Invalid token type');
+            }
+
+            return decoded;
+        } catch (error) {
+            if (error.name === 'TokenExpiredError') {
+                throw new Error('Two-factor challenge has expired');
+            } else if (error.name === 'JsonWebTokenError') {
+                throw new Error('Invalid two-factor challenge');
+            }
+            throw error;
+        }
+    }
+
     /**
      * Create complete authentication session
+     * Users with two-factor authentication get a challenge instead of tokens
+     * until the second factor has been checked (options.twoFactorVerified).
      */
-    async createSession(user, deviceInfo = {}, ipAddress = null) {
+    async createSession(user, deviceInfo = {}, ipAddress = null, options = {}) {
+        if (user.twoFactorEnabled && !options.twoFactorVerified) {
+            const challengeToken = this.generateTwoFactorChallenge(user);
+            return {
+                twoFactorRequired: true,
+                challengeToken,
+                expiresAt: new Date(Date.now() + this.parseExpiration(this.twoFactorChallengeExpiresIn))
+            };
+        }
+
         const db = DatabaseManager.getInstance();
         const client = await db.getClient();
 
         try {
             await client.query('BEGIN');
 
+            // Compare with the devices the user is already signed in on
+            const knownSessions = await client.query(
+                'SELECT device_info, host(ip_address) AS ip FROM user_sessions WHERE user_id = $1',
+                [user.id]
+            );
+            const unfamiliarLogin = this.describeUnfamiliarLogin(knownSessions.rows, deviceInfo, ipAddress);
+
             // Generate tokens
-            const accessToken = this.generateAccessToken(user);
+            const accessToken = this.generateAccessToken(user, await policyService.rolesForUser(user));
             const refreshToken = this.generateRefreshToken();
             const tokenHash = this.hashToken(refreshToken);
 
@@ -92,6 +158,10 @@ class AuthService {
 
             logger.info(`Session created for user: ${user.email}, Session ID: ${sessionId}`);
 
+            if (unfamiliarLogin) {
+                await this.reportUnfamiliarLogin(user, unfamiliarLogin);
+            }
+
             return {
                 accessToken,
                 refreshToken,
@@ -109,6 +179,42 @@ class AuthService {
         }
     }
 
+    /**
+     * Work out whether a sign-in comes from a device or IP address none of the user's
+     * current sessions use. Returns { reasons, userAgent, ipAddress } or null.
+     * With no other sessions (first sign-in, or after signing out everywhere) there is
+     * nothing to compare against, so nothing is reported.
+     */
+    describeUnfamiliarLogin(knownSessions, deviceInfo = {}, ipAddress = null) {
+        if (knownSessions.length === 0) {
+            return null;
+        }
+
+        const reasons = [];
+        const userAgent = deviceInfo.userAgent || 'unknown';
+
+        if (!knownSessions.some(session => (session.device_info || {}).userAgent === userAgent)) {
+            reasons.push('new_device');
+        }
+        if (ipAddress && !knownSessions.some(session => session.ip === ipAddress)) {
+            reasons.push('new_ip');
+        }
+
+        return reasons.length > 0 ? { reasons, userAgent, ipAddress } : null;
+    }
+
+    /**
+     * Leave a security notice in the user's account and the activity log
+     */
+    async reportUnfamiliarLogin(user, unfamiliarLogin) {
+        const User = require('../models/User');
+
+        await SecurityNotice.create(user.id, SecurityNotice.KINDS.NEW_DEVICE_LOGIN, unfamiliarLogin);
+        await User.logActivity(user.id, 'login_new_device', 'auth', user.id, unfamiliarLogin);
+
+        logger.info(`Sign-in from an unfamiliar device for ${user.email}: ${unfamiliarLogin.reasons.join(', ')}`);
+    }
+
     /**
      * Verify and decode access token
      */
@@ -166,7 +272,7 @@ class AuthService {
             const user = new User(session);
 
             // Generate new access token
-            const newAccessToken = this.generateAccessToken(user);
+            const newAccessToken = this.generateAccessToken(user, await policyService.rolesForUser(user));
 
             // Update session with new device info if provided
             if (Object.keys(deviceInfo).length > 0 || ipAddress) {
@@ -0,0 +1,237 @@
+// Account Data Service
+// "Download my data" archives and the final erasure of deleted accounts.
+// An export is a ZIP of JSON files (profile, newsletters, templates, shares, sessions,
+// access tokens, activity, security notices, calendar events, jobs) plus every newsletter
+// rendered as standalone HTML. Erasure deletes the user row, which cascades to their
+// content, and anonymizes the activity log entries that remain.
+const { DatabaseManager } = require('../config/database');
+const User = require('../models/User');
+const Newsletter = require('../models/Newsletter');
+const NewsletterShare = require('../models/NewsletterShare');
+const Template = require('../models/Template');
+const School = require('../models/School');
+const SecurityNotice = require('../models/SecurityNotice');
+const PersonalAccessToken = require('../models/PersonalAccessToken');
+const Job = require('../models/Job');
+const emailHtmlService = require('./emailHtmlService');
+const { createZip } = require('../utils/zipArchive');
+const logger = require('../utils/logger');
+
+const README = `Classroom Newsletter - your account data
+
+profile.json            Your account details and school membership
+newsletters.json        Every newsletter you own, including its content and any in your trash
+newsletters/*.html      Each newsletter rendered as a web page
+templates.json          Templates you created, including any in your trash
+shares.json             Share links and colleague grants on your newsletters, and grants you received
+sessions.json           Devices currently signed in to your account
+access-tokens.json      Personal access tokens (names and scopes only, never the token values)
+activity.json           The activity log of actions you took
+security-notices.json   Security notices sent to your account
+calendar-events.json    Events published through your calendar feed
+jobs.json               Scheduled publishing and other background jobs run for you
+`;
+
+const toJSON = (value) => JSON.stringify(value, null, 2);
+
+const fileSlug = (title, used) => {
+  const base = String(title || 'newsletter').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 60) || 'newsletter';
+  let slug = base;
+  for (let n = 2; used.has(slug); n++) {
+    slug = `${base}-${n}`;
+  }
+  used.add(slug);
+  return slug;
+};
+
+class AccountDataService {
+  /**
+   * Build the data export for a user.
+   * @param {User} user - Account to export
+   * @param {Object} options
+   * @param {string} options.baseUrl - Origin used to make relative image URLs absolute in rendered newsletters
+   * @returns {Promise<{filename: string, buffer: Buffer}>}
+   */
+  async buildExport(user, options = {}) {
+    const db = DatabaseManager.getInstance();
+
+    const [newsletters, templates, shares, received, sessions, activity, notices, events, jobs, tokens, membership, brandKit] = await Promise.all([
+      db.query('SELECT * FROM newsletters WHERE user_id = $1 ORDER BY created_at', [user.id]),
+      db.query('SELECT * FROM templates WHERE user_id = $1 ORDER BY created_at', [user.id]),
+      db.query(`
+        SELECT s.*, u.email AS shared_with_email FROM newsletter_shares s
+        LEFT JOIN users u ON u.id = s.shared_with
+        WHERE s.shared_by = $1 ORDER BY s.created_at
+      `, [user.id]),
+      db.query(`
+        SELECT s.newsletter_id, s.permissions, s.expires_at, s.created_at, n.title, owner.email AS shared_by_email
+        FROM newsletter_shares s
+        JOIN newsletters n ON n.id = s.newsletter_id
+        JOIN users owner ON owner.id = s.shared_by
+        WHERE s.shared_with = $1 AND n.deleted_at IS NULL ORDER BY s.created_at
+      `, [user.id]),
+      db.query(`
+        SELECT id, device_info, host(ip_address) AS ip_address, created_at, expires_at
+        FROM user_sessions WHERE user_id = $1 ORDER BY created_at
+      `, [user.id]),
+      db.query(`
+        SELECT action, resource_type, resource_id, metadata, host(ip_address) AS ip_address, user_agent, created_at
+        FROM activity_logs WHERE user_id = $1 ORDER BY created_at
+      `, [user.id]),
+      db.query('SELECT * FROM security_notices WHERE user_id = $1 ORDER BY created_at', [user.id]),
+      db.query(`
+        SELECT newsletter_id, title, description, event_date, status, created_at, updated_at
+        FROM calendar_events WHERE user_id = $1 ORDER BY event_date
+      `, [user.id]),
+      db.query('SELECT * FROM jobs WHERE user_id = $1 ORDER BY created_at', [user.id]),
+      PersonalAccessToken.findByUser(user.id),
+      School.findMembership(user.id),
+      School.getBrandKitForUser(user.id)
+    ]);
+
+    const ownNewsletters = newsletters.rows.map(row => new Newsletter(row));
+    const usedSlugs = new Set();
+    const rendered = ownNewsletters.map(newsletter => {
+      const name = `newsletters/${fileSlug(newsletter.title, usedSlugs)}.html`;
+      try {
+        return { name, data: emailHtmlService.renderNewsletter(newsletter, { baseUrl: options.baseUrl, brandKit }) };
+      } catch (error) {
+        logger.warn('Newsletter left out of data export rendering', { newsletterId: newsletter.id, error: error.message });
+        return null;
+      }
+    }).filter(Boolean);
+
+    const entries = [
+      { name: 'README.txt', data: README },
+      {
+        name: 'profile.json',
+        data: toJSON({
+          ...user.toPublicJSON(),
+          school: membership ? { name: membership.school.name, role: membership.role } : user.school,
+          exportedAt: new Date().toISOString()
+        })
+      },
+      { name: 'newsletters.json', data: toJSON(ownNewsletters.map(newsletter => newsletter.toPublicJSON())) },
+      ...rendered,
+      { name: 'templates.json', data: toJSON(templates.rows.map(row => new Template(row).toPublicJSON())) },
+      {
+        name: 'shares.json',
+        data: toJSON({
+          created: shares.rows.map(row => ({
+            ...new NewsletterShare(row).toPublicJSON(),
+            ...(row.shared_with_email && { sharedWith: row.shared_with_email })
+          })),
+          received: received.rows.map(row => ({
+            newsletterId: row.newsletter_id,
+            title: row.title,
+            sharedBy: row.shared_by_email,
+            permissions: row.permissions,
+            expiresAt: row.expires_at,
+            createdAt: row.created_at
+          }))
+        })
+      },
+      { name: 'sessions.json', data: toJSON(sessions.rows) },
+      { name: 'access-tokens.json', data: toJSON(tokens.map(token => token.toPublicJSON())) },
+      { name: 'activity.json', data: toJSON(activity.rows) },
+      { name: 'security-notices.json', data: toJSON(notices.rows.map(row => new SecurityNotice(row).toPublicJSON())) },
+      { name: 'calendar-events.json', data: toJSON(events.rows) },
+      { name: 'jobs.json', data: toJSON(jobs.rows.map(row => new Job(row).toPublicJSON())) }
+    ];
+
+    const date = new Date().toISOString().slice(0, 10);
+    return {
+      filename: `classroom-newsletter-data-${date}.zip`,
+      buffer: createZip(entries)
+    };
+  }
+
+  /**
+   * Erase an account for good. Content cascades with the user row; activity log entries
+   * are kept for the audit trail but lose everything that identifies the person, including
+   * entries other people wrote about them (invitations, memberships, shares).
+   * Global templates are offered to every teacher, so they pass to another site admin.
+   * @returns {Promise<boolean>} false if the account no longer exists
+   */
+  async purgeAccount(userId, deletedBy = null) {
+    const db = DatabaseManager.getInstance();
+
+    const deleted = await db.transaction(async (client) => {
+      const existing = await client.query('SELECT id, email FROM users WHERE id = $1 FOR UPDATE', [userId]);
+      if (existing.rows.length === 0) {
+        return false;
+      }
+      const { email } = existing.rows[0];
+
+      await client.query(`
+        UPDATE templates
+        SET user_id = successor.id
+        FROM (
+          SELECT id FROM users
+          WHERE role = 'site_admin' AND is_active = true AND deletion_scheduled_for IS NULL AND id <> $1
+          ORDER BY created_at
+          LIMIT 1
+        ) successor
+        WHERE templates.user_id = $1 AND templates.is_global = true
+      `, [userId]);
+
+      // Entries by or on the account lose who acted and from where; entries that only mention
+      // it (as a JSON string holding its id or email) keep those. Either way the metadata goes.
+      await client.query(`
+        UPDATE activity_logs
+        SET user_id = CASE WHEN user_id = $1 THEN NULL ELSE user_id END,
+            resource_id = CASE WHEN resource_id = $1 THEN NULL ELSE resource_id END,
+            ip_address = CASE WHEN user_id = $1 OR resource_id = $1 THEN NULL ELSE ip_address END,
+            user_agent = CASE WHEN user_id = $1 OR resource_id = $1 THEN NULL ELSE user_agent END,
+            metadata = '{"anonymized": true}'::jsonb
+        WHERE user_id = $1
+           OR (resource_type IN ('user', 'auth') AND resource_id = $1)
+           OR strpos(metadata::text, '"' || $1::text || '"') > 0
+           OR strpos(lower(metadata::text), '"' || lower($2) || '"') > 0
+      `, [userId, email]);
+
+      // Invitations are addressed by email and do not cascade with the user row
+      await client.query('DELETE FROM school_invitations WHERE lower(email) = lower($1)', [email]);
+
+      await client.query('DELETE FROM users WHERE id = $1', [userId]);
+
+      await client.query(
+        `INSERT INTO activity_logs (user_id, action, resource_type, resource_id, metadata)
+         VALUES ($1, 'account_erased', 'user', NULL, $2)`,
+        [deletedBy === userId ? null : deletedBy, JSON.stringify({ byAdmin: Boolean(deletedBy && deletedBy !== userId) })]
+      );
+
+      return true;
+    });
+
+    if (deleted) {
+      logger.info(`Account ${userId} erased${deletedBy && deletedBy !== userId ? ` by ${deletedBy}` : ''}`);
+    }
+    return deleted;
+  }
+
+  /**
+   * Erase every account whose deletion grace period is over
+   */
+  async purgeDueAccounts() {
+    const due = await User.findDueForDeletion();
+    let erased = 0;
+
+    for (const userId of due) {
+      try {
+        if (await this.purgeAccount(userId)) {
+          erased++;
+        }
+      } catch (error) {
+        logger.error(`Error erasing account ${userId}:`, error);
+      }
+    }
+
+    if (erased > 0) {
+      logger.info(`Erased ${erased} accounts past their deletion grace period`);
+    }
+    return erased;
+  }
+}
+
+module.exports = new AccountDataService();
@@ -0,0 +1,154 @@
+// Calendar Service
+// Builds iCalendar (.ics) files from newsletter Events sections (RFC 5545)
+const { getNewsletterEvents } = require('../utils/newsletterContent');
+
+const PRODUCT_ID = '-//Classroom Newsletter//Newsletter System v1.0//EN';
+const UID_DOMAIN = 'classroom-newsletter';
+
+class CalendarService {
+  /**
+   * Build a calendar containing the events of a single newsletter
+   * @param {Newsletter} newsletter - Newsletter model instance
+   * @returns {string} iCalendar document
+   */
+  buildNewsletterCalendar(newsletter) {
+    const events = getNewsletterEvents(newsletter.content).map(event => ({
+      uid: this.buildUid(newsletter.userId, event.key),
+      date: event.date,
+      title: event.title,
+      description: event.description,
+      sequence: 0,
+      status: 'confirmed',
+      updatedAt: newsletter.updatedAt
+    }));
+
+    return this.buildCalendar(newsletter.title || 'Classroom Newsletter', events);
+  }
+
+  /**
+   * Build a teacher's subscription feed from stored calendar events
+   * @param {string} name - Calendar display name
+   * @param {CalendarEvent[]} calendarEvents - Events including cancellations
+   * @returns {string} iCalendar document
+   */
+  buildFeed(name, calendarEvents) {
+    const events = calendarEvents.map(event => ({
+      uid: this.buildUid(event.userId, event.eventKey),
+      date: event.eventDate,
+      title: event.title,
+      description: event.description,
+      sequence: event.sequence,
+      status: event.status,
+      updatedAt: event.updatedAt
+    }));
+
+    return this.buildCalendar(name, events, { refreshInterval: 'PT1H' });
+  }
+
+  /**
+   * UIDs only depend on the teacher and event id, so the same event keeps its identity
+   * across newsletters and between one-off exports and the subscription feed
+   */
+  buildUid(userId, eventKey) {
+    return `${userId}-${String(eventKey).replace(/[^A-Za-z0-9._-]/g, '_')}@${UID_DOMAIN}`;
+  }
+
+  buildCalendar(name, events, options = {}) {
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      `PRODID:${PRODUCT_ID}`,
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      `X-WR-CALNAME:${this.escapeText(name)}`
+    ];
+
+    if (options.refreshInterval) {
+      lines.push(`REFRESH-INTERVAL;VALUE=DURATION:${options.refreshInterval}`);
+      lines.push(`X-PUBLISHED-TTL:${options.refreshInterval}`);
+    }
+
+    const stamp = this.formatTimestamp(new Date());
+
+    events.forEach(event => {
+      lines.push(
+        'BEGIN:VEVENT',
+        `UID:${event.uid}`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART;VALUE=DATE:${this.formatDate(event.date)}`,
+        `DTEND;VALUE=DATE:${this.formatDate(event.date, 1)}`,
+        `SUMMARY:${this.escapeText(event.title)}`
+      );
+
+      if (event.description) {
+        lines.push(`DESCRIPTION:${this.escapeText(event.description)}`);
+      }
+
+      if (event.updatedAt) {
+        lines.push(`LAST-MODIFIED:${this.formatTimestamp(new Date(event.updatedAt))}`);
+      }
+
+      lines.push(
+        `SEQUENCE:${event.sequence || 0}`,
+        `STATUS:${event.status === 'cancelled' ? 'CANCELLED' : 'CONFIRMED'}`,
+        'TRANSP:TRANSPARENT',
+        'END:VEVENT'
+      );
+    });
+
+    lines.push('END:VCALENDAR');
+
+    return lines.map(line => this.foldLine(line)).join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Format a YYYY-MM-DD date as an iCalendar DATE, optionally shifted by whole days
+   */
+  formatDate(dateString, offsetDays = 0) {
+    const [year, month, day] = String(dateString).slice(0, 10).split('-').map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day + offsetDays));
+    return date.toISOString().slice(0, 10).replace(/-/g, '');
+  }
+
+  formatTimestamp(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  }
+
+  escapeText(value) {
+    return String(value || '')
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  }
+
+  /**
+   * Fold content lines longer than 75 octets as required by RFC 5545
+   */
+  foldLine(line) {
+    const bytes = Buffer.from(line, 'utf8');
+    if (bytes.length <= 75) return line;
+
+    const parts = [];
+    let current = '';
+    let currentBytes = 0;
+    let limit = 75;
+
+    for (const char of line) {
+      const size = Buffer.byteLength(char, 'utf8');
+      if (currentBytes + size > limit) {
+        parts.push(current);
+        current = '';
+        currentBytes = 0;
+        limit = 74; // continuation lines start with a space
+      }
+      current += char;
+      currentBytes += size;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+  }
+}
+
+module.exports = new CalendarService();
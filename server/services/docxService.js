@@ -0,0 +1,609 @@
+// DOCX Service for server-side newsletter rendering
+// Builds an editable Word document from newsletter sections using the theme colors and fonts
+const {
+  Document,
+  Packer,
+  Paragraph,
+  TextRun,
+  ImageRun,
+  Table,
+  TableRow,
+  TableCell,
+  Footer,
+  PageNumber,
+  HeadingLevel,
+  AlignmentType,
+  LevelFormat,
+  WidthType,
+  ShadingType,
+  BorderStyle
+} = require('docx');
+const logger = require('../utils/logger');
+const imageService = require('./imageService');
+const {
+  resolveTheme,
+  getOrderedSections,
+  parseRichText,
+  formatEventDate
+} = require('../utils/newsletterContent');
+
+// Letter page with 1in margins leaves 6.5in of content width (96 px per inch)
+const CONTENT_WIDTH_PX = 624;
+const MAX_IMAGE_HEIGHT_PX = 540;
+
+// Bounding box for the school logo above the masthead
+const LOGO_MAX_WIDTH_PX = 240;
+const LOGO_MAX_HEIGHT_PX = 85;
+
+const IMAGE_WIDTHS = {
+  small: 0.4,
+  medium: 0.7,
+  large: 1
+};
+
+const ALIGNMENTS = {
+  left: AlignmentType.LEFT,
+  center: AlignmentType.CENTER,
+  right: AlignmentType.RIGHT,
+  justify: AlignmentType.JUSTIFIED
+};
+
+// Word needs a concrete font name; CSS generic families map onto common installed fonts
+const GENERIC_FONTS = {
+  serif: 'Times New Roman',
+  'sans-serif': 'Arial',
+  monospace: 'Courier New',
+  cursive: 'Comic Sans MS',
+  fantasy: 'Impact'
+};
+
+const NUMBERED_LIST = 'numbered-list';
+
+class DOCXService {
+  /**
+   * Render a newsletter to a DOCX file
+   * @param {Newsletter} newsletter - Newsletter model instance
+   * @param {Object} options - Render options
+   * @returns {Promise<Buffer>} The generated .docx file
+   */
+  async renderNewsletter(newsletter, options = {}) {
+    const theme = resolveTheme(newsletter, options.brandKit);
+    const sections = getOrderedSections(newsletter.content);
+    const images = await this.loadImages(sections, [theme.logoUrl]);
+
+    // Each numbered list gets its own numbering instance so it restarts at 1
+    const context = { theme, images, listInstance: 0 };
+
+    const children = [...this.renderMasthead(newsletter, theme, images.get(theme.logoUrl))];
+
+    sections.forEach(section => {
+      try {
+        children.push(...this.renderSection(section, context));
+      } catch (error) {
+        logger.warn('Skipping section that failed to render in DOCX', {
+          sectionId: section.id,
+          type: section.type,
+          error: error.message
+        });
+      }
+    });
+
+    children.push(...this.renderClosing(theme));
+
+    const doc = new Document({
+      creator: options.author || 'Classroom Newsletter System',
+      title: newsletter.title || 'Classroom Newsletter',
+      subject: 'Educational Newsletter',
+      description: 'Generated by Newsletter System v1.0',
+      background: { color: this.color(theme.backgroundColor) },
+      styles: this.buildStyles(theme),
+      numbering: {
+        config: [{
+          reference: NUMBERED_LIST,
+          levels: [{
+            level: 0,
+            format: LevelFormat.DECIMAL,
+            text: '%1.',
+            alignment: AlignmentType.START,
+            style: { paragraph: { indent: { left: 720, hanging: 360 } } }
+          }]
+        }]
+      },
+      sections: [{
+        properties: {
+          page: {
+            size: options.pageSize === 'A4'
+              ? { width: 11906, height: 16838 }
+              : { width: 12240, height: 15840 },
+            margin: { top: 1440, right: 1440, bottom: 1440, left: 1440 }
+          }
+        },
+        footers: {
+          default: new Footer({
+            children: [new Paragraph({
+              alignment: AlignmentType.CENTER,
+              children: [new TextRun({
+                children: ['Page ', PageNumber.CURRENT, ' of ', PageNumber.TOTAL_PAGES],
+                size: 18,
+                color: this.color(theme.secondaryColor)
+              })]
+            })]
+          })
+        },
+        children
+      }]
+    });
+
+    const buffer = await Packer.toBuffer(doc);
+
+    logger.info('Newsletter DOCX rendered', {
+      newsletterId: newsletter.id,
+      sections: sections.length,
+      images: images.size
+    });
+
+    return buffer;
+  }
+
+  /**
+   * Document-wide styles derived from the theme
+   */
+  buildStyles(theme) {
+    const font = this.resolveFont(theme.fontFamily);
+
+    return {
+      default: {
+        document: {
+          run: { font, size: 23, color: this.color(theme.textColor) },
+          paragraph: { spacing: { after: 120, line: 276 } }
+        },
+        title: {
+          run: { font, size: 48, bold: true, color: this.color(theme.primaryColor) },
+          paragraph: { alignment: AlignmentType.CENTER, spacing: { after: 120 } }
+        },
+        heading1: {
+          run: { font, size: 40, bold: true, color: this.color(theme.textColor) },
+          paragraph: { spacing: { before: 240, after: 120 } }
+        },
+        heading2: {
+          run: { font, size: 30, bold: true, color: this.color(theme.primaryColor) },
+          paragraph: { spacing: { before: 240, after: 120 }, keepNext: true }
+        }
+      },
+      paragraphStyles: [{
+        id: 'Caption',
+        name: 'Caption',
+        basedOn: 'Normal',
+        next: 'Normal',
+        quickFormat: true,
+        run: { italics: true, size: 20, color: this.color(theme.secondaryColor) },
+        paragraph: { alignment: AlignmentType.CENTER, spacing: { before: 60, after: 200 } }
+      }]
+    };
+  }
+
+  /**
+   * Pick the first concrete font from a CSS font-family list
+   */
+  resolveFont(fontFamily = '') {
+    const families = fontFamily.split(',').map(name => name.trim().replace(/['"]/g, '')).filter(Boolean);
+    const family = families[0] || 'serif';
+    return GENERIC_FONTS[family.toLowerCase()] || family;
+  }
+
+  /**
+   * Convert a CSS hex color to the bare hex Word expects
+   */
+  color(value, fallback = '000000') {
+    const match = String(value || '').trim().match(/^#?([0-9a-f]{6}|[0-9a-f]{3})$/i);
+    if (!match) return fallback;
+
+    const hex = match[1].length === 3
+      ? match[1].split('').map(char => char + char).join('')
+      : match[1];
+    return hex.toUpperCase();
+  }
+
+  /**
+   * Download the images referenced by the newsletter (extra URLs such as the logo first),
+   * keyed by URL, within the limits of imageService.downloadImages
+   */
+  async loadImages(sections, extraUrls = []) {
+    const urls = new Set(extraUrls.filter(Boolean));
+
+    sections.forEach(section => {
+      if (section.type === 'image' && section.data.imageUrl) {
+        urls.add(section.data.imageUrl);
+      }
+
+      if (section.type === 'richText') {
+        parseRichText(section.data.content)
+          .filter(block => block.type === 'image')
+          .forEach(block => urls.add(block.url));
+      }
+    });
+
+    const images = new Map();
+    const downloaded = await imageService.downloadImages([...urls]);
+    downloaded.forEach((image, url) => {
+      const info = imageService.getImageInfo(image.buffer);
+      if (info) {
+        images.set(url, { buffer: image.buffer, ...info });
+      }
+    });
+
+    return images;
+  }
+
+  /**
+   * Newsletter title and date banner
+   */
+  renderMasthead(newsletter, theme, logo) {
+    const date = newsletter.publishDate || newsletter.updatedAt || new Date();
+    const paragraphs = [];
+
+    // School logo from the brand kit
+    if (logo) {
+      const width = logo.width || LOGO_MAX_WIDTH_PX;
+      const height = logo.height || LOGO_MAX_HEIGHT_PX;
+      const scale = Math.min(LOGO_MAX_WIDTH_PX / width, LOGO_MAX_HEIGHT_PX / height, 1);
+
+      paragraphs.push(new Paragraph({
+        alignment: AlignmentType.CENTER,
+        spacing: { after: 120 },
+        children: [new ImageRun({
+          type: logo.type,
+          data: logo.buffer,
+          transformation: {
+            width: Math.round(width * scale),
+            height: Math.round(height * scale)
+          },
+          altText: { name: 'School logo', title: 'School logo', description: 'School logo' }
+        })]
+      }));
+    }
+
+    return [
+      ...paragraphs,
+      new Paragraph({
+        heading: HeadingLevel.TITLE,
+        children: [new TextRun(newsletter.title || 'Classroom Newsletter')]
+      }),
+      new Paragraph({
+        alignment: AlignmentType.CENTER,
+        border: {
+          bottom: { style: BorderStyle.SINGLE, size: 18, color: this.color(theme.primaryColor), space: 6 }
+        },
+        spacing: { after: 360 },
+        children: [new TextRun({
+          text: `Week of ${new Date(date).toLocaleDateString('en-US', {
+            year: 'numeric',
+            month: 'long',
+            day: 'numeric'
+          })}`,
+          color: this.color(theme.secondaryColor)
+        })]
+      })
+    ];
+  }
+
+  renderSection(section, context) {
+    switch (section.type) {
+      case 'header':
+        return this.renderHeaderSection(section.data, context);
+      case 'title':
+        return this.renderTitleSection(section.data, context);
+      case 'richText':
+        return this.renderRichTextSection(section.data, context);
+      case 'events':
+        return this.renderEventsSection(section.data, context);
+      case 'contact':
+        return this.renderContactSection(section.data, context);
+      case 'image':
+        return this.renderImageSection(section.data, context);
+      default:
+        logger.debug('Unknown section type skipped in DOCX export', { type: section.type });
+        return [];
+    }
+  }
+
+  renderHeaderSection(data, { theme }) {
+    const alignment = ALIGNMENTS[data.style?.textAlign] || AlignmentType.CENTER;
+    const color = this.color(data.style?.color || theme.textColor);
+    const rule = { style: BorderStyle.SINGLE, size: 12, color, space: 4 };
+    const showBorder = data.style?.showBorder !== false;
+    const paragraphs = [];
+
+    paragraphs.push(new Paragraph({
+      heading: HeadingLevel.HEADING_1,
+      alignment,
+      border: showBorder ? { top: rule } : undefined,
+      children: [new TextRun({ text: String(data.title || '').toUpperCase(), color })]
+    }));
+
+    if (data.subtitle) {
+      paragraphs.push(new Paragraph({
+        alignment,
+        children: [new TextRun({ text: data.subtitle, color: this.color(theme.secondaryColor) })]
+      }));
+    }
+
+    if (data.level) {
+      paragraphs.push(new Paragraph({
+        alignment,
+        children: [new TextRun({ text: data.level, italics: true, size: 20, color: this.color(theme.secondaryColor) })]
+      }));
+    }
+
+    if (data.showNameLine) {
+      paragraphs.push(new Paragraph({
+        spacing: { before: 200 },
+        children: [new TextRun({ text: 'Name: ______________________________   Date: ______________', color })]
+      }));
+    }
+
+    if (showBorder) {
+      paragraphs.push(new Paragraph({ border: { bottom: rule }, spacing: { after: 240 } }));
+    }
+
+    return paragraphs;
+  }
+
+  renderTitleSection(data, { theme }) {
+    const alignment = ALIGNMENTS[data.style?.textAlign] || AlignmentType.CENTER;
+    const sizes = { lg: 32, xl: 40, '2xl': 48, '3xl': 60 };
+    const paragraphs = [
+      new Paragraph({
+        heading: HeadingLevel.HEADING_1,
+        alignment,
+        children: [new TextRun({
+          text: data.title || '',
+          size: sizes[data.style?.fontSize] || 48,
+          color: this.color(data.style?.color || theme.primaryColor)
+        })]
+      })
+    ];
+
+    if (data.subtitle) {
+      paragraphs.push(new Paragraph({
+        alignment,
+        spacing: { after: 240 },
+        children: [new TextRun({ text: data.subtitle, italics: true, size: 26, color: this.color(theme.secondaryColor) })]
+      }));
+    }
+
+    return paragraphs;
+  }
+
+  renderRichTextSection(data, context) {
+    const alignment = ALIGNMENTS[data.style?.textAlign] || AlignmentType.LEFT;
+    const size = data.style?.fontSize === 'sm' ? 20 : data.style?.fontSize === 'lg' ? 26 : undefined;
+    const color = data.style?.color ? this.color(data.style.color) : undefined;
+    const paragraphs = [];
+    let previousType = null;
+
+    parseRichText(data.content).forEach(block => {
+      if (block.type === 'image') {
+        paragraphs.push(...this.renderImage(context.images.get(block.url), { size: 'medium', caption: null, alt: block.alt }, context));
+        previousType = block.type;
+        return;
+      }
+
+      const runs = block.runs.map(run => new TextRun({
+        text: run.text,
+        bold: run.bold,
+        italics: run.italic,
+        size,
+        color
+      }));
+
+      if (block.type === 'bullet') {
+        paragraphs.push(new Paragraph({ bullet: { level: 0 }, spacing: { after: 60 }, children: runs }));
+      } else if (block.type === 'numbered') {
+        if (previousType !== 'numbered') {
+          context.listInstance++;
+        }
+        paragraphs.push(new Paragraph({
+          numbering: { reference: NUMBERED_LIST, level: 0, instance: context.listInstance },
+          spacing: { after: 60 },
+          children: runs
+        }));
+      } else {
+        paragraphs.push(new Paragraph({ alignment, children: runs }));
+      }
+
+      previousType = block.type;
+    });
+
+    paragraphs.push(new Paragraph({ spacing: { after: 120 } }));
+    return paragraphs;
+  }
+
+  renderEventsSection(data, { theme }) {
+    const events = Array.isArray(data.events) ? data.events : [];
+    const titleColor = this.color(data.style?.titleColor || theme.primaryColor);
+    const heading = new Paragraph({
+      heading: HeadingLevel.HEADING_2,
+      children: [new TextRun({ text: data.title || 'Upcoming Events', color: titleColor })]
+    });
+
+    if (events.length === 0) {
+      return [heading, new Paragraph({
+        children: [new TextRun({ text: 'No events scheduled', italics: true, color: this.color(theme.secondaryColor) })]
+      })];
+    }
+
+    const headerFill = this.color(theme.primaryColor);
+    const borderColor = this.color(theme.borderColor, 'E2E8F0');
+    const border = { style: BorderStyle.SINGLE, size: 4, color: borderColor };
+    const borders = { top: border, bottom: border, left: border, right: border, insideHorizontal: border, insideVertical: border };
+    const margins = { top: 80, bottom: 80, left: 120, right: 120 };
+
+    const headerCell = (text, width) => new TableCell({
+      width: { size: width, type: WidthType.PERCENTAGE },
+      shading: { fill: headerFill, type: ShadingType.CLEAR, color: 'auto' },
+      margins,
+      children: [new Paragraph({
+        spacing: { after: 0 },
+        children: [new TextRun({ text, bold: true, color: 'FFFFFF' })]
+      })]
+    });
+
+    const bodyCell = (runs, width) => new TableCell({
+      width: { size: width, type: WidthType.PERCENTAGE },
+      margins,
+      children: [new Paragraph({ spacing: { after: 0 }, children: runs })]
+    });
+
+    const rows = [
+      new TableRow({
+        tableHeader: true,
+        children: [headerCell('Date', 22), headerCell('Event', 33), headerCell('Details', 45)]
+      }),
+      ...events.map(event => new TableRow({
+        cantSplit: true,
+        children: [
+          bodyCell([new TextRun({ text: formatEventDate(event.date), bold: true, color: this.color(theme.accentColor) })], 22),
+          bodyCell([new TextRun({ text: event.title || '', bold: true, color: this.color(theme.primaryColor) })], 33),
+          bodyCell([new TextRun(event.description || '')], 45)
+        ]
+      }))
+    ];
+
+    return [
+      heading,
+      new Table({ width: { size: 100, type: WidthType.PERCENTAGE }, borders, rows }),
+      new Paragraph({ spacing: { after: 120 } })
+    ];
+  }
+
+  /**
+   * Contact details in a bordered, shaded single-cell table
+   */
+  renderContactSection(data, { theme }) {
+    const rows = [
+      ['Teacher', data.teacherName],
+      ['Email', data.email],
+      ['Phone', data.phone],
+      ['Room', data.room],
+      ['Office Hours', data.officeHours]
+    ].filter(([, value]) => value);
+
+    const border = { style: BorderStyle.SINGLE, size: 12, color: this.color(theme.secondaryColor) };
+    const none = { style: BorderStyle.NONE, size: 0, color: 'auto' };
+
+    const cell = new TableCell({
+      shading: { fill: 'F8FAFC', type: ShadingType.CLEAR, color: 'auto' },
+      margins: { top: 160, bottom: 160, left: 240, right: 240 },
+      children: [
+        new Paragraph({
+          heading: HeadingLevel.HEADING_2,
+          spacing: { before: 0, after: 120 },
+          children: [new TextRun(data.title || 'Contact Information')]
+        }),
+        ...rows.map(([label, value]) => new Paragraph({
+          spacing: { after: 60 },
+          children: [
+            new TextRun({ text: `${label}: `, bold: true, color: this.color(theme.primaryColor) }),
+            new TextRun(String(value))
+          ]
+        }))
+      ]
+    });
+
+    return [
+      new Table({
+        width: { size: 100, type: WidthType.PERCENTAGE },
+        borders: { top: border, bottom: border, left: border, right: border, insideHorizontal: none, insideVertical: none },
+        rows: [new TableRow({ cantSplit: true, children: [cell] })]
+      }),
+      new Paragraph({ spacing: { after: 120 } })
+    ];
+  }
+
+  renderImageSection(data, context) {
+    if (!data.imageUrl) return [];
+
+    return this.renderImage(context.images.get(data.imageUrl), {
+      size: data.size,
+      alignment: data.alignment,
+      caption: data.caption,
+      alt: data.imageAlt,
+      credit: data.imageCredit
+    }, context);
+  }
+
+  /**
+   * Embed an image scaled to the section size, with an optional caption underneath
+   */
+  renderImage(image, { size = 'medium', alignment = 'center', caption, alt, credit }, { theme }) {
+    const paragraphs = [];
+
+    if (!image) {
+      if (caption) {
+        paragraphs.push(new Paragraph({ style: 'Caption', children: [new TextRun(`[Image: ${caption}]`)] }));
+      }
+      return paragraphs;
+    }
+
+    const maxWidth = CONTENT_WIDTH_PX * (IMAGE_WIDTHS[size] || IMAGE_WIDTHS.medium);
+    const width = image.width || maxWidth;
+    const height = image.height || maxWidth * 0.75;
+    const scale = Math.min(maxWidth / width, MAX_IMAGE_HEIGHT_PX / height, 1);
+
+    paragraphs.push(new Paragraph({
+      alignment: ALIGNMENTS[alignment] || AlignmentType.CENTER,
+      keepNext: Boolean(caption || credit?.photographer),
+      spacing: { before: 120, after: caption ? 0 : 200 },
+      children: [new ImageRun({
+        type: image.type,
+        data: image.buffer,
+        transformation: {
+          width: Math.round(width * scale),
+          height: Math.round(height * scale)
+        },
+        altText: {
+          name: 'Newsletter image',
+          title: caption || alt || 'Newsletter image',
+          description: alt || caption || ''
+        }
+      })]
+    }));
+
+    if (caption) {
+      paragraphs.push(new Paragraph({ style: 'Caption', children: [new TextRun(caption)] }));
+    }
+
+    if (credit?.photographer) {
+      paragraphs.push(new Paragraph({
+        alignment: AlignmentType.CENTER,
+        children: [new TextRun({
+          text: `Photo: ${credit.photographer}${credit.source ? ` / ${credit.source}` : ''}`,
+          size: 16,
+          color: this.color(theme.secondaryColor)
+        })]
+      }));
+    }
+
+    return paragraphs;
+  }
+
+  renderClosing(theme) {
+    return [
+      new Paragraph({
+        alignment: AlignmentType.CENTER,
+        border: {
+          top: { style: BorderStyle.SINGLE, size: 6, color: this.color(theme.borderColor || theme.secondaryColor), space: 8 }
+        },
+        spacing: { before: 240 },
+        children: [new TextRun({
+          text: 'Thank you for being part of our classroom community!',
+          size: 20,
+          color: this.color(theme.secondaryColor)
+        })]
+      })
+    ];
+  }
+}
+
+module.exports = new DOCXService();
@@ -0,0 +1,423 @@
+// Email HTML Service
+// Compiles a newsletter into table-based, inline-styled HTML that survives common mail clients
+const logger = require('../utils/logger');
+const {
+  resolveTheme,
+  getOrderedSections,
+  parseRichText,
+  formatEventDate
+} = require('../utils/newsletterContent');
+
+// 600px is the widest layout that renders reliably across desktop and mobile mail clients
+const EMAIL_WIDTH = 600;
+const CONTENT_PADDING = 24;
+
+const IMAGE_WIDTHS = {
+  small: 0.4,
+  medium: 0.7,
+  large: 1
+};
+
+// Mail clients ignore web fonts, so each theme font falls back to a web-safe stack
+const FONT_FALLBACKS = {
+  serif: "Georgia, 'Times New Roman', Times, serif",
+  sans: 'Arial, Helvetica, sans-serif',
+  cursive: "'Comic Sans MS', 'Comic Sans', cursive, sans-serif",
+  mono: "'Courier New', Courier, monospace"
+};
+
+class EmailHtmlService {
+  /**
+   * Render a newsletter to a standalone email-safe HTML document
+   * @param {Newsletter} newsletter - Newsletter model instance
+   * @param {Object} options - Render options
+   * @param {string} options.baseUrl - Origin used to make relative image URLs absolute
+   * @param {Object} options.brandKit - Brand kit of the owner's school, if any
+   * @returns {string} HTML document
+   */
+  renderNewsletter(newsletter, options = {}) {
+    const theme = this.sanitizeTheme(resolveTheme(newsletter, options.brandKit));
+    const sections = getOrderedSections(newsletter.content);
+    const context = {
+      theme,
+      font: this.getFontStack(theme.fontFamily),
+      baseUrl: options.baseUrl || ''
+    };
+
+    const rows = [this.renderMasthead(newsletter, context)];
+
+    sections.forEach(section => {
+      try {
+        const html = this.renderSection(section, context);
+        if (html) {
+          rows.push(this.row(html));
+        }
+      } catch (error) {
+        logger.warn('Skipping section that failed to render in email HTML', {
+          sectionId: section.id,
+          type: section.type,
+          error: error.message
+        });
+      }
+    });
+
+    rows.push(this.renderClosing(context));
+
+    const title = this.escape(newsletter.title || 'Classroom Newsletter');
+    const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta http-equiv="X-UA-Compatible" content="IE=edge">
+<title>${title}</title>
+</head>
+<body style="margin:0;padding:0;background-color:${theme.backgroundColor};">
+<table role="presentation" width="100%" cellpadding="0" cellspacing="0" border="0" bgcolor="${theme.backgroundColor}" style="background-color:${theme.backgroundColor};">
+<tr>
+<td align="center" style="padding:16px 8px;">
+<table role="presentation" width="${EMAIL_WIDTH}" cellpadding="0" cellspacing="0" border="0" bgcolor="#ffffff" style="width:${EMAIL_WIDTH}px;max-width:100%;background-color:#ffffff;border:1px solid ${theme.borderColor};font-family:${context.font};color:${theme.textColor};">
+${rows.join('\n')}
+</table>
+</td>
+</tr>
+</table>
+</body>
+</html>
+`;
+
+    logger.info('Newsletter email HTML rendered', {
+      newsletterId: newsletter.id,
+      sections: sections.length
+    });
+
+    return html;
+  }
+
+  /**
+   * Map a CSS font-family onto a web-safe stack, keeping the theme font first
+   */
+  getFontStack(fontFamily = '') {
+    const families = String(fontFamily).split(',').map(name => this.css(name).trim()).filter(Boolean);
+    const names = families.map(name => name.toLowerCase());
+
+    let generic = 'sans';
+    if (names.some(name => /mono|courier|consolas/.test(name))) generic = 'mono';
+    else if (names.some(name => /cursive|comic/.test(name))) generic = 'cursive';
+    else if (names.some(name => /^(serif|georgia|times|times new roman|garamond|palatino|book antiqua)$/.test(name))) generic = 'serif';
+
+    const fallback = FONT_FALLBACKS[generic];
+    const primary = families[0] && !/^(serif|sans-serif|cursive|monospace)$/i.test(families[0]) && !fallback.includes(families[0])
+      ? `'${families[0]}', `
+      : '';
+
+    return `${primary}${fallback}`;
+  }
+
+  /**
+   * Strip characters that could break out of an inline style attribute
+   */
+  css(value) {
+    return String(value ?? '').replace(/[<>"';{}\\]/g, '');
+  }
+
+  sanitizeTheme(theme) {
+    const clean = {};
+    Object.entries(theme).forEach(([key, value]) => {
+      clean[key] = key === 'fontFamily' ? value : this.css(value);
+    });
+    return clean;
+  }
+
+  escape(value) {
+    return String(value ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
+  /**
+   * Make an image URL absolute. Inline data URIs are blocked by most mail clients, so they are dropped.
+   */
+  resolveImageUrl(url, baseUrl) {
+    if (!url || /^data:/i.test(url)) return null;
+    if (/^https?:\/\//i.test(url)) return url;
+    if (url.startsWith('//')) return `https:${url}`;
+    if (!baseUrl) return null;
+
+    try {
+      return new URL(url, baseUrl).toString();
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Wrap section markup in its own table row
+   */
+  row(html, padding = `12px ${CONTENT_PADDING}px`) {
+    return `<tr>
+<td style="padding:${padding};">
+${html}
+</td>
+</tr>`;
+  }
+
+  /**
+   * Newsletter title and date banner
+   */
+  renderMasthead(newsletter, { theme, font, baseUrl }) {
+    const date = newsletter.publishDate || newsletter.updatedAt || new Date();
+    const weekOf = new Date(date).toLocaleDateString('en-US', {
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric'
+    });
+
+    // School logo from the brand kit
+    const logoUrl = this.resolveImageUrl(theme.logoUrl, baseUrl);
+    const logo = logoUrl
+      ? `<img src="${this.escape(logoUrl)}" alt="School logo" height="64" style="display:block;margin:0 auto 16px auto;height:64px;width:auto;max-width:240px;border:0;">\n`
+      : '';
+
+    return `<tr>
+<td align="center" bgcolor="${theme.primaryColor}" style="padding:28px ${CONTENT_PADDING}px;background-color:${theme.primaryColor};">
+${logo}<h1 style="margin:0;font-family:${font};font-size:30px;line-height:36px;font-weight:bold;color:#ffffff;">${this.escape(newsletter.title || 'Classroom Newsletter')}</h1>
+<p style="margin:8px 0 0 0;font-family:${font};font-size:14px;line-height:20px;color:#ffffff;">Week of ${this.escape(weekOf)}</p>
+</td>
+</tr>`;
+  }
+
+  renderSection(section, context) {
+    switch (section.type) {
+      case 'header':
+        return this.renderHeaderSection(section.data, context);
+      case 'title':
+        return this.renderTitleSection(section.data, context);
+      case 'richText':
+        return this.renderRichTextSection(section.data, context);
+      case 'events':
+        return this.renderEventsSection(section.data, context);
+      case 'contact':
+        return this.renderContactSection(section.data, context);
+      case 'image':
+        return this.renderImageSection(section.data, context);
+      default:
+        logger.debug('Unknown section type skipped in email HTML export', { type: section.type });
+        return '';
+    }
+  }
+
+  renderHeaderSection(data, { theme, font }) {
+    const align = this.css(data.style?.textAlign) || 'center';
+    const color = this.css(data.style?.color) || theme.textColor;
+    const border = data.style?.showBorder !== false ? `border-top:2px solid ${color};border-bottom:2px solid ${color};` : '';
+    const parts = [
+      `<h2 style="margin:0;font-family:${font};font-size:22px;line-height:28px;font-weight:bold;color:${color};text-transform:uppercase;">${this.escape(data.title)}</h2>`
+    ];
+
+    if (data.subtitle) {
+      parts.push(`<p style="margin:4px 0 0 0;font-family:${font};font-size:15px;line-height:20px;color:${theme.secondaryColor};">${this.escape(data.subtitle)}</p>`);
+    }
+
+    if (data.level) {
+      parts.push(`<p style="margin:4px 0 0 0;font-family:${font};font-size:13px;line-height:18px;font-style:italic;color:${theme.secondaryColor};">${this.escape(data.level)}</p>`);
+    }
+
+    if (data.showNameLine) {
+      parts.push(`<p style="margin:12px 0 0 0;font-family:${font};font-size:14px;line-height:20px;color:${color};text-align:left;">Name: ______________________________ &nbsp; Date: ______________</p>`);
+    }
+
+    return `<table role="presentation" width="100%" cellpadding="0" cellspacing="0" border="0">
+<tr>
+<td align="${align}" style="padding:12px 0;${border}text-align:${align};">
+${parts.join('\n')}
+</td>
+</tr>
+</table>`;
+  }
+
+  renderTitleSection(data, { theme, font }) {
+    const align = this.css(data.style?.textAlign) || 'center';
+    const sizes = { lg: 20, xl: 24, '2xl': 28, '3xl': 34 };
+    const size = sizes[data.style?.fontSize] || 28;
+    const parts = [
+      `<h2 style="margin:0;font-family:${font};font-size:${size}px;line-height:${size + 6}px;font-weight:bold;color:${this.css(data.style?.color) || theme.primaryColor};text-align:${align};">${this.escape(data.title)}</h2>`
+    ];
+
+    if (data.subtitle) {
+      parts.push(`<p style="margin:6px 0 0 0;font-family:${font};font-size:16px;line-height:22px;font-style:italic;color:${theme.secondaryColor};text-align:${align};">${this.escape(data.subtitle)}</p>`);
+    }
+
+    return parts.join('\n');
+  }
+
+  /**
+   * Convert formatted runs to inline HTML
+   */
+  renderRuns(runs) {
+    return runs.map(run => {
+      let html = this.escape(run.text);
+      if (run.bold) html = `<strong>${html}</strong>`;
+      if (run.italic) html = `<em>${html}</em>`;
+      return html;
+    }).join('');
+  }
+
+  renderRichTextSection(data, context) {
+    const { theme, font } = context;
+    const align = this.css(data.style?.textAlign) || 'left';
+    const fontSize = data.style?.fontSize === 'sm' ? 14 : data.style?.fontSize === 'lg' ? 18 : 16;
+    const color = this.css(data.style?.color) || theme.textColor;
+    const textStyle = `font-family:${font};font-size:${fontSize}px;line-height:${Math.round(fontSize * 1.5)}px;color:${color};`;
+
+    const parts = [];
+    let list = null;
+
+    const closeList = () => {
+      if (list) {
+        parts.push(`<${list.tag} style="margin:0 0 12px 0;padding:0 0 0 24px;${textStyle}">\n${list.items.join('\n')}\n</${list.tag}>`);
+        list = null;
+      }
+    };
+
+    parseRichText(data.content).forEach(block => {
+      if (block.type === 'bullet' || block.type === 'numbered') {
+        const tag = block.type === 'bullet' ? 'ul' : 'ol';
+        if (!list || list.tag !== tag) {
+          closeList();
+          list = { tag, items: [] };
+        }
+        list.items.push(`<li style="margin:0 0 4px 0;">${this.renderRuns(block.runs)}</li>`);
+        return;
+      }
+
+      closeList();
+
+      if (block.type === 'image') {
+        parts.push(this.renderImage({ url: block.url, alt: block.alt, size: 'medium', alignment: 'center' }, context));
+        return;
+      }
+
+      parts.push(`<p style="margin:0 0 12px 0;${textStyle}text-align:${align};">${this.renderRuns(block.runs)}</p>`);
+    });
+
+    closeList();
+    return parts.join('\n');
+  }
+
+  renderEventsSection(data, { theme, font }) {
+    const events = Array.isArray(data.events) ? data.events : [];
+    const heading = `<h3 style="margin:0 0 10px 0;font-family:${font};font-size:20px;line-height:26px;font-weight:bold;color:${this.css(data.style?.titleColor) || theme.primaryColor};">${this.escape(data.title || 'Upcoming Events')}</h3>`;
+
+    if (events.length === 0) {
+      return `${heading}\n<p style="margin:0;font-family:${font};font-size:15px;font-style:italic;color:${theme.secondaryColor};">No events scheduled</p>`;
+    }
+
+    const items = events.map(event => {
+      const date = formatEventDate(event.date);
+      const description = event.description
+        ? `<br><span style="color:${theme.textColor};">${this.escape(event.description)}</span>`
+        : '';
+
+      return `<li style="margin:0 0 8px 0;"><strong style="color:${theme.accentColor};">${this.escape(date)}</strong>${date ? ' &ndash; ' : ''}<strong style="color:${theme.primaryColor};">${this.escape(event.title)}</strong>${description}</li>`;
+    });
+
+    return `${heading}
+<ul style="margin:0;padding:0 0 0 24px;font-family:${font};font-size:15px;line-height:22px;color:${theme.textColor};">
+${items.join('\n')}
+</ul>`;
+  }
+
+  renderContactSection(data, { theme, font }) {
+    const rows = [
+      ['Teacher', data.teacherName],
+      ['Email', data.email],
+      ['Phone', data.phone],
+      ['Room', data.room],
+      ['Office Hours', data.officeHours]
+    ].filter(([, value]) => value);
+
+    const lines = rows.map(([label, value]) => {
+      const escaped = this.escape(value);
+      const display = label === 'Email'
+        ? `<a href="mailto:${escaped}" style="color:${theme.primaryColor};text-decoration:underline;">${escaped}</a>`
+        : escaped;
+
+      return `<tr>
+<td valign="top" width="120" style="padding:3px 8px 3px 0;font-family:${font};font-size:15px;line-height:20px;font-weight:bold;color:${theme.primaryColor};">${label}:</td>
+<td valign="top" style="padding:3px 0;font-family:${font};font-size:15px;line-height:20px;color:${theme.textColor};">${display}</td>
+</tr>`;
+    });
+
+    return `<table role="presentation" width="100%" cellpadding="0" cellspacing="0" border="0" bgcolor="#f8fafc" style="background-color:#f8fafc;border:2px solid ${theme.secondaryColor};border-radius:8px;">
+<tr>
+<td style="padding:16px 20px;">
+<h3 style="margin:0 0 10px 0;font-family:${font};font-size:18px;line-height:24px;font-weight:bold;color:${theme.primaryColor};">${this.escape(data.title || 'Contact Information')}</h3>
+<table role="presentation" width="100%" cellpadding="0" cellspacing="0" border="0">
+${lines.join('\n')}
+</table>
+</td>
+</tr>
+</table>`;
+  }
+
+  renderImageSection(data, context) {
+    if (!data.imageUrl) return '';
+
+    return this.renderImage({
+      url: data.imageUrl,
+      alt: data.imageAlt,
+      size: data.size,
+      alignment: data.alignment,
+      caption: data.caption,
+      credit: data.imageCredit
+    }, context);
+  }
+
+  /**
+   * Image in its own aligned cell, with an optional caption underneath
+   */
+  renderImage({ url, alt, size = 'medium', alignment = 'center', caption, credit }, { theme, font, baseUrl }) {
+    const src = this.resolveImageUrl(url, baseUrl);
+    const align = ['left', 'right'].includes(alignment) ? alignment : 'center';
+    const captionStyle = `margin:6px 0 0 0;font-family:${font};font-size:13px;line-height:18px;font-style:italic;color:${theme.secondaryColor};text-align:center;`;
+
+    if (!src) {
+      return caption ? `<p style="${captionStyle}">[Image: ${this.escape(caption)}]</p>` : '';
+    }
+
+    const width = Math.round((EMAIL_WIDTH - CONTENT_PADDING * 2) * (IMAGE_WIDTHS[size] || IMAGE_WIDTHS.medium));
+    const parts = [
+      `<table role="presentation" width="100%" cellpadding="0" cellspacing="0" border="0">
+<tr>
+<td align="${align}" style="padding:4px 0;">
+<img src="${this.escape(src)}" width="${width}" alt="${this.escape(alt || caption || '')}" style="display:block;width:${width}px;max-width:100%;height:auto;border:0;outline:none;text-decoration:none;">
+</td>
+</tr>
+</table>`
+    ];
+
+    if (caption) {
+      parts.push(`<p style="${captionStyle}">${this.escape(caption)}</p>`);
+    }
+
+    if (credit?.photographer) {
+      parts.push(`<p style="margin:2px 0 0 0;font-family:${font};font-size:11px;line-height:14px;color:${theme.secondaryColor};text-align:center;">Photo: ${this.escape(credit.photographer)}${credit.source ? ` / ${this.escape(credit.source)}` : ''}</p>`);
+    }
+
+    return parts.join('\n');
+  }
+
+  renderClosing({ theme, font }) {
+    return `<tr>
+<td align="center" style="padding:16px ${CONTENT_PADDING}px 24px ${CONTENT_PADDING}px;border-top:1px solid ${theme.borderColor};">
+<p style="margin:0;font-family:${font};font-size:13px;line-height:18px;color:${theme.secondaryColor};">Thank you for being part of our classroom community!</p>
+</td>
+</tr>`;
+  }
+}
+
+module.exports = new EmailHtmlService();
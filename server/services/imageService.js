@@ -1,8 +1,77 @@
 // Image Service for stock photo integration
 // Supports Unsplash and Pexels APIs for high-quality educational imagery
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
 const logger = require('../utils/logger');
 const fetch = require('node-fetch');
 
+// Export images come from URLs teachers paste into newsletters, so downloads must not reach
+// the server's own network: loopback, private, link-local (cloud metadata) and other
+// non-public ranges are refused, for the first request and every redirect
+const BLOCKED_SUBNETS = [
+  ['0.0.0.0', 8, 'ipv4'],
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'],
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.0.0.0', 24, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['198.18.0.0', 15, 'ipv4'],
+  ['224.0.0.0', 3, 'ipv4'],
+  ['::', 128, 'ipv6'],
+  ['::1', 128, 'ipv6'],
+  ['64:ff9b::', 96, 'ipv6'],
+  ['fc00::', 7, 'ipv6'],
+  ['fe80::', 10, 'ipv6'],
+  ['ff00::', 8, 'ipv6']
+];
+const blockedAddresses = new net.BlockList();
+BLOCKED_SUBNETS.forEach(([network, prefix, type]) => blockedAddresses.addSubnet(network, prefix, type));
+
+const MAX_IMAGE_REDIRECTS = 5;
+const MAX_IMAGE_BYTES = 10 * 1024 * 1024;
+
+// What one export may download, so a newsletter full of large images cannot exhaust memory
+const EXPORT_MAX_IMAGES = 50;
+const EXPORT_MAX_IMAGE_BYTES = 50 * 1024 * 1024;
+const EXPORT_IMAGE_CONCURRENCY = 4;
+
+const privateAddressError = (address) => {
+  const err = new Error(`Refusing to download from non-public address ${address}`);
+  err.code = 'PRIVATE_ADDRESS';
+  return err;
+};
+
+/**
+ * dns.lookup that fails for non-public addresses. Used by the download agents so the
+ * address checked is the one connected to, even if the name resolves differently later.
+ */
+function publicOnlyLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (err, address, family) => {
+    if (err) return callback(err);
+
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    const blocked = addresses.find(entry => !isPublicAddress(entry.address));
+    if (blocked) return callback(privateAddressError(blocked.address));
+
+    callback(null, address, family);
+  });
+}
+
+function isPublicAddress(address) {
+  const type = net.isIP(address);
+  if (!type) return false;
+  return !blockedAddresses.check(address, type === 6 ? 'ipv6' : 'ipv4');
+}
+
+const downloadAgents = {
+  'http:': new http.Agent({ lookup: publicOnlyLookup }),
+  'https:': new https.Agent({ lookup: publicOnlyLookup })
+};
+
 class ImageService {
   constructor() {
     // Initialize API keys from environment variables
@@ -337,6 +406,179 @@ class ImageService {
     return suggestions;
   }
 
+  /**
+   * Whether an IP address is on the public internet (not loopback, private, link-local...)
+   * @param {string} address - IPv4 or IPv6 address
+   * @returns {boolean}
+   */
+  isPublicAddress(address) {
+    return isPublicAddress(address);
+  }
+
+  /**
+   * Download an image for embedding in server-side exports.
+   * Hosts that resolve to non-public addresses are refused, and redirects are followed
+   * by hand (at most MAX_IMAGE_REDIRECTS) so each one is checked the same way.
+   * @param {string} url - Absolute http(s) URL or data: URI
+   * @param {Object} options - Download options
+   * @returns {Promise<{buffer: Buffer, contentType: string}|null>} Image data, or null if unavailable
+   */
+  async downloadImage(url, options = {}) {
+    const { timeout = 10000, maxBytes = MAX_IMAGE_BYTES } = options;
+
+    if (!url || typeof url !== 'string') {
+      return null;
+    }
+
+    try {
+      const dataMatch = url.match(/^data:(image\/[a-z+.-]+);base64,(.+)$/i);
+      if (dataMatch) {
+        return {
+          buffer: Buffer.from(dataMatch[2], 'base64'),
+          contentType: dataMatch[1].toLowerCase()
+        };
+      }
+
+      let target = url;
+      for (let redirects = 0; ; redirects++) {
+        const parsed = new URL(target);
+        if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+          logger.warn('Skipping image with unsupported URL', { url: target.substring(0, 100) });
+          return null;
+        }
+
+        // Connections to IP literals skip the lookup, so check those here
+        const host = parsed.hostname.replace(/^\[|\]$/g, '');
+        if (net.isIP(host) && !isPublicAddress(host)) {
+          throw privateAddressError(host);
+        }
+
+        const response = await fetch(target, {
+          timeout,
+          size: maxBytes,
+          redirect: 'manual',
+          agent: (requestUrl) => downloadAgents[requestUrl.protocol]
+        });
+
+        if (response.status >= 300 && response.status < 400 && response.headers.get('location')) {
+          if (redirects >= MAX_IMAGE_REDIRECTS) {
+            throw new Error(`More than ${MAX_IMAGE_REDIRECTS} redirects`);
+          }
+          target = new URL(response.headers.get('location'), target).toString();
+          continue;
+        }
+
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status}`);
+        }
+
+        return {
+          buffer: await response.buffer(),
+          contentType: (response.headers.get('content-type') || '').split(';')[0].trim().toLowerCase()
+        };
+      }
+    } catch (error) {
+      logger.warn('Image download failed', { url: url.substring(0, 100), error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Download the images for one export: at most maxImages of them, a few at a time, and
+   * within a total byte budget. Each download may only use what is left of the budget, so
+   * images past the limits are left out rather than held in memory.
+   * @param {string[]} urls - Image URLs, most important first
+   * @param {Object} options - Limits, plus downloadImage options
+   * @returns {Promise<Map<string, {buffer: Buffer, contentType: string}>>} Downloaded images keyed by URL
+   */
+  async downloadImages(urls, options = {}) {
+    const {
+      maxImages = EXPORT_MAX_IMAGES,
+      maxTotalBytes = EXPORT_MAX_IMAGE_BYTES,
+      concurrency = EXPORT_IMAGE_CONCURRENCY,
+      ...downloadOptions
+    } = options;
+
+    const queue = [...new Set(urls.filter(Boolean))];
+    if (queue.length > maxImages) {
+      logger.warn('Export has more images than allowed; leaving out the rest', { images: queue.length, limit: maxImages });
+      queue.length = maxImages;
+    }
+
+    const images = new Map();
+    let budget = maxTotalBytes;
+
+    const worker = async () => {
+      while (queue.length > 0) {
+        const url = queue.shift();
+        const allowance = Math.min(downloadOptions.maxBytes || MAX_IMAGE_BYTES, budget);
+        if (allowance <= 0) {
+          logger.warn('Export image budget used up; leaving out image', { url: url.substring(0, 100) });
+          continue;
+        }
+
+        // Held back while downloading, and whatever the image did not use is returned after
+        budget -= allowance;
+        const image = await this.downloadImage(url, { ...downloadOptions, maxBytes: allowance });
+
+        // Inline data: images are already in memory, so only the budget can leave them out
+        if (image && image.buffer.length <= allowance) {
+          images.set(url, image);
+          budget += allowance - image.buffer.length;
+        } else {
+          budget += allowance;
+        }
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.max(1, concurrency) }, worker));
+    return images;
+  }
+
+  /**
+   * Read the format and pixel dimensions of a PNG, JPEG or GIF image
+   * @param {Buffer} buffer - Image bytes
+   * @returns {{type: string, width: number, height: number}|null} Image info, or null if unrecognized
+   */
+  getImageInfo(buffer) {
+    if (!buffer || buffer.length < 24) {
+      return null;
+    }
+
+    // PNG: dimensions live in the IHDR chunk
+    if (buffer.readUInt32BE(0) === 0x89504e47) {
+      return { type: 'png', width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+    }
+
+    // GIF: logical screen size follows the header
+    if (buffer.toString('ascii', 0, 3) === 'GIF') {
+      return { type: 'gif', width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+    }
+
+    // JPEG: walk the segments until a start-of-frame marker
+    if (buffer[0] === 0xff && buffer[1] === 0xd8) {
+      let offset = 2;
+      while (offset + 9 < buffer.length) {
+        if (buffer[offset] !== 0xff) {
+          offset++;
+          continue;
+        }
+
+        const marker = buffer[offset + 1];
+        const length = buffer.readUInt16BE(offset + 2);
+        const isStartOfFrame = marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker);
+
+        if (isStartOfFrame) {
+          return { type: 'jpg', width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+        }
+
+        offset += 2 + length;
+      }
+    }
+
+    return null;
+  }
+
   /**
    * Check service availability
    */
@@ -0,0 +1,198 @@
+// Job Runner
+// Runs the background jobs queued in the jobs table from inside the server process.
+// Every instance polls every JOB_POLL_INTERVAL_SECONDS (default 5) and claims due jobs of the
+// types it has handlers for; claims skip rows another instance holds, so nothing runs twice.
+// A failed attempt is retried with exponential backoff until the job is out of attempts, and a
+// job whose instance died mid-run is picked up again after JOB_LOCK_TIMEOUT_MINUTES (default 15).
+// Recurring jobs re-queue themselves when they finish. Finished jobs are kept as history for
+// JOB_HISTORY_DAYS (default 30).
+const crypto = require('crypto');
+const os = require('os');
+const Job = require('../models/Job');
+const logger = require('../utils/logger');
+
+const MAX_RETRY_DELAY_SECONDS = 60 * 60;
+// Jobs run one after another; stop after this many per poll so a backlog cannot starve shutdown
+const MAX_JOBS_PER_POLL = 20;
+
+class JobRunner {
+  constructor() {
+    this.handlers = {};
+    this.worker = `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString('hex')}`;
+    this.pollIntervalMs = (parseInt(process.env.JOB_POLL_INTERVAL_SECONDS) || 5) * 1000;
+    this.lockTimeoutMinutes = parseInt(process.env.JOB_LOCK_TIMEOUT_MINUTES) || 15;
+    this.historyDays = parseInt(process.env.JOB_HISTORY_DAYS) || 30;
+    this.timer = null;
+    this.polling = null;
+    this.recurringQueued = false;
+  }
+
+  /**
+   * Register the handler for a job type
+   * @param {string} type - Job type, e.g. 'newsletter.publish'
+   * @param {Function} handler - async (payload, { job, saveProgress }) => result stored on the job
+   * @param {Object} options
+   * @param {number} options.maxAttempts - Attempts before the job fails for good (default 5)
+   * @param {number} options.intervalMs - Makes the job recurring: it is queued again this long after each run
+   */
+  register(type, handler, options = {}) {
+    this.handlers[type] = {
+      handler,
+      maxAttempts: options.maxAttempts || 5,
+      intervalMs: options.intervalMs || null
+    };
+  }
+
+  /**
+   * Queue a job of a registered type
+   * @param {string} type
+   * @param {Object} options - { payload, userId, newsletterId, uniqueKey, runAt }
+   * @param {Object} client - Open transaction client to queue the job in, if any
+   * @returns {Promise<Job|null>} null when a job with the same uniqueKey is already pending or running
+   */
+  enqueue(type, options = {}, client = null) {
+    if (!this.handlers[type]) {
+      throw new Error(`Unknown job type: ${type}`);
+    }
+
+    return Job.enqueue({ ...options, type, maxAttempts: this.handlers[type].maxAttempts }, client);
+  }
+
+  maxAttemptsFor(type) {
+    return this.handlers[type]?.maxAttempts || 5;
+  }
+
+  /**
+   * Error for a failure that retrying cannot fix; the job fails straight away
+   */
+  permanentError(message) {
+    const err = new Error(message);
+    err.code = 'JOB_PERMANENT_FAILURE';
+    return err;
+  }
+
+  /**
+   * Seconds to wait before the next attempt: 1, 2, 4, 8... minutes, capped at an hour
+   */
+  retryDelaySeconds(attempts) {
+    return Math.min(60 * 2 ** Math.max(attempts - 1, 0), MAX_RETRY_DELAY_SECONDS);
+  }
+
+  /**
+   * Start polling
+   */
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.poll(), this.pollIntervalMs);
+    this.timer.unref();
+    logger.info(`Job runner ${this.worker} started for ${Object.keys(this.handlers).join(', ')}`);
+    this.poll();
+  }
+
+  /**
+   * Queue the first run of every recurring job that no instance has queued yet
+   */
+  async queueRecurring() {
+    for (const [type, { intervalMs }] of Object.entries(this.handlers)) {
+      if (intervalMs) {
+        await this.enqueue(type, { uniqueKey: type });
+      }
+    }
+    this.recurringQueued = true;
+  }
+
+  /**
+   * Stop polling and wait for the job in progress, if any, to finish
+   */
+  async stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    await this.polling;
+  }
+
+  /**
+   * Run due jobs until none are left or the per-poll limit is reached
+   */
+  poll() {
+    if (this.polling) return this.polling;
+
+    this.polling = (async () => {
+      try {
+        // Retried on every poll until the database is reachable
+        if (!this.recurringQueued) {
+          await this.queueRecurring();
+        }
+
+        const recovered = await Job.recoverStale(this.lockTimeoutMinutes);
+        for (const job of recovered) {
+          await this.afterRun(job);
+        }
+
+        const types = Object.keys(this.handlers);
+        for (let run = 0; run < MAX_JOBS_PER_POLL && this.timer; run++) {
+          const job = await Job.claimNext(this.worker, types);
+          if (!job) break;
+          await this.runJob(job);
+        }
+      } catch (error) {
+        logger.error('Job runner poll failed:', error);
+      } finally {
+        this.polling = null;
+      }
+    })();
+
+    return this.polling;
+  }
+
+  async runJob(job) {
+    const { handler } = this.handlers[job.type];
+    const started = Date.now();
+
+    try {
+      const result = await handler(job.payload, {
+        job,
+        saveProgress: (progress) => job.saveProgress(progress)
+      });
+
+      if (await job.complete(result)) {
+        logger.info(`Job ${job.type} ${job.id} completed in ${Date.now() - started}ms`);
+        await this.afterRun(job);
+      }
+    } catch (error) {
+      const retryDelay = error.code === 'JOB_PERMANENT_FAILURE' ? null : this.retryDelaySeconds(job.attempts);
+      logger.error(`Job ${job.type} ${job.id} failed on attempt ${job.attempts}/${job.maxAttempts}:`, error);
+
+      if (await job.fail(error.message || String(error), retryDelay)) {
+        await this.afterRun(job);
+      }
+    }
+  }
+
+  /**
+   * Queue the next occurrence of a recurring job once this one is done for good
+   */
+  async afterRun(job) {
+    const { intervalMs } = this.handlers[job.type] || {};
+    if (!intervalMs || job.isActive()) return;
+
+    await this.enqueue(job.type, {
+      uniqueKey: job.type,
+      runAt: new Date(Date.now() + intervalMs)
+    });
+  }
+
+  /**
+   * Delete finished jobs older than the history retention period
+   * @returns {Promise<number>} How many were deleted
+   */
+  async pruneHistory() {
+    const deleted = await Job.pruneHistory(this.historyDays);
+    if (deleted > 0) {
+      logger.info(`Pruned ${deleted} finished jobs from the job history`);
+    }
+    return deleted;
+  }
+}
+
+module.exports = new JobRunner();
@@ -0,0 +1,177 @@
+// Mail Service
+// Sends account emails through a pluggable transport chosen with MAIL_TRANSPORT.
+// Built in: 'console' (logs the message) and 'file' (writes .eml files to MAIL_OUTPUT_DIR),
+// both meant for development. Production deployments register a real transport at startup:
+//   mailService.registerTransport('smtp', async (message) => { ... });
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const logger = require('../utils/logger');
+
+const DEFAULT_FROM = 'Classroom Newsletter <no-reply@classroom-newsletter.local>';
+
+// RFC 5322 message text; good enough to open in a mail client while developing
+const toEml = (message) => [
+  `From: ${message.from}`,
+  `To: ${message.to}`,
+  `Subject: ${message.subject}`,
+  `Date: ${new Date().toUTCString()}`,
+  'MIME-Version: 1.0',
+  'Content-Type: text/plain; charset=utf-8',
+  '',
+  message.text
+].join('\r\n');
+
+class MailService {
+  constructor() {
+    this.transports = {
+      console: async (message) => {
+        logger.info(`[mail] To: ${message.to} | Subject: ${message.subject}\n${message.text}`);
+      },
+      file: async (message) => {
+        const dir = process.env.MAIL_OUTPUT_DIR || path.join(os.tmpdir(), 'newsletter-mail');
+        await fs.mkdir(dir, { recursive: true });
+
+        const slug = message.subject.toLowerCase().replace(/[^a-z0-9]+/g, '-').slice(0, 40);
+        const file = path.join(dir, `${Date.now()}-${slug}.eml`);
+        await fs.writeFile(file, toEml(message), 'utf8');
+        logger.info(`[mail] Wrote message for ${message.to} to ${file}`);
+      }
+    };
+  }
+
+  /**
+   * Add or replace a transport
+   * @param {string} name - Value of MAIL_TRANSPORT that selects it
+   * @param {Function} send - async ({ from, to, subject, text, html }) => void
+   */
+  registerTransport(name, send) {
+    this.transports[name] = send;
+  }
+
+  /**
+   * Absolute URL of a page of the web app, for links in emails and any other link handed out.
+   * Only the configured FRONTEND_URL is used: request headers such as Origin are
+   * attacker-controlled and would let someone point a victim's link at their own site.
+   * Throws an error with code 'FRONTEND_URL_NOT_CONFIGURED' when it is not set.
+   * @param {string} pathAndQuery - e.g. '/reset-password?token=...'
+   */
+  appUrl(pathAndQuery) {
+    if (!this.hasAppUrl()) {
+      const err = new Error('FRONTEND_URL must be set to send emails with links');
+      err.code = 'FRONTEND_URL_NOT_CONFIGURED';
+      throw err;
+    }
+
+    return `${process.env.FRONTEND_URL.replace(/\/$/, '')}${pathAndQuery}`;
+  }
+
+  hasAppUrl() {
+    return Boolean(process.env.FRONTEND_URL);
+  }
+
+  getTransportName() {
+    return process.env.MAIL_TRANSPORT || 'console';
+  }
+
+  /**
+   * Send a message with the configured transport
+   * @param {Object} message - { to, subject, text, html? }
+   */
+  async send(message) {
+    const name = this.getTransportName();
+    const transport = this.transports[name];
+
+    if (!transport) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+
+    await transport({ from: process.env.MAIL_FROM || DEFAULT_FROM, ...message });
+  }
+
+  /**
+   * Email a password reset link
+   */
+  async sendPasswordReset({ to, displayName, resetUrl, expiresInMinutes }) {
+    await this.send({
+      to,
+      subject: 'Reset your Classroom Newsletter password',
+      text: [
+        `Hi ${displayName || 'there'},`,
+        '',
+        'Someone asked to reset the password for your Classroom Newsletter account.',
+        `Open this link within ${expiresInMinutes} minutes to choose a new password:`,
+        '',
+        resetUrl,
+        '',
+        'The link works once. If you did not ask for this, you can ignore this email;',
+        'your password stays the same.'
+      ].join('\n')
+    });
+  }
+
+  /**
+   * Email a link that confirms the address belongs to the account holder
+   */
+  async sendEmailVerification({ to, displayName, verifyUrl, expiresInHours }) {
+    await this.send({
+      to,
+      subject: 'Confirm your Classroom Newsletter email address',
+      text: [
+        `Hi ${displayName || 'there'},`,
+        '',
+        'Please confirm this is your email address so you can share and publish newsletters:',
+        '',
+        verifyUrl,
+        '',
+        `The link expires in ${expiresInHours} hours. If you did not create an account, you can ignore this email.`
+      ].join('\n')
+    });
+  }
+
+  /**
+   * Tell a teacher they have been invited to join a school
+   */
+  async sendSchoolInvitation({ to, schoolName, inviterName, role, expiresInDays }) {
+    const acceptUrl = this.appUrl('/account');
+
+    await this.send({
+      to,
+      subject: `You're invited to join ${schoolName} on Classroom Newsletter`,
+      text: [
+        'Hi there,',
+        '',
+        `${inviterName || 'A school admin'} invited you to join ${schoolName} as ${role === 'school_admin' ? 'a school admin' : 'a teacher'}.`,
+        'Once you join, the school brand kit styles your newsletters and school admins can see',
+        'your newsletter and export counts.',
+        '',
+        `Sign in with this email address to accept or decline the invitation within ${expiresInDays} days:`,
+        '',
+        acceptUrl,
+        '',
+        'If you were not expecting this, you can ignore this email; nothing changes unless you accept.'
+      ].join('\n')
+    });
+  }
+
+  /**
+   * Email a published newsletter to a parent or other subscriber
+   */
+  async sendNewsletter({ to, title, senderName, html, readOnlineUrl }) {
+    await this.send({
+      to,
+      subject: title,
+      text: [
+        title,
+        '',
+        `${senderName || 'Your teacher'} sent you a classroom newsletter.`,
+        readOnlineUrl
+          ? `If it does not display properly, read it online: ${readOnlineUrl}`
+          : 'Open this email in a mail app that shows HTML to read it.'
+      ].join('\n'),
+      html
+    });
+  }
+}
+
+module.exports = new MailService();
@@ -0,0 +1,302 @@
+// Migration Service
+// Versioned schema changes. Each file in database/migrations is named
+// NNNN_description.sql and holds a "-- migrate:up" section and, if the change can be
+// undone, a "-- migrate:down" section. Applied migrations are recorded in
+// schema_migrations with a checksum of the file, so an edited migration is caught
+// instead of silently diverging. Runs take a Postgres advisory lock, so when several
+// instances start together only one migrates and the others wait for it.
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { DatabaseManager } = require('../config/database');
+const logger = require('../utils/logger');
+
+// Arbitrary, but fixed: every instance must ask for the same advisory lock
+const LOCK_KEY = 73422021;
+const FILE_PATTERN = /^(\d{4})_([a-z0-9_]+)\.sql$/;
+const UP_MARKER = /^--\s*migrate:up\s*$/m;
+const DOWN_MARKER = /^--\s*migrate:down\s*$/m;
+
+// database/ sits next to server/ in the repository and inside it in the Docker image
+const DEFAULT_DIRECTORIES = [
+  path.join(__dirname, '../../database/migrations'),
+  path.join(__dirname, '../database/migrations')
+];
+
+const migrationError = (message, code) => {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+};
+
+const checksum = (source) => crypto.createHash('sha256').update(source.replace(/\r\n/g, '\n')).digest('hex');
+
+/**
+ * Split a migration file into its up and down SQL. down is null when the file has no
+ * down section (the migration cannot be rolled back); an empty down section means
+ * there is nothing to undo.
+ */
+const parseMigration = (source, filename) => {
+  const upMatch = UP_MARKER.exec(source);
+  if (!upMatch) {
+    throw migrationError(`${filename} has no "-- migrate:up" section`, 'MIGRATION_INVALID');
+  }
+
+  const afterUp = source.slice(upMatch.index + upMatch[0].length);
+  const downMatch = DOWN_MARKER.exec(afterUp);
+
+  return {
+    up: (downMatch ? afterUp.slice(0, downMatch.index) : afterUp).trim(),
+    down: downMatch ? afterUp.slice(downMatch.index + downMatch[0].length).trim() : null
+  };
+};
+
+class MigrationService {
+  constructor() {
+    this.directory = process.env.MIGRATIONS_DIR
+      ? path.resolve(process.env.MIGRATIONS_DIR)
+      : DEFAULT_DIRECTORIES.find(dir => fs.existsSync(dir)) || DEFAULT_DIRECTORIES[0];
+  }
+
+  /**
+   * Every migration file, in version order
+   */
+  loadMigrations() {
+    if (!fs.existsSync(this.directory)) {
+      throw migrationError(`Migrations directory not found: ${this.directory}`, 'MIGRATION_INVALID');
+    }
+
+    const migrations = [];
+    for (const filename of fs.readdirSync(this.directory).sort()) {
+      if (!filename.endsWith('.sql')) continue;
+
+      const match = FILE_PATTERN.exec(filename);
+      if (!match) {
+        throw migrationError(`${filename} is not named NNNN_description.sql`, 'MIGRATION_INVALID');
+      }
+
+      const version = match[1];
+      if (migrations.some(migration => migration.version === version)) {
+        throw migrationError(`More than one migration has version ${version}`, 'MIGRATION_INVALID');
+      }
+
+      const source = fs.readFileSync(path.join(this.directory, filename), 'utf8');
+      migrations.push({
+        version,
+        name: match[2],
+        filename,
+        checksum: checksum(source),
+        ...parseMigration(source, filename)
+      });
+    }
+
+    return migrations;
+  }
+
+  async ensureMigrationsTable(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version VARCHAR(20) PRIMARY KEY,
+        name VARCHAR(200) NOT NULL,
+        checksum VARCHAR(64) NOT NULL,
+        execution_ms INTEGER,
+        applied_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+      )
+    `);
+  }
+
+  async getApplied(queryable) {
+    const exists = await queryable.query(`SELECT to_regclass('public.schema_migrations') AS name`);
+    if (!exists.rows[0].name) {
+      return [];
+    }
+
+    const result = await queryable.query('SELECT * FROM schema_migrations ORDER BY version');
+    return result.rows;
+  }
+
+  /**
+   * Compare the database with the migration files.
+   * pending: files not applied yet. mismatched: applied, but the file changed since.
+   * missing: applied, but the file is gone.
+   */
+  async status(queryable = DatabaseManager.getInstance()) {
+    const migrations = this.loadMigrations();
+    const applied = await this.getApplied(queryable);
+    const appliedByVersion = new Map(applied.map(row => [row.version, row]));
+    const versions = new Set(migrations.map(migration => migration.version));
+
+    return {
+      migrations: migrations.map(migration => {
+        const row = appliedByVersion.get(migration.version);
+        return {
+          version: migration.version,
+          name: migration.name,
+          appliedAt: row ? row.applied_at : null,
+          state: !row ? 'pending' : row.checksum === migration.checksum ? 'applied' : 'mismatched'
+        };
+      }),
+      pending: migrations.filter(migration => !appliedByVersion.has(migration.version)),
+      mismatched: migrations.filter(migration => {
+        const row = appliedByVersion.get(migration.version);
+        return row && row.checksum !== migration.checksum;
+      }),
+      missing: applied.filter(row => !versions.has(row.version))
+    };
+  }
+
+  /**
+   * Run fn on a client holding the migration lock
+   */
+  async withLock(fn) {
+    const client = await DatabaseManager.getInstance().getClient();
+
+    try {
+      await client.query('SELECT pg_advisory_lock($1)', [LOCK_KEY]);
+      try {
+        return await fn(client);
+      } finally {
+        await client.query('SELECT pg_advisory_unlock($1)', [LOCK_KEY]);
+      }
+    } finally {
+      client.release();
+    }
+  }
+
+  assertConsistent({ mismatched, missing }) {
+    if (mismatched.length > 0) {
+      throw migrationError(
+        `Applied migrations were changed afterwards: ${mismatched.map(m => m.filename).join(', ')}. Add a new migration instead of editing an applied one.`,
+        'SCHEMA_MISMATCH'
+      );
+    }
+    if (missing.length > 0) {
+      throw migrationError(
+        `Applied migrations are missing from ${this.directory}: ${missing.map(row => `${row.version}_${row.name}`).join(', ')}`,
+        'SCHEMA_MISMATCH'
+      );
+    }
+  }
+
+  /**
+   * Apply pending migrations in order, each in its own transaction.
+   * options.to stops after that version.
+   * @returns {Promise<Array>} the migrations that were applied
+   */
+  async up(options = {}) {
+    return this.withLock(async (client) => {
+      await this.ensureMigrationsTable(client);
+
+      const state = await this.status(client);
+      this.assertConsistent(state);
+
+      const pending = options.to
+        ? state.pending.filter(migration => migration.version <= options.to)
+        : state.pending;
+
+      for (const migration of pending) {
+        const start = Date.now();
+        logger.info(`Applying migration ${migration.filename}`);
+
+        try {
+          await client.query('BEGIN');
+          await client.query(migration.up);
+          await client.query(
+            `INSERT INTO schema_migrations (version, name, checksum, execution_ms)
+             VALUES ($1, $2, $3, $4)`,
+            [migration.version, migration.name, migration.checksum, Date.now() - start]
+          );
+          await client.query('COMMIT');
+        } catch (error) {
+          await client.query('ROLLBACK');
+          logger.error(`Migration ${migration.filename} failed:`, error);
+          throw migrationError(`Migration ${migration.filename} failed: ${error.message}`, 'MIGRATION_FAILED');
+        }
+      }
+
+      return pending;
+    });
+  }
+
+  /**
+   * Roll back the most recent migrations, newest first
+   * @returns {Promise<Array>} the migrations that were rolled back
+   */
+  async down(options = {}) {
+    const steps = options.steps || 1;
+
+    return this.withLock(async (client) => {
+      const state = await this.status(client);
+      this.assertConsistent(state);
+
+      const applied = await this.getApplied(client);
+      const migrations = this.loadMigrations();
+      const targets = applied.slice(-steps).reverse()
+        .map(row => migrations.find(migration => migration.version === row.version));
+
+      const irreversible = targets.find(migration => migration.down === null);
+      if (irreversible) {
+        throw migrationError(`${irreversible.filename} has no "-- migrate:down" section and cannot be rolled back`, 'MIGRATION_IRREVERSIBLE');
+      }
+
+      for (const migration of targets) {
+        logger.info(`Rolling back migration ${migration.filename}`);
+
+        try {
+          await client.query('BEGIN');
+          if (migration.down) {
+            await client.query(migration.down);
+          }
+          await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+          await client.query('COMMIT');
+        } catch (error) {
+          await client.query('ROLLBACK');
+          logger.error(`Rolling back ${migration.filename} failed:`, error);
+          throw migrationError(`Rolling back ${migration.filename} failed: ${error.message}`, 'MIGRATION_FAILED');
+        }
+      }
+
+      return targets;
+    });
+  }
+
+  /**
+   * Write an empty migration with the next version number
+   * @returns {string} path of the new file
+   */
+  create(name) {
+    const slug = String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+    if (!slug) {
+      throw migrationError('Give the migration a name, e.g. "add newsletter tags"', 'MIGRATION_INVALID');
+    }
+
+    const migrations = this.loadMigrations();
+    const last = migrations.length > 0 ? parseInt(migrations[migrations.length - 1].version) : 0;
+    const filename = `${String(last + 1).padStart(4, '0')}_${slug}.sql`;
+    const filePath = path.join(this.directory, filename);
+
+    fs.writeFileSync(filePath, `-- ${name}\n\n-- migrate:up\n\n\n-- migrate:down\n\n`);
+    return filePath;
+  }
+
+  /**
+   * Refuse to run against a schema that does not match the migration files:
+   * throws SCHEMA_PENDING when migrations have not been applied, SCHEMA_MISMATCH
+   * when applied ones were edited or removed.
+   */
+  async verify() {
+    const state = await this.status();
+    this.assertConsistent(state);
+
+    if (state.pending.length > 0) {
+      throw migrationError(
+        `${state.pending.length} database migration(s) have not been applied (${state.pending.map(m => m.filename).join(', ')}). Run "npm run migrate -- up" in server/.`,
+        'SCHEMA_PENDING'
+      );
+    }
+
+    return state;
+  }
+}
+
+module.exports = new MigrationService();
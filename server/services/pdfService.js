@@ -0,0 +1,634 @@
+// PDF Service for server-side newsletter rendering
+// Renders newsletter sections into a vector PDF with selectable text and page breaks
+const fs = require('fs');
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const logger = require('../utils/logger');
+const imageService = require('./imageService');
+const {
+  resolveTheme,
+  getOrderedSections,
+  parseRichText,
+  formatEventDate
+} = require('../utils/newsletterContent');
+
+const PAGE_MARGIN = 54; // 0.75in
+const FOOTER_HEIGHT = 24;
+
+// Open-licensed fonts shipped in assets/fonts (see OFL.txt there), embedded when no font file
+// exists for the theme's own family. The standard 14 PDF fonts are never used: they only
+// cover WinAnsi, so names and text in other scripts would come out garbled.
+const BUNDLED_FONT_DIR = path.join(__dirname, '../assets/fonts');
+const BUNDLED_FAMILIES = {
+  serif: 'Noto Serif',
+  sans: 'Noto Sans',
+  mono: 'Noto Sans Mono'
+};
+
+const IMAGE_WIDTHS = {
+  small: 0.4,
+  medium: 0.7,
+  large: 1
+};
+
+// Bounding box for the school logo above the masthead, in points
+const LOGO_MAX_WIDTH = 180;
+const LOGO_MAX_HEIGHT = 64;
+
+class PDFService {
+  constructor() {
+    // Directories of TrueType fonts to embed, named e.g. "Inter-Regular.ttf", "Inter-Bold.ttf"
+    this.fontDirs = [process.env.PDF_FONT_DIR, BUNDLED_FONT_DIR].filter(Boolean);
+  }
+
+  /**
+   * Render a newsletter to a PDF and pipe it into a writable stream
+   * @param {Newsletter} newsletter - Newsletter model instance
+   * @param {Writable} stream - Destination stream (e.g. an Express response)
+   * @param {Object} options - Render options
+   * @param {Object} options.brandKit - Brand kit of the owner's school, if any
+   * @returns {Promise<void>} Resolves when the PDF has been fully written
+   */
+  async renderNewsletter(newsletter, stream, options = {}) {
+    const theme = resolveTheme(newsletter, options.brandKit);
+    const sections = getOrderedSections(newsletter.content);
+
+    // Images must be downloaded before rendering because PDFKit lays out synchronously
+    const images = await this.loadImages(sections, [theme.logoUrl]);
+
+    const doc = new PDFDocument({
+      size: options.pageSize || 'LETTER',
+      margins: {
+        top: PAGE_MARGIN,
+        bottom: PAGE_MARGIN + FOOTER_HEIGHT,
+        left: PAGE_MARGIN,
+        right: PAGE_MARGIN
+      },
+      bufferPages: true,
+      info: {
+        Title: newsletter.title || 'Classroom Newsletter',
+        Author: options.author || 'Classroom Newsletter System',
+        Subject: 'Educational Newsletter',
+        Creator: 'Newsletter Editor',
+        Producer: 'Newsletter System v1.0'
+      }
+    });
+
+    const fonts = this.registerFonts(doc, theme.fontFamily);
+
+    const finished = new Promise((resolve, reject) => {
+      stream.on('finish', resolve);
+      stream.on('error', reject);
+      doc.on('error', reject);
+    });
+
+    doc.pipe(stream);
+
+    this.paintBackground(doc, theme);
+    doc.on('pageAdded', () => this.paintBackground(doc, theme));
+
+    this.renderMasthead(doc, newsletter, theme, fonts, images);
+
+    sections.forEach(section => {
+      try {
+        this.renderSection(doc, section, theme, fonts, images);
+      } catch (error) {
+        logger.warn('Skipping section that failed to render in PDF', {
+          sectionId: section.id,
+          type: section.type,
+          error: error.message
+        });
+      }
+    });
+
+    this.renderClosing(doc, theme, fonts);
+    this.renderPageNumbers(doc, theme, fonts);
+
+    doc.end();
+    await finished;
+
+    logger.info('Newsletter PDF rendered', {
+      newsletterId: newsletter.id,
+      sections: sections.length,
+      images: images.size
+    });
+  }
+
+  /**
+   * Register the font set for a theme font family.
+   * A TrueType font for one of the theme's families is embedded if there is one; otherwise the
+   * bundled font closest to it. Throws an error with code 'PDF_FONTS_MISSING' if neither exists.
+   */
+  registerFonts(doc, fontFamily = '') {
+    const families = fontFamily.split(',').map(name => name.trim().replace(/['"]/g, '')).filter(Boolean);
+    const fallback = BUNDLED_FAMILIES[this.getGenericFamily(families)];
+
+    for (const family of [...families, fallback]) {
+      const embedded = this.findFontFiles(family);
+      if (embedded) {
+        Object.entries(embedded).forEach(([variant, file]) => {
+          doc.registerFont(`${family}-${variant}`, file);
+        });
+
+        return {
+          regular: `${family}-regular`,
+          bold: `${family}-${embedded.bold ? 'bold' : 'regular'}`,
+          italic: `${family}-${embedded.italic ? 'italic' : 'regular'}`,
+          boldItalic: `${family}-${embedded.boldItalic ? 'boldItalic' : (embedded.bold ? 'bold' : 'regular')}`
+        };
+      }
+    }
+
+    const err = new Error(`No font to embed for "${fontFamily}": ${fallback} is missing from ${BUNDLED_FONT_DIR}`);
+    err.code = 'PDF_FONTS_MISSING';
+    throw err;
+  }
+
+  /**
+   * Look up embeddable font files for a family name
+   */
+  findFontFiles(family) {
+    // The family comes from the newsletter theme, so only letters and digits reach the path
+    const baseName = family.replace(/[^A-Za-z0-9]/g, '');
+    if (!baseName) {
+      return null;
+    }
+    const variants = {
+      regular: 'Regular',
+      bold: 'Bold',
+      italic: 'Italic',
+      boldItalic: 'BoldItalic'
+    };
+
+    for (const dir of this.fontDirs) {
+      const files = {};
+      Object.entries(variants).forEach(([variant, suffix]) => {
+        const file = path.join(dir, `${baseName}-${suffix}.ttf`);
+        if (fs.existsSync(file)) {
+          files[variant] = file;
+        }
+      });
+
+      if (files.regular) {
+        return files;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Map CSS font families onto the closest generic family
+   */
+  getGenericFamily(families) {
+    const names = families.map(name => name.toLowerCase());
+
+    if (names.some(name => /mono|courier|consolas/.test(name))) return 'mono';
+    if (names.some(name => /^(serif|georgia|times|times new roman|garamond|palatino|book antiqua)$/.test(name))) return 'serif';
+    return 'sans';
+  }
+
+  /**
+   * Download the images referenced by the newsletter (extra URLs such as the logo first),
+   * keyed by URL, within the limits of imageService.downloadImages
+   */
+  async loadImages(sections, extraUrls = []) {
+    const urls = new Set(extraUrls.filter(Boolean));
+
+    sections.forEach(section => {
+      if (section.type === 'image' && section.data.imageUrl) {
+        urls.add(section.data.imageUrl);
+      }
+
+      if (section.type === 'richText') {
+        parseRichText(section.data.content)
+          .filter(block => block.type === 'image')
+          .forEach(block => urls.add(block.url));
+      }
+    });
+
+    const images = new Map();
+    const downloaded = await imageService.downloadImages([...urls]);
+    downloaded.forEach((image, url) => {
+      // PDFKit can only embed JPEG and PNG images
+      const info = imageService.getImageInfo(image.buffer);
+      if (info && (info.type === 'jpg' || info.type === 'png')) {
+        images.set(url, image.buffer);
+      }
+    });
+
+    return images;
+  }
+
+  /**
+   * Fill the page with the theme background color
+   */
+  paintBackground(doc, theme) {
+    const color = (theme.backgroundColor || '#ffffff').toLowerCase();
+    if (color === '#ffffff' || color === '#fff' || color === 'white') return;
+
+    doc.save();
+    doc.rect(0, 0, doc.page.width, doc.page.height).fill(color);
+    doc.restore();
+  }
+
+  /**
+   * Start a new page if the next block would not fit on the current one
+   */
+  ensureSpace(doc, height) {
+    const bottom = doc.page.height - doc.page.margins.bottom;
+    if (doc.y + height > bottom) {
+      doc.addPage();
+    }
+  }
+
+  contentWidth(doc) {
+    return doc.page.width - doc.page.margins.left - doc.page.margins.right;
+  }
+
+  /**
+   * Newsletter title and date banner
+   */
+  renderMasthead(doc, newsletter, theme, fonts, images) {
+    const width = this.contentWidth(doc);
+    const date = newsletter.publishDate || newsletter.updatedAt || new Date();
+
+    const logo = theme.logoUrl && images.get(theme.logoUrl);
+    if (logo) {
+      this.renderLogo(doc, logo);
+    }
+
+    doc.font(fonts.bold).fontSize(26).fillColor(theme.primaryColor)
+      .text(newsletter.title || 'Classroom Newsletter', { align: 'center', width });
+
+    doc.moveDown(0.2);
+    doc.font(fonts.regular).fontSize(12).fillColor(theme.secondaryColor)
+      .text(`Week of ${new Date(date).toLocaleDateString('en-US', {
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric'
+      })}`, { align: 'center', width });
+
+    doc.moveDown(0.5);
+    this.drawRule(doc, theme.primaryColor, 2.5);
+    doc.moveDown(1);
+  }
+
+  /**
+   * School logo from the brand kit, centered above the title
+   */
+  renderLogo(doc, buffer) {
+    const image = doc.openImage(buffer);
+    const scale = Math.min(LOGO_MAX_WIDTH / image.width, LOGO_MAX_HEIGHT / image.height, 1);
+    const left = doc.page.margins.left;
+    const top = doc.y;
+
+    doc.image(image, left + (this.contentWidth(doc) - image.width * scale) / 2, top, {
+      width: image.width * scale,
+      height: image.height * scale
+    });
+    doc.x = left;
+    doc.y = top + image.height * scale + 8;
+  }
+
+  /**
+   * Horizontal rule across the content width
+   */
+  drawRule(doc, color, lineWidth = 1) {
+    const left = doc.page.margins.left;
+    const right = doc.page.width - doc.page.margins.right;
+
+    doc.save();
+    doc.moveTo(left, doc.y).lineTo(right, doc.y).lineWidth(lineWidth).strokeColor(color).stroke();
+    doc.restore();
+    doc.y += lineWidth;
+  }
+
+  renderSection(doc, section, theme, fonts, images) {
+    switch (section.type) {
+      case 'header':
+        return this.renderHeaderSection(doc, section.data, theme, fonts);
+      case 'title':
+        return this.renderTitleSection(doc, section.data, theme, fonts);
+      case 'richText':
+        return this.renderRichTextSection(doc, section.data, theme, fonts, images);
+      case 'events':
+        return this.renderEventsSection(doc, section.data, theme, fonts);
+      case 'contact':
+        return this.renderContactSection(doc, section.data, theme, fonts);
+      case 'image':
+        return this.renderImageSection(doc, section.data, theme, fonts, images);
+      default:
+        logger.debug('Unknown section type skipped in PDF export', { type: section.type });
+    }
+  }
+
+  renderHeaderSection(doc, data, theme, fonts) {
+    const width = this.contentWidth(doc);
+    const align = data.style?.textAlign || 'center';
+    const color = data.style?.color || theme.textColor;
+
+    this.ensureSpace(doc, 90);
+
+    if (data.style?.showBorder !== false) {
+      this.drawRule(doc, color, 1.5);
+      doc.moveDown(0.5);
+    }
+
+    doc.font(fonts.bold).fontSize(20).fillColor(color)
+      .text(String(data.title || '').toUpperCase(), { align, width });
+
+    if (data.subtitle) {
+      doc.font(fonts.regular).fontSize(12).fillColor(theme.secondaryColor)
+        .text(data.subtitle, { align, width });
+    }
+
+    if (data.level) {
+      doc.font(fonts.italic).fontSize(10).fillColor(theme.secondaryColor)
+        .text(data.level, { align, width });
+    }
+
+    if (data.showNameLine) {
+      doc.moveDown(0.6);
+      doc.font(fonts.regular).fontSize(11).fillColor(color)
+        .text('Name: ______________________________   Date: ______________', { align: 'left', width });
+    }
+
+    if (data.style?.showBorder !== false) {
+      doc.moveDown(0.5);
+      this.drawRule(doc, color, 1.5);
+    }
+
+    doc.moveDown(1);
+  }
+
+  renderTitleSection(doc, data, theme, fonts) {
+    const width = this.contentWidth(doc);
+    const align = data.style?.textAlign || 'center';
+    const sizes = { lg: 16, xl: 20, '2xl': 24, '3xl': 30 };
+
+    this.ensureSpace(doc, 60);
+
+    doc.font(fonts.bold).fontSize(sizes[data.style?.fontSize] || 24)
+      .fillColor(data.style?.color || theme.primaryColor)
+      .text(data.title || '', { align, width });
+
+    if (data.subtitle) {
+      doc.moveDown(0.2);
+      doc.font(fonts.italic).fontSize(13).fillColor(theme.secondaryColor)
+        .text(data.subtitle, { align, width });
+    }
+
+    doc.moveDown(1);
+  }
+
+  renderRichTextSection(doc, data, theme, fonts, images) {
+    const width = this.contentWidth(doc);
+    const align = data.style?.textAlign === 'center' || data.style?.textAlign === 'right'
+      ? data.style.textAlign
+      : 'left';
+    const fontSize = data.style?.fontSize === 'sm' ? 10 : data.style?.fontSize === 'lg' ? 13 : 11.5;
+    const color = data.style?.color || theme.textColor;
+
+    parseRichText(data.content).forEach(block => {
+      if (block.type === 'image') {
+        this.renderImage(doc, images.get(block.url), { size: 'medium', alignment: 'center', caption: null }, theme, fonts);
+        return;
+      }
+
+      let prefix = '';
+      let indent = 0;
+      if (block.type === 'bullet') {
+        prefix = '•  ';
+        indent = 14;
+      } else if (block.type === 'numbered') {
+        prefix = `${block.number}.  `;
+        indent = 14;
+      }
+
+      doc.fontSize(fontSize);
+      this.ensureSpace(doc, doc.currentLineHeight(true) * 2);
+      this.writeRuns(doc, block.runs, fonts, {
+        prefix,
+        color,
+        width: width - indent,
+        x: doc.page.margins.left + indent,
+        align: indent ? 'left' : align
+      });
+      doc.moveDown(block.type === 'paragraph' ? 0.5 : 0.2);
+    });
+
+    doc.moveDown(0.6);
+  }
+
+  /**
+   * Write a sequence of formatted runs as one flowing paragraph
+   */
+  writeRuns(doc, runs, fonts, { prefix = '', color, width, x, align }) {
+    const parts = prefix ? [{ text: prefix, bold: false, italic: false }, ...runs] : runs;
+    if (parts.length === 0) return;
+
+    doc.fillColor(color);
+    parts.forEach((run, index) => {
+      const font = run.bold && run.italic ? fonts.boldItalic
+        : run.bold ? fonts.bold
+        : run.italic ? fonts.italic
+        : fonts.regular;
+
+      const options = { continued: index < parts.length - 1, width, align, lineGap: 2 };
+      if (index === 0) {
+        doc.font(font).text(run.text, x, doc.y, options);
+      } else {
+        doc.font(font).text(run.text, options);
+      }
+    });
+
+    doc.x = doc.page.margins.left;
+  }
+
+  renderEventsSection(doc, data, theme, fonts) {
+    const width = this.contentWidth(doc);
+    const left = doc.page.margins.left;
+    const events = Array.isArray(data.events) ? data.events : [];
+    const titleColor = data.style?.titleColor || theme.primaryColor;
+
+    // Keep the heading together with the first event
+    this.ensureSpace(doc, 80);
+    doc.font(fonts.bold).fontSize(15).fillColor(titleColor).text(data.title || 'Upcoming Events', left, doc.y, { width });
+    doc.moveDown(0.4);
+
+    if (events.length === 0) {
+      doc.font(fonts.italic).fontSize(11).fillColor(theme.secondaryColor).text('No events scheduled', { width });
+      doc.moveDown(1);
+      return;
+    }
+
+    const dateWidth = 90;
+    const textX = left + 12 + dateWidth;
+    const textWidth = width - 12 - dateWidth;
+
+    events.forEach(event => {
+      doc.font(fonts.bold).fontSize(11.5);
+      const titleHeight = doc.heightOfString(event.title || '', { width: textWidth });
+      doc.font(fonts.regular).fontSize(10.5);
+      const descriptionHeight = event.description
+        ? doc.heightOfString(event.description, { width: textWidth }) + 2
+        : 0;
+      const rowHeight = Math.max(titleHeight + descriptionHeight, 16) + 8;
+
+      this.ensureSpace(doc, rowHeight);
+      const top = doc.y;
+
+      doc.save();
+      doc.rect(left, top, 3, rowHeight - 6).fill(theme.accentColor);
+      doc.restore();
+
+      doc.font(fonts.bold).fontSize(10).fillColor(theme.accentColor)
+        .text(formatEventDate(event.date), left + 12, top, { width: dateWidth - 6 });
+
+      doc.font(fonts.bold).fontSize(11.5).fillColor(theme.primaryColor)
+        .text(event.title || '', textX, top, { width: textWidth });
+
+      if (event.description) {
+        doc.font(fonts.regular).fontSize(10.5).fillColor(theme.textColor)
+          .text(event.description, textX, doc.y + 2, { width: textWidth });
+      }
+
+      doc.x = left;
+      doc.y = top + rowHeight;
+    });
+
+    doc.moveDown(0.8);
+  }
+
+  renderContactSection(doc, data, theme, fonts) {
+    const width = this.contentWidth(doc);
+    const left = doc.page.margins.left;
+    const padding = 12;
+    const rows = [
+      ['Teacher', data.teacherName],
+      ['Email', data.email],
+      ['Phone', data.phone],
+      ['Room', data.room],
+      ['Office Hours', data.officeHours]
+    ].filter(([, value]) => value);
+
+    doc.font(fonts.regular).fontSize(11);
+    const rowHeight = doc.currentLineHeight(true) + 4;
+    const boxHeight = padding * 2 + 22 + rows.length * rowHeight;
+
+    this.ensureSpace(doc, boxHeight + 10);
+    const top = doc.y;
+
+    doc.save();
+    doc.roundedRect(left, top, width, boxHeight, 8).lineWidth(1.5).strokeColor(theme.secondaryColor).stroke();
+    doc.restore();
+
+    doc.font(fonts.bold).fontSize(14).fillColor(theme.primaryColor)
+      .text(data.title || 'Contact Information', left + padding, top + padding, { width: width - padding * 2 });
+
+    let y = top + padding + 22;
+    rows.forEach(([label, value]) => {
+      doc.font(fonts.bold).fontSize(11).fillColor(theme.primaryColor)
+        .text(`${label}:`, left + padding, y, { width: 100 });
+      doc.font(fonts.regular).fontSize(11).fillColor(theme.textColor)
+        .text(String(value), left + padding + 100, y, { width: width - padding * 2 - 100 });
+      y += rowHeight;
+    });
+
+    doc.x = left;
+    doc.y = top + boxHeight;
+    doc.moveDown(1);
+  }
+
+  renderImageSection(doc, data, theme, fonts, images) {
+    if (!data.imageUrl) return;
+
+    this.renderImage(doc, images.get(data.imageUrl), {
+      size: data.size,
+      alignment: data.alignment,
+      caption: data.caption,
+      credit: data.imageCredit
+    }, theme, fonts);
+    doc.moveDown(0.6);
+  }
+
+  /**
+   * Place an image scaled to the section size, with an optional caption underneath
+   */
+  renderImage(doc, buffer, { size = 'medium', alignment = 'center', caption, credit }, theme, fonts) {
+    const width = this.contentWidth(doc);
+    const left = doc.page.margins.left;
+
+    if (!buffer) {
+      if (caption) {
+        doc.font(fonts.italic).fontSize(10).fillColor(theme.secondaryColor).text(`[Image: ${caption}]`, left, doc.y, { width, align: 'center' });
+      }
+      return;
+    }
+
+    const image = doc.openImage(buffer);
+    const maxWidth = width * (IMAGE_WIDTHS[size] || IMAGE_WIDTHS.medium);
+    const maxHeight = (doc.page.height - doc.page.margins.top - doc.page.margins.bottom) * 0.6;
+    const scale = Math.min(maxWidth / image.width, maxHeight / image.height, 1);
+    const imageWidth = image.width * scale;
+    const imageHeight = image.height * scale;
+
+    this.ensureSpace(doc, imageHeight + (caption ? 24 : 6));
+
+    let x = left + (width - imageWidth) / 2;
+    if (alignment === 'left') x = left;
+    if (alignment === 'right') x = left + width - imageWidth;
+
+    const top = doc.y;
+    doc.image(image, x, top, { width: imageWidth, height: imageHeight });
+    doc.x = left;
+    doc.y = top + imageHeight + 4;
+
+    if (caption) {
+      doc.font(fonts.italic).fontSize(10).fillColor(theme.secondaryColor).text(caption, left, doc.y, { width, align: 'center' });
+    }
+
+    if (credit?.photographer) {
+      doc.font(fonts.regular).fontSize(8).fillColor(theme.secondaryColor)
+        .text(`Photo: ${credit.photographer}${credit.source ? ` / ${credit.source}` : ''}`, left, doc.y, { width, align: 'center' });
+    }
+  }
+
+  renderClosing(doc, theme, fonts) {
+    const width = this.contentWidth(doc);
+
+    this.ensureSpace(doc, 40);
+    doc.moveDown(0.5);
+    this.drawRule(doc, theme.borderColor || theme.secondaryColor, 1);
+    doc.moveDown(0.5);
+    doc.font(fonts.regular).fontSize(10).fillColor(theme.secondaryColor)
+      .text('Thank you for being part of our classroom community!', doc.page.margins.left, doc.y, { width, align: 'center' });
+  }
+
+  /**
+   * Stamp "Page X of Y" into the footer of every buffered page
+   */
+  renderPageNumbers(doc, theme, fonts) {
+    const range = doc.bufferedPageRange();
+
+    for (let i = range.start; i < range.start + range.count; i++) {
+      doc.switchToPage(i);
+
+      // Writing inside the bottom margin would otherwise trigger a new page
+      const bottomMargin = doc.page.margins.bottom;
+      doc.page.margins.bottom = 0;
+
+      doc.font(fonts.regular).fontSize(9).fillColor(theme.secondaryColor)
+        .text(`Page ${i + 1} of ${range.count}`, doc.page.margins.left, doc.page.height - PAGE_MARGIN, {
+          width: this.contentWidth(doc),
+          align: 'center',
+          lineBreak: false
+        });
+
+      doc.page.margins.bottom = bottomMargin;
+    }
+  }
+}
+
+module.exports = new PDFService();
@@ -0,0 +1,150 @@
+// Policy Service
+// The one place that decides who may do what. A user's roles are their site role
+// (users.role) plus the roles they hold on the thing being acted on: school admin of
+// a school, owner or co-teacher of a newsletter, owner of a template. Each permission
+// lists the roles that grant it. Routes ask `authorize`, which also logs the decision;
+// models that need an answer without logging use `hasPermission`.
+const { DatabaseManager } = require('../config/database');
+const School = require('../models/School');
+const logger = require('../utils/logger');
+
+const ROLES = {
+  // Site roles, stored on the user
+  TEACHER: 'teacher',
+  REVIEWER: 'reviewer',
+  SITE_ADMIN: 'site_admin',
+  // Roles held on a school, newsletter or template
+  SCHOOL_ADMIN: 'school_admin',
+  OWNER: 'owner',
+  CO_TEACHER: 'co_teacher',
+  VIEWER: 'viewer'
+};
+
+const SITE_ROLES = [ROLES.TEACHER, ROLES.REVIEWER, ROLES.SITE_ADMIN];
+
+const PERMISSIONS = {
+  // Admin console: reviewers can look, only site admins can change things
+  'admin:view': [ROLES.SITE_ADMIN, ROLES.REVIEWER],
+  'users:manage': [ROLES.SITE_ADMIN],
+  'templates:manage': [ROLES.SITE_ADMIN],
+  'schools:manage': [ROLES.SITE_ADMIN],
+  'settings:manage': [ROLES.SITE_ADMIN],
+  'jobs:manage': [ROLES.SITE_ADMIN],
+
+  'school:manage': [ROLES.SITE_ADMIN, ROLES.SCHOOL_ADMIN],
+  'school:view_usage': [ROLES.SITE_ADMIN, ROLES.REVIEWER, ROLES.SCHOOL_ADMIN],
+
+  // Reading any teacher's newsletter, not just the ones shared with you
+  'newsletters:view_all': [ROLES.SITE_ADMIN, ROLES.REVIEWER],
+  'newsletter:view': [ROLES.OWNER, ROLES.CO_TEACHER, ROLES.VIEWER, ROLES.SITE_ADMIN, ROLES.REVIEWER],
+  'newsletter:edit': [ROLES.OWNER, ROLES.CO_TEACHER],
+  // Delete, share and other decisions that stay with the author
+  'newsletter:manage': [ROLES.OWNER],
+
+  'template:edit': [ROLES.OWNER]
+};
+
+// activity_logs.resource_type for a denied permission
+const resourceTypeFor = (permission) => {
+  const prefix = permission.split(':')[0];
+  if (prefix.startsWith('newsletter')) return 'newsletter';
+  if (prefix.startsWith('template')) return 'template';
+  if (prefix.startsWith('school')) return 'school';
+  if (prefix === 'users') return 'user';
+  return 'system';
+};
+
+class PolicyService {
+  constructor() {
+    this.ROLES = ROLES;
+    this.SITE_ROLES = SITE_ROLES;
+    this.PERMISSIONS = PERMISSIONS;
+  }
+
+  isSiteRole(role) {
+    return SITE_ROLES.includes(role);
+  }
+
+  hasPermission(roles, permission) {
+    const granted = PERMISSIONS[permission];
+    if (!granted) {
+      throw new Error(`Unknown permission: ${permission}`);
+    }
+    return roles.some(role => granted.includes(role));
+  }
+
+  /**
+   * Roles the user holds for a request. Context may carry:
+   *   school + membership (from School.findMembership) - adds the school role
+   *   newsletter - adds the roles from newsletter.access
+   *   template - adds owner when the user created it
+   */
+  rolesFor(user, context = {}) {
+    if (!user) {
+      return [];
+    }
+
+    const roles = [user.role];
+    const { school, membership, newsletter, template } = context;
+
+    if (school && membership?.school?.id === school.id) {
+      roles.push(membership.role);
+    }
+    if (newsletter?.access?.roles) {
+      roles.push(...newsletter.access.roles);
+    }
+    if (template && template.userId === user.id) {
+      roles.push(ROLES.OWNER);
+    }
+
+    return roles;
+  }
+
+  can(user, permission, context = {}) {
+    return this.hasPermission(this.rolesFor(user, context), permission);
+  }
+
+  /**
+   * Check a permission and log the decision. Denials are also written to the
+   * activity log so admins can see who tried what.
+   */
+  authorize(user, permission, context = {}) {
+    const roles = this.rolesFor(user, context);
+    const allowed = this.hasPermission(roles, permission);
+    const resource = context.newsletter || context.template || context.school || null;
+
+    if (allowed) {
+      logger.debug(`Policy allow: ${user.email} ${permission} [${roles.join(', ')}]`);
+      return true;
+    }
+
+    logger.warn(`Policy deny: ${user ? user.email : 'anonymous'} ${permission} [${roles.join(', ')}]`);
+    if (user) {
+      this.logDenial(user.id, permission, roles, resource);
+    }
+    return false;
+  }
+
+  logDenial(userId, permission, roles, resource) {
+    const db = DatabaseManager.getInstance();
+
+    db.query(
+      `INSERT INTO activity_logs (user_id, action, resource_type, resource_id, metadata)
+       VALUES ($1, 'permission_denied', $2, $3, $4)`,
+      [userId, resourceTypeFor(permission), resource?.id || null, JSON.stringify({ permission, roles })]
+    ).catch(error => {
+      // Don't throw - logging failures shouldn't break the main operation
+      logger.error('Error logging permission denial:', error);
+    });
+  }
+
+  /**
+   * Roles carried in the access token: the site role plus the user's school role
+   */
+  async rolesForUser(user) {
+    const membership = await School.findMembership(user.id);
+    return membership ? [user.role, membership.role] : [user.role];
+  }
+}
+
+module.exports = new PolicyService();
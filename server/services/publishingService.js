@@ -0,0 +1,244 @@
+// Publishing Service
+// Scheduled publishing: a teacher picks a time and the job runner publishes the newsletter
+// then, then distributes it the ways they chose (a new share link, an email to a list of
+// recipients, a refresh of their calendar feed). Each finished step is saved on the job, so a
+// retry after a failure carries on from where it stopped instead of emailing everyone again.
+const { DatabaseManager } = require('../config/database');
+const Job = require('../models/Job');
+const Newsletter = require('../models/Newsletter');
+const NewsletterShare = require('../models/NewsletterShare');
+const CalendarEvent = require('../models/CalendarEvent');
+const School = require('../models/School');
+const SentEmail = require('../models/SentEmail');
+const User = require('../models/User');
+const jobRunner = require('./jobRunner');
+const mailService = require('./mailService');
+const emailHtmlService = require('./emailHtmlService');
+const logger = require('../utils/logger');
+
+const JOB_TYPE = 'newsletter.publish';
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Newsletter emails a user may send in any 24 hours, across all their scheduled publishes
+const DEFAULT_DAILY_EMAIL_LIMIT = 300;
+
+const uniqueKeyFor = (newsletterId) => `${JOB_TYPE}:${newsletterId}`;
+
+const publishInProgressError = () => {
+  const err = new Error('This newsletter is being published right now');
+  err.code = 'PUBLISH_IN_PROGRESS';
+  return err;
+};
+
+class PublishingService {
+  constructor() {
+    this.JOB_TYPE = JOB_TYPE;
+    this.dailyEmailLimit = parseInt(process.env.SCHEDULED_EMAIL_DAILY_LIMIT) || DEFAULT_DAILY_EMAIL_LIMIT;
+  }
+
+  /**
+   * Fill in defaults and drop duplicate recipients
+   * @param {Object} distribution - { shareLink, shareLinkExpiresInDays, emailRecipients, calendarFeed }
+   * @returns {Object}
+   */
+  normalizeDistribution(distribution = {}) {
+    const shareLink = distribution.shareLink === true;
+    const recipients = (distribution.emailRecipients || [])
+      .map(email => String(email).trim().toLowerCase())
+      .filter(Boolean);
+
+    return {
+      shareLink,
+      shareLinkExpiresInDays: shareLink && distribution.shareLinkExpiresInDays
+        ? parseInt(distribution.shareLinkExpiresInDays)
+        : null,
+      emailRecipients: [...new Set(recipients)],
+      calendarFeed: distribution.calendarFeed === true
+    };
+  }
+
+  /**
+   * Schedule a newsletter to be published, replacing any schedule it already has
+   * Throws an error with code 'PUBLISH_IN_PROGRESS' while a publish of it is running,
+   * 'EMAIL_LIMIT_EXCEEDED' for more recipients than the daily email limit, and
+   * 'FRONTEND_URL_NOT_CONFIGURED' for recipients when emailed links cannot be built.
+   * @param {Newsletter} newsletter - Newsletter owned by userId
+   * @param {string} userId
+   * @param {Object} options
+   * @param {Date} options.publishAt - When to publish
+   * @param {Object} options.distribution - See normalizeDistribution
+   * @returns {Promise<Job>}
+   */
+  async schedule(newsletter, userId, { publishAt, distribution }) {
+    const db = DatabaseManager.getInstance();
+    const normalized = this.normalizeDistribution(distribution);
+
+    if (normalized.emailRecipients.length > this.dailyEmailLimit) {
+      const err = new Error(`You can email at most ${this.dailyEmailLimit} recipients a day`);
+      err.code = 'EMAIL_LIMIT_EXCEEDED';
+      throw err;
+    }
+
+    if (normalized.emailRecipients.length > 0 && !mailService.hasAppUrl()) {
+      const err = new Error('FRONTEND_URL must be set to email newsletters');
+      err.code = 'FRONTEND_URL_NOT_CONFIGURED';
+      throw err;
+    }
+
+    const job = await db.transaction(async (client) => {
+      await Job.cancelPending(client, uniqueKeyFor(newsletter.id), userId);
+
+      return jobRunner.enqueue(JOB_TYPE, {
+        payload: { newsletterId: newsletter.id, userId, distribution: normalized },
+        userId,
+        newsletterId: newsletter.id,
+        uniqueKey: uniqueKeyFor(newsletter.id),
+        runAt: publishAt
+      }, client);
+    });
+
+    if (!job) {
+      throw publishInProgressError();
+    }
+
+    await Newsletter.logActivity(userId, 'newsletter_publish_scheduled', 'newsletter', newsletter.id, {
+      jobId: job.id,
+      publishAt: job.runAt,
+      shareLink: normalized.shareLink,
+      emailRecipients: normalized.emailRecipients.length,
+      calendarFeed: normalized.calendarFeed
+    });
+
+    return job;
+  }
+
+  /**
+   * Cancel the newsletter's scheduled publish
+   * Throws an error with code 'PUBLISH_IN_PROGRESS' when it has already started.
+   * @returns {Promise<Job|null>} The cancelled job, or null if nothing was scheduled
+   */
+  async cancel(newsletter, userId) {
+    const job = await Job.findActive(uniqueKeyFor(newsletter.id));
+    if (!job) {
+      return null;
+    }
+
+    if (!(await job.cancel(userId))) {
+      throw publishInProgressError();
+    }
+
+    await Newsletter.logActivity(userId, 'newsletter_publish_cancelled', 'newsletter', newsletter.id, {
+      jobId: job.id,
+      publishAt: job.runAt
+    });
+
+    return job;
+  }
+
+  /**
+   * The pending or running publish of a newsletter and its most recent publish jobs
+   * @returns {Promise<{scheduled: Job|null, history: Job[]}>}
+   */
+  async getSchedule(newsletterId) {
+    const [scheduled, { jobs }] = await Promise.all([
+      Job.findActive(uniqueKeyFor(newsletterId)),
+      Job.find({ newsletterId, type: JOB_TYPE, limit: 10 })
+    ]);
+
+    return { scheduled, history: jobs };
+  }
+
+  /**
+   * Job handler: publish the newsletter, then distribute it
+   * @returns {Promise<{steps: Object}>} What was done, also saved as progress after every step
+   */
+  async publish(payload, { job, saveProgress }) {
+    const { newsletterId, userId } = payload;
+    const distribution = this.normalizeDistribution(payload.distribution);
+    const steps = { ...(job.result?.steps || {}) };
+    const save = () => saveProgress({ steps });
+
+    const owner = await User.findById(userId);
+    if (!owner) {
+      throw jobRunner.permanentError('The newsletter owner no longer has an active account');
+    }
+
+    const newsletter = await Newsletter.findById(newsletterId, userId);
+    if (!newsletter || newsletter.userId !== userId) {
+      throw jobRunner.permanentError('The newsletter no longer exists or is in the trash');
+    }
+
+    if (!steps.published) {
+      if (newsletter.status !== 'published') {
+        await newsletter.update({ status: 'published', publishDate: new Date() }, userId);
+      }
+      steps.published = { at: new Date().toISOString() };
+      await save();
+    }
+
+    if (distribution.shareLink && !steps.shareLink) {
+      const expiresAt = distribution.shareLinkExpiresInDays
+        ? new Date(Date.now() + distribution.shareLinkExpiresInDays * DAY_MS)
+        : null;
+      const share = await NewsletterShare.createLink(newsletter.id, userId, { expiresAt });
+      steps.shareLink = { shareId: share.id, expiresAt };
+      await save();
+    }
+
+    const unsent = distribution.emailRecipients.filter(to => !(steps.email?.sent || []).includes(to));
+    if (unsent.length > 0) {
+      // Links and images in the email point at the configured app URL, never at a request origin
+      if (!mailService.hasAppUrl()) {
+        throw jobRunner.permanentError('FRONTEND_URL is not set, so the newsletter cannot be emailed');
+      }
+      const baseUrl = mailService.appUrl('');
+      let sentLastDay = await SentEmail.countLastDay(userId);
+
+      const html = emailHtmlService.renderNewsletter(newsletter, {
+        baseUrl,
+        brandKit: await School.getBrandKitForUser(userId)
+      });
+      const share = steps.shareLink && await NewsletterShare.findById(steps.shareLink.shareId, newsletter.id);
+      const sent = steps.email?.sent || [];
+
+      for (const to of unsent) {
+        // Stop at the limit; the progress is saved, so retrying later emails the rest
+        if (sentLastDay >= this.dailyEmailLimit) {
+          const remaining = unsent.length - unsent.indexOf(to);
+          throw jobRunner.permanentError(
+            `Reached the limit of ${this.dailyEmailLimit} emails a day; ${remaining} ${remaining === 1 ? 'recipient was' : 'recipients were'} not emailed. Retry tomorrow to email them.`
+          );
+        }
+
+        await mailService.sendNewsletter({
+          to,
+          title: newsletter.title,
+          senderName: owner.displayName,
+          html,
+          readOnlineUrl: share ? `${baseUrl}/shared/${share.accessToken}` : null
+        });
+        await SentEmail.record(userId, job.id, to);
+        sentLastDay++;
+        sent.push(to);
+        steps.email = { sent };
+        await save();
+      }
+    }
+
+    if (distribution.calendarFeed && !steps.calendarFeed) {
+      steps.calendarFeed = await CalendarEvent.syncForUser(userId);
+      await save();
+    }
+
+    await Newsletter.logActivity(userId, 'newsletter_published_on_schedule', 'newsletter', newsletter.id, {
+      jobId: job.id,
+      shareLink: Boolean(steps.shareLink),
+      emailed: steps.email?.sent.length || 0,
+      calendarFeed: Boolean(steps.calendarFeed)
+    });
+
+    logger.info(`Newsletter ${newsletter.id} published on schedule by job ${job.id}`);
+    return { steps };
+  }
+}
+
+module.exports = new PublishingService();
@@ -0,0 +1,51 @@
+// Trash Service
+// Deleted newsletters and templates wait in the trash for TRASH_RETENTION_DAYS (default 30)
+// and can be restored until then; after that purgeExpired deletes them for good.
+const Newsletter = require('../models/Newsletter');
+const Template = require('../models/Template');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class TrashService {
+  constructor() {
+    this.retentionDays = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+  }
+
+  /**
+   * When an item deleted at `deletedAt` will be purged
+   * @param {Date|string} deletedAt
+   * @returns {Date}
+   */
+  purgeDate(deletedAt) {
+    return new Date(new Date(deletedAt).getTime() + this.retentionDays * DAY_MS);
+  }
+
+  /**
+   * Public JSON for a trashed newsletter or template, with its purge date
+   * @param {Newsletter|Template} item - Model instance loaded from the trash
+   * @returns {Object}
+   */
+  toTrashJSON(item) {
+    return {
+      ...item.toPublicJSON(),
+      purgeAt: this.purgeDate(item.deletedAt)
+    };
+  }
+
+  /**
+   * Delete everything that has been in the trash longer than the retention period
+   * @returns {Promise<{newsletters: number, templates: number}>} How many of each were deleted
+   */
+  async purgeExpired() {
+    const newsletters = await Newsletter.purgeTrash(this.retentionDays);
+    const templates = await Template.purgeTrash(this.retentionDays);
+
+    if (newsletters > 0 || templates > 0) {
+      logger.info(`Purged ${newsletters} newsletters and ${templates} templates from the trash`);
+    }
+    return { newsletters, templates };
+  }
+}
+
+module.exports = new TrashService();
@@ -0,0 +1,151 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const bcrypt = require('bcryptjs');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret-that-is-long-enough-for-the-checks';
+
+const User = require('../models/User');
+const totp = require('../utils/totp');
+const { fakeDatabase, useDatabase } = require('./helpers/fakeDatabase');
+
+const PASSWORD = 'Correct-Horse1!';
+const PASSWORD_HASH = bcrypt.hashSync(PASSWORD, 4);
+
+function makeUser(overrides = {}) {
+    return new User({
+        id: 'user-1',
+        email: 'teacher@school.edu',
+        password_hash: PASSWORD_HASH,
+        role: 'teacher',
+        failed_login_attempts: 0,
+        locked_until: null,
+        ...overrides
+    });
+}
+
+// Answers the failed-login UPDATE with the given count and lock
+const failedLoginDatabase = (failedAttempts, lockedUntil) => fakeDatabase((text) => (
+    /SET failed_login_attempts = failed_login_attempts \+ 1/.test(text)
+        ? [{ failed_login_attempts: failedAttempts, locked_until: lockedUntil }]
+        : []
+));
+
+// Answers a password reset whose token is valid for user-1
+const resetDatabase = () => fakeDatabase((text) => {
+    if (/UPDATE user_tokens/.test(text)) return [{ id: 'token-1', user_id: 'user-1', purpose: 'password_reset' }];
+    if (/UPDATE users/.test(text)) return [{ id: 'user-1', email: 'teacher@school.edu', failed_login_attempts: 0, locked_until: null }];
+    return [];
+});
+
+test('a locked account answers every password like an unknown email', async (t) => {
+    const lockedUntil = new Date(Date.now() + 10 * 60000);
+    const db = useDatabase(t, failedLoginDatabase(7, lockedUntil));
+    const compare = t.mock.method(bcrypt, 'compare');
+    t.mock.method(User, 'findByEmail', async (email) => (
+        email === 'teacher@school.edu' ? makeUser({ failed_login_attempts: 6, locked_until: lockedUntil }) : null
+    ));
+
+    const unknown = await User.authenticate('nobody@school.edu', PASSWORD);
+    const wrong = await User.authenticate('teacher@school.edu', 'Wrong-Password1!');
+    const right = await User.authenticate('teacher@school.edu', PASSWORD);
+
+    assert.equal(unknown, null);
+    assert.equal(wrong, null);
+    assert.equal(right, null);
+    assert.ok(compare.mock.calls.every(call => call.arguments[1] !== PASSWORD_HASH), 'the password of a locked account was checked');
+    assert.equal(compare.mock.callCount(), 3);
+
+    const counted = db.queries.filter(({ text }) => /failed_login_attempts = failed_login_attempts \+ 1/.test(text));
+    const blocked = db.queries.filter(({ params }) => params[1] === 'login_blocked');
+    assert.equal(counted.length, 2);
+    assert.equal(blocked.length, 2);
+    assert.ok(!db.queries.some(({ text }) => /INSERT INTO security_notices/.test(text)), 'a locked account was notified again');
+});
+
+test('the failure that locks an account answers like an unknown email and notifies the owner', async (t) => {
+    const db = useDatabase(t, failedLoginDatabase(5, new Date(Date.now() + 60000)));
+    t.mock.method(User, 'findByEmail', async () => makeUser({ failed_login_attempts: 4 }));
+
+    assert.equal(await User.authenticate('teacher@school.edu', 'Wrong-Password1!'), null);
+    assert.ok(db.queries.some(({ params }) => params[1] === 'account_locked'));
+});
+
+test('an expired lockout lets the right password in and clears the count', async (t) => {
+    const db = useDatabase(t, fakeDatabase());
+    t.mock.method(User, 'findByEmail', async () => makeUser({
+        failed_login_attempts: 5,
+        locked_until: new Date(Date.now() - 1000)
+    }));
+
+    const user = await User.authenticate('teacher@school.edu', PASSWORD);
+
+    assert.equal(user.id, 'user-1');
+    assert.ok(db.queries.some(({ text }) => /failed_login_attempts = 0, locked_until = NULL/.test(text)));
+});
+
+test('resetting the password lifts the lockout', async (t) => {
+    const db = useDatabase(t, resetDatabase());
+
+    const user = await User.resetPassword('raw-token', 'New-Password1!');
+
+    const update = db.queries.find(({ text }) => /UPDATE users/.test(text));
+    assert.match(update.text, /failed_login_attempts = 0, locked_until = NULL/);
+    assert.equal(user.isLocked(), false);
+});
+
+test('resetting the password ends every session and revokes access tokens', async (t) => {
+    const db = useDatabase(t, resetDatabase());
+
+    const user = await User.resetPassword('raw-token', 'New-Password1!');
+
+    assert.equal(user.id, 'user-1');
+    const revoke = db.queries.find(({ text }) => /UPDATE personal_access_tokens SET revoked_at = NOW\(\)/.test(text));
+    assert.deepEqual(revoke.params, ['user-1']);
+    assert.ok(db.queries.some(({ text, params }) => /DELETE FROM user_sessions/.test(text) && params[0] === 'user-1'));
+});
+
+test('a weak password or a used token changes nothing', async (t) => {
+    const db = useDatabase(t, fakeDatabase());
+
+    await assert.rejects(User.resetPassword('raw-token', 'short'), /Password validation failed/);
+    assert.equal(db.queries.length, 0);
+
+    assert.equal(await User.resetPassword('raw-token', 'New-Password1!'), null);
+    assert.ok(db.queries.every(({ text }) => !/UPDATE users|personal_access_tokens|user_sessions/.test(text)));
+});
+
+test('a two-factor code is accepted once', async (t) => {
+    const secret = totp.generateSecret();
+    const step = totp.currentStep();
+    const db = useDatabase(t, fakeDatabase((text) => (/two_factor_last_step/.test(text) ? [{ id: 'user-1' }] : [])));
+    const user = makeUser({
+        two_factor_enabled: true,
+        two_factor_secret: totp.encryptSecret(secret),
+        two_factor_last_step: step - 2
+    });
+    const code = totp.generateCode(secret, step);
+
+    assert.equal(await user.verifyTwoFactorCode(code), true);
+    assert.equal(user.twoFactorLastStep, step);
+    assert.equal(await user.verifyTwoFactorCode(code), false);
+    assert.equal(await user.verifyTwoFactorCode(totp.generateCode(secret, step - 1)), false);
+    assert.equal(db.queries.length, 1);
+});
+
+test('a two-factor code loses the race when another request used its step first', async (t) => {
+    const secret = totp.generateSecret();
+    useDatabase(t, fakeDatabase());
+    const user = makeUser({ two_factor_enabled: true, two_factor_secret: totp.encryptSecret(secret) });
+
+    assert.equal(await user.verifyTwoFactorCode(totp.generateCode(secret)), false);
+    assert.equal(user.twoFactorLastStep, null);
+});
+
+test('two-factor codes are refused when two-factor authentication is off', async (t) => {
+    const secret = totp.generateSecret();
+    const db = useDatabase(t, fakeDatabase());
+    const user = makeUser({ two_factor_enabled: false, two_factor_secret: totp.encryptSecret(secret) });
+
+    assert.equal(await user.verifyTwoFactorCode(totp.generateCode(secret)), false);
+    assert.equal(db.queries.length, 0);
+});
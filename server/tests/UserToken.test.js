@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const UserToken = require('../models/UserToken');
+const { fakeDatabase, useDatabase } = require('./helpers/fakeDatabase');
+
+test('tokens are hashed with SHA-256', () => {
+    const raw = 'a'.repeat(64);
+
+    assert.equal(UserToken.hash(raw), crypto.createHash('sha256').update(raw).digest('hex'));
+    assert.notEqual(UserToken.hash(raw), UserToken.hash(`${raw}b`));
+});
+
+test('issue stores only the hash of the token it returns', async (t) => {
+    const expiresAt = new Date(Date.now() + 3600000);
+    const db = useDatabase(t, fakeDatabase((text) => (/INSERT INTO user_tokens/.test(text) ? [{ expires_at: expiresAt }] : [])));
+
+    const { token } = await UserToken.issue('user-1', UserToken.PURPOSES.PASSWORD_RESET, 60);
+
+    const insert = db.queries.find(({ text }) => /INSERT INTO user_tokens/.test(text));
+    assert.match(token, /^[0-9a-f]{64}$/);
+    assert.ok(insert.params.includes(UserToken.hash(token)));
+    assert.ok(!insert.params.includes(token));
+});
+
+test('consume looks tokens up by hash and only while unused and unexpired', async (t) => {
+    const db = useDatabase(t, fakeDatabase());
+
+    assert.equal(await UserToken.consume('raw-token', UserToken.PURPOSES.PASSWORD_RESET), null);
+    assert.deepEqual(db.queries[0].params, [UserToken.hash('raw-token'), 'password_reset']);
+    assert.match(db.queries[0].text, /used_at IS NULL AND expires_at > NOW\(\)/);
+});
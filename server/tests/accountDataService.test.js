@@ -0,0 +1,69 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const accountDataService = require('../services/accountDataService');
+const { fakeDatabase, useDatabase } = require('./helpers/fakeDatabase');
+
+const USER_ID = '6f1c2b9e-0d4a-4c8e-9a7b-1e2f3a4b5c6d';
+const OTHER_ID = '0b8d7c6e-5f4a-4b3c-8d2e-1f0a9b8c7d6e';
+
+// Activity written by other people that still names the deleted teacher
+const activity = () => [
+    { action: 'school_member_invited', user_id: OTHER_ID, resource_type: 'school', metadata: { school: 'Lincoln', email: 'Teacher@School.edu', role: 'teacher' } },
+    { action: 'school_member_added', user_id: OTHER_ID, resource_type: 'school', metadata: { school: 'Lincoln', memberId: USER_ID, role: 'teacher' } },
+    { action: 'newsletter_shared', user_id: OTHER_ID, resource_type: 'share', metadata: { newsletterId: 'n-1', sharedWith: USER_ID } },
+    { action: 'school_member_invited', user_id: OTHER_ID, resource_type: 'school', metadata: { email: 'other.teacher@school.edu' } },
+    { action: 'newsletter_shared', user_id: OTHER_ID, resource_type: 'share', metadata: { sharedWith: OTHER_ID } }
+];
+
+// Applies the metadata match of the anonymizing UPDATE: the id or the email as a JSON string
+function mentions(row, userId, email) {
+    const text = JSON.stringify(row.metadata);
+    return text.includes(`"${userId}"`) || text.toLowerCase().includes(`"${email.toLowerCase()}"`);
+}
+
+function purgeDatabase(rows) {
+    return fakeDatabase((text, params) => {
+        if (/SELECT id, email FROM users/.test(text)) {
+            return [{ id: USER_ID, email: 'teacher@school.edu' }];
+        }
+        if (/UPDATE activity_logs/.test(text)) {
+            const [userId, email] = params;
+            rows.filter(row => mentions(row, userId, email)).forEach(row => {
+                row.metadata = { anonymized: true };
+            });
+        }
+        return [];
+    });
+}
+
+test('erasing an account scrubs activity other people wrote about it', async (t) => {
+    const rows = activity();
+    const db = useDatabase(t, purgeDatabase(rows));
+
+    assert.equal(await accountDataService.purgeAccount(USER_ID), true);
+
+    const update = db.queries.find(({ text }) => /UPDATE activity_logs/.test(text));
+    assert.deepEqual(update.params, [USER_ID, 'teacher@school.edu']);
+    assert.match(update.text, /strpos\(metadata::text/);
+    assert.deepEqual(rows.slice(0, 3).map(row => row.metadata), [{ anonymized: true }, { anonymized: true }, { anonymized: true }]);
+    assert.deepEqual(rows.slice(3).map(row => row.metadata), activity().slice(3).map(row => row.metadata));
+});
+
+test('erasing an account removes invitations sent to its email', async (t) => {
+    const db = useDatabase(t, purgeDatabase([]));
+
+    await accountDataService.purgeAccount(USER_ID);
+
+    const invitations = db.queries.find(({ text }) => /DELETE FROM school_invitations/.test(text));
+    assert.deepEqual(invitations.params, ['teacher@school.edu']);
+    const order = db.queries.map(({ text }) => text);
+    assert.ok(order.findIndex(text => /DELETE FROM users/.test(text)) > order.findIndex(text => /UPDATE activity_logs/.test(text)));
+});
+
+test('erasing an account that is already gone does nothing', async (t) => {
+    const db = useDatabase(t, fakeDatabase());
+
+    assert.equal(await accountDataService.purgeAccount(USER_ID), false);
+    assert.equal(db.queries.length, 1);
+});
@@ -0,0 +1,39 @@
+/**
+ * In-memory stand-in for DatabaseManager
+ * Answers each query with the rows the handler returns for it and keeps a log of every query,
+ * so model tests can run without Postgres.
+ */
+
+const { DatabaseManager } = require('../../config/database');
+
+function fakeDatabase(handler = () => []) {
+    const queries = [];
+    const query = async (text, params = []) => {
+        queries.push({ text, params });
+        const rows = handler(text, params) || [];
+        return { rows, rowCount: rows.length };
+    };
+
+    return {
+        queries,
+        query,
+        transaction: async (callback) => callback({ query })
+    };
+}
+
+/**
+ * Make DatabaseManager.getInstance() return db for the rest of the test
+ */
+function useDatabase(t, db = fakeDatabase()) {
+    const original = DatabaseManager._instance;
+    DatabaseManager._instance = db;
+    t.after(() => {
+        DatabaseManager._instance = original;
+    });
+    return db;
+}
+
+module.exports = {
+    fakeDatabase,
+    useDatabase
+};
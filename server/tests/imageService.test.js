@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const imageService = require('../services/imageService');
+
+// Stand-in downloads: every URL answers with size bytes after a tick, tracking how many run at once
+function mockDownloads(t, size) {
+    const stats = { running: 0, peak: 0, allowances: [] };
+    t.mock.method(imageService, 'downloadImage', async (url, options) => {
+        stats.running++;
+        stats.peak = Math.max(stats.peak, stats.running);
+        stats.allowances.push(options.maxBytes);
+        await new Promise(resolve => setImmediate(resolve));
+        stats.running--;
+        return size <= options.maxBytes ? { buffer: Buffer.alloc(size), contentType: 'image/png' } : null;
+    });
+    return stats;
+}
+
+const urls = (count) => Array.from({ length: count }, (_, i) => `https://images.example.com/${i}.png`);
+
+test('downloadImages runs a few downloads at a time', async (t) => {
+    const stats = mockDownloads(t, 10);
+
+    const images = await imageService.downloadImages(urls(12), { concurrency: 3 });
+
+    assert.equal(images.size, 12);
+    assert.equal(stats.peak, 3);
+});
+
+test('downloadImages leaves out images past the count limit, keeping the first ones', async (t) => {
+    mockDownloads(t, 10);
+
+    const images = await imageService.downloadImages(urls(8), { maxImages: 5 });
+
+    assert.deepEqual([...images.keys()].sort(), urls(5).sort());
+});
+
+test('downloadImages never lets downloads exceed the byte budget', async (t) => {
+    const stats = mockDownloads(t, 400);
+
+    const images = await imageService.downloadImages(urls(6), { maxTotalBytes: 1000, maxBytes: 500, concurrency: 4 });
+
+    assert.equal(images.size, 2);
+    assert.ok(stats.allowances.every(allowance => allowance <= 500));
+    const downloadedBytes = [...images.values()].reduce((total, image) => total + image.buffer.length, 0);
+    assert.ok(downloadedBytes <= 1000);
+});
+
+test('downloadImages counts inline images against the budget', async () => {
+    const pixel = `data:image/png;base64,${Buffer.alloc(600).toString('base64')}`;
+    const other = `data:image/png;base64,${Buffer.alloc(601).toString('base64')}`;
+
+    const images = await imageService.downloadImages([pixel, other], { maxTotalBytes: 1000, concurrency: 1 });
+
+    assert.deepEqual([...images.keys()], [pixel]);
+});
+
+test('isPublicAddress refuses private, loopback and link-local addresses', () => {
+    ['127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '0.0.0.0', '::1', 'fe80::1', 'fc00::1', '::ffff:127.0.0.1']
+        .forEach(address => assert.equal(imageService.isPublicAddress(address), false, address));
+    ['93.184.216.34', '8.8.8.8', '2606:4700:4700::1111']
+        .forEach(address => assert.equal(imageService.isPublicAddress(address), true, address));
+});
@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const migrationService = require('../services/migrationService');
+
+const sha256 = (text) => crypto.createHash('sha256').update(text).digest('hex');
+const repositoryDirectory = migrationService.directory;
+
+// Load migrations from a scratch directory holding the given files
+function loadFrom(t, files) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'migrations-'));
+    t.after(() => {
+        migrationService.directory = repositoryDirectory;
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    for (const [filename, source] of Object.entries(files)) {
+        fs.writeFileSync(path.join(directory, filename), source);
+    }
+    migrationService.directory = directory;
+    return migrationService.loadMigrations();
+}
+
+test('splits a migration into its up and down SQL', (t) => {
+    const [migration] = loadFrom(t, {
+        '0001_create_things.sql': '-- Things\n\n-- migrate:up\nCREATE TABLE things (id INT);\n\n-- migrate:down\nDROP TABLE things;\n'
+    });
+
+    assert.equal(migration.version, '0001');
+    assert.equal(migration.name, 'create_things');
+    assert.equal(migration.up, 'CREATE TABLE things (id INT);');
+    assert.equal(migration.down, 'DROP TABLE things;');
+});
+
+test('down is null without a down section and empty when there is nothing to undo', (t) => {
+    const [irreversible, noop] = loadFrom(t, {
+        '0001_irreversible.sql': '-- migrate:up\nDELETE FROM things;\n',
+        '0002_noop_down.sql': '--migrate:up\nSELECT 1;\n--  migrate:down\n'
+    });
+
+    assert.equal(irreversible.down, null);
+    assert.equal(noop.up, 'SELECT 1;');
+    assert.equal(noop.down, '');
+});
+
+test('rejects a migration without an up section', (t) => {
+    assert.throws(
+        () => loadFrom(t, { '0001_broken.sql': 'CREATE TABLE things (id INT);\n' }),
+        { code: 'MIGRATION_INVALID', message: /0001_broken\.sql has no "-- migrate:up" section/ }
+    );
+});
+
+test('rejects badly named files and duplicate versions', (t) => {
+    assert.throws(() => loadFrom(t, { '1_things.sql': '-- migrate:up\n' }), { code: 'MIGRATION_INVALID' });
+    assert.throws(() => loadFrom(t, { '0001_Things.sql': '-- migrate:up\n' }), { code: 'MIGRATION_INVALID' });
+    assert.throws(
+        () => loadFrom(t, { '0001_a.sql': '-- migrate:up\n', '0001_b.sql': '-- migrate:up\n' }),
+        { code: 'MIGRATION_INVALID', message: /More than one migration has version 0001/ }
+    );
+});
+
+test('orders migrations by version and ignores other files', (t) => {
+    const migrations = loadFrom(t, {
+        '0002_second.sql': '-- migrate:up\nSELECT 2;\n',
+        '0001_first.sql': '-- migrate:up\nSELECT 1;\n',
+        'README.md': 'not a migration'
+    });
+
+    assert.deepEqual(migrations.map(migration => migration.filename), ['0001_first.sql', '0002_second.sql']);
+});
+
+test('checksums are SHA-256 of the source and ignore line endings', (t) => {
+    const source = '-- migrate:up\nSELECT 1;\n-- migrate:down\n';
+    const [unix, windows, edited] = loadFrom(t, {
+        '0001_unix.sql': source,
+        '0002_windows.sql': source.replace(/\n/g, '\r\n'),
+        '0003_edited.sql': source.replace('1', '2')
+    });
+
+    assert.equal(unix.checksum, sha256(source));
+    assert.equal(windows.checksum, unix.checksum);
+    assert.equal(windows.up, 'SELECT 1;');
+    assert.notEqual(edited.checksum, unix.checksum);
+});
+
+test('every migration in the repository parses', () => {
+    const migrations = migrationService.loadMigrations();
+
+    assert.ok(migrations.length > 0);
+    migrations.forEach((migration, index) => {
+        assert.equal(Number(migration.version), index + 1, `${migration.filename} leaves a gap in the versions`);
+        assert.ok(migration.up.length > 0, `${migration.filename} has an empty up section`);
+        assert.notEqual(migration.down, null, `${migration.filename} has no down section`);
+    });
+});
@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    DEFAULT_THEME,
+    THEME_PRESETS,
+    resolveTheme,
+    getOrderedSections,
+    formatEventDate,
+    parseEventDate,
+    getNewsletterEvents,
+    buildFilename
+} = require('../utils/newsletterContent');
+
+const eventsContent = (events) => ({
+    sections: [{ id: 'events', type: 'events', order: 0, data: { events } }]
+});
+
+test('getOrderedSections sorts by order and lifts top-level fields into data', () => {
+    const sections = getOrderedSections({
+        sections: [
+            { id: 'b', type: 'text', order: 2, data: { text: 'Later' } },
+            { type: 'image', order: 1, url: 'https://example.com/a.png' }
+        ]
+    });
+
+    assert.deepEqual(sections.map(section => section.id), ['section-1', 'b']);
+    assert.equal(sections[0].data.url, 'https://example.com/a.png');
+});
+
+test('resolveTheme layers the saved theme over the preset', () => {
+    const presetName = Object.keys(THEME_PRESETS)[0];
+
+    assert.deepEqual(resolveTheme({}), DEFAULT_THEME);
+    assert.equal(resolveTheme({ settings: { theme: presetName } }).primaryColor, THEME_PRESETS[presetName].primaryColor);
+    assert.equal(resolveTheme({ settings: { theme: 'missing' } }).primaryColor, DEFAULT_THEME.primaryColor);
+    assert.equal(resolveTheme({ content: { theme: { primaryColor: '#111111' } } }).primaryColor, '#111111');
+});
+
+test('resolveTheme applies the school brand kit under the saved theme', () => {
+    const brandKit = { primaryColor: '#222222', accentColor: '#333333', logoUrl: 'https://example.com/logo.png' };
+
+    const branded = resolveTheme({ content: { theme: { primaryColor: '#111111' } } }, brandKit);
+
+    assert.equal(branded.primaryColor, '#111111');
+    assert.equal(branded.accentColor, '#333333');
+    assert.equal(branded.logoUrl, 'https://example.com/logo.png');
+    assert.equal(resolveTheme({}, { primaryColor: '' }).primaryColor, DEFAULT_THEME.primaryColor);
+});
+
+test('formatEventDate formats plain dates in UTC and passes unknown text through', () => {
+    assert.equal(formatEventDate('2024-05-01'), 'Wed, May 1');
+    assert.equal(formatEventDate('next week'), 'next week');
+    assert.equal(formatEventDate(''), '');
+});
+
+test('parseEventDate accepts real dates and ISO timestamps', () => {
+    assert.equal(parseEventDate('2024-05-01'), '2024-05-01');
+    assert.equal(parseEventDate('2024-02-29T10:00:00Z'), '2024-02-29');
+});
+
+test('parseEventDate rejects impossible and malformed dates', () => {
+    assert.equal(parseEventDate('2024-13-45'), null);
+    assert.equal(parseEventDate('2023-02-29'), null);
+    assert.equal(parseEventDate('0000-01-01'), null);
+    assert.equal(parseEventDate('May 1st'), null);
+    assert.equal(parseEventDate(''), null);
+    assert.equal(parseEventDate(null), null);
+});
+
+test('getNewsletterEvents skips events without a valid date', () => {
+    const events = getNewsletterEvents(eventsContent([
+        { id: 'a', date: '2024-05-01', title: 'Field trip' },
+        { id: 'b', date: '2024-13-45', title: 'Impossible' },
+        { id: 'c', title: 'No date' },
+        null
+    ]));
+
+    assert.deepEqual(events.map(event => event.key), ['a']);
+    assert.equal(events[0].date, '2024-05-01');
+});
+
+test('getNewsletterEvents cuts overlong titles and keys to the column sizes', () => {
+    const [event] = getNewsletterEvents(eventsContent([
+        { id: 'x'.repeat(400), date: '2024-05-01', title: 'T'.repeat(500), description: 42 }
+    ]));
+
+    assert.equal(event.key.length, 255);
+    assert.equal(event.title.length, 300);
+    assert.equal(event.description, '42');
+});
+
+test('getNewsletterEvents deduplicates by id and derives keys for events without one', () => {
+    const events = getNewsletterEvents(eventsContent([
+        { id: 1, date: '2024-05-01', title: 'First' },
+        { id: 1, date: '2024-05-02', title: 'Second' },
+        { date: '2024-06-01', title: 'Sports Day!' }
+    ]));
+
+    assert.deepEqual(events.map(event => event.key), ['1', '2024-06-01-sports-day-']);
+    assert.equal(events[0].title, 'Second');
+    assert.equal(events[1].description, '');
+});
+
+test('buildFilename keeps only safe characters', () => {
+    const filename = buildFilename('Week 1: Fractions & Decimals!', 'pdf');
+
+    assert.match(filename, /^Week_1_Fractions_Decimals_\d{4}-\d{2}-\d{2}\.pdf$/);
+    assert.match(buildFilename('***', 'docx'), /^newsletter_\d{4}-\d{2}-\d{2}\.docx$/);
+});
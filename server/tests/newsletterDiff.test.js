@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { isEqual, diffSections, diffNewsletters, summarizeDiff } = require('../utils/newsletterDiff');
+
+const section = (id, order, data, type = 'text') => ({ id, type, order, data });
+
+test('isEqual ignores key order and undefined values', () => {
+    assert.equal(isEqual({ a: 1, b: { c: [1, 2] } }, { b: { c: [1, 2] }, a: 1 }), true);
+    assert.equal(isEqual({ a: 1, b: undefined }, { a: 1 }), true);
+    assert.equal(isEqual([1, 2], [2, 1]), false);
+    assert.equal(isEqual({ a: 1 }, { a: '1' }), false);
+});
+
+test('diffSections finds added, removed, edited and reordered sections', () => {
+    const before = { sections: [section('a', 0, { text: 'One' }), section('b', 1, { text: 'Two' }), section('c', 2, {})] };
+    const after = { sections: [section('b', 0, { text: 'Two!' }), section('a', 1, { text: 'One' }), section('d', 2, {})] };
+
+    const diff = diffSections(before, after);
+
+    assert.deepEqual(diff.added.map(entry => entry.id), ['d']);
+    assert.deepEqual(diff.removed.map(entry => entry.id), ['c']);
+    assert.deepEqual(diff.changed, [{ id: 'b', type: 'text', fields: [{ field: 'text', before: 'Two', after: 'Two!' }] }]);
+    assert.equal(diff.reordered, true);
+});
+
+test('diffSections reports a changed section type', () => {
+    const diff = diffSections(
+        { sections: [section('a', 0, {}, 'text')] },
+        { sections: [section('a', 0, {}, 'events')] }
+    );
+
+    assert.deepEqual(diff.changed[0].fields, [{ field: 'type', before: 'text', after: 'events' }]);
+});
+
+test('diffNewsletters covers title, loose content and settings', () => {
+    const diff = diffNewsletters(
+        { title: 'Week 1', content: { text: 'Hi', sections: [] }, settings: { theme: 'classic' } },
+        { title: 'Week 2', content: { text: 'Hello', sections: [] }, settings: { theme: 'playful' } }
+    );
+
+    assert.deepEqual(diff.title, { before: 'Week 1', after: 'Week 2' });
+    assert.deepEqual(diff.content.map(entry => entry.field), ['text']);
+    assert.deepEqual(diff.settings, [{ field: 'theme', before: 'classic', after: 'playful' }]);
+    assert.equal(diff.hasChanges, true);
+});
+
+test('diffNewsletters finds nothing between identical snapshots', () => {
+    const snapshot = { title: 'Week 1', content: { sections: [section('a', 0, { text: 'One' })] }, settings: {} };
+    const diff = diffNewsletters(snapshot, JSON.parse(JSON.stringify(snapshot)));
+
+    assert.equal(diff.hasChanges, false);
+    assert.equal(summarizeDiff(diff), 'No changes');
+});
+
+test('summarizeDiff describes a diff in one line', () => {
+    const diff = diffNewsletters(
+        { title: 'A', content: { sections: [section('a', 0, { text: 'One' })] } },
+        { title: 'B', content: { sections: [section('a', 0, { text: 'Uno' }), section('b', 1, {}), section('c', 2, {})] } }
+    );
+
+    assert.equal(summarizeDiff(diff), 'Title changed, 2 sections added, 1 section edited');
+});
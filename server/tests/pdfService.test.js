@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+
+const pdfService = require('../services/pdfService');
+
+const BUNDLED = path.join(__dirname, '../assets/fonts');
+
+test('findFontFiles finds the bundled families', () => {
+    const files = pdfService.findFontFiles('Noto Sans');
+
+    assert.equal(files.regular, path.join(BUNDLED, 'NotoSans-Regular.ttf'));
+    assert.equal(files.boldItalic, path.join(BUNDLED, 'NotoSans-BoldItalic.ttf'));
+    assert.equal(pdfService.findFontFiles('Noto Sans Mono').italic, undefined);
+});
+
+test('findFontFiles keeps theme font names inside the font directories', () => {
+    assert.equal(pdfService.findFontFiles('../fonts/NotoSans'), null);
+    assert.equal(pdfService.findFontFiles('/etc/passwd'), null);
+    assert.equal(pdfService.findFontFiles('...'), null);
+    assert.equal(pdfService.findFontFiles(''), null);
+});
+
+test('registerFonts falls back to the bundled font closest to the theme', () => {
+    const registered = [];
+    const doc = { registerFont: (name, file) => registered.push([name, path.basename(file)]) };
+
+    const fonts = pdfService.registerFonts(doc, '"Comic Sans MS", ../../etc/passwd, Georgia');
+
+    assert.equal(fonts.regular, 'Noto Serif-regular');
+    assert.deepEqual(registered[0], ['Noto Serif-regular', 'NotoSerif-Regular.ttf']);
+});
@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const policyService = require('../services/policyService');
+const { useDatabase } = require('./helpers/fakeDatabase');
+
+const { ROLES } = policyService;
+
+test('each permission is granted only to its roles', () => {
+    assert.equal(policyService.hasPermission([ROLES.TEACHER], 'admin:view'), false);
+    assert.equal(policyService.hasPermission([ROLES.TEACHER, ROLES.REVIEWER], 'admin:view'), true);
+    assert.equal(policyService.hasPermission([ROLES.REVIEWER], 'users:manage'), false);
+    assert.equal(policyService.hasPermission([ROLES.SITE_ADMIN], 'users:manage'), true);
+    assert.equal(policyService.hasPermission([ROLES.CO_TEACHER], 'newsletter:edit'), true);
+    assert.equal(policyService.hasPermission([ROLES.CO_TEACHER], 'newsletter:manage'), false);
+    assert.equal(policyService.hasPermission([ROLES.VIEWER], 'newsletter:edit'), false);
+    assert.equal(policyService.hasPermission([], 'newsletter:view'), false);
+});
+
+test('unknown permissions are an error, not a denial', () => {
+    assert.throws(() => policyService.hasPermission([ROLES.SITE_ADMIN], 'newsletter:launch'), /Unknown permission/);
+});
+
+test('only site roles can be stored on a user', () => {
+    assert.equal(policyService.isSiteRole(ROLES.REVIEWER), true);
+    assert.equal(policyService.isSiteRole(ROLES.SCHOOL_ADMIN), false);
+    assert.equal(policyService.isSiteRole(ROLES.OWNER), false);
+});
+
+test('a school role counts only for that school', () => {
+    const user = { id: 'user-1', email: 'teacher@school.edu', role: 'teacher' };
+    const membership = { school: { id: 'school-1' }, role: 'school_admin' };
+
+    assert.equal(policyService.can(user, 'school:manage', { school: { id: 'school-1' }, membership }), true);
+    assert.equal(policyService.can(user, 'school:manage', { school: { id: 'school-2' }, membership }), false);
+});
+
+test('template ownership and newsletter access add roles', () => {
+    const user = { id: 'user-1', email: 'teacher@school.edu', role: 'teacher' };
+
+    assert.equal(policyService.can(user, 'template:edit', { template: { userId: 'user-1' } }), true);
+    assert.equal(policyService.can(user, 'template:edit', { template: { userId: 'user-2' } }), false);
+    assert.deepEqual(policyService.rolesFor(user, { newsletter: { access: { roles: ['co_teacher'] } } }), ['teacher', 'co_teacher']);
+    assert.deepEqual(policyService.rolesFor(null), []);
+});
+
+test('denials are written to the activity log and grants are not', async (t) => {
+    const db = useDatabase(t);
+    const user = { id: 'user-1', email: 'teacher@school.edu', role: 'teacher' };
+    const newsletter = { id: 'newsletter-1', access: { roles: ['viewer'] } };
+
+    assert.equal(policyService.authorize(user, 'newsletter:view', { newsletter }), true);
+    assert.equal(db.queries.length, 0);
+
+    assert.equal(policyService.authorize(user, 'newsletter:edit', { newsletter }), false);
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.equal(db.queries.length, 1);
+    assert.match(db.queries[0].text, /'permission_denied'/);
+    assert.deepEqual(db.queries[0].params.slice(0, 3), ['user-1', 'newsletter', 'newsletter-1']);
+    assert.deepEqual(JSON.parse(db.queries[0].params[3]), { permission: 'newsletter:edit', roles: ['teacher', 'viewer'] });
+});
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { toSegments, FULL_HEADLINE_OPTIONS, SNIPPET_HEADLINE_OPTIONS } = require('../utils/searchHighlight');
+
+test('toSegments splits marked matches from the surrounding text', () => {
+    assert.deepEqual(toSegments('Our ⟦field⟧ trip to the ⟦farm⟧!'), [
+        { text: 'Our ', match: false },
+        { text: 'field', match: true },
+        { text: ' trip to the ', match: false },
+        { text: 'farm', match: true },
+        { text: '!', match: false }
+    ]);
+});
+
+test('toSegments handles text without matches and empty input', () => {
+    assert.deepEqual(toSegments('No matches here'), [{ text: 'No matches here', match: false }]);
+    assert.deepEqual(toSegments(''), []);
+    assert.deepEqual(toSegments(null), []);
+    assert.deepEqual(toSegments('⟦⟧'), []);
+});
+
+test('toSegments keeps markup as plain text', () => {
+    assert.deepEqual(toSegments('⟦<b>⟧\nline'), [
+        { text: '<b>', match: true },
+        { text: '\nline', match: false }
+    ]);
+});
+
+test('headline options use the same delimiters', () => {
+    for (const options of [FULL_HEADLINE_OPTIONS, SNIPPET_HEADLINE_OPTIONS]) {
+        assert.match(options, /StartSel=⟦/);
+        assert.match(options, /StopSel=⟧/);
+    }
+});
@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret-that-is-long-enough-for-the-checks';
+
+const totp = require('../utils/totp');
+
+// RFC 6238 appendix B, SHA-1 key "12345678901234567890"
+const RFC_SECRET = totp.base32Encode(Buffer.from('12345678901234567890', 'ascii'));
+const RFC_VECTORS = [
+    [59, '287082'],
+    [1111111109, '081804'],
+    [1111111111, '050471'],
+    [1234567890, '005924'],
+    [2000000000, '279037'],
+    [20000000000, '353130']
+];
+
+test('base32 encodes the RFC 6238 key and round-trips', () => {
+    assert.equal(RFC_SECRET, 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+    assert.equal(totp.base32Decode(RFC_SECRET).toString('ascii'), '12345678901234567890');
+    assert.equal(totp.base32Decode('gezd gnbv-gy3t qojq gezd gnbv gy3t qojq==').toString('ascii'), '12345678901234567890');
+    assert.throws(() => totp.base32Decode('GEZ1'), /Invalid base32 character/);
+});
+
+test('generateCode matches the RFC 6238 test vectors', () => {
+    for (const [seconds, code] of RFC_VECTORS) {
+        assert.equal(totp.generateCode(RFC_SECRET, totp.currentStep(seconds * 1000)), code, `T=${seconds}`);
+    }
+});
+
+test('verifyCode accepts the current step and one step of drift', () => {
+    const now = 1111111111 * 1000;
+    const step = totp.currentStep(now);
+
+    assert.equal(totp.verifyCode(RFC_SECRET, '050471', { now }), step);
+    assert.equal(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step - 1), { now }), step - 1);
+    assert.equal(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step + 1), { now }), step + 1);
+    assert.equal(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step - 2), { now }), null);
+});
+
+test('verifyCode refuses malformed codes', () => {
+    const now = 59 * 1000;
+
+    assert.equal(totp.verifyCode(RFC_SECRET, '287 082', { now }), 1);
+    assert.equal(totp.verifyCode(RFC_SECRET, '28708', { now }), null);
+    assert.equal(totp.verifyCode(RFC_SECRET, 'abcdef', { now }), null);
+    assert.equal(totp.verifyCode(RFC_SECRET, null, { now }), null);
+});
+
+test('verifyCode refuses a code from a step that was already used', () => {
+    const now = 1111111111 * 1000;
+    const step = totp.verifyCode(RFC_SECRET, '050471', { now });
+
+    assert.equal(totp.verifyCode(RFC_SECRET, '050471', { now, afterStep: step }), null);
+    assert.equal(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step - 1), { now, afterStep: step }), null);
+    assert.equal(totp.verifyCode(RFC_SECRET, totp.generateCode(RFC_SECRET, step + 1), { now, afterStep: step }), step + 1);
+});
+
+test('secrets survive encryption and are not stored in the clear', () => {
+    const secret = totp.generateSecret();
+    const stored = totp.encryptSecret(secret);
+
+    assert.match(secret, /^[A-Z2-7]{32}$/);
+    assert.equal(stored.includes(secret), false);
+    assert.notEqual(totp.encryptSecret(secret), stored);
+    assert.equal(totp.decryptSecret(stored), secret);
+});
+
+test('tampered secrets fail to decrypt', () => {
+    const [iv, tag, encrypted] = totp.encryptSecret(totp.generateSecret()).split('.');
+    const flipped = Buffer.from(encrypted, 'base64');
+    flipped[0] ^= 1;
+
+    assert.throws(() => totp.decryptSecret([iv, tag, flipped.toString('base64')].join('.')));
+});
+
+test('buildOtpauthUri carries the secret and settings', () => {
+    const uri = new URL(totp.buildOtpauthUri(RFC_SECRET, 'teacher@school.edu'));
+
+    assert.equal(uri.protocol, 'otpauth:');
+    assert.equal(uri.host, 'totp');
+    assert.equal(decodeURIComponent(uri.pathname), '/Classroom Newsletter:teacher@school.edu');
+    assert.equal(uri.searchParams.get('secret'), RFC_SECRET);
+    assert.equal(uri.searchParams.get('digits'), '6');
+    assert.equal(uri.searchParams.get('period'), '30');
+});
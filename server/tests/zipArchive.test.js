@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+
+const { createZip, crc32 } = require('../utils/zipArchive');
+
+// Read the entries back through the central directory, the way unzip tools do
+function readZip(archive) {
+    const end = archive.length - 22;
+    assert.equal(archive.readUInt32LE(end), 0x06054b50);
+
+    const count = archive.readUInt16LE(end + 10);
+    let position = archive.readUInt32LE(end + 16);
+    const entries = [];
+
+    for (let i = 0; i < count; i++) {
+        assert.equal(archive.readUInt32LE(position), 0x02014b50);
+        const checksum = archive.readUInt32LE(position + 16);
+        const compressedSize = archive.readUInt32LE(position + 20);
+        const size = archive.readUInt32LE(position + 24);
+        const nameLength = archive.readUInt16LE(position + 28);
+        const localOffset = archive.readUInt32LE(position + 42);
+        const name = archive.toString('utf8', position + 46, position + 46 + nameLength);
+
+        assert.equal(archive.readUInt32LE(localOffset), 0x04034b50);
+        const localNameLength = archive.readUInt16LE(localOffset + 26);
+        const dataStart = localOffset + 30 + localNameLength;
+        const data = zlib.inflateRawSync(archive.subarray(dataStart, dataStart + compressedSize));
+
+        entries.push({ name, data, checksum, size });
+        position += 46 + nameLength;
+    }
+
+    return entries;
+}
+
+test('crc32 matches the standard check value', () => {
+    assert.equal(crc32(Buffer.from('123456789')), 0xCBF43926);
+    assert.equal(crc32(Buffer.alloc(0)), 0);
+});
+
+test('createZip stores every entry so it can be read back', () => {
+    const image = Buffer.from([0, 1, 2, 255]);
+    const archive = createZip([
+        { name: 'account.json', data: '{"email":"teacher@school.edu"}' },
+        { name: 'newsletters/week-1 ✏️.html', data: '<h1>Week 1</h1>' },
+        { name: 'images/logo.png', data: image }
+    ]);
+
+    const entries = readZip(archive);
+
+    assert.deepEqual(entries.map(entry => entry.name), ['account.json', 'newsletters/week-1 ✏️.html', 'images/logo.png']);
+    assert.equal(entries[0].data.toString('utf8'), '{"email":"teacher@school.edu"}');
+    assert.equal(entries[1].data.toString('utf8'), '<h1>Week 1</h1>');
+    assert.deepEqual(entries[2].data, image);
+    for (const entry of entries) {
+        assert.equal(entry.checksum, crc32(entry.data));
+        assert.equal(entry.size, entry.data.length);
+    }
+});
+
+test('createZip writes the modification time as an MS-DOS date', () => {
+    const archive = createZip([{ name: 'a.txt', data: 'a' }], new Date(2024, 4, 1, 13, 30, 10));
+
+    assert.equal(archive.readUInt16LE(10), (13 << 11) | (30 << 5) | 5);
+    assert.equal(archive.readUInt16LE(12), ((2024 - 1980) << 9) | (5 << 5) | 1);
+});
+
+test('createZip builds a valid empty archive', () => {
+    const archive = createZip([]);
+
+    assert.equal(archive.length, 22);
+    assert.deepEqual(readZip(archive), []);
+});
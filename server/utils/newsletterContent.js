@@ -0,0 +1,322 @@
+/**
+ * Newsletter Content Utilities
+ * Shared helpers for reading newsletter sections, themes and rich text on the server
+ */
+
+// Default theme used when a newsletter has no saved theme (matches the editor defaults)
+const DEFAULT_THEME = {
+    name: 'professional',
+    primaryColor: '#2563eb',
+    secondaryColor: '#64748b',
+    accentColor: '#f59e0b',
+    backgroundColor: '#ffffff',
+    textColor: '#1e293b',
+    borderColor: '#e2e8f0',
+    fontFamily: 'Georgia, serif'
+};
+
+// Named theme presets (kept in sync with client ThemeControls presets)
+const THEME_PRESETS = {
+    professional: DEFAULT_THEME,
+    colorful: {
+        name: 'colorful',
+        primaryColor: '#7c3aed',
+        secondaryColor: '#06b6d4',
+        accentColor: '#f59e0b',
+        backgroundColor: '#fef7ff',
+        textColor: '#581c87',
+        borderColor: '#d8b4fe',
+        fontFamily: 'Comic Sans MS, cursive'
+    },
+    minimal: {
+        name: 'minimal',
+        primaryColor: '#374151',
+        secondaryColor: '#9ca3af',
+        accentColor: '#ef4444',
+        backgroundColor: '#ffffff',
+        textColor: '#111827',
+        borderColor: '#e5e7eb',
+        fontFamily: 'Helvetica, sans-serif'
+    },
+    playful: {
+        name: 'playful',
+        primaryColor: '#ec4899',
+        secondaryColor: '#8b5cf6',
+        accentColor: '#10b981',
+        backgroundColor: '#fff7ed',
+        textColor: '#7c2d12',
+        borderColor: '#fed7aa',
+        fontFamily: 'Comic Sans MS, cursive'
+    },
+    autumn: {
+        name: 'autumn',
+        primaryColor: '#ea580c',
+        secondaryColor: '#92400e',
+        accentColor: '#f59e0b',
+        backgroundColor: '#fef7ed',
+        textColor: '#431407',
+        borderColor: '#fed7aa',
+        fontFamily: 'Georgia, serif'
+    },
+    academic: {
+        name: 'academic',
+        primaryColor: '#1e40af',
+        secondaryColor: '#475569',
+        accentColor: '#dc2626',
+        backgroundColor: '#ffffff',
+        textColor: '#0f172a',
+        borderColor: '#e2e8f0',
+        fontFamily: 'Times New Roman, serif'
+    }
+};
+
+// Brand kit fields that override theme values
+const BRAND_KIT_THEME_KEYS = ['primaryColor', 'secondaryColor', 'accentColor', 'fontFamily'];
+
+/**
+ * Resolve the effective theme for a newsletter.
+ * Layers, lowest first: the named preset in settings.theme, the owner's school brand kit,
+ * then saved theme values in content.theme. The brand kit logo is passed through as logoUrl.
+ */
+function resolveTheme(newsletter = {}, brandKit = null) {
+    const content = newsletter.content || {};
+    const settings = newsletter.settings || {};
+
+    const presetName = typeof settings.theme === 'string' ? settings.theme : null;
+    const preset = THEME_PRESETS[presetName] || DEFAULT_THEME;
+    const savedTheme = content.theme && typeof content.theme === 'object' ? content.theme : {};
+
+    const theme = { ...preset };
+    if (brandKit) {
+        BRAND_KIT_THEME_KEYS.forEach(key => {
+            if (brandKit[key]) {
+                theme[key] = brandKit[key];
+            }
+        });
+        if (brandKit.logoUrl) {
+            theme.logoUrl = brandKit.logoUrl;
+        }
+    }
+    Object.keys(savedTheme).forEach(key => {
+        if (savedTheme[key]) {
+            theme[key] = savedTheme[key];
+        }
+    });
+
+    return theme;
+}
+
+/**
+ * Normalize a section so every type exposes its fields under `data`.
+ * Image sections created by the editor keep their fields at the top level.
+ */
+function normalizeSection(section, index = 0) {
+    const { id, type, order, data, ...rest } = section || {};
+
+    return {
+        id: id || `section-${index}`,
+        type,
+        order: typeof order === 'number' ? order : index,
+        data: { ...rest, ...(data || {}) }
+    };
+}
+
+/**
+ * Get the newsletter's sections in display order
+ */
+function getOrderedSections(content = {}) {
+    const sections = Array.isArray(content.sections) ? content.sections : [];
+
+    return sections
+        .map((section, index) => normalizeSection(section, index))
+        .sort((a, b) => a.order - b.order);
+}
+
+/**
+ * Split a line of editor markdown into formatted runs.
+ * Supports **bold** and *italic*, matching the editor preview.
+ */
+function parseInlineFormatting(text = '') {
+    const runs = [];
+    const pattern = /\*\*(.+?)\*\*|\*(.+?)\*/g;
+    let lastIndex = 0;
+    let match;
+
+    while ((match = pattern.exec(text)) !== null) {
+        if (match.index > lastIndex) {
+            runs.push({ text: text.slice(lastIndex, match.index), bold: false, italic: false });
+        }
+
+        if (match[1] !== undefined) {
+            runs.push({ text: match[1], bold: true, italic: false });
+        } else {
+            runs.push({ text: match[2], bold: false, italic: true });
+        }
+
+        lastIndex = pattern.lastIndex;
+    }
+
+    if (lastIndex < text.length) {
+        runs.push({ text: text.slice(lastIndex), bold: false, italic: false });
+    }
+
+    return runs.filter(run => run.text.length > 0);
+}
+
+/**
+ * Parse the rich text markdown produced by RichTextSection into blocks.
+ * Block types: paragraph, bullet, numbered, image.
+ */
+function parseRichText(text = '') {
+    const blocks = [];
+
+    String(text || '').split('\n').forEach(rawLine => {
+        const line = rawLine.trimEnd();
+
+        if (!line.trim()) {
+            return;
+        }
+
+        const imageMatch = line.trim().match(/^!\[(.*?)\]\((.*?)\)$/);
+        if (imageMatch) {
+            blocks.push({ type: 'image', alt: imageMatch[1], url: imageMatch[2] });
+            return;
+        }
+
+        if (/^(•|-)\s/.test(line)) {
+            blocks.push({ type: 'bullet', runs: parseInlineFormatting(line.replace(/^(•|-)\s/, '')) });
+            return;
+        }
+
+        const numberedMatch = line.match(/^(\d+)\.\s(.*)$/);
+        if (numberedMatch) {
+            blocks.push({
+                type: 'numbered',
+                number: parseInt(numberedMatch[1]),
+                runs: parseInlineFormatting(numberedMatch[2])
+            });
+            return;
+        }
+
+        blocks.push({ type: 'paragraph', runs: parseInlineFormatting(line) });
+    });
+
+    return blocks;
+}
+
+/**
+ * Strip editor markdown down to plain text
+ */
+function toPlainText(text = '') {
+    return parseRichText(text)
+        .map(block => {
+            if (block.type === 'image') return block.alt || '';
+            return block.runs.map(run => run.text).join('');
+        })
+        .filter(Boolean)
+        .join('\n');
+}
+
+/**
+ * Format an event date (YYYY-MM-DD) for display without timezone drift
+ */
+function formatEventDate(dateString, options = { weekday: 'short', month: 'short', day: 'numeric' }) {
+    if (!dateString) return '';
+
+    const match = String(dateString).match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    const date = match
+        ? new Date(Date.UTC(parseInt(match[1]), parseInt(match[2]) - 1, parseInt(match[3])))
+        : new Date(dateString);
+
+    if (isNaN(date.getTime())) {
+        return String(dateString);
+    }
+
+    return date.toLocaleDateString('en-US', { ...options, timeZone: 'UTC' });
+}
+
+// Column sizes of calendar_events; longer values are cut rather than failing the feed sync
+const EVENT_KEY_MAX_LENGTH = 255;
+const EVENT_TITLE_MAX_LENGTH = 300;
+
+/**
+ * Read the calendar date at the start of an event date string ("2024-05-01" or an ISO timestamp)
+ * Returns "YYYY-MM-DD", or null when it is not a real date (e.g. "2024-13-45")
+ */
+function parseEventDate(value) {
+    const match = String(value || '').match(/^(\d{4})-(\d{2})-(\d{2})/);
+    if (!match) {
+        return null;
+    }
+
+    const [year, month, day] = match.slice(1).map(part => parseInt(part, 10));
+    const date = new Date(Date.UTC(year, month - 1, day));
+
+    // Date.UTC rolls invalid days over into the next month, so compare the parts back
+    if (year < 1 || date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+        return null;
+    }
+
+    return match[0];
+}
+
+/**
+ * Collect the structured events from every Events section, deduplicated by event id.
+ * Events without an id fall back to a key derived from their date and title.
+ * Events without a valid date are skipped.
+ */
+function getNewsletterEvents(content = {}) {
+    const events = new Map();
+
+    getOrderedSections(content)
+        .filter(section => section.type === 'events' && Array.isArray(section.data.events))
+        .forEach(section => {
+            section.data.events.forEach(event => {
+                const date = event && parseEventDate(event.date);
+                if (!date) {
+                    return;
+                }
+
+                const key = event.id !== undefined && event.id !== null && event.id !== ''
+                    ? String(event.id)
+                    : `${event.date}-${String(event.title || '').toLowerCase().replace(/[^a-z0-9]+/g, '-')}`;
+
+                events.set(key.slice(0, EVENT_KEY_MAX_LENGTH), {
+                    key: key.slice(0, EVENT_KEY_MAX_LENGTH),
+                    date,
+                    title: String(event.title || 'Class Event').slice(0, EVENT_TITLE_MAX_LENGTH),
+                    description: String(event.description || '')
+                });
+            });
+        });
+
+    return [...events.values()];
+}
+
+/**
+ * Build a safe download filename from a newsletter title
+ */
+function buildFilename(title, extension) {
+    const base = String(title || 'newsletter')
+        .replace(/[^a-zA-Z0-9]+/g, '_')
+        .replace(/^_+|_+$/g, '')
+        .slice(0, 80) || 'newsletter';
+
+    const date = new Date().toISOString().slice(0, 10);
+    return `${base}_${date}.${extension}`;
+}
+
+module.exports = {
+    DEFAULT_THEME,
+    THEME_PRESETS,
+    resolveTheme,
+    normalizeSection,
+    getOrderedSections,
+    parseInlineFormatting,
+    parseRichText,
+    toPlainText,
+    formatEventDate,
+    parseEventDate,
+    getNewsletterEvents,
+    buildFilename
+};
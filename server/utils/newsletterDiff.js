@@ -0,0 +1,136 @@
+/**
+ * Newsletter Diff Utilities
+ * Section-level comparison of two newsletter snapshots (title, content, settings)
+ */
+
+const { getOrderedSections } = require('./newsletterContent');
+
+// JSON with sorted object keys so equal values always serialize the same way
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value)
+            .filter(key => value[key] !== undefined)
+            .sort()
+            .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+            .join(',')}}`;
+    }
+
+    return JSON.stringify(value === undefined ? null : value);
+}
+
+function isEqual(a, b) {
+    return stableStringify(a) === stableStringify(b);
+}
+
+/**
+ * List the keys whose values differ between two plain objects
+ */
+function diffFields(before = {}, after = {}, ignore = []) {
+    const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+    return [...keys]
+        .filter(key => !ignore.includes(key))
+        .filter(key => !isEqual(before?.[key], after?.[key]))
+        .sort()
+        .map(key => ({
+            field: key,
+            before: before?.[key] === undefined ? null : before[key],
+            after: after?.[key] === undefined ? null : after[key]
+        }));
+}
+
+/**
+ * Compare the sections of two content objects by section id
+ */
+function diffSections(fromContent = {}, toContent = {}) {
+    const fromSections = getOrderedSections(fromContent);
+    const toSections = getOrderedSections(toContent);
+    const fromById = new Map(fromSections.map(section => [section.id, section]));
+    const toById = new Map(toSections.map(section => [section.id, section]));
+
+    const added = toSections
+        .filter(section => !fromById.has(section.id))
+        .map(section => ({ id: section.id, type: section.type, section }));
+
+    const removed = fromSections
+        .filter(section => !toById.has(section.id))
+        .map(section => ({ id: section.id, type: section.type, section }));
+
+    const changed = toSections
+        .filter(section => fromById.has(section.id))
+        .map(section => {
+            const previous = fromById.get(section.id);
+            const fields = diffFields(previous.data, section.data);
+
+            if (previous.type !== section.type) {
+                fields.unshift({ field: 'type', before: previous.type, after: section.type });
+            }
+
+            return { id: section.id, type: section.type, fields };
+        })
+        .filter(entry => entry.fields.length > 0);
+
+    // Sections present in both versions but in a different relative order
+    const keptFrom = fromSections.filter(section => toById.has(section.id)).map(section => section.id);
+    const keptTo = toSections.filter(section => fromById.has(section.id)).map(section => section.id);
+
+    return {
+        added,
+        removed,
+        changed,
+        reordered: !isEqual(keptFrom, keptTo)
+    };
+}
+
+/**
+ * Diff two newsletter snapshots ({ title, content, settings })
+ */
+function diffNewsletters(from = {}, to = {}) {
+    const sections = diffSections(from.content, to.content);
+
+    // Content outside of sections, e.g. text from the plain text editor
+    const content = diffFields(from.content, to.content, ['sections']);
+    const settings = diffFields(from.settings, to.settings);
+    const title = from.title !== to.title
+        ? { before: from.title ?? null, after: to.title ?? null }
+        : null;
+
+    const hasChanges = Boolean(title) ||
+        content.length > 0 ||
+        settings.length > 0 ||
+        sections.added.length > 0 ||
+        sections.removed.length > 0 ||
+        sections.changed.length > 0 ||
+        sections.reordered;
+
+    return { title, sections, content, settings, hasChanges };
+}
+
+/**
+ * Describe a diff in one line, e.g. "Title changed, 1 section added, 2 sections edited"
+ */
+function summarizeDiff(diff) {
+    const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+    const parts = [];
+
+    if (diff.title) parts.push('Title changed');
+    if (diff.sections.added.length) parts.push(`${plural(diff.sections.added.length, 'section')} added`);
+    if (diff.sections.removed.length) parts.push(`${plural(diff.sections.removed.length, 'section')} removed`);
+    if (diff.sections.changed.length) parts.push(`${plural(diff.sections.changed.length, 'section')} edited`);
+    if (diff.sections.reordered) parts.push('Sections reordered');
+    if (diff.content.length) parts.push('Content edited');
+    if (diff.settings.length) parts.push('Settings changed');
+
+    return parts.length > 0 ? parts.join(', ') : 'No changes';
+}
+
+module.exports = {
+    isEqual,
+    diffSections,
+    diffNewsletters,
+    summarizeDiff
+};
@@ -0,0 +1,46 @@
+/**
+ * Search Highlight Utilities
+ * ts_headline marks matches with delimiters that are unlikely to appear in newsletter text;
+ * these helpers build its options and turn its output into plain segments, so clients
+ * never render user content as HTML.
+ */
+
+const START = '⟦';
+const STOP = '⟧';
+
+// Whole text with every match marked, for short fields like titles
+const FULL_HEADLINE_OPTIONS = `HighlightAll=true, StartSel=${START}, StopSel=${STOP}`;
+
+// A few short fragments around the matches, for section text
+const SNIPPET_HEADLINE_OPTIONS = `StartSel=${START}, StopSel=${STOP}, MaxFragments=2, MaxWords=24, MinWords=10, FragmentDelimiter=" … "`;
+
+/**
+ * Split ts_headline output into [{ text, match }] segments
+ */
+function toSegments(headline) {
+    const segments = [];
+    const pattern = new RegExp(`${START}(.*?)${STOP}`, 'gs');
+    const text = String(headline || '');
+    let lastIndex = 0;
+    let found;
+
+    while ((found = pattern.exec(text)) !== null) {
+        if (found.index > lastIndex) {
+            segments.push({ text: text.slice(lastIndex, found.index), match: false });
+        }
+        segments.push({ text: found[1], match: true });
+        lastIndex = pattern.lastIndex;
+    }
+
+    if (lastIndex < text.length) {
+        segments.push({ text: text.slice(lastIndex), match: false });
+    }
+
+    return segments.filter(segment => segment.text.length > 0);
+}
+
+module.exports = {
+    FULL_HEADLINE_OPTIONS,
+    SNIPPET_HEADLINE_OPTIONS,
+    toSegments
+};
@@ -0,0 +1,158 @@
+/**
+ * TOTP Utilities
+ * Time-based one-time passwords (RFC 6238) compatible with Google Authenticator, Authy and 1Password,
+ * plus encryption for the shared secrets we keep in the database.
+ */
+
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const ISSUER = 'Classroom Newsletter';
+
+function base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+}
+
+function base32Decode(input) {
+    const clean = String(input).toUpperCase().replace(/[\s=-]/g, '');
+    const bytes = [];
+    let bits = 0;
+    let value = 0;
+
+    for (const char of clean) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error('Invalid base32 character');
+        }
+        value = (value << 5) | index;
+        bits += 5;
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+
+    return Buffer.from(bytes);
+}
+
+/**
+ * A new random base32 secret (160 bits, the size RFC 4226 recommends)
+ */
+function generateSecret() {
+    return base32Encode(crypto.randomBytes(20));
+}
+
+function currentStep(now = Date.now()) {
+    return Math.floor(now / 1000 / STEP_SECONDS);
+}
+
+/**
+ * The code for one 30-second time step (RFC 4226 dynamic truncation)
+ */
+function generateCode(secret, step = currentStep()) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 15;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+}
+
+/**
+ * Check a code against the current step and one step either side (clock drift).
+ * Returns the matching step, or null. Steps at or before options.afterStep are refused,
+ * so a code that was already accepted cannot be replayed.
+ */
+function verifyCode(secret, code, options = {}) {
+    const { window = 1, afterStep = null, now = Date.now() } = options;
+    const candidate = String(code || '').replace(/\s/g, '');
+
+    if (!new RegExp(`^\\d{${DIGITS}}$`).test(candidate)) {
+        return null;
+    }
+
+    const step = currentStep(now);
+    for (let offset = -window; offset <= window; offset++) {
+        const tryStep = step + offset;
+        if (afterStep !== null && tryStep <= afterStep) {
+            continue;
+        }
+        const expected = generateCode(secret, tryStep);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) {
+            return tryStep;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * otpauth:// URI that authenticator apps import (usually rendered as a QR code)
+ */
+function buildOtpauthUri(secret, accountName) {
+    const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer: ISSUER,
+        algorithm: 'SHA1',
+        digits: String(DIGITS),
+        period: String(STEP_SECONDS)
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+// Secrets are encrypted at rest with AES-256-GCM; the key comes from TOTP_ENCRYPTION_KEY or JWT_SECRET
+function getEncryptionKey() {
+    const keySource = process.env.TOTP_ENCRYPTION_KEY || process.env.JWT_SECRET;
+    if (!keySource) {
+        throw new Error('TOTP_ENCRYPTION_KEY or JWT_SECRET is required to store two-factor secrets');
+    }
+    return crypto.createHash('sha256').update(keySource).digest();
+}
+
+function encryptSecret(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+}
+
+function decryptSecret(stored) {
+    const [iv, tag, encrypted] = String(stored).split('.').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+module.exports = {
+    generateSecret,
+    generateCode,
+    verifyCode,
+    currentStep,
+    buildOtpauthUri,
+    encryptSecret,
+    decryptSecret,
+    base32Encode,
+    base32Decode
+};
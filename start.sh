@@ -22,6 +22,11 @@ npm install
 npm run build
 cd ..
 
+# Apply database migrations
+echo "🗄️ Applying database migrations..."
+cd server
+npm run migrate -- up
+
 # Start the application
 echo "▶️ Starting server..."
-cd server && npm start
+npm start